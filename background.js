@@ -0,0 +1,48 @@
+'use strict';
+
+importScripts('lib/dictionaryRegistry.js', 'lib/misses.js');
+
+function toggleTranslation(tab) {
+  if (!tab?.id) return;
+  // 不在支持的站点上时没有内容脚本接收消息，忽略即可
+  chrome.tabs.sendMessage(tab.id, { type: 'toggle-translation' }).catch(() => {});
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'toggle-translation') toggleTranslation(tab);
+});
+
+// 内容脚本启动时索取所在站点需要的词典分类
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'get-dictionaries') return false;
+
+  self.DictionaryRegistry.load()
+    .then(registry => {
+      // 分类名写错时 select() 会静默跳过，这里直接报错，免得页面缺词却看不出原因
+      const unknown = (message.categories || []).filter(name => !registry.has(name));
+      if (unknown.length) throw new Error(`Unknown dictionary categories: ${unknown.join(', ')}`);
+      sendResponse({ dictionaries: registry.select(message.categories) });
+    })
+    .catch(err => sendResponse({ error: String(err) }));
+  return true;
+});
+
+// 各标签页收集的未翻译词条统一在这里合并写入
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'record-misses') return false;
+
+  self.TranslationMisses.save(message.site, message.entries)
+    .then(() => sendResponse({ ok: true }))
+    .catch(err => sendResponse({ error: String(err) }));
+  return true;
+});
+
+// 弹出窗口的“清空”也交给这里，与写入排在同一个队列中
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'clear-misses') return false;
+
+  self.TranslationMisses.clear()
+    .then(() => sendResponse({ ok: true }))
+    .catch(err => sendResponse({ error: String(err) }));
+  return true;
+});
@@ -1,268 +1,87 @@
 (function () {
   'use strict';
 
-  class TranslationConfig {
-    constructor() {
-      this.exactMap = {
-        ...window.Others,
-        ...window.legendaryItems,
-        ...window.passives,
-        ...window.Skills
-      };
-
-      this.templateMap = window.templateMap || {};
-      this.fixedTextMap = window.fixedTextMap || {};
-
-      this.selectorConfig = [
-        { selectors: ['[data-tippy-root] p', '[data-tippy-root] span'] },
-        { selectors: ['p[data-test="skill-name"]'] },
-        { selectors: ['img[alt]', 'img.skill-icon'], attribute: 'alt' }
-      ];
-    }
-  }
-
-  class Translator {
-    constructor(config) {
-      this.config = config;
-      this.translatedSet = new WeakSet();
-      this.translatedTextNodes = new WeakSet();
-      this.observedTriangles = new WeakSet();
-
-      this.compiledTemplates = this.compileTemplates();
-      this.debouncedTranslate = this.debounce(this.translateAll.bind(this), 200);
-
-      this.initObserver();
-    }
-
-    compileTemplates() {
-      return Object.entries(this.config.templateMap).map(([tpl, trans]) => {
-        const escaped = tpl.replace(/([.*+?^=!:${}()|[\]/\\])/g, "\\$1");
-        const pattern = '^([+\\-]?)' + escaped.replace(/#/g, '([\\d.\\-()]+)') + '$';
-        return { regex: new RegExp(pattern, 'i'), translation: trans };
+  // 同源 iframe 由父页面的 Translator 一并翻译，父页面加载了本扩展时这里不再启动；
+  // 先启动的一方在自己的文档上留下标记，另一方据此避开，两边不会重复翻译
+  const { LOADED_ATTRIBUTE } = window.Translator;
+  if (window.frameElement?.ownerDocument.documentElement.hasAttribute(LOADED_ATTRIBUTE)) return;
+  document.documentElement.setAttribute(LOADED_ATTRIBUTE, '');
+
+  let copyButtonsEnabled = false;
+  let copyButtonRoot = null;
+
+  const adapter = window.SiteAdapters.forHost(location.hostname);
+
+  // service worker 正在重启时消息会失败，间隔这些毫秒数后重试
+  const RETRY_DELAYS = [500, 2000];
+
+  // 词典由后台 service worker 统一加载，只取本站点适配器声明的分类
+  function requestDictionaries(categories, attempt = 0) {
+    return chrome.runtime.sendMessage({ type: 'get-dictionaries', categories })
+      .then(response => {
+        if (!response?.dictionaries) throw new Error(response?.error || 'no dictionaries');
+        return response.dictionaries;
+      })
+      .catch(err => {
+        if (attempt >= RETRY_DELAYS.length) throw err;
+        return new Promise(resolve => setTimeout(resolve, RETRY_DELAYS[attempt]))
+          .then(() => requestDictionaries(categories, attempt + 1));
       });
-    }
-
-    debounce(fn, delay) {
-      let timer = null;
-      return function () {
-        clearTimeout(timer);
-        timer = setTimeout(fn, delay);
-      };
-    }
-
-    initObserver() {
-      const bodyObserver = new MutationObserver(() => {
-        this.debouncedTranslate();
-        this.observeTriangles();
-      });
-
-      bodyObserver.observe(document.body, { childList: true, subtree: true });
-
-      window.addEventListener('load', () => {
-        this.translateAll();
-        this.observeTriangles();
-      });
-
-      document.addEventListener('click', () => {
-        setTimeout(() => {
-          this.translateAll();
-          this.observeTriangles();
-        }, 300);
-      });
-    }
-
-    multiQuery(selectors) {
-      for (const sel of selectors) {
-        const nodes = document.querySelectorAll(sel);
-        if (nodes.length) return nodes;
-      }
-      return [];
-    }
-
-    applyExactTranslation(elements, prop = 'textContent') {
-      elements.forEach(el => {
-        if (this.translatedSet.has(el)) return;
-
-        if (el.closest('[data-lexical-editor], [data-lexical-decorator]')) return;
-
-        if (prop === 'textContent') {
-          const textNodes = Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE);
-          textNodes.forEach(node => {
-            const raw = node.nodeValue.trim();
-            if (!raw) return;
-            const translated = this.config.exactMap[raw];
-            if (translated) node.nodeValue = `${translated} (${raw})`;
-          });
-        } else {
-          const value = el.getAttribute(prop)?.trim();
-          if (!value) return;
-          const translated = this.config.exactMap[value];
-          if (translated) el.setAttribute(prop, `${translated} (${value})`);
-        }
-
-        this.translatedSet.add(el);
-      });
-    }
-
-    translateItemAttributes() {
-      document.querySelectorAll('ul li').forEach(el => {
-        if (this.translatedSet.has(el)) return;
-
-        const txt = el.textContent.trim();
-        for (const { regex, translation } of this.compiledTemplates) {
-          const match = txt.match(regex);
-          if (match) {
-            let result = translation;
-            match.slice(2).forEach(val => (result = result.replace('#', val)));
-            el.textContent = (match[1] || '') + result;
-            this.translatedSet.add(el);
-            break;
-          }
-        }
-      });
-    }
-
-    translateFixedText() {
-      const escapeReg = s => s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-
-      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
-      let node;
-      while ((node = walker.nextNode())) {
-        if (this.translatedTextNodes.has(node)) continue;
-        if (node.parentElement && node.parentElement.getAttribute('data-lexical-text') === 'true') {
-          continue;
-        }
-
-        const raw = node.nodeValue;
-        if (!raw) continue;
-
-        let txt = raw;
-        let changed = false;
-
-        for (const [en, zh] of Object.entries(this.config.fixedTextMap)) {
-          const re = new RegExp(`\\b${escapeReg(en)}\\b`, 'g');
-          if (re.test(txt)) {
-            txt = txt.replace(re, zh);
-            changed = true;
-          }
-        }
-
-        if (changed) {
-          node.nodeValue = txt;
-          this.translatedTextNodes.add(node);
-        }
-      }
-    }
-
-    translateTippyRootText() {
-      const elements = document.querySelectorAll('[data-tippy-root] span, [data-tippy-root] div');
-      elements.forEach(el => {
-        if (this.translatedSet.has(el)) return;
-
-        const txt = el.textContent.trim();
-        if (!txt) return;
-
-        if (this.config.exactMap[txt]) {
-          el.textContent = `${this.config.exactMap[txt]} (${txt})`;
-          this.translatedSet.add(el);
-        } else if (this.config.fixedTextMap[txt]) {
-          el.textContent = this.config.fixedTextMap[txt];
-          this.translatedSet.add(el);
-        }
-      });
-    }
-
-    observeTriangles() {
-      const icons = document.querySelectorAll('img[src*="triangle-"], span[style*="triangle-"]');
-      icons.forEach(icon => {
-        if (this.observedTriangles.has(icon)) return;
-
-        const mo = new MutationObserver(() => this.handleTriangleChange(icon));
-        mo.observe(icon, { attributes: true, attributeFilter: ['src', 'style'] });
-
-        this.observedTriangles.add(icon);
-      });
-    }
-
-    handleTriangleChange(icon) {
-      const src = icon.getAttribute('src') || '';
-      const style = icon.getAttribute('style') || '';
-      const isUp = src.includes('triangle-up.svg') || style.includes('triangle-up.svg');
-      if (isUp) setTimeout(() => this.translateSupportGems(), 100);
-    }
-
-    getSupportGemNodes() {
-      const icons = document.querySelectorAll('img[width="40"], img[height="40"], img[src*="SupportGem"]');
-      const nodes = [];
-      icons.forEach(icon => {
-        const row = icon.closest('div');
-        if (!row) return;
-        const textEl = row.querySelector('div, span, p');
-        if (!textEl) return;
-        const en = textEl.textContent.trim();
-        if (!en) return;
-        if (this.config.exactMap[en]) nodes.push(textEl);
-      });
-      return nodes;
-    }
-
-    translateSupportGems() {
-      const gemBlocks = this.getSupportGemNodes();
-      gemBlocks.forEach(el => {
-        if (el.dataset.supportTranslated === '1') return;
-
-        const en = el.textContent.trim();
-        const zh = this.config.exactMap[en];
-        if (!zh) return;
-
-        el.textContent = '';
-        const frag = document.createDocumentFragment();
-        frag.append(document.createTextNode(zh));
-        frag.append(document.createElement('br'));
-        frag.append(document.createTextNode(`(${en})`));
-        el.appendChild(frag);
-
-        el.dataset.supportTranslated = '1';
-      });
-    }
-
-    translateFallback() {
-      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
-      let node;
-      while ((node = walker.nextNode())) {
-        if (this.translatedTextNodes.has(node)) continue;
-        if (node.parentElement && node.parentElement.getAttribute('data-lexical-text') === 'true') {
-          continue;
-        }
-
-        const raw = node.nodeValue;
-        if (!raw) continue;
-
-        const trimmed = raw.trim();
-        if (!trimmed) continue;
+  }
 
-        const tr = this.config.exactMap[trimmed];
-        if (tr && !raw.includes(tr)) {
-          node.nodeValue = `${tr} (${trimmed})`;
-          this.translatedTextNodes.add(node);
-        }
-      }
-    }
+  // 适配器中限定分类的区域另外索取各自分类的词典，相同的分类组合只取一次
+  function loadDictionaries() {
+    const scopes = [...new Set(adapter.regions.map(({ categories }) => categories.join(',')))];
+    return Promise.all([
+      requestDictionaries(adapter.categories),
+      ...scopes.map(key => requestDictionaries(key.split(',')))
+    ]).then(([dictionaries, ...scoped]) => {
+      dictionaries.scoped = {};
+      scopes.forEach((key, i) => (dictionaries.scoped[key] = scoped[i]));
+      return dictionaries;
+    });
+  }
 
-    translateAll() {
-      this.config.selectorConfig.forEach(cfg => {
-        this.applyExactTranslation(this.multiQuery(cfg.selectors), cfg.attribute || 'textContent');
-      });
+  Promise.all([
+    window.TranslatorSettings.load(),
+    window.UserDictionary.load(),
+    adapter ? loadDictionaries() : null
+  ]).then(([settings, userDictionary, dictionaries]) => {
+    if (!adapter || !window.TranslatorSettings.getSiteSettings(settings, location.hostname)) return;
+
+    const variant = window.TranslatorSettings.resolveChineseVariant(settings);
+    const config = new window.TranslationConfig(variant, userDictionary, dictionaries);
+    const site = window.TranslatorSettings.matchSite(location.hostname).host;
+    const missCollector = new window.TranslationMisses.MissCollector(site);
+    const translator = new window.Translator(config, settings, adapter, missCollector);
+    copyButtonsEnabled = translator.siteSettings.enabled;
+    copyButtonRoot = adapter.copyButtonRoot;
+    if (copyButtonRoot) {
+      window.addEventListener("load", addCopyButtons);
+      const mo = new MutationObserver(addCopyButtons);
+      mo.observe(document.body, { childList: true, subtree: true });
+    }
+    addCopyButtons();
+
+    if (adapter.searchInputs.length) {
+      new window.ChineseSearch(adapter.searchInputs, () => (translator.active ? translator.config : null)).start();
+    }
+
+    window.TranslatorSettings.onChange(next => {
+      translator.updateSettings(next);
+      copyButtonsEnabled = translator.siteSettings.enabled;
+      addCopyButtons();
+    });
 
-      this.translateItemAttributes();
-      this.translateFixedText();
-      this.translateTippyRootText();
-      this.translateFallback();
-    }
-  }
+    window.UserDictionary.onChange(next => translator.updateUserDictionary(next));
 
-  const config = new TranslationConfig();
-  new Translator(config);
+    chrome.runtime.onMessage.addListener(message => {
+      if (message?.type === 'toggle-translation') translator.toggle();
+    });
+  }).catch(err => {
+    // 重试后仍拿不到词典或设置：本页保持原文，在控制台留下原因
+    console.warn('[PoE2 翻译] 启动失败，本页不翻译：', err);
+  });
 
 function cleanText(el) {
   let html = el.innerHTML;
@@ -287,9 +106,9 @@ function extractSectionText(section) {
 }
 
 function addCopyButtons() {
-  const root = document.querySelector(
-    "#container > div > main > div:nth-child(2) > div > section > section:nth-child(2) > section:nth-child(1)"
-  );
+  if (!copyButtonsEnabled || !copyButtonRoot) return;
+
+  const root = document.querySelector(copyButtonRoot);
   if (!root) return;
 
   const sections = root.querySelectorAll("section[data-allow-dnd]");
@@ -373,10 +192,4 @@ function addCopyButtons() {
   }
 }
 
-window.addEventListener("load", addCopyButtons);
-const mo = new MutationObserver(addCopyButtons);
-mo.observe(document.body, { childList: true, subtree: true });
-
-
-
 })();
@@ -1,7670 +0,0 @@
-window.Others = {
-"Spectral Shield Throw":"盾靈投擲",
-"Charged Dash":"雷霆衝鋒",
-"Blade Flurry":"刀鋒亂舞",
-"Sweep":"橫掃",
-"Discorectangle Slam":"魔方之擊",
-"Ground Slam":"裂地之擊",
-"Cleave":"劈砍",
-"Enduring Cry":"堅決戰吼",
-"Double Strike":"雙重打擊",
-"Elemental Hit":"元素打擊",
-"Immortal Call":"不朽怒嚎",
-"Dual Strike":"雙持打擊",
-"Whirling Blades":"迴旋之刃",
-"Frenzy":"狂怒",
-"Caustic Arrow":"腐蝕箭矢",
-"Creeping Frost":"寒霜滲透",
-"Static Strike":"充能打擊",
-"Split Arrow":"分裂箭矢",
-"Damage Infusion":"傷害灌注",
-"Blood Rage":"鮮血狂怒",
-"Righteous Fire":"正義之火",
-"Fire Weapon":"烈焰武器",
-"Discharge":"解放",
-"Portal":"時空之門",
-"Riptide":"激流",
-"Backstab":"背刺",
-"Ice Spear":"冰矛",
-"Raise Spectre":"喚醒幽魂",
-"Infernal Blow":"煉獄之擊",
-"Glacial Hammer":"冰霜之錘",
-"Freezing Pulse":"冰霜脈衝",
-"New Shock Nova":"新式閃電新星",
-"Viper Strike":"毒蛇打擊",
-"Phase Run":"暗影迷蹤",
-"Explosive Arrow":"爆炸箭矢",
-"Elemental Weakness":"元素要害",
-"Warlord's Mark":"督軍印記",
-"Punishment":"懲戒",
-"NewPunishment":"新懲戒",
-"Assassin's Mark":"刺客印記",
-"Summon Skeletons":"召喚骷髏",
-"Summon Skeletons Channelled":"引導召喚骷髏",
-"Riposte":"擊刃",
-"Vengeance":"復仇",
-"Reckoning":"清算",
-"Heavy Strike":"沉重之擊",
-"Dominating Blow":"霸氣之擊",
-"Lightning Strike":"閃電打擊",
-"Tempest Shield":"暴風之盾",
-"Molten Shell":"熔岩護盾",
-"Puncture":"放血",
-"Haste":"迅捷",
-"Purity of Elements":"元素淨化",
-"Grace":"優雅",
-"Determination":"堅定",
-"Anger":"憤怒",
-"Hatred":"憎恨",
-"Wrath":"雷霆",
-"Burning Arrow":"燃燒箭矢",
-"Rejuvenation Totem":"回春圖騰",
-"Icicle Mine":"冰雹地雷",
-"Conversion Trap":"迷魅陷阱",
-"Bear Trap":"捕熊陷阱",
-"Fire Trap":"火焰陷阱",
-"Decoy Totem":"誘餌圖騰",
-"Devouring Totem":"吞噬圖騰",
-"Ethereal Knives":"虛空匕首",
-"Holy Flame Totem":"神聖火舌圖騰",
-"Frostbite":"凍傷",
-"Cyclone":"旋風斬",
-"Searing Bond":"灼熱連結",
-"Reave":"衝擊波",
-"Lightning Trap":"閃電陷阱",
-"Smoke Mine":"煙霧地雷",
-"Animate Guardian":"幻化守衛",
-"Spectral Throw":"靈體投擲",
-"Vaal Impurity of Fire":"瓦爾．不淨之火",
-"Vaal Impurity of Ice":"瓦爾．不淨之冰",
-"Vaal Impurity of Lightning":"瓦爾．不淨之雷",
-"Storm Call":"風暴呼喚",
-"Vortex Mine":"漩渦地雷",
-"Summon Raging Spirit":"召喚憤怒狂靈",
-"Flame Surge":"怒焰奔騰",
-"Desecrate":"褻瀆",
-"Flesh Offering":"血肉奉獻",
-"Spirit Offering":"靈魂奉獻",
-"Convocation":"號召",
-"Vaal Fireball":"瓦爾．火球",
-"Vaal Arc":"瓦爾．電弧",
-"Vaal Spark":"瓦爾．電球",
-"Vaal Burning Arrow":"瓦爾．燃燒箭矢",
-"Vaal Molten Shell":"瓦爾．熔岩護盾",
-"Vaal Lightning Warp":"瓦爾．閃電傳送",
-"Vaal Immortal Call":"瓦爾．不朽怒嚎",
-"Vaal Power Siphon":"瓦爾．力量抽取",
-"Vaal Cyclone":"瓦爾．旋風斬",
-"Vaal Ice Nova":"瓦爾．冰霜新星",
-"Wand Teleport":"法杖傳送",
-"Vaal Detonate Dead":"瓦爾．屍體爆破",
-"Vaal Ground Slam":"瓦爾．裂地之擊",
-"Vaal Rain of Arrows":"瓦爾．箭雨",
-"Vaal Cold Snap":"瓦爾．霜暴",
-"Vaal Spectral Throw":"瓦爾．靈體投擲",
-"Vaal Lightning Strike":"瓦爾．閃電打擊",
-"Vaal Heavy Strike":"瓦爾．沉重之擊",
-"Vaal Double Strike":"瓦爾．雙重打擊",
-"Vaal Glacial Hammer":"瓦爾．冰霜之錘",
-"Vaal Summon Skeletons":"瓦爾．召喚骷髏",
-"Vaal Storm Call":"瓦爾．風暴呼喚",
-"Vaal Reave":"瓦爾．衝擊波",
-"Molten Strike":"熔岩之擊",
-"Vaal Clarity":"瓦爾．清晰",
-"Vaal Grace":"瓦爾．優雅",
-"Vaal Discipline":"瓦爾．紀律",
-"Vaal Haste":"瓦爾．迅捷",
-"Vaal FireTrap":"瓦爾．火焰陷阱",
-"Vaal Sweep":"瓦爾．橫掃",
-"Vaal Righteous Fire":"瓦爾．正義之火",
-"Vaal Breach":"瓦爾．裂痕",
-"Vaal Flameblast":"瓦爾．烈焰爆破",
-"Pyroclast Mine":"炎爆新星地雷",
-"Vaal Lightning Trap":"瓦爾．閃電陷阱",
-"Herald of Agony":"苦痛之捷",
-"Herald of Purity":"純淨之捷",
-"Poacher's Mark":"盜獵者印記",
-"Lightning Tendrils":"電能釋放",
-"Lightning Circle":"雷霆之環",
-"Lightning Channel":"閃電鏈結",
-"Mirror Arrow":"魅影射擊",
-"Blink Arrow":"閃現射擊",
-"Kinetic Blast":"力量爆破",
-"Touch of God":"天譴之拳",
-"Summon Chaos Golem":"召喚混沌魔像",
-"Summon Ice Golem":"召喚寒冰魔像",
-"Summon Flame Golem":"召喚烈焰魔像",
-"Summon Lightning Golem":"召喚閃電魔像",
-"Ice Crash":"寒冰衝擊",
-"Rallying Cry":"激勵戰吼",
-"Detonate Mines":"引爆地雷",
-"Flame Dash":"烈焰衝刺",
-"Frost Blades":"冰霜之刃",
-"Vigilant Strike":"戒備打擊",
-"Rolling Magma":"熔岩翻騰",
-"Ice Trap":"冰凍陷阱",
-"Wild Strike":"野性打擊",
-"Galvanic Arrow":"電流箭矢",
-"Blast Rain":"爆裂箭雨",
-"Bladefall":"虛空刀雨",
-"Siege Ballista":"攻城炮台",
-"Static Tether":"靜電鎖鏈",
-"Blade Vortex":"飛刃風暴",
-"New Blade Vortex":"新飛刃風暴",
-"Vaal Blade Vortex":"瓦爾．飛刃風暴",
-"Summon Stone Golem":"召喚巨石魔像",
-"Righteous Lightning":"正義怒雷",
-"Blight":"萎滅",
-"Shadow Blades":"幻影刀刃",
-"Vortex":"漩渦",
-"Ancestral Protector":"先祖衛士",
-"Ancestral Blademaster":"先祖大劍師",
-"Ancestral Warchief":"先祖戰士長",
-"Scorching Ray":"熾灼奔流",
-"Storm Burst":"風爆",
-"Infernal Sweep":"煉獄襲擊",
-"Cremation":"熔炎送葬",
-"Bodyswap":"屍術傳送",
-"Spectral Spinning Weapon":"靈製武器",
-"Tectonic Slam":"破體之擊",
-"Capture Monster":"去吧！捕獸網",
-"Explosive Trap":"爆裂陷阱",
-"Siphoning Trap":"虹吸陷阱",
-"Flamethrower Trap":"噴火陷阱",
-"Lightning Spire Trap":"鋒雷陷阱",
-"Seismic Trap":"地裂陷阱",
-"Vaal Flesh Offering":"瓦爾．血肉奉獻",
-"Vaal Earthquake":"瓦爾．震地",
-"Vaal Blight":"瓦爾．萎滅",
-"Vaal Ancestral Warchief":"瓦爾．先祖戰士長",
-"Consecrated Path":"奉獻之路",
-"Smite":"雷鳴重擊",
-"Scourge Arrow":"天譴之箭",
-"Toxic Rain":"腐蝕毒雨",
-"Summon Holy Relic":"召喚聖物",
-"Winter Orb":"凜冬之球",
-"Rending Steel":"鋼之裂化",
-"Lancing Steel":"鋼之突刺",
-"Storm Brand":"風暴烙印",
-"Shattering Steel":"鋼之碎擊",
-"Armageddon Brand":"末日烙印",
-"Brand Recall":"烙印呼喚",
-"Purifying Flame":"淨化烈焰",
-"Bane":"災厄",
-"Stormbind":"風暴術符",
-"Divine Ire":"聖怒",
-"Wave of Conviction":"信念浪湧",
-"Zealotry":"狂熱",
-"Malevolence":"惡意",
-"Steelskin":"鋼筋鐵骨",
-"Dash":"幻步",
-"Bladestorm":"旋天劍舞",
-"Blood and Sand":"血腥沙戮",
-"Perforate":"裂地刺穿",
-"Chain Hook":"奪魂勾索",
-"Frostblink":"霜漣之瞬",
-"Flesh and Stone":"血肉骸骨",
-"Pride":"驕傲",
-"Cobra Lash":"毒蛇鞭笞",
-"Summon Carrion Golem":"召喚食腐魔像",
-"Withering Step":"凋零之步",
-"Stormblast Mine":"風暴地雷",
-"Summon Skitterbots":"召喚探測機獸",
-"Pestilent Strike":"瘟疫打擊",
-"Venom Gyre":"猛毒迴旋",
-"Shrapnel Ballista":"彈片砲塔",
-"Ensnaring Arrow":"誘捕箭矢",
-"Spellslinger":"法術回音",
-"Arcane Cloak":"秘能披風",
-"Kinetic Bolt":"力量穿引",
-"Blade Blast":"劍刃爆破",
-"Elemental Projectiles":"元素投射物",
-"Arcanist Brand":"奧術烙印",
-"Intimidating Cry":"威嚇戰吼",
-"Ancestral Cry":"先祖戰吼",
-"Penance Brand":"贖罪烙印",
-"Wintertide Brand":"冬潮烙印",
-"General's Cry":"將軍戰吼",
-"Blazing Salvo":"熾熱魔炮",
-"Void Sphere":"虛無玉",
-"Crackling Lance":"碎雷電閃",
-"Frost Shield":"寒霜護盾",
-"Splitting Steel":"鋼之裂化",
-"Flammable Shot":"燃燒射擊",
-"Hydrosphere":"水弒界",
-"Death Aura":"死亡光環",
-"Envy":"忌妒",
-"Gluttony of Elements":"元素暴食",
-"Blinding Aura":"致盲光環",
-"Corrupting Fever":"腐化潮",
-"Petrified Blood":"石化之血",
-"Voltaxic Burst":"魔痕爆發",
-"Rage Vortex":"盛怒漩渦",
-"Spectral Helix":"靈體旋武",
-"Battlemage's Cry":"戰法戰吼",
-"Absolution":"赦免",
-"Forbidden Rite":"禁忌儀式",
-"Manabond":"魔能束縛",
-"Blade Trap":"刀鋒陷阱",
-"Storm Rain":"暴風雷雨",
-"Shield Crush":"重盾粉碎",
-"Blood Offering":"鮮血奉獻",
-"Summon Reaper":"召喚奪魂鐮",
-"Tornado":"龍捲風",
-"Energy Blade":"能量之刃",
-"Soul Link":"連結：靈魂",
-"Flame Link":"連結：烈焰",
-"Vampiric Link":"連結：吸血",
-"Protective Link":"連結：保護",
-"Intuitive Link":"連結：直覺",
-"Destructive Link":"連結：破壞",
-"Alchemist's Mark":"煉金術士印記",
-"Vaal Flicker Strike":"瓦爾．閃現打擊",
-"Vaal Molten Strike":"瓦爾．熔岩之擊",
-"Frozen Legion":"戰亂．凍結",
-"Vaal Cleave":"瓦爾．劈砍",
-"Vaal Volcanic Fissure":"瓦爾．炎火脈動",
-"Vaal Caustic Arrow":"瓦爾．腐蝕箭矢",
-"Vaal Venom Gyre":"瓦爾．猛毒迴旋",
-"Vaal Smite":"瓦爾．雷鳴重擊",
-"Vaal Blade Flurry":"瓦爾．刀鋒亂舞",
-"Added Fire Damage":"附加火焰傷害輔助",
-"Faster Attacks":"快速攻擊輔助",
-"Greater Multiple Projectiles":"高階多重投射輔助",
-"Lesser Multiple Projectiles":"低階多重投射輔助",
-"Greater Volley":"高階齊射輔助",
-"Faster Projectiles":"快速投射輔助",
-"Added Cold Damage":"附加冰冷傷害輔助",
-"Additional Accuracy":"額外命中輔助",
-"Increased Area of Effect":"增加範圍輔助",
-"Added Lightning Damage":"附加閃電傷害輔助",
-"Increased Critical Strikes":"增加暴擊率輔助",
-"Increased Critical Damage":"增加暴擊傷害輔助",
-"Knockback":"擊退",
-"Life Leech":"生命偷取",
-"Mana Leech":"魔力偷取",
-"Added Chaos Damage":"附加混沌傷害輔助",
-"Stun":"擊暈輔助",
-"Trap":"陷阱輔助",
-"Melee Physical Damage":"近戰物理傷害輔助",
-"Item Quantity":"物品數量增幅輔助",
-"Item Rarity":"物品稀有度增幅輔助",
-"Faster Casting":"快速施放輔助",
-"Minion Damage":"召喚物傷害",
-"Increased Duration":"增加持續時間",
-"Cold to Fire":"寒冰轉烈焰輔助",
-"Combustion":"燃燒輔助",
-"Minion Speed":"召喚物速度輔助",
-"Minion Life":"召喚物生命",
-"Elemental Damage with Attacks":"元素攻擊傷害輔助",
-"Life Gain on Hit":"擊中生命回復",
-"Elemental Proliferation":"元素擴散輔助",
-"Arrogance":"傲慢輔助",
-"Point Blank":"零點射擊",
-"Iron Grip":"堅鐵之力",
-"Iron Will":"鋼鐵意志",
-"Damage on Full Life":"滿血傷害輔助",
-"Spell Totem":"法術圖騰輔助",
-"Blastchain Mine":"連鎖爆破地雷輔助",
-"Chance to Flee":"機率逃跑輔助",
-"Ballista Totem":"砲塔圖騰輔助",
-"Elemental Penetration":"元素穿透",
-"Split Projectiles":"投射物分裂輔助",
-"Return Projectiles":"投射物歸返輔助",
-"Multistrike":"多重打擊輔助",
-"Melee Splash":"近戰傷害擴散輔助",
-"Power Charge On Critical":"暴擊獲得暴擊球輔助",
-"Burning Damage":"燃燒傷害輔助",
-"Hextouch":"咒術降臨輔助",
-"Cast On Critical Strike":"暴擊時施放輔助",
-"Cast on Melee Kill":"近戰擊殺時施放",
-"Multiple Traps":"多重陷阱輔助",
-"Empower":"賦予輔助",
-"Endurance Charge on Melee Stun":"近戰擊暈獲得耐力球輔助",
-"Slower Projectiles":"投射物減速輔助",
-"Less Duration":"持續時間縮短輔助",
-"Cast on Death":"死亡時施放",
-"Cast when Damage Taken":"受傷時施放",
-"Cast when Stunned":"暈眩時施放",
-"Enhance":"增幅輔助",
-"Vicious Projectiles":"猛毒投射物輔助",
-"Enlighten":"啟蒙輔助",
-"Block Chance Reduction":"減少格擋率輔助",
-"Generosity":"和善輔助",
-"Physical to Lightning":"物理轉閃電輔助",
-"Fortify":"護體輔助",
-"Trap and Mine Damage":"陷阱和地雷傷害",
-"Critical Strike Affliction":"暴擊苦痛輔助",
-"Void Manipulation":"虛空操縱輔助",
-"Cluster Traps":"散彈陷阱輔助",
-"Minefield":"地雷網輔助",
-"Advanced Traps":"進階陷阱輔助",
-"Cast while Channelling":"引導時施放",
-"Vaal Soul Harvesting":"瓦爾．靈魂收割",
-"Ignite Proliferation":"點燃擴散輔助",
-"Chance to Bleed":"機率流血輔助",
-"Chance to Poison":"機率中毒輔助",
-"Deadly Ailments":"致命異常輔助",
-"Lesser Reduced Mana Cost":"低階魔力減免輔助",
-"Decay":"腐化輔助",
-"Efficacy":"效能輔助",
-"Vile Toxins":"罪惡毒素輔助",
-"Unbound Ailments":"無邊異能輔助",
-"Onslaught":"猛攻輔助",
-"Infused Channelling":"注入引導輔助",
-"Volley":"齊射輔助",
-"Summon Phantasm":"召喚幻影輔助",
-"Mirage Archer":"幻影射手輔助",
-"Charged Traps":"陷阱充能輔助",
-"Charged Mines":"地雷充能輔助",
-"Bonechill":"寒冰刺骨輔助",
-"Multiple Totems":"多重圖騰輔助",
-"Energy Leech":"能量偷取輔助",
-"Intensify":"強化輔助",
-"Shockwave":"震波輔助",
-"Pulverise":"磨鍊輔助",
-"Predator":"掠奪者輔助",
-"Nightblade":"夜刃輔助",
-"High-Impact Mine":"高能地雷輔助",
-"Swift Assembly":"迅速組裝輔助",
-"Arrow Nova":"箭矢新星輔助",
-"Awakened Added Fire Damage":"覺醒．附加火焰傷害輔助",
-"Awakened Ancestral Call":"覺醒．先祖怒嚎輔助",
-"Awakened Brutality":"覺醒．殘虐輔助",
-"Awakened Burning Damage":"覺醒．燃燒傷害輔助",
-"Awakened Elemental Damage with Attacks":"覺醒．元素攻擊傷害輔助",
-"Awakened Fire Penetration":"覺醒．火焰穿透輔助",
-"Awakened Generosity":"覺醒．和善輔助",
-"Awakened Melee Physical Damage":"覺醒．近戰物理傷害輔助",
-"Awakened Melee Splash":"覺醒．近戰傷害擴散輔助",
-"Awakened Multistrike":"覺醒．多重打擊輔助",
-"Awakened Added Cold Damage":"覺醒．附加冰冷傷害輔助",
-"Awakened Arrow Nova":"覺醒．箭矢新星輔助",
-"Awakened Cast On Critical Strike":"覺醒．暴擊時施放輔助",
-"Awakened Chain":"覺醒．連鎖輔助",
-"Awakened Cold Penetration":"覺醒．冰冷穿透輔助",
-"Awakened Deadly Ailments":"覺醒．致命異常輔助",
-"Awakened Fork":"覺醒．分裂輔助",
-"Awakened Greater Multiple Projectiles":"覺醒．高階多重投射輔助",
-"Awakened Swift Affliction":"覺醒．極速苦痛輔助",
-"Awakened Void Manipulation":"覺醒．虛空操縱輔助",
-"Awakened Vicious Projectiles":"覺醒．猛毒投射物輔助",
-"Awakened Added Chaos Damage":"覺醒．附加混沌傷害輔助",
-"Awakened Added Lightning Damage":"覺醒．附加閃電傷害輔助",
-"Awakened Blasphemy":"覺醒．詛咒光環輔助",
-"Awakened Cast While Channelling":"覺醒．引導時施放輔助",
-"Awakened Controlled Destruction":"覺醒．精準破壞輔助",
-"Awakened Hextouch":"覺醒．咒術降臨輔助",
-"Awakened Elemental Focus":"覺醒．元素集中輔助",
-"Awakened Increased Area of Effect":"覺醒．增加範圍效果輔助",
-"Awakened Lightning Penetration":"覺醒．閃電穿透輔助",
-"Awakened Minion Damage":"覺醒．召喚物傷害輔助",
-"Awakened Spell Cascade":"覺醒．秘能爆發輔助",
-"Awakened Spell Echo":"覺醒．施放迴響輔助",
-"Awakened Unbound Ailments":"覺醒．無邊異能輔助",
-"Awakened Unleash":"覺醒．釋放輔助",
-"Awakened Empower":"覺醒．賦予輔助",
-"Awakened Enlighten":"覺醒．啟蒙輔助",
-"Awakened Enhance":"覺醒．增幅輔助",
-"Swiftbrand":"迅速烙印輔助",
-"Urgent Orders":"緊急詔令輔助",
-"Pinpoint":"精確輔助",
-"Bloodthirst":"渴血輔助",
-"Cruelty":"殘酷輔助",
-"Focused Ballista":"專注砲塔輔助",
-"Divine Blessing":"神聖祝福輔助",
-"Mark On Hit":"擊中時印記輔助",
-"Eternal Blessing":"永恆祝福輔助",
-"Vaal Arctic Armour":"瓦爾．極地裝甲",
-"Vaal Reap":"瓦爾．收割",
-"Vaal Animate Weapon":"瓦爾．幻化武器",
-"Vaal Lightning Arrow":"瓦爾．閃電箭矢",
-"Vaal Absolution":"瓦爾．赦免",
-"Vaal Domination":"瓦爾．霸氣",
-"Vaal Ice Shot":"瓦爾．冰霜射擊",
-"Vaal Firestorm":"瓦爾．烈炎風暴",
-"Vaal Rejuvenation Totem":"瓦爾．回春圖騰",
-"Vaal Split Arrow":"瓦爾．分裂箭矢",
-"Manaforged Arrows":"魔改箭矢輔助",
-"Prismatic Burst":"三相爆發輔助",
-"Playtest Attack":"測試攻擊",
-"Playtest Spell":"測試法術",
-"Playtest Slam":"測試重擊",
-"Quickstep":"疾步",
-"Returning Projectiles":"投射物返回輔助",
-"Trauma":"創傷輔助",
-"Spellblade":"魔刃",
-"Devour":"吞噬輔助",
-"Fresh Meat":"鮮肉輔助",
-"Flamewood":"焚木輔助",
-"Guardian's Blessing":"守護者的祝福輔助",
-"Frigid Bond":"冰寒之繫輔助",
-"Locus Mine":"定位地雷輔助",
-"Sadism":"虐待輔助",
-"Controlled Blaze":"精準烈火輔助",
-"Automation":"自動化",
-"Call to Arms":"武裝召喚",
-"Sacred Wisps":"聖潔妖精輔助",
-"Glacial Shield Swipe":"冰川盾擊",
-"Crushing Fist":"粉碎之拳",
-"Swordstorm":"劍刃風暴",
-"Eviscerate":"剔骨",
-"Divine Retribution":"神聖制裁",
-"Vengeful Cry":"復仇之嚎",
-"Autoexertion":"自動竭盡",
-"More Duration":"持續時間延長輔助",
-"Overexertion":"竭盡全力輔助",
-"Expert Retaliation":"專家復仇輔助",
-"Storm Spear":"風暴長鋒",
-"Blazing Lance":"熾烈之槍",
-"Maul":"重錘",
-"Volcano":"火山",
-"Summon Wolf":"召喚狼",
-"Rampage":"暴怒",
-"Lightning Storm":"閃電風暴",
-"Furious Slam":"狂暴重擊",
-"Coming Soon":"敬請期待",
-"Shroud":"幽影",
-"Summon Rhoa Mount":"召喚恐喙鳥座騎",
-"Detonate Minion":"引爆召喚物",
-"Storm Surge":"風暴洶湧",
-"Grim Feast":"冷酷之宴",
-"Spinning Inferno":"旋轉獄火",
-"Shielding Cry":"防護戰吼",
-"Flail Strike":"鏈錘打擊",
-"Sword Slash":"劍刃斬",
-"Axe Slash":"斧鉞斬",
-"Claw Stab":"利爪刺擊",
-"Dagger Stab":"匕首刺擊",
-"Spear Stab":"長鋒刺擊",
-"Enervation":"削弱",
-"Chance to Freeze":"冰凍機率",
-"Invocation":"祈願",
-"Spreading Frost":"擴散寒冰",
-"Infusion":"注入",
-"Fusillade":"聚靈之杖",
-"Frozen Vortex":"凍結漩渦",
-"Soulbreaker":"破魂者",
-"Expanding Ground":"擴大地面",
-"Demon Magus":"惡魔瑪格思",
-"Ferocious Roar":"兇猛怒吼",
-"Cast on Melee Stun":"近戰擊暈時施放",
-"Summon Companion":"召喚盟友",
-"Hydra Familiar":"九頭蛇近親",
-"Lava Lash":"熔岩之力",
-"Two Handed Melee Damage and Leech":"雙手武器近戰傷害和偷取",
-"Two Handed Melee Damage":"雙手武器近戰傷害",
-"Two Handed Melee Damage and Attack Speed":"雙手武器傷害和攻擊速度",
-"Totem Life and Physical Damage Reduction":"圖騰生命和物理傷害減免",
-"Staff Block":"長杖格擋",
-"Whirling Barrier":"杖影屏障",
-"Shield Spell Block and Elemental Resistances with a Shield":"持盾盾牌法術格擋和元素抗性",
-"Life Regeneration":"生命回復",
-"Elemental Resistances with a Shield":"持盾元素抗性",
-"Shield Block and Block Recovery":"盾牌格擋與格擋恢復",
-"Sanctuary":"聖所",
-"Sword Damage":"劍類傷害",
-"Smashing Strikes":"沉重之擊",
-"Staff Damage and Stun Duration":"長杖傷害和暈眩持續時間",
-"Mace Damage and Reduced Enemy Stun Threshold":"錘的傷害和減低敵人暈眩門檻",
-"Mace Damage and Area of Effect":"錘的傷害和範圍效果",
-"Skull Cracking":"碎顱",
-"Mace Damage":"錘的傷害",
-"Mace Damage and Stun Duration":"錘的傷害和暈眩持續時間",
-"Bone Breaker":"破骨",
-"Life and Armour":"生命與護甲",
-"Spiked Bulwark":"荊棘壁壘",
-"Armour":"護甲",
-"Armour and Elemental Resistances":"護甲和元素抗性",
-"Armour and Energy Shield":"護甲和能量護盾",
-"Axe Damage and Attack Speed":"斧的傷害和攻擊速度",
-"Hatchet Master":"斧刃宗師",
-"Slaughter":"屠殺 ",
-"Axe Damage":"斧的傷害",
-"Bleed Chance":"流血機率",
-"Born to Fight":"為戰而生",
-"Physical Attack Damage":"物理攻擊傷害",
-"Life":"生命",
-"Spirit":"精魂",
-"Stamina":"充沛精力",
-"Endurance":"耐力",
-"Vigour":"活力之源",
-"Mana":"魔力",
-"Mana and Guard Skill Cooldown Recovery":"魔力和守護技能冷卻時間恢復",
-"Mana and Reduced Mana Cost":"魔力和減少魔力消耗",
-"Life Regeneration per Endurance Charge":"耐力球生命回復",
-"Life Leech and Attack Speed":"生命偷取和攻擊速度",
-"Lust for Carnage":"汲血者",
-"Life Leech Speed and Attack Speed":"生命偷取速度和攻擊速度",
-"Blunt Trauma":"麻痺創傷",
-"Knockback Chance":"擊退機率",
-"Knockback Distance":"擊退距離",
-"Fending":"自衛術",
-"Endurance Charge Duration":"耐力球持續",
-"Bloodless":"無血之體",
-"Stun Threshold Reduction":"暈眩門檻減免",
-"Armour and Life":"護甲和生命",
-"Elemental Resistances":"元素抗性",
-"Life and Energy Shield":"生命與能量護盾",
-"Accuracy and Critical Strike Chance":"命中和暴擊率",
-"Eagle Eye":"鷹眼",
-"Warrior's Blood":"戰士之血",
-"Arcing Blows":"電能之擊",
-"Weapon Cold Damage":"武器冰冷傷害",
-"Wand Elemental Damage":"法杖元素傷害",
-"Wand Elemental Damage and Penetration":"法杖元素傷害和穿透",
-"Spell Damage per Power Charge":"暴擊球法術傷害",
-"Shock Chance":"感電機率",
-"Static Blows":"充能之擊",
-"Lightning Damage and Shock Chance":"閃電傷害和感電機率",
-"Wandslinger":"鬥杖者之力",
-"Wand Physical Damage and Attack Speed":"法杖物理傷害和攻擊速度",
-"Wand Physical Damage":"法杖物理傷害",
-"Wand Damage":"法仗傷害",
-"Wand Damage and Attack Speed":"法杖傷害和攻擊速度",
-"Elder Power":"智慧之力",
-"Dagger Critical Strike Multiplier":"匕首暴擊加成",
-"Dagger Critical Strike Chance and Leech":"匕首暴擊率和偷取",
-"Nightstalker":"夜襲",
-"Dagger Critical Strike Chance and Multiplier":"匕首暴擊率和暴擊加成",
-"Dagger Damage":"匕首傷害",
-"Flaying":"剝皮刃",
-"Claws of the Magpie":"鵲爪",
-"Claw Damage":"爪的傷害",
-"Claws of the Falcon":"獵鷹之爪",
-"Grave Intentions":"亡靈之誓",
-"Death Attunement":"亡靈諧曲",
-"Minion Life and Chaos Resistance":"召喚物生命和混沌抗性",
-"Minion Life Regeneration":"召喚物生命回復",
-"Minion Damage and Accuracy":"召喚物傷害和命中",
-"Wand Lightning Damage":"法杖閃電傷害",
-"Energy Shield":"能量護盾",
-"Mind Drinker":"汲靈術",
-"Heart of Thunder":"雷霆之心",
-"Lightning Critical Strike Multiplier":"閃電傷害",
-"Lightning Walker":"雷靈之道",
-"Lightning Damage":"閃電傷害",
-"Freeze Chance":"冰凍機率",
-"Flask Charges Gained":"獲得藥劑充能",
-"Fire Damage":"火焰傷害",
-"Fire Walker":"火靈之道",
-"Burning Damage Multiplier":"燃燒傷害加成",
-"Fire Damage and Life Regeneration":"火焰傷害和生命回復",
-"Arsonist":"縱火",
-"Energy Shield and Energy Shield Recharge Rate":"能量護盾和能量護盾回復率",
-"Fingers of Frost":"凜冽之指",
-"Frost Walker":"冰靈之道",
-"Cold Damage":"冰冷傷害",
-"Cold Damage and Freeze Chance":"冰冷傷害和冰凍機率",
-"Cold Ailment Duration":"冰冷異常狀態持續時間",
-"Cold Damage Over Time Multiplier":"冰冷持續傷害加成",
-"Holy Fire":"神聖之火",
-"Spell Critical Strike Chance":"法術暴擊率",
-"Spell Critical Strike Multiplier":"法術暴擊加成",
-"Arcane Potency":"秘能爆發",
-"Amplify":"增幅",
-"Area of Effect":"效果範圍",
-"Area of Effect Damage":"範圍傷害",
-"Deep Thoughts":"沉靜思維",
-"Mana Regeneration and Life":"魔力回復與生命",
-"Mana Regeneration and Reduced Mana Cost":"魔力回復和減少魔力消耗",
-"Critical Strike Multiplier":"暴擊加成",
-"Nimbleness":"巧語",
-"Cast Speed":"施放速度",
-"Cast Speed and Spell Critical Strike Chance":"施放速度",
-"Vampirism":"吸血主義",
-"Wrecking Ball":"崩雷",
-"Skill Duration":"技能持續時間",
-"One With Nature":"自然合一",
-"Adder's Touch":"毒蛇之觸",
-"Sword Damage and Block":"劍的傷害和格擋",
-"Sword Damage and Attack Speed":"劍的傷害和攻擊速度",
-"Blade Master":"刀劍宗師",
-"Poisonous Fangs":"迴轉死神",
-"Dagger Damage and Attack Speed":"匕首傷害和攻擊速度",
-"From the Shadows":"影刃",
-"Life Raker":"生靈收割者",
-"Intuition":"直覺",
-"Claw Damage and Attack Speed":"爪的傷害和攻擊速度",
-"Heavy Draw":"強弩",
-"Physical Bow Damage and Stun Threshold":"物理弓傷害和暈眩門檻",
-"Bow Damage Over Time":"弓持續傷害",
-"Bow Critical Strike Chance and Multiplier":"弓暴擊率和加成",
-"Bow Damage":"弓傷害",
-"Bow Damage and Attack Speed":"弓的傷害和攻擊速度",
-"Bow Damage and Accuracy":"弓的傷害和命中",
-"Bow Damage and Critical Strike Chance":"弓的傷害和暴擊率",
-"Poison Chance and Damage":"中毒機率和傷害",
-"Hunter's Gambit":"獵人之局",
-"Fervour":"激情",
-"Frenetic":"狂熱",
-"Savagery":"野性之心",
-"King of the Hill":"強弩之弦",
-"Frenzy Charge Duration":"狂怒球持續時間",
-"Evasion Per Frenzy Charge":"每顆狂怒球閃避",
-"Evasion and Spell Suppression":"閃避和法術壓抑",
-"Life and Stun Avoidance":"生命和避免暈眩",
-"Mana and Mana Regeneration":"魔力和魔力回復",
-"Mana Flows":"魔力之流",
-"Mana and Flask Charges Gained":"魔力和藥劑充能獲得",
-"Heart of Oak":"橡木之心",
-"Shock Avoidance":"避免感電",
-"Ignite Avoidance":"避免點燃",
-"Freeze and Chill Avoidance":"避免冰凍與冰緩",
-"Dual Wield Attack Speed":"雙持攻擊速度",
-"Projectile Damage and Accuracy":"投射物傷害和命中",
-"Projectile Damage and Attack Speed":"投射物傷害與攻擊速度",
-"Accuracy and Attack Speed":"命中和攻擊速度",
-"Accuracy and Elemental Resistances":"命中和元素抗性",
-"Weathered Hunter":"夜之狩獵",
-"Acuity":"心眼",
-"Ballistics":"彈道學",
-"Projectile Damage":"投射物傷害",
-"Ranger":"遊俠",
-"Deadeye":"銳眼",
-"Pathfinder":"追獵者",
-"Huntress":"女獵人",
-"Amazon":"亞馬遜",
-"Ritualist":"儀式行者",
-"Shadow":"暗影刺客",
-"Monk":"僧侶",
-"Invoker":"祈靈者",
-"Acolyte of Chayula":"夏烏拉侍僧",
-"Witch":"女巫",
-"Infernalist":"獄火師",
-"Blood Mage":"血法師",
-"Lich":"巫妖",
-"Abyssal Lich":"深淵妖巫",
-"Sorceress":"女術者",
-"Stormweaver":"風暴編織者",
-"Chronomancer":"時空幻術師",
-"Disciple of Varashta":"瓦拉什塔門徒",
-"Marauder":"野蠻人",
-"Warrior":"戰士",
-"Titan":"泰坦",
-"Warbringer":"戰爭使者",
-"Smith of Kitava":"奇塔弗工匠",
-"Duelist":"決鬥者",
-"Mercenary":"傭兵",
-"Tactician":"智勇軍師",
-"Witchhunter":"女巫獵人",
-"Gemling Legionnaire":"古靈軍團",
-"Templar":"聖騎士",
-"Druid":"德魯伊",
-"Oracle":"天啟先知",
-"Shaman":"狂徒薩滿",
-"Two Handed Melee Damage and Life Leech Speed":"雙手武器近戰傷害和收命偷取",
-"Executioner":"處決者",
-"Cleaving":"劈砍",
-"Shield Defences":"盾牌防禦",
-"Shield Damage and Block":"盾牌傷害和格擋",
-"Blood Siphon":"血液抽取",
-"Accuracy and Attack Damage":"命中和攻擊傷害",
-"Weapon Artistry":"舞刃宗師",
-"Dual Wield Damage":"雙持傷害",
-"Ambidexterity":"卓越",
-"Critical Strike Chance":"暴擊率",
-"Heartseeker":"刺心者",
-"Razor's Edge":"剃刃",
-"Weapon Elemental Damage":"武器元素傷害",
-"Aspect of the Eagle":"鷹靈祝福",
-"Butchery":"屠戮",
-"Two Handed Melee Damage and Area of Effect":"雙手武器近戰傷害和範圍效果",
-"Destroyer":"破壞者",
-"Two Handed Attack Speed":"雙手武器攻擊速度",
-"Attack Speed":"攻擊速度",
-"Brutal Blade":"殘暴之刃",
-"Bow Accuracy":"弓的命中",
-"Bow Attack Speed and Accuracy":"弓的攻擊速度和命中",
-"Projectile Attack Critical Strike Chance":"投射物攻擊暴擊率",
-"Lethality":"致命鋒芒",
-"Projectile Attack Critical Strike Chance and Multiplier":"投射物攻擊暴擊率和加成",
-"Master Fletcher":"飛矢宗師",
-"Testudo":"龜甲盾",
-"Evasion and Life":"閃避和生命",
-"Melee Damage and Life":"近戰傷害和生命",
-"Blade Barrier":"劍刃屏障",
-"Sword Critical Strike Chance and Multiplier":"劍的暴擊率和加成",
-"Crystal Skin":"魔晶之膚",
-"Mana and Life":"魔力和生命",
-"SIX":"六",
-"Melee Damage":"近戰傷害 ",
-"One Handed Melee Damage":"單手武器近戰傷害",
-"Melee Critical Strike Multiplier":"近戰暴擊加成",
-"Spell Damage and Mana":"法術傷害和魔力",
-"Damage and Mana":"傷害和魔力",
-"Spell Damage":"法術傷害",
-"Movement Speed and Spell Suppression":"移動速度和法術壓抑",
-"Diamond Skin":"珍鑽肌膚",
-"Evasion":"閃避值",
-"Arcane Focus":"秘能之心",
-"Instability":"聚能之界",
-"Infused":"灌注",
-"Mana Regeneration":"魔力回復",
-"Disemboweling":"開腸剖肚",
-"Melee Critical Strike Chance":"近戰暴擊率",
-"Divine Fervour":"聖情",
-"Throatseeker":"割喉者",
-"Minion Attack and Cast Speed":"召喚物攻擊和施放速度",
-"Strength":"力量",
-"Beef":"壯漢",
-"Physique":"壯碩之體",
-"Master of the Arena":"決戰宗師",
-"Heart of the Warrior":"戰士之心",
-"Art of the Gladiator":"鬥士藝術",
-"Agility":"靈敏",
-"Dexterity":"敏捷",
-"Alacrity":"迅捷",
-"Proficiency":"熟能生巧",
-"Expertise":"超群身法",
-"Ancestral Knowledge":"先祖智慧",
-"Intelligence":"智慧",
-"Deep Wisdom":"沉靜智慧",
-"Arcanist's Dominion":"奧術師之統御",
-"Thief's Craft":"盜賊工藝",
-"Wisdom of the Glade":"原野智慧",
-"Holy Dominion":"聖御",
-"Galvanic Hammer":"聚能之錘",
-"Mace Critical Strike Chance and Multiplier":"錘的暴擊率和加成",
-"Hard Knocks":"靜修",
-"Coordination":"和諧之體",
-"Finesse":"嫻熟",
-"Presage":"預示",
-"Might":"堅強力量",
-"Movement Speed":"移動速度",
-"Attack Damage":"攻擊傷害",
-"Dervish":"修行之刃",
-"Berserking":"狂戰之魂",
-"Twin Terrors":"雙重懼刃",
-"Dual Wield Critical Strike Multiplier and Accuracy":"雙持武器暴擊加成和命中",
-"Doom Cast":"滅世之靈",
-"Trickery":"詭計",
-"Sleight of Hand":"戲法",
-"One Handed Damage":"單手武器傷害",
-"Shield Block and Elemental Resistances with a Shield":"盾牌格擋和持盾元素抗性",
-"Sword Critical Strike Chance":"劍的暴擊率",
-"Savage Wounds":"殘疤",
-"Golem's Blood":"魔像血統 ",
-"Evasion and Elemental Resistances":"閃避與元素抗性",
-"Reflexes":"反射",
-"Swagger":"雙刃之舞",
-"Block":"格擋",
-"Dual Wield Block and Attack Speed":"雙持格擋和攻擊速度",
-"Ignite Chance and Duration":"點燃機率和持續時間",
-"Heart of Flame":"火焰之心",
-"Revenge of the Hunted":"死亡通緝",
-"Life and Elemental Ailment Avoidance":"生命和避免元素異常狀態",
-"Blast Radius":"法術範圍增幅",
-"Lord of the Dead":"亡靈之主",
-"Gravepact":"亡靈之約",
-"Minion Life and Damage":"召喚物生命和傷害",
-"Accuracy":"命中",
-"Fury Bolts":"破空彈",
-"Versatility":"俊敏",
-"Attack and Cast Speed Accuracy":"命中、攻擊速度與施放速度",
-"Thick Skin":"強化之膚",
-"Written in Blood":"血書",
-"Cruel Preparation":"殘忍準備",
-"Faith and Steel":"鋼之信仰",
-"Necromantic Aegis":"靈能神盾",
-"Arrow Dancing":"箭矢閃躍",
-"Discipline and Training":"嚴峻訓練",
-"Reservation Efficiency":"保留效用",
-"Leadership":"領導精神",
-"Aura Area of Effect":"光環範圍效果",
-"Unnatural Calm":"沉寂之心",
-"Purity of Flesh":"肉體之純潔",
-"Coldhearted Calculation":"冷酷計算",
-"Evasion and Energy Shield":"閃避和能量護盾",
-"Fangs of the Viper":"毒蛇之牙",
-"Fire Damage and Area of Effect":"火焰傷害和範圍效果",
-"Attack Ignite Chance and Attack Speed":"攻擊點燃機率和攻擊速度",
-"Weapon Lightning Damage":"武器閃電傷害",
-"Trap and Mine Throwing Speed":"陷阱與地雷投擲速度",
-"Trap Critical Strike Chance and Multiplier":"陷阱暴擊率和加成",
-"Mine Critical Strike Chance and Multiplier":"地雷爆擊率和加成",
-"Attack Speed and Accuracy":"攻擊速度與命中",
-"Soul of Steel":"堅鋼之靈",
-"Mana Regeneration and Intelligence":"魔力回復與智慧",
-"Spell Damage and Intelligence":"法術傷害與智慧",
-"Projectile Damage and Dexterity":"投射物傷害與敏捷",
-"Attack Speed and Dexterity":"攻擊速度與敏捷",
-"Life and Strength":"生命與力量",
-"Physical Damage and Strength":"物理傷害與力量",
-"Physical Damage":"物理傷害",
-"Fire Resistance":"火焰抗性",
-"Fire Resist":"火焰抗性",
-"Cold Resistance":"冰冷抗性",
-"Cold Resist":"冰冷抗性",
-"Lightning Resistance":"閃電抗性",
-"lightning resist":"閃電抗性",
-"Ghost Reaver":"靈能護體",
-"Void Barrier":"虛影屏障",
-"Armour and Evasion":"護甲和閃避",
-"Cloth and Chain":"迅影秘術",
-"Serpent Stance":"蛇影戰陣",
-"Energy Shield Recharge Rate":"能量護盾充能率",
-"Mana and Aura Area of Effect":"魔力和光環範圍效果",
-"Primal Spirit":"原始精神",
-"Mana and Flask Effect":"魔力和藥劑效果",
-"Seven":"七",
-"Totem Damage and Placement Speed":"圖騰傷害和放置速度",
-"Totem Attack and Cast Speed":"圖騰攻擊和施放速度",
-"Shamanistic Fury":"薩滿之怒",
-"Totem Life and Elemental Resistances":"圖騰生命和元素抗性",
-"Primal Manifestation":"圖騰專精",
-"Totem Placement Speed and Duration":"圖騰放置速度和持續時間",
-"Totem Life and Placement Speed":"圖騰生命和放置速度",
-"Totemic Zeal":"熱情圖騰",
-"Trap Damage":"陷阱傷害",
-"Mine Detonation Speed":"地雷引爆速度",
-"Volatile Mines":"零秒出手",
-"Trap Throwing Speed":"陷阱投擲速度",
-"Master Sapper":"工兵大師",
-"High Explosives":"煉獄炸彈",
-"Mine Damage":"地雷傷害",
-"Clever Construction":"巧妙構築",
-"Saboteur":"破壞者",
-"Path of the Warrior":"戰士之路",
-"Path of the Savant":"賢者之路",
-"Path of the Hunter":"獵人之路",
-"Shaper":"聖杯",
-"Harrier":"海獵鷹",
-"Essence Infusion":"精髓灌注",
-"Aura Effect":"光環效果",
-"Influence":"影響",
-"Charisma":"魅力",
-"Sovereignty":"主權",
-"Attack Speed and Rage ":"攻擊速度和盛怒",
-"Mace Damage and Attack Speed":"錘的傷害和攻擊速度",
-"Damage Over Time":"持續傷害",
-"Chaos Damage and Withered Expiry Rate":"混沌傷害和凋零失效率",
-"Entropy":"亂世",
-"Chaos Damage":"混沌傷害",
-"Chaos Damage Over Time Multiplier":"混沌持續傷害加成",
-"Chaos Resistance":"混沌抗性",
-"One with Evil":"邪靈合一",
-"Corruption":"腐化",
-"Minion Block":"召喚物格擋",
-"Decay Ward":"腐蝕之衛",
-"Minion Spell Block":"召喚物法術格擋",
-"Strong Arm":"強壯手臂",
-"Stun Duration":"暈眩持續",
-"Goliath":"巨靈",
-"Axe Damage and Impale Chance":"斧傷害和穿刺機率",
-"Physical and Chaos Damage and Life":"物理和混沌傷害與生命",
-"Physical and Chaos Damage":"物理與混沌傷害",
-"Soul Siphon":"靈魂吸收",
-"Clever Thief":"聰穎盜賊",
-"Blood Drinker":"嗜血者",
-"Energy Shield and Mana":"能量護盾和魔力",
-"Energy Shield and Mana Regeneration":"能量護盾和魔力",
-"Energy Shield and Recovery":"能量護盾和回復",
-"Heart and Soul":"心與靈",
-"Annihilation":"橫掃千軍",
-"Elemental Damage":"元素傷害",
-"Cold Ailment Effect":"冰冷異常狀態效果",
-"Chance to Ignite":"點燃機率",
-"Lightning Ailment Effect":"閃電異常狀態效果",
-"Prism Weave":"綾彩交織",
-"Wand Attack Speed and Accuracy":"法杖攻擊速度和精準",
-"Curse Effect":"詛咒效果",
-"Skittering Runes":"飛掠符文",
-"Curse Cast Speed":"詛咒施放速度",
-"Defiled Forces":"玷汙之利",
-"Practical Application":"化虛為實",
-"Avoid Interruption while Casting and Elemental Resistances":"施放時避免干擾和元素抗性",
-"Chance for Extra Fork Projectile":"額外分裂投射物機率",
-"Piercing Shots":"穿射箭矢",
-"Essence Surge":"精純之潮",
-"Survivalist":"死裡逃生",
-"Avoid Status Ailments":"避免異常狀態",
-"Constitution":"構成",
-"Foresight":"先見之明",
-"Druidic Rite":"德魯伊的儀式",
-"Forces of Nature":"自然之力",
-"Fatal Blade":"致命之刃",
-"Revelry":"狂歡",
-"Bow Damage and Evasion":"弓的傷害和閃避",
-"Avatar of the Hunt":"狩獵之徵",
-"Weapon Fire Damage":"武器火焰傷害",
-"Elemental Damage and Resistances":"元素傷害和抗性",
-"Ash Frost and Storm":"三相之力",
-"Mental Rapidity":"精神迅捷",
-"Quick Recovery":"快速回復",
-"Combat Stamina":"戰鬥精力",
-"Martial Experience":"武術經驗",
-"Dynamo":"蓄電",
-"Battle Rouse":"戰鬥鼓舞",
-"Exceptional Performance":"卓越的表現",
-"Command of Steel":"鋼鐵命令",
-"Mana and Flasks":"魔力與藥劑",
-"Arcane Chemistry":"祕法學",
-"Life and Flasks":"生命與藥劑",
-"Profane Chemistry":"生物學",
-"Master of Blades":"劍刃大師",
-"Life and Life on Kill":"生命與擊殺回復生命",
-"Hired Killer":"受雇殺手",
-"Mana and Mana on Kill":"魔力與擊殺回復魔力",
-"Thrill Killer":"驚險殺手",
-"Dreamer":"幻夢者",
-"Melding":"融合",
-"True Strike":"真實之擊",
-"Armour and Life Regeneration":"護甲與生命回復",
-"Claw Critical Strike Chance and Accuracy":"爪暴擊率和命中",
-"Claw Critical Strike Chance":"爪暴擊率",
-"Staff Critical Strike Chance":"長杖暴擊率和傷害",
-"Staff Critical Strike Chance and Multiplier":"長杖暴擊率和加成",
-"Claw Attack Speed":"爪攻擊速度",
-"Champion of the Cause":"起源",
-"Ribcage Crusher":"碎胸者",
-"Breath of Flames":"火焰之息",
-"Breath of Lightning":"閃電之息",
-"Breath of Rime":"霜雪之息",
-"Tempest Blast":"風暴衝擊",
-"Claw Ailment Damage and Poison Duration":"爪的異常狀態傷害和中毒持續時間",
-"Claw Critical Strike Chance and Multiplier":"爪暴擊率和加成",
-"Claw Ailment Damage and Poison Chance":"爪的異常狀態傷害和中毒機率",
-"Dual Wield Damage and Attack Speed":"雙持傷害和攻擊速度",
-"Dual Wield Damage and Block":"雙持傷害和格擋",
-"Wand Critical Strike Chance and Multiplier":"法杖暴擊率和加成",
-"Mace Elemental Damage and Accuracy":"錘的元素傷害與命中",
-"Physical Attack Damage and Life":"物理傷害與生命",
-"Armour Evasion and Life":"護甲、閃避與生命",
-"Bravery":"英勇",
-"Attack Damage with Shield":"持盾攻擊傷害",
-"Defences with Shield":"持盾防禦",
-"Defiance":"反抗",
-"Dual Wield Accuracy":"雙持武器命中",
-"Two Handed Melee Accuracy":"雙手武器近戰命中",
-"Life Recoup":"生命補償",
-"Retribution":"制裁",
-"Sanctity":"聖潔之力",
-"Light of Divinity":"神聖啟蒙",
-"Righteous Decree":"正義審判",
-"Robust":"堅固",
-"Melee Attack Speed":"近戰攻擊速度",
-"Life and Elemental Resistances":"生命與元素抗性",
-"Barbarism":"野蠻",
-"Juggernaut":"勇士",
-"Block Chance and Attack Damage with Shield":"持盾格擋率和攻擊傷害",
-"Attack Damage and Attack Speed with Shield":"持盾攻擊傷害和攻擊速度",
-"Retaliation":"復仇",
-"Shield Block and Elemental Resistances":"盾牌格擋和元素抗性",
-"Cold and Lightning Damage":"冰冷與閃電傷害",
-"Storm Weaver":"風暴織者",
-"Faster Bleeding":"加速流血",
-"Maximum Lightning Resistance":"最大閃電抗性",
-"Sword Critical Strike Multiplier":"劍暴擊加成",
-"Blade of Cunning":"巧刃",
-"Sword Accuracy and Critical Strike Chance":"劍的命中和暴擊率",
-"Life and Reduced Cost":"生命與減少消耗",
-"Sanctum of Thought":"靈思聖殿",
-"Mana and Life Regeneration":"生命回復和魔力回復",
-"Bleed Damage and Chance":"流血傷害和機率",
-"Bleed Damage Multiplier":"流血傷害加成",
-"Bloodletting":"滲血",
-"Basic Jewel Socket":"基礎珠寶插槽",
-"Large Jewel Socket":"巨型珠寶插槽",
-"Power Charge Duration":"暴擊球持續",
-"Cold Damage and Cold Ailment Effect":"冰冷傷害和冰冷異常狀態效果",
-"Flash Freeze":"閃現冰凍",
-"Armour Evasion and Onslaught Effect":"胸甲、閃避和猛攻效果",
-"Graceful Assault":"權貴攻擊",
-"Hematophagy":"吸血",
-"Life and Mana Leech":"生命與魔力偷取",
-"Spirit Void":"精華抽取",
-"Mana on Hit":"擊中獲得魔力",
-"Essence Sap":"靈魂虛空",
-"Vitality Void":"活力虛空",
-"Dagger Damage and Movement Speed":"匕首的傷害和移動速度",
-"Attack Damage while Fortified":"護體時攻擊傷害",
-"Fortification Gain":"獲得護體",
-"Fortification Duration":"護體持續時間",
-"Rampart":"壁壘",
-"Explosive Elements":"爆炸元素",
-"Totem Critical Strike Chance":"圖騰暴擊率",
-"Totem Critical Strike Multiplier":"圖騰暴擊加成",
-"Shaman's Dominion":"薩滿領地",
-"Ignite Chance":"點燃機率",
-"Fire Damage and Cast Speed":"火焰傷害和施放速度",
-"Explosive Impact":"暴烈衝擊",
-"Lightning Damage and Cast Speed":"閃電傷害和施放速度",
-"Crackling Speed":"神速暴裂",
-"Fire and Cold Damage":"火焰和冰冷傷害",
-"Snowforged":"雪鍛",
-"High Voltage":"高壓伏特",
-"Armour Endurance Charge Duration":"護甲、耐力球持續時間",
-"Armour Attack Speed":"護甲、攻擊速度",
-"Armour Movement Speed":"護甲、移動速度",
-"Armour Stun Duration":"護甲、暈眩持續時間",
-"Armour Stun Threshold":"護甲、暈眩門檻",
-"Undeniable":"不可置疑",
-"Unflinching":"永不動搖",
-"Unrelenting":"殺無赦",
-"Untiring":"不懈",
-"Armour Life Regeneration":"護甲、生命回復",
-"Physical Damage Life Leeched per Second":"物理傷害、每秒生命偷取",
-"Physical Damage Critical Strike Chance":"物理傷害、暴擊率",
-"Physical Damage Attack Speed":"物理傷害、攻擊速度",
-"Physical Damage Warcry Speed":"物理傷害、戰吼速度",
-"War Bringer":"戰爭使者",
-"Rite of Ruin":"毀滅儀式",
-"Defy Pain":"抵禦苦痛",
-"Flawless Savagery":"純淨殘暴",
-"Crave the Slaughter":"屠戮之慾",
-"Aspect of Carnage":"血肉之章",
-"Blitz":"閃電戰",
-"Life Regeneration Endurance Charge on Kill":"生命回復、擊殺時獲得耐力球",
-"Life Regeneration Fire Damage":"生命回復、火焰傷害",
-"Life Regeneration Area of Effect":"生命回復、範圍效果",
-"Life Regeneration Totem Placement Speed":"生命回復、圖騰放置速度",
-"Arohongui Moon's Presence":"月使．亞歐紅古",
-"Ngamahu Flame's Advance":"火徒．拿瑪乎",
-"Hinekora Death's Fury":"死之狂怒．悉妮蔻拉",
-"Tasalio Cleansing Water":"淨化之水．塔薩里奧",
-"Tukohama War's Herald":"戰爭使者．圖克哈瑪",
-"Tawhoa Forest's Strength":"森林之力．塔赫亞",
-"Ramako Sun's Light":"烈陽之光．雷默科",
-"Life Regeneration Fire Resistance":"生命回復、火焰抗性",
-"Valako Storm's Embrace":"風暴之擁．瓦拉庫",
-"Evasion Frenzy Charge Duration":"閃避、狂怒球持續時間",
-"Way of the Poacher":"盜獵者之途",
-"Avatar of the Slaughter":"殺戮使徒",
-"Evasion Onslaught Effect":"閃避、猛攻效果",
-"Avatar of the Chase":"追獵使徒",
-"Evasion Elemental Damage":"閃避、元素傷害",
-"Quartz Infusion":"石英化身",
-"Avatar of the Veil":"面紗女神",
-"Projectile Damage Mark Cast Speed":"投射物傷害、印記施放速度",
-"Focal Point":"焦點",
-"Projectile Damage Attack Speed":"投射物傷害、攻擊速度",
-"Projectile Damage Accuracy":"投射物傷害、命中率",
-"Projectile Damage Projectile Speed":"投射物傷害、投射物速度",
-"Far Shot":"遠射",
-"Rupturing":"斷裂",
-"Projectile Damage Critical Strike Chance":"投射物傷害、暴擊率",
-"Projectile Damage Mirage Archer Duration":"投射物傷害、幻影射手持續時間",
-"Occupying Force":"侵佔部隊",
-"Flask Effect and Duration":"藥劑效果和持續時間",
-"Nature's Adrenaline":"大自然的腎上腺素",
-"Master Surgeon":"手術大師",
-"Flask Effect and Charges Gained":"藥劑效果和充能",
-"Nature's Boon":"自然的恩賜",
-"Master Alchemist":"煉金術大師",
-"Flask Effect Attack Damage":"藥劑效果、攻擊傷害",
-"Veteran Bowyer":"製箭大師",
-"Flask Effect Chaos Damage":"藥劑效果、混沌傷害",
-"Nature's Reprisal":"大自然的報仇",
-"Flask Effect Poison Duration":"藥劑效果、中毒持續時間",
-"Master Toxicist":"毒物大師",
-"Energy Shield Curse Effect":"能量護盾、詛咒效果",
-"Energy Shield Cold and Chaos Damage":"能量護盾、冰冷和混沌傷害",
-"Energy Shield Power Charge Duration":"能量護盾、暴擊球持續時間",
-"Energy Shield Energy Shield Recharge Rate":"能量護盾、能量護盾回復速率",
-"Profane Bloom":"穢言亡語",
-"Unholy Authority":"不潔權威",
-"Vile Bastion":"殘劣壁壘",
-"Void Beacon":"虛無之塔",
-"Forbidden Power":"禁忌力量",
-"Energy Shield Chaos Damage":"能量護盾、混沌傷害",
-"Energy Shield Cold Damage":"能量護盾、冰冷傷害",
-"Frigid Wake":"寒凜喚醒",
-"Elemental Damage Attack and Cast Speed":"元素傷害、攻擊和施放速度",
-"Liege of the Primordial":"先祖諸王",
-"Mastermind of Discord":"混沌天才",
-"Heart of Destruction":"毀滅之心",
-"Bastion of Elements":"元素壁壘",
-"Elemancer":"元能者",
-"Elemental Damage Fire Damage over Time Multiplier":"元素傷害、火焰持續傷害加成",
-"Elemental Damage Lightning Ailment Effect":"元素傷害、閃電異常狀態效果",
-"Elemental Damage Cold Ailment Effect":"元素傷害、冰冷異常狀態效果",
-"Shaper of Flames":"火焰雕塑者",
-"Minion Damage and Life":"召喚物傷害和生命",
-"Minion Damage Skill Duration":"召喚物傷害、技能持續時間",
-"Minion Damage Mana":"召喚物傷害、魔力",
-"Minion Damage Aura Effect":"召喚物傷害、光環效果",
-"Mindless Aggression":"無意識侵略",
-"Unnatural Strength":"超自然之力",
-"Bone Barrier":"骸骨屏障",
-"Mistress of Sacrifice":"奉獻女魔",
-"Essence Glutton":"吞噬精華",
-"Commander of Darkness":"黑暗統御者",
-"Minion Damage Cast Speed":"召喚物傷害、施放速度",
-"Plaguebringer":"瘟疫帶原者",
-"Corpse Pact":"屍骨盟約",
-"Attack Damage Critical Strike Chance":"攻擊傷害、暴擊率",
-"Attack Damage Attack Speed":"攻擊傷害、攻擊速度",
-"Attack Damage Life Leech":"攻擊傷害、生命偷取",
-"Attack Damage Area of Effect":"攻擊傷害、範圍效果",
-"Headsman":"獵頭者",
-"Overwhelm":"鎮壓",
-"Bane of Legends":"神話災難",
-"Endless Hunger":"無盡飢餓",
-"Brutal Fervour":"殘暴熱情",
-"Impact":"衝擊",
-"Attack Damage Frenzy and Endurance Charge Duration":"攻擊傷害、狂怒和耐力球持續時間",
-"Masterful Form":"神采之形",
-"Attack Speed Physical Damage":"攻擊速度、物理傷害",
-"Attack Speed Block Chance":"攻擊速度、格擋率",
-"Attack Speed and One Handed Damage":"攻擊速度和單手武器傷害",
-"Gratuitous Violence":"免費暴力",
-"Outmatch and Outlast":"完美勝出",
-"Painforged":"痛苦鑄造",
-"Violent Retaliation":"暴力復仇",
-"Reigning Veteran":"在位老鳥",
-"Attack Speed Movement Speed":"攻擊速度、移動速度",
-"Arena Challenger":"競技場挑戰者",
-"Armour and Evasion Taunt Duration":"護甲和閃避、嘲諷持續時間",
-"Armour and Evasion Attack Damage while Fortified":"護甲和閃避、護體時攻擊傷害",
-"Armour and Evasion Aura Effect":"護甲和閃避、光環效果",
-"Armour and Evasion Attack Damage":"護甲和閃避、攻擊傷害",
-"Fortitude":"堅忍",
-"Unstoppable Hero":"不敗英雄",
-"Conqueror":"征服者",
-"Worthy Foe":"可敬的對手",
-"First to Strike Last to Fall":"嗜戰如命",
-"Armour and Evasion Impale Chance":"護甲和閃避、穿刺機率",
-"Master of Metal":"鐵金剛",
-"Elemental Damage Life Regeneration":"元素傷害、生命回復速度",
-"Elemental Damage Critical Strike Multiplier":"元素傷害、暴擊加成",
-"Righteous Providence":"正義之庭",
-"Inevitable Judgement":"命運審判",
-"Augury of Penitence":"懺悔之卜",
-"Pious Path":"廉簡之途",
-"Instruments of Zeal":"狂熱儀",
-"Instruments of Virtue":"美德儀",
-"Mana Regeneration Arcane Surge Effect":"魔力回復速度、秘能波動效果",
-"Mana Regeneration Totem Placement Speed":"魔力回復速度、圖騰放置速度",
-"Mana Regeneration Mana":"魔力回復速度、魔力",
-"Divine Guidance":"神聖指引",
-"Sanctuary of Thought":"意識聖殿",
-"Pursuit of Faith":"信念之訴",
-"Ritual of Awakening":"昇華儀式",
-"Conviction of Power":"力量定罪",
-"Illuminated Devotion":"無上奉獻",
-"Arcane Blessing":"秘能庇護",
-"Mana Regeneration Brand Damage":"魔力回復速度、烙印傷害",
-"Sign of Purpose":"標記之印",
-"Armour and Energy Shield Block Chance":"護甲和能量護盾、格擋率",
-"Radiant Faith":"信念之輝",
-"Bastion of Hope":"希望壁壘",
-"Armour and Energy Shield Life Regeneration":"護甲和能量護盾、生命回復",
-"Armour and Energy Shield Aura Effect":"護甲和能量護盾、光環效果",
-"Armour and Energy Shield Charge Duration":"護甲和能量護盾、充能球持續時間",
-"Harmony of Purpose":"和諧之源",
-"Unwavering Faith":"不動信念",
-"Armour and Energy Shield Minion Damage":"護甲和能量護盾、召喚物傷害",
-"Radiant Crusade":"光輝遠征",
-"Unwavering Crusade":"堅定聖戰",
-"Critical Strike Chance Power Charge Duration":"暴擊率、暴擊球持續時間",
-"Unstable Infusion":"不穩定化身",
-"Deadly Infusion":"致命專注",
-"Critical Strike Chance and Multiplier":"暴擊率和加成",
-"Ambush and Assassinate":"伏擊與刺殺",
-"Opportunistic":"投機",
-"Critical Strike Chance Damage Over Time":"暴擊率、持續傷害",
-"Toxic Delivery":"毒物走私",
-"Noxious Strike":"淬毒打擊",
-"Critical Strike Chance Elusive Effect":"暴擊率、靈巧效果",
-"Mistwalker":"霧行者",
-"Evasion and Energy Shield Frenzy Charge Duration":"閃避和能量護盾、狂怒球持續時間",
-"Swift Killer":"敏捷殺手",
-"Polymath":"博學",
-"Evasion and Energy Shield Movement Speed":"閃避和能量護盾、移動速度",
-"Escape Artist":"逃脫大師",
-"Evasion and Energy Shield Attack and Cast Speed":"閃避和能量護盾、攻擊和施放速度",
-"Spellbreaker":"破法",
-"Evasion and Energy Shield Energy Shield Leech":"閃避和能量護盾、能量護盾偷取",
-"One Step Ahead":"先行",
-"Evasion and Energy Shield Damage":"閃避和能量護盾、傷害",
-"Evasion and Energy Shield Energy Shield Recharge":"閃避和能量護盾、能量護盾充能",
-"Trap and Mine Damage Movement Speed":"陷阱和地雷傷害、移動速度",
-"Pyromaniac":"縱火狂",
-"Born in the Shadows":"生在影中",
-"Trap and Mine Damage Elemental Resistances":"陷阱和地雷傷害、元素傷害和抗性",
-"Explosives Expert":"爆破專家",
-"Trap and Mine Damage Mine Throwing Speed":"陷阱和地雷傷害、地雷投擲速度",
-"Bomb Specialist":"炸彈專家",
-"Trap and Mine Damage Trap Throwing Speed":"陷阱和地雷傷害、陷阱投擲速度",
-"Perfect Crime":"完美犯罪",
-"Demolitions Specialist":"爆破天才",
-"Chain Reaction":"連鎖反應",
-"Will of Blades":"刀刃意志",
-"Path of the Ranger":"遊俠之道",
-"Path of the Witch":"女巫之道",
-"Path of the Marauder":"野蠻人之道",
-"Path of the Duelist":"決鬥者之道",
-"Path of the Shadow":"暗影刺客之道",
-"Path of the Templar":"聖騎士之道",
-"Passive Point":"天賦點數",
-"Strength and Dexterity":"力量和敏捷",
-"Strength and Intelligence":"力量和智慧",
-"Dexterity and Intelligence":"敏捷和智慧",
-"Marauder Ascendancy":"野蠻人昇華職業",
-"Ranger Ascendancy":"遊俠昇華職業",
-"Witch Ascendancy":"女巫昇華職業",
-"Duelist Ascendancy":"決鬥者昇華職業",
-"Templar Ascendancy":"聖騎士昇華職業",
-"Shadow Ascendancy":"暗影刺客昇華職業",
-"Druid":"德魯伊",
-"Soul Drinker":"飲魂者",
-"Damage Over Time Multiplier and Life Regeneration":"持續傷害加成與生命回復",
-"Damage Over Time Multiplier":"持續傷害加成",
-"Growth and Decay":"成長與衰變",
-"Atrophy":"萎縮",
-"Physical Damage and Attack and Cast Speed":"物理傷害和攻擊和施放速度",
-"Force Shaper":"力量成形",
-"Aspect of the Lynx":"山貓之靈",
-"Poison Chance":"中毒機率",
-"Poison Damage Multiplier":"中毒傷害加成",
-"Fatal Toxins":"致命之毒",
-"Poison Chance and Duration":"中毒機率和持續時間",
-"Ascendant":"昇華使徒",
-"Trap Trigger Area":"陷阱觸發範圍",
-"Unstable Munitions":"不穩定彈藥",
-"Trap Cooldown Recovery":"陷阱冷卻時間恢復",
-"Overprepared":"過度準備",
-"Trap Throwing Speed and Trigger Area":"陷阱拋射速度與觸發範圍",
-"Expeditious Munitions":"快速彈藥",
-"Mine Duration":"地雷持續時間",
-"Destructive Apparatus":"毀滅裝置",
-"Elemental Overload":"元素超載",
-"Overcharged":"超載",
-"Charge on Kill":"擊殺時充能",
-"Physical Damage as Extra Cold Damage":"物理傷害的額外冰冷傷害",
-"Winter Spirit":"寒冬之靈",
-"Weapon Elemental Damage Status Ailment Chance":"武器元素傷害異常狀態機率",
-"Weapon Elemental Damage and Ailment Effect":"武器元素傷害和異常狀態效果",
-"Primeval Force":"太古之力",
-"Insightfulness":"明察秋毫",
-"Counterweight":"平衡反擊",
-"Ailment Damage":"異常狀態傷害",
-"Damaging Ailment Duration":"傷害行異常狀態持續時間",
-"Dirty Techniques":"三流手段",
-"Perfect Agony":"絕對受難",
-"Toxic Strikes":"毒化之擊",
-"Chain Distance":"連鎖距離",
-"Crimson Dance":"緋紅舞蹈",
-"Damage with Life Cost Skills and Reduced Life Cost":"消耗生命的技能傷害和降低生命消耗",
-"Cannibalistic Rite":"食人儀式",
-"Damage and Energy Shield":"傷害和能量護盾",
-"Attack and Cast Speed":"攻擊和施放速度",
-"Devastating Devices":"破壞設置",
-"Minion Accuracy":"召喚物命中",
-"Physical and Minion Damage":"物理和召喚物傷害",
-"Minion Damage and Attack and Cast Speed":"召喚物傷害和攻擊和施放速度",
-"Righteous Army":"正義軍團",
-"Spiritual Command":"精神號令",
-"Redemption":"救贖",
-"Spiritual Aid":"精神救助",
-"Life Regeneration and Stun Threshold":"生命回復和暈眩門檻",
-"Admonisher":"告誡者",
-"Natural Authority":"自然權威",
-"Arcane Will":"秘能意志",
-"Runebinder":"束縛印",
-"Brand Damage":"烙印傷害",
-"Brand Damage and Duration":"烙印傷害和持續時間",
-"Brand Range and Brand Recall Cooldown Recovery":"烙印距離和烙印呼喚冷卻時間恢復",
-"Runesmith":"魔符匠",
-"Brand Critical Strike Chance":"烙印暴擊率",
-"Explosive Runes":"爆裂魔符",
-"Energy Shield Leech":"能量護盾偷取",
-"Increased Energy Shield Leeched":"增加能量護盾偷取",
-"Ethereal Feast":"虛空盛宴",
-"Light Eater":"嗜光者",
-"Avoidance":"避免",
-"Stun Avoidance":"暈眩避免",
-"Bleed Avoidance":"避免流血",
-"Poison Avoidance":"避免中毒",
-"Taste for Blood":"血味",
-"Tolerance":"寬容",
-"Physical and Lightning Damage":"物理和閃電傷害",
-"Physical and Fire Damage":"物理和火焰傷害",
-"Physical and Elemental Damage":"物理和元素傷害",
-"Chance to Ignite Freeze and Shock":"點燃、冰凍和感電機率",
-"Ailment Effect":"異常狀態效果",
-"Divine Judgement":"聖之審判",
-"Divine Fury":"聖之狂怒",
-"Divine Wrath":"聖之雷霆",
-"Life and Energy Shield on Kill":"擊殺時獲得生命和能量護盾",
-"Resourcefulness":"足智多謀",
-"Life and Mana on Hit":"擊中時獲得生命和魔力",
-"Dual Wield Cast Speed":"雙持施放速度",
-"Dual Wield Cast Speed and Movement Skill Cooldown Recovery":"雙持施放速度和位移技能冷卻時間恢復",
-"Dual Wield Spell Damage and Movement Speed":"雙持法術傷害和移動速度",
-"Dual Wield Attack and Cast Speed and Block":"雙持攻擊和施放速度和格擋",
-"Dual Wield Attack and Cast Speed":"雙持攻擊和施放速度",
-"Dual Wield Spell Damage and Spell Block":"雙持法術傷害和法術格擋",
-"Dark Arts":"黯黑藝術",
-"Staff Spell Damage":"長杖法術傷害",
-"Staff Area of Effect":"長杖範圍效果",
-"Staff Spell Damage and Spell Block":"長杖法術傷害和法術格擋",
-"Staff Spell Damage and Block":"長杖法術傷害和格擋",
-"Enigmatic Defence":"謎樣防禦",
-"Enigmatic Reach":"謎樣之域",
-"Shield Spell Block":"盾牌法術格擋",
-"Block Recovery and Energy Shield":"格擋恢復和能量護盾",
-"Arcane Guarding":"秘能守護",
-"Shield Spell Damage":"盾牌法術傷害",
-"Shield Spell Damage and Spell Block":"盾牌法術傷害和法術格擋",
-"Shield Cast Speed":"盾牌施放速度",
-"Arcane Sanctuary":"秘能聖所",
-"Spell Area of Effect and Damage":"法術範圍效果和傷害",
-"Arcane Expanse":"秘能擴張",
-"Wicked Ward":"惡毒牢房",
-"Poison Damage and Chance":"中毒傷害和機率",
-"Attack Speed and Poison Duration":"攻擊速度和中毒持續時間",
-"Swift Venoms":"迅速猛毒",
-"Attack Damage and Leech":"攻擊傷害和偷取",
-"Attack Damage and Speed":"攻擊傷害和速度",
-"Gladiator's Perseverance":"衛士之毅",
-"Melee Area of Effect and Damage":"近戰範圍效果和傷害",
-"Brinkmanship":"邊緣政策",
-"Evasion and Movement Speed":"閃避和移動速度",
-"Evasion and Movement Skill Cooldown Recovery":"閃避和位移技能冷卻時間恢復",
-"Fleetfoot":"飛毛腿",
-"Evasion and Blind Effect":"閃避和致盲效果",
-"Blind Duration":"致盲持續時間",
-"Silent Steps":"悄無聲息",
-"Evasion and Phasing":"閃避和迷蹤",
-"Freedom of Movement":"解放行動",
-"Inexorable":"無可避免",
-"Armour and Guard Skill Cooldown Recovery":"護甲和守護技能冷卻時間恢復",
-"Adamant":"堅定不移",
-"Dismembering":"肢解",
-"Maximum Fortification":"最大護體",
-"Season of Ice":"冰霜季節",
-"Spell Suppression":"法術壓抑",
-"Inveterate":"根深蒂固",
-"Impale Effect":"穿刺效果",
-"Impale Chance and Physical Attack Damage":"穿刺機率和物理攻擊傷害",
-"Merciless Skewering":"無情串燒",
-"Impale Chance":"穿刺激率",
-"Forceful Skewering":"強勢刺穿",
-"Physical Damage as Extra Fire Damage":"物理傷害的額外火焰傷害",
-"Magmatic Strikes":"岩漿之擊",
-"Blind Chance":"致盲機率",
-"Critical Strikes against Blinded Enemies":"對致盲敵人的暴擊",
-"Dazzling Strikes":"閃耀之擊",
-"Movement Speed per Frenzy Charge":"移動速度",
-"Attack Speed per Frenzy Charge":"每顆狂怒球攻擊速度",
-"Disciple of the Slaughter":"屠宰者之使徒",
-"Stun Duration per Endurance Charge":"每顆耐力球暈眩持續時間",
-"Armour per Endurance Charge":"每顆耐力球護甲",
-"Area of Effect per Endurance Charge":"每顆耐力球範圍效果",
-"Disciple of the Unyielding":"不屈之徒",
-"Projectile Damage and Speed":"投射物和速度",
-"Utmost Swiftness":"極度迅速",
-"Utmost Might":"極度權勢",
-"Utmost Intellect":"極度聰穎",
-"Maximum Cold Resistance":"最大冰冷抗性",
-"Maximum Fire Resistance":"最大火焰抗性",
-"Prismatic Skin":"稜彩之膚",
-"Axe Damage and Accuracy":"斧的傷害和命中",
-"Axe Damage and Critical Strike Chance":"斧的傷害和暴擊率",
-"Feller of Foes":"開墾之敵",
-"Pain Forger":"偽痛",
-"Courage":"勇氣",
-"Mace Critical Strike Multiplier":"錘的暴擊加成",
-"Mace Critical Strike Chance":"錘的暴擊率",
-"Mace Damage and Critical Strike Chance":"錘的傷害和暴擊率",
-"Blacksmith's Clout":"鐵匠之擊",
-"Spinecruncher":"碎脊者",
-"Spell Suppression and Life Flask Recovery":"法術壓抑和生命藥劑恢復",
-"Entrench":"壕溝戰",
-"Sword Damage and Melee Range":"劍的傷害和近戰範圍",
-"Bladedancer":"舞劍者",
-"Bow Area of Effect":"弓的範圍效果",
-"Farsight":"遠視",
-"Physical Bow Damage":"物理弓傷害",
-"Claws of the Hawk":"鷹爪功",
-"Claw Attack Speed and Poison Chance":"爪的攻擊速度和中毒機率",
-"Claw Critical Strike Multiplier":"爪的暴擊率加成",
-"Backstabbing":"背刺",
-"Dagger Ailment Damage":"匕首的異常狀態傷害",
-"Dagger Critical Strike Multiplier and Poison Duration":"匕首的暴擊加成和中毒持續時間",
-"Dagger Ailment Damage and Poison Chance":"匕首的異常狀態傷害和中毒機率",
-"Dagger Critical Strike Chance":"匕首的暴擊率",
-"Wasting":"虛耗",
-"Disintegration":"異變",
-"Two Handed Melee Critical Strike Chance and Accuracy":"雙手武器近戰暴擊率和命中",
-"Titanic Impacts":"巨大影響",
-"Two Handed Melee Damage and Stun Duration":"雙手武器近戰傷害和暈眩持續時間",
-"Two Handed Melee Damage and Reduced Enemy Stun Threshold":"雙手武器近戰傷害和減低敵人暈眩門檻",
-"Kinetic Impacts":"動能影響",
-"Dual Wield Critical Strike Chance":"雙持武器暴擊率",
-"Shield Damage and Defences":"盾牌傷害和防禦",
-"Shield Damage":"盾牌傷害",
-"Aggressive Bastion":"進擊的壁壘",
-"Spell Block":"法術格擋",
-"Spell Block and Elemental Resistances":"法術格擋和元素抗性",
-"Safeguard":"庇護",
-"Life on Hit":"擊中獲得生命",
-"Life on Kill and Recoup":"擊殺時護的生命和補償",
-"Warrior Training":"戰士訓練",
-"Staff Damage and Block":"長杖傷害和格擋",
-"Staff Damage and Armour":"長杖傷害和護甲",
-"Steelwood Stance":"鋼木之姿",
-"Staff Elemental Damage and Penetration":"長杖元素傷害和穿透",
-"One with the River":"與河同行",
-"Staff Accuracy":"長杖命中",
-"Deadly Draw":"致命箭矢",
-"Mana and Arcane Surge Effect":"魔力和秘能波動效果",
-"Arcane Capacitor":"秘能容器",
-"Life and Mana on Kill against Cursed Enemies":"擊殺被詛咒的敵人獲得生命和魔力",
-"Life on Kill against Cursed Enemies":"擊殺被詛咒的敵人獲得生命",
-"Last Rites":"最後儀式",
-"Mana Regeneration per Power Charge":"每顆暴擊球魔力回復",
-"Critical Strike Chance per Power Charge":"每顆暴擊球暴擊率",
-"Critical Strike Multiplier per Power Charge":"每顆暴擊球暴擊加成",
-"Disciple of the Forbidden":"禁忌紀律",
-"Mana and Spell Damage":"魔力和法術傷害",
-"Prodigal Perfection":"完美浪子",
-"Mana and Spell Block":"魔力和法術格擋",
-"Mystic Bulwark":"神幻壁壘",
-"Mana Flasks":"魔力藥劑",
-"Essence Extraction":"萃取精華",
-"Ravenous Horde":"貪婪之徒",
-"Minion Damage and Duration":"召喚物傷害和持續時間",
-"Enduring Bond":"持久合作",
-"Minion Critical Strike Chance":"召喚物暴擊率",
-"Fearsome Force":"恐怖之力",
-"Minion Life and Elemental Resistances":"召喚物生命和元素抗性",
-"Minion Life and Physical Damage Reduction":"召喚物生命和物理傷害減免",
-"Indomitable Army":"頑固軍隊",
-"Link Mana Cost":"連結魔力消耗",
-"Link Mana Cost and Cast Speed":"連結魔力消耗和施放速度",
-"Inspiring Bond":"啟發之絆",
-"Golem Life and Buff Effect":"魔像生命和增益效果",
-"Golem Commander":"魔像指揮官",
-"Life Flasks and Flask Duration":"生命藥劑和藥劑持續時間",
-"Field Medicine":"野戰醫學",
-"Mine Area of Effect":"地雷範圍效果",
-"Blast Waves":"爆炸浪潮",
-"Mine Throwing Speed":"地雷投擲速度",
-"Mine Critical Strike Chance":"地雷爆擊率",
-"Mine Critical Strike Multiplier":"地雷爆擊加成",
-"Successive Detonations":"連續爆破",
-"Mine Damage and Reservation Efficiency":"地雷傷害和保留效用",
-"Efficient Explosives":"高能炸彈",
-"Searing Heat":"灼熱",
-"Faster Ignite":"快速點燃",
-"Dire Torment":"悲慘折磨",
-"Critical Ailment Damage Over Time Multiplier":"暴擊異常狀態持續傷害加成",
-"Totem Attack and Placement Speed":"圖騰攻擊和放置速度",
-"Totem Critical Strike Chance and Multiplier":"圖騰暴擊率和加成",
-"Watchtowers":"看守塔",
-"Totem Damage and Attack Speed":"圖騰傷害和攻擊速度",
-"Surveillance":"監視",
-"Panopticon":"圓牢",
-"Powerful Bond":"強大之繫",
-"Link Duration and Cast Speed":"連結持續時間和施放速度",
-"Link Duration":"連結持續時間",
-"Burning Brutality":"燃燒殘暴",
-"Attack Ignite Chance":"攻擊點燃機率",
-"Burning Damage Multiplier with Attacks":"攻擊燃燒傷害加成",
-"The Agnostic":"不可知論",
-"Supreme Ego":"至高．自我",
-"Warcry Buff Effect":"戰吼增益效果",
-"Warcry Speed and Duration":"戰吼速度和持續時間",
-"Warcry Cooldown Recovery and Duration":"戰吼冷卻時間恢復和持續時間",
-"Warcry Speed and Area of Effect":"戰吼速度和範圍效果",
-"Warcry Cooldown Recovery and Area of Effect":"戰吼冷卻時間恢復和範圍效果",
-"Warcry Speed":"戰吼速度",
-"Warcry Speed and Cooldown Recovery":"戰吼速度冷卻時間恢復",
-"Warcry Cooldown Recovery":"戰吼冷卻時間恢復",
-"Warcry Area of Effect":"戰吼範圍效果",
-"Deep Breaths":"深呼吸",
-"Exerted Attack Damage":"竭盡攻擊傷害",
-"Warcry Cooldown Recovery and Exerted Attack Damage":"戰吼冷卻時間恢復和竭盡攻擊傷害",
-"Warcry Speed and Exerted Attack Damage":"戰吼速度和竭盡攻擊傷害",
-"Measured Fury":"縝密狂怒",
-"Unfaltering":"堅定不移",
-"Reservation Efficiency of Heralds":"捷光環保留效用",
-"Herald Buff Effect":"捷光環增益效果",
-"Discord Artisan":"不諧匠師",
-"Melee Damage and Strike Range":"近戰傷害和打擊範圍",
-"Adjacent Animosity":"相鄰憎恨",
-"Reduced Skill Duration":"減少技能持續時間",
-"Damage if Consumed a Corpse":"若消耗屍體的傷害",
-"Corpse Life":"屍體生命",
-"Undertaker":"送葬者",
-"Bannerman":"掌旗手",
-"Spell Suppression and Energy Shield Recharge Rate":"法術壓抑和能量護盾充能率",
-"Instinct":"本能",
-"Assured Strike":"珍重打擊",
-"Ignite Resistance":"點燃抗性",
-"Chill and Freeze Resistance":"冰緩和冰凍抗性",
-"Shock Resistance":"感電抗性",
-"Anointed Flesh":"聖油鮮肉",
-"Impale Effect with Two Handed Weapons":"雙手武器穿刺效果",
-"Impale Chance with Two Handed Weapons":"雙手武器穿刺機率",
-"Harpooner":"魚叉手",
-"Chance to Poison with Spells":"法術中毒機率",
-"Poison Damage and Cast Speed":"中毒傷害和施放速度",
-"Serpentine Spellslinger":"毒蛇法術回音",
-"Mana Regeneration and Increased Mana Cost":"魔力回復和增加魔力消耗",
-"Forethought":"前瞻性",
-"Infused Flesh":"注入肉體",
-"Imbalanced Guard":"不平衡守衛",
-"The Impaler":"穿刺者",
-"Brand Duration":"烙印持續時間",
-"Brand Recall Cooldown Recovery":"烙印呼喚冷卻時間恢復",
-"Brand Equity":"烙印正義",
-"Trick Shot":"花式射擊",
-"Split Shot":"分裂射擊",
-"Forking Angle":"分裂角度",
-"Deflection":"偏斜",
-"Life Flask Charge Gain":"生命藥劑獲得充能",
-"Mana Flask Charge Gain":"魔力藥劑獲得充能",
-"Replenishing Remedies":"補藥",
-"Harvester of Foes":"勁敵收割",
-"Hex Master":"咒術大師",
-"Curse Mana Reservation Efficiency":"詛咒魔力保留效用",
-"Malicious Intent":"不善意圖",
-"Mark Effect":"印記效果",
-"Damage against Marked Enemy":"對標記敵人的傷害",
-"Marked for Death":"死亡印記",
-"Critical Strike Chance against Marked Enemy":"對印記的敵人暴擊率",
-"Marked Enemy Reduced Accuracy":"被印記的敵人減少命中",
-"Mark the Prey":"標記獵物",
-"Hearty":"爽朗",
-"Physical Damage Over Time Multiplier":"物理持續傷害加成",
-"Physical Damage and Overwhelm":"物理傷害和鎮壓",
-"Vanquisher":"勝者",
-"Relentless":"冷酷無情",
-"Veteran Soldier":"老兵",
-"Curse Effect on You and Chaos Resistance":"你身上的詛咒和混沌抗性",
-"Asylum":"避難所",
-"Careful Conservationist":"謹慎資源保護者",
-"Flask Effect Duration":"藥劑效果持續時間",
-"Flask Charges Used":"藥劑充能使用",
-"Natural Remedies":"自然療法",
-"Magebane":"咒術災厄",
-"Divine Shield":"聖盾",
-"Versatile Combatant":"多重戰",
-"Lethe Shade":"忘卻陰影",
-"Bastion Breaker":"堡壘破壞者",
-"Precise Technique":"精準科技",
-"Bow Attack Speed and Phasing":"弓的攻擊速度和迷蹤",
-"Curse Mana Cost":"詛咒魔力消耗",
-"Hex Area of Effect":"咒術範圍效果",
-"Curse Duration":"詛咒持續時間",
-"Mana on Kill against Cursed Enemies":"擊殺被詛咒的敵人獲得魔力",
-"Steeped in the Profane":"褻瀆之身",
-"Minion Critical Strike Multiplier":"召喚物暴擊加成",
-"Accuracy Mastery":"命中專精",
-"Armour Mastery":"護甲專精",
-"Fortify Mastery":"護體專精",
-"Armour and Energy Shield Mastery":"護甲和能量護盾專精",
-"Attack Mastery":"攻擊專精",
-"Spell Suppression Mastery":"法術壓抑專精",
-"Impale Mastery":"穿刺專精",
-"Blind Mastery":"致盲專精",
-"Flask Mastery":"藥劑專精",
-"Leech Mastery":"偷取專精",
-"Axe Mastery":"斧專精",
-"Bleeding Mastery":"流血專精",
-"Bow Mastery":"弓專精",
-"Projectile Mastery":"投射物專精",
-"Brand Mastery":"烙印專精",
-"Caster Mastery":"法術專精",
-"Charge Mastery":"充能專精",
-"Claw Mastery":"爪專精",
-"Critical Mastery":"暴擊專精",
-"Curse Mastery":"詛咒專精",
-"Mark Mastery":"印記專精",
-"Link Mastery":"連結專精",
-"Dagger Mastery":"匕首專精",
-"Life Mastery":"生命專精",
-"Damage Over Time Mastery":"持續傷害專精",
-"Dual Wielding Mastery":"雙持專精",
-"Block Mastery":"格擋專精",
-"Duration Mastery":"持續時間專精",
-"Elemental Mastery":"元素專精",
-"Energy Shield Mastery":"能量護盾專精",
-"Evasion and Energy Shield Mastery":"閃避和能量護盾專精",
-"Evasion Mastery":"閃避專精",
-"Armour and Evasion Mastery":"護甲和閃避專精",
-"Mace Mastery":"錘專精",
-"Mana Mastery":"魔力專精",
-"Mine Mastery":"地雷專精",
-"Minion Offence Mastery":"召喚物侵略專精",
-"Minion Defence Mastery":"召喚物防禦專精",
-"Poison Mastery":"中毒專精",
-"Reservation Mastery":"保留專精",
-"Shield Mastery":"盾牌專精",
-"Staff Mastery":"長杖專精",
-"Sword Mastery":"劍專精",
-"Totem Mastery":"圖騰專精",
-"Trap Mastery":"陷阱專精",
-"Two Hand Mastery":"雙手武器專精",
-"Wand Mastery":"法杖專精",
-"Warcry Mastery":"戰吼專精",
-"Attributes Mastery":"能力專精",
-"Resistance and Ailment Protection Mastery":"抗性和異常狀態保護專精",
-"Way of the Warrior":"戰士之道",
-"Deadly Inclinations":"致命愛好",
-"Mystic Talents":"神幻天賦",
-"Heart of Darkness":"黑暗之心",
-"Vengeant Cascade":"復仇浪湧",
-"Tribal Fury":"部落之怒",
-"Tenacity":"不屈不撓",
-"Tranquility":"寧靜",
-"Crusader":"十字軍",
-"Hardened Scars":"硬疤",
-"Cleansed Thoughts":"淨化思想",
-"Aspect of Stone":"巨石祝福",
-"Prodigious Defence":"出奇防禦",
-"Advance Guard":"進階守衛",
-"Gladiatorial Combat":"衛士戰鬥",
-"Strike Leader":"罷工領袖",
-"Powerful Ward":"強力守衛",
-"Enduring Ward":"耐久守衛",
-"Gladiator's Fortitude":"衛士的毅力",
-"Precise Retaliation":"精確復仇",
-"Veteran Defender":"防禦老手",
-"Iron Breaker":"碎鐵者",
-"Master the Fundamentals":"精通基礎",
-"Force Multiplier":"原力加成",
-"Furious Assault":"狂暴突襲",
-"Vicious Skewering":"惡毒穿刺",
-"Grim Oath":"殘酷誓言",
-"Battle-Hardened":"固守戰場",
-"Replenishing Presence":"補充光環",
-"Master of Command":"引導大師",
-"Spiteful Presence":"惡意光環",
-"Purposeful Harbinger":"果斷的神諭",
-"Destructive Aspect":"破壞面",
-"Electric Presence":"電力光環",
-"Volatile Presence":"變動光環",
-"Righteous Path":"正道",
-"Mortifying Aspect":"屈辱面",
-"Frantic Aspect":"瘋狂面",
-"Introspection":"自我反省",
-"Skullbreaker":"碎骨者",
-"Pressure Points":"壓力點",
-"Overwhelming Malice":"壓倒性的惡意",
-"Magnifier":"放大",
-"Savage Response":"殘暴應對",
-"Eye of the Storm":"風暴之眼",
-"Basics of Pain":"苦痛之基",
-"Quick Getaway":"迅速逃離",
-"Assert Dominance":"維護地位",
-"Vast Power":"投入力量",
-"Powerful Assault":"猛烈襲擊",
-"Intensity":"劇烈",
-"Titanic Swings":"泰坦揮擊",
-"Towering Threat":"聳天威脅",
-"Ancestral Echo":"先祖回響",
-"Ancestral Reach":"先祖所向",
-"Ancestral Might":"先祖之力",
-"Ancestral Preservation":"先祖庇護",
-"Snaring Spirits":"咆嘯靈魂",
-"Sleepless Sentries":"無眠哨兵",
-"Ancestral Guidance":"先祖指引",
-"Ancestral Inspiration":"先祖啟發",
-"Vital Focus":"活力專注",
-"Rapid Infusion":"極速注入",
-"Unwavering Focus":"堅定專注",
-"Enduring Focus":"耐久專注",
-"Precise Focus":"精確專注",
-"Stoic Focus":"專注禁慾",
-"Hex Breaker":"破魔者",
-"Arcane Adept":"祕能專精",
-"Distilled Perfection":"完美淬鍊",
-"Spiked Concoction":"尖刺混物",
-"Fasting":"快速",
-"Mender's Wellspring":"治癒湧泉",
-"Special Reserve":"特別保留",
-"Numbing Elixir":"無感不死藥",
-"Mob Mentality":"暴民心理",
-"Cry Wolf":"狼嚎",
-"Haunting Shout":"鬼魅呼嘯",
-"Lead By Example":"模範領導",
-"Provocateur":"挑唆者",
-"Warning Call":"預警呼喚",
-"Rattling Bellow":"慌亂吼叫",
-"Bloodscent":"血腥味",
-"Run Through":"迅速略過",
-"Wound Aggravation":"創傷加劇",
-"Overlord":"封建霸主",
-"Expansive Might":"擴展之力",
-"Weight Advantage":"優勢權重",
-"Wind-up":"風起",
-"Fan of Blades":"刀鋒狂熱",
-"Disease Vector":"病原體",
-"Arcing Shot":"弧射",
-"Tempered Arrowheads":"鍛煉的箭頭",
-"Broadside":"舷側砲",
-"Explosive Force":"爆破力",
-"Opportunistic Fusilade":"機會主義福斯雷",
-"Storm's Hand":"風暴之手",
-"Battlefield Dominator":"戰場統治者",
-"Martial Mastery":"武術精通",
-"Surefooted Striker":"踏實打手",
-"Graceful Execution":"優雅處刑",
-"Brutal Infamy":"殘暴惡名",
-"Fearsome Warrior":"膽怯戰士",
-"Combat Rhythm":"戰鬥韻律",
-"Insatiable Killer":"貪得無厭的殺手",
-"Mage Bane":"魔術災厄",
-"Martial Momentum":"武術氣勢",
-"Deadly Repartee":"致命才能",
-"Quick and Deadly":"迅速與致命",
-"Smite the Weak":"弱點打擊",
-"Heavy Hitter":"沉重打手",
-"Martial Prowess":"武術英勇",
-"Calamitous":"災難",
-"Devastator":"毀滅者",
-"Fuel the Fight":"刺激戰鬥",
-"Drive the Destruction":"破壞之意",
-"Feed the Fury":"豢養狂怒",
-"Aggressive Defence":"積極防禦",
-"Seal Mender":"封口修補",
-"Conjured Wall":"召喚之璧",
-"Arcane Heroism":"祕能英雄",
-"Practiced Caster":"見習術士",
-"Burden Projection":"重擔投射",
-"Thaumophage":"噬菌體",
-"Essence Rush":"精華湧現",
-"Sap Psyche":"心靈乾枯",
-"Sadist":"施虐者",
-"Corrosive Elements":"腐蝕元素",
-"Doryani's Lesson":"多里亞尼的教程",
-"Disorienting Display":"迷茫之列",
-"Prismatic Heart":"多稜之心",
-"Widespread Destruction":"毀滅擴散",
-"Master of Fire":"火焰大師",
-"Smoking Remains":"殘煙",
-"Cremator":"焚屍爐",
-"Snowstorm":"暴風雪",
-"Storm Drinker":"風暴狂飲",
-"Paralysis":"麻痺",
-"Supercharge":"超負荷",
-"Blanketed Snow":"拂雪",
-"Cold to the Core":"冰心",
-"Cold-Blooded Killer":"冷血殺手",
-"Touch of Cruelty":"殘酷之觸",
-"Unwaveringly Evil":"堅定邪靈",
-"Unspeakable Gifts":"不可描述之贈",
-"Dark Ideation":"黑暗觀念",
-"Unholy Grace":"不潔優雅",
-"Wicked Pall":"邪惡棺木",
-"Renewal":"換新",
-"Raze and Pillage":"抹除和掠奪",
-"Rotten Claws":"腐鏽之爪",
-"Call to the Slaughter":"屠殺惡夢",
-"Skeletal Atrophy":"骷髏萎縮",
-"Hulking Corpses":"龐大屍堆",
-"Vicious Bite":"惡毒之咬",
-"Primordial Bond":"原始連繫",
-"Blowback":"後座力",
-"Fan the Flames":"搧風點火",
-"Cooked Alive":"現宰",
-"Burning Bright":"燃燒閃耀",
-"Wrapped in Flame":"火焰包覆",
-"Vivid Hues":"生動色調",
-"Disorienting Wounds":"迷茫之殤",
-"Compound Injury":"複合傷害",
-"Blood Artist":"血腥藝術家",
-"Phlebotomist":"放血屍",
-"Septic Spells":"腐爛法術",
-"Low Tolerance":"低容忍",
-"Steady Torment":"持續折磨",
-"Eternal Suffering":"永恆磨難",
-"Eldritch Inspiration":"怪異靈感",
-"Wasting Affliction":"耗盡苦難",
-"Haemorrhage":"滲血",
-"Flow of Life":"生機流動",
-"Exposure Therapy":"曝曬療法",
-"Brush with Death":"死神之拂",
-"Vile Reinvigoration":"復興邪惡",
-"Circling Oblivion":"閉鎖遺忘",
-"Brewed for Potency":"釀造之力",
-"Astonishing Affliction":"驚奇痛楚",
-"Cold Conduction":"冷傳導",
-"Inspired Oppression":"啟發壓迫",
-"Chilling Presence":"冰緩光環",
-"Deep Chill":"深層冰緩",
-"Blast-Freeze":"爆凍",
-"Thunderstruck":"雷擊",
-"Stormrider":"風暴馭者",
-"Overshock":"過度震驚",
-"Evil Eye":"邪眼",
-"Forbidden Words":"禁咒",
-"Doedre's Spite":"德瑞的怨恨",
-"Victim Maker":"加害人",
-"Master of Fear":"恐懼大師",
-"Wish for Death":"求死",
-"Lord of Drought":"枯旱之君",
-"Blizzard Caller":"暴雪舵手",
-"Tempt the Storm":"誘惑風暴",
-"Misery Everlasting":"永恆苦難",
-"Hound's Mark":"獵犬印記",
-"Doedre's Gluttony":"德瑞的暴食",
-"Doedre's Apathy":"德瑞的冷漠",
-"Master of the Maelstrom":"混亂大師",
-"Heraldry":"符紋學",
-"Endbringer":"終焉使者",
-"Cult-Leader":"邪教教主",
-"Empowered Envoy":"授權使徒",
-"Dark Messenger":"黑暗信使",
-"Agent of Destruction":"破壞特工",
-"Lasting Impression":"持續印象",
-"Self-Fulfilling Prophecy":"自我實現預言",
-"Invigorating Portents":"振奮預兆",
-"Pure Agony":"純粹苦痛",
-"Dread March":"驚懼遊行",
-"Blessed Rebirth":"祝禱重生",
-"Life from Death":"死而復生",
-"Feasting Fiends":"宴請邪魔",
-"Bodyguards":"保鑣",
-"Follow-Through":"貫徹始終",
-"Streamlined":"流線型",
-"Shrieking Bolts":"尖嘯音波",
-"Eye to Eye":"對視",
-"Repeater":"背誦者",
-"Aerodynamics":"氣動學",
-"Chip Away":"抹除",
-"Seeker Runes":"符文探尋者",
-"Remarkable":"非凡",
-"Brand Loyalty":"品牌忠誠",
-"Holy Conquest":"神聖征服",
-"Grand Design":"宏偉設計",
-"Set and Forget":"設定和遺忘",
-"Expert Sabotage":"破壞專精",
-"Guerilla Tactics":"游擊戰術",
-"Expendability":"擴展性",
-"Arcane Pyrotechnics":"祕能煙花",
-"Surprise Sabotage":"驚喜破壞",
-"Careful Handling":"細心掌控",
-"Peak Vigour":"活力之巔",
-"Fettle":"修補",
-"Feast of Flesh":"血肉盛宴",
-"Sublime Sensation":"崇高之覺",
-"Surging Vitality":"活力湧現",
-"Peace Amidst Chaos":"混沌中的平靜",
-"Adrenaline":"腎上腺素",
-"Wall of Muscle":"肉璧",
-"Mindfulness":"謹慎",
-"Liquid Inspiration":"液態啟發",
-"Openness":"開放",
-"Daring Ideas":"大膽的想法",
-"Clarity of Purpose":"明淨之志",
-"Scintillating Idea":"靈光乍現",
-"Holistic Health":"整體健康",
-"Genius":"天才",
-"Improvisor":"即興詩人",
-"Stubborn Student":"頑固學生",
-"Savour the Moment":"享受時光",
-"Energy From Naught":"虛無淬能",
-"Will Shaper":"意志雕塑",
-"Spring Back":"彈回",
-"Conservation of Energy":"節能",
-"Self-Control":"自制力",
-"Heart of Iron":"鋼鐵之心",
-"Prismatic Carapace":"多稜甲殼",
-"Militarism":"軍國主義",
-"Second Skin":"換皮",
-"Dragon Hunter":"獵龍幻士",
-"Enduring Composure":"耐久鎮靜",
-"Uncompromising":"永不妥協",
-"Prismatic Dance":"多稜舞蹈",
-"Natural Vigour":"自然活力",
-"Shifting Shadow":"替換陰影",
-"Readiness":"準備就緒",
-"Sublime Form":"昇華之型",
-"Confident Combatant":"自信戰士",
-"Flexible Sentry":"機動哨兵",
-"Vicious Guard":"惡毒護衛",
-"Mystical Ward":"魔幻守衛",
-"Rote Reinforcement":"加強記憶",
-"Mage Hunter":"魔術獵手",
-"Riot Queller":"暴動殺手",
-"One with the Shield":"持盾者",
-"Aerialist":"高空特技",
-"Elegant Form":"高雅之姿",
-"Darting Movements":"猛突位移",
-"No Witnesses":"無目擊者",
-"Molten One's Mark":"熔火之印",
-"Fire Attunement":"火焰曲調",
-"Pure Might":"純粹之力",
-"Blacksmith":"鐵匠",
-"Non-Flammable":"非易燃",
-"Winter Prowler":"冬季竊賊",
-"Hibernator":"冬眠",
-"Pure Guile":"純粹詭計",
-"Alchemist":"鍊金術師",
-"Antifreeze":"抗凍",
-"Wizardry":"巫術",
-"Pure Aptitude":"純粹才能",
-"Sage":"哲人",
-"Insulated":"絕緣",
-"Born of Chaos":"混沌之誕",
-"Antivenom":"抗毒",
-"Rot-Resistant":"抗鏽",
-"Blessed":"祝福",
-"Student of Decay":"腐朽之徒",
-"Medium Jewel Socket":"中型珠寶插槽",
-"Small Jewel Socket":"小型珠寶插槽",
-"Position Proxy":"位置取代",
-"Trial of the Faith":"信仰試煉",
-"Stance Skill Cooldown Recovery":"姿態技能冷卻恢復",
-"Bow Attack Speed":"弓的攻擊速度",
-"Circle of Life":"生命循環",
-"Dance of Blades":"劍舞",
-"Link Effect":"連結效果",
-"Stun Recovery":"暈眩恢復",
-"Excess Sustenance":"營養過剩",
-"Stance Reservation Efficiency":"姿態保留效用",
-"Glacial Cage":"冰牢",
-"Perfectionist":"完美主義者",
-"Attack Damage in Blood Stance":"血腥姿態攻擊傷害",
-"Attack Speed in Sand Stance":"沙戮姿態攻擊速度",
-"Chill Effect":"冰緩效果",
-"Seasoned Swordplay":"劍術精通",
-"Fortify on Melee Stun":"近戰暈眩時護體",
-"Link Cast Speed":"連結施放速度",
-"Master Distiller":"精釀大師",
-"Area of Effect Blind Effect":"範圍效果、致盲效果",
-"Area of Effect Movement Speed":"範圍效果、移動速度",
-"Area of Effect Elemental Resistances":"範圍效果、元素抗性",
-"Area of Effect Mine Throwing Speed":"範圍效果、地雷投擲速度",
-"Like Clockwork":"規律化",
-"Area of Effect Trap Throwing Speed":"範圍效果、陷阱投擲速度",
-"Area of Effect Area Damage":"範圍效果、範圍傷害",
-"Righteous Fury":"正義怒火",
-"Multishot":"多重射擊",
-"Stun Threshold":"暈眩門檻",
-"Escalation":"惡化",
-"Chaos Resistance and Avoidance":"混沌抗性和避免",
-"Empowered Bond":"賦予之絆",
-"Expert Hunter":"獵人專家",
-"Avoid Interruption while Casting":"施放時避免阻礙",
-"Conjured Barrier":"召喚屏障",
-"Surge of Vigour":"活力之湧",
-"Brink of Death":"死亡邊緣",
-"Winter's Embrace":"寒冬之擁",
-"Potent Connections":"強大聯繫",
-"Warcry Duration and Buff Effect":"戰吼持續時間和增益效果",
-"Warcry Duration":"戰吼持續時間",
-"Flask Charges against Marked Enemy":"對印記的敵人藥劑充能",
-"Mark Cast Speed and Mana Cost":"印記施放速度和魔力消耗",
-"Mark Cast Speed":"印記施放速度",
-"Mark Mana Cost":"印記魔力消耗",
-"Curse and Chaos Resistance":"詛咒和混沌抗性",
-"Stun Mastery":"暈眩專精",
-"Recovery Mastery":"恢復專精",
-"Protection Mastery":"保護專精",
-"Life Regeneration Melee Damage":"生命回復、近戰傷害",
-"Armour and Energy Shield Block Recovery":"護甲和能量護盾、格擋恢復",
-"Armour and Energy Shield Link Effect":"護甲和能量護盾、連結效果",
-"Faster Ailments":"加速異常狀態",
-"Ignite and Bleed Duration":"點燃和流血持續時間",
-"Settling Ash":"沉澱灰燼",
-"Concussive Force":"震爆之力",
-"Invigorating Blaze":"振奮之焰",
-"Cauterisation":"燒灼",
-"Warden of the Maji":"聖賢守護者",
-"Coated Blade":"塗層刀刃",
-"Nature's Concoction":"自然調劑",
-"Intensifying Suffusion":"強化瀰漫",
-"Wildwood Blessing":"荒林祝福",
-"Lesson of the Seasons":"學習季節",
-"Oath of the Maji":"聖賢的誓言",
-"Detect Evil":"邪靈探測",
-"Vivid Wisps found":"掉落靈現妖精",
-"Warlock of the Mists":"嵐之術士",
-"Cannibalised Faith":"食人族信仰",
-"Soul Splitting":"靈魂撕裂",
-"Creeping Lobotomy":"前額葉切除術",
-"Choir of the Damned":"惡魔樂團",
-"Black Mass":"黑暗彌撒",
-"Warlock Power":"術士之力",
-"Foul Pact":"邪惡契約",
-"Wild Wisps found":"掉落野性妖精",
-"Wildwood Primalist":"荒野始者",
-"Might of the Bear":"熊之志",
-"Charm Socket":"咒語插槽",
-"Howl of the Wolf":"狼之嚎",
-"Primal Wisps found":"掉落原始妖精",
-"Warlord's Call":"督軍的呼喚",
-"Mana and Increased Mana Cost":"魔力和增加魔力消耗",
-"Totem Life and Damage":"圖騰生命和傷害",
-"Physical Damage and Ignore Physical Damage Reduction":"物理傷害和無視物理傷害減免",
-"Life Leech Speed":"生命偷取速度",
-"Mana Leech Speed":"魔力偷取速度",
-"Rage on Hit":"擊中時獲得盛怒",
-"Slower Rage Decay":"減緩盛怒衰退",
-"Battle Trance":"戰鬥狂熱",
-"Maximum Rage and Armour":"最大盛怒和護甲",
-"Slower Rage Decay and Armour":"較慢的盛怒衰退和護甲",
-"Savage Intensity":"野性強化",
-"Maximum Rage":"最大盛怒",
-"Veteran's Wrath":"老兵的暴怒",
-"Armour Chaos Resistance":"護甲、混沌抗性",
-"Physical Damage Rage on Hit":"物理傷害、擊中獲得盛怒機率",
-"Life Regeneration Warcry Duration":"生命回復、戰吼持續時間",
-"Sione Sun's Roar":"烈日怒吼．西奧妮",
-"Evasion Chance to Freeze":"閃避值、冰凍機率",
-"Oath of Spring":"新春誓言",
-"Evasion Chance to Shock":"閃避值、感電機率",
-"Oath of Winter":"凜冬誓言",
-"Evasion Spell Suppression":"閃避值、法術壓抑",
-"Mother's Teachings":"母親的教誨",
-"Evasion Chance to Ignite":"閃避值、點燃機率",
-"Oath of Summer":"炎夏誓言",
-"Evasion Elemental Ailment Duration":"閃避、元素異常狀態持續時間",
-"Avatar of the Wilds":"獸性化身",
-"Evasion Tincture Effect":"閃避、萃取物效果",
-"Experienced Herbalist":"經驗豐富的藥草師",
-"Enduring Suffusion":"耐久瀰漫",
-"Attack Speed Bleed Chance":"攻擊速度、流血機率",
-"Jagged Technique":"鋸齒技法",
-"Determined Survivor":"堅定的倖存者",
-"Measured Retaliation":"精準復仇",
-"More Than Skill":"技能不止",
-"Attack Speed Attack Damage":"攻擊速度、攻擊傷害",
-"War of Attrition":"消耗戰",
-"Warden":"守護者",
-"Attack Mana Cost":"攻擊魔力消耗",
-"Staff Spell Block":"長杖法術格擋",
-"Spell Area of Effect":"法術範圍效果",
-"Melee Area of Effect":"近戰範圍效果",
-"Totem Attack Speed":"圖騰攻擊速度",
-"Wild Hunger":"野性渴望",
-"Awe and Terror":"敬畏與恐懼",
-"Rallying Icon":"團結象徵",
-"Defiant Stand":"反抗立場",
-"Renowned Deeds":"著名事蹟",
-"Banner Area of Effect":"鬥旗範圍效果",
-"Banner Duration":"鬥旗持續時間",
-"Banner Valour Gained":"獲得的鬥旗勇氣",
-"Banner Maximum Valour and Duration":"鬥旗最大勇氣和持續時間",
-"Banner Maximum Valour":"鬥旗最大勇氣",
-"Banner Aura Effect":"旌旗光環效果",
-"Wicked Blade":"殘靈刀刃",
-"Bleed Duration":"流血持續時間",
-"Master of Wounds":"創傷大師",
-"Impale Chance and Attack Speed":"穿刺機率和攻擊速度",
-"Brutal Skewering":"殘酷串燒",
-"Leader of the Pack":"群體領袖",
-"Thrill of Battle":"戰鬥亢奮",
-"Spirit of War":"戰爭之靈",
-"Slower Mana Burn":"魔力灼燒減速",
-"Tincture Effect":"萃取物效果",
-"Practised Reapplication":"熟以致用",
-"Colloidal Mixture":"膠體混合物",
-"Perfected Formula":"完美配方",
-"Dual Wield Attack Speed and Block":"雙持攻擊速度和格擋",
-"Feline Swiftness":"貓族迅捷",
-"As The Mountain":"宛如神山",
-"Block and Armour":"格擋與護甲",
-"Block and Block Recovery":"格擋與格擋恢復",
-"Wall of Steel":"鋼鐵之壁",
-"As The Thunder":"宛如雷鳴",
-"Savage Skewering":"野蠻穿刺",
-"Nomadic Teachings":"浪人教誨",
-"Bleed and Critical Strike Chance":"流血與暴擊率",
-"Aggravate Bleeding On Critical Strike Chance":"暴擊率加劇流血",
-"Cornered Prey":"甕中之鱉",
-"Tincture Mana on Kill":"擊殺回復萃取物魔力",
-"Burst of Energy":"能量爆發",
-"Flask and Tincture Effect":"藥劑與萃取物效果",
-"Flask Duration":"藥劑持續時間",
-"Roaring Challenge":"咆哮挑戰",
-"Two Handed Melee Damage and Ignore Physical Damage Reduction":"雙手武器近戰傷害和無視物理傷害減免",
-"Banner Mastery":"鬥旗專精",
-"Rage Mastery":"盛怒專精",
-"Tincture Mastery":"萃取物專精",
-"Vinespike Cordial":"荊刺之誠",
-"Selective Precision":"細選精準",
-"Legacy of the Wilds":"荒野的傳承",
-"Hollow Effigy":"空洞雕像",
-"Force of Darkness":"黑暗之力",
-"Lasting Tempest":"恆久風暴",
-"Adaptive Steel":"適性之鋼",
-"Always Angry":"保持憤怒",
-"Sione's Ambition":"西奧妮的野心",
-"Bastion of Faith":"信心堡壘",
-"Beacon of Hope":"希望信標",
-"Wood Stone and Spell":"木頭、石頭和法術",
-"Jagged Wounds":"鋸齒重創",
-"No Forgiveness":"絕不饒恕",
-"Deliberate Brutality":"蓄意殘虐",
-"Knowledge Barrier":"知識屏障",
-"Incorporeal":"無形之靈",
-"Mixed Munitions":"混合彈藥",
-"Worship the Blightheart":"崇拜凋落之心",
-"Unrestrained Focus":"率性專注",
-"Careful Counterattack":"謹慎反擊",
-"Prepared Response":"預備反應",
-"Flow of Battle":"戰鬥節奏",
-"Cruel Retort":"殘酷反駁",
-"Indiscriminate Revenge":"無差別報復",
-"Crushing Reply":"粉碎回應",
-"Retaliation Skill Damage and Shield Block":"復仇技能傷害與盾牌格擋",
-"Retaliation Skill Damage":"復仇技能傷害",
-"Retaliation Skill Speed and Shield Spell Block":"復仇技能速度與盾牌法術格擋",
-"Retaliation Mastery":"復仇專精",
-"Retaliation Skill Usable Duration":"復仇技能可使用持續時間",
-"Retaliation Skill Cooldown Recovery":"復仇技能冷卻恢復",
-"Retaliation Skill Speed":"復仇技能速度",
-"Retaliation Skill Area Of Effect":"復仇技能範圍",
-"Retaliation Skill Stun Duration":"復仇技能暈眩持續時間",
-"Retaliation Skill Damage and Stun Threshold":"復仇技能傷害與暈眩門檻",
-"Arsenal of Vengeance":"復仇兵工廠",
-"Seasoned Hunter":"老練獵人",
-"Bloodsoaked Blade":"浸血之刃",
-"Attribute":"能力",
-"Strength and Reduced Mana":"力量與減少魔力",
-"Brute Strength":"殘忍力量",
-"All Attributes":"全部能力值",
-"Polymathy":"博學的",
-"Reduced Attribute Requirements":"減少能力值需求",
-"Jack of all Trades":"萬事通",
-"Quarterstaff Stun and Knockback":"細杖：暈眩和擊退",
-"Quarterstaff Freeze and Daze Buildup":"細杖冰凍和目眩累積",
-"Quarterstaff Speed":"細杖：速度",
-"Quarterstaff Critical Chance":"細杖：暴擊率",
-"One with the Storm":"與風同行",
-"Quarterstaff Critical Damage":"細杖：暴擊傷害",
-"Martial Artistry":"武藝之相",
-"Dagger Speed":"匕首：速度",
-"Dagger Critical Chance":"匕首：暴擊率",
-"Silent Shiv":"寂靜小刀",
-"Dagger Critical Damage":"匕首：暴擊傷害",
-"Coated Knife":"塗層匕首",
-"Trap Throw Speed":"陷阱：投擲速度",
-"Trap Critical Chance":"陷阱：暴擊率",
-"Devestating Devices":"破壞裝置",
-"Bow Critical Damage":"弓類：暴擊傷害",
-"Bow Accuracy Rating":"弓類：命中值",
-"Feathered Fletching":"羽毛箭羽",
-"Sniper":"狙擊手",
-"Bow Speed":"弓類：速度",
-"Pierce the Heart":"一箭穿心",
-"Spear Damage":"長鋒傷害",
-"Javelin":"長鋒：傷害核心",
-"Spear Attack Speed":"長鋒：攻擊速度",
-"Swift Skewering":"迅猛穿刺",
-"Spear Critical Chance":"長鋒：暴擊率",
-"Precise Point":"精準攻擊",
-"Roll and Strike":"翻滾突擊",
-"Block and Damage Taken from Blocked Hits":"格擋及承受自被格擋攻擊的傷害",
-"Shield Evasion":"護盾閃避值",
-"Reprisal":"反擊",
-"Heavy Blade":"沉重之刃",
-"Sword Speed":"劍類：速度",
-"Ripping Blade":"撕裂之刃",
-"Stance Breaker":"姿態破壞者",
-"Lay Siege":"圍城",
-"Shield Block":"盾牌：格擋",
-"Greatest Defence":"極致防禦",
-"Wide Barrier":"盾牌：格擋核心",
-"Core of the Guardian":"守護者核心",
-"Shield Damage from Shield Defences":"盾牌：盾牌防禦傷害",
-"Offensive Stance":"攻擊架勢",
-"Vigilance":"警覺",
-"Shield Attack Speed":"盾牌：攻擊速度",
-"Defensive Reflexes":"防禦反應",
-"Crossbow Damage":"十字弓：傷害",
-"Crossbow Critical Chance":"十字弓：暴擊率",
-"Power Shots":"強擊矢",
-"Grenade Damage":"擲彈傷害",
-"Repeating Explosives":"連續爆炸",
-"Crossbow Reload Speed":"十字弓重新裝填速度",
-"Instant Reload":"立即裝填",
-"Reusable Ammunition":"可重複使用的彈藥",
-"Full Salvo":"全面齊射",
-"Axe Rage on Hit":"斧擊中盛怒",
-"Axe Attack Speed":"斧攻擊速度",
-"Whirling Onslaught":"迴旋猛攻",
-"Enraged Reaver":"狂怒掠奪者",
-"Mace Stun Buildup":"錘暈眩累積",
-"Skullcrusher":"碎顱者",
-"Mace Damage and Stun Buildup":"錘的傷害和暈眩累積",
-"Mace Aftershock Chance":"錘餘震機率",
-"Split the Earth":"劈裂大地",
-"Flail Damage":"鏈錘：傷害",
-"Ball and Chain":"球與鎖鏈",
-"Flail Critical Chance":"鏈錘：暴擊率",
-"Morning Star":"晨星",
-"Rattling Ball":"響動巨球",
-"Spiked Whip":"尖刺鞭笞",
-"Focus Energy Shield":"法器能量護盾",
-"Curse Effect on Self":"對自己的詛咒效果",
-"Warding Fetish":"守護神器",
-"Spell Damage on full Energy Shield":"能量護盾全滿時的法術傷害",
-"Dreamcatcher":"捕夢者",
-"One Handed Attack Speed":"單手武器攻擊速度",
-"Versatile Arms":"萬能雙手",
-"One Handed Accuracy":"單手武器命中",
-"One Handed Critical Chance":"單手武器：暴擊率",
-"Push the Advantage":"乘勝追擊",
-"Impair":"損害",
-"One Handed Ailment Chance":"單手異常狀態機率",
-"Coated Arms":"塗層武器",
-"Two Handed Damage":"雙手武器：傷害",
-"Singular Purpose":"目標明確",
-"Two Handed Damage and Stun":"雙手武器傷害和暈眩",
-"Heavy Contact":"激烈碰撞",
-"Colossal Weapon":"巨無霸武器",
-"Curved Weapon":"彎曲武器",
-"Shockwaves":"震波",
-"Dual Wielding Damage":"雙持武器：傷害",
-"Dual Wielding Accuracy":"雙持武器：命中",
-"Cross Strike":"十字打擊",
-"Dual Wielding Speed":"雙持武器：速度",
-"Polished Iron":"拋光之鋼",
-"Projectile Bulwark":"投射物屏障",
-"Blade Catcher":"捕刃者",
-"Heavy Armour":"沉重鎧甲",
-"Made to Last":"經久耐用",
-"Sturdy Metal":"堅固金屬",
-"Impenetrable Shell":"無敵甲殼",
-"General's Bindings":"將軍的束縛",
-"High Alert":"高度警戒",
-"Escape Strategy":"逃逸策略",
-"Careful Consideration":"小心翼翼",
-"Escape Velocity":"逃逸速度",
-"Enhanced Reflexes":"強化反應",
-"Beastial Skin":"野獸皮膚",
-"Afterimage":"殘像",
-"Leather Bound Gauntlets":"皮革綁縛護手",
-"Catlike Agility":"靈貓狡捷",
-"Stun Threshold from Energy Shield":"能量護盾暈眩門檻",
-"Energy Shield Recharge":"能量護盾充能",
-"Calibration":"校準",
-"Patient Barrier":"堅忍屏障",
-"Enhanced Barrier":"強化屏障",
-"Dampening Shield":"抑制護盾",
-"Heavy Buffer":"重裝緩衝",
-"Illuminated Crown":"明光之冠",
-"Strong Chin":"強力下顎",
-"Backup Plan":"備案",
-"Insulated Treads":"絕緣步伐",
-"Feel no Pain":"不痛不癢",
-"Evasion and Energy Shield Recharge":"閃避和能量護盾充能",
-"Spectral Ward":"光譜守護",
-"Inner Faith":"內在信仰",
-"Shadow Dancing":"影之舞",
-"Immaterial":"無形",
-"Shimmering":"閃閃發光",
-"Subterfuge Mask":"詭計面具",
-"Mindful Awareness":"謹慎意識",
-"Ancient Aegis":"遠古神盾",
-"Adamant Recovery":"堅韌恢復",
-"Reinforced Barrier":"加強屏障",
-"Spiral into Depression":"絕望漩渦",
-"Unnatural Resilience":"超然韌性",
-"Prism Guard":"稜鏡守護",
-"Slow Effect on You":"你身上的緩速效果",
-"Ailment Threshold":"異常狀態門檻",
-"Unhindered":"暢通無阻",
-"Natural Immunity":"自然免疫",
-"Warm the Heart":"暖心",
-"Feel the Earth":"感受大地",
-"Shedding Skin":"換皮",
-"Energy Shield Delay":"能量護盾延遲",
-"Mystic Stance":"秘言姿態",
-"Quick Response":"迅速反應",
-"Rapid Recharge":"快速充能",
-"Covering Ward":"防掩護盾",
-"Refocus":"重新專注",
-"Dependable Ward":"穩固護盾",
-"Energy Shield Recharge and Mana Flask Recovery":"能量護盾充能與魔力藥劑回復",
-"Arcane Mixtures":"秘能混合物",
-"Block and Shield Defences":"格擋和盾牌防禦",
-"Unstoppable Barrier":"無阻屏障",
-"Hunker Down":"蹲守",
-"Towering Shield":"高聳之盾",
-"Defender's Resolve":"防衛者決意",
-"Parrying Motion":"招架動作",
-"Spiked Shield":"尖刺盾牌",
-"Shield Expertise":"盾牌專精",
-"Block Recovery":"格擋恢復",
-"Smooth Buckler":"光滑圓盾",
-"Flashy Deflection":"瞬間偏斜",
-"Resolution":"決意",
-"Titan's Determination":"泰坦決意",
-"Unbreaking":"堅不可摧",
-"Stun Threshold and Strength":"暈眩門檻和力量",
-"Hefty Unit":"重型單位",
-"Austerity Measures":"緊縮",
-"Asceticism":"禁慾主義",
-"Self Mortification":"自我苦行",
-"Hallowed":"聖潔",
-"Eldritch Will":"異能之志",
-"Stun Threshold if not Stunned recently":"近期沒有暈眩的暈眩門檻",
-"Stun Threshold if no recent stun":"近期沒有暈眩的暈眩門檻",
-"Briny Carapace":"鹹水甲殼",
-"Deft Recovery":"恢復靈巧",
-"Back in Action":"重返戰鬥",
-"Ignite Effect on You":"你身上的點燃效果",
-"Fireproof":"防火",
-"Freeze and Chill Resistance":"冰凍和冰緩抗性",
-"Slippery Ice":"滑冰",
-"Icebreaker":"破冰者",
-"Electrocute Buildup":"觸電累積",
-"Electrocution":"觸電",
-"Coursing Energy":"奔流能量",
-"Mass Rejuvenation":"巨量恢復",
-"Life Regeneration on Low Life":"貧血時的生命回復",
-"Desperate Times":"絕望時刻",
-"Life Regeneration while Stationary":"靜止不動時的生命回復",
-"Resilient Soul":"堅韌之魂",
-"Thickened Arteries":"動脈增厚",
-"Hard to Kill":"不易死亡",
-"Hale Heart":"心心向榮",
-"Stand Ground":"穩住陣腳",
-"Life Leech  Armour and Evasion while Leeching":"生命偷取。偷取時的護甲和閃避",
-"Life Leech and Slower Leech":"生命偷取和偷取速度減慢",
-"Fortifying Blood":"堅韌之血",
-"Voracious":"貪婪",
-"Bloodthirsty":"嗜血的",
-"Goring":"刺穿",
-"Savoured Blood":"鮮味之血",
-"Fast Metabolism":"快速代謝",
-"Life Leech and Physical Damage":"生命偷取和物理傷害",
-"Loose Flesh":"鬆散肌肉",
-"Taut Flesh":"繃緊肌肉",
-"Heart Tissue":"心臟疾病",
-"Pliable Flesh":"可塑肉體",
-"Glazed Flesh":"琉璃血肉",
-"Life on Kill":"擊殺時回復生命",
-"Immortal Infamy":"不朽惡名",
-"Life Flasks":"生命藥劑",
-"Refills":"補滿",
-"Hale Traveller":"健壯旅人",
-"Reinvigoration":"重新振作",
-"Life Flask Charges":"生命藥劑充能",
-"Life Flask Charge Generation":"生命藥劑使用次數充能",
-"Staunching":"止血",
-"Life Flask Recovery":"生命藥劑恢復",
-"Succour":"救援",
-"Heavy Drinker":"重度飲用者",
-"Potent Concoctions":"強效藥劑",
-"Efficient Alchemy":"高效鍊金術",
-"Flask and Charm Charges Gained":"藥劑與護符充能獲取",
-"Lasting Concoctions":"持久藥劑",
-"Flask Recovery":"藥劑回復",
-"Savouring":"品味",
-"Life and Mana Flask Recovery":"生命與魔力藥劑回復",
-"Combat Alchemy":"戰鬥煉金術",
-"Cautious Concoctions":"謹慎調製物",
-"Critical Chance":"暴擊率",
-"Crashing Wave":"震波",
-"Critical Damage":"暴擊傷害",
-"Damage on Critical":"暴擊時傷害",
-"Cruel Fate":"殘酷命運",
-"Leaping Ambush":"跳躍伏擊",
-"Direct Approach":"直球進攻",
-"For the Jugular":"直擊要害",
-"Critical Exploit":"弱點善用",
-"Spell Critical Damage":"法術暴擊傷害",
-"Moment of Truth":"真相揭曉",
-"Preemptive Strike":"先發制人",
-"Desensitisation":"暴擊傷害核心",
-"Cooked":"熟透",
-"Deadly Force":"致命武力",
-"Sundering":"崩裂",
-"Heartstopping":"心寒",
-"Struck Through":"擊穿防禦",
-"Attack Critical Damage":"攻擊暴擊傷害",
-"Attack Critical Chance":"攻擊暴擊率",
-"Critical Stun Buildup":"暈眩累積",
-"Overwhelming Strike":"鎮壓打擊",
-"Critical Chance and Reduced Mana":"暴擊率與減少魔力",
-"Critical Damage and Increased Mana Cost":"暴擊傷害與增加魔力消耗",
-"Vulgar Methods":"卑鄙手段",
-"Barbaric Strength":"野蠻力量",
-"Tainted Strike":"汙染打擊",
-"Dispatch Foes":"抹殺敵人",
-"Careful Assassin":"謹慎的刺客",
-"Attack Speed and Flask Duration":"攻擊速度和藥劑持續時間",
-"Blurred Motion":"無影行蹤",
-"Skill Speed":"技能速度",
-"Tenfold Attacks":"十重打擊",
-"Stimulants":"興奮劑",
-"Reaving":"掠奪",
-"Mass Hysteria":"群體癲狂",
-"Falcon Technique":"獵鷹技法",
-"Sand in the Eyes":"飛沙入眼",
-"Deep Trance":"深度恍惚",
-"Flow State":"戰鬥節奏",
-"Blinding Flash":"致盲閃光",
-"Blood Rush":"鮮血狂襲",
-"Final Barrage":"終極彈幕",
-"Casting Cascade":"連續施法",
-"Effervescent":"泡騰的",
-"Overzealous":"過度狂熱",
-"Spiral into Mania":"狂熱漩渦",
-"Spell Haste":"法術迅捷",
-"Practiced Signs":"熟練符印",
-"Erraticism":"反覆無常",
-"Mental Alacrity":"心靈迅捷",
-"Stun Buildup":"暈眩累積",
-"Hulking Smash":"巨力猛擊",
-"Titanic":"泰坦",
-"Cranial Impact":"顱骨衝擊",
-"Perfect Opportunity":"絕佳機會",
-"Shattering Blow":"粉碎強擊",
-"Flip the Script":"扭轉局勢",
-"Rage when Hit":"擊中時獲得盛怒",
-"Ignore Pain":"無視疼痛",
-"Prolonged Fury":"經久之怒",
-"Unforgiving":"嚴苛",
-"Vengeful Fury":"復仇之怒",
-"Sudden Infuriation":"突發暴怒",
-"Bleeding Duration":"流血持續時間",
-"Critical Bleeding Effect":"暴擊流血效果",
-"Bleeding Chance":"流血機率",
-"Deep Wounds":"深層創傷",
-"Bleeding Chance on Critical":"暴擊的流血機率",
-"Attack Damage vs Bleeding Enemies":"對流血敵人的攻擊傷害",
-"Perfectly Placed Knife":"精準匕首",
-"Aggravation":"加劇",
-"Bleeding Damage":"流血傷害",
-"Bleeding Out":"出血致死",
-"Immolation":"焚化",
-"Slow Burn":"緩慢燃燒",
-"Ignite Effect":"點燃效果",
-"Firestarter":"縱火者",
-"Burnout":"燃盡",
-"Freeze Buildup":"冰凍累積",
-"Inescapable Cold":"不可逃脫之凍寒",
-"Shattering":"粉碎",
-"Chill Effect and Duration":"冰緩效果和持續時間",
-"Chill and Freeze Duration":"冰緩和冰凍持續時間",
-"Chilled to the Bone":"凍寒刺骨",
-"Perpetual Freeze":"冰封核心",
-"Lightning Skill Chain Chance":"閃電技能連鎖機率",
-"Shock Effect":"感電效果",
-"Branching Bolts":"分叉弩箭",
-"Frazzled":"力盡",
-"General Electric":"通用電",
-"Drenched":"濕透",
-"Shock Duration":"感電持續時間",
-"Rattled":"驚慌失措",
-"Harmonic Generator":"和諧發電",
-"Poison Damage":"中毒傷害",
-"Poison Duration":"中毒持續時間",
-"Escalating Toxins":"遞增毒素",
-"Building Toxins":"蓄積毒素",
-"Crippling Toxins":"致殘毒素",
-"Leeching Toxins":"偷取毒素",
-"Lasting Toxins":"持久毒素",
-"Stacking Toxins":"疊加毒素",
-"Evasion if Consumed Frenzy Charge":"消耗狂怒球的閃避值",
-"Recover Life on consuming Endurance Charge":"消耗耐力球時恢復生命",
-"Guts":"膽量",
-"Grit":"毅力",
-"Armour if Consumed Endurance Charge":"消耗耐力球時獲得護甲",
-"Critical Damage when consuming a Power Charge":"消耗暴擊球時的暴擊傷害",
-"Lust for Power":"渴求力量",
-"Overflowing Power":"力量滿溢",
-"The Power Within":"內在力量",
-"Energy Shield if Consumed Power Charge":"消耗暴擊球的能量護盾",
-"Empowered Attack Damage and Bleeding Chance":"強化攻擊傷害與流血機率",
-"Warcry Cooldown":"戰吼冷卻",
-"Empowered Attack Damage":"強化攻擊傷害",
-"Warcry Damage":"戰吼傷害",
-"Cacophony":"不諧之音",
-"Vocal Empowerment":"聲音賦予",
-"Warcry Cooldown Speed":"戰吼冷卻速度",
-"Internal Bleeding":"內出血",
-"Bravado":"雙刃之力",
-"Deafening Cries":"震耳吶喊",
-"Guttural Roar":"喉鳴咆哮",
-"Bolstering Yell":"壯膽咆哮",
-"Warcry Cooldown and Speed":"戰吼冷卻和速度",
-"Urgent Call":"緊急呼喚",
-"Curse Activation Speed and Effect":"詛咒啟動速度與效果",
-"Zone of Control":"區域控制",
-"Curse Area":"詛咒範圍",
-"Master of Hexes":"詛咒大師",
-"Fated End":"命運終結",
-"Lingering Whispers":"殘留低語",
-"Totem Damage":"圖騰傷害",
-"Supportive Ancestors":"祖靈之援",
-"Carved Earth":"鑿刻大地",
-"Totem Placement Speed":"圖騰放置速度",
-"Totem Life":"圖騰生命",
-"Ancestral Artifice":"先祖詭計",
-"Ancestral Unity":"先祖同心",
-"Hardened Wood":"硬化樹木",
-"Spirit Bond":"靈魂連結",
-"Ancestral Alacrity":"先祖迅捷",
-"Totem Cast Speed":"圖騰施放速度",
-"Ancestral Conduits":"祖靈導體",
-"Ancestral Mending":"先祖治癒",
-"Totem Elemental Resistance":"圖騰元素抗性",
-"Totem Physical Damage Reduction":"圖騰物理傷害減免",
-"Minion Area":"召喚物範圍",
-"Deadly Swarm":"致命群襲",
-"Lord of Horrors":"恐懼領主",
-"Fear of Death":"死亡恐懼",
-"Dead can Dance":"亡者之舞",
-"Relentless Fallen":"無情殞落者",
-"Right Hand of Darkness":"暗黑右手",
-"Minion Critical Chance":"召喚物暴擊率",
-"Grip of Evil":"惡靈之握",
-"Necrotic Touch":"亡者之觸",
-"Minion Critical Damage":"召喚物暴擊傷害",
-"Restless Dead":"殞落狂熱",
-"Growing Swarm":"人海戰術",
-"Gravedigger":"掘墓者",
-"Minion Resistances":"召喚物抗性",
-"Minion Revive Speed":"召喚物復活速度",
-"Minion Fire Resistance":"召喚物火焰抗性",
-"Necrotised Flesh":"亡者之軀",
-"Left Hand of Darkness":"黑暗左手",
-"Minion Defences":"召喚物防禦",
-"Crystalline Flesh":"結晶血肉",
-"Fleshcrafting":"血肉塑造",
-"Minion Lightning Resistance":"召喚物閃電抗性",
-"Minion Physical Damage Reduction":"召喚物物理傷害減免",
-"Minion Cold Resistance":"召喚物冰冷抗性",
-"Vile Mending":"惡毒療癒",
-"Regenerative Flesh":"再生血肉",
-"Living Death":"行屍走肉",
-"Entropic Incarnation":"熵熱化身",
-"Unleash Seal Generation":"釋放封印產生",
-"Additional Spell Projectiles":"額外法術投射物",
-"Anticipation":"懸念",
-"Lasting Incantations":"持久咒語",
-"Potent Incantation":"強力咒語",
-"Melee Critical Chance":"近戰暴擊率",
-"Rapid Strike":"迅捷打擊",
-"Serrated Edges":"鋸齒刀鋒",
-"Personal Touch":"個人風格",
-"In Your Face":"面部攻擊",
-"Viciousness":"狠毒",
-"Unerring Impact":"精準衝擊",
-"Heavy Weaponry":"重裝武器",
-"Reaching Strike":"延伸打擊",
-"Deadly Flourish":"致命華舞",
-"Initiative":"先機",
-"Breaking Blows":"粉碎之擊",
-"Honourless":"毫無榮譽",
-"Melee Damage against Immobilised":"對禁錮敵人的近戰傷害",
-"Smash":"砸碎",
-"Attack Damage and Movement Speed":"攻擊傷害和移動速度",
-"Attack Damage and Slow Effect":"攻擊傷害和緩速效果",
-"Maiming Strike":"癱瘓打擊",
-"Attack Damage and Skill Duration":"攻擊傷害和技能持續時間",
-"Prolonged Assault":"持久攻擊",
-"Blinding Strike":"致盲打擊",
-"Attack Damage with nearby Ally":"與附近友方的攻擊傷害",
-"Killer Instinct":"殺手本能",
-"Attack Damage and Accuracy":"攻擊傷害和命中",
-"Presence Present":"氣場四散",
-"Unexpected Finesse":"出奇靈巧",
-"Forking Projectiles":"分岔投射物",
-"Chaining Projectiles":"連鎖投射物",
-"Pierce Chance":"穿透機率",
-"Projectile Speed":"投射物速度",
-"Attack Area":"攻擊範圍",
-"Projectile Pierce":"投射物穿透",
-"Kite Runner":"風箏高手",
-"Careful Aim":"細心瞄準",
-"Heavy Ammunition":"重磅彈藥",
-"Piercing Shot":"穿射箭矢",
-"Catapult":"投石車",
-"Short Shot":"短距離射擊",
-"Close Confines":"狹小界限",
-"Shrapnel":"彈片",
-"Advanced Munitions":"先進彈藥",
-"Fire Damage and Area":"火焰傷害和範圍",
-"Damage against Burning Enemies":"對燃燒敵人的傷害",
-"Ignite and Critical Chance":"點燃機率",
-"Critical Ignite Effect":"點燃機率",
-"Total Incineration":"散播火焰",
-"Burning Nature":"燃燒之性",
-"Sigil of Fire":"火焰符印",
-"Path of Flame":"烈焰之途",
-"Burn Away":"焚燒殆盡",
-"Echoing Flames":"迴盪餘焰",
-"Intense Flames":"熊熊烈火",
-"Volcanic Skin":"火山皮膚",
-"Burning Strikes":"灼熱打擊",
-"Incendiary":"爆燃",
-"Fulmination":"劇烈爆發",
-"Cast Speed with Cold Skills":"冰冷技能施放速度",
-"Cold and Fire Damage":"冰冷和火焰傷害",
-"Cold Nature":"冰寒之性",
-"Sigil of Ice":"冰霜符印",
-"Thin Ice":"如履薄冰",
-"Heavy Frost":"厚重冰霜",
-"Path of Winter":"凜冬之途",
-"Harsh Winter":"嚴冬",
-"Climate Change":"氣候變遷",
-"Echoing Frost":"迴盪寒霜",
-"Endless Blizzard":"無盡暴雪",
-"Essence of the Mountain":"山地精華",
-"Lightning Skill Speed":"閃電技能速度",
-"Shock Effect and Mana Regeneration":"感電效果與魔力回復",
-"Pure Power":"純粹電能",
-"Electrifying Nature":"電能之性",
-"Sigil of Lightning":"雷電符印",
-"Power Conduction":"能量傳導",
-"Wild Storm":"狂野風暴",
-"Path of Storms":"風暴之途",
-"Flash Storm":"電光風暴",
-"Spreading Shocks":"擴散感電",
-"Endless Circuit":"無限循環",
-"Lightning Quick":"迅雷",
-"Echoing Thunder":"迴盪雷電",
-"Essence of the Storm":"暴風精髓",
-"Alternating Current":"交流電",
-"Lightning Damage and Electrocute Buildup":"閃電傷害",
-"Chaos Damage and Duration":"混沌傷害和持續時間",
-"Withered Effect":"凋零效果",
-"Pure Chaos":"全然混沌",
-"Dark Entries":"黑暗侵襲",
-"Spaghettification":"麵條化",
-"Event Horizon":"事件視界",
-"Spiral into Insanity":"瘋狂漩渦",
-"Stylebender":"風格轉換",
-"Void":"虛空",
-"Lingering Horror":"殘留恐懼",
-"Wither Away":"枯萎",
-"Physical Damage and Critical Chance":"物理傷害和暴擊率",
-"Daze Buildup":"目眩累積",
-"Physical":"物理",
-"Physical as Extra Chaos Damage":"物理轉化為額外混沌傷害",
-"Spell Critical Chance":"法術暴擊率",
-"Spell Critical Chance and Critical Ailment Effect":"法術暴擊率和異常狀態效果暴擊",
-"Armour Break":"護甲破壞",
-"Cut to the Bone":"刀刀見骨",
-"Madness in the Bones":"滲骨瘋狂",
-"Shredding Force":"粉碎之力",
-"Blood Tearing":"撕裂血肉",
-"Tempered Mind":"冶鍊之意",
-"Battle Fever":"戰鬥狂熱",
-"Speed with Elemental Skills":"元素技能的速度",
-"Elemental":"元素",
-"Elemental Damage and Freeze Buildup":"元素傷害與冰凍累積",
-"Elemental Damage and Shock Chance":"元素傷害與感電機率",
-"Elemental Damage and Ignite Chance":"元素傷害與點燃機率",
-"Unbound Forces":"無縛之力",
-"Harness the Elements":"駕馭元素",
-"Stormcharged":"雷霆充能",
-"Exposure Effect":"曝曬效果",
-"Overexposure":"過度曝曬",
-"Breaking Point":"臨界點",
-"All Natural":"純然天性",
-"Stormbreaker":"風暴破壞者",
-"Elemental Ailment Duration":"元素異常狀態持續時間",
-"Elemental Ailment Chance":"元素異常狀態機率",
-"DAMAGE FROM MANA":"魔力傷害",
-"Mind Eraser":"心靈抹除",
-"Sturdy Mind":"堅韌思維",
-"Mana Blessing":"魔力祝福",
-"Mental Toughness":"強韌心理",
-"Mana Regeneration while not on Low Mana":"非貧魔狀態下的魔力回復",
-"Arcane Intensity":"秘能強化",
-"Raw Mana":"原始魔力",
-"Adverse Growth":"逆向增長",
-"Soul Bloom":"靈魂綻放",
-"Reduced Mana Cost":"減少魔力消耗",
-"Investing Energies":"能量投入",
-"Conservative Casting":"謹慎施法",
-"Full Recovery":"完全回復",
-"Arcane Blossom":"秘能之花",
-"Aspiring Genius":"野心天才",
-"Open Mind":"敞開心胸",
-"Arcane Surge Effect":"秘能波動效果",
-"Touch the Arcane":"秘能之觸",
-"Arcane Surge on Critical Hit":"暴擊時秘能波動",
-"Ether Flow":"以太湧流",
-"Price of Freedom":"自由代價",
-"Mana Leech and Cold Resistance":"魔力偷取和冰冷抗性",
-"Suffusion":"瀰漫的",
-"Siphon":"虹吸",
-"Manifold Method":"千方百計",
-"Immortal Thirst":"不朽渴望",
-"Mana Flask Recovery":"魔力藥劑回復",
-"Mana Flask Charges":"魔力藥劑充能",
-"Mana Flask Charges Used":"使用的魔力藥劑充能",
-"Altered Brain Chemistry":"換腦化學",
-"Wellspring":"泉源",
-"Arcane Alchemy":"秘能鍊金術",
-"Warding Potions":"守護藥劑",
-"Waters of Life":"生命之水",
-"Accuracy and Critical Chance":"命中和暴擊率",
-"Determined Precision":"精準果斷",
-"Locked On":"已鎖定",
-"Falcon Dive":"獵鷹下墜",
-"Near Sighted":"近距離射手",
-"Far Sighted":"遠距離射手",
-"Sharp Sight":"銳利目光",
-"Accuracy and Attack Critical Chance":"命中與攻擊暴擊率",
-"Pinpoint Shot":"精確射擊",
-"Herald Reservation":"保留捷光環",
-"Herald Damage":"捷光環傷害",
-"Fate Finding":"命運探尋",
-"Apocalypse":"天啟預者",
-"Doomsayer":"末日預言者",
-"Bolstering Presence":"振奮光環",
-"Triggered Spell Damage":"觸發的法術傷害",
-"Energy":"能量",
-"Energise":"賦能",
-"Invocated Efficiency":"祈願之語",
-"Protraction":"延伸效用",
-"Preservation":"保存實力",
-"Reduced Duration":"減少持續時間",
-"Tides of Change":"變革浪潮",
-"Forthcoming":"命運將至",
-"Link Buff Effect":"連結增益效果",
-"Twinned Tethers":"雙生束縛",
-"Strong Links":"強力連結",
-"Spirit Bonds":"靈魂連結",
-"Shapeshifting":"變形",
-"Swift Claw":"迅捷之爪",
-"Tough Claw":"堅韌之爪",
-"Sharpened Claw":"鋒利之爪",
-"Bestial Rage":"野獸狂怒",
-"Feral Force":"野性之力",
-"Life Costs":"生命消耗",
-"Critical Damage vs Full Life":"對滿血敵人的暴擊傷害",
-"Damage vs Full Life":"對滿血敵人的傷害",
-"First Approach":"初次嘗試",
-"Damage against Enemies on Low Life":"對貧血敵人造成的傷害",
-"Finishing Blows":"終結之擊",
-"Stars Aligned":"行列眾星",
-"Finality":"終結",
-"Mental Perseverance":"堅毅心靈",
-"Two-Pronged Attack":"雙叉攻擊",
-"Resourceful Ally":"機智的盟友",
-"Sturdy Ally":"強健的盟友",
-"Unimpeded":"暢通無阻",
-"Near at Hand":"近在咫尺",
-"Debuff Expiry":"減益效果失效",
-"Slow Effect":"緩速效果",
-"Duration":"持續時間",
-"Time Manipulation":"時間操縱",
-"Chronomancy":"時空法術",
-"Slow Effect and Hinder Duration":"緩速效果與阻礙持續時間",
-"Hindered Capabilities":"受阻之力",
-"Weapon Swap Speed":"武器切換速度",
-"Quick-change Act":"快速切換",
-"Elemental Attack Damage":"元素攻擊傷害",
-"Catalysis":"催化",
-"Crystal Elixir":"水晶靈藥",
-"Emboldened Avatar":"勇氣化生",
-"Pocket Sand":"口袋藏沙",
-"Adrenaline Rush":"腎上腺素",
-"Area Damage":"範圍傷害",
-"Area Damage and Armour Break":"範圍傷害和護甲破壞",
-"Primal Growth":"原始成長",
-"Impact Area":"衝擊範圍",
-"Devastation":"毀滅",
-"Impact Force":"衝擊之力",
-"Authority":"權威",
-"Crushing Judgement":"粉碎審判",
-"Reverberating Impact":"迴響衝擊",
-"Roil":"翻騰",
-"Repulsion":"排斥",
-"Echoing Pulse":"迴盪脈衝",
-"Ruin":"毀壞",
-"Spell Damage and Projectile Speed":"法術傷害與投射物速度",
-"Turn the Clock Back":"時光倒流",
-"Turn the Clock Forward":"時光前推",
-"Psychic Fragmentation":"幽能碎片",
-"Radial Force":"徑向力",
-"Cull the Hordes":"剿敵",
-"Giantslayer":"泰坦殺手",
-"Attack Damage and Reduced Attack Speed":"攻擊傷害與減緩的攻擊速度",
-"Ailment Effect and Reduced Attack Speed":"異常狀態效果和減緩的攻擊速度",
-"Crushing Verdict":"毀滅裁決",
-"Lasting Trauma":"持久創傷",
-"Stupefy":"麻木",
-"Damage vs Dazed Enemies":"對目眩敵人造成的傷害",
-"Attack Speed if Hit":"擊中時獲得攻擊速度",
-"Armour if Hit":"擊中時獲得護甲",
-"Thorns and Block":"荊棘與格擋",
-"Thorns":"荊棘",
-"Revenge":"復仇",
-"Spiked Armour":"尖刺護甲",
-"Thorn Critical Damage":"荊棘暴擊傷害",
-"Armour while Surrounded":"遭包圍時的護甲",
-"Evasion while Surrounded":"遭包圍時的閃避值",
-"Attack Damage while Surrounded":"遭包圍時的攻擊傷害",
-"In the Thick of It":"深入其中",
-"Sentinels":"守望",
-"Silent Guardian":"無聲守護者",
-"Bringer of Order":"秩序使者",
-"Holy Protector":"神聖保護者",
-"Attack Area Damage and Area":"攻擊範圍傷害和範圍",
-"Hold Focus":"維持專注",
-"No Escape":"無處可逃",
-"Break Focus":"打破專注",
-"Marked for Sickness":"病痛印記",
-"Mark Duration":"印記持續時間",
-"Marked Agility":"印記靈敏",
-"Unsight":"隱蔽",
-"Mark Effect and Blind Effect":"印記效果和致盲機率",
-"Mark Effect and Blind Chance":"印記效果和致盲機率",
-"Offering Life":"奉獻生命",
-"Offering Duration":"奉獻持續時間",
-"Corpses":"屍體",
-"Stigmata":"聖痕",
-"Meat Recycling":"肉塊回收",
-"Offering Area":"奉獻區域",
-"Lust for Sacrifice":"渴求獻祭",
-"Damage against Ailments":"對異常狀態者造成傷害",
-"Ailment Chance":"異常狀態機率",
-"Vile Wounds":"惡性創傷",
-"Exploit":"弱點針對",
-"Exploit the Elements":"元素弱點",
-"Clean Shot":"俐落射擊",
-"Stand and Deliver":"攔路搶劫",
-"Death from Afar":"遠迎死劫",
-"Brutal":"殘忍",
-"Blur":"模糊",
-"Honed Instincts":"敏銳本能",
-"Raw Power":"原始力量",
-"Pure Energy":"純淨能量",
-"Remorseless":"殘酷無情",
-"Relentless Vindicator":"無情護衛者",
-"Devoted Protector":"至誠保衛者",
-"Flow Like Water":"行雲流水",
-"Step Like Mist":"騰雲踏霧",
-"Sudden Escalation":"突發升級",
-"Critical Overload":"暴擊超載",
-"Controlling Magic":"操控魔法",
-"Attack and Spell Damage":"攻擊和法術傷害",
-"Equilibrium":"均衡",
-"Knockback and Stun Buildup":"擊退與暈眩累積",
-"Forcewave":"力量震波",
-"Clear Space":"清空區域",
-"Fire Penetration and Stun Buildup":"火焰穿透與暈眩累積",
-"Exposed to the Inferno":"暴露於煉獄之火",
-"Breath of Fire":"火焰之息",
-"Smoke Inhalation":"吞雲吐霧",
-"Overheating Blow":"過熱一擊",
-"Shattered Crystal":"碎裂水晶",
-"Storm Swell":"風暴浪潮",
-"Exposed to the Cosmos":"暴露於宇宙",
-"Snowpiercer":"冰雪穿透",
-"Breath of Ice":"寒冰之息",
-"Overload":"過載",
-"Exposed to the Storm":"暴露於風暴",
-"Surging Currents":"湧動電流",
-"Electric Amplification":"閃電增幅",
-"Unarmed Damage":"空手傷害",
-"Unarmed Area":"空手地帶",
-"Unarmed Attack Speed":"空手攻擊速度",
-"Way of the Wind":"風之道",
-"Stun and Freeze Buildup":"暈眩與冰凍累積",
-"Armour Break Duration":"護甲破壞持續時間",
-"Armour Break and Armour":"護甲破壞與護甲",
-"Damage vs Armour Broken Enemies":"對破甲敵人的傷害",
-"Armour Break and Physical Damage":"護甲破壞與物理傷害",
-"Breakage":"破裂",
-"Pile On":"堆砌",
-"Irreparable":"無可修復",
-"Cruel Methods":"殘忍手段",
-"Jagged Ground Effect":"碎裂地面效果",
-"Bleed Damage":"流血傷害",
-"Perforation":"穿孔",
-"Spike Pit":"尖刺陷阱",
-"Cooldown Recovery Rate":"冷卻時間恢復率",
-"Distracting Presence":"擾亂光環",
-"Multitasking":"一心多用",
-"Volatile Catalyst":"易爆催化劑",
-"Ailment Chance and Effect":"異常狀態機率和效果",
-"Deterioration":"惡化",
-"Exposed Wounds":"暴露傷口",
-"Ailment Effect and Duration":"異常狀態效果與持續時間",
-"Fast Acting Toxins":"速效毒素",
-"Quiver Effect":"箭袋效果",
-"Master Fletching":"箭矢大師",
-"Grenade Cooldown Recovery Rate":"擲彈冷卻時間恢復率",
-"Grenade Area":"擲彈範圍",
-"Grenadier":"擲彈手",
-"Cluster Bombs":"團簇炸彈",
-"Volatile Grenades":"易爆擲彈",
-"Pin Buildup":"釘身累積",
-"Pinned Down":"動彈不得",
-"Pin and Run":"釘帶跑",
-"Primal Protection":"原始守護",
-"Vale Shelter":"谷地庇護",
-"Thicket Warding":"樹叢守護",
-"Lucky Rabbit Foot":"幸運兔腳",
-"Woodland Aspect":"木林祝福",
-"Hunter's Talisman":"狩獵者巫符",
-"Charm Duration":"護符持續時間",
-"Charm Charges Used":"護符充能消耗",
-"Charm Effect":"護符效果",
-"Charm Activation Chance":"護符啟動時的傷害",
-"Charm Charges":"護符充能",
-"Damage":"傷害",
-"Brute":"野蠻",
-"Infernalist":"煉獄術士",
-"Gambler":"賭徒",
-"Master of the Elements":"元素大師",
-"Slam Area of Effect":"重擊效果範圍",
-"Block Chance":"格擋率",
-"Bleed on Critical Chance":"暴擊引起流血機率",
-"Chill Duration":"冰緩持續時間",
-"Buff Expiry Rate":"增益效果失效速度",
-"Debuff Expiry Rate":"減益效果失效速度",
-"Circular Heartbeat":"心跳循環",
-"Damage vs Low Life Enemies":"對貧血狀態的敵人造成的傷害",
-"Specialisation Points":"專精點數",
-"Skill Gem Quality":"技能寶石品質",
-"Attributes":"能力值",
-"Darkness":"黑暗",
-"Poison Effect":"中毒效果",
-"Passive Points":"天賦點數",
-"Connected Chemistry":"連鎖化學",
-"[Jewel] Socket":"[Jewel|珠寶]插槽",
-"Aura Mastery":"光環專精",
-"Charms Mastery":"護符專精",
-"Crossbow Mastery":"十字弓專精",
-"Fire Resistance Mastery":"火焰抗性專精",
-"Flail Mastery":"鏈錘專精",
-"Herald Mastery":"捷光環專精",
-"Power Charge Mastery":"暴擊球專精",
-"Quarterstaff Mastery":"細杖專精",
-"Shapeshifting Mastery":"變形專精",
-"Spear Mastery":"長鋒專精",
-"Grants Skill":"賦予技能",
-"Critical":"暴擊傷害",
-"Primal Sundering":"原始震擊",
-"Nailed Fist":"拳釘",
-"Sharktooth Claw":"鯊顎爪",
-"Awl":"鑿釘",
-"Cat's Paw":"貓爪刃",
-"Blinder":"襲眼鉤",
-"Timeworn Claw":"遠古戰爪",
-"Sparkling Claw":"眩目爪刃",
-"Fright Claw":"恐懼之爪",
-"Double Claw":"雙刃爪",
-"Thresher Claw":"撕裂尖爪",
-"Gouger":"穿體鑿",
-"Tiger's Paw":"虎爪刃",
-"Gut Ripper":"裂臟鉤",
-"Prehistoric Claw":"史前戰爪",
-"Noble Claw":"貴族戰爪",
-"Eagle Claw":"鷹爪刃",
-"Twin Claw":"重刃爪",
-"Great White Claw":"白靈之爪",
-"Throat Stabber":"刺喉刃",
-"Hellion's Paw":"魔爪刃",
-"Eye Gouger":"刺眼鉤",
-"Vaal Claw":"瓦爾戰爪",
-"Imperial Claw":"帝國戰爪",
-"Terror Claw":"恐懼之牙",
-"Gemini Claw":"雙子戰爪",
-"Shadow Fangs":"暗影獠牙",
-"Malign Fangs":"邪惡獠牙",
-"Void Fangs":"虛空獠牙",
-"Glass Shank":"玻璃利片",
-"Skinning Knife":"剝皮刀",
-"Stiletto":"銳利刺匕",
-"Prong Dagger":"尖耙短匕",
-"Flaying Knife":"殘體利刃",
-"Poignard":"奪命刺",
-"Trisula":"三叉短匕",
-"Gutting Knife":"重傷短刀",
-"Ambusher":"伏擊刺刃",
-"Sai":"戰叉",
-"Hollowpoint Dagger":"簍空短匕",
-"Pressurised Dagger":"高壓短匕",
-"Pneumatic Dagger":"魂靈短匕",
-"Ethereal Blade":"虛空刀刃",
-"Driftwood Wand":"朽木法杖",
-"Goat's Horn":"羊角法杖",
-"Carved Wand":"粗紋法杖",
-"Quartz Wand":"石英法杖",
-"Spiraled Wand":"螺紋法杖",
-"Sage Wand":"賢者法杖",
-"Pagan Wand":"異教法杖",
-"Faun's Horn":"獸角法杖",
-"Engraved Wand":"符文法杖",
-"Crystal Wand":"水晶法杖",
-"Serpent Wand":"蛇眼法杖",
-"Omen Wand":"靈兆法杖",
-"Heathen Wand":"異徒法杖",
-"Demon's Horn":"魔角法杖",
-"Imbued Wand":"魔性法杖",
-"Opal Wand":"靈石法杖",
-"Tornado Wand":"狂風法杖",
-"Prophecy Wand":"箴言法杖",
-"Profane Wand":"褻瀆法杖",
-"Assembler Wand":"拼裝法杖",
-"Congregator Wand":"匯能法杖",
-"Accumulator Wand":"蓄能法杖",
-"Calling Wand":"呼喚法杖",
-"Convening Wand":"召集法杖",
-"Convoking Wand":"召喚法杖",
-"Charan's Sword":"查蘭之劍",
-"Golden Blade":"黃金之刃",
-"Rusted Sword":"鏽劍",
-"Copper Sword":"青銅短劍",
-"Sabre":"舊軍刀",
-"Broad Sword":"闊劍",
-"War Sword":"征戰之劍",
-"Ancient Sword":"遠古之劍",
-"Elegant Sword":"貴族之劍",
-"Dusk Blade":"暮色之刃",
-"Hook Sword":"鉤爪劍",
-"Variscite Blade":"碧銅短劍",
-"Cutlass":"軍用長刃",
-"Baselard":"冷光長劍",
-"Battle Sword":"士兵長劍",
-"Elder Sword":"智者長劍",
-"Graceful Sword":"權貴之劍",
-"Twilight Blade":"暮光長劍",
-"Grappler":"捕捉者",
-"Gemstone Sword":"寶石之劍",
-"Corsair Sword":"海賊長刀",
-"Gladius":"鬥士長劍",
-"Legion Sword":"軍團長劍",
-"Vaal Blade":"瓦爾軍刃",
-"Eternal Sword":"永恆之劍",
-"Midnight Blade":"夜語長劍",
-"Tiger Hook":"虎鉤",
-"Fickle Spiritblade":"非命魂刃",
-"Capricious Spiritblade":"怪談魂刃",
-"Anarchic Spiritblade":"翻天魂刃",
-"Rusted Spike":"鏽刺劍",
-"Whalebone Rapier":"鯨骨細刃",
-"Battered Foil":"鈍刃細劍",
-"Basket Rapier":"練武者細劍",
-"Jagged Foil":"鋸狀薄刃",
-"Antique Rapier":"古代細劍",
-"Elegant Foil":"貴族細劍",
-"Thorn Rapier":"棘刺細劍",
-"Smallsword":"小劍",
-"Wyrmbone Rapier":"龍骨細劍",
-"Burnished Foil":"冷芒刺劍",
-"Estoc":"穿甲刺劍",
-"Serrated Foil":"鋸齒細劍",
-"Primeval Rapier":"古典刺劍",
-"Fancy Foil":"華麗細劍",
-"Apex Rapier":"銳鋒細劍",
-"Courtesan Sword":"花魁之劍",
-"Dragonbone Rapier":"龍骨細劍",
-"Tempered Foil":"強化細劍",
-"Pecoraro":"寒光刺劍",
-"Spiraled Foil":"螺紋細劍",
-"Vaal Rapier":"瓦爾細劍",
-"Jewelled Foil":"寶飾細劍",
-"Harpy Rapier":"魔喙細劍",
-"Dragoon Sword":"騎兵軍刀",
-"Rusted Hatchet":"鏽斧",
-"Jade Hatchet":"碎玉斧",
-"Boarding Axe":"萬用手斧",
-"Cleaver":"切割者",
-"Broad Axe":"闊斧",
-"Arming Axe":"長柄斧",
-"Decorative Axe":"富貴之斧",
-"Spectral Axe":"幽魂之斧",
-"Etched Hatchet":"蝕刻戰斧",
-"Jasper Axe":"靈玉斧",
-"Tomahawk":"征戰之斧",
-"Wrist Chopper":"斷腕之刃",
-"War Axe":"行軍斧",
-"Chest Splitter":"開膛利刃",
-"Ceremonial Axe":"血儀之斧",
-"Wraith Axe":"凶靈之斧",
-"Engraved Hatchet":"雕文戰斧",
-"Karui Axe":"卡魯古斧",
-"Siege Axe":"破城斧",
-"Reaver Axe":"殘暴之斧",
-"Butcher Axe":"屠戮之斧",
-"Vaal Hatchet":"瓦爾戰斧",
-"Royal Axe":"皇家之斧",
-"Infernal Axe":"獄火之刃",
-"Runic Hatchet":"密文之斧",
-"Maltreatment Axe":"肆虐之斧",
-"Disapprobation Axe":"駁斥之斧",
-"Psychotic Axe":"神亂之斧",
-"Driftwood Club":"朽木之棒",
-"Tribal Club":"祭儀之杵",
-"Spiked Club":"鈍釘木棒",
-"Stone Hammer":"石錘",
-"War Hammer":"戰錘",
-"Bladed Mace":"多刃錘",
-"Ceremonial Mace":"祭禮之錘",
-"Dream Mace":"夢境之錘",
-"Wyrm Mace":"古龍之錘",
-"Petrified Club":"堅石木棒",
-"Barbed Club":"銳刺木棒",
-"Rock Breaker":"破岩錘",
-"Battle Hammer":"強化戰錘",
-"Flanged Mace":"護體之錘",
-"Ornate Mace":"華麗之錘",
-"Phantom Mace":"幻象之錘",
-"Dragon Mace":"龍之錘",
-"Ancestral Club":"祖靈之杵",
-"Tenderizer":"裂肉之錘",
-"Gavel":"堅錘",
-"Legion Hammer":"軍團之錘",
-"Pernach":"鋒刃重錘",
-"Auric Mace":"聖約之錘",
-"Nightmare Mace":"夢魘之錘",
-"Behemoth Mace":"巴哈姆特",
-"Flare Mace":"閃耀之錘",
-"Crack Mace":"碎裂之錘",
-"Boom Mace":"爆裂之錘",
-"Crude Bow":"粗製弓",
-"Short Bow":"短弓",
-"Long Bow":"長弓",
-"Composite Bow":"合成弓",
-"Recurve Bow":"反曲弓",
-"Bone Bow":"骨製弓",
-"Royal Bow":"皇家獵弓",
-"Death Bow":"死亡之弓",
-"Reflex Bow":"反射弓",
-"Grove Bow":"叢林獵弓",
-"Decurve Bow":"直弓",
-"Compound Bow":"複合弓",
-"Sniper Bow":"狙殺弓",
-"Ivory Bow":"象牙弓",
-"Highborn Bow":"貴族之弓",
-"Decimation Bow":"獵魂之弓",
-"Steelwood Bow":"鋼木之弓",
-"Thicket Bow":"林野獵弓",
-"Citadel Bow":"城塞戰弓",
-"Ranger Bow":"漫遊之弓",
-"Assassin Bow":"暗殺弓",
-"Spine Bow":"脊弓",
-"Imperial Bow":"帝國之弓",
-"Harbinger Bow":"先驅者之弓",
-"Maraketh Bow":"馬拉克斯弓",
-"Hedron Bow":"海德隆之弓",
-"Foundry Bow":"鑄造之弓",
-"Solarine Bow":"日耀之弓",
-"Gemini Bow":"雙子之弓",
-"Gnarled Branch":"朽木之幹",
-"Primitive Staff":"粗製長杖",
-"Long Staff":"長杖",
-"Royal Staff":"皇家長杖",
-"Crescent Staff":"新月長杖",
-"Woodful Staff":"堅木長杖",
-"Quarterstaff":"細柄長杖",
-"Highborn Staff":"貴族長杖",
-"Moon Staff":"月神長杖",
-"Primordial Staff":"史典長杖",
-"Lathi":"武術長杖",
-"Imperial Staff":"帝國長杖",
-"Eclipse Staff":"月蝕長杖",
-"Transformer Staff":"變形長杖",
-"Reciprocation Staff":"鐘擺長杖",
-"Battery Staff":"蓄能長杖",
-"Keyblade":"寶鑰之刃",
-"Corroded Blade":"鏽斑巨劍",
-"Longsword":"大劍",
-"Bastard Sword":"重劍",
-"Two-Handed Sword":"雙手劍",
-"Etched Greatsword":"術雕巨劍",
-"Ornate Sword":"名貴巨劍",
-"Spectral Sword":"幽魂巨劍",
-"Curved Blade":"彎刃",
-"Butcher Sword":"殺戮巨劍",
-"Footman Sword":"士兵巨劍",
-"Highland Blade":"高山重刃",
-"Engraved Greatsword":"符文巨劍",
-"Tiger Sword":"虎牙巨劍",
-"Wraith Sword":"凶靈巨劍",
-"Lithe Blade":"細刃",
-"Headman's Sword":"行刑巨劍",
-"Reaver Sword":"殘暴巨劍",
-"Ezomyte Blade":"艾茲麥巨劍",
-"Vaal Greatsword":"瓦爾巨劍",
-"Lion Sword":"獅爪巨劍",
-"Infernal Sword":"獄炎重劍",
-"Exquisite Blade":"精緻之刃",
-"Rebuking Blade":"鞭策之刃",
-"Blasting Blade":"爆破之刃",
-"Banishing Blade":"放逐之刃",
-"Stone Axe":"石斧",
-"Jade Chopper":"碎玉大斧",
-"Woodsplitter":"柴斧",
-"Poleaxe":"巨戰斧",
-"Double Axe":"雙刃巨斧",
-"Gilded Axe":"金柄之斧",
-"Shadow Axe":"幽影巨斧",
-"Dagger Axe":"匕斧",
-"Jasper Chopper":"靈玉巨斧",
-"Timber Axe":"裂木巨斧",
-"Headsman Axe":"行刑巨斧",
-"Labrys":"雙影巨斧",
-"Noble Axe":"權貴巨斧",
-"Abyssal Axe":"深淵巨斧",
-"Talon Axe":"猛禽爪斧",
-"Karui Chopper":"卡魯巨斧",
-"Sundering Axe":"裂甲巨斧",
-"Ezomyte Axe":"艾茲麥巨斧",
-"Vaal Axe":"瓦爾巨斧",
-"Despot Axe":"霸主巨斧",
-"Void Axe":"虛影巨斧",
-"Fleshripper":"裂肉者",
-"Prime Cleaver":"原始砍斧",
-"Honed Cleaver":"珩磨砍斧",
-"Apex Cleaver":"巔峰砍斧",
-"Driftwood Maul":"朽木巨錘",
-"Tribal Maul":"祭儀巨錘",
-"Mallet":"千斤錘",
-"Sledgehammer":"冷鐵重錘",
-"Jagged Maul":"狼牙重錘",
-"Brass Maul":"銅影巨錘",
-"Fright Maul":"恐懼重錘",
-"Totemic Maul":"圖騰巨錘",
-"Great Mallet":"剛猛巨錘",
-"Steelhead":"沉鋼重錘",
-"Spiny Maul":"凶刺巨錘",
-"Plated Maul":"華麗重錘",
-"Dread Maul":"威權巨錘",
-"Solar Maul":"日光錘",
-"Karui Maul":"卡魯重錘",
-"Colossus Mallet":"巨型重錘",
-"Piledriver":"掃蕩者",
-"Meatgrinder":"戮魂重錘",
-"Imperial Maul":"帝國重錘",
-"Terror Maul":"懼靈重錘",
-"Coronal Maul":"花冠重錘",
-"Blunt Force Condenser":"鈍擊力凝聚錘",
-"Crushing Force Magnifier":"粉碎力增幅錘",
-"Impact Force Propagator":"衝擊力擴散錘",
-"Driftwood Sceptre":"朽木權杖",
-"Darkwood Sceptre":"烏木權杖",
-"Bronze Sceptre":"銅鍛權杖",
-"Quartz Sceptre":"石英權杖",
-"Iron Sceptre":"冷鐵權杖",
-"Ochre Sceptre":"赤色權杖",
-"Ritual Sceptre":"祭儀權杖",
-"Shadow Sceptre":"影語權杖",
-"Horned Sceptre":"犄角權杖",
-"Grinning Fetish":"遠古之祭",
-"Sekhem":"威能權杖",
-"Crystal Sceptre":"水晶權杖",
-"Lead Sceptre":"鉛鑄權杖",
-"Blood Sceptre":"血色權杖",
-"Royal Sceptre":"皇家權杖",
-"Abyssal Sceptre":"深淵權杖",
-"Stag Sceptre":"靈鹿權杖",
-"Karui Sceptre":"卡魯權杖",
-"Tyrant's Sekhem":"暴君之統",
-"Opal Sceptre":"靈石權杖",
-"Platinum Sceptre":"白金權杖",
-"Vaal Sceptre":"瓦爾權杖",
-"Carnal Sceptre":"禁禮權杖",
-"Void Sceptre":"虛影權杖",
-"Sambar Sceptre":"惡魔權杖",
-"Oscillating Sceptre":"猶疑權杖",
-"Stabilising Sceptre":"安定權杖",
-"Alternating Sceptre":"輪迴權杖",
-"Fishing Rod":"魚竿",
-"Carving Knife":"雕刻刀",
-"Boot Knife":"戰亂刀",
-"Copper Kris":"銅器波刃",
-"Skean":"雙刃匕",
-"Imp Dagger":"妖邪短匕",
-"Butcher Knife":"屠夫刀",
-"Boot Blade":"戰亂劍",
-"Golden Kris":"金耀波刃",
-"Royal Skean":"皇家雙刃匕",
-"Fiend Dagger":"妖魔短匕",
-"Slaughter Knife":"殘暴短匕",
-"Ezomyte Dagger":"艾茲麥短匕",
-"Platinum Kris":"白金波刃",
-"Imperial Skean":"帝國雙刃匕",
-"Demon Dagger":"惡魔短匕",
-"Flickerflame Blade":"閃火之刃",
-"Flashfire Blade":"瞬炎之刃",
-"Infernal Blade":"煉獄之刃",
-"Iron Staff":"鐵鍛長杖",
-"Coiled Staff":"強化長杖",
-"Vile Staff":"毒牙長杖",
-"Military Staff":"軍用長杖",
-"Serpentine Staff":"蛇紋長杖",
-"Foul Staff":"惡靈長杖",
-"Ezomyte Staff":"艾茲麥長杖",
-"Maelström Staff":"風暴長杖",
-"Judgement Staff":"審判長杖",
-"Capacity Rod":"才能長桿",
-"Potentiality Rod":"潛能長桿",
-"Eventuality Rod":"萬能長桿",
-"The Screaming Eagle":"鷹嘯",
-"Soul Taker":"開膛斧",
-"Dyadus":"龍鳳吟",
-"Chin Sol":"亂矢之弦",
-"Darkscorn":"夜吟",
-"Infractem":"穿雲",
-"Silverbranch":"幻銀之弦",
-"Storm Cloud":"暴雨之弦",
-"Windripper":"裂風",
-"Al Dhih":"鬣犬之牙",
-"Bloodseeker":"嗜血之爪",
-"Cybil's Paw":"希比爾的冰爪",
-"Last Resort":"終息",
-"Mortem Morsu":"噬魂之牙",
-"Bino's Kitchen Knife":"比諾的廚刀",
-"Divinarius":"戒律之影",
-"Heartbreaker":"裂心刃",
-"Mightflay":"力量獵刃",
-"Ungil's Gauche":"恩吉爾的叉刃",
-"Brightbeak":"光耀之錘",
-"Doon Cuebiyari":"黑鋼",
-"Mon'tregul's Grasp":"凋靈魔爪",
-"Nycta's Lantern":"奈可妲之燈",
-"The Supreme Truth":"無上箴言",
-"Doryani's Catalyst":"多里亞尼的幻化之杖",
-"Aurumvorax":"靈護",
-"Ephemeral Edge":"影殞",
-"The Goddess Bound":"女神的靈縛",
-"The Goddess Scorned":"女神的怒炎",
-"Prismatic Eclipse":"虹耀之月",
-"Rebuke of the Vaal":"瓦爾戰刃",
-"Redbeak":"赤紅短刃",
-"Dying Breath":"亡者之息",
-"Fencoil":"綠藤",
-"Midnight Bargain":"冥約",
-"Moonsorrow":"泣月",
-"Void Battery":"潛能魔棒",
-"Song of the Sirens":"海妖魅曲",
-"Atziri's Disfavour":"阿茲里的刑刃",
-"The Blood Reaper":"竭血之鐮",
-"Kaom's Primacy":"岡姆的霸業",
-"Limbsplit":"斷罪",
-"Reaper's Pursuit":"死神的取魂器",
-"Wideswing":"闊斬",
-"Wings of Entropy":"亂世之翼",
-"Geofri's Baptism":"吉爾菲的淨罪之錘",
-"Kongor's Undying Rage":"康戈的戰炎",
-"Marohi Erqi":"爾奇的巨靈之錘",
-"Voidhome":"逝空之錘",
-"Oro's Sacrifice":"歐羅的貢品",
-"Queen's Decree":"威嚴之刃",
-"Rigwald's Charge":"瑞佛的奮戰長劍",
-"Shiversting":"寒光劍",
-"Terminus Est":"行刑之刃",
-"Hyaon's Fury":"海昂的狂怒",
-"Pledge of Hands":"誓約",
-"Piscator's Vigil":"皮斯卡托的慧眼",
-"Edge of Madness":"瘋狂邊界",
-"Dreamfeather":"幻夢飛羽",
-"Apep's Rage":"艾普之怒",
-"Hegemony's Era":"霸權時代",
-"Mark of the Doubting Knight":"迷茫幻符",
-"The Dark Seer":"黯黑賢者",
-"The Harvest":"收割者",
-"Agnerod East":"東方雷霆聖杖",
-"Agnerod North":"北方雷霆聖杖",
-"Doomsower":"終末之始",
-"Brutus' Lead Sprinkler":"布魯特斯的刑具",
-"Reverberation Rod":"混響",
-"Blood of Summer":"炎夏之血",
-"Rust of Winter":"霜刃",
-"Ashes of the Sun":"燼杵",
-"Splinter of the Moon":"碎月",
-"Thunder of the Dawn":"曙雷",
-"Vestige of Divinity":"莊重之杖",
-"Fragment of Eternity":"亙古之靈",
-"Relic of the Cycle":"輪迴之記",
-"Scar of Fate":"命運傷痕",
-"The Consuming Dark":"蠶食之闇",
-"Null's Inclination":"虛無之傾",
-"Twyzel":"峽灣之星",
-"Tremor Rod":"顫抖之杖",
-"Relentless Fury":"無盡憤怒",
-"Ichimonji":"一文字",
-"Fairgraves' Bearing":"費爾之儀",
-"Fidelitas' Spike":"費德利塔斯之鋒",
-"Callinellus Malleus":"堅定之刃",
-"Gorebreaker":"血裂",
-"Lavianga's Wisdom":"拉維安加的智慧",
-"Lakishu's Blade":"拉奇許之刃",
-"Flesh-Eater":"血肉之嗜",
-"The Stormheart":"風暴之眼",
-"The Princess":"女爵",
-"Moonbender's Wing":"月嵐",
-"Dreadarc":"恐懼之鐮",
-"Wildslash":"野性狂爪",
-"Realmshaper":"創域",
-"Abberath's Horn":"艾貝拉斯之角",
-"Bloodplay":"血謔",
-"Goredrill":"血鑿",
-"Kingmaker":"王者之刃",
-"Death's Hand":"死神之手",
-"The Goddess Unleashed":"女神的束縛",
-"Jack the Axe":"劊子手．傑克",
-"Stormblast":"雷暴",
-"Bartek's Finger":"巴特克的魔指",
-"Boreal Shepherd":"牧者之音",
-"Celestial Fragment":"殘星",
-"Leviathan Ivory":"神力之牙",
-"Ornament of the East":"東之飾",
-"Jorrhast's Blacksteel":"喬赫黑鋼",
-"Cameria's Maul":"卡美利亞之錘",
-"Agnerod South":"南方雷霆聖杖",
-"Spine of the First Claimant":"先驅之脊",
-"Izaro's Dilemma":"伊澤洛之謎",
-"Chitus' Needle":"切特斯之針",
-"Allure":"魅惑",
-"Hezmana's Bloodlust":"嗜血黑茲瑪娜",
-"Roth's Reach":"蘿絲之觸",
-"Femurs of the Saints":"聖徒脛骨",
-"Obliteration":"抹滅",
-"Iron Commander":"鋼鐵指揮",
-"Storm Prison":"禁錮暴風",
-"Eclipse Solaris":"宇蝕",
-"Disjunction":"分裂析取",
-"Singularity":"奇異",
-"Bitterdream":"苦夢",
-"Rigwald's Savagery":"野性瑞佛",
-"Rigwald's Command":"瑞佛統帥",
-"Agnerod West":"西方雷霆聖杖",
-"Advancing Fortress":"超越壁壘",
-"Daresso's Passion":"德瑞索的熱情",
-"Varunastra":"黑鯊",
-"Clayshaper":"塑泥者",
-"Rive":"裂隙",
-"Nuro's Harp":"努羅的豎琴",
-"Reefbane":"災禍之礁",
-"Axiom Perpetuum":"歷史公理",
-"Widowmaker":"寡婦",
-"Trypanon":"裂顱",
-"The Tempestuous Steel":"暴風之鋼",
-"Xirgil's Crank":"舍吉的手柄",
-"The Dancing Dervish":"狂舞德爾維希",
-"Touch of Anguish":"極度苦痛",
-"Ashcaller":"灰燼行者",
-"Death's Opus":"死亡之作",
-"Hiltless":"長卷",
-"Doomfletch's Prism":"滅世之獄",
-"Silverbough":"銀枝",
-"Hrimnor's Dirge":"雷姆諾的輓歌",
-"The Tempest":"暴風雨",
-"Amplification Rod":"增幅杖",
-"Realm Ender":"魂界終結",
-"Queen's Escape":"逃亡女王",
-"The Gryphon":"獅鷲",
-"The Cauteriser":"燒灼器",
-"Scaeva":"食蚜",
-"Innsbury Edge":"茵斯布雷之刃",
-"Breath of the Council":"議會之息",
-"Reach of the Council":"議會之觸",
-"Ewar's Mirage":"伊沃幻像",
-"Kondo's Pride":"剛多的虛榮",
-"Razor of the Seventh Sun":"七日鋒",
-"Cospri's Malice":"卡斯普里的怨恨",
-"The Scourge":"災害",
-"Starforge":"核星",
-"Tulfall":"托沃臥",
-"Xoph's Nurture":"索伏的愛撫",
-"Ngamahu's Flame":"里特拿馬乎",
-"Tulborn":"托沃崩",
-"Shade of Solaris":"日耀之影",
-"Xoph's Inception":"索伏的始源",
-"Hand of Thought and Motion":"思動之手",
-"Uul-Netol's Kiss":"烏爾尼多之吻",
-"Uul-Netol's Embrace":"烏爾尼多的擁抱",
-"Severed in Sleep":"離異夢寐",
-"United in Dream":"合流夢寐",
-"Arakaali's Fang":"艾爾卡莉之牙",
-"Duskdawn":"宵曉",
-"Kitava's Feast":"奇塔弗之盛宴",
-"Felltooth":"崩齒",
-"Martyr of Innocence":"烈士之淨",
-"Ahn's Might":"漢恩的期許",
-"Mordhau":"魔器",
-"Pagan Geis":"異宗之鏡",
-"The Enmity Divine":"惡言聖語",
-"The Rippling Thoughts":"漣漪冥想",
-"The Wasp Nest":"蜂巢浪湧",
-"Debeon's Dirge":"狄恩的輓歌",
-"Taproot":"砥礪深根",
-"Borrowed Power":"力量借貸",
-"Bloodletter":"血書",
-"Galla's Riposte":"加拉的突刺刃",
-"Cane of Unravelling":"初惡枝枒",
-"The Poet's Pen":"學富之筆",
-"Arborix":"阿布里斯",
-"White Wind":"白風",
-"Vulconus":"祝融鍛冶",
-"Beltimber Blade":"刀鋒禁材",
-"Grelwood Shank":"沃德步伐",
-"Augyre":"相星占卜",
-"Shimmeron":"低伏微光",
-"Hopeshredder":"破滅之希",
-"Balefire":"野火",
-"Oni-Goroshi":"西拉氣流殺",
-"Panquetzaliztli":"噸擊之錘",
-"Disintegrator":"滅碎獠杖",
-"Cameria's Avarice":"卡美利亞的貪婪",
-"The Stormwall":"風暴堅牆",
-"The Dancing Duo":"雙人舞",
-"Voidforge":"核虛",
-"Mirebough":"尼根",
-"Dreadbeak":"恐懼之喙",
-"Dreadsurge":"畏懼波動",
-"Geofri's Devotion":"吉爾菲的奉獻",
-"Sanguine Gambol":"血腥之躍",
-"Corona Solaris":"日耀之冕",
-"Story of the Vaal":"瓦爾之序",
-"Fate of the Vaal":"瓦爾之命",
-"Earendel's Embrace":"伊爾多恩的擁抱",
-"Sinvicta's Mettle":"辛維塔之毅",
-"The Grey Spire":"斑駁蒼杖",
-"Cerberus Limb":"獄犬殘肢",
-"Soulwrest":"鑄影",
-"Chaber Cairn":"忠誠之記",
-"The Crimson Storm":"緋紅風暴",
-"Paradoxica":"矛盾對決",
-"Nebulis":"銀河星雲",
-"Sign of the Sin Eater":"罪孽嗜者之示",
-"Cold Iron Point":"寒鋼之刃",
-"The Black Cane":"黑藤",
-"The Saviour":"救世主",
-"Stillwater":"止水",
-"The Surging Thoughts":"湧浪之思想",
-"The Yielding Mortality":"屈服之死相",
-"Witchhunter's Judgment":"獵巫者的審判",
-"Law of the Wilds":"野性法則",
-"Replica Iron Commander":"贗品．鋼鐵指揮",
-"Actum":"談判",
-"Replica Bitterdream":"贗品．苦夢",
-"The Iron Mass":"鐵塊",
-"Replica Soul Taker":"贗品．開膛斧",
-"Replica Harvest":"贗品．收割者",
-"Replica Quill Rain":"贗品．驟雨之弦",
-"Replica Windripper":"贗品．裂風",
-"Replica Bloodplay":"贗品．血謔",
-"Replica Ungil's Gauche":"贗品．恩吉爾的叉刃",
-"Replica Cold Iron Point":"贗品．寒鋼之刃",
-"Replica Paradoxica":"贗品．矛盾對決",
-"Replica Tempestuous Steel":"贗品．暴風之鋼",
-"Replica Innsbury Edge":"贗品．茵斯布雷之刃",
-"Replica Last Resort":"贗品．終息",
-"Replica Heartbreaker":"贗品．裂心刃",
-"Replica Dreamfeather":"贗品．幻夢飛羽",
-"Replica Earendel's Embrace":"贗品．伊爾多恩的擁抱",
-"Replica Oro's Sacrifice":"贗品．歐羅的貢品",
-"Replica Tulfall":"贗品．托沃臥",
-"Replica Blood Thorn":"贗品．血棘",
-"Replica Advancing Fortress":"贗品．超越壁壘",
-"Replica Allure":"贗品．魅惑",
-"Replica Frostbreath":"贗品．霜息",
-"Replica Trypanon":"贗品．裂顱",
-"Replica Duskdawn":"贗品．宵曉",
-"Replica Fencoil":"贗品．綠藤",
-"Replica Twyzel":"贗品．峽灣之星",
-"Replica Midnight Bargain":"贗品．冥約",
-"Replica Kongor's Undying Rage":"贗品．康戈的戰炎",
-"Replica Nebulis":"贗品．銀河星雲",
-"Replica Wings of Entropy":"贗品．亂世之翼",
-"Replica Infractem":"贗品．穿雲",
-"The Hidden Blade":"隱藏之劍",
-"The Fulcrum":"支點",
-"Demigod's Authority":"半神權威",
-"Goblinedge":"妖精之緣",
-"Cane of Kulemak":"骷髏馬克的靈杖",
-"Atziri's Rule":"阿茲里的統御",
-"Yaomac's Accord":"堯馬克之權",
-"Relic of the Pact":"古典冥約",
-"The Annihilating Light":"毀滅白光",
-"The Gluttonous Tide":"饕餮浪潮",
-"Rory's Revengance":"羅里的復仇之途",
-"Mark2's Mastery":"馬克的精銳戰意",
-"Robbie's Rotten Mace":"羅比的腐敗釘錘",
-"Carl's Crusher":"卡爾的破壞者",
-"Maligaro's Etcher":"馬雷葛蘿的刻具",
-"The Winds of Fate":"命定之風",
-"Echoforge":"核聲",
-"Coiled Wand":"纏繞法杖",
-"The Geomantic Gyre":"風水輪迴",
-"The Redblade":"紅刃",
-"Maata's Teaching":"瑪塔的教導",
-"Rakiata's Dance":"萊基亞塔的舞步",
-"Ethereal Bow":"以太之弓",
-"Nametaker":"奪名",
-"Grace of the Goddess":"女神恩典",
-"Serle's Masterwork":"瑟雷的傑作",
-"The Living Blade":"生者之刃",
-"Tawhoa's Felling":"塔赫亞的殞落",
-"Crude Claw":"簡陋爪",
-"Pict Claw":"皮克特爪",
-"Wolfbone Claw":"狼骨爪",
-"Forked Claw":"叉狀爪",
-"Plated Claw":"華麗爪",
-"Edged Claw":"鋒利爪",
-"Arced Claw":"弧形爪",
-"Hooked Claw":"鉤爪",
-"Razorglass Claw":"剃刀玻璃爪",
-"Armoured Claw":"裝甲爪",
-"Piercing Claw":"穿刺爪",
-"Talon Claw":"猛禽爪",
-"Crone Knife":"巫婆小刀",
-"Simple Dagger":"簡易匕首",
-"Moon Dagger":"月之匕首",
-"Engraved Knife":"紋刻小刀",
-"Obsidian Dagger":"黑曜石匕首",
-"Bloodletting Dagger":"出血匕首",
-"Mail Breaker":"鎖甲破壞者",
-"Kris Knife":"波刃刀",
-"Parrying Dagger":"格擋匕首",
-"Arcane Dirk":"奧術短刀",
-"Cinquedea":"五指短劍",
-"Withered Wand":"凋零法杖",
-"Bone Wand":"骸骨法杖",
-"Attuned Wand":"調和法杖",
-"Siphoning Wand":"虹吸法杖",
-"Volatile Wand":"失衡法杖",
-"Galvanic Wand":"電能法杖",
-"Acrid Wand":"刺鼻法杖",
-"Offering Wand":"奉獻法杖",
-"Frigid Wand":"冰冷法杖",
-"Torture Wand":"暴虐法杖",
-"Critical Wand":"致命法杖",
-"Primordial Wand":"原始法杖",
-"Dueling Wand":"單挑法杖",
-"Shortsword":"短劍",
-"Broadsword":"闊劍",
-"Vampiric Blade":"嗜血之刃",
-"Scimitar":"彎刀",
-"Charred Shortsword":"焦黑短劍",
-"Sickle Sword":"鐮劍",
-"Falchion":"彎刃劍",
-"Treasured Blade":"貴重刀刃",
-"Runic Shortsword":"符文短劍",
-"Messer":"單手刀",
-"Commander Sword":"指揮官劍",
-"Dark Blade":"黑暗之刃",
-"Dull Hatchet":"鈍斧",
-"Hook Axe":"鉤斧",
-"Bearded Axe":"鉤刺斧",
-"Extended Cleaver":"加長砍斧",
-"Bandit Hatchet":"強盜斧",
-"Crescent Axe":"新月斧",
-"Carving Hatchet":"雕刻斧",
-"Sacrificial Axe":"獻祭斧",
-"Boarding Hatchet":"登船斧",
-"Fury Cleaver":"狂怒砍斧",
-"Battle Axe":"戰斧",
-"Profane Cleaver":"粗劣砍斧",
-"Dread Hatchet":"驚懼符文",
-"Wooden Club":"木製棍棒",
-"Smithing Hammer":"鍛造錘",
-"Slim Mace":"纖細之錘",
-"Warpick":"戰鎬",
-"Plated Mace":"華麗之錘",
-"Brigand Mace":"強盜之錘",
-"Construct Hammer":"建造錘",
-"Jade Club":"玉製棍棒",
-"Lumen Mace":"流明之錘",
-"Execratus Hammer":"詛咒之錘",
-"Torment Club":"磨難棍棒",
-"Advanced Smithing Hammer":"進階鍛造錘",
-"Advanced Slim Mace":"進階纖細之錘",
-"Advanced Warpick":"進階戰鎬",
-"Advanced Plated Mace":"進階華麗之錘",
-"Advanced Brigand Mace":"進階強盜之錘",
-"Advanced Construct Hammer":"進階建造錘",
-"Expert Slim Mace":"專家纖細之錘",
-"Expert Plated Mace":"專家華麗之錘",
-"Expert Smithing Hammer":"專家鍛造錘",
-"Expert Warpick":"專家戰鎬",
-"Expert Construct Hammer":"專家建造錘",
-"Expert Brigand Mace":"專家強盜之錘",
-"Shortbow":"短弓",
-"Warden Bow":"守護者之弓",
-"Dualstring Bow":"雙弦弓",
-"Cultist Bow":"教徒之弓",
-"Zealot Bow":"狂熱者之弓",
-"Artillery Bow":"砲火弓",
-"Tribal Bow":"部落弓",
-"Greatbow":"巨弓",
-"Double Limb Bow":"雙肢弓",
-"Heavy Bow":"重弓",
-"Advanced Shortbow":"進階短弓",
-"Advanced Warden Bow":"進階守護者之弓",
-"Advanced Composite Bow":"進階合成弓",
-"Advanced Dualstring Bow":"進階雙弦弓",
-"Advanced Cultist Bow":"進階教徒之弓",
-"Advanced Zealot Bow":"進階狂熱者之弓",
-"Expert Shortbow":"專家短弓",
-"Expert Composite Bow":"專家合成弓",
-"Expert Warden Bow":"專家守護者之弓",
-"Expert Dualstring Bow":"專家雙弦弓",
-"Expert Cultist Bow":"專家教徒之弓",
-"Expert Zealot Bow":"專家狂熱者之弓",
-"Ashen Staff":"灰燼長杖",
-"Gelid Staff":"極寒長杖",
-"Voltaic Staff":"電流長杖",
-"Spriggan Staff":"狡詐長杖",
-"Pyrophyte Staff":"炎植長杖",
-"Chiming Staff":"鳴響長杖",
-"Rending Staff":"撕裂長杖",
-"Reaping Staff":"死神長杖",
-"Icicle Staff":"冰錐長杖",
-"Roaring Staff":"咆哮長杖",
-"Paralysing Staff":"麻木長杖",
-"Cleric Staff":"牧師長杖",
-"Dark Staff":"黑暗長杖",
-"Corroded Longsword":"腐蝕長劍",
-"Iron Greatsword":"鍛鐵巨劍",
-"Blessed Claymore":"祝福大劍",
-"Broad Greatsword":"闊刃巨劍",
-"Rippled Greatsword":"波紋巨劍",
-"Arced Longsword":"弧形長劍",
-"Stone Greatsword":"岩石巨劍",
-"Obsidian Greatsword":"黑曜石巨劍",
-"Keen Greatsword":"鋒利巨劍",
-"Ancient Greatblade":"遠古巨刃",
-"Flanged Greatblade":"凸緣巨刃",
-"Regalia Longsword":"王權長劍",
-"Ultra Greatsword":"終極巨劍",
-"Splitting Greataxe":"分裂巨斧",
-"Light Halberd":"輕巧斧槍",
-"Executioner Greataxe":"處刑者巨斧",
-"Arched Greataxe":"拱形巨斧",
-"Elegant Glaive":"優雅長柄刀",
-"Savage Greataxe":"野蠻巨斧",
-"Rending Halberd":"撕扯斧槍",
-"Jagged Greataxe":"鋸齒巨斧",
-"Reaver Glaive":"收割者長柄刀",
-"Ember Greataxe":"餘燼巨斧",
-"Ceremonial Halberd":"儀式斧槍",
-"Monument Greataxe":"豐碑巨斧",
-"Vile Greataxe":"邪惡巨斧",
-"Felled Greatclub":"墮落巨棍棒",
-"Oak Greathammer":"橡木巨錘",
-"Forge Maul":"鍛造重錘",
-"Studded Greatclub":"鑲釘巨棍棒",
-"Cultist Greathammer":"教徒巨錘",
-"Temple Maul":"神殿重錘",
-"Leaden Greathammer":"麻木巨錘",
-"Crumbling Maul":"崩毀重錘",
-"Pointed Maul":"尖銳重錘",
-"Totemic Greatclub":"圖騰巨棍棒",
-"Greatmace":"巨釘錘",
-"Precise Greathammer":"精準巨錘",
-"Giant Maul":"巨型重錘",
-"Advanced Oak Greathammer":"進階橡木巨錘",
-"Advanced Forge Maul":"進階鍛造重錘",
-"Advanced Cultist Greathammer":"進階教徒巨錘",
-"Advanced Temple Maul":"進階神殿重錘",
-"Advanced Leaden Greathammer":"進階麻木巨錘",
-"Advanced Crumbling Maul":"進階崩毀重錘",
-"Expert Forge Maul":"專家鍛造重錘",
-"Expert Temple Maul":"專家神殿重錘",
-"Expert Oak Greathammer":"專家橡木巨錘",
-"Expert Cultist Greathammer":"專家教徒巨錘",
-"Expert Crumbling Maul":"專家崩毀重錘",
-"Expert Leaden Greathammer":"專家麻木巨錘",
-"Rattling Sceptre":"雜響權杖",
-"Stoic Sceptre":"魔道權杖",
-"Lupine Sceptre":"兇殘權杖",
-"Omen Sceptre":"徵兆權杖",
-"Shrine Sceptre":"神殿權杖",
-"Devouring Sceptre":"吞噬權杖",
-"Clasped Sceptre":"握扣權杖",
-"Devotional Sceptre":"虔誠權杖",
-"Wrath Sceptre":"暴怒權杖",
-"Aromatic Sceptre":"芳香權杖",
-"Pious Sceptre":"虔誠權杖",
-"Hallowed Sceptre":"聖潔權杖",
-"Wrapped Quarterstaff":"纏繞細杖",
-"Long Quarterstaff":"加長細杖",
-"Gothic Quarterstaff":"歌德細杖",
-"Crackling Quarterstaff":"裂紋細杖",
-"Crescent Quarterstaff":"新月細杖",
-"Steelpoint Quarterstaff":"鋼尖細杖",
-"Slicing Quarterstaff":"斬割細杖",
-"Barrier Quarterstaff":"屏障細杖",
-"Hefty Quarterstaff":"堅固細杖",
-"Smooth Quarterstaff":"平滑細杖",
-"Anima Quarterstaff":"靈魂細杖",
-"Graceful Quarterstaff":"優雅細杖",
-"Wyrm Quarterstaff":"蠕蟲細杖",
-"Advanced Long Quarterstaff":"進階加長細杖",
-"Advanced Gothic Quarterstaff":"進階歌德細杖",
-"Advanced Crackling Quarterstaff":"進階裂紋細杖",
-"Advanced Crescent Quarterstaff":"進階新月細杖",
-"Advanced Slicing Quarterstaff":"進階斬割細杖",
-"Advanced Barrier Quarterstaff":"進階屏障細杖",
-"Expert Gothic Quarterstaff":"專家歌德細杖",
-"Expert Crescent Quarterstaff":"專家新月細杖",
-"Expert Long Quarterstaff":"專家加長細杖",
-"Expert Crackling Quarterstaff":"專家裂紋細杖",
-"Expert Barrier Quarterstaff":"專家屏障細杖",
-"Expert Slicing Quarterstaff":"專家斬割細杖",
-"Hardwood Spear":"硬木長鋒",
-"Ironhead Spear":"鐵木長鋒",
-"Hunting Spear":"狩獵長鋒",
-"Winged Spear":"羽翅長鋒",
-"War Spear":"戰爭長鋒",
-"Forked Spear":"叉狀長鋒",
-"Barbed Spear":"鉤刺長鋒",
-"Broad Spear":"闊刃長鋒",
-"Crossblade Spear":"十字刃長鋒",
-"Seaglass Spear":"海玻璃長鋒",
-"Sword Spear":"劍刃長鋒",
-"Striking Spear":"突擊長鋒",
-"Helix Spear":"螺旋長鋒",
-"Makeshift Crossbow":"臨時十字弓",
-"Tense Crossbow":"緊繃十字弓",
-"Sturdy Crossbow":"堅固十字弓",
-"Varnished Crossbow":"亮漆十字弓",
-"Dyad Crossbow":"雙生十字弓",
-"Alloy Crossbow":"合金十字弓",
-"Bombard Crossbow":"轟擊十字弓",
-"Construct Crossbow":"絕命十字弓",
-"Blackfire Crossbow":"黑火十字弓",
-"Piercing Crossbow":"穿刺十字弓",
-"Cumbrous Crossbow":"笨重十字弓",
-"Dedalian Crossbow":"精巧十字弓",
-"Esoteric Crossbow":"秘傳十字弓",
-"Advanced Tense Crossbow":"進階緊緻十字弓",
-"Advanced Sturdy Crossbow":"進階堅固十字弓",
-"Advanced Varnished Crossbow":"進階亮漆十字弓",
-"Advanced Dyad Crossbow":"進階成對十字弓",
-"Advanced Bombard Crossbow":"進階轟炸十字弓",
-"Advanced Forlorn Crossbow":"進階絕命十字弓",
-"Expert Sturdy Crossbow":"專家堅固十字弓",
-"Expert Varnished Crossbow":"專家亮漆十字弓",
-"Expert Tense Crossbow":"專家緊緻十字弓",
-"Expert Dyad Crossbow":"專家成對十字弓",
-"Expert Bombard Crossbow":"專家轟炸十字弓",
-"Expert Forlorn Crossbow":"專家絕命十字弓",
-"Splintered Flail":"分裂鏈錘",
-"Chain Flail":"鎖鏈鏈錘",
-"Holy Flail":"神聖鏈錘",
-"Iron Flail":"鋼鐵鏈錘",
-"Twin Flail":"雙生鏈錘",
-"Slender Flail":"纖細鏈錘",
-"Stone Flail":"岩石鏈錘",
-"Ring Flail":"圓環鏈錘",
-"Guarded Flail":"警惕鏈錘",
-"Icicle Flail":"冰錐鏈錘",
-"Tearing Flail":"撕裂鏈錘",
-"Great Flail":"大型鏈錘",
-"Abyssal Flail":"深淵鏈錘",
-"Clay Trap":"黏土陷阱",
-"Clamping Trap":"猛夾陷阱",
-"Shrapnel Trap":"彈片陷阱",
-"Urn Trap":"甕陷阱",
-"Incense Trap":"香爐陷阱",
-"Bladed Trap":"刀刃陷阱",
-"Dart Trap":"飛鏢陷阱",
-"Spike Trap":"尖刺陷阱",
-"Coiled Trap":"纏繞陷阱",
-"Lead Trap":"誘導陷阱",
-"Medallion Trap":"獎章陷阱",
-"Intricate Trap":"複雜陷阱",
-"Refined Trap":"精製陷阱",
-"The Endless Night":"無盡之夜",
-"Winter's Bite":"寒冬嚙蝕",
-"Falling Snow":"落雪",
-"Ironbound":"鐵縛者",
-"Dealer's Hand":"商人之手",
-"Pulpit Pulper":"講壇絞碎機",
-"Goldshaper":"塑金者",
-"Bluetongue":"藍舌",
-"Rhea's Rhythm":"蕾亞的旋律",
-"Grimgrasp":"陰鬱之握",
-"Rod of Enervation":"衰弱之杖",
-"Guiding Palm":"引導之掌",
-"INCOMPLETE":"未完成",
-"Solar Lance":"日耀長槍",
-"Paua Amulet":"海靈護身符",
-"Coral Amulet":"珊瑚護身符",
-"Amber Amulet":"琥珀護身符",
-"Jade Amulet":"翠玉護身符",
-"Lapis Amulet":"海玉護身符",
-"Gold Amulet":"帝金護身符",
-"Onyx Amulet":"黑曜護身符",
-"Turquoise Amulet":"青玉護身符",
-"Agate Amulet":"瑪瑙護身符",
-"Citrine Amulet":"黃晶護身符",
-"Ruby Amulet":"血色護身符",
-"Unset Amulet":"夕暮護身符",
-"Astrolabe Amulet":"星盤護身符",
-"Simplex Amulet":"簡純護身符",
-"Jet Amulet":"傑特護身符",
-"Blue Pearl Amulet":"碧珠護身符",
-"Marble Amulet":"理石護身符",
-"Seaglass Amulet":"海鏡項鍊",
-"Black Maw Talisman":"黑牙魔符",
-"Bonespire Talisman":"脊骨魔符",
-"Ashscale Talisman":"灰燼魔符",
-"Lone Antler Talisman":"孤角魔符",
-"Deep One Talisman":"深淵魔符",
-"Breakrib Talisman":"碎骨魔符",
-"Deadhand Talisman":"亡手魔符",
-"Undying Flesh Talisman":"不朽魔符",
-"Rot Head Talisman":"腐首魔符",
-"Mandible Talisman":"巨顎魔符",
-"Chrysalis Talisman":"蟲蛹魔符",
-"Writhing Talisman":"狂癲魔符",
-"Hexclaw Talisman":"幻爪魔符",
-"Primal Skull Talisman":"皇骨魔符",
-"Wereclaw Talisman":"亡爪魔符",
-"Splitnewt Talisman":"斷螈魔符",
-"Clutching Talisman":"咒箍魔符",
-"Avian Twins Talisman":"雙子魔符",
-"Fangjaw Talisman":"齒鯊魔符",
-"Horned Talisman":"尖角魔符",
-"Spinefuse Talisman":"潛能魔符",
-"Three Rat Talisman":"三鼠魔符",
-"Monkey Twins Talisman":"雙猴魔符",
-"Longtooth Talisman":"長牙魔符",
-"Rotfeather Talisman":"死羽魔符",
-"Monkey Paw Talisman":"猴掌魔符",
-"Three Hands Talisman":"三手魔符",
-"Greatwolf Talisman":"狼王魔符",
-"Golden Hoop":"金環",
-"Iron Ring":"鍛鐵戒指",
-"Coral Ring":"珊瑚戒指",
-"Paua Ring":"海靈戒指",
-"Gold Ring":"金光戒指",
-"Topaz Ring":"黃玉戒指",
-"Sapphire Ring":"藍玉戒指",
-"Ruby Ring":"紅玉戒指",
-"Prismatic Ring":"三相戒指",
-"Moonstone Ring":"月光石戒指",
-"Amethyst Ring":"紫晶戒指",
-"Diamond Ring":"寶鑽戒指",
-"Two-Stone Ring":"雙玉戒指",
-"Unset Ring":"潛能之戒",
-"Bone Ring":"骸骨之戒",
-"Cogwork Ring":"齒輪戒指",
-"Geodesic Ring":"大地戒指",
-"Dusk Ring":"幽暗戒指",
-"Penumbra Ring":"半影戒指",
-"Gloam Ring":"黃昏戒指",
-"Tenebrous Ring":"黑暗戒指",
-"Shadowed Ring":"暗影戒指",
-"Jet Ring":"傑特戒指",
-"Steel Ring":"鋼鑄戒指",
-"Opal Ring":"蛋白石戒指",
-"Vermillion Ring":"朱紅戒指",
-"Cerulean Ring":"碧藍戒指",
-"Iolite Ring":"混青石戒指",
-"Ring":"戒指",
-"Breach Ring":"裂痕戒指",
-"Rustic Sash":"素布腰帶",
-"Chain Belt":"扣鏈腰帶",
-"Leather Belt":"皮革腰帶",
-"Heavy Belt":"重革腰帶",
-"Cloth Belt":"飾布腰帶",
-"Studded Belt":"扣釘腰帶",
-"Micro-Distillery Belt":"微釀腰帶",
-"Mechalarm Belt":"機械腰帶",
-"Vanguard Belt":"先鋒腰帶",
-"Crystal Belt":"水晶腰帶",
-"Golden Obi":"金羽腰帶",
-"Stygian Vise":"冥河腰帶",
-"Thief's Trinket":"盜賊飾品",
-"Atziri's Foible":"阿茲里聖徽",
-"Sidhebreath":"魔靈之符",
-"Sidhebite":"斯拜特",
-"Zerphi's Heart":"澤佛伊之心",
-"Sacrificial Heart":"犧牲之心",
-"Replica Atziri's Foible":"贗品．阿茲里聖徽",
-"DrTestapus' Charm":"特塔普斯的幸運符",
-"Araku Tiki":"隱靈之符",
-"Ngamahu Tiki":"拿瑪乎蒂基",
-"The Primordial Chain":"先祖羈絆",
-"Tavukai":"狂靈之怒",
-"Blood of Corruption":"墮落之血",
-"The Rathorn":"咒荊",
-"Xoph's Heart":"索伏之心",
-"Karui Ward":"卡魯的戰徽",
-"Rashkaldor's Patience":"拉什卡德的耐心",
-"Karui Charge":"卡魯充能",
-"The Halcyon":"太平",
-"Hyrri's Truth":"西里的真理",
-"Willowgift":"柳木之禮",
-"Replica Karui Ward":"贗品．卡魯的戰徽",
-"Replica Hyrri's Truth":"贗品．西里的真理",
-"Marylene's Fallacy":"瑪莉琳的護體之符",
-"Tear of Purity":"純淨之淚",
-"Voice of the Storm":"暴風之言",
-"The Ephemeral Bond":"短期債券",
-"Doedre's Tongue":"德瑞的毒舌",
-"Demigod's Presence":"昇華之印",
-"The Ignomon":"烈陽徽記",
-"Winterheart":"冬之心",
-"Frost Unbroken":"不滅冰晶",
-"The Ascetic":"苦行",
-"Bisco's Collar":"畢斯寇的項圈",
-"The Effigon":"艾非根",
-"Perquil's Toe":"珀奎爾的指頭",
-"Replica Winterheart":"贗品．冬之心",
-"Hinekora's Sight":"悉妮蔻拉之眼",
-"The Learning Stone":"學習之石",
-"Duskwing":"黃昏之翼",
-"Presence of Chayula":"夏烏拉之印",
-"Impresence":"不在場證明",
-"Aul's Uprising":"奧爾的崛起",
-"Malachai's Brilliance":"瑪拉凱的聰慧",
-"Solstice Vigil":"守夜之至",
-"Leadership's Price":"領導力的代價",
-"Stranglegasp":"扼殺之息",
-"Crystallised Omniscience":"晶化全知",
-"Ashes of the Stars":"星塵",
-"The Eternal Struggle":"永恆鬥爭",
-"Victario's Acuity":"維多里奧的捷思",
-"Warped Timepiece":"扭曲之鐘",
-"Maligaro's Cruelty":"馬雷葛蘿的殘暴",
-"Badge of the Brotherhood":"激情之章",
-"Fury Valve":"憤怒閉鎖",
-"Voll's Devotion":"福爾的忠誠之符",
-"Shaper's Seed":"塑界者之籽",
-"The Aylardex":"艾拉黛絲",
-"Extractor Mentis":"心靈抽取",
-"Eternal Damnation":"永恆的詛咒",
-"Daresso's Salute":"德瑞索的戰禮",
-"Eye of Innocence":"無罪之眼",
-"The Jinxed Juju":"惡咒護符",
-"The Felbog Fang":"費爾博格獠牙",
-"Retaliation Charm":"復仇誘惑",
-"Star of Wraeclast":"瓦爾克拉斯之星",
-"Uul-Netol's Vow":"烏爾尼多之誓",
-"Talisman of the Victor":"勝者護符",
-"Gloomfang":"憂愁獠根",
-"Bloodgrip":"鮮血支配",
-"Night's Hold":"夜守",
-"Rigwald's Curse":"瑞佛詛咒",
-"Blightwell":"枯井",
-"Natural Hierarchy":"自然組織",
-"Eyes of the Greatwolf":"巨狼之眼",
-"Demigod's Eye":"昇華之眼",
-"Le Heup of All":"英靈寶環",
-"Voidheart":"虛空心靈",
-"The Warden's Brand":"獄使之印",
-"Circle of Guilt":"愧疚之環",
-"Kaom's Sign":"岡姆的遠見",
-"Sibyl's Lament":"希比爾之嘆",
-"Kaom's Way":"岡姆之路",
-"Winterweave":"冬織",
-"Perandus Signet":"普蘭德斯之記",
-"Praxis":"普拉克斯",
-"Replica Doedre's Damning":"贗品．德瑞的魔具",
-"The Highwayman":"高尚之人",
-"Kikazaru":"基加薩魯",
-"Valako's Sign":"瓦拉庫之印",
-"Putembo's Valley":"普坦堡的峽谷",
-"Putembo's Mountain":"普坦堡的山巒",
-"Putembo's Meadow":"普坦堡的草原",
-"Precursor's Emblem":"先引之征",
-"Circle of Regret":"遺憾之環",
-"Astral Projector":"星空之影",
-"Ungils's Coil":"恩吉爾的指環",
-"Storm Secret":"風暴之密",
-"Nimis":"尼米斯",
-"Pyre":"燃焰",
-"Tasalio's Sign":"塔薩里之印",
-"Uzaza's Meadow":"尤莎莎的草原",
-"Uzaza's Mountain":"尤莎莎的山巒",
-"Uzaza's Valley":"尤莎莎的峽谷",
-"Circle of Fear":"恐懼之環",
-"Replica Tasalio's Sign":"贗品．塔薩里之印",
-"Call of the Void":"虛空呼喚",
-"Mokou's Embrace":"莫考之擁",
-"Ngamahu's Sign":"拿瑪乎之印",
-"Emberwake":"餘燼之痕",
-"Ahkeli's Mountain":"阿卡莉的山巒",
-"Ahkeli's Meadow":"阿卡莉的草原",
-"Ahkeli's Valley":"阿卡莉的峽谷",
-"Circle of Anguish":"煎熬之環",
-"Warrior's Legacy":"戰士遺物",
-"Replica Emberwake":"贗品．餘燼之痕",
-"Lori's Lantern":"羅里的幸運之燈",
-"The Taming":"元素之章",
-"Shavronne's Revelation":"薛朗的啟示之環",
-"Timeclasp":"時光之握",
-"Mana Sponge":"吸魔海綿",
-"Valyrium":"戰日",
-"Timetwist":"時空扭曲",
-"Anathema":"咒詛",
-"Circle of Nostalgia":"懷舊之環",
-"Romira's Banquet":"羅米拉的潛力之環",
-"Berek's Respite":"貝雷克的火與雷之樂",
-"Berek's Grip":"貝雷克的冰與雷之曲",
-"Berek's Pass":"貝雷克的冰與火之歌",
-"Rigwald's Crest":"瑞佛之冠",
-"Voideye":"虛空慧眼",
-"Malachai's Artifice":"瑪拉凱的巧技",
-"Brinerot Mark":"布琳洛特印記",
-"Redblade Band":"紅刃之環",
-"Mutewind Seal":"啞風封印",
-"The Pariah":"草民",
-"Essence Worm":"菁華蠕蟲",
-"Angler's Plait":"漁夫之辮",
-"The Hungry Loop":"惡鬼轉世",
-"Mark of Submission":"臣服之記",
-"Vivinsect":"寄生惡魔",
-"Profane Proxy":"褻瀆之替",
-"Replica Malachai's Artifice":"贗品．瑪拉凱的巧技",
-"Replica Voideye":"贗品．虛空慧眼",
-"Rotblood Promise":"敗血承諾",
-"Triumvirate Authority":"三體權威",
-"Band of the Victor":"勝利之環",
-"Mark of the Elder":"尊師之印",
-"Mark of the Shaper":"塑者之印",
-"Polaric Devastation":"極地毀滅",
-"Prismweave":"幻彩菱織",
-"Chains of Time":"時空之鏈",
-"Feastbind":"盛宴之結",
-"Faminebind":"饑荒之結",
-"The Retch":"嘔吐",
-"Replica Prismweave":"贗品．幻彩菱織",
-"Bated Breath":"凝息",
-"Maligaro's Restraint":"馬雷葛蘿的染血之環",
-"Ascent From Flesh":"血軀昇華",
-"Coward's Chains":"懦夫的鎖鏈",
-"Chains of Emancipation":"解放鏈",
-"Replica Bated Breath":"贗品．凝息",
-"Wurm's Molt":"龍蛻之帶",
-"Umbilicus Immortalis":"不朽繫命",
-"Cyclopean Coil":"巨岩之環",
-"Gluttony":"貪食腰",
-"Hyperboreus":"極地束腹",
-"Leash of Oblation":"祭品之繫",
-"Bear's Girdle":"熊之束",
-"Replica Headhunter":"贗品．獵首",
-"Pyroshock Clasp":"烈焰衝擊鉤",
-"Doryani's Invitation":"多里亞尼之約",
-"Belt of the Deceiver":"狡徒束腰",
-"Dyadian Dawn":"戴亞迪安的晨曦",
-"Bisco's Leash":"畢斯寇繫帶",
-"String of Servitude":"奴役之索",
-"Siegebreaker":"突圍",
-"Mother's Embrace":"母親的擁抱",
-"Replica Siegebreaker":"贗品．突圍",
-"Survivor's Guilt":"倖存者的原罪",
-"Mageblood":"魔血",
-"Sunblast":"日炎",
-"Soulthirst":"嗜魂",
-"The Flow Untethered":"潺流不息",
-"The Torrent's Reclamation":"奔流之開拓",
-"Replica Soul Tether":"贗品．靈魂束縛",
-"The Druggery":"純貨",
-"Arn's Anguish":"昂恩的煩惱",
-"Olesya's Delight":"奧莉西亞的喜悅",
-"Graven's Secret":"格雷文的秘密",
-"The Magnate":"堅毅之環",
-"The Tactician":"智勇軍師",
-"The Nomad":"游牧",
-"Perseverance":"恆毅意志",
-"Auxium":"奧術之符",
-"The Burden of Truth":"真理負擔",
-"Demigod's Bounty":"昇華珍寶",
-"Darkness Enthroned":"夜惡降臨",
-"Tainted Pact":"汙穢契約",
-"Bloodsoaked Medallion":"血染勳章",
-"Soulbound":"靈魂之絆",
-"Chain of Endurance":"堅決鎖鏈",
-"Ceinture of Benevolence":"仁愛之心",
-"Ikiaho's Promise":"伊基亞呼的承諾",
-"Replica Dragonfang's Flight":"贗品．龍牙翱翔",
-"Honoured Alliance":"榮耀同盟",
-"Tawhanuku's Timing":"塔瓦努庫的時機",
-"Kaom's Binding":"岡姆的束縛",
-"Bound Fate":"命運繫帶",
-"Focused Amulet":"專注護身符",
-"Composite Ring":"複合戒指",
-"Manifold Ring":"孔洞戒指",
-"Ratcheting Ring":"荊棘戒指",
-"Helical Ring":"螺旋戒指",
-"The Untouched Soul":"聖潔之魂",
-"Replica Hinekora's Sight":"贗品．悉妮蔻拉之眼",
-"Replica Badge of the Brotherhood":"贗品．激情之章",
-"Ixchel's Temptation":"薩雷許的誘惑",
-"Mechanical Belt":"腰帶外觀：機械龐克",
-"The Utmost":"竭誠者",
-"Circle of Ambition":"野心之環",
-"Grattus Signet":"格拉圖斯之記",
-"Nevalius Inheritance":"涅瓦里烏斯背向",
-"The Tides of Time":"時間之潮",
-"Nameless Ring":"無名戒指",
-"The Queller of Minds":"心靈鎮壓者",
-"The Selfish Shepherd":"自私牧羊人",
-"The Hateful Accuser":"憎惡控告者",
-"Ynda's Stand":"英達的小販",
-"Crimson Amulet":"赤紅項鍊",
-"Azure Amulet":"蒼藍項鍊",
-"Lunar Amulet":"月神項鍊",
-"Bloodstone Amulet":"血石項鍊",
-"Stellar Amulet":"恆星項鍊",
-"Solar Amulet":"日耀項鍊",
-"Lazuli Ring":"青金石戒指",
-"Emerald Ring":"綠寶石戒指",
-"Pearl Ring":"珍珠戒指",
-"Rawhide Belt":"生皮腰帶",
-"Linen Belt":"麻布腰帶",
-"Wide Belt":"寬大腰帶",
-"Long Belt":"長腰帶",
-"Plate Belt":"板甲腰帶",
-"Ornate Belt":"華麗腰帶",
-"Mail Belt":"鎖甲腰帶",
-"Double Belt":"雙層腰帶",
-"Utility Belt":"實用腰帶",
-"Fine Belt":"精良腰帶",
-"Iron Gauntlets":"鐵鍛護手",
-"Plated Gauntlets":"堅鐵護手",
-"Bronze Gauntlets":"青銅護手",
-"Steel Gauntlets":"冷鋼護手",
-"Antique Gauntlets":"古鋼護手",
-"Ancient Gauntlets":"遠古護手",
-"Goliath Gauntlets":"巨靈護手",
-"Vaal Gauntlets":"瓦爾護手",
-"Titan Gauntlets":"巨人護手",
-"Taxing Gauntlets":"負重護手",
-"Gruelling Gauntlets":"疲乏護手",
-"Debilitation Gauntlets":"衰弱護手",
-"Rawhide Gloves":"生皮手套",
-"Goathide Gloves":"羊皮手套",
-"Deerskin Gloves":"鹿皮手套",
-"Nubuck Gloves":"砂影手套",
-"Eelskin Gloves":"鰻皮手套",
-"Sharkskin Gloves":"鯊皮手套",
-"Shagreen Gloves":"粗革手套",
-"Stealth Gloves":"匿蹤手套",
-"Slink Gloves":"迷蹤手套",
-"Gauche Gloves":"粗糙手套",
-"Southswing Gloves":"南翼手套",
-"Sinistral Gloves":"左傾手套",
-"Wool Gloves":"羊毛手套",
-"Velvet Gloves":"絲絨手套",
-"Silk Gloves":"絲綢手套",
-"Embroidered Gloves":"刺繡手套",
-"Satin Gloves":"緞布手套",
-"Samite Gloves":"繡布手套",
-"Conjurer Gloves":"咒者手套",
-"Arcanist Gloves":"秘術手套",
-"Sorcerer Gloves":"術士手套",
-"Leyline Gloves":"荒野手套",
-"Aetherwind Gloves":"乙太之風手套",
-"Nexus Gloves":"核心手套",
-"Fishscale Gauntlets":"魚鱗手套",
-"Ironscale Gauntlets":"鐵影手套",
-"Bronzescale Gauntlets":"銅影手套",
-"Steelscale Gauntlets":"鋼影護手",
-"Serpentscale Gauntlets":"蛇鱗手套",
-"Wyrmscale Gauntlets":"蝮鱗手套",
-"Hydrascale Gauntlets":"火蝮鱗手套",
-"Dragonscale Gauntlets":"龍鱗手套",
-"Chain Gloves":"鏈甲手套",
-"Ringmail Gloves":"環甲手套",
-"Mesh Gloves":"網眼手套",
-"Riveted Gloves":"儀式手套",
-"Zealot Gloves":"狂熱者手套",
-"Soldier Gloves":"戰士手套",
-"Legion Gloves":"軍團手套",
-"Crusader Gloves":"聖戰手套",
-"Wrapped Mitts":"裹趾護手",
-"Strapped Mitts":"扣環護手",
-"Clasped Mitts":"環帶護手",
-"Trapper Mitts":"獵人護手",
-"Ambush Mitts":"伏擊護手",
-"Carnal Mitts":"禁禮護手",
-"Assassin's Mitts":"刺殺者護手",
-"Murder Mitts":"暗殺者護手",
-"Golden Bracers":"黃金臂甲",
-"Spiked Gloves":"釦釘手套",
-"Gripped Gloves":"擒拿手套",
-"Fingerless Silk Gloves":"魔指手套",
-"Apothecary's Gloves":"靈藥手套",
-"Runic Gloves":"魔符手套",
-"Runic Gages":"魔符手環",
-"Runic Gauntlets":"魔符護手",
-"Iron Greaves":"鐵鍛脛甲",
-"Steel Greaves":"冷鋼脛甲",
-"Plated Greaves":"堅鐵脛甲",
-"Reinforced Greaves":"強化脛甲",
-"Antique Greaves":"古鋼脛甲",
-"Ancient Greaves":"遠古脛甲",
-"Goliath Greaves":"巨靈脛甲",
-"Vaal Greaves":"瓦爾脛甲",
-"Titan Greaves":"巨人脛甲",
-"Basemetal Treads":"金屬鐵靴",
-"Darksteel Treads":"暗鋼鐵靴",
-"Brimstone Treads":"硫磺鐵靴",
-"Kaom's Greaves":"岡姆脛甲",
-"Rawhide Boots":"生皮長靴",
-"Goathide Boots":"羊皮短靴",
-"Deerskin Boots":"鹿皮短靴",
-"Nubuck Boots":"砂影短靴",
-"Eelskin Boots":"鰻皮短靴",
-"Sharkskin Boots":"鯊皮短靴",
-"Shagreen Boots":"粗革短靴",
-"Stealth Boots":"匿蹤短靴",
-"Slink Boots":"迷蹤短靴",
-"Cloudwhisper Boots":"雲語短靴",
-"Windbreak Boots":"風帳短靴",
-"Stormrider Boots":"風暴者短靴",
-"Wool Shoes":"羊毛之鞋",
-"Velvet Slippers":"絲絨便鞋",
-"Silk Slippers":"絲綢便鞋",
-"Scholar Boots":"學者長靴",
-"Satin Slippers":"緞布便鞋",
-"Samite Slippers":"繡布便鞋",
-"Conjurer Boots":"咒者長靴",
-"Arcanist Slippers":"秘術便鞋",
-"Sorcerer Boots":"術士長靴",
-"Duskwalk Slippers":"暮色之行便鞋",
-"Nightwind Slippers":"黑夜之風便鞋",
-"Dreamquest Slippers":"幻夢之尋便鞋",
-"Leatherscale Boots":"粗鱗皮靴",
-"Ironscale Boots":"鐵影長靴",
-"Bronzescale Boots":"銅影長靴",
-"Steelscale Boots":"鋼影長靴",
-"Serpentscale Boots":"蛇鱗長靴",
-"Wyrmscale Boots":"地蝮鱗長靴",
-"Hydrascale Boots":"火蝮鱗長靴",
-"Dragonscale Boots":"龍鱗長靴",
-"Chain Boots":"鏈甲長靴",
-"Ringmail Boots":"環甲筒靴",
-"Mesh Boots":"網眼長靴",
-"Riveted Boots":"儀式短靴",
-"Zealot Boots":"狂熱者長靴",
-"Soldier Boots":"戰士之靴",
-"Legion Boots":"軍團長靴",
-"Crusader Boots":"聖戰長靴",
-"Wrapped Boots":"裹趾涼鞋",
-"Strapped Boots":"扣環短靴",
-"Clasped Boots":"環帶長靴",
-"Shackled Boots":"縛足長靴",
-"Trapper Boots":"獵人之靴",
-"Ambush Boots":"伏擊之靴",
-"Carnal Boots":"禁禮之靴",
-"Assassin's Boots":"刺殺者之靴",
-"Murder Boots":"暗殺者長靴",
-"Golden Caligae":"黃金纏鞋",
-"Avian Slippers":"飛羽便鞋",
-"Two-Toned Boots":"異色鞋",
-"Fugitive Boots":"逃難短靴",
-"Runic Greaves":"魔符脛甲",
-"Runic Sollerets":"魔符長靴",
-"Runic Sabatons":"魔符短靴",
-"Plate Vest":"鐵製背心",
-"Chestplate":"胸甲",
-"Copper Plate":"銅鍛板甲",
-"War Plate":"戰爭之鎧",
-"Full Plate":"連身鎧甲",
-"Arena Plate":"鬥者之鎧",
-"Lordly Plate":"領主護鎧",
-"Bronze Plate":"青銅鎧甲",
-"Battle Plate":"戰鎧",
-"Sun Plate":"日光之鎧",
-"Colosseum Plate":"決鬥之鎧",
-"Majestic Plate":"莊嚴之鎧",
-"Golden Plate":"金耀之鎧",
-"Crusader Plate":"征戰重鎧",
-"Astral Plate":"星芒戰鎧",
-"Gladiator Plate":"角鬥重鎧",
-"Glorious Plate":"榮耀戰鎧",
-"Kaom's Plate":"岡姆的重鎧",
-"Shabby Jerkin":"破舊外套",
-"Strapped Leather":"扣環皮甲",
-"Buckskin Tunic":"鹿皮外套",
-"Wild Leather":"野性皮甲",
-"Full Leather":"連身皮甲",
-"Sun Leather":"日光皮甲",
-"Thief's Garb":"竊賊之裝",
-"Eelskin Tunic":"鰻皮之衣",
-"Frontier Leather":"邊戍皮甲",
-"Glorious Leather":"榮耀皮甲",
-"Coronal Leather":"光耀皮甲",
-"Cutthroat's Garb":"殘殺者之裝",
-"Sharkskin Tunic":"鯊皮之衣",
-"Destiny Leather":"命運皮甲",
-"Exquisite Leather":"精製皮甲",
-"Zodiac Leather":"星辰皮甲",
-"Assassin's Garb":"刺殺者之裝",
-"Simple Robe":"簡易之袍",
-"Silken Vest":"綢緞背心",
-"Scholar's Robe":"學者之袍",
-"Silken Garb":"絲綢之衣",
-"Mage's Vestment":"博學長衣",
-"Silk Robe":"絲質之袍",
-"Cabalist Regalia":"秘術法衣",
-"Sage's Robe":"賢者之袍",
-"Silken Wrap":"絲絨背心",
-"Conjurer's Vestment":"咒者長衣",
-"Spidersilk Robe":"蛛絲之袍",
-"Destroyer Regalia":"滅世法衣",
-"Savant's Robe":"智者之袍",
-"Necromancer Silks":"操靈者背心",
-"Occultist's Vestment":"秘術長衣",
-"Widowsilk Robe":"毒蛛絲之袍",
-"Vaal Regalia":"瓦爾法衣",
-"Scale Vest":"細鱗背心",
-"Light Brigandine":"輕鎖甲",
-"Scale Doublet":"合身鱗甲",
-"Infantry Brigandine":"步兵鎖甲",
-"Full Scale Armour":"連身鱗甲",
-"Soldier's Brigandine":"戰士鎖甲",
-"Field Lamellar":"野戰薄甲",
-"Wyrmscale Doublet":"龍鱗戰甲",
-"Hussar Brigandine":"輕騎鎖甲",
-"Full Wyrmscale":"連身龍鱗戰甲",
-"Commander's Brigandine":"指揮者鎖甲",
-"Battle Lamellar":"爭戰鱗甲",
-"Dragonscale Doublet":"龍鱗護甲",
-"Desert Brigandine":"荒野鎖鎧",
-"Full Dragonscale":"連身龍鱗鎧",
-"General's Brigandine":"將軍鎧甲",
-"Triumphant Lamellar":"勝利盔甲",
-"Chainmail Vest":"鎖鏈背心",
-"Chainmail Tunic":"鏈甲外衣",
-"Ringmail Coat":"環甲外套",
-"Chainmail Doublet":"護體鎖甲",
-"Full Ringmail":"連身環甲",
-"Full Chainmail":"連身鎖甲",
-"Holy Chainmail":"聖語鎖甲",
-"Latticed Ringmail":"精製環甲",
-"Crusader Chainmail":"聖戰鎖甲",
-"Ornate Ringmail":"華麗環甲",
-"Chain Hauberk":"鎖子長甲",
-"Devout Chainmail":"虔誠鏈甲",
-"Loricated Ringmail":"覆體環甲",
-"Conquest Chainmail":"征戰鎖甲",
-"Elegant Ringmail":"權貴環甲",
-"Saint's Hauberk":"聖者鏈甲",
-"Saintly Chainmail":"聖潔鎖甲",
-"Padded Vest":"薄襯衣",
-"Oiled Vest":"防水背心",
-"Padded Jacket":"長袖棉襖",
-"Oiled Coat":"防水外衣",
-"Scarlet Raiment":"熾紅之衣",
-"Waxed Garb":"蠟封束衣",
-"Bone Armour":"骨製戰甲",
-"Quilted Jacket":"菱紋外衣",
-"Sleek Coat":"滑布外套",
-"Crimson Raiment":"緋紅之衣",
-"Lacquered Garb":"漆彩束衣",
-"Crypt Armour":"地穴戰甲",
-"Sentinel Jacket":"哨兵之衣",
-"Varnished Coat":"映彩外套",
-"Blood Raiment":"血色之衣",
-"Sadist Garb":"狂虐者束衣",
-"Carnal Armour":"禁禮之甲",
-"Sacrificial Garb":"祭禮束衣",
-"Golden Mantle":"黃金戰甲",
-"Grasping Mail":"貪婪鎧甲",
-"Iron Hat":"粗鐵盔",
-"Cone Helmet":"錐頂盔",
-"Barbute Helmet":"輕騎盔",
-"Close Helmet":"護面盔",
-"Gladiator Helmet":"角鬥者之盔",
-"Reaver Helmet":"掠奪者之盔",
-"Siege Helmet":"破城之盔",
-"Samnite Helmet":"薩模柰堅盔",
-"Ezomyte Burgonet":"艾茲麥堅盔",
-"Royal Burgonet":"皇室堅盔",
-"Eternal Burgonet":"永恆堅盔",
-"Leather Cap":"皮帽",
-"Tricorne":"三角帽",
-"Leather Hood":"革兜",
-"Wolf Pelt":"狼首皮盔",
-"Hunter Hood":"獵者之兜",
-"Noble Tricorne":"貴族三角帽",
-"Ursine Pelt":"熊首皮盔",
-"Silken Hood":"綢緞之兜",
-"Sinner Tricorne":"罪者之帽",
-"Lion Pelt":"獅首皮盔",
-"Vine Circlet":"藤蔓之冠",
-"Iron Circlet":"鐵鍛之冠",
-"Torture Cage":"刑罰頭籠",
-"Tribal Circlet":"祭儀之冠",
-"Bone Circlet":"靈骨之冠",
-"Lunaris Circlet":"月影之冠",
-"Steel Circlet":"冷鋼之冠",
-"Necromancer Circlet":"操靈者之冠",
-"Solaris Circlet":"日耀之冠",
-"Mind Cage":"靈能之籠",
-"Hubris Circlet":"靈主之環",
-"Battered Helm":"殘破之盔",
-"Sallet":"輕鐵護盔",
-"Visored Sallet":"清視護盔",
-"Gilded Sallet":"金面護盔",
-"Secutor Helm":"精兵之盔",
-"Fencer Helm":"擊劍士之盔",
-"Lacquered Helmet":"漆彩之盔",
-"Fluted Bascinet":"全罩戰盔",
-"Pig-Faced Bascinet":"豬面頭盔",
-"Nightmare Bascinet":"夢魘戰盔",
-"Sorrow Mask":"悲鳴面具",
-"Atonement Mask":"贖罪面具",
-"Penitent Mask":"懺悔面具",
-"Rusted Coif":"鏽鐵鏈盔",
-"Soldier Helmet":"士兵之盔",
-"Great Helmet":"巨盔",
-"Crusader Helmet":"聖戰之盔",
-"Aventail Helmet":"戰意之盔",
-"Zealot Helmet":"熱戰之盔",
-"Great Crown":"強化巨盔",
-"Magistrate Crown":"行政者戰冠",
-"Prophet Crown":"箴言戰冠",
-"Praetor Crown":"領主戰冠",
-"Imp Crown":"妖怪邪冠",
-"Demon Crown":"惡魔邪冠",
-"Archdemon Crown":"罪魔邪冠",
-"Scare Mask":"幽懼之面",
-"Plague Mask":"疫災之面",
-"Iron Mask":"鐵鍛之面",
-"Festival Mask":"節慶之面",
-"Golden Mask":"黃金之面",
-"Raven Mask":"禍鴉之面",
-"Callous Mask":"無情之面",
-"Regicide Mask":"弒君之面",
-"Harlequin Mask":"鷹喙之面",
-"Vaal Mask":"瓦爾之面",
-"Deicide Mask":"弒神之面",
-"Gale Crown":"颶風之冠",
-"Winter Crown":"凜冬之冠",
-"Blizzard Crown":"暴雪之冠",
-"Golden Wreath":"金黃花環",
-"Golden Visage":"黃金頭飾",
-"Bone Helmet":"喚骨頭盔",
-"Runic Helm":"魔符頭飾",
-"Runic Crest":"魔符之冠",
-"Runic Crown":"魔符皇冠",
-"Twig Focus":"枝條法器",
-"Woven Focus":"編織法器",
-"Antler Focus":"靈鹿法器",
-"Engraved Focus":"紋刻法器",
-"Tonal Focus":"音調法器",
-"Crystal Focus":"水晶法器",
-"Voodoo Focus":"巫毒法器",
-"Plumed Focus":"羽飾法器",
-"Runed Focus":"符文法器",
-"Whorl Focus":"螺旋法器",
-"Elegant Focus":"高雅法器",
-"Attuned Focus":"調和法器",
-"Magus Focus":"瑪格思法器",
-"Wreath Focus":"花環法器",
-"Staghorn Focus":"鹿角法器",
-"Jingling Focus":"響聲法器",
-"Arrayed Focus":"陣列法器",
-"Cultist Focus":"教徒法器",
-"Hallowed Focus":"聖潔法器",
-"Druidic Focus":"德魯伊法器",
-"Leyline Focus":"地脈法器",
-"Sacred Focus":"神聖法器",
-"Tasalian Focus":"塔薩里安法器",
-"Ambu's Charge":"安姆布的戰甲",
-"Bronn's Lithe":"布隆的影衣",
-"Carcass Jack":"致命之體",
-"Daresso's Defiance":"德瑞索的衛衣",
-"Death's Oath":"冥使之體",
-"Incandescent Heart":"烈炎之心",
-"Infernal Mantle":"煉獄之心",
-"Lightbane Raiment":"魔道之衣",
-"Lightning Coil":"雷語",
-"Shavronne's Wrappings":"薛朗的護身長袍",
-"Solaris Lorica":"烈陽鎧",
-"Thousand Ribbons":"千縷",
-"Zahndethus' Cassock":"札德圖斯的聖衣",
-"Alberon's Warpath":"阿爾貝隆的征途",
-"Atziri's Step":"阿茲里的金履",
-"The Blood Dance":"血影",
-"Deerstalker":"獵蹤",
-"Demigod's Stride":"昇華之途",
-"Dusktoe":"迎暮",
-"Goldwyrm":"龍炎足跡",
-"Lioneye's Paws":"獅眼的鬥志",
-"Victario's Flight":"維多里奧的飛昇",
-"Rainbowstride":"虹幕",
-"Shavronne's Pace":"薛朗的秘術長靴",
-"Sin Trek":"敏銳思維",
-"Sundance":"日耀",
-"Asenath's Gentle Touch":"安賽娜絲的安撫之語",
-"Demigod's Touch":"昇華之指",
-"Meginord's Vise":"梅吉諾德的巨力腕甲",
-"Facebreaker":"毀面者",
-"Voidbringer":"虛空之力",
-"Hrimsorrow":"冰冷之眼",
-"Ondar's Clasp":"恩德的迅影",
-"Sadima's Touch":"獵寶者的護手",
-"Slitherpinch":"蒼蟒之鱗",
-"Thunderfist":"轟天雷",
-"Vaal Caress":"瓦爾的靈手",
-"Abyssus":"深淵之喚",
-"Asenath's Mark":"安賽娜絲的迅敏之冠",
-"Chitus' Apex":"切特斯的威權",
-"Demigod's Triumph":"昇華之冠",
-"Devoto's Devotion":"德沃托的信念之盔",
-"Fairgraves' Tricorne":"費爾之帽",
-"Geofri's Crest":"吉爾菲的榮光",
-"The Gull":"鷗喙",
-"Honourhome":"私慾的光輝",
-"Hrimnor's Resolve":"雷姆諾的豪情",
-"Malachai's Simula":"瑪拉凱的祭具",
-"Mindspiral":"靈漩",
-"The Peregrine":"疾風的沉思",
-"Rat's Nest":"鼠巢",
-"Rime Gaze":"酷寒的凝視",
-"Skullhead":"光輝之顱",
-"Atziri's Splendour":"阿茲里的威權",
-"Kaom's Roots":"岡姆的穩重之靴",
-"Flesh and Spirit":"肉體與魂靈",
-"Shadows and Dust":"沙塵之影",
-"Gang's Momentum":"剛勇",
-"Cherrubim's Maleficence":"薛魯賓的惡作劇",
-"Null and Void":"虛空",
-"Nomic's Storm":"諾米克的風暴",
-"The Broken Crown":"缺角帝冠",
-"Tear of Entropy":"亂世之淚",
-"Lioneye's Vision":"獅眼的視線",
-"Doedre's Scorn":"德瑞的蔑視",
-"Southbound":"南方",
-"The Restless Ward":"無盡之衛",
-"Repentance":"悔悟之掌",
-"Ironweld":"鐵芒",
-"Deadman's Hand":"枯萎之手",
-"Vizaru's Folly":"維札盧的不堪往事",
-"Kalisa's Grace":"卡莉莎的優雅之影",
-"Arimagius' Honor":"志士的榮耀之心",
-"Wurmfist":"崩石",
-"Dewath's Hide":"德瓦斯的匿蹤",
-"Doryani's Fist":"多里亞尼之拳",
-"Surgebinders":"浪湧縛者",
-"Victario's Influence":"維多里奧之絕響",
-"Brinerot Whalers":"布琳洛特岸行者",
-"Mutewind Whispersteps":"啞風輕步",
-"Redblade Tramplers":"紅刃蹂躪靴",
-"Ylfeban's Trickery":"伊芙班的詭計",
-"Steppan Eard":"絕地魔履",
-"Winds of Change":"昇華之風",
-"Skyforth":"空向",
-"Demigod's Dominance":"昇華統御",
-"Wyrmsign":"龍族印記",
-"Geofri's Sanctuary":"吉爾菲的聖殿",
-"Seven-League Step":"盟誓之跡",
-"Heretic's Veil":"異教面紗",
-"Viper's Scales":"毒蛇之度",
-"The Beast Fur Shawl":"獸毛披肩",
-"Cloak of Tawm'r Isley":"陶米兒艾斯理之袍",
-"Veruso's Battering Rams":"維盧梭攻城槌",
-"Three-step Assault":"三步突擊",
-"Cospri's Will":"卡斯普里意志",
-"Wall of Brambles":"荊棘之牆",
-"Kintsugi":"金繕",
-"Shavronne's Gambit":"薛朗的詭計",
-"Ezomyte Hold":"艾茲麥之握",
-"Deidbellow":"喪吼",
-"Martyr's Crown":"烈士之冠",
-"Hrimburn":"李姆本",
-"Death's Door":"死亡大門",
-"Grip of the Council":"議會之握",
-"Spiritskin":"精神之膚",
-"Tinkerskin":"焊匠之膚",
-"Rumblemarch":"奮勇進軍",
-"Kitava's Thirst":"奇塔弗之渴望",
-"Obscurantis":"朦朧詭面",
-"Voidwalker":"虛空行者",
-"Shaper's Touch":"塑者之觸",
-"The Formless Flame":"無形火炬",
-"The Formless Inferno":"無形煉獄",
-"Voll's Vision":"福爾的遠見",
-"The Red Trail":"赤紅蹤跡",
-"Malachai's Vision":"瑪拉凱的遠見",
-"The Snowblind Grace":"雪盲恩惠",
-"The Perfect Form":"完美姿態",
-"Skin of the Lords":"君主之膚",
-"The Brine Crown":"海王冠冕",
-"Gruthkul's Pelt":"葛魯斯寇真皮",
-"Abberath's Hooves":"艾貝拉斯之蹄",
-"Garukhan's Flight":"卡洛翰之影",
-"The Baron":"男爵",
-"Haemophilia":"逆凝之血",
-"Ahn's Contempt":"漢恩的蔑視",
-"Prospero's Vault":"普洛斯彼羅金庫",
-"Speaker's Wreath":"預言家桂冠",
-"Inya's Epiphany":"茵雅的頓悟",
-"Volkuur's Guidance":"福庫爾的指引",
-"Eber's Unification":"希伯的統治",
-"The Tempest's Binding":"風暴的拘束",
-"Dendrobate":"箭毒蛙",
-"Allelopathy":"相生相剋",
-"The Embalmer":"福馬林",
-"Dialla's Malefaction":"達拉的罪刑",
-"Malachai's Mark":"瑪拉凱之面",
-"Stormcharger":"暴充",
-"Wraithlord":"憤靈郡主",
-"Giantsbane":"大屠殺",
-"Inpulsa's Broken Heart":"印卜薩的心碎",
-"Memory Vault":"回憶寶庫",
-"Doedre's Skin":"德瑞之膚",
-"Ralakesh's Impatience":"芮勒蓋許的急躁",
-"Bubonic Trail":"布巴尼克的線索",
-"Oskarm":"厄斯根",
-"Bloodbond":"血肉結合",
-"Blasphemer's Grasp":"褻瀆者之握",
-"Lightpoacher":"光明獵盜者",
-"Tombfist":"陵拳",
-"Shroud of the Lightless":"晦暗的屍布",
-"Craiceann's Chitin":"奎爾珊畸面",
-"Craiceann's Pincers":"奎爾珊堅鉗",
-"Craiceann's Tracks":"奎爾珊之跡",
-"Craiceann's Carapace":"奎爾珊硬甲",
-"Greedtrap":"貪婪之跡",
-"Fox's Fortune":"狐毛之富",
-"Gorgon's Gaze":"戈耳戈的凝視",
-"Doedre's Malevolence":"德瑞的惡意",
-"Farrul's Fur":"費爾羅羽衣",
-"Fenumus' Shroud":"菲恩絲魘甲",
-"Saqawal's Winds":"斯卡沃之翼",
-"Windshriek":"風嘯",
-"Farrul's Bite":"費爾羅咥喙",
-"Farrul's Pounce":"費爾羅鋒爪",
-"Farrul's Chase":"費爾羅獵靴",
-"Saqawal's Nest":"斯卡沃之巢",
-"Saqawal's Talons":"斯卡沃鷹爪",
-"Saqawal's Flock":"斯卡沃之徒",
-"Fenumus' Toxins":"菲恩絲獠牙",
-"Fenumus' Weave":"菲恩絲夜織",
-"Fenumus' Spinnerets":"菲恩絲刺靴",
-"Chains of Command":"統帥之鏈",
-"Mark of the Red Covenant":"焰首支環",
-"Loreweave":"智者織衫",
-"Sunspite":"日咒",
-"Wildwrap":"野變",
-"Crystal Vault":"水晶寶庫",
-"Frostferno":"霜獄",
-"Malachai's Awakening":"瑪拉凱的覺醒",
-"Duskblight":"日落破滅",
-"Asenath's Chant":"安賽娜絲的歌頌",
-"Meginord's Vigour":"梅吉諾德的朝氣",
-"Honourhold":"榮耀之欲",
-"Mask of the Spirit Drinker":"魂飲化面",
-"Slavedriver's Hand":"奴役之手",
-"Dance of the Offered":"奉獻之舞",
-"Omeyocan":"歐門悠根",
-"Architect's Hand":"構築之手",
-"Shadowstitch":"縫影",
-"Command of the Pit":"闇核號令",
-"Crown of the Tyrant":"堂皇冠冕",
-"Doryani's Delusion":"多里亞尼的幻想",
-"Geofri's Legacy":"吉爾菲的遺產",
-"Curtain Call":"華麗閉幕",
-"The Iron Fortress":"鋼鐵壁壘",
-"Hale Negator":"強彈辯駁",
-"Lawbreaker":"破法者",
-"Ullr's Advent":"烏勒爾之誕",
-"Worldcarver":"巧奪天工",
-"Flamesight":"炎視",
-"The Queen's Hunger":"女王的渴望",
-"Galesight":"風視",
-"Thundersight":"雷視",
-"Waycarver":"刻劃精工",
-"Storm's Gift":"風暴之贈",
-"The Eternity Shroud":"永恆屍布",
-"Vixen's Entrapment":"雌狐的圈套",
-"Mask of the Tribunal":"審判莊嚴",
-"March of the Legion":"軍閥行軍",
-"Offering to the Serpent":"蛇皮獻祭",
-"Garb of the Ephemeral":"無常禮袍",
-"Demigod's Immortality":"昇華不朽",
-"Aukuna's Will":"奧庫納之意",
-"Maw of Conquest":"雛鳥之征",
-"Wreath of Phrecia":"費西亞之環",
-"Fractal Thoughts":"異想",
-"The Stampede":"潰逃之靴",
-"Triad Grip":"三弦指法",
-"Machina Mitts":"詭計魔手",
-"Torchoak Step":"火柳之步",
-"Cowl of the Cryophile":"酷寒斗篷",
-"Rotting Legion":"腐敗軍團",
-"Cowl of the Thermophile":"嗜炎斗篷",
-"Cowl of the Ceraunophile":"狂雷斗篷",
-"Breathstealer":"偷息",
-"Sporeguard":"毒孢守衛",
-"Hands of the High Templar":"聖宗神手",
-"Crown of the Inward Eye":"暗眼之冠",
-"The Ivory Tower":"象牙塔",
-"Painseeker":"尋苦",
-"Eye of Malice":"邪眼",
-"Algor Mortis":"阿爾戈．莫堤斯",
-"Beacon of Madness":"瘋癲之引",
-"Battlehaste":"迅戰",
-"Abhorrent Interrogation":"悖逆審訊",
-"Great Old One's Tentacles":"偉大老者之觸",
-"Fleshcrafter":"人體匠師",
-"The Tempest's Liberation":"暴雨之解放",
-"Forbidden Shako":"禁忌軍帽",
-"Plume of Pursuit":"追逐之羽",
-"Usurper's Penance":"篡位者的懺悔",
-"Corpsewalker":"行屍走肉",
-"Replica Lioneye's Paws":"贗品．獅眼的鬥志",
-"Replica Abyssus":"贗品．深淵之喚",
-"Replica Atziri's Acuity":"贗品．阿茲里的捷思",
-"Replica Kalisa's Grace":"贗品．卡莉莎的優雅之影",
-"Replica Ambu's Charge":"贗品．安姆布的戰甲",
-"Replica Shroud of the Lightless":"贗品．晦暗的屍布",
-"Maw of Mischief":"頑皮裂齒獸",
-"Replica Kaom's Heart":"贗品．岡姆的壯志",
-"Expedition's End":"遠征之盡",
-"Replica Perfect Form":"贗品．完美姿態",
-"Replica Loreweave":"贗品．智者織衫",
-"Replica Three-step Assault":"贗品．三步突擊",
-"Replica Allelopathy":"贗品．相生相剋",
-"Replica Alpha's Howl":"贗品．極地之嗥",
-"Replica Forbidden Shako":"贗品．禁忌軍帽",
-"Replica Restless Ward":"贗品．無盡之衛",
-"Replica Farrul's Fur":"贗品．費爾羅羽衣",
-"Replica Eternity Shroud":"贗品．永恆屍布",
-"Replica Alberon's Warpath":"贗品．阿爾貝隆的征途",
-"Replica Stampede":"贗品．潰逃之靴",
-"Replica Voidwalker":"贗品．虛空行者",
-"Replica Grip of the Council":"贗品．議會之握",
-"Replica Volkuur's Guidance":"贗品．福庫爾的指引",
-"Replica Leer Cast":"贗品．共鳴之面",
-"Willclash":"意志衝突",
-"Replica Red Trail":"贗品．赤紅蹤跡",
-"Replica Bones of Ullr":"贗品．烏勒爾之骨",
-"Replica Inya's Epiphany":"贗品．茵雅的頓悟",
-"Replica Veil of the Night":"贗品．夜幕",
-"Mercenary's Lot":"僱用兵之命",
-"Blunderbore":"失誤之孔",
-"The Admiral":"上將",
-"Crest of Desire":"慾望之冠",
-"The Fledgling":"幼雛",
-"Legacy of Fury":"傳承憤怒",
-"Hand of the Fervent":"熱情之手",
-"Ancient Skull":"遠古骷髏",
-"Viridi's Veil":"維里迪的薄紗",
-"Doppelgänger Guise":"達佩爾甘格偽裝",
-"Temptation Step":"誘惑步伐",
-"Faithguard":"信仰守護",
-"Cadigan's Crown":"卡迪根皇冠",
-"Nightgrip":"夜之觸",
-"Medved's Challenge":"梅德偉的挑戰",
-"Vorana's March":"沃拉娜的軍隊",
-"Olroth's Charge":"奧爾羅斯的衝刺",
-"Stasis Prison":"靜止牢籠",
-"Sudden Dawn":"黎明驟起",
-"Ceaseless Feast":"無盡盛宴",
-"Inextricable Fate":"無法掙脫之命",
-"Black Zenith":"漆黑極頂",
-"Echoes of Creation":"創造迴聲",
-"Kaom's Spirit":"岡姆之魂",
-"Annihilation's Approach":"殲滅的方法",
-"Entropic Devastation":"熵毀滅",
-"Dawnstrider":"晨行者",
-"Wilma's Requital":"威爾瑪的報復",
-"Stormseeker":"風暴千尋",
-"El'Abin's Visage":"伊蘭雅本的面紗",
-"Tanu Ahi":"埋火",
-"The Fourth Vow":"第四誓願",
-"Orbala's Stand":"奧爾巴拉的姿態",
-"Kahuturoa's Certainty":"卡胡圖羅亞的確信",
-"Utula's Hunger":"烏圖拉的飢餓",
-"Akoya's Gaze":"艾古亞的凝視",
-"The Trickster's Smile":"戲法師的微笑",
-"Replica Covenant":"贗品．血誓",
-"Replica Heatshiver":"贗品．寒焰",
-"Replica Hyrri's Ire":"贗品．西里的戰衣",
-"The Celestial Brace":"眾星援護",
-"Ravenous Passion":"貪婪的激情",
-"The Hand of Phrecia":"費西亞之手",
-"Veruso's Ambition":"維盧梭的野心",
-"The Apostate":"叛教者",
-"The Devourer of Minds":"心靈吞噬者",
-"The Tempest Rising":"風暴崛起",
-"Precursor Gauntlets":"先行者護手",
-"Leviathan Gauntlets":"海獸護手",
-"Preserving Gauntlets":"庇護手套",
-"Guarding Gauntlets":"保衛手套",
-"Thwarting Gauntlets":"阻擾手套",
-"Harpyskin Gloves":"妖羽皮手套",
-"Velour Gloves":"絲絨手套",
-"Tinker Gloves":"修補匠手套",
-"Apprentice Gloves":"學徒手套",
-"Trapsetter Gloves":"設陷者手套",
-"Sage Gloves":"哲人手套",
-"Warlock Gloves":"術士手套",
-"Chimerascale Gauntlets":"龍蜥鱗護手",
-"Wyvernscale Gauntlets":"飛龍鱗護手",
-"Martyr Gloves":"烈士手套",
-"Paladin Gloves":"聖騎士手套",
-"Infiltrator Mitts":"滲透者護手",
-"Phantom Mitts":"魅影護手",
-"Precursor Greaves":"先行者脛甲",
-"Leviathan Greaves":"海獸脛甲",
-"Harpyskin Boots":"妖羽皮短靴",
-"Velour Boots":"絲絨長靴",
-"Sage Slippers":"哲人便鞋",
-"Warlock Boots":"術士長靴",
-"Chimerascale Boots":"龍蜥鱗長靴",
-"Wyvernscale Boots":"飛龍鱗長靴",
-"Martyr Boots":"烈士長靴",
-"Paladin Boots":"聖騎士長靴",
-"Infiltrator Boots":"滲透者長靴",
-"Phantom Boots":"魅影長靴",
-"Titan Plate":"泰坦之鎧",
-"Legion Plate":"戰亂之鎧",
-"Royal Plate":"皇家之鎧",
-"Supreme Leather":"至高皮甲",
-"Astral Leather":"星際皮甲",
-"Syndicate's Garb":"密教束衣",
-"Arcane Vestment":"奧術長衣",
-"Nightweave Robe":"夜織之袍",
-"Twilight Regalia":"暮光法衣",
-"Full Wyvernscale":"全套龍鱗甲",
-"Marshall's Brigandine":"元帥鎧甲",
-"Conquest Lamellar":"征戰薄甲",
-"Grand Ringmail":"宏偉環甲",
-"Paladin's Hauberk":"聖騎士長甲",
-"Sacred Chainmail":"神聖鎖甲",
-"Sanguine Raiment":"樂觀之衣",
-"Torturer Garb":"刑求束衣",
-"Necrotic Armour":"亡者護甲",
-"General's Helmet":"將軍的頭盔",
-"Conqueror's Helmet":"征服者的頭盔",
-"Giantslayer Helmet":"巨人殺手頭盔",
-"Dire Pelt":"恐懼皮盔",
-"Grizzly Pelt":"灰熊皮盔",
-"Majestic Pelt":"莊嚴皮盔",
-"Moonlit Circlet":"月光之冠",
-"Sunfire Circlet":"陽炎之冠",
-"Lich's Circlet":"巫妖之冠",
-"Knight Helm":"騎士之盔",
-"Conquest Helmet":"征戰頭盔",
-"Haunted Bascinet":"鬧鬼戰盔",
-"Faithful Helmet":"信仰頭盔",
-"Paladin Crown":"聖騎士之冠",
-"Divine Crown":"神聖之冠",
-"Jester Mask":"小丑面具",
-"Ancient Mask":"遠古面具",
-"Torturer's Mask":"刑求面具",
-"Admiral's Arrogance":"將軍的傲慢",
-"Kaom's Command":"岡姆的命令",
-"Stocky Mitts":"結實長手套",
-"Riveted Mitts":"鉚接長手套",
-"Tempered Mitts":"淬鍊長手套",
-"Bolstered Mitts":"加固長手套",
-"Moulded Mitts":"鑄模長手套",
-"Detailed Mitts":"精細長手套",
-"Titan Mitts":"泰坦長手套",
-"Grand Mitts":"宏偉長手套",
-"Suede Bracers":"麂皮護腕",
-"Firm Bracers":"穩固護腕",
-"Bound Bracers":"緊縛護腕",
-"Sectioned Bracers":"分段護腕",
-"Spined Bracers":"棘刺護腕",
-"Fine Bracers":"精良護腕",
-"Hardened Bracers":"硬化護腕",
-"Engraved Bracers":"紋刻護腕",
-"Torn Gloves":"撕裂手套",
-"Sombre Gloves":"暗淡手套",
-"Stitched Gloves":"縫合手套",
-"Jewelled Gloves":"寶石手套",
-"Intricate Gloves":"精妙手套",
-"Pauascale Gloves":"海靈鱗手套",
-"Adorned Gloves":"奢華手套",
-"Ringmail Gauntlets":"環鎖護手",
-"Layered Gauntlets":"層板護手",
-"Doubled Gauntlets":"雙層護手",
-"Plate Gauntlets":"鎧甲護手",
-"Burnished Gauntlets":"拋光護手",
-"Ornate Gauntlets":"華麗護手",
-"Rope Cuffs":"繩索腕帶",
-"Aged Cuffs":"陳舊腕帶",
-"Goldcast Cuffs":"金鑄腕帶",
-"Diviner Cuffs":"聖者腕帶",
-"Righteous Cuffs":"正義腕帶",
-"Signet Cuffs":"徽印腕帶",
-"Gauze Wraps":"紗布裹手",
-"Linen Wraps":"麻布裹手",
-"Spiral Wraps":"盤繞裹手",
-"Buckled Wraps":"帶扣裹手",
-"Furtive Wraps":"隱秘裹手",
-"Utility Wraps":"實用裹手",
-"Grand Manchettes":"宏偉手鐲",
-"Advanced Riveted Mitts":"進階鉚接長手套",
-"Advanced Tempered Mitts":"進階淬鍊長手套",
-"Advanced Bolstered Mitts":"進階加固長手套",
-"Advanced Moulded Mitts":"進階鑄模長手套",
-"Advanced Firm Bracers":"進階穩固護腕",
-"Advanced Bound Bracers":"進階緊縛護腕",
-"Advanced Sectioned Bracers":"進階分段護腕",
-"Advanced Spined Bracers":"進階棘刺護腕",
-"Advanced Sombre Gloves":"進階暗淡手套",
-"Advanced Stitched Gloves":"進階縫合手套",
-"Advanced Jewelled Gloves":"進階寶石手套",
-"Advanced Intricate Gloves":"進階精妙手套",
-"Advanced Ringmail Gauntlets":"進階環鎖護手",
-"Advanced Layered Gauntlets":"進階層板護手",
-"Advanced Doubled Gauntlets":"進階雙層護手",
-"Advanced Rope Cuffs":"進階繩索腕帶",
-"Advanced Aged Cuffs":"進階陳舊腕帶",
-"Advanced Goldcast Cuffs":"進階金鑄腕帶",
-"Advanced Gauze Wraps":"進階紗布裹手",
-"Advanced Linen Wraps":"進階麻布裹手",
-"Advanced Spiral Wraps":"進階盤繞裹手",
-"Expert Riveted Mitts":"專家鉚接長手套",
-"Expert Bolstered Mitts":"專家加固長手套",
-"Expert Moulded Mitts":"專家鑄模長手套",
-"Expert Firm Bracers":"專家穩固護腕",
-"Expert Sectioned Bracers":"專家分段護腕",
-"Expert Spined Bracers":"專家棘刺護腕",
-"Expert Sombre Gloves":"專家暗淡手套",
-"Expert Jewelled Gloves":"專家寶石手套",
-"Expert Intricate Gloves":"專家精妙手套",
-"Expert Ringmail Gauntlets":"專家環鎖護手",
-"Expert Layered Gauntlets":"專家層板護手",
-"Expert Doubled Gauntlets":"專家雙層護手",
-"Expert Rope Cuffs":"專家繩索腕帶",
-"Expert Aged Cuffs":"專家陳舊腕帶",
-"Expert Goldcast Cuffs":"專家金鑄腕帶",
-"Expert Gauze Wraps":"專家紗布裹手",
-"Expert Linen Wraps":"專家麻布裹手",
-"Expert Spiral Wraps":"專家盤繞裹手",
-"Rough Greaves":"粗糙脛甲",
-"Bronze Greaves":"青銅脛甲",
-"Trimmed Greaves":"鑲邊脛甲",
-"Stone Greaves":"岩石脛甲",
-"Reefsteel Greaves":"礁鋼脛甲",
-"Monument Greaves":"豐碑脛甲",
-"Totemic Greaves":"圖騰脛甲",
-"Laced Boots":"飾帶長靴",
-"Embossed Boots":"浮雕長靴",
-"Steeltoe Boots":"鐵趾長靴",
-"Lizardscale Boots":"蜥蜴鱗長靴",
-"Flared Boots":"閃耀長靴",
-"Leatherplate Boots":"皮甲長靴",
-"Embroidered Boots":"刺繡長靴",
-"Straw Sandals":"乾草便鞋",
-"Wrapped Sandals":"裹腳便鞋",
-"Lattice Sandals":"格子便鞋",
-"Feathered Sandals":"羽毛便鞋",
-"Flax Sandals":"亞麻便鞋",
-"Studded Sandals":"鑲釘便鞋",
-"Elaborate Sandals":"精美便鞋",
-"Mail Sabatons":"鎖甲鎧靴",
-"Braced Sabatons":"加固鎧靴",
-"Stacked Sabatons":"疊層鎧靴",
-"Covered Sabatons":"遮蓋鎧靴",
-"Flexile Sabatons":"易曲鎧靴",
-"Bold Sabatons":"醒目鎧靴",
-"Padded Leggings":"襯墊護腿",
-"Secured Leggings":"牢固護腿",
-"Pelt Leggings":"堅皮護腿",
-"Weaver Leggings":"編織者護腿",
-"Gilt Leggings":"鍍金護腿",
-"Pious Leggings":"虔誠護腿",
-"Frayed Shoes":"磨損輕鞋",
-"Threaded Shoes":"縫紉輕鞋",
-"Hunting Shoes":"狩獵輕鞋",
-"Steelpoint Shoes":"鋼尖輕鞋",
-"Velour Shoes":"絲絨輕鞋",
-"Bladed Shoes":"片狀輕鞋",
-"Grand Cuisses":"宏偉腿甲",
-"Advanced Iron Greaves":"進階鐵鍛脛甲",
-"Advanced Bronze Greaves":"進階青銅脛甲",
-"Advanced Trimmed Greaves":"進階鑲邊脛甲",
-"Advanced Stone Greaves":"進階岩石脛甲",
-"Advanced Laced Boots":"進階飾帶長靴",
-"Advanced Embossed Boots":"進階浮雕長靴",
-"Advanced Steeltoe Boots":"進階鐵趾長靴",
-"Advanced Lizardscale Boots":"進階蜥蜴鱗長靴",
-"Advanced Wrapped Sandals":"進階裹腳便鞋",
-"Advanced Lattice Sandals":"進階格子便鞋",
-"Advanced Silk Slippers":"進階絲綢便鞋",
-"Advanced Feathered Sandals":"進階羽毛便鞋",
-"Advanced Mail Sabatons":"進階鎖甲鎧靴",
-"Advanced Braced Sabatons":"進階加固鎧靴",
-"Advanced Stacked Sabatons":"進階疊層鎧靴",
-"Advanced Padded Leggings":"進階襯墊護腿",
-"Advanced Secured Leggings":"進階牢固護腿",
-"Advanced Pelt Leggings":"進階堅皮護腿",
-"Advanced Frayed Shoes":"進階磨損輕鞋",
-"Advanced Threaded Shoes":"進階縫紉輕鞋",
-"Advanced Hunting Shoes":"進階狩獵輕鞋",
-"Expert Iron Greaves":"專家鐵鍛脛甲",
-"Expert Trimmed Greaves":"專家鑲邊脛甲",
-"Expert Stone Greaves":"專家岩石脛甲",
-"Expert Laced Boots":"專家飾帶長靴",
-"Expert Steeltoe Boots":"專家鐵趾長靴",
-"Expert Lizardscale Boots":"專家蜥蜴鱗長靴",
-"Expert Wrapped Sandals":"專家裹腳便鞋",
-"Expert Silk Slippers":"專家絲綢便鞋",
-"Expert Feathered Sandals":"專家羽毛便鞋",
-"Expert Mail Sabatons":"專家鎖甲鎧靴",
-"Expert Braced Sabatons":"專家加固鎧靴",
-"Expert Stacked Sabatons":"專家疊層鎧靴",
-"Expert Padded Leggings":"專家襯墊護腿",
-"Expert Secured Leggings":"專家牢固護腿",
-"Expert Pelt Leggings":"專家堅皮護腿",
-"Expert Frayed Shoes":"專家磨損輕鞋",
-"Expert Threaded Shoes":"專家縫紉輕鞋",
-"Expert Hunting Shoes":"專家狩獵輕鞋",
-"Rusted Cuirass":"生鏽胸甲",
-"Fur Plate":"毛皮鎧甲",
-"Iron Cuirass":"鍛鐵胸甲",
-"Raider Plate":"俠客鎧甲",
-"Maraketh Cuirass":"馬拉克斯胸甲",
-"Steel Plate":"堅鋼鎧甲",
-"Vaal Cuirass":"瓦爾胸甲",
-"Juggernaut Plate":"勇士鎧甲",
-"Chieftain Cuirass":"酋長胸甲",
-"Champion Cuirass":"冠軍胸甲",
-"Conqueror Plate":"征服者鎧甲",
-"Abyssal Cuirass":"深淵胸甲",
-"Leather Vest":"皮革背心",
-"Quilted Vest":"襯墊背心",
-"Pathfinder Coat":"追獵者外套",
-"Shrouded Vest":"籠罩背心",
-"Rhoahide Coat":"恐喙鳥皮外套",
-"Studded Vest":"鑲釘背心",
-"Scout's Vest":"斥侯背心",
-"Serpentscale Coat":"蛇鱗外套",
-"Corsair Vest":"海盜背心",
-"Smuggler Coat":"走私者外套",
-"Strider Vest":"疾行者背心",
-"Hardleather Coat":"硬皮外套",
-"Exquisite Vest":"精美背心",
-"Mail Coat":"鎖甲外套",
-"Armoured Vest":"裝甲背心",
-"Tattered Robe":"殘破長袍",
-"Feathered Robe":"羽毛長袍",
-"Hexer's Robe":"咒術師長袍",
-"Bone Raiment":"骸骨之衣",
-"Keth Raiment":"凱斯之衣",
-"Votive Raiment":"還願之衣",
-"Altar Robe":"祭壇長袍",
-"Elementalist Robe":"元素使長袍",
-"Mystic Raiment":"神秘之衣",
-"Imperial Robe":"帝國長袍",
-"Plated Raiment":"鎧甲之衣",
-"Havoc Raiment":"禍害之衣",
-"Enlightened Robe":"啟蒙長袍",
-"Arcane Robe":"奧術長袍",
-"Chain Mail":"鎖鍊鎖甲",
-"Rogue Armour":"盜賊護甲",
-"Vagabond Armour":"流浪者護甲",
-"Cloaked Mail":"斗篷鎖甲",
-"Explorer Armour":"探索者護甲",
-"Scale Mail":"鱗片鎖甲",
-"Knight Armour":"騎士護甲",
-"Ancestral Mail":"先祖鎖甲",
-"Lamellar Mail":"分層鎖甲",
-"Gladiator Armour":"衛士護甲",
-"Heroic Armour":"英雄護甲",
-"Tournament Mail":"競技鎖甲",
-"Slayer Armour":"處刑者護甲",
-"Pilgrim Vestments":"朝聖者法衣",
-"Pelt Mantle":"堅皮披肩",
-"Mail Vestments":"鎖甲法衣",
-"Shaman Mantle":"薩滿披肩",
-"Ironclad Vestments":"鐵甲法衣",
-"Sacrificial Mantle":"獻祭披肩",
-"Cleric Vestments":"教士法衣",
-"Tideseer Mantle":"潮汐先知披肩",
-"Gilded Vestments":"鍍金法衣",
-"Venerated Mantle":"崇敬披肩",
-"Revered Vestments":"尊敬法衣",
-"Corvus Mantle":"烏鴉披肩",
-"Zenith Vestments":"極盛法衣",
-"Hermit Garb":"隱士裝束",
-"Waxed Jacket":"打蠟外衣",
-"Marabout Garb":"修士裝束",
-"Wayfarer Jacket":"旅人外衣",
-"Anchorite Garb":"隱者裝束",
-"Scalper's Jacket":"投機者外衣",
-"Scoundrel Jacket":"流氓外衣",
-"Ascetic Garb":"苦行者裝束",
-"Clandestine Jacket":"隱蔽外衣",
-"Monastic Garb":"僧侶裝束",
-"Torment Jacket":"苦難外衣",
-"Devout Garb":"虔誠裝束",
-"Assassin Garb":"刺客裝束",
-"Garment":"服裝",
-"Grand Regalia":"宏偉華服",
-"Advanced Fur Plate":"進階毛皮鎧甲",
-"Advanced Iron Cuirass":"進階鍛鐵胸甲",
-"Advanced Maraketh Cuirass":"進階馬拉克斯胸甲",
-"Advanced Steel Plate":"進階堅鋼鎧甲",
-"Advanced Full Plate":"進階連身鎧甲",
-"Advanced Vaal Cuirass":"進階瓦爾胸甲",
-"Advanced Quilted Vest":"進階襯墊背心",
-"Advanced Pathfinder Coat":"進階追獵者外套",
-"Advanced Rhoahide Coat":"進階恐喙鳥皮外套",
-"Advanced Studded Vest":"進階鑲釘背心",
-"Advanced Scout's Vest":"進階斥侯背心",
-"Advanced Serpentscale Coat":"進階蛇鱗外套",
-"Advanced Feathered Robe":"進階羽毛長袍",
-"Advanced Hexer's Robe":"進階咒術師長袍",
-"Advanced Silk Robe":"進階絲質之袍",
-"Advanced Keth Raiment":"進階凱斯之衣",
-"Advanced Votive Raiment":"進階還願之衣",
-"Advanced Altar Robe":"進階祭壇長袍",
-"Advanced Chain Mail":"進階鎖鍊鎖甲",
-"Advanced Rogue Armour":"進階盜賊護甲",
-"Advanced Vagabond Armour":"進階流浪者護甲",
-"Advanced Cloaked Mail":"進階斗篷鎖甲",
-"Advanced Explorer Armour":"進階探索者護甲",
-"Advanced Scale Mail":"進階鱗片鎖甲",
-"Advanced Pilgrim Vestments":"進階朝聖者法衣",
-"Advanced Pelt Mantle":"進階堅皮披肩",
-"Advanced Mail Vestments":"進階鎖甲法衣",
-"Advanced Shaman Mantle":"進階薩滿披肩",
-"Advanced Ironclad Vestments":"進階鐵甲法衣",
-"Advanced Sacrificial Mantle":"進階獻祭披肩",
-"Advanced Hermit Garb":"進階隱士裝束",
-"Advanced Waxed Jacket":"進階打蠟外衣",
-"Advanced Marabout Garb":"進階修士裝束",
-"Advanced Wayfarer Jacket":"進階旅人外衣",
-"Advanced Anchorite Garb":"進階隱者裝束",
-"Advanced Scalper's Jacket":"進階投機者外衣",
-"Expert Iron Cuirass":"專家鍛鐵胸甲",
-"Expert Steel Plate":"專家堅鋼鎧甲",
-"Expert Vaal Cuirass":"專家瓦爾胸甲",
-"Expert Pathfinder Coat":"專家追獵者外套",
-"Expert Studded Vest":"專家鑲釘背心",
-"Expert Serpentscale Coat":"專家蛇鱗外套",
-"Expert Hexer's Robe":"專家咒術師長袍",
-"Expert Keth Raiment":"專家凱斯之衣",
-"Expert Altar Robe":"專家祭壇長袍",
-"Expert Rogue Armour":"專家盜賊護甲",
-"Expert Cloaked Mail":"專家斗篷鎖甲",
-"Expert Scale Mail":"專家鱗片鎖甲",
-"Expert Pelt Mantle":"專家堅皮披肩",
-"Expert Shaman Mantle":"專家薩滿披肩",
-"Expert Sacrificial Mantle":"專家獻祭披肩",
-"Expert Waxed Jacket":"專家打蠟外衣",
-"Expert Wayfarer Jacket":"專家旅人外衣",
-"Expert Scalper's Jacket":"專家投機者外衣",
-"Rusted Greathelm":"鏽蝕巨盔",
-"Soldier Greathelm":"士兵巨盔",
-"Wrapped Greathelm":"纏繞巨盔",
-"Spired Greathelm":"尖頂巨盔",
-"Elite Greathelm":"菁英巨盔",
-"Warrior Greathelm":"戰士巨盔",
-"Commander Greathelm":"指揮官巨盔",
-"Fierce Greathelm":"兇猛巨盔",
-"Dueling Greathelm":"決鬥巨盔",
-"Goliath Greathelm":"巨靈巨盔",
-"Guardian Greathelm":"守護者巨盔",
-"Shabby Hood":"破舊兜帽",
-"Felt Cap":"毛氈便帽",
-"Lace Hood":"綁帶兜帽",
-"Swathed Cap":"裹頭便帽",
-"Viper Cap":"毒蛇便帽",
-"Corsair Cap":"海盜便帽",
-"Leatherbound Hood":"皮革兜帽",
-"Velvet Cap":"天鵝絨便帽",
-"Covert Hood":"隱蔽兜帽",
-"Armoured Cap":"裝甲便帽",
-"Twig Circlet":"嫩枝頭環",
-"Wicker Tiara":"枝條頭冠",
-"Beaded Circlet":"串珠頭環",
-"Chain Tiara":"鎖鍊頭冠",
-"Feathered Tiara":"羽毛頭冠",
-"Gold Circlet":"黃金頭環",
-"Coral Circlet":"珊瑚頭環",
-"Jade Tiara":"翠玉頭冠",
-"Noble Circlet":"貴族頭環",
-"Twilight Tiara":"暮光頭冠",
-"Magus Tiara":"瑪格思頭冠",
-"Brimmed Helm":"邊緣之盔",
-"Guarded Helm":"警惕之盔",
-"Visored Helm":"假面之盔",
-"Cowled Helm":"斗篷之盔",
-"Shielded Helm":"庇護之盔",
-"Closed Helm":"緊閉之盔",
-"Decorated Helm":"裝飾之盔",
-"Gallant Helm":"無畏之盔",
-"Iron Crown":"鍛鐵之冠",
-"Horned Crown":"犄角之冠",
-"Cultist Crown":"教徒之冠",
-"Martyr Crown":"殉難之冠",
-"Heavy Crown":"沉重之冠",
-"Spiritbone Crown":"魂骨之冠",
-"Lavish Crown":"奢華之冠",
-"Templar Crown":"聖宗之冠",
-"Hewn Mask":"粗製之面",
-"Face Mask":"護臉之面",
-"Hooded Mask":"風帽之面",
-"Veiled Mask":"隱匿之面",
-"Tribal Mask":"部落之面",
-"Solid Mask":"堅固之面",
-"Shaded Mask":"陰影之面",
-"Death Mask":"死亡之面",
-"Grand Visage":"宏偉面紗",
-"Advanced Rusted Greathelm":"進階鏽蝕巨盔",
-"Advanced Soldier Greathelm":"進階士兵巨盔",
-"Advanced Wrapped Greathelm":"進階纏繞巨盔",
-"Advanced Spired Greathelm":"進階尖頂巨盔",
-"Advanced Elite Greathelm":"進階菁英巨盔",
-"Advanced Shabby Hood":"進階破舊兜帽",
-"Advanced Felt Cap":"進階毛氈便帽",
-"Advanced Lace Hood":"進階綁帶兜帽",
-"Advanced Swathed Cap":"進階裹頭便帽",
-"Advanced Hunter Hood":"進階獵者之兜",
-"Advanced Twig Circlet":"進階嫩枝頭環",
-"Advanced Wicker Tiara":"進階枝條頭冠",
-"Advanced Beaded Circlet":"進階串珠頭環",
-"Advanced Chain Tiara":"進階鎖鍊頭冠",
-"Advanced Feathered Tiara":"進階羽毛頭冠",
-"Advanced Brimmed Helm":"進階邊緣之盔",
-"Advanced Guarded Helm":"進階警惕之盔",
-"Advanced Visored Helm":"進階假面之盔",
-"Advanced Cowled Helm":"進階斗篷之盔",
-"Advanced Shielded Helm":"進階庇護之盔",
-"Advanced Iron Crown":"進階鍛鐵之冠",
-"Advanced Horned Crown":"進階犄角之冠",
-"Advanced Cultist Crown":"進階教徒之冠",
-"Advanced Martyr Crown":"進階殉難之冠",
-"Advanced Heavy Crown":"進階沉重之冠",
-"Advanced Hewn Mask":"進階粗製之面",
-"Advanced Face Mask":"進階護臉之面",
-"Advanced Hooded Mask":"進階風帽之面",
-"Advanced Veiled Mask":"進階隱匿之面",
-"Advanced Tribal Mask":"進階部落之面",
-"Expert Soldier Greathelm":"專家士兵巨盔",
-"Expert Spired Greathelm":"專家尖頂巨盔",
-"Expert Elite Greathelm":"專家菁英巨盔",
-"Expert Felt Cap":"專家毛氈便帽",
-"Expert Swathed Cap":"專家裹頭便帽",
-"Expert Hunter Hood":"專家獵者之兜",
-"Expert Wicker Tiara":"專家枝條頭冠",
-"Expert Chain Tiara":"專家鎖鍊頭冠",
-"Expert Feathered Tiara":"專家羽毛頭冠",
-"Expert Guarded Helm":"專家警惕之盔",
-"Expert Cowled Helm":"專家斗篷之盔",
-"Expert Shielded Helm":"專家庇護之盔",
-"Expert Horned Crown":"專家犄角之冠",
-"Expert Martyr Crown":"專家殉難之冠",
-"Expert Heavy Crown":"專家沉重之冠",
-"Expert Face Mask":"專家護臉之面",
-"Expert Veiled Mask":"專家隱匿之面",
-"Expert Tribal Mask":"專家部落之面",
-"The Velvet Orchestra":"天鵝絨交響樂團",
-"Sibling Rivalry":"手足相爭",
-"Shankgonne":"香克戈涅",
-"Timberwolf":"灰狼之靈",
-"Gravis Grimace":"面癱鬼臉",
-"The Immortan":"永生者",
-"Crimson Jewel":"赤紅珠寶",
-"Viridian Jewel":"翠綠珠寶",
-"Cobalt Jewel":"鈷藍珠寶",
-"Prismatic Jewel":"三相珠寶",
-"Timeless Jewel":"永恆珠寶",
-"Large Cluster Jewel":"巨型星團珠寶",
-"Medium Cluster Jewel":"中型星團珠寶",
-"Small Cluster Jewel":"小型星團珠寶",
-"Murderous Eye Jewel":"殺戮之眼珠寶",
-"Searching Eye Jewel":"勘查之眼珠寶",
-"Hypnotic Eye Jewel":"催眠之眼珠寶",
-"Ghastly Eye Jewel":"極懼之眼珠寶",
-"Brawn":"筋骨強化",
-"Inertia":"慣性",
-"Vampire's Might":"吸血鬼的力量",
-"Survival Skills":"生存技巧",
-"Inspired Learning":"求知的熱情",
-"Spire of Stone":"石塔",
-"Mantra of Flames":"烈炎之兆",
-"Combustibles":"燃盡",
-"The Naming Temporary":"暫名",
-"Fragile Bloom":"脆弱的繁華",
-"Rain of Splinters":"碎鏃雨",
-"Efficient Training":"充分訓練",
-"Atziri's Reign":"阿茲里之權",
-"Blood Sacrifice":"血犧",
-"Warlord's Reach":"督軍之力",
-"Conqueror's Efficiency":"征服者的迅捷",
-"Ancient Waystones":"遠古基石",
-"Zerphi's Youth":"澤佛伊的青春",
-"Fragility":"虛弱",
-"Fireborn":"炎域",
-"Energised Armour":"能量堅甲",
-"Might in All Forms":"卓絕之力",
-"Izaro's Turmoil":"伊澤洛之亂",
-"The Vigil":"監視守夜",
-"Rapid Expansion":"急速擴張",
-"Shattered Chains":"破碎之鍊",
-"Weight of the Empire":"帝國重量",
-"Emperor's Might":"帝王的霸權",
-"Coated Shrapnel":"榴星",
-"Underdog's Fury":"犧牲者怒息",
-"Primordial Might":"先祖力量",
-"The Red Dream":"赤影夢境",
-"The Red Nightmare":"赤影夢魘",
-"Winter Burial":"冬葬",
-"Overwhelming Odds":"絕對壓制",
-"Might of the Meek":"儒子可教",
-"Tempered Flesh":"冶鍊之體",
-"Combat Focus":"專精作戰",
-"Transcendent Flesh":"超凡之體",
-"Thread of Hope":"希望之絃",
-"Split Personality":"人格分裂",
-"Replica Conqueror's Efficiency":"贗品．征服者的迅捷",
-"Replica Fragile Bloom":"贗品．脆弱的繁華",
-"Replica Blood Sacrifice":"贗品．血犧",
-"Replica Primordial Might":"贗品．先祖力量",
-"Dissolution of the Flesh":"血肉溶解",
-"Forbidden Flame":"禁忌烈焰",
-"Divine Inferno":"神聖煉獄",
-"Firesong":"炔頌",
-"Immutable Force":"不變之力",
-"Fluid Motion":"流暢行動",
-"Intuitive Leap":"直覺之躍",
-"Lioneye's Fall":"獅眼的隕落",
-"Survival Instincts":"生存本能",
-"Cannibalistic Habits":"同族相殘",
-"Apparitions":"映像",
-"Hotheaded":"腦衝",
-"Weight of Sin":"罪惡的重量",
-"Specialised":"熟稔",
-"Miser of Misery":"悲慘賜予者",
-"Careful Planning":"審慎計畫",
-"Hidden Potential":"深藏的潛能",
-"Sacrificial Harvest":"原生祭儀",
-"Self-Flagellation":"殘虐之歡愉",
-"Poacher's Aim":"盜獵者的準心",
-"Conqueror's Longevity":"征服者的長生",
-"Chill of Corruption":"腐化寒息",
-"Hungry Abyss":"饑饉深淵",
-"Pacifism":"和平主義",
-"Pugilist":"迅擊者",
-"Cold Steel":"冷鋼",
-"Static Electricity":"靜電之源",
-"Volley Fire":"怒火齊發",
-"Spirit Guards":"精神守護",
-"Pitch Darkness":"黯黑之調",
-"Steel Spirit":"堅毅心靈",
-"Growing Agony":"茁壯苦痛",
-"Cheap Construction":"廉價建設",
-"Hair Trigger":"髮閘機關",
-"Emperor's Cunning":"帝王的詭計",
-"Primordial Eminence":"先祖卓越",
-"The Green Dream":"青影夢境",
-"The Green Nightmare":"青影夢魘",
-"Sudden Ignition":"急遽點燃",
-"Ring of Blades":"環形刃",
-"Fight for Survival":"存戰",
-"Omen on the Winds":"乘風之兆",
-"Might and Influence":"強權之勢",
-"Collateral Damage":"戰殤",
-"Choking Ash":"窒息餘燼",
-"Straight and True":"不變真理",
-"Pure Talent":"純才",
-"The Golden Rule":"黃金守則",
-"Tempered Spirit":"冶鍊之靈",
-"Transcendent Spirit":"超凡之靈",
-"Unnatural Instinct":"神感",
-"Toxic Vapours":"腐蝕之息",
-"Seething Fury":"沸騰之怒",
-"Quickening Covenant":"復甦誓約",
-"Unearth Threshold":"出土門閘",
-"Replica Hotheaded":"贗品．腦衝",
-"Replica Pure Talent":"贗品．純才",
-"Replica Cheap Construction":"贗品．廉價建設",
-"Lord of Steel":"鋼鐵君主",
-"Impossible Escape":"逃脫不能",
-"Stormshroud":"風暴籠罩",
-"To Dust":"塵埃落定",
-"Eldritch Knowledge":"異能知識",
-"Selfless Leadership":"無私領導",
-"Survival Secrets":"生存秘技",
-"Fertile Mind":"豐富心靈",
-"Fortified Legion":"堅守軍團",
-"Clear Mind":"理智",
-"Brute Force Solution":"蠻力衝撞",
-"Vaal Sentencing":"瓦爾之訴",
-"Fevered Mind":"狂熱之心",
-"Powerlessness":"無力",
-"Assassin's Haste":"刺殺者迷影",
-"Conqueror's Potency":"征服者的力量",
-"Mutated Growth":"墮落異體",
-"Corrupted Energy":"腐化能量",
-"Brittle Barrier":"易碎屏障",
-"Anatomical Knowledge":"真知灼見",
-"Energy From Within":"潛能防護",
-"Healthy Mind":"靈體轉換",
-"Rolling Flames":"滾動烈焰",
-"Winter's Bounty":"冬季賞金",
-"Spirited Response":"先祖回音",
-"Dead Reckoning":"死亡清算",
-"Reckless Defence":"魯莽防禦",
-"Unstable Payload":"不穩定承載",
-"Emperor's Wit":"帝王的智慧",
-"Unending Hunger":"無盡飢餓",
-"Primordial Harmony":"先祖和諧",
-"The Blue Dream":"碧影夢境",
-"The Blue Nightmare":"碧影夢魘",
-"Violent Dead":"亡者之殘",
-"First Snow":"初雪",
-"Frozen Trail":"跡凍",
-"Inevitability":"必然",
-"Spreading Rot":"拓蝕",
-"Boundless Grasp":"無邊抑制",
-"Hazardous Research":"危機學",
-"From Dust":"塵土歸來",
-"The Long Winter":"凜冽久冬",
-"Soul's Wick":"魂靈之芯",
-"Transcendent Mind":"超凡之意",
-"Fortress Covenant":"堅壁誓約",
-"Replica Reckless Defence":"贗品．魯莽防禦",
-"Replica Unstable Payload":"贗品．不穩定承載",
-"Endless Misery":"無盡謎團",
-"Apex Mode":"巔峰模式",
-"Nadir Mode":"深淵模式",
-"Melding of the Flesh":"血肉融合",
-"Forbidden Flesh":"禁忌血肉",
-"Rational Doctrine":"理性主義",
-"The Balance of Terror":"恐怖平衡",
-"Emperor's Mastery":"帝王的純熟",
-"The Anima Stone":"聚魂石",
-"Watcher's Eye":"看守之眼",
-"Sublime Vision":"崇高願景",
-"Glorious Vanity":"輝煌的虛榮",
-"Militant Faith":"激進的信仰",
-"Brutal Restraint":"殘酷的紀律",
-"Elegant Hubris":"優雅的高傲",
-"Lethal Pride":"致命的驕傲",
-"Voices":"嗓音",
-"One With Nothing":"一無所有",
-"Kitava's Teachings":"奇塔弗的教學",
-"The Interrogation":"審問",
-"Calamitous Visions":"悲慘幻視",
-"Natural Affinity":"天性",
-"The Siege":"圍城",
-"Child of Violence":"暴力之子",
-"The Front Line":"前列的線",
-"Tecrod's Gaze":"特克羅德的邪眼",
-"Ulaman's Gaze":"烏拉曼的邪眼",
-"Kurgal's Gaze":"柯戈的邪眼",
-"Amanamu's Gaze":"阿姆那姆的邪眼",
-"Bloodnotch":"缺血症",
-"Ancestral Vision":"先祖預視",
-"Warrior's Tale":"戰士的故事",
-"That Which Was Taken":"霸佔",
-"Replica Fragility":"贗品．虛弱",
-"Replica Pacifism":"贗品．和平主義",
-"Replica Powerlessness":"贗品．無力",
-"The Perandus Pact":"普蘭德斯協議",
-"The Light of Meaning":"意涵之光",
-"Ruby":"紅玉",
-"Emerald":"翠綠碧雲",
-"Sapphire":"藍玉",
-"Diamond":"鑽石",
-"Time-Lost Ruby":"時迭紅寶石",
-"Time-Lost Emerald":"時迭綠寶石",
-"Time-Lost Sapphire":"時迭藍寶石",
-"Time-Lost Diamond":"時迭鑽石",
-"Tainted Oil":"汙染油瓶",
-"Clear Oil":"清透油瓶",
-"Sepia Oil":"深褐油瓶",
-"Amber Oil":"琥珀油瓶",
-"Verdant Oil":"翠綠油瓶",
-"Teal Oil":"清綠油瓶",
-"Azure Oil":"碧藍油瓶",
-"Indigo Oil":"靛青油瓶",
-"Violet Oil":"奼紫油瓶",
-"Crimson Oil":"緋紅油瓶",
-"Black Oil":"漆黑油瓶",
-"Opalescent Oil":"乳白油瓶",
-"Silver Oil":"純銀油瓶",
-"Golden Oil":"金黃油瓶",
-"Reflective Oil":"映像油瓶",
-"Prismatic Oil":"三相之油",
-"Alira's Deadeye":"阿莉亞的穿心之弓",
-"Alpine Shaman":"高峰術士",
-"Ancient Construct":"遠古創造物",
-"Archer Statue":"弦影岩靈",
-"Artless Assassin":"無情刺客",
-"Ash Prophet":"烈火咒師",
-"Ashblessed Warden":"灰燼守望者",
-"Avian Retch":"叢林反芻鳥",
-"Baranite Preacher":"巴倫的傳教士",
-"Baranite Sister":"巴倫的修女",
-"Baranite Thaumaturge":"巴倫的咒術師",
-"Barb Serpent":"棘刺巨蛇",
-"Bearded Devil":"長鬚羊人",
-"Bearded Shaman":"長鬚咒靈",
-"Blackguard Arcmage":"烏旗守衛雷使",
-"Blackguard Mage":"烏旗守衛法師",
-"Bone Husk":"削骨者",
-"Bone Stalker":"骷髏之影",
-"Bramble Cobra":"叢林眼鏡蛇",
-"Brittle Bleeder":"嗜血枯骨",
-"Brittle Poacher":"盜獵者殘骨",
-"Burned Miscreation":"古靈實驗者：烈火",
-"Cannibal Fire-eater":"食人族噬火者",
-"Carnage Chieftain":"殺戮酋長",
-"Carrion Queen":"食腐蟲后",
-"Chrome-infused Chimeral":"注鉻龍蜥",
-"Cinder Elemental":"熾炎魔像",
-"Cloud Retch":"飄渺反芻鳥",
-"Colossal Bonestalker":"巨型骸骨鬥士",
-"Colossus Crusher":"巨像破壞者",
-"Crazed Driver":"瘋癲霸君",
-"Cursed Mariner":"水手咒靈",
-"Death Bishop":"死亡咒師",
-"Defiler":"玷汙咒師",
-"Desecrated Saint":"毀教者",
-"Diabolist":"惡魔咒師",
-"Dune Hellion":"沙丘獄犬",
-"Enhanced Vaal Fallen":"強化瓦爾墮靈",
-"Fetid Maw":"惡臭裂齒獸",
-"Fighting Bull":"戰鬥公牛",
-"Flame Sentinel":"火炎哨帶",
-"Flayed Archer":"悲語之弦",
-"Flesh Sculptor":"肉體刻劃屍",
-"Foreman":"船塢工頭",
-"Freezing Wolf":"凍冰狼",
-"Frost Auto-Scout":"霜寒自動巡守",
-"Frost Harbinger":"冰霜奮戰者",
-"Frost Sentinel":"冰霜哨帶",
-"Galvanic Ribbon":"雷電之帶",
-"Gluttonous Gull":"狂食反芻鳥",
-"Goatman":"堅蹄羊人",
-"Goatman Fire-raiser":"堅蹄羊人咒炎者",
-"Goatman Shaman":"堅蹄羊人術師",
-"Gut Flayer":"裂臟剝皮刃",
-"Hairy Bonecruncher":"長毛碎骨獸",
-"Host Chieftain":"寄生獸",
-"Imperial Vanguard":"帝國先鋒",
-"Incinerated Mage":"狂炎術者",
-"Kaom's Chosen":"岡姆的精兵",
-"Kiln Mother":"熔窯之母",
-"Kitava's Herald":"奇塔弗的先鋒",
-"Knitted Horror":"恐懼創造物",
-"Kraityn's Sentry":"克雷頓的偵查兵",
-"Leaping Spider":"躍影巨蛛",
-"Lunaris Concubine":"月影神侍妾",
-"Lunarsworn Wintermage":"寒冬月影魔導士",
-"Merveil's Attendant":"莫薇兒的侍女",
-"Merveil's Blessed":"莫薇兒的寵愛",
-"Merveil's Chosen":"海妖愛女",
-"Merveil's Retainer":"海妖之僕",
-"Mortality Experimenter":"生靈實驗者",
-"Murk Fiend":"陰暗之獸",
-"Noisome Ophidian":"審閱者",
-"Oak's Devoted":"歐克的支持者",
-"Plagued Bowman":"疫源之弓",
-"Plumed Chimeral":"彩羽龍蜥",
-"Pocked Illuminator":"瘡痕照明者",
-"Pocked Lanternbearer":"瘡痕持燈者",
-"Primal Crushclaw":"原始之粉碎之爪",
-"Primeval Hunter":"史前獵者",
-"Reanimator":"復生師",
-"Redemption Knight":"救贖騎士",
-"Redemption Sentry":"救贖哨兵",
-"Restless Archer":"不滅之弦",
-"Risen Vaal Advocate":"骷髏瓦爾擁戴者",
-"Risen Vaal Fanatic":"骷髏瓦爾狂熱者",
-"Sandworn Slaves":"沙瀑奴隸",
-"Scale of Esh":"艾許之鱗",
-"Scinteel Synthete":"憶獸．辛堤尤",
-"Shadow Lurker":"陰影潛伏者",
-"Shaggy Monstrosity":"毒息巨獸",
-"Sin Archer":"罪惡之弓",
-"Sin Lord":"惡咒之主",
-"Singing Siren":"冥曲海妖",
-"Slashed Miscreation":"劈砍的古靈實驗者",
-"Slave Driver":"獨裁霸君",
-"Snow Rhex":"雪地恐喙鳥",
-"Solar Guard":"日耀神守衛",
-"Solaris Champion":"日耀頭目",
-"Sparking Mage":"雷能枯靈",
-"Spectral Bowman":"怨靈之弓",
-"Spectral Scoundrel":"惡棍怨靈",
-"Stoneskin Flayer":"骨皮刨刀",
-"Stygian Revenant":"幽靈亡魂",
-"Syndicate Operative":"密教偵探",
-"Templar Tactician":"聖宗軍師",
-"Tentacle Miscreation":"古靈實驗者：掃蕩者",
-"Towering Figment":"巨型創造物",
-"Tukohama's Vanguard":"圖克哈瑪的先鋒",
-"Undying Alchemist":"不朽之毒",
-"Undying Evangelist":"不朽福音",
-"Undying Grappler":"不朽格鬥者",
-"Undying Impaler":"不朽刺客",
-"Undying Incinerator":"不朽之炎",
-"Undying Outcast":"不朽放逐者",
-"Vaal Slayer":"瓦爾處刑者",
-"Vexing Archer":"咒靈之弓",
-"Voidbearer":"虛影炎獸",
-"Whipping Miscreation":"古靈實驗者：長鞭",
-"Wicker Man":"異教徒",
-"Fire Quiver":"火焰箭袋",
-"Lesser Glacial Rune":"低階冰川符文",
-"Lesser Inspiration Rune":"低階啟發符文",
-"Lesser Stone Rune":"低階岩石符文",
-"Lesser Mind Rune":"低階心靈符文",
-"Lesser Storm Rune":"低階暴風符文",
-"Lesser Desert Rune":"低階沙漠符文",
-"Lesser Body Rune":"低階肉體符文",
-"Lesser Vision Rune":"低階遠見符文",
-"Lesser Rebirth Rune":"低階重生符文",
-"Lesser Iron Rune":"低階鍛鐵符文",
-"Glacial Rune":"冰川符文",
-"Inspiration Rune":"啟發符文",
-"Stone Rune":"岩石符文",
-"Mind Rune":"心靈符文",
-"Storm Rune":"暴風符文",
-"Desert Rune":"沙漠符文",
-"Runic Flows":"符文奔流",
-"Runic Tattoos":"符文紋身",
-"Body Rune":"肉體符文",
-"Vision Rune":"遠見符文",
-"Rebirth Rune":"重生符文",
-"Iron Rune":"鍛鐵符文",
-"Greater Glacial Rune":"高階冰川符文",
-"Greater Inspiration Rune":"高階啟發符文",
-"Greater Rune of Tithing":"高階奉獻符文",
-"Greater Stone Rune":"高階岩石符文",
-"Greater Rune of Nobility":"高階崇高符文",
-"Greater Mind Rune":"高階心靈符文",
-"Greater Storm Rune":"高階暴風符文",
-"Greater Desert Rune":"高階沙漠符文",
-"Greater Body Rune":"高階肉體符文",
-"Greater Rune of Alacrity":"高階迅捷符文",
-"Greater Vision Rune":"高階遠見符文",
-"Greater Rebirth Rune":"高階重生符文",
-"Greater Iron Rune":"高階鍛鐵符文",
-"Greater Rune of Leadership":"高階領導符文",
-"Demigods Fortitude":"半神的堅毅",
-"Demigods Loyalty":"半神的忠誠",
-"Demigods Judgement":"半神的決斷",
-"Demigods Duty":"半神的職責",
-"Demigods Valor":"半神的英勇",
-"Cospris Will":"卡斯普里意志",
-"Strike of Inspiration":"啟發打擊",
-"Seastrider":"四海之翔",
-"Oghams Legacy":"奧格姆的遺贈",
-"Slavedrivers Hand":"奴役之手",
-"The Grand Design":"宏偉設計",
-"Courtly Discord":"宮廷亂事",
-"Winters Bite":"寒冬嚙蝕",
-"Rhoa Reaver":"恐喙鳥掠奪者",
-"Chalice of Horrors":"恐懼之缶",
-"Prosperos Vault":"普洛斯彼羅金庫",
-"Tale of the Tempest":"暴雨傳說",
-"Windpiercer":"穿風者",
-"Ventors Contraption":"芬多的挑戰",
-"Ixchels Torment":"薩雷許的折磨",
-"Bereks Pass":"貝雷克的冰與火之歌",
-"Bereks Grip":"貝雷克的冰與雷之曲",
-"Bereks Respite":"貝雷克的火與雷之樂",
-"Silverpoint":"銀點",
-"Double Vision":"雙重視界",
-"The Rain Festival Beetle":"雨祭甲蟲",
-"Black Vise":"黑鉗",
-"Stone Charm":"岩石護符",
-"Grounding Charm":"接地護符",
-"Staunching Charm":"止血護符",
-"Dousing Charm":"滅火護符",
-"Silver Charm":"白銀護符",
-"Ruby Charm":"紅玉護符",
-"Amethyst Charm":"紫晶護符",
-"Sapphire Charm":"藍玉護符",
-"Thawing Charm":"解凍護符",
-"Antidote Charm":"解毒護符",
-"Topaz Charm":"黃玉護符",
-"Golden Charm":"黃金護符",
-"Soul Core of Quipolatl":"克特帕托靈魂核心",
-"Ox Talisman":"公牛魔符",
-"Soul Core of Atmohua":"力量靈魂核心",
-"Soul Core of Jiquani":"吉卡尼靈魂核心",
-"Soul Core of Ticaba":"堤卡巴靈魂核心",
-"Soul Core of Topotante":"塔普塔特靈魂核心",
-"Owl Talisman":"夜梟魔符",
-"Bear Talisman":"巨熊魔符",
-"Soul Core of Citaqualotl":"希特克拉多靈魂核心",
-"Soul Core of Cholotl":"敏捷靈魂核心",
-"Soul Core of Puhuarte":"普希瓦爾靈魂核心",
-"Soul Core of Zantipi":"智慧靈魂核心",
-"Soul Core of Zalatl":"札拉提靈魂核心",
-"Soul Core of Xopec":"柔派克靈魂核心",
-"Soul Core of Opiloti":"歐派理堤靈魂核心",
-"Soul Core of Tacati":"特卡蒂靈魂核心",
-"Fox Talisman":"狐狸魔符",
-"Rabbit Talisman":"狡兔魔符",
-"Soul Core of Azcapa":"艾斯卡巴靈魂核心",
-"Soul Core of Tzamoto":"薩摩特靈魂核心",
-"Serpent Talisman":"蝮蛇魔符",
-"Wolf Talisman":"野狼魔符",
-"Boar Talisman":"野豬魔符",
-"Stag Talisman":"雄鹿魔符",
-"Cat Talisman":"靈貓魔符",
-"Primate Talisman":"靈長魔符",
-"Wool Cap":"羊毛便帽",
-"Aegis Buckler":"神禦輕盾",
-"Snipers Mark":"狙擊者印記",
-"Alchemists Boon":"煉金師恩惠",
-"Wind Serpents Fury":"勁風蝮蛇之怒",
-"Bloodhounds Mark":"鮮血獵犬印記",
-"Reapers Invocation":"收割者的祈願",
-"Anvils Weight":"玉石切割者的刀刃",
-"Warcallers Bellow":"戰爭呼喚者的咆哮",
-"Greatwolfs Howl":"戰爭呼喚者的戰角",
-"Renlys Training":"戰場大師的路障",
-"Smiths Masterwork":"鐵匠傑作",
-"Beidats Gaze":"貝達特之視",
-"Beidats Hand":"貝達特之手",
-"Beidats Will":"貝達意志",
-"Chayulas Gift":"夏烏拉之禮",
-"Travellers Wisdom":"旅者的智慧",
-"Warlords Mark":"督軍印記",
-"Assassins Mark":"刺客印記",
-"Poachers Mark":"盜獵者印記",
-"Generals Cry":"將軍戰吼",
-"Battlemages Cry":"戰法戰吼",
-"Alchemists Mark":"煉金術士印記",
-"Guardians Blessing":"守護者的祝福輔助",
-"Warriors Blood":"戰士之血",
-"Adders Touch":"毒蛇之觸",
-"Hunters Gambit":"獵人之局",
-"Razors Edge":"剃刃",
-"Arcanists Dominion":"奧術師之統御",
-"Thiefs Craft":"盜賊工藝",
-"Golems Blood":"魔像血統 ",
-"Shamans Dominion":"薩滿領地",
-"Arohongui Moons Presence":"月使．亞歐紅古",
-"Ngamahu Flames Advance":"火徒．拿瑪乎",
-"Hinekora Deaths Fury":"死之狂怒．悉妮蔻拉",
-"Tukohama Wars Herald":"戰爭使者．圖克哈瑪",
-"Tawhoa Forests Strength":"森林之力．塔赫亞",
-"Ramako Suns Light":"烈陽之光．雷默科",
-"Valako Storms Embrace":"風暴之擁．瓦拉庫",
-"Natures Adrenaline":"大自然的腎上腺素",
-"Natures Boon":"自然的恩賜",
-"Natures Reprisal":"大自然的報仇",
-"Gladiators Perseverance":"衛士之毅",
-"Blacksmiths Clout":"鐵匠之擊",
-"Gladiators Fortitude":"衛士的毅力",
-"Menders Wellspring":"治癒湧泉",
-"Storms Hand":"風暴之手",
-"Doryanis Lesson":"多里亞尼的教程",
-"Doedres Spite":"德瑞的怨恨",
-"Hounds Mark":"獵犬印記",
-"Doedres Gluttony":"德瑞的暴食",
-"Doedres Apathy":"德瑞的冷漠",
-"Molten Ones Mark":"熔火之印",
-"Winters Embrace":"寒冬之擁",
-"Natures Concoction":"自然調劑",
-"Warlords Call":"督軍的呼喚",
-"Veterans Wrath":"老兵的暴怒",
-"Sione Suns Roar":"烈日怒吼．西奧妮",
-"Mothers Teachings":"母親的教誨",
-"Siones Ambition":"西奧妮的野心",
-"Generals Bindings":"將軍的束縛",
-"Defenders Resolve":"防衛者決意",
-"Titans Determination":"泰坦決意",
-"Hunters Talisman":"狩獵者巫符",
-"Cats Paw":"貓爪刃",
-"Tigers Paw":"虎爪刃",
-"Hellions Paw":"魔爪刃",
-"Goats Horn":"羊角法杖",
-"Fauns Horn":"獸角法杖",
-"Demons Horn":"魔角法杖",
-"Charans Sword":"查蘭之劍",
-"Headmans Sword":"行刑巨劍",
-"Tyrants Sekhem":"暴君之統",
-"Cybils Paw":"希比爾的冰爪",
-"Binos Kitchen Knife":"比諾的廚刀",
-"Ungils Gauche":"恩吉爾的叉刃",
-"Montreguls Grasp":"凋靈魔爪",
-"Nyctas Lantern":"奈可妲之燈",
-"Doryanis Catalyst":"多里亞尼的幻化之杖",
-"Atziris Disfavour":"阿茲里的刑刃",
-"Kaoms Primacy":"岡姆的霸業",
-"Reapers Pursuit":"死神的取魂器",
-"Geofris Baptism":"吉爾菲的淨罪之錘",
-"Kongors Undying Rage":"康戈的戰炎",
-"Oros Sacrifice":"歐羅的貢品",
-"Queens Decree":"威嚴之刃",
-"Rigwalds Charge":"瑞佛的奮戰長劍",
-"Hyaons Fury":"海昂的狂怒",
-"Piscators Vigil":"皮斯卡托的慧眼",
-"Apeps Rage":"艾普之怒",
-"Hegemonys Era":"霸權時代",
-"Nulls Inclination":"虛無之傾",
-"Laviangas Wisdom":"拉維安加的智慧",
-"Lakishus Blade":"拉奇許之刃",
-"Moonbenders Wing":"月嵐",
-"Abberaths Horn":"艾貝拉斯之角",
-"Deaths Hand":"死神之手",
-"Barteks Finger":"巴特克的魔指",
-"Jorrhasts Blacksteel":"喬赫黑鋼",
-"Camerias Maul":"卡美利亞之錘",
-"Izaros Dilemma":"伊澤洛之謎",
-"Hezmanas Bloodlust":"嗜血黑茲瑪娜",
-"Roths Reach":"蘿絲之觸",
-"Rigwalds Savagery":"野性瑞佛",
-"Rigwalds Command":"瑞佛統帥",
-"Daressos Passion":"德瑞索的熱情",
-"Nuros Harp":"努羅的豎琴",
-"Xirgils Crank":"舍吉的手柄",
-"Deaths Opus":"死亡之作",
-"Doomfletchs Prism":"滅世之獄",
-"Hrimnors Dirge":"雷姆諾的輓歌",
-"Queens Escape":"逃亡女王",
-"Ewars Mirage":"伊沃幻像",
-"Kondos Pride":"剛多的虛榮",
-"Cospris Malice":"卡斯普里的怨恨",
-"Xophs Nurture":"索伏的愛撫",
-"Ngamahus Flame":"里特拿馬乎",
-"Xophs Inception":"索伏的始源",
-"Uul-Netols Kiss":"烏爾尼多之吻",
-"Uul-Netols Embrace":"烏爾尼多的擁抱",
-"Arakaalis Fang":"艾爾卡莉之牙",
-"Kitavas Feast":"奇塔弗之盛宴",
-"Ahns Might":"漢恩的期許",
-"Debeons Dirge":"狄恩的輓歌",
-"Gallas Riposte":"加拉的突刺刃",
-"The Poets Pen":"學富之筆",
-"Camerias Avarice":"卡美利亞的貪婪",
-"Geofris Devotion":"吉爾菲的奉獻",
-"Earendels Embrace":"伊爾多恩的擁抱",
-"Sinvictas Mettle":"辛維塔之毅",
-"Witchhunters Judgment":"獵巫者的審判",
-"Replica Ungils Gauche":"贗品．恩吉爾的叉刃",
-"Replica Earendels Embrace":"贗品．伊爾多恩的擁抱",
-"Replica Oros Sacrifice":"贗品．歐羅的貢品",
-"Replica Kongors Undying Rage":"贗品．康戈的戰炎",
-"Demigods Authority":"半神權威",
-"Atziris Rule":"阿茲里的統御",
-"Yaomacs Accord":"堯馬克之權",
-"Rorys Revengance":"羅里的復仇之途",
-"Mark2s Mastery":"馬克的精銳戰意",
-"Robbies Rotten Mace":"羅比的腐敗釘錘",
-"Carls Crusher":"卡爾的破壞者",
-"Maligaros Etcher":"馬雷葛蘿的刻具",
-"Maatas Teaching":"瑪塔的教導",
-"Rakiatas Dance":"萊基亞塔的舞步",
-"Serles Masterwork":"瑟雷的傑作",
-"Tawhoas Felling":"塔赫亞的殞落",
-"Dealers Hand":"商人之手",
-"Rheas Rhythm":"蕾亞的旋律",
-"Thiefs Trinket":"盜賊飾品",
-"Atziris Foible":"阿茲里聖徽",
-"Zerphis Heart":"澤佛伊之心",
-"Replica Atziris Foible":"贗品．阿茲里聖徽",
-"Xophs Heart":"索伏之心",
-"Rashkaldors Patience":"拉什卡德的耐心",
-"Hyrris Truth":"西里的真理",
-"Replica Hyrris Truth":"贗品．西里的真理",
-"Marylenes Fallacy":"瑪莉琳的護體之符",
-"Doedres Tongue":"德瑞的毒舌",
-"Demigods Presence":"昇華之印",
-"Biscos Collar":"畢斯寇的項圈",
-"Perquils Toe":"珀奎爾的指頭",
-"Hinekoras Sight":"悉妮蔻拉之眼",
-"Auls Uprising":"奧爾的崛起",
-"Malachais Brilliance":"瑪拉凱的聰慧",
-"Leaderships Price":"領導力的代價",
-"Victarios Acuity":"維多里奧的捷思",
-"Maligaros Cruelty":"馬雷葛蘿的殘暴",
-"Volls Devotion":"福爾的忠誠之符",
-"Shapers Seed":"塑界者之籽",
-"Daressos Salute":"德瑞索的戰禮",
-"Uul-Netols Vow":"烏爾尼多之誓",
-"Nights Hold":"夜守",
-"Rigwalds Curse":"瑞佛詛咒",
-"Demigods Eye":"昇華之眼",
-"The Wardens Brand":"獄使之印",
-"Kaoms Sign":"岡姆的遠見",
-"Sibyls Lament":"希比爾之嘆",
-"Kaoms Way":"岡姆之路",
-"Replica Doedres Damning":"贗品．德瑞的魔具",
-"Valakos Sign":"瓦拉庫之印",
-"Putembos Valley":"普坦堡的峽谷",
-"Putembos Mountain":"普坦堡的山巒",
-"Putembos Meadow":"普坦堡的草原",
-"Precursors Emblem":"先引之征",
-"Ungilss Coil":"恩吉爾的指環",
-"Tasalios Sign":"塔薩里之印",
-"Uzazas Meadow":"尤莎莎的草原",
-"Uzazas Mountain":"尤莎莎的山巒",
-"Uzazas Valley":"尤莎莎的峽谷",
-"Replica Tasalios Sign":"贗品．塔薩里之印",
-"Mokous Embrace":"莫考之擁",
-"Ngamahus Sign":"拿瑪乎之印",
-"Ahkelis Mountain":"阿卡莉的山巒",
-"Ahkelis Meadow":"阿卡莉的草原",
-"Ahkelis Valley":"阿卡莉的峽谷",
-"Warriors Legacy":"戰士遺物",
-"Loris Lantern":"羅里的幸運之燈",
-"Shavronnes Revelation":"薛朗的啟示之環",
-"Romiras Banquet":"羅米拉的潛力之環",
-"Rigwalds Crest":"瑞佛之冠",
-"Malachais Artifice":"瑪拉凱的巧技",
-"Anglers Plait":"漁夫之辮",
-"Replica Malachais Artifice":"贗品．瑪拉凱的巧技",
-"Maligaros Restraint":"馬雷葛蘿的染血之環",
-"Cowards Chains":"懦夫的鎖鏈",
-"Wurms Molt":"龍蛻之帶",
-"Bears Girdle":"熊之束",
-"Doryanis Invitation":"多里亞尼之約",
-"Biscos Leash":"畢斯寇繫帶",
-"Mothers Embrace":"母親的擁抱",
-"Survivors Guilt":"倖存者的原罪",
-"The Torrents Reclamation":"奔流之開拓",
-"Arns Anguish":"昂恩的煩惱",
-"Olesyas Delight":"奧莉西亞的喜悅",
-"Gravens Secret":"格雷文的秘密",
-"Demigods Bounty":"昇華珍寶",
-"Ikiahos Promise":"伊基亞呼的承諾",
-"Replica Dragonfangs Flight":"贗品．龍牙翱翔",
-"Tawhanukus Timing":"塔瓦努庫的時機",
-"Kaoms Binding":"岡姆的束縛",
-"Replica Hinekoras Sight":"贗品．悉妮蔻拉之眼",
-"Ixchels Temptation":"薩雷許的誘惑",
-"Yndas Stand":"英達的小販",
-"Assassins Mitts":"刺殺者護手",
-"Apothecarys Gloves":"靈藥手套",
-"Kaoms Greaves":"岡姆脛甲",
-"Assassins Boots":"刺殺者之靴",
-"Kaoms Plate":"岡姆的重鎧",
-"Thiefs Garb":"竊賊之裝",
-"Cutthroats Garb":"殘殺者之裝",
-"Assassins Garb":"刺殺者之裝",
-"Scholars Robe":"學者之袍",
-"Mages Vestment":"博學長衣",
-"Sages Robe":"賢者之袍",
-"Conjurers Vestment":"咒者長衣",
-"Savants Robe":"智者之袍",
-"Occultists Vestment":"秘術長衣",
-"Soldiers Brigandine":"戰士鎖甲",
-"Commanders Brigandine":"指揮者鎖甲",
-"Generals Brigandine":"將軍鎧甲",
-"Saints Hauberk":"聖者鏈甲",
-"Ambus Charge":"安姆布的戰甲",
-"Bronns Lithe":"布隆的影衣",
-"Daressos Defiance":"德瑞索的衛衣",
-"Deaths Oath":"冥使之體",
-"Shavronnes Wrappings":"薛朗的護身長袍",
-"Alberons Warpath":"阿爾貝隆的征途",
-"Atziris Step":"阿茲里的金履",
-"Demigods Stride":"昇華之途",
-"Lioneyes Paws":"獅眼的鬥志",
-"Victarios Flight":"維多里奧的飛昇",
-"Shavronnes Pace":"薛朗的秘術長靴",
-"Asenaths Gentle Touch":"安賽娜絲的安撫之語",
-"Demigods Touch":"昇華之指",
-"Meginords Vise":"梅吉諾德的巨力腕甲",
-"Ondars Clasp":"恩德的迅影",
-"Sadimas Touch":"獵寶者的護手",
-"Asenaths Mark":"安賽娜絲的迅敏之冠",
-"Demigods Triumph":"昇華之冠",
-"Devotos Devotion":"德沃托的信念之盔",
-"Geofris Crest":"吉爾菲的榮光",
-"Hrimnors Resolve":"雷姆諾的豪情",
-"Malachais Simula":"瑪拉凱的祭具",
-"Rats Nest":"鼠巢",
-"Atziris Splendour":"阿茲里的威權",
-"Kaoms Roots":"岡姆的穩重之靴",
-"Gangs Momentum":"剛勇",
-"Cherrubims Maleficence":"薛魯賓的惡作劇",
-"Nomics Storm":"諾米克的風暴",
-"Lioneyes Vision":"獅眼的視線",
-"Doedres Scorn":"德瑞的蔑視",
-"Deadmans Hand":"枯萎之手",
-"Vizarus Folly":"維札盧的不堪往事",
-"Kalisas Grace":"卡莉莎的優雅之影",
-"Dewaths Hide":"德瓦斯的匿蹤",
-"Doryanis Fist":"多里亞尼之拳",
-"Victarios Influence":"維多里奧之絕響",
-"Ylfebans Trickery":"伊芙班的詭計",
-"Demigods Dominance":"昇華統御",
-"Geofris Sanctuary":"吉爾菲的聖殿",
-"Heretics Veil":"異教面紗",
-"Vipers Scales":"毒蛇之度",
-"Verusos Battering Rams":"維盧梭攻城槌",
-"Shavronnes Gambit":"薛朗的詭計",
-"Martyrs Crown":"烈士之冠",
-"Deaths Door":"死亡大門",
-"Kitavas Thirst":"奇塔弗之渴望",
-"Shapers Touch":"塑者之觸",
-"Volls Vision":"福爾的遠見",
-"Malachais Vision":"瑪拉凱的遠見",
-"Gruthkuls Pelt":"葛魯斯寇真皮",
-"Abberaths Hooves":"艾貝拉斯之蹄",
-"Garukhans Flight":"卡洛翰之影",
-"Ahns Contempt":"漢恩的蔑視",
-"Speakers Wreath":"預言家桂冠",
-"Inyas Epiphany":"茵雅的頓悟",
-"Volkuurs Guidance":"福庫爾的指引",
-"Ebers Unification":"希伯的統治",
-"The Tempests Binding":"風暴的拘束",
-"Diallas Malefaction":"達拉的罪刑",
-"Malachais Mark":"瑪拉凱之面",
-"Inpulsas Broken Heart":"印卜薩的心碎",
-"Doedres Skin":"德瑞之膚",
-"Ralakeshs Impatience":"芮勒蓋許的急躁",
-"Blasphemers Grasp":"褻瀆者之握",
-"Craiceanns Chitin":"奎爾珊畸面",
-"Craiceanns Pincers":"奎爾珊堅鉗",
-"Craiceanns Tracks":"奎爾珊之跡",
-"Craiceanns Carapace":"奎爾珊硬甲",
-"Foxs Fortune":"狐毛之富",
-"Gorgons Gaze":"戈耳戈的凝視",
-"Doedres Malevolence":"德瑞的惡意",
-"Farruls Fur":"費爾羅羽衣",
-"Saqawals Winds":"斯卡沃之翼",
-"Farruls Bite":"費爾羅咥喙",
-"Farruls Pounce":"費爾羅鋒爪",
-"Farruls Chase":"費爾羅獵靴",
-"Saqawals Nest":"斯卡沃之巢",
-"Saqawals Talons":"斯卡沃鷹爪",
-"Saqawals Flock":"斯卡沃之徒",
-"Malachais Awakening":"瑪拉凱的覺醒",
-"Asenaths Chant":"安賽娜絲的歌頌",
-"Meginords Vigour":"梅吉諾德的朝氣",
-"Architects Hand":"構築之手",
-"Doryanis Delusion":"多里亞尼的幻想",
-"Geofris Legacy":"吉爾菲的遺產",
-"Ullrs Advent":"烏勒爾之誕",
-"The Queens Hunger":"女王的渴望",
-"Storms Gift":"風暴之贈",
-"Vixens Entrapment":"雌狐的圈套",
-"Demigods Immortality":"昇華不朽",
-"Aukunas Will":"奧庫納之意",
-"Great Old Ones Tentacles":"偉大老者之觸",
-"The Tempests Liberation":"暴雨之解放",
-"Usurpers Penance":"篡位者的懺悔",
-"Replica Lioneyes Paws":"贗品．獅眼的鬥志",
-"Replica Atziris Acuity":"贗品．阿茲里的捷思",
-"Replica Kalisas Grace":"贗品．卡莉莎的優雅之影",
-"Replica Ambus Charge":"贗品．安姆布的戰甲",
-"Replica Kaoms Heart":"贗品．岡姆的壯志",
-"Expeditions End":"遠征之盡",
-"Replica Alphas Howl":"贗品．極地之嗥",
-"Replica Farruls Fur":"贗品．費爾羅羽衣",
-"Replica Alberons Warpath":"贗品．阿爾貝隆的征途",
-"Replica Volkuurs Guidance":"贗品．福庫爾的指引",
-"Replica Inyas Epiphany":"贗品．茵雅的頓悟",
-"Mercenarys Lot":"僱用兵之命",
-"Viridis Veil":"維里迪的薄紗",
-"Cadigans Crown":"卡迪根皇冠",
-"Medveds Challenge":"梅德偉的挑戰",
-"Voranas March":"沃拉娜的軍隊",
-"Olroths Charge":"奧爾羅斯的衝刺",
-"Kaoms Spirit":"岡姆之魂",
-"Annihilations Approach":"殲滅的方法",
-"Wilmas Requital":"威爾瑪的報復",
-"ElAbins Visage":"伊蘭雅本的面紗",
-"Orbalas Stand":"奧爾巴拉的姿態",
-"Kahuturoas Certainty":"卡胡圖羅亞的確信",
-"Utulas Hunger":"烏圖拉的飢餓",
-"Akoyas Gaze":"艾古亞的凝視",
-"The Tricksters Smile":"戲法師的微笑",
-"Replica Hyrris Ire":"贗品．西里的戰衣",
-"Verusos Ambition":"維盧梭的野心",
-"Syndicates Garb":"密教束衣",
-"Marshalls Brigandine":"元帥鎧甲",
-"Paladins Hauberk":"聖騎士長甲",
-"Generals Helmet":"將軍的頭盔",
-"Conquerors Helmet":"征服者的頭盔",
-"Lichs Circlet":"巫妖之冠",
-"Torturers Mask":"刑求面具",
-"Admirals Arrogance":"將軍的傲慢",
-"Kaoms Command":"岡姆的命令",
-"Scouts Vest":"斥侯背心",
-"Hexers Robe":"咒術師長袍",
-"Scalpers Jacket":"投機者外衣",
-"Advanced Scouts Vest":"進階斥侯背心",
-"Advanced Hexers Robe":"進階咒術師長袍",
-"Advanced Scalpers Jacket":"進階投機者外衣",
-"Expert Hexers Robe":"專家咒術師長袍",
-"Expert Scalpers Jacket":"專家投機者外衣",
-"Vampires Might":"吸血鬼的力量",
-"Atziris Reign":"阿茲里之權",
-"Warlords Reach":"督軍之力",
-"Conquerors Efficiency":"征服者的迅捷",
-"Zerphis Youth":"澤佛伊的青春",
-"Izaros Turmoil":"伊澤洛之亂",
-"Emperors Might":"帝王的霸權",
-"Underdogs Fury":"犧牲者怒息",
-"Replica Conquerors Efficiency":"贗品．征服者的迅捷",
-"Lioneyes Fall":"獅眼的隕落",
-"Poachers Aim":"盜獵者的準心",
-"Conquerors Longevity":"征服者的長生",
-"Emperors Cunning":"帝王的詭計",
-"Assassins Haste":"刺殺者迷影",
-"Conquerors Potency":"征服者的力量",
-"Winters Bounty":"冬季賞金",
-"Emperors Wit":"帝王的智慧",
-"Souls Wick":"魂靈之芯",
-"Emperors Mastery":"帝王的純熟",
-"Watchers Eye":"看守之眼",
-"Kitavas Teachings":"奇塔弗的教學",
-"Tecrods Gaze":"特克羅德的邪眼",
-"Ulamans Gaze":"烏拉曼的邪眼",
-"Kurgals Gaze":"柯戈的邪眼",
-"Amanamus Gaze":"阿姆那姆的邪眼",
-"Warriors Tale":"戰士的故事",
-"Aliras Deadeye":"阿莉亞的穿心之弓",
-"Kaoms Chosen":"岡姆的精兵",
-"Kitavas Herald":"奇塔弗的先鋒",
-"Kraityns Sentry":"克雷頓的偵查兵",
-"Merveils Attendant":"莫薇兒的侍女",
-"Merveils Blessed":"莫薇兒的寵愛",
-"Merveils Chosen":"海妖愛女",
-"Merveils Retainer":"海妖之僕",
-"Oaks Devoted":"歐克的支持者",
-"Tukohamas Vanguard":"圖克哈瑪的先鋒",
-"Giants Blood":"巨人之血",
-"Zealots Oath":"狂熱者的誓言",
-"Kalguuran Forgehammer":"卡爾葛鍛造錘",
-"Calescent Hammer":"升溫之錘",
-"Flared Mace":"閃光之錘",
-"Battle Pick":"戰鬥鎬",
-"Marching Mace":"行軍之錘",
-"Bandit Mace":"盜賊之錘",
-"Structured Hammer":"建構之錘",
-"Flanged Mace":"輪緣之錘",
-"Crown Mace":"皇冠之錘",
-"Molten Hammer":"熔火之錘",
-"Strife Pick":"鬥爭鎬",
-"Fortified Hammer":"強化之錘",
-"Marauding Mace":"劫掠之錘",
-"Akoyan Club":"艾古亞棍棒",
-"Pious Sceptre":"敬神權杖",
-"Steelhead Spear":"鋼尖長鋒",
-"Coursing Spear":"追獵長鋒",
-"Swift Spear":"迅疾長鋒",
-"Branched Spear":"分支長鋒",
-"Jagged Spear":"鋸齒長鋒",
-"Massive Spear":"巨型長鋒",
-"Orichalcum Spear":"山銅長鋒",
-"Pronged Spear":"尖叉長鋒",
-"Stalking Spear":"潛獵長鋒",
-"Flying Spear":"翱翔長鋒",
-"Grand Spear":"宏偉長鋒",
-"Spiked Spear":"尖刺長鋒",
-"Akoyan Spear":"艾古亞長鋒",
-"Snakewood Shortbow":"蛇木短弓",
-"Protector Bow":"保衛者之弓",
-"Rider Bow":"騎士之弓",
-"Twin Bow":"雙生之弓",
-"Adherent Bow":"信徒之弓",
-"Militant Bow":"好戰者之弓",
-"Ironwood Shortbow":"鐵木短弓",
-"Cavalry Bow":"騎兵之弓",
-"Guardian Bow":"防衛者之弓",
-"Fanatic Bow":"盲信之弓",
-"Warmonger Bow":"狂戰者之弓",
-"Obliterator Bow":"毀滅者之弓",
-"Sanctified Staff":"牧師長杖",
-"Ravenous Staff":"貪婪長杖",
-"Permafrost Staff":"永凍長杖",
-"Snakewood Greathammer":"蛇木巨錘",
-"Blacksmith Maul":"鐵匠重錘",
-"Zealot Greathammer":"狂熱巨錘",
-"Solemn Maul":"莊嚴重錘",
-"Heavy Greathammer":"重型巨錘",
-"Disintegrating Maul":"崩解重錘",
-"Anvil Maul":"鐵砧重錘",
-"Sacred Maul":"神聖重錘",
-"Ironwood Greathammer":"鐵木巨錘",
-"Fanatic Greathammer":"盲信巨錘",
-"Ruination Maul":"毀滅重錘",
-"Massive Greathammer":"巨型巨錘",
-"Tawhoan Greatclub":"塔赫亞巨棍棒",
-"Reaching Quarterstaff":"延伸細杖",
-"Barbarous Quarterstaff":"野蠻細杖",
-"Arcing Quarterstaff":"電弧細杖",
-"Waxing Quarterstaff":"白蠟細杖",
-"Bladed Quarterstaff":"帶刃細杖",
-"Guardian Quarterstaff":"守護細杖",
-"Sinister Quarterstaff":"邪惡細杖",
-"Lunar Quarterstaff":"月神細杖",
-"Striking Quarterstaff":"打擊細杖",
-"Bolting Quarterstaff":"雷霆細杖",
-"Aegis Quarterstaff":"神禦細杖",
-"Razor Quarterstaff":"剃刃細杖",
-"Dreaming Quarterstaff":"夢境細杖",
-"Taut Crossbow":"緊繃十字弓",
-"Robust Crossbow":"強健十字弓",
-"Painted Crossbow":"彩繪十字弓",
-"Twin Crossbow":"成雙十字弓",
-"Cannonade Crossbow":"砲擊十字弓",
-"Bleak Crossbow":"無情十字弓",
-"Stout Crossbow":"牢固十字弓",
-"Engraved Crossbow":"紋刻十字弓",
-"Flexed Crossbow":"屈曲十字弓",
-"Gemini Crossbow":"雙子十字弓",
-"Siege Crossbow":"攻城十字弓",
-"Desolate Crossbow":"蒼涼十字弓",
-"Elegant Crossbow":"優雅十字弓",
-"Fishing Rod":"釣竿",
-"Broadhead Quiver":"寬頭箭袋",
-"Sacral Quiver":"聖禮箭袋",
-"Two-Point Quiver":"雙尖箭袋",
-"Blunt Quiver":"鈍箭袋",
-"Toxic Quiver":"劇毒箭袋",
-"Serrated Quiver":"鋸齒箭袋",
-"Primed Quiver":"灌注箭袋",
-"Penetrating Quiver":"穿透箭袋",
-"Volant Quiver":"速射箭袋",
-"Visceral Quiver":"內臟箭袋",
-"Golden Flame":"黃金聖炎",
-"Splintered Tower Shield":"朽木塔盾",
-"Painted Tower Shield":"彩繪塔盾",
-"Braced Tower Shield":"加固塔盾",
-"Barricade Tower Shield":"障壁塔盾",
-"Effigial Tower Shield":"靈像塔盾",
-"Rampart Tower Shield":"壁壘塔盾",
-"Heraldric Tower Shield":"紋章塔盾",
-"Stone Tower Shield":"岩石塔盾",
-"Crucible Tower Shield":"磨煉塔盾",
-"Ancestor Tower Shield":"先祖塔盾",
-"Phalanx Tower Shield":"方陣塔盾",
-"Defiant Tower Shield":"忤逆塔盾",
-"Blacksteel Tower Shield":"黑鋼塔盾",
-"Hardwood Targe":"硬木圓盾",
-"Pelage Targe":"毛皮圓盾",
-"Studded Targe":"鑲釘圓盾",
-"Crescent Targe":"新月圓盾",
-"Chiseled Targe":"鑿刻圓盾",
-"Feathered Targe":"羽毛圓盾",
-"Stratified Targe":"分層圓盾",
-"Carved Targe":"雕刻圓盾",
-"Mosaic Targe":"鑲嵌圓盾",
-"Aureate Targe":"鍍金圓盾",
-"Grand Targe":"宏偉圓盾",
-"Blazon Crest Shield":"家徽紋章盾",
-"Sigil Crest Shield":"符印紋章盾",
-"Emblem Crest Shield":"徽印紋章盾",
-"Jingling Crest Shield":"響聲紋章盾",
-"Sectarian Crest Shield":"宗派紋章盾",
-"Omen Crest Shield":"預兆紋章盾",
-"Wayward Crest Shield":"剛愎紋章盾",
-"Seer Crest Shield":"先知紋章盾",
-"Stoic Crest Shield":"堅忍紋章盾",
-"Empyreal Crest Shield":"蒼天紋章盾",
-"Deified Crest Shield":"神化紋章盾",
-"Golden Shield":"黃金盾牌",
-"Aged Tower Shield":"陳舊塔盾",
-"Metalworked Tower Shield":"金屬塔盾",
-"Cultist Tower Shield":"教徒塔盾",
-"Bulwark Tower Shield":"守護塔盾",
-"Noble Tower Shield":"高貴塔盾",
-"Goldworked Tower Shield":"黃金塔盾",
-"Ironwood Targe":"鐵木圓盾",
-"Fur-lined Targe":"皮襯圓盾",
-"Mercenary Targe":"傭兵圓盾",
-"Polished Targe":"拋光圓盾",
-"Stone Targe":"岩石圓盾",
-"Avian Targe":"飛羽圓盾",
-"Painted Crest Shield":"彩繪紋章盾",
-"Engraved Crest Shield":"紋刻紋章盾",
-"Descry Crest Shield":"遠見紋章盾",
-"Dekharan Crest Shield":"部下紋章盾",
-"Quartered Crest Shield":"四分紋章盾",
-"Glowering Crest Shield":"怒視紋章盾",
-"Royal Tower Shield":"皇族塔盾",
-"Fortress Tower Shield":"要塞塔盾",
-"Vaal Tower Shield":"瓦爾塔盾",
-"Tawhoan Tower Shield":"塔赫亞塔盾",
-"Mammoth Targe":"猛獁圓盾",
-"Baroque Targe":"巴洛克圓盾",
-"Soaring Targe":"翱翔圓盾",
-"Golden Targe":"Golden Targe",
-"Intricate Crest Shield":"錯綜紋章盾",
-"Sekheman Crest Shield":"絲克瑪紋章盾",
-"Vaal Crest Shield":"瓦爾紋章盾",
-"Blacksteel Crest Shield":"烏鋼紋章盾",
-"Leather Buckler":"皮革輕盾",
-"Wooden Buckler":"木頭輕盾",
-"Plated Buckler":"鋼板輕盾",
-"Iron Buckler":"鍛鐵輕盾",
-"Ridged Buckler":"脊狀輕盾",
-"Spiked Buckler":"尖刺輕盾",
-"Ringed Buckler":"環紋輕盾",
-"Edged Buckler":"刃緣輕盾",
-"Laminate Buckler":"層壓輕盾",
-"Pearl Buckler":"珍珠輕盾",
-"Ornate Buckler":"華麗輕盾",
-"Array Buckler":"排列輕盾",
-"Oak Buckler":"橡木輕盾",
-"Painted Buckler":"彩繪輕盾",
-"Coiled Buckler":"盤繞輕盾",
-"Spikeward Buckler":"尖衛輕盾",
-"Jingling Buckler":"響聲輕盾",
-"Bladeguard Buckler":"刃衛輕盾",
-"Gutspike Buckler":"挑腸輕盾",
-"Ancient Buckler":"遠古輕盾",
-"Desert Buckler":"沙漠輕盾",
-"Verisium Cuffs":"維里西姆腕帶",
-"Plated Mitts":"鎧甲長手套",
-"Elegant Mitts":"優雅長手套",
-"Ancient Mitts":"遠古長手套",
-"Feathered Mitts":"羽毛長手套",
-"Hunting Bracers":"狩獵護腕",
-"Swift Bracers":"迅疾護腕",
-"Refined Bracers":"精製護腕",
-"Spiked Bracers":"尖刺護腕",
-"Ominous Gloves":"惡兆手套",
-"Embellished Gloves":"點綴手套",
-"Baroque Gloves":"巴洛克手套",
-"Gold Gloves":"黃金手套",
-"Ironmail Gauntlets":"鐵鎖護手",
-"Captain Gauntlets":"隊長護手",
-"Zealot Gauntlets":"狂熱護手",
-"Braided Cuffs":"編織腕帶",
-"Heirloom Cuffs":"家傳腕帶",
-"Ornate Cuffs":"華麗腕帶",
-"Bandage Wraps":"繃帶裹手",
-"Cambric Wraps":"棉布裹手",
-"Adorned Wraps":"裝飾裹手",
-"Knightly Mitts":"騎士長手套",
-"Ornate Mitts":"華麗長手套",
-"Vaal Mitts":"瓦爾長手套",
-"Massive Mitts":"巨型長手套",
-"Stalking Bracers":"潛獵護腕",
-"Grand Bracers":"宏偉護腕",
-"Barbed Bracers":"鉤刺護腕",
-"Polished Bracers":"亮澤護腕",
-"Grim Gloves":"冷酷手套",
-"Opulent Gloves":"奢靡手套",
-"Vaal Gloves":"瓦爾手套",
-"Sirenscale Gloves":"海妖鱗手套",
-"Steelmail Gauntlets":"鋼鎖護手",
-"Commander Gauntlets":"指揮官護手",
-"Cultist Gauntlets":"教徒護手",
-"Blacksteel Gauntlets":"烏鐵護手",
-"Bound Cuffs":"綑綁腕帶",
-"Ancient Cuffs":"遠古腕帶",
-"Gleaming Cuffs":"輝光腕帶",
-"Adherent Cuffs":"追隨者腕帶",
-"War Wraps":"戰爭裹手",
-"Elegant Wraps":"優雅裹手",
-"Vaal Wraps":"瓦爾裹手",
-"Secured Wraps":"Secured Wraps",
-"Golden Greaves":"黃金脛甲",
-"Plated Greaves":"鎧甲脛甲",
-"Lionheart Greaves":"獅心脛甲",
-"Elegant Greaves":"優雅脛甲",
-"Carved Greaves":"雕刻脛甲",
-"Bound Boots":"綑綁長靴",
-"Sleek Boots":"光滑長靴",
-"Studded Boots":"鑲釘長靴",
-"Laced Sandals":"飾帶便鞋",
-"Bangled Sandals":"鐲子便鞋",
-"Elegant Slippers":"優雅便鞋",
-"Dunerunner Sandals":"沙丘行者便鞋",
-"Soldiering Sabatons":"軍旅鎧靴",
-"Goldwork Sabatons":"金刺繡鎧靴",
-"Bastion Sabatons":"堅堡鎧靴",
-"Adherent Leggings":"信徒護腿",
-"Bound Leggings":"綑綁護腿",
-"Shamanistic Leggings":"薩滿護腿",
-"Wayfarer Shoes":"旅行者輕鞋",
-"Silverbuckled Shoes":"銀扣輕鞋",
-"Treerunner Shoes":"樹行者輕鞋",
-"Bulwark Greaves":"壁壘脛甲",
-"Ornate Greaves":"華麗脛甲",
-"Tasalian Greaves":"塔薩里安脛甲",
-"Cinched Boots":"繫帶長靴",
-"Cavalry Boots":"騎兵長靴",
-"Drakeskin Boots":"龍膚長靴",
-"Bound Sandals":"綑綁便鞋",
-"Luxurious Slippers":"奢華便鞋",
-"Sandsworn Sandals":"沙誓便鞋",
-"Sekhema Sandals":"絲克瑪便鞋",
-"Veteran Sabatons":"老兵鎧靴",
-"Noble Sabatons":"高貴鎧靴",
-"Fortress Sabatons":"要塞鎧靴",
-"Blacksteel Sabatons":"烏鋼鎧靴",
-"Faithful Leggings":"信仰護腿",
-"Apostle Leggings":"使徒護腿",
-"Warlock Leggings":"術士護腿",
-"Cryptic Leggings":"隱祕護腿",
-"Wanderer Shoes":"漫遊者輕鞋",
-"Charmed Shoes":"護符輕鞋",
-"Quickslip Shoes":"速行輕鞋",
-"Daggerfoot Shoes":"捷足輕鞋",
-"Arcane Raiment":"奧術之衣",
-"Golden Plate":"黃金鎧甲",
-"Barbarian Plate":"野蠻人鎧甲",
-"Rugged Cuirass":"堅實胸甲",
-"Sandsworn Cuirass":"沙誓胸甲",
-"Elegant Plate":"優雅鎧甲",
-"Heavy Plate":"重型鎧甲",
-"Stone Cuirass":"岩石胸甲",
-"Patchwork Vest":"拼湊背心",
-"Hunting Coat":"狩獵外套",
-"Riding Coat":"騎乘外套",
-"Layered Vest":"分層背心",
-"Runner Vest":"奔走者背心",
-"Lizardscale Coat":"蜥蜴鱗外套",
-"Avian Robe":"飛羽長袍",
-"Cursespeaker's Robe":"詛咒語者長袍",
-"Luxurious Robe":"奢華長袍",
-"River Raiment":"河流之衣",
-"Adherent's Raiment":"信徒之衣",
-"Ceremonial Robe":"儀式長袍",
-"Ring Mail":"鐵環鎖甲",
-"Scoundrel Armour":"惡棍護甲",
-"Wanderer Armour":"漫遊者護甲",
-"Mantled Mail":"披風鎖甲",
-"Trailblazer Armour":"開拓者護甲",
-"Golden Mail":"耀金鎖甲",
-"Templar Vestments":"聖騎士法衣",
-"Bearskin Mantle":"熊皮披肩",
-"Chain Vestments":"鎖鏈法衣",
-"Occultist Mantle":"秘術披肩",
-"Plated Vestments":"鎧甲法衣",
-"Heartcarver Mantle":"雕心者披肩",
-"Oiled Jacket":"上油外衣",
-"Evangelist Garb":"傳道者裝束",
-"Itinerant Jacket":"遊歷者外衣",
-"Hatungo Garb":"靈語者裝束",
-"Hawker's Jacket":"飼鷹者外衣",
-"Soldier Cuirass":"士兵胸甲",
-"Ornate Plate":"華麗鎧甲",
-"Utzaal Cuirass":"奧札爾胸甲",
-"Warlord Cuirass":"總督胸甲",
-"Swiftstalker Coat":"迅疾潛獵者外套",
-"Slipstrike Vest":"快速打擊背心",
-"Wyrmscale Coat":"龍鱗外套",
-"Corsair Coat":"海盜外套",
-"Vile Robe":"惡毒長袍",
-"Ancestral Tiara":"先祖頭冠",
-"Flowing Raiment":"奔流之衣",
-"Sacramental Robe":"聖禮長袍",
-"Feathered Raiment":"羽絨之衣",
-"Dastard Armour":"惡徒護甲",
-"Shrouded Mail":"遮蔽鎖甲",
-"Death Mail":"死亡鎖甲",
-"Thane Mail":"Thane Mail",
-"Wolfskin Mantle":"狼皮披肩",
-"Conjurer Mantle":"巫術師披肩",
-"Death Mantle":"死亡披肩",
-"Seastorm Mantle":"海洋風暴披肩",
-"Sleek Jacket":"光滑外衣",
-"Rambler Jacket":"漫步者外衣",
-"Falconer's Jacket":"訓鷹者外衣",
-"Austere Garb":"樸素裝束",
-"Pearlescent Amulet":"珠光項鍊",
-"Dusk Amulet":"幽暗項鍊",
-"Gloam Amulet":"黃昏項鍊",
-"Penumbra Amulet":"半影項鍊",
-"Tenebrous Amulet":"黑暗項鍊",
-"Distorted Amulet":"歪曲項鍊",
-"Abyssal Signet":"深淵之記",
-"Easy Going":"好相處",
-"Lesser Life Flask":"低階生命藥劑",
-"Medium Life Flask":"中型生命藥劑",
-"Greater Life Flask":"良質生命藥劑",
-"Grand Life Flask":"優質生命藥劑",
-"Giant Life Flask":"巨型生命藥劑",
-"Colossal Life Flask":"高階生命藥劑",
-"Gargantuan Life Flask":"巨大生命藥劑",
-"Transcendent Life Flask":"卓越生命藥劑",
-"Ultimate Life Flask":"終極生命藥劑",
-"Lesser Mana Flask":"低階魔力藥劑",
-"Medium Mana Flask":"中型魔力藥劑",
-"Greater Mana Flask":"良質魔力藥劑",
-"Grand Mana Flask":"優質魔力藥劑",
-"Giant Mana Flask":"巨型魔力藥劑",
-"Colossal Mana Flask":"高階魔力藥劑",
-"Gargantuan Mana Flask":"巨大魔力藥劑",
-"Transcendent Mana Flask":"卓越魔力藥劑",
-"Ultimate Mana Flask":"終極魔力藥劑",
-"Farrul's Rune of the Chase":"費爾羅的追擊符文",
-"Farruls Rune of the Chase":"費爾羅的追擊符文",
-"Talisman of Sirrius":"席里斯護符",
-"Countess Seske's Rune of Archery":"伯爵夫人瑟絲可的箭術符文",
-"Countess Seskes Rune of Archery":"伯爵夫人瑟絲可的箭術符文",
-"Blacksmith's Whetstone":"磨刀石",
-"Arcanist's Etcher":"奧術蝕刻師",
-"Scroll of Wisdom":"知識卷軸",
-"Chaos Orb":"混沌石",
-"Armourer's Scrap":"護甲片",
-"Mirror of Kalandra":"卡蘭德的魔鏡",
-"Orb of Alchemy":"點金石",
-"Orb of Chance":"機會石",
-"Orb of Transmutation":"蛻變石",
-"Exalted Orb":"崇高石",
-"Regal Orb":"富豪石",
-"Orb of Augmentation":"增幅石",
-"Glassblower's Bauble":"玻璃彈珠",
-"Gemcutter's Prism":"寶石匠的稜鏡",
-"Lesser Jeweller's Orb":"低階工匠石",
-"Greater Jeweller's Orb":"高階工匠石",
-"Perfect Jeweller's Orb":"完美工匠石",
-"Artificer's Orb":"巧匠石",
-"Divine Orb":"神聖石",
-"Transmutation Shard":"蛻變石碎片",
-"Alchemy Shard":"點金石碎片",
-"Chance Shard":"機率碎片",
-"Albino Rhoa Feather":"白化的羽毛",
-"Golden Vulture Feather":"耀金禿鷹之羽",
-"Rainbow Toucan Feather":"七彩巨嘴鳥之羽",
-"Jade Kiwi Feather":"青玉奇異鳥之羽",
-"Stygian Peacock Feather":"漆黑孔雀之羽",
-"Vaal Orb":"瓦爾寶珠",
-"Orb of Annulment":"無效石",
-"Fracturing Orb":"破裂石",
-"Regal Shard":"富豪石碎片",
-"Artificer's Shard":"工匠碎片",
-"Diluted Liquid Ire":"稀釋的液態憤怒",
-"Diluted Liquid Guilt":"稀釋的液態罪惡",
-"Diluted Liquid Greed":"稀釋的液態貪婪",
-"Liquid Paranoia":"液態偏執",
-"Liquid Envy":"液態忌妒",
-"Liquid Disgust":"液態厭惡",
-"Liquid Despair":"液態絕望",
-"Concentrated Liquid Fear":"濃縮液態恐懼",
-"Concentrated Liquid Suffering":"濃縮液態苦難",
-"Concentrated Liquid Isolation":"濃縮液態孤立",
-"Exotic Coinage":"異域幣鑄",
-"Broken Circle Artifact":"破碎之環文物",
-"Black Scythe Artifact":"黑暗血鐮文物",
-"Order Artifact":"秩序文物",
-"Sun Artifact":"豔陽文物",
-"Gold":"金幣",
-"Bronze Key":"銅鑰匙",
-"Silver Key":"白銀鑰匙",
-"Gold Key":"金鑰匙",
-"Essence of the Body":"肉體精髓",
-"Essence of the Mind":"心智精髓",
-"Essence of Enhancement":"強化精髓",
-"Essence of Abrasion":"磨礪精髓",
-"Essence of Flames":"烈焰精髓",
-"Essence of Ice":"寒冰精髓",
-"Essence of Electricity":"電能精髓",
-"Essence of Ruin":"毀滅精髓",
-"Essence of Battle":"戰鬥精髓",
-"Essence of Sorcery":"巫術精髓",
-"Essence of Haste":"迅捷精髓",
-"Essence of the Infinite":"無限精髓",
-"Greater Essence of the Body":"高階肉體精髓",
-"Greater Essence of the Mind":"高階心智精髓",
-"Greater Essence of Enhancement":"高階強化精髓",
-"Greater Essence of Abrasion":"高階磨礪精髓",
-"Greater Essence of Flames":"高階烈焰精髓",
-"Greater Essence of Ice":"高階寒冰精髓",
-"Greater Essence of Electricity":"高階電能精髓",
-"Greater Essence of Ruin":"高階毀滅精髓",
-"Greater Essence of Battle":"高階戰鬥精髓",
-"Greater Essence of Sorcery":"高階巫術精髓",
-"Greater Essence of Haste":"高階迅捷精髓",
-"Greater Essence of the Infinite":"高階無限精髓",
-"Essence of Hysteria":"浮誇精髓",
-"Essence of Delirium":"譫妄精髓",
-"Essence of Horror":"極恐精髓",
-"Essence of Insanity":"錯亂精髓",
-"Flesh Catalyst":"生命催化劑",
-"Neural Catalyst":"魔力催化劑",
-"Carapace Catalyst":"甲殼的催化劑",
-"Uul-Netol's Catalyst":"物理催化劑",
-"Xoph's Catalyst":"火焰催化劑",
-"Tul's Catalyst":"冰冷催化劑",
-"Esh's Catalyst":"閃電催化劑",
-"Chayula's Catalyst":"混沌催化劑",
-"Reaver Catalyst":"掠奪的催化劑",
-"Sibilant Catalyst":"嘶鳴的催化劑",
-"Skittering Catalyst":"飛掠的催化劑",
-"Adaptive Catalyst":"適性的催化劑",
-"Omen of Refreshment":"刷新之兆",
-"Omen of Resurgence":"復興之兆",
-"Omen of Amelioration":"改善之兆",
-"Omen of Whittling":"削切之兆",
-"Omen of Sinistral Erasure":"左旋抺除之兆",
-"Omen of Dextral Erasure":"右旋抺除之兆",
-"Omen of Sinistral Alchemy":"左旋煉金之兆",
-"Omen of Dextral Alchemy":"右旋煉金之兆",
-"Omen of Sinistral Coronation":"左旋加冕之兆",
-"Omen of Dextral Coronation":"右旋加冕之兆",
-"Omen of Corruption":"腐化之兆",
-"Omen of Greater Exaltation":"大幅提升之兆",
-"Omen of Sinistral Exaltation":"左旋提升之兆",
-"Omen of Dextral Exaltation":"右旋提升之兆",
-"Omen of Greater Annulment":"大幅廢止之兆",
-"Omen of Sinistral Annulment":"左旋廢止之兆",
-"Omen of Dextral Annulment":"右旋廢止之兆",
-"Omen of Answered Prayers":"回應祈禱之兆",
-"Omen of Secret Compartments":"密室之兆",
-"Omen of the Hunt":"狩獵之兆",
-"Omen of Reinforcements":"增援之兆",
-"Blacksmiths Whetstone":"磨刀石",
-"Arcanists Etcher":"奧術蝕刻師",
-"Armourers Scrap":"護甲片",
-"Glassblowers Bauble":"玻璃彈珠",
-"Gemcutters Prism":"寶石匠的稜鏡",
-"Lesser Jewellers Orb":"低階工匠石",
-"Greater Jewellers Orb":"高階工匠石",
-"Perfect Jewellers Orb":"完美工匠石",
-"Artificers Orb":"巧匠石",
-"Artificers Shard":"工匠碎片",
-"Uul-Netols Catalyst":"物理催化劑",
-"Xophs Catalyst":"火焰催化劑",
-"Tuls Catalyst":"冰冷催化劑",
-"Eshs Catalyst":"閃電催化劑",
-"Chayulas Catalyst":"混沌催化劑",
-"Ancient Collarbone":"古老的鎖骨",
-"Ancient Jawbone":"古老的顎骨",
-"Ancient Rib":"古老的肋骨",
-"Essence of Alacrity":"輕快精髓",
-"Essence of Command":"命令精髓",
-"Essence of Grounding":"接地精髓",
-"Essence of Insulation":"隔絕精髓",
-"Essence of Opulence":"豐裕精髓",
-"Essence of Seeking":"探尋精髓",
-"Essence of Thawing":"解凍精髓",
-"Essence of the Abyss":"深淵精髓",
-"Gnawed Collarbone":"破碎的鎖骨",
-"Gnawed Jawbone":"破碎的顎骨",
-"Gnawed Rib":"破碎的肋骨",
-"Greater Chaos Orb":"高階混沌石",
-"Greater Essence of Alacrity":"高階輕快精髓",
-"Greater Essence of Command":"高階命令精髓",
-"Greater Essence of Grounding":"高階接地精髓",
-"Greater Essence of Insulation":"高階隔絕精髓",
-"Greater Essence of Opulence":"高階豐裕精髓",
-"Greater Essence of Seeking":"高階探尋精髓",
-"Greater Essence of Thawing":"高階解凍精髓",
-"Greater Exalted Orb":"高階崇高石",
-"Greater Orb of Augmentation":"高階增幅石",
-"Greater Orb of Transmutation":"高階蛻變石",
-"Greater Regal Orb":"高階富豪石",
-"Hinekora's Lock":"悉妮蔻拉的髮絲",
-"Idol of Estazunti":"艾斯祖太之偶",
-"Kulemak's Invitation":"骷髏馬克的誘惑",
-"Lesser Essence of Abrasion":"低階磨礪精髓",
-"Lesser Essence of Alacrity":"低階輕快精髓",
-"Lesser Essence of Battle":"低階戰鬥精髓",
-"Lesser Essence of Command":"低階命令精髓",
-"Lesser Essence of Electricity":"低階電能精髓",
-"Lesser Essence of Enhancement":"低階強化精髓",
-"Lesser Essence of Flames":"低階烈焰精髓",
-"Lesser Essence of Grounding":"低階接地精髓",
-"Lesser Essence of Haste":"低階迅捷精髓",
-"Lesser Essence of Ice":"低階寒冰精髓",
-"Lesser Essence of Insulation":"低階隔絕精髓",
-"Lesser Essence of Opulence":"低階豐裕精髓",
-"Lesser Essence of Ruin":"低階毀滅精髓",
-"Lesser Essence of Seeking":"低階探尋精髓",
-"Lesser Essence of Sorcery":"低階巫術精髓",
-"Lesser Essence of Thawing":"低階解凍精髓",
-"Lesser Essence of the Body":"低階肉體精髓",
-"Lesser Essence of the Infinite":"低階無限精髓",
-"Lesser Essence of the Mind":"低階心智精髓",
-"Omen of Abyssal Echoes":"深淵迴響之兆",
-"Omen of Bartering":"還價之兆",
-"Omen of Catalysing Exaltation":"催化喜悅之兆",
-"Omen of Chance":"機會之兆",
-"Omen of Chaotic Monsters":"混沌數量之兆",
-"Omen of Chaotic Quantity":"混沌怪物之兆",
-"Omen of Chaotic Rarity":"混沌稀有度之兆",
-"Omen of Dextral Crystallisation":"右旋結晶之兆",
-"Omen of Dextral Necromancy":"右旋死靈術之兆",
-"Omen of Gambling":"博弈之兆",
-"Omen of Homogenising Coronation":"均勻加冕之兆",
-"Omen of Homogenising Exaltation":"均勻喜悅之兆",
-"Omen of Light":"光明之兆",
-"Omen of Putrefaction":"腐敗之兆",
-"Omen of Recombination":"重組之兆",
-"Omen of Sanctification":"聖化之兆",
-"Omen of Sinistral Crystallisation":"左旋結晶之兆",
-"Omen of Sinistral Necromancy":"左旋死靈術之兆",
-"Omen of the Ancients":"遠古之兆",
-"Omen of the Blackblooded":"黑血者之兆",
-"Omen of the Blessed":"祝福之兆",
-"Omen of the Liege":"諸侯之兆",
-"Omen of the Sovereign":"領主之兆",
-"Perfect Chaos Orb":"完美混沌石",
-"Perfect Essence of Abrasion":"完美磨礪精髓",
-"Perfect Essence of Alacrity":"完美輕快精髓",
-"Perfect Essence of Battle":"完美戰鬥精髓",
-"Perfect Essence of Command":"完美命令精髓",
-"Perfect Essence of Electricity":"完美電能精髓",
-"Perfect Essence of Enhancement":"完美強化精髓",
-"Perfect Essence of Flames":"完美烈焰精髓",
-"Perfect Essence of Grounding":"完美接地精髓",
-"Perfect Essence of Haste":"完美迅捷精髓",
-"Perfect Essence of Ice":"完美寒冰精髓",
-"Perfect Essence of Insulation":"完美隔絕精髓",
-"Perfect Essence of Opulence":"完美豐裕精髓",
-"Perfect Essence of Ruin":"完美毀滅精髓",
-"Perfect Essence of Seeking":"完美探尋精髓",
-"Perfect Essence of Sorcery":"完美巫術精髓",
-"Perfect Essence of Thawing":"完美解凍精髓",
-"Perfect Essence of the Body":"完美肉體精髓",
-"Perfect Essence of the Infinite":"完美無限精髓",
-"Perfect Essence of the Mind":"完美心智精髓",
-"Perfect Exalted Orb":"完美崇高石",
-"Perfect Orb of Augmentation":"完美增幅石",
-"Perfect Orb of Transmutation":"完美蛻變石",
-"Perfect Regal Orb":"完美富豪石",
-"Petition Splinter":"願力斷片",
-"Preserved Collarbone":"保存良好的鎖骨",
-"Preserved Cranium":"保存良好的顱骨",
-"Preserved Jawbone":"保存良好的顎骨",
-"Preserved Rib":"保存良好的肋骨",
-"Preserved Vertebrae":"保存良好的脊椎",
-"Primary Calamity Fragment":"汙穢危機碎片",
-"Runic Splinter":"符文斷片",
-"Secondary Calamity Fragment":"褻瀆危機碎片",
-"Tertiary Calamity Fragment":"汙染危機碎片",
-"Hinekoras Lock":"悉妮蔻拉的髮絲",
-"Kulemaks Invitation":"骷髏馬克的誘惑",
-"Ancient Reliquary Key":"古典遺鑰",
-"Timeworn Reliquary Key":"古朽遺鑰",
-"Vaal Reliquary Key":"瓦爾遺鑰",
-"Forgotten Reliquary Key":"遺忘遺鑰",
-"Visceral Reliquary Key":"吞噬遺鑰",
-"Shiny Reliquary Key":"閃耀遺鑰",
-"Archive Reliquary Key":"文書遺鑰",
-"Oubliette Reliquary Key":"地窖遺鑰",
-"Cosmic Reliquary Key":"宇宙遺鑰",
-"Decaying Reliquary Key":"腐化遺鑰",
-"Voidborn Reliquary Key":"虛誕遺鑰",
-"Twilight Reliquary Key":"黎明寶庫鑰匙",
-"Xesht's Reliquary Key":"烈許的寶庫鑰匙",
-"The Trialmaster's Reliquary Key":"試煉大師的寶庫鑰匙",
-"Ritualistic Reliquary Key":"儀式寶庫鑰匙",
-"Tangmazu's Reliquary Key":"湯馬祖的寶庫鑰匙",
-"Olroth's Reliquary Key":"奧爾羅斯的寶庫鑰匙",
-"The Arbiter's Reliquary Key":"仲裁者的寶庫鑰匙",
-"Zarokh's Reliquary Key":"澤洛克的寶庫鑰匙",
-"Zarokh's Reliquary Key: Against the Darkness":"澤洛克的寶庫鑰匙：力抗黑暗",
-"Zarokh's Reliquary Key: Sandstorm Visage":"澤洛克的寶庫鑰匙：沙瀑面紗",
-"Zarokh's Reliquary Key: Blessed Bonds":"澤洛克的寶庫鑰匙：祝福之絆",
-"Zarokh's Reliquary Key: Sekhema's Resolve":"澤洛克的寶庫鑰匙：絲克瑪的決意",
-"Zarokh's Reliquary Key: Temporalis":"澤洛克的寶庫鑰匙：時空之物",
-"Sacrifice at Midnight":"午夜的奉獻",
-"Sacrifice at Dawn":"黎明的奉獻",
-"Sacrifice at Noon":"正午的奉獻",
-"Sacrifice at Dusk":"黃昏的奉獻",
-"Mortal Rage":"凡人的憤怒",
-"Mortal Hope":"凡人的希望",
-"Mortal Ignorance":"凡人的無知",
-"Mortal Grief":"凡人的哀傷",
-"Eber's Key":"希伯之鑰",
-"Yriel's Key":"伊瑞之鑰",
-"Inya's Key":"茵雅之鑰",
-"Volkuur's Key":"福庫爾之鑰",
-"Fragment of the Phoenix":"鳳凰斷片",
-"Fragment of the Minotaur":"牛頭斷片",
-"Fragment of the Chimera":"奇美拉斷片",
-"Fragment of the Hydra":"九頭蛇斷片",
-"Divine Vessel":"眾神聖器",
-"Sacrifice Set":"奉獻套組",
-"Mortal Set":"凡人套組",
-"Pale Court Set":"蒼白議會套組",
-"Key to the Crucible":"雕塑之鑰",
-"Fragment of Enslavement":"奴役斷片",
-"Fragment of Eradication":"根除斷片",
-"Fragment of Constriction":"干擾斷片",
-"Fragment of Purification":"淨化斷片",
-"Key to Decay":"異界之鑰",
-"Fragment of Terror":"恐懼斷片",
-"Fragment of Emptiness":"空虛斷片",
-"Fragment of Shape":"雕塑斷片",
-"Fragment of Knowledge":"智慧斷片",
-"Maddening Object":"癲狂之境",
-"Al-Hezmin's Crest":"奧赫茲明刻紋",
-"Baran's Crest":"巴倫刻紋",
-"Drox's Crest":"圖拉克斯刻紋",
-"Veritania's Crest":"維羅提尼亞刻紋",
-"Crest of the Elderslayers":"尊師殺手刻紋",
-"Timeless Karui Emblem":"永恆卡魯徽印",
-"Timeless Maraketh Emblem":"永恆馬拉克斯徽印",
-"Timeless Eternal Emblem":"永恆不朽帝國徽印",
-"Timeless Templar Emblem":"永恆聖宗徽印",
-"Timeless Vaal Emblem":"永恆瓦爾徽印",
-"Unrelenting Timeless Karui Emblem":"無情的永恆卡魯徽印",
-"Unrelenting Timeless Maraketh Emblem":"無情的永恆馬拉克斯徽印",
-"Unrelenting Timeless Eternal Emblem":"無情的永恆不朽帝國徽印",
-"Unrelenting Timeless Templar Emblem":"無情的永恆聖宗徽印",
-"Unrelenting Timeless Vaal Emblem":"無情的永恆瓦爾徽印",
-"Simulacrum":"幻像異界",
-"Offering to the Goddess":"女神祭品",
-"Tribute to the Goddess":"女神獻禮",
-"Gift to the Goddess":"女神之贈",
-"Dedication to the Goddess":"女神奉獻",
-"An Audience with the King":"晉見帝王",
-"Blood-filled Vessel":"浸血碑器",
-"Rusted Breach Scarab":"聖甲蟲：鏽蝕裂痕",
-"Polished Breach Scarab":"聖甲蟲：圓滑裂痕",
-"Gilded Breach Scarab":"聖甲蟲：鍍金裂痕",
-"Winged Breach Scarab":"聖甲蟲：展翅裂痕",
-"Rusted Cartography Scarab":"聖甲蟲：鏽蝕製圖",
-"Polished Cartography Scarab":"聖甲蟲：圓滑製圖",
-"Gilded Cartography Scarab":"聖甲蟲：鍍金製圖",
-"Winged Cartography Scarab":"聖甲蟲：展翅製圖",
-"Rusted Reliquary Scarab":"聖甲蟲：鏽蝕聖物",
-"Polished Reliquary Scarab":"聖甲蟲：圓滑聖物",
-"Gilded Reliquary Scarab":"聖甲蟲：鍍金聖物",
-"Winged Reliquary Scarab":"聖甲蟲：展翅聖物",
-"Rusted Bestiary Scarab":"聖甲蟲：鏽蝕獸獵",
-"Polished Bestiary Scarab":"聖甲蟲：圓滑獸獵",
-"Gilded Bestiary Scarab":"聖甲蟲：鍍金獸獵",
-"Winged Bestiary Scarab":"聖甲蟲：展翅獸獵",
-"Farric Lure":"費爾羅誘餌",
-"Saqawine Lure":"斯卡沃誘餌",
-"Fenumal Lure":"菲恩絲誘餌",
-"Craicic Lure":"奎爾珊誘餌",
-"Rusted Shaper Scarab":"聖甲蟲：鏽蝕塑者",
-"Polished Shaper Scarab":"聖甲蟲：圓滑塑者",
-"Gilded Shaper Scarab":"聖甲蟲：鍍金塑者",
-"Winged Shaper Scarab":"聖甲蟲：展翅塑者",
-"Rusted Elder Scarab":"聖甲蟲：鏽蝕尊師",
-"Polished Elder Scarab":"聖甲蟲：圓滑尊師",
-"Gilded Elder Scarab":"聖甲蟲：鍍金尊師",
-"Winged Elder Scarab":"聖甲蟲：展翅尊師",
-"Rusted Sulphite Scarab":"聖甲蟲：鏽蝕硫酸",
-"Polished Sulphite Scarab":"聖甲蟲：圓滑硫酸",
-"Gilded Sulphite Scarab":"聖甲蟲：鍍金硫酸",
-"Winged Sulphite Scarab":"聖甲蟲：展翅硫酸",
-"Rusted Divination Scarab":"聖甲蟲：鏽蝕命運",
-"Polished Divination Scarab":"聖甲蟲：圓滑命運",
-"Gilded Divination Scarab":"聖甲蟲：鍍金命運",
-"Winged Divination Scarab":"聖甲蟲：展翅命運",
-"Rusted Torment Scarab":"聖甲蟲：鏽蝕苦痛",
-"Polished Torment Scarab":"聖甲蟲：圓滑苦痛",
-"Gilded Torment Scarab":"聖甲蟲：鍍金苦痛",
-"Winged Torment Scarab":"聖甲蟲：展翅苦痛",
-"Rusted Ambush Scarab":"聖甲蟲：鏽蝕伏擊",
-"Polished Ambush Scarab":"聖甲蟲：圓滑伏擊",
-"Gilded Ambush Scarab":"聖甲蟲：鍍金伏擊",
-"Winged Ambush Scarab":"聖甲蟲：展翅伏擊",
-"Rusted Harbinger Scarab":"聖甲蟲：鏽蝕神諭",
-"Polished Harbinger Scarab":"聖甲蟲：圓滑神諭",
-"Gilded Harbinger Scarab":"聖甲蟲：鍍金神諭",
-"Winged Harbinger Scarab":"聖甲蟲：展翅神諭",
-"Rusted Expedition Scarab":"聖甲蟲：鏽蝕探險",
-"Polished Expedition Scarab":"聖甲蟲：圓滑探險",
-"Gilded Expedition Scarab":"聖甲蟲：鍍金探險",
-"Winged Expedition Scarab":"聖甲蟲：展翅探險",
-"Rusted Legion Scarab":"聖甲蟲：鏽蝕戰亂",
-"Polished Legion Scarab":"聖甲蟲：圓滑戰亂",
-"Gilded Legion Scarab":"聖甲蟲：鍍金戰亂",
-"Winged Legion Scarab":"聖甲蟲：展翅戰亂",
-"Rusted Metamorph Scarab":"聖甲蟲：鏽蝕鍊魔",
-"Polished Metamorph Scarab":"聖甲蟲：圓滑鍊魔",
-"Gilded Metamorph Scarab":"聖甲蟲：鍍金鍊魔",
-"Winged Metamorph Scarab":"聖甲蟲：展翅鍊魔",
-"Rusted Blight Scarab":"聖甲蟲：鏽蝕凋落",
-"Polished Blight Scarab":"聖甲蟲：圓滑凋落",
-"Gilded Blight Scarab":"聖甲蟲：鍍金凋落",
-"Winged Blight Scarab":"聖甲蟲：展翅凋落",
-"Rusted Abyss Scarab":"聖甲蟲：鏽蝕深淵",
-"Polished Abyss Scarab":"聖甲蟲：圓滑深淵",
-"Gilded Abyss Scarab":"聖甲蟲：鍍金深淵",
-"Winged Abyss Scarab":"聖甲蟲：展翅深淵",
-"The Maven's Writ":"釋界之令",
-"Sacred Blossom":"神聖之花",
-"Cowardly Fate":"怯懦之運",
-"Deadly Fate":"致命之運",
-"Victorious Fate":"勝利之運",
-"Ancient Crisis Fragment":"遠古危機碎片",
-"Faded Crisis Fragment":"褪色危機碎片",
-"Weathered Crisis Fragment":"風化危機碎片",
-"Simulacrum Splinter":"幻像斷片",
-"Breach Splinter":"裂痕裂片",
-"Atmohua's Soul Core of Retreat":"艾特莫華的撤退靈魂核心",
-"Atmohuas Soul Core of Retreat":"艾特莫華的撤退靈魂核心",
-"Glacial Rune":"冰川符文",
-"Storm Rune":"暴風符文",
-"Iron Rune":"鍛鐵符文",
-"Body Rune":"肉體符文",
-"Mind Rune":"心靈符文",
-"Rebirth Rune":"重生符文",
-"Inspiration Rune":"啟發符文",
-"Stone Rune":"岩石符文",
-"Vision Rune":"遠見符文",
-"Lesser Desert Rune":"低階沙漠符文",
-"Lesser Glacial Rune":"低階冰川符文",
-"Lesser Storm Rune":"低階暴風符文",
-"Lesser Iron Rune":"低階鍛鐵符文",
-"Lesser Body Rune":"低階肉體符文",
-"Lesser Mind Rune":"低階心靈符文",
-"Lesser Rebirth Rune":"低階重生符文",
-"Lesser Inspiration Rune":"低階啟發符文",
-"Lesser Stone Rune":"低階岩石符文",
-"Lesser Vision Rune":"低階遠見符文",
-"Greater Desert Rune":"高階沙漠符文",
-"Greater Glacial Rune":"高階冰川符文",
-"Greater Storm Rune":"高階暴風符文",
-"Greater Iron Rune":"高階鍛鐵符文",
-"Greater Body Rune":"高階肉體符文",
-"Greater Mind Rune":"高階心靈符文",
-"Greater Rebirth Rune":"高階重生符文",
-"Greater Inspiration Rune":"高階啟發符文",
-"Greater Stone Rune":"高階岩石符文",
-"Greater Vision Rune":"高階遠見符文",
-"Lesser Robust Rune":"低階堅實符文",
-"Robust Rune":"堅實符文",
-"Greater Robust Rune":"高階堅實符文",
-"Lesser Adept Rune":"低階嫻熟符文",
-"Adept Rune":"嫻熟符文",
-"Greater Adept Rune":"高階嫻熟符文",
-"Lesser Resolve Rune":"低階決心符文",
-"Resolve Rune":"決心符文",
-"Greater Resolve Rune":"高階決心符文",
-"Lesser Tempered Rune":"低階鍛煉符文",
-"Tempered Rune":"鍛煉符文",
-"Greater Tempered Rune":"高階鍛煉符文",
-"Greater Rune of Leadership":"高階領導符文",
-"Greater Rune of Tithing":"高階奉獻符文",
-"Greater Rune of Alacrity":"高階迅捷符文",
-"Greater Rune of Nobility":"高階崇高符文",
-"Hedgewitch Assandra's Rune of Wisdom":"流浪女巫艾珊德菈的智慧符文",
-"Saqawal's Rune of the Sky":"薩卡瓦爾的天空符文",
-"Fenumus' Rune of Agony":"費努姆斯的苦痛符文",
-"Farrul's Rune of Grace":"費爾羅的優雅符文",
-"Farrul's Rune of the Chase":"費爾羅的追擊符文",
-"Craiceann's Rune of Warding":"庫雷席安的守護符文",
-"Saqawal's Rune of Memory":"薩卡瓦爾的記憶符文",
-"Saqawal's Rune of Erosion":"薩卡瓦爾的侵蝕符文",
-"Farrul's Rune of the Hunt":"費爾羅的狩獵符文",
-"Craiceann's Rune of Recovery":"庫雷席安的恢復符文",
-"Courtesan Mannan's Rune of Cruelty":"花魁蔓南的殘酷符文",
-"Thane Grannell's Rune of Mastery":"爵士格蘭內爾的專精符文",
-"Fenumus' Rune of Spinning":"費努姆斯的轉動符文",
-"Countess Seske's Rune of Archery":"伯爵夫人瑟絲可的箭術符文",
-"Thane Girt's Rune of Wildness":"爵士格特的野性符文",
-"Fenumus' Rune of Draining":"費努姆斯的流失符文",
-"Thane Myrk's Rune of Summer":"爵士邁爾克的盛夏符文",
-"Lady Hestra's Rune of Winter":"赫絲緹菈的寒冬符文",
-"Thane Leld's Rune of Spring":"爵士勒爾德的暖春符文",
-"The Greatwolf's Rune of Claws":"巨狼之爪符文",
-"The Greatwolf's Rune of Willpower":"巨狼意志符文",
-"Talisman of Sirrius":"席里斯護符",
-"Talisman of Thruldana":"特盧達納護符",
-"Talisman of Grold":"格羅德護符",
-"Talisman of Eeshta":"義許塔護符",
-"Talisman of Egrin":"埃格林護符",
-"Talisman of Maxarius":"馬薩里斯護符",
-"Talisman of Ralakesh":"萊拉克許護符",
-"Hayoxi's Soul Core of Heatproofing":"哈尤席的隔熱靈魂核心",
-"Zalatl's Soul Core of Insulation":"札拉提的絕緣靈魂核心",
-"Topotante's Soul Core of Dampening":"托波譚提的阻挫靈魂核心",
-"Atmohua's Soul Core of Retreat":"艾特莫華的撤退靈魂核心",
-"Quipolatl's Soul Core of Flow":"克特帕托的流動靈魂核心",
-"Tzamoto's Soul Core of Ferocity":"查莫托的狂暴靈魂核心",
-"Uromoti's Soul Core of Attenuation":"烏洛莫提的消減靈魂核心",
-"Opiloti's Soul Core of Assault":"奧皮洛提的攻擊靈魂核心",
-"Guatelitzi's Soul Core of Endurance":"瓜特利斯的的耐久靈魂核心",
-"Xopec's Soul Core of Power":"柔派克的力量靈魂核心",
-"Estazunti's Soul Core of Convalescence":"亞斯塔祖提的康復靈魂核心",
-"Tacati's Soul Core of Affliction":"提卡蒂的苦痛靈魂核心",
-"Cholotl's Soul Core of War":"裘洛托的戰爭靈魂核心",
-"Citaqualotl's Soul Core of Foulness":"希特克拉多的腐壞靈魂核心",
-"Xipocado's Soul Core of Dominion":"席波卡多的支配靈魂核心",
-"Soul Core of Tacati":"特卡蒂靈魂核心",
-"Soul Core of Opiloti":"歐派理堤靈魂核心",
-"Soul Core of Jiquani":"吉卡尼靈魂核心",
-"Soul Core of Zalatl":"札拉提靈魂核心",
-"Soul Core of Citaqualotl":"希特克拉多靈魂核心",
-"Soul Core of Puhuarte":"普希瓦爾靈魂核心",
-"Soul Core of Tzamoto":"薩摩特靈魂核心",
-"Soul Core of Xopec":"柔派克靈魂核心",
-"Soul Core of Azcapa":"艾斯卡巴靈魂核心",
-"Soul Core of Topotante":"塔普塔特靈魂核心",
-"Soul Core of Quipolatl":"克特帕托靈魂核心",
-"Soul Core of Ticaba":"堤卡巴靈魂核心",
-"Soul Core of Atmohua":"力量靈魂核心",
-"Soul Core of Cholotl":"敏捷靈魂核心",
-"Soul Core of Zantipi":"智慧靈魂核心",
-"Serpent Talisman":"蝮蛇魔符",
-"Primate Talisman":"靈長魔符",
-"Owl Talisman":"夜梟魔符",
-"Cat Talisman":"靈貓魔符",
-"Wolf Talisman":"野狼魔符",
-"Stag Talisman":"雄鹿魔符",
-"Boar Talisman":"野豬魔符",
-"Bear Talisman":"巨熊魔符",
-"Ox Talisman":"公牛魔符",
-"Rabbit Talisman":"狡兔魔符",
-"Fox Talisman":"狐狸魔符",
-"Amanamu's Gaze":"阿姆那姆的邪眼",
-"Tecrod's Gaze":"特克羅德的邪眼",
-"Kurgal's Gaze":"柯戈的邪眼",
-"Ulaman's Gaze":"烏拉曼的邪眼",
-"Warlords Mark":"督軍印記",
-"Assassins Mark":"刺客印記",
-"Poachers Mark":"盜獵者印記",
-"Generals Cry":"將軍戰吼",
-"Battlemages Cry":"戰法戰吼",
-"Alchemists Mark":"煉金術士印記",
-"Guardians Blessing":"守護者的祝福輔助",
-"Warriors Blood":"戰士之血",
-"Adders Touch":"毒蛇之觸",
-"Hunters Gambit":"獵人之局",
-"Razors Edge":"剃刃",
-"Arcanists Dominion":"奧術師之統御",
-"Thiefs Craft":"盜賊工藝",
-"Golems Blood":"魔像血統 ",
-"Shamans Dominion":"薩滿領地",
-"Arohongui Moons Presence":"月使．亞歐紅古",
-"Ngamahu Flames Advance":"火徒．拿瑪乎",
-"Hinekora Deaths Fury":"死之狂怒．悉妮蔻拉",
-"Tukohama Wars Herald":"戰爭使者．圖克哈瑪",
-"Tawhoa Forests Strength":"森林之力．塔赫亞",
-"Ramako Suns Light":"烈陽之光．雷默科",
-"Valako Storms Embrace":"風暴之擁．瓦拉庫",
-"Natures Adrenaline":"大自然的腎上腺素",
-"Natures Boon":"自然的恩賜",
-"Natures Reprisal":"大自然的報仇",
-"Gladiators Perseverance":"衛士之毅",
-"Blacksmiths Clout":"鐵匠之擊",
-"Gladiators Fortitude":"衛士的毅力",
-"Menders Wellspring":"治癒湧泉",
-"Storms Hand":"風暴之手",
-"Doryanis Lesson":"多里亞尼的教程",
-"Doedres Spite":"德瑞的怨恨",
-"Hounds Mark":"獵犬印記",
-"Doedres Gluttony":"德瑞的暴食",
-"Doedres Apathy":"德瑞的冷漠",
-"Molten Ones Mark":"熔火之印",
-"Winters Embrace":"寒冬之擁",
-"Natures Concoction":"自然調劑",
-"Warlords Call":"督軍的呼喚",
-"Veterans Wrath":"老兵的暴怒",
-"Sione Suns Roar":"烈日怒吼．西奧妮",
-"Mothers Teachings":"母親的教誨",
-"Siones Ambition":"西奧妮的野心",
-"Generals Bindings":"將軍的束縛",
-"Defenders Resolve":"防衛者決意",
-"Titans Determination":"泰坦決意",
-"Hunters Talisman":"狩獵者巫符",
-"Cats Paw":"貓爪刃",
-"Tigers Paw":"虎爪刃",
-"Hellions Paw":"魔爪刃",
-"Goats Horn":"羊角法杖",
-"Fauns Horn":"獸角法杖",
-"Demons Horn":"魔角法杖",
-"Charans Sword":"查蘭之劍",
-"Headmans Sword":"行刑巨劍",
-"Tyrants Sekhem":"暴君之統",
-"Cybils Paw":"希比爾的冰爪",
-"Binos Kitchen Knife":"比諾的廚刀",
-"Ungils Gauche":"恩吉爾的叉刃",
-"Mon'treguls Grasp":"凋靈魔爪",
-"Nyctas Lantern":"奈可妲之燈",
-"Doryanis Catalyst":"多里亞尼的幻化之杖",
-"Atziris Disfavour":"阿茲里的刑刃",
-"Kaoms Primacy":"岡姆的霸業",
-"Reapers Pursuit":"死神的取魂器",
-"Geofris Baptism":"吉爾菲的淨罪之錘",
-"Kongors Undying Rage":"康戈的戰炎",
-"Oros Sacrifice":"歐羅的貢品",
-"Queens Decree":"威嚴之刃",
-"Rigwalds Charge":"瑞佛的奮戰長劍",
-"Hyaons Fury":"海昂的狂怒",
-"Piscators Vigil":"皮斯卡托的慧眼",
-"Apeps Rage":"艾普之怒",
-"Hegemonys Era":"霸權時代",
-"Nulls Inclination":"虛無之傾",
-"Laviangas Wisdom":"拉維安加的智慧",
-"Lakishus Blade":"拉奇許之刃",
-"Moonbenders Wing":"月嵐",
-"Abberaths Horn":"艾貝拉斯之角",
-"Deaths Hand":"死神之手",
-"Barteks Finger":"巴特克的魔指",
-"Jorrhasts Blacksteel":"喬赫黑鋼",
-"Camerias Maul":"卡美利亞之錘",
-"Izaros Dilemma":"伊澤洛之謎",
-"Hezmanas Bloodlust":"嗜血黑茲瑪娜",
-"Roths Reach":"蘿絲之觸",
-"Rigwalds Savagery":"野性瑞佛",
-"Rigwalds Command":"瑞佛統帥",
-"Daressos Passion":"德瑞索的熱情",
-"Nuros Harp":"努羅的豎琴",
-"Xirgils Crank":"舍吉的手柄",
-"Deaths Opus":"死亡之作",
-"Doomfletchs Prism":"滅世之獄",
-"Hrimnors Dirge":"雷姆諾的輓歌",
-"Queens Escape":"逃亡女王",
-"Ewars Mirage":"伊沃幻像",
-"Kondos Pride":"剛多的虛榮",
-"Cospris Malice":"卡斯普里的怨恨",
-"Xophs Nurture":"索伏的愛撫",
-"Ngamahus Flame":"里特拿馬乎",
-"Xophs Inception":"索伏的始源",
-"Uul-Netols Kiss":"烏爾尼多之吻",
-"Uul-Netols Embrace":"烏爾尼多的擁抱",
-"Arakaalis Fang":"艾爾卡莉之牙",
-"Kitavas Feast":"奇塔弗之盛宴",
-"Ahns Might":"漢恩的期許",
-"Debeons Dirge":"狄恩的輓歌",
-"Gallas Riposte":"加拉的突刺刃",
-"The Poets Pen":"學富之筆",
-"Camerias Avarice":"卡美利亞的貪婪",
-"Geofris Devotion":"吉爾菲的奉獻",
-"Earendels Embrace":"伊爾多恩的擁抱",
-"Sinvictas Mettle":"辛維塔之毅",
-"Witchhunters Judgment":"獵巫者的審判",
-"Replica Ungils Gauche":"贗品．恩吉爾的叉刃",
-"Replica Earendels Embrace":"贗品．伊爾多恩的擁抱",
-"Replica Oros Sacrifice":"贗品．歐羅的貢品",
-"Replica Kongors Undying Rage":"贗品．康戈的戰炎",
-"Demigods Authority":"半神權威",
-"Atziris Rule":"阿茲里的統御",
-"Yaomacs Accord":"堯馬克之權",
-"Rorys Revengance":"羅里的復仇之途",
-"Mark2s Mastery":"馬克的精銳戰意",
-"Robbies Rotten Mace":"羅比的腐敗釘錘",
-"Carls Crusher":"卡爾的破壞者",
-"Maligaros Etcher":"馬雷葛蘿的刻具",
-"Maatas Teaching":"瑪塔的教導",
-"Rakiatas Dance":"萊基亞塔的舞步",
-"Serles Masterwork":"瑟雷的傑作",
-"Tawhoas Felling":"塔赫亞的殞落",
-"Winters Bite":"寒冬嚙蝕",
-"Dealers Hand":"商人之手",
-"Rheas Rhythm":"蕾亞的旋律",
-"Thiefs Trinket":"盜賊飾品",
-"Atziris Foible":"阿茲里聖徽",
-"Zerphis Heart":"澤佛伊之心",
-"Replica Atziris Foible":"贗品．阿茲里聖徽",
-"Xophs Heart":"索伏之心",
-"Rashkaldors Patience":"拉什卡德的耐心",
-"Hyrris Truth":"西里的真理",
-"Replica Hyrris Truth":"贗品．西里的真理",
-"Marylenes Fallacy":"瑪莉琳的護體之符",
-"Doedres Tongue":"德瑞的毒舌",
-"Demigods Presence":"昇華之印",
-"Biscos Collar":"畢斯寇的項圈",
-"Perquils Toe":"珀奎爾的指頭",
-"Hinekoras Sight":"悉妮蔻拉之眼",
-"Auls Uprising":"奧爾的崛起",
-"Malachais Brilliance":"瑪拉凱的聰慧",
-"Leaderships Price":"領導力的代價",
-"Victarios Acuity":"維多里奧的捷思",
-"Maligaros Cruelty":"馬雷葛蘿的殘暴",
-"Volls Devotion":"福爾的忠誠之符",
-"Shapers Seed":"塑界者之籽",
-"Daressos Salute":"德瑞索的戰禮",
-"Uul-Netols Vow":"烏爾尼多之誓",
-"Nights Hold":"夜守",
-"Rigwalds Curse":"瑞佛詛咒",
-"Demigods Eye":"昇華之眼",
-"The Wardens Brand":"獄使之印",
-"Kaoms Sign":"岡姆的遠見",
-"Sibyls Lament":"希比爾之嘆",
-"Kaoms Way":"岡姆之路",
-"Replica Doedres Damning":"贗品．德瑞的魔具",
-"Valakos Sign":"瓦拉庫之印",
-"Putembos Valley":"普坦堡的峽谷",
-"Putembos Mountain":"普坦堡的山巒",
-"Putembos Meadow":"普坦堡的草原",
-"Precursors Emblem":"先引之征",
-"Ungilss Coil":"恩吉爾的指環",
-"Tasalios Sign":"塔薩里之印",
-"Uzazas Meadow":"尤莎莎的草原",
-"Uzazas Mountain":"尤莎莎的山巒",
-"Uzazas Valley":"尤莎莎的峽谷",
-"Replica Tasalios Sign":"贗品．塔薩里之印",
-"Mokous Embrace":"莫考之擁",
-"Ngamahus Sign":"拿瑪乎之印",
-"Ahkelis Mountain":"阿卡莉的山巒",
-"Ahkelis Meadow":"阿卡莉的草原",
-"Ahkelis Valley":"阿卡莉的峽谷",
-"Warriors Legacy":"戰士遺物",
-"Loris Lantern":"羅里的幸運之燈",
-"Shavronnes Revelation":"薛朗的啟示之環",
-"Romiras Banquet":"羅米拉的潛力之環",
-"Bereks Respite":"貝雷克的火與雷之樂",
-"Bereks Grip":"貝雷克的冰與雷之曲",
-"Bereks Pass":"貝雷克的冰與火之歌",
-"Rigwalds Crest":"瑞佛之冠",
-"Malachais Artifice":"瑪拉凱的巧技",
-"Anglers Plait":"漁夫之辮",
-"Replica Malachais Artifice":"贗品．瑪拉凱的巧技",
-"Maligaros Restraint":"馬雷葛蘿的染血之環",
-"Cowards Chains":"懦夫的鎖鏈",
-"Wurms Molt":"龍蛻之帶",
-"Bears Girdle":"熊之束",
-"Doryanis Invitation":"多里亞尼之約",
-"Biscos Leash":"畢斯寇繫帶",
-"Mothers Embrace":"母親的擁抱",
-"Survivors Guilt":"倖存者的原罪",
-"The Torrents Reclamation":"奔流之開拓",
-"Arns Anguish":"昂恩的煩惱",
-"Olesyas Delight":"奧莉西亞的喜悅",
-"Gravens Secret":"格雷文的秘密",
-"Demigods Bounty":"昇華珍寶",
-"Ikiahos Promise":"伊基亞呼的承諾",
-"Replica Dragonfangs Flight":"贗品．龍牙翱翔",
-"Tawhanukus Timing":"塔瓦努庫的時機",
-"Kaoms Binding":"岡姆的束縛",
-"Replica Hinekoras Sight":"贗品．悉妮蔻拉之眼",
-"Ixchels Temptation":"薩雷許的誘惑",
-"Yndas Stand":"英達的小販",
-"Assassins Mitts":"刺殺者護手",
-"Apothecarys Gloves":"靈藥手套",
-"Kaoms Greaves":"岡姆脛甲",
-"Assassins Boots":"刺殺者之靴",
-"Kaoms Plate":"岡姆的重鎧",
-"Thiefs Garb":"竊賊之裝",
-"Cutthroats Garb":"殘殺者之裝",
-"Assassins Garb":"刺殺者之裝",
-"Scholars Robe":"學者之袍",
-"Mages Vestment":"博學長衣",
-"Sages Robe":"賢者之袍",
-"Conjurers Vestment":"咒者長衣",
-"Savants Robe":"智者之袍",
-"Occultists Vestment":"秘術長衣",
-"Soldiers Brigandine":"戰士鎖甲",
-"Commanders Brigandine":"指揮者鎖甲",
-"Generals Brigandine":"將軍鎧甲",
-"Saints Hauberk":"聖者鏈甲",
-"Ambus Charge":"安姆布的戰甲",
-"Bronns Lithe":"布隆的影衣",
-"Daressos Defiance":"德瑞索的衛衣",
-"Deaths Oath":"冥使之體",
-"Shavronnes Wrappings":"薛朗的護身長袍",
-"Alberons Warpath":"阿爾貝隆的征途",
-"Atziris Step":"阿茲里的金履",
-"Demigods Stride":"昇華之途",
-"Lioneyes Paws":"獅眼的鬥志",
-"Victarios Flight":"維多里奧的飛昇",
-"Shavronnes Pace":"薛朗的秘術長靴",
-"Asenaths Gentle Touch":"安賽娜絲的安撫之語",
-"Demigods Touch":"昇華之指",
-"Meginords Vise":"梅吉諾德的巨力腕甲",
-"Ondars Clasp":"恩德的迅影",
-"Sadimas Touch":"獵寶者的護手",
-"Asenaths Mark":"安賽娜絲的迅敏之冠",
-"Demigods Triumph":"昇華之冠",
-"Devotos Devotion":"德沃托的信念之盔",
-"Geofris Crest":"吉爾菲的榮光",
-"Hrimnors Resolve":"雷姆諾的豪情",
-"Malachais Simula":"瑪拉凱的祭具",
-"Rats Nest":"鼠巢",
-"Atziris Splendour":"阿茲里的威權",
-"Kaoms Roots":"岡姆的穩重之靴",
-"Gangs Momentum":"剛勇",
-"Cherrubims Maleficence":"薛魯賓的惡作劇",
-"Nomics Storm":"諾米克的風暴",
-"Lioneyes Vision":"獅眼的視線",
-"Doedres Scorn":"德瑞的蔑視",
-"Deadmans Hand":"枯萎之手",
-"Vizarus Folly":"維札盧的不堪往事",
-"Kalisas Grace":"卡莉莎的優雅之影",
-"Dewaths Hide":"德瓦斯的匿蹤",
-"Doryanis Fist":"多里亞尼之拳",
-"Victarios Influence":"維多里奧之絕響",
-"Ylfebans Trickery":"伊芙班的詭計",
-"Demigods Dominance":"昇華統御",
-"Geofris Sanctuary":"吉爾菲的聖殿",
-"Heretics Veil":"異教面紗",
-"Vipers Scales":"毒蛇之度",
-"Verusos Battering Rams":"維盧梭攻城槌",
-"Cospris Will":"卡斯普里意志",
-"Shavronnes Gambit":"薛朗的詭計",
-"Martyrs Crown":"烈士之冠",
-"Deaths Door":"死亡大門",
-"Kitavas Thirst":"奇塔弗之渴望",
-"Shapers Touch":"塑者之觸",
-"Volls Vision":"福爾的遠見",
-"Malachais Vision":"瑪拉凱的遠見",
-"Gruthkuls Pelt":"葛魯斯寇真皮",
-"Abberaths Hooves":"艾貝拉斯之蹄",
-"Garukhans Flight":"卡洛翰之影",
-"Ahns Contempt":"漢恩的蔑視",
-"Prosperos Vault":"普洛斯彼羅金庫",
-"Speakers Wreath":"預言家桂冠",
-"Inyas Epiphany":"茵雅的頓悟",
-"Volkuurs Guidance":"福庫爾的指引",
-"Ebers Unification":"希伯的統治",
-"The Tempests Binding":"風暴的拘束",
-"Diallas Malefaction":"達拉的罪刑",
-"Malachais Mark":"瑪拉凱之面",
-"Inpulsas Broken Heart":"印卜薩的心碎",
-"Doedres Skin":"德瑞之膚",
-"Ralakeshs Impatience":"芮勒蓋許的急躁",
-"Blasphemers Grasp":"褻瀆者之握",
-"Craiceanns Chitin":"奎爾珊畸面",
-"Craiceanns Pincers":"奎爾珊堅鉗",
-"Craiceanns Tracks":"奎爾珊之跡",
-"Craiceanns Carapace":"奎爾珊硬甲",
-"Foxs Fortune":"狐毛之富",
-"Gorgons Gaze":"戈耳戈的凝視",
-"Doedres Malevolence":"德瑞的惡意",
-"Farruls Fur":"費爾羅羽衣",
-"Saqawals Winds":"斯卡沃之翼",
-"Farruls Bite":"費爾羅咥喙",
-"Farruls Pounce":"費爾羅鋒爪",
-"Farruls Chase":"費爾羅獵靴",
-"Saqawals Nest":"斯卡沃之巢",
-"Saqawals Talons":"斯卡沃鷹爪",
-"Saqawals Flock":"斯卡沃之徒",
-"Malachais Awakening":"瑪拉凱的覺醒",
-"Asenaths Chant":"安賽娜絲的歌頌",
-"Meginords Vigour":"梅吉諾德的朝氣",
-"Slavedrivers Hand":"奴役之手",
-"Architects Hand":"構築之手",
-"Doryanis Delusion":"多里亞尼的幻想",
-"Geofris Legacy":"吉爾菲的遺產",
-"Ullrs Advent":"烏勒爾之誕",
-"The Queens Hunger":"女王的渴望",
-"Storms Gift":"風暴之贈",
-"Vixens Entrapment":"雌狐的圈套",
-"Demigods Immortality":"昇華不朽",
-"Aukunas Will":"奧庫納之意",
-"Great Old Ones Tentacles":"偉大老者之觸",
-"The Tempests Liberation":"暴雨之解放",
-"Usurpers Penance":"篡位者的懺悔",
-"Replica Lioneyes Paws":"贗品．獅眼的鬥志",
-"Replica Atziris Acuity":"贗品．阿茲里的捷思",
-"Replica Kalisas Grace":"贗品．卡莉莎的優雅之影",
-"Replica Ambus Charge":"贗品．安姆布的戰甲",
-"Replica Kaoms Heart":"贗品．岡姆的壯志",
-"Expeditions End":"遠征之盡",
-"Replica Alphas Howl":"贗品．極地之嗥",
-"Replica Farruls Fur":"贗品．費爾羅羽衣",
-"Replica Alberons Warpath":"贗品．阿爾貝隆的征途",
-"Replica Volkuurs Guidance":"贗品．福庫爾的指引",
-"Replica Inyas Epiphany":"贗品．茵雅的頓悟",
-"Mercenarys Lot":"僱用兵之命",
-"Viridis Veil":"維里迪的薄紗",
-"Cadigans Crown":"卡迪根皇冠",
-"Medveds Challenge":"梅德偉的挑戰",
-"Voranas March":"沃拉娜的軍隊",
-"Olroths Charge":"奧爾羅斯的衝刺",
-"Kaoms Spirit":"岡姆之魂",
-"Annihilations Approach":"殲滅的方法",
-"Wilmas Requital":"威爾瑪的報復",
-"El'Abins Visage":"伊蘭雅本的面紗",
-"Orbalas Stand":"奧爾巴拉的姿態",
-"Kahuturoas Certainty":"卡胡圖羅亞的確信",
-"Utulas Hunger":"烏圖拉的飢餓",
-"Akoyas Gaze":"艾古亞的凝視",
-"The Tricksters Smile":"戲法師的微笑",
-"Replica Hyrris Ire":"贗品．西里的戰衣",
-"Verusos Ambition":"維盧梭的野心",
-"Syndicates Garb":"密教束衣",
-"Marshalls Brigandine":"元帥鎧甲",
-"Paladins Hauberk":"聖騎士長甲",
-"Generals Helmet":"將軍的頭盔",
-"Conquerors Helmet":"征服者的頭盔",
-"Lichs Circlet":"巫妖之冠",
-"Torturers Mask":"刑求面具",
-"Admirals Arrogance":"將軍的傲慢",
-"Kaoms Command":"岡姆的命令",
-"Scouts Vest":"斥侯背心",
-"Hexers Robe":"咒術師長袍",
-"Scalpers Jacket":"投機者外衣",
-"Advanced Scouts Vest":"進階斥侯背心",
-"Advanced Hexers Robe":"進階咒術師長袍",
-"Advanced Scalpers Jacket":"進階投機者外衣",
-"Expert Hexers Robe":"專家咒術師長袍",
-"Expert Scalpers Jacket":"專家投機者外衣",
-"Vampires Might":"吸血鬼的力量",
-"Atziris Reign":"阿茲里之權",
-"Warlords Reach":"督軍之力",
-"Conquerors Efficiency":"征服者的迅捷",
-"Zerphis Youth":"澤佛伊的青春",
-"Izaros Turmoil":"伊澤洛之亂",
-"Emperors Might":"帝王的霸權",
-"Underdogs Fury":"犧牲者怒息",
-"Replica Conquerors Efficiency":"贗品．征服者的迅捷",
-"Lioneyes Fall":"獅眼的隕落",
-"Poachers Aim":"盜獵者的準心",
-"Conquerors Longevity":"征服者的長生",
-"Emperors Cunning":"帝王的詭計",
-"Assassins Haste":"刺殺者迷影",
-"Conquerors Potency":"征服者的力量",
-"Winters Bounty":"冬季賞金",
-"Emperors Wit":"帝王的智慧",
-"Souls Wick":"魂靈之芯",
-"Emperors Mastery":"帝王的純熟",
-"Watchers Eye":"看守之眼",
-"Kitavas Teachings":"奇塔弗的教學",
-"Tecrods Gaze":"特克羅德的邪眼",
-"Ulamans Gaze":"烏拉曼的邪眼",
-"Kurgals Gaze":"柯戈的邪眼",
-"Amanamus Gaze":"阿姆那姆的邪眼",
-"Warriors Tale":"戰士的故事",
-"Aliras Deadeye":"阿莉亞的穿心之弓",
-"Kaoms Chosen":"岡姆的精兵",
-"Kitavas Herald":"奇塔弗的先鋒",
-"Kraityns Sentry":"克雷頓的偵查兵",
-"Merveils Attendant":"莫薇兒的侍女",
-"Merveils Blessed":"莫薇兒的寵愛",
-"Merveils Chosen":"海妖愛女",
-"Merveils Retainer":"海妖之僕",
-"Oaks Devoted":"歐克的支持者",
-"Tukohamas Vanguard":"圖克哈瑪的先鋒",
-"Cursespeakers Robe":"詛咒語者長袍",
-"Adherents Raiment":"信徒之衣",
-"Hawkers Jacket":"飼鷹者外衣",
-"Falconers Jacket":"訓鷹者外衣",
-"Farruls Rune of the Chase":"費爾羅的追擊符文",
-"Countess Seskes Rune of Archery":"伯爵夫人瑟絲可的箭術符文",
-"Blacksmiths Whetstone":"磨刀石",
-"Arcanists Etcher":"奧術蝕刻師",
-"Armourers Scrap":"護甲片",
-"Glassblowers Bauble":"玻璃彈珠",
-"Gemcutters Prism":"寶石匠的稜鏡",
-"Lesser Jewellers Orb":"低階工匠石",
-"Greater Jewellers Orb":"高階工匠石",
-"Perfect Jewellers Orb":"完美工匠石",
-"Artificers Orb":"巧匠石",
-"Artificers Shard":"工匠碎片",
-"Uul-Netols Catalyst":"物理催化劑",
-"Xophs Catalyst":"火焰催化劑",
-"Tuls Catalyst":"冰冷催化劑",
-"Eshs Catalyst":"閃電催化劑",
-"Chayulas Catalyst":"混沌催化劑",
-"Hinekoras Lock":"悉妮蔻拉的髮絲",
-"Kulemaks Invitation":"骷髏馬克的誘惑",
-"Xeshts Reliquary Key":"烈許的寶庫鑰匙",
-"The Trialmasters Reliquary Key":"試煉大師的寶庫鑰匙",
-"Tangmazus Reliquary Key":"湯馬祖的寶庫鑰匙",
-"Olroths Reliquary Key":"奧爾羅斯的寶庫鑰匙",
-"The Arbiters Reliquary Key":"仲裁者的寶庫鑰匙",
-"Zarokhs Reliquary Key":"澤洛克的寶庫鑰匙",
-"Zarokhs Reliquary Key: Against the Darkness":"澤洛克的寶庫鑰匙：力抗黑暗",
-"Zarokhs Reliquary Key: Sandstorm Visage":"澤洛克的寶庫鑰匙：沙瀑面紗",
-"Zarokhs Reliquary Key: Blessed Bonds":"澤洛克的寶庫鑰匙：祝福之絆",
-"Zarokhs Reliquary Key: Sekhemas Resolve":"澤洛克的寶庫鑰匙：絲克瑪的決意",
-"Zarokhs Reliquary Key: Temporalis":"澤洛克的寶庫鑰匙：時空之物",
-"Ebers Key":"希伯之鑰",
-"Yriels Key":"伊瑞之鑰",
-"Inyas Key":"茵雅之鑰",
-"Volkuurs Key":"福庫爾之鑰",
-"Al-Hezmins Crest":"奧赫茲明刻紋",
-"Barans Crest":"巴倫刻紋",
-"Droxs Crest":"圖拉克斯刻紋",
-"Veritanias Crest":"維羅提尼亞刻紋",
-"The Mavens Writ":"釋界之令",
-"Atmohuas Soul Core of Retreat":"艾特莫華的撤退靈魂核心",
-"Hedgewitch Assandras Rune of Wisdom":"流浪女巫艾珊德菈的智慧符文",
-"Saqawals Rune of the Sky":"薩卡瓦爾的天空符文",
-"Farruls Rune of Grace":"費爾羅的優雅符文",
-"Farruls Rune of the Chase":"費爾羅的追擊符文",
-"Craiceanns Rune of Warding":"庫雷席安的守護符文",
-"Saqawals Rune of Memory":"薩卡瓦爾的記憶符文",
-"Saqawals Rune of Erosion":"薩卡瓦爾的侵蝕符文",
-"Farruls Rune of the Hunt":"費爾羅的狩獵符文",
-"Craiceanns Rune of Recovery":"庫雷席安的恢復符文",
-"Courtesan Mannans Rune of Cruelty":"花魁蔓南的殘酷符文",
-"Thane Grannells Rune of Mastery":"爵士格蘭內爾的專精符文",
-"Countess Seskes Rune of Archery":"伯爵夫人瑟絲可的箭術符文",
-"Thane Girts Rune of Wildness":"爵士格特的野性符文",
-"Thane Myrks Rune of Summer":"爵士邁爾克的盛夏符文",
-"Lady Hestras Rune of Winter":"赫絲緹菈的寒冬符文",
-"Thane Lelds Rune of Spring":"爵士勒爾德的暖春符文",
-"The Greatwolfs Rune of Claws":"巨狼之爪符文",
-"The Greatwolfs Rune of Willpower":"巨狼意志符文",
-"Hayoxis Soul Core of Heatproofing":"哈尤席的隔熱靈魂核心",
-"Zalatls Soul Core of Insulation":"札拉提的絕緣靈魂核心",
-"Topotantes Soul Core of Dampening":"托波譚提的阻挫靈魂核心",
-"Atmohuas Soul Core of Retreat":"艾特莫華的撤退靈魂核心",
-"Quipolatls Soul Core of Flow":"克特帕托的流動靈魂核心",
-"Tzamotos Soul Core of Ferocity":"查莫托的狂暴靈魂核心",
-"Uromotis Soul Core of Attenuation":"烏洛莫提的消減靈魂核心",
-"Opilotis Soul Core of Assault":"奧皮洛提的攻擊靈魂核心",
-"Guatelitzis Soul Core of Endurance":"瓜特利斯的的耐久靈魂核心",
-"Xopecs Soul Core of Power":"柔派克的力量靈魂核心",
-"Estazuntis Soul Core of Convalescence":"亞斯塔祖提的康復靈魂核心",
-"Tacatis Soul Core of Affliction":"提卡蒂的苦痛靈魂核心",
-"Cholotls Soul Core of War":"裘洛托的戰爭靈魂核心",
-"Citaqualotls Soul Core of Foulness":"希特克拉多的腐壞靈魂核心",
-"Xipocados Soul Core of Dominion":"席波卡多的支配靈魂核心",
-"Amanamus Gaze":"阿姆那姆的邪眼",
-"Tecrods Gaze":"特克羅德的邪眼",
-"Kurgals Gaze":"柯戈的邪眼",
-"Ulamans Gaze":"烏拉曼的邪眼",
-"Abyss Precursor Tablet":"深淵先行者碑牌",
-"Alpha Talisman":"統領魔符",
-"Ancient Infuser":"遠古灌注器",
-"Architect's Orb":"策匠石",
-"Architects Orb":"策匠石",
-"Ashbark Talisman":"燼木魔符",
-"Changeling Talisman":"變形魔符",
-"Cinderbark Talisman":"灰樹皮魔符",
-"Citaqualotl's Thesis":"希特克拉多的假說",
-"Citaqualotls Thesis":"希特克拉多的假說",
-"Condemned Talisman":"譴責魔符",
-"Core Destabiliser":"核心擾亂器",
-"Cruel Talisman":"殘酷魔符",
-"Crystallised Corruption":"結晶腐化",
-"Familial Talisman":"家族魔符",
-"Fang Talisman":"銳爪魔符",
-"Frenzied Talisman":"狂亂魔符",
-"Fungal Talisman":"真菌魔符",
-"Fury Talisman":"怒火魔符",
-"Guardian Spear":"衛者長矛",
-"Guatelitzi's Thesis":"瓜特利斯的假說",
-"Guatelitzis Thesis":"瓜特利斯的假說",
-"Howling Talisman":"狂嚎魔符",
-"Jade Talisman":"翠玉魔符",
-"Jiquani's Thesis":"吉卡尼的假說",
-"Jiquanis Thesis":"吉卡尼的假說",
-"Lumbering Talisman":"笨重魔符",
-"Maji Talisman":"聖賢魔符",
-"Nettle Talisman":"蕁麻魔符",
-"Orb of Extraction":"萃取石",
-"Orb of Extraction":"萃取石",
-"Primal Talisman":"原始魔符",
-"Quipolatl's Thesis":"克特帕托的假說",
-"Quipolatls Thesis":"克特帕托的假說",
-"Rabid Talisman":"狂暴魔符",
-"Reflecting Staff":"映像之杖",
-"Roaring Talisman":"咆哮魔符",
-"Sacrificial Regalia":"獻祭法衣",
-"Skullcrusher Quarterstaff":"碎顱細杖",
-"Soaring Spear":"翱翔長矛",
-"Spiny Talisman":"尖錐魔符",
-"Thunder Talisman":"天雷魔符",
-"Vaal Cultivation Orb":"瓦爾栽培寶珠",
-"Vaal Infuser":"瓦爾灌注器",
-"Vaal Siphoner":"瓦爾虹吸器",
-"Vicious Talisman":"惡毒魔符",
-"Voltfang Talisman":"伏特之牙魔符",
-"Wildwood Talisman":"荒林魔符",
-"Wingbeat Talisman":"振翼魔符",
-
-};
\ No newline at end of file
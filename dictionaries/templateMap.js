@@ -1,2723 +0,0 @@
-window.templateMap = {
-  "# to maximum Mana":"# 最大魔力",
-  "# to maximum Life":"# 最大生命",
-  "#% to Cold Resistance":"#% 冰冷抗性",
-  "#% to Lightning Resistance":"#% 閃電抗性",
-  "#% to Fire Resistance":"#% 火焰抗性",
-  "# to Intelligence":"# 智慧",
-  "#% increased Rarity of Items found":"增加 #% 物品稀有度",
-  "# to Dexterity":"# 敏捷",
-  "# to Strength":"# 力量",
-  "# Life Regeneration per second":"# 每秒生命回復",
-  "#% increased Mana Regeneration Rate":"增加 #% 魔力回復率",
-  "# to Accuracy Rating":"# 點命中",
-  "#% increased Spell Damage":"增加 #% 法術傷害",
-  "Adds # to # Physical Damage to Attacks":"攻擊附加 # 至 # 物理傷害",
-  "# to maximum Energy Shield (Local)":"# 最大能量護盾 (部分)",
-  "#% increased Energy Shield":"增加 #% 能量護盾",
-  "#% increased Cast Speed":"增加 #% 施放速度",
-  "Gain # Mana per Enemy Killed":"每個被擊殺的敵人獲得 # 魔力",
-  "Gain # Life per Enemy Killed":"每個被擊殺的敵人獲得 # 生命",
-  "# to Stun Threshold":"暈眩門檻 #",
-  "#% increased Attribute Requirements":"增加 #% 能力值需求",
-  "#% to all Elemental Resistances":"#% 全部元素抗性",
-  "#% increased Physical Damage":"增加 #% 物理傷害",
-  "#% to Chaos Resistance":"#% 混沌抗性",
-  "# to Spirit":"# 精魂",
-  "Adds # to # Lightning damage to Attacks":"攻擊附加 # 至 # 閃電傷害",
-  "# to Evasion Rating (Local)":"# 點閃避值 (部分)",
-  "#% increased Movement Speed":"增加 #% 移動速度",
-  "# to Accuracy Rating (Local)":"# 點命中 (部分)",
-  "#% increased maximum Energy Shield":"增加 #% 最大能量護盾",
-  "Adds # to # Cold damage to Attacks":"攻擊附加 # 至 # 冰冷傷害",
-  "#% increased Evasion Rating (Local)":"增加 #% 閃避值 (部分)",
-  "Adds # to # Fire damage to Attacks":"攻擊附加 # 至 # 火焰傷害",
-  "# to Evasion Rating":"# 點閃避值",
-  "#% increased Lightning Damage":"增加 #% 閃電傷害",
-  "#% increased Light Radius":"增加 #% 照亮範圍",
-  "# to maximum Energy Shield":"# 最大能量護盾",
-  "#% increased Critical Hit Chance":"增加 #% 暴擊率",
-  "Adds # to # Physical Damage":"附加 # 至 # 物理傷害",
-  "#% increased Cold Damage":"增加 #% 冰冷傷害",
-  "#% increased Evasion Rating":"增加 #% 閃避值",
-  "# to Armour (Local)":"# 點護甲 (部分)",
-  "# to all Attributes":"# 全能力",
-  "#% increased Evasion and Energy Shield":"增加 #% 閃避與能量護盾",
-  "Adds # to # Lightning Damage":"附加 # 至 # 閃電傷害",
-  "#% increased Armour (Local)":"增加 #% 護甲 (部分)",
-  "#% increased Armour":"增加 #% 護甲",
-  "#% increased Fire Damage":"增加 #% 火焰傷害",
-  "#% increased Critical Damage Bonus":"暴擊傷害加成增加 #%",
-  "# to # Physical Thorns damage":"# 至 # 點物理荊棘傷害",
-  "#% increased Chaos Damage":"增加 #% 混沌傷害",
-  "#% increased Armour and Evasion":"增加 #% 護甲與閃避",
-  "#% increased Armour and Energy Shield":"增加 #% 護甲與能量護盾",
-  "Adds # to # Fire Damage":"附加 # 至 # 火焰傷害",
-  "#% increased Rarity of Items found in this Area":"增加 #% 你地圖中掉落物品的稀有度",
-  "#% increased Rarity of Items found in your Maps":"增加 #% 你地圖中掉落物品的稀有度",
-  "#% increased Attack Speed (Local)":"增加 #% 攻擊速度 (部分)",
-  "Adds # to # Cold Damage":"附加 # 至 # 冰冷傷害",
-  "#% increased Magic Monsters":"在你的地圖中魔法怪物增加 #%",
-  "#% increased Magic Monsters in your Maps":"在你的地圖中魔法怪物增加 #%",
-  "#% increased number of Rare Monsters":"在你的地圖中稀有怪物增加 #%",
-  "#% increased Rare Monsters in your Maps":"在你的地圖中稀有怪物增加 #%",
-  "#% increased Critical Hit Chance for Spells":"增加 #% 法術暴擊率",
-  "#% increased Attack Speed":"增加 #% 攻擊速度",
-  "# to Level of all Projectile Skills":"所有投射物技能的等級 #",
-  "+# to Level of all Projectile Skills":"所有投射物技能的等級 #",
-  "#% to Critical Hit Chance":"#% 暴擊率",
-  "#% increased chance to Ignite":"增加 #% 點燃機率",
-  "# to Level of all Melee Skills":"所有近戰技能的等級 #",
-  "# to Level of all Minion Skills":"全部召喚物技能寶石 # 等級",
-  "Leech #% of Physical Attack Damage as Life":"#% 的物理攻擊傷害偷取生命",
-  "Leech #% of Physical Attack Damage as Mana":"#% 物理攻擊傷害偷取魔力",
-  "#% increased Critical Spell Damage Bonus":"暴擊法術傷害加成增加 #%",
-  "#% increased Elemental Damage":"增加 #% 元素傷害",
-  "#% increased Quantity of Items found in this Area":"增加 #% 此你的地圖物品掉落數量",
-  "#% increased Quantity of Items found in your Maps":"增加 #% 此你的地圖物品掉落數量",
-  "#% to Critical Damage Bonus":"#% 的暴擊傷害加成",
-  "# to Armour":"# 點護甲",
-  "#% increased Elemental Damage with Attacks":"攻擊技能增加 #% 元素傷害",
-  "#% increased Gold found in this Area":"在你的地圖中金幣的掉落量增加 #%",
-  "#% increased Gold found in your Maps":"在你的地圖中金幣的掉落量增加 #%",
-  "Leeches #% of Physical Damage as Life":"#% 的物理攻擊傷害偷取生命",
-  "#% increased Pack size":"在你的地圖中怪物群大小增加 #%",
-  "#% increased Pack Size in your Maps":"在你的地圖中怪物群大小增加 #%",
-  "Leeches #% of Physical Damage as Mana":"#% 物理攻擊傷害偷取魔力",
-  "# to Level of all Spell Skills":"全部法術技能寶石 # 等級",
-  "#% increased Projectile Speed":"增加 #% 投射物速度",
-  "#% of Damage taken Recouped as Life":"承受 #% 傷害補償為生命",
-  "#% increased Experience gain":"在你的地圖中獲得的經驗增加 #%",
-  "#% increased Experience gain in your Maps":"在你的地圖中獲得的經驗增加 #%",
-  "Minions deal #% increased Damage":"增加 #% 召喚物所造成的傷害",
-  "#% increased Energy Shield Recharge Rate":"增加 #% 能量護盾充能率",
-  "#% increased Critical Hit Chance for Attacks":"攻擊的暴擊機率增加 #%",
-  "#% increased Critical Damage Bonus for Attack Damage":"攻擊傷害的暴擊傷害加成增加 #%",
-  "#% increased Spirit":"精魂增加 #%",
-  "#% increased Charm Effect Duration":"增加 #% 護符效果持續時間",
-  "Gain #% of Damage as Extra Lightning Damage":"獲得相當於傷害 #% 的額外閃電傷害",
-  "Grants # Life per Enemy Hit":"每擊中一個敵人獲得 # 生命",
-  "Minions have #% increased maximum Life":"召喚物增加 #% 最大生命",
-  "#% increased Projectile Damage":"增加 #% 投射物傷害",
-  "#% increased chance to Shock":"增加 #% 感電機率",
-  "Gain #% of Damage as Extra Cold Damage":"獲得相當於傷害 #% 的額外冰冷傷害",
-  "Gain #% of Damage as Extra Fire Damage":"獲得相當於傷害 #% 的額外火焰傷害",
-  "Causes #% increased Stun Buildup":"使暈眩累積增加 #%",
-  "#% faster start of Energy Shield Recharge":"提前 #% 開始充能能量護盾",
-  "#% increased Stun Duration":"增加 #% 暈眩持續時間",
-  "#% increased Attack Damage":"增加 #% 攻擊傷害",
-  "Damage Penetrates #% Cold Resistance":"傷害穿透 #% 冰冷抗性",
-  "#% increased Accuracy Rating":"增加 #% 全域命中值",
-  "#% increased Flask Life Recovery rate":"增加 #% 藥劑生命恢復率",
-  "#% increased Block chance (Local)":"格擋率增加 #% (部分)",
-  "#% increased Magic Pack Size":"在你的地圖中魔法怪物群大小增加 #%",
-  "#% increased Magic Pack Size in your Maps":"在你的地圖中魔法怪物群大小增加 #%",
-  "#% increased Flask Charges gained":"增加 #% 藥劑充能獲取",
-  "#% increased Life Regeneration rate":"增加 #% 生命回復率",
-  "#% increased Flask Mana Recovery rate":"增加 #% 藥劑魔力恢復率",
-  "#% increased Freeze Buildup":"增加 #% 冰凍累積",
-  "#% increased amount of Life Leeched":"生命偷取量增加 #%",
-  "#% increased Charm Charges gained":"增加 #% 護符充能獲取",
-  "#% increased Stun Threshold":"暈眩門檻增加 #%",
-  "#% increased number of Monster Packs":"你地圖中的怪物群數量增加 #%",
-  "#% increased number of Monster Packs in your Maps":"你地圖中的怪物群數量增加 #%",
-  "#% increased Stun Buildup":"暈眩累積增加 #%",
-  "#% increased Magnitude of Ignite you inflict":"你所施加之點燃的幅度增加 #%",
-  "# to Level of all Lightning Spell Skills":"全部閃電法術技能寶石 # 等級",
-  "#% increased Global Physical Damage":"增加 #% 全域物理傷害",
-  "#% increased Damage with Bows":"持弓類武器時增加 #% 傷害",
-  "#% increased Melee Damage":"增加 #% 近戰傷害",
-  "Recover #% of maximum Life on Kill":"擊殺時恢復 #% 生命",
-  "Damage Penetrates #% Lightning Resistance":"傷害穿透 #% 閃電抗性",
-  "#% of Damage taken Recouped as Mana":"#% 的承受傷害補償為魔力",
-  "#% increased Quantity of Waystones found in your Maps":"在你的地圖中找到的換界石數量增加 #%",
-  "#% increased Area of Effect":"增加 #% 範圍效果",
-  "#% increased Damage with Bow Skills":"增加 #% 弓技能的傷害",
-  "#% increased Damage with Crossbows":"增加 #% 十字弓傷害",
-  "#% increased Life Recovery from Flasks":"增加 #% 來自藥劑的生命恢復",
-  "Minions have #% increased Attack and Cast Speed":"召喚物增加 #% 攻擊和施放速度",
-  "#% increased Block chance":"格擋機率增加 #%",
-  "#% increased Magnitude of Poison you inflict":"你所施加之中毒的幅度增加 #%",
-  "#% increased Damage with Quarterstaves":"細杖傷害增加 #%",
-  "#% increased Bleeding Duration on you":"增加 #% 你身上流血的持續時間",
-  "#% increased Attack Speed with Bows":"使用弓類武器時增加 #% 攻擊速度",
-  "Minions have #% to all Elemental Resistances":"召喚物有 #% 全部元素抗性",
-  "Gain # Rage on Melee Hit":"近戰擊中時獲得 # 層盛怒",
-  "#% chance to inflict Bleeding on Hit":"擊中時有 #% 機率造成流血",
-  "#% reduced Ignite Duration on you":"減少 #% 你被點燃的持續時間",
-  "#% increased Shock Duration":"感電持續時間增加 #%",
-  "#% increased maximum Mana":"增加 #% 最大魔力",
-  "#% increased maximum Life":"增加 #% 最大生命",
-  "#% reduced Flask Charges used":"減少 #% 藥劑充能使用",
-  "#% increased Presence Area of Effect":"存在範圍的效果範圍增加 #%",
-  "#% increased Duration of Damaging Ailments on Enemies":"敵人身上的傷害型異常狀態持續時間增加 #%",
-  "Gain # Rage when Hit by an Enemy":"遭敵人擊中時獲得 # 層盛怒",
-  "#% increased Warcry Speed":"增加 #% 戰吼施放速度",
-  "Gain additional Stun Threshold equal to #% of maximum Energy Shield":"獲得相當於最大 能量護盾 #% 的額外暈眩門檻",
-  "#% chance to Poison on Hit":"擊中時 #% 機率使目標中毒",
-  "#% increased Attack Speed with Crossbows":"增加 #% 十字弓攻擊速度",
-  "#% increased Charges":"#% 額外補充量",
-  "#% increased Poison Duration on you":"增加 #% 你身上中毒的持續時間",
-  "#% reduced Charm Charges used":"減少 #% 護符充能使用",
-  "# to Level of all Fire Spell Skills":"全部火焰法術技能寶石 # 等級",
-  "Triggered Spells deal #% increased Spell Damage":"被觸發的法術增加 #% 法術傷害",
-  "#% increased Elemental Ailment Threshold":"元素異常狀態門檻增加 #%",
-  "#% increased Charges gained":"獲得的能量球增加 #%",
-  "#% increased amount of Mana Leeched":"魔力偷取量增加 #%",
-  "#% increased Attack Speed with Quarterstaves":"細杖攻擊速度增加 #%",
-  "#% increased Energy Shield from Equipped Focus":"來自已裝備法器的能量護盾增加 #%",
-  "Allies in your Presence Regenerate # Life per second":"處於你存在範圍中的友方每秒回復 # 生命",
-  "#% increased Charges per use":"每次使用增加 #% 充能",
-  "Allies in your Presence deal #% increased Damage":"處於你存在範圍中的友方所造成的傷害增加 #%",
-  "#% increased Totem Placement speed":"增加 #% 圖騰放置速度",
-  "Monsters have #% increased Stun Threshold":"怪物的暈眩門檻增加 #%",
-  "#% increased Totem Damage":"增加 #% 圖騰傷害",
-  "Monsters have #% increased Ailment Threshold":"怪物異常狀態門檻增加 #%",
-  "#% increased Damage with Maces":"錘和權杖增加 #% 傷害",
-  "#% increased Warcry Cooldown Recovery Rate":"增加 #% 戰吼冷卻恢復速度",
-  "#% increased Skill Effect Duration":"增加 #% 技能效果持續時間",
-  "+#% Monster Elemental Resistances":"+#% 怪物的元素抗性",
-  "#% more Monster Life":"#% 更多怪物生命",
-  "#% increased Totem Life":"增加 #% 圖騰生命",
-  "Monsters have #% increased Critical Hit Chance":"怪物增加 #% 暴擊率",
-  "#% to Monster Critical Damage Bonus":"#% 怪物暴擊加成",
-  "#% increased Mana Recovery from Flasks":"增加 #% 來自藥劑的魔力恢復",
-  "#% increased Magnitude of Bleeding you inflict":"你所施加之流血的幅度增加 #%",
-  "Damage Penetrates #% Fire Resistance":"傷害穿透 #% 火焰抗性",
-  "#% reduced Freeze Duration on you":"減少 #% 你被冰凍的持續時間",
-  "#% increased Stun Buildup with Maces":"使用錘時暈眩累積增加 #%",
-  "#% increased Defences from Equipped Shield":"增加 #% 從盾牌獲取的防禦",
-  "#% reduced Chill Duration on you":"減少 #% 你被冰緩的持續時間",
-  "Monsters deal #% of Damage as Extra Cold":"怪物造成相當於傷害 #% 的額外冰冷傷害",
-  "#% reduced Shock duration on you":"減少 #% 你感電的持續時間",
-  "Monsters deal #% of Damage as Extra Lightning":"怪物造成相當於傷害 #% 的額外閃電傷害",
-  "#% increased Flask Effect Duration":"增加 #% 藥劑效果持續時間",
-  "Monsters deal #% of Damage as Extra Fire":"怪物造成相當於傷害 #% 的額外火焰傷害",
-  "#% increased Area of Effect of Curses":"詛咒效果範圍增加 #%",
-  "Area has #% increased chance to contain Shrines":"你的地圖中含有神殿的機率增加 #%",
-  "Your Maps have #% increased chance to contain Shrines":"你的地圖中含有神殿的機率增加 #%",
-  "#% chance to Pierce an Enemy":"有 #% 機率穿透一個敵人",
-  "#% increased Magnitude of Damaging Ailments you inflict with Critical Hits":"你以暴擊施加之傷害型異常狀態的幅度增加 #%",
-  "#% increased Weapon Swap Speed":"武器切換速度增加 #%",
-  "#% increased Gold found in this Area (Gold Piles)":"在你的地圖中金幣的掉落量增加 #%（金幣堆）",
-  "#% increased Gold found in your Maps (Gold Piles)":"在你的地圖中金幣的掉落量增加 #%（金幣堆）",
-  "#% increased Knockback Distance":"增加 #% 擊退距離",
-  "#% increased Monster Attack Speed":"增加 #% 怪物攻擊速度",
-  "#% increased Monster Cast Speed":"增加 #% 怪物施放速度",
-  "#% increased Monster Damage":"增加 #% 怪物傷害",
-  "#% increased Monster Movement Speed":"增加 #% 怪物移動速度",
-  "Gain # Life per Enemy Hit with Attacks":"每用攻擊擊中一個敵人獲得 # 生命",
-  "#% increased Magnitude of Shock you inflict":"你所施加之感電的幅度增加 #%",
-  "Players are Cursed with Temporal Chains":"玩家被時空鎖鏈詛咒",
-  "Players are Cursed with Elemental Weakness":"玩家被元素要害詛咒",
-  "#% increased Magnitude of Ailments you inflict":"你所施加之異常狀態的幅度增加 #%",
-  "Minions have #% additional Physical Damage Reduction":"召喚物有 #% 額外物理傷害減免",
-  "#% increased Damage with Hits against Rare and Unique Enemies":"擊中稀有怪和傳奇怪增加 #% 傷害",
-  "Allies in your Presence have # to Accuracy Rating":"處於你存在範圍中的友方命中值 #",
-  "Herald Skills deal #% increased Damage":"捷技能增加 #% 傷害",
-  "Players are Cursed with Enfeeble":"玩家被衰弱詛咒",
-  "Offerings have #% increased Maximum Life":"獻祭增加 #% 最大生命",
-  "#% increased Minion Accuracy Rating":"增加 #% 召喚物命中值",
-  "# to Level of all Cold Spell Skills":"全部冰冷法術技能寶石 # 等級",
-  "Recover #% of maximum Mana on Kill (Jewel)":"擊殺時恢復 #% 魔力（珠寶）",
-  "Minions have #% increased Critical Damage Bonus":"召喚物增加 #% 暴擊傷害加成",
-  "#% increased Amount Recovered":"增加 #% 恢復量",
-  "#% increased Chill Duration on Enemies":"增加 #% 敵人冰緩持續時間",
-  "#% increased Spell Physical Damage":"法術物理傷害增加 #%",
-  "Minions have #% increased Critical Hit Chance":"召喚物的暴擊機率增加 #%",
-  "#% increased amount of Magic Chests":"在你的地圖中魔法箱子的數量增加 #%",
-  "#% increased amount of Magic Chests in your Maps":"在你的地圖中魔法箱子的數量增加 #%",
-  "#% increased amount of Rare Chests":"在你的地圖中稀有箱子的數量增加 #%",
-  "#% increased amount of Rare Chests in your Maps":"在你的地圖中稀有箱子的數量增加 #%",
-  "Meta Skills gain #% increased Energy":"主要技能獲得能量增加 #%",
-  "Players have #% less Recovery Rate of Life and Energy Shield":"玩家有 #% 更少生命和能量護盾恢復率",
-  "# to Level of all Chaos Spell Skills":"全部混沌法術技能寶石 # 等級",
-  "Monster Damage Penetrates #% Elemental Resistances":"怪物傷害穿透 #% 元素抗性",
-  "Area has patches of Ignited Ground":"區域內有多個點燃地面",
-  "Monsters have #% increased Freeze Buildup":"怪物的冰凍累積增加 #%",
-  "Monsters have #% increased Shock Chance":"怪物的感電機率增加 #%",
-  "Monsters have #% increased Ignite Chance":"怪物的點燃機率增加 #%",
-  "Gains # Charges per Second":"每秒獲得 # 充能",
-  "Monsters are Evasive":"怪物為閃避",
-  "Monsters have #% increased Stun Buildup":"怪物的暈眩累積增加 #%",
-  "Monsters take #% reduced Extra Damage from Critical Hits":"減少 #% 怪物承受的暴擊傷害",
-  "Monsters gain #% of maximum Life as Extra maximum Energy Shield":"怪物獲得 #% 最大生命的額外最大能量護盾",
-  "Monsters are Armoured":"怪物為裝甲",
-  "Players gain #% reduced Flask Charges":"玩家獲得的藥劑充能減少 #%",
-  "#% increased Accuracy Rating with Bows":"使用弓類武器時增加 #% 命中值",
-  "Monsters have #% chance to Poison on Hit":"怪物有 #% 機率在擊中時引起中毒",
-  "Monsters have #% chance to Bleeding on Hit":"怪物有 #% 機率在擊中時引起流血",
-  "#% maximum Player Resistances":"玩家 #% 最大抗性",
-  "# Charm Slot":"# 護符欄位",
-  "#% increased Curse Duration":"增加 #% 詛咒的持續時間",
-  "#% increased Damage while you have an active Charm":"當你有一個作用中的護符傷害增加 #%",
-  "#% increased chance to inflict Ailments":"造成異常狀態的機率增加 #%",
-  "Area has #% increased chance to contain Essences":"你的地圖中含有精髓的機率增加 #%",
-  "Your Maps have #% increased chance to contain Essences":"你的地圖中含有精髓的機率增加 #%",
-  "Area has #% increased chance to contain Strongboxes":"你的地圖中含有保險箱的機率增加 #%",
-  "Your Maps have #% increased chance to contain Strongboxes":"你的地圖中含有保險箱的機率增加 #%",
-  "Area has patches of Shocked Ground":"區域內有數道感電地面",
-  "Area has patches of Chilled Ground":"地圖含有冰緩地面",
-  "#% increased Freeze Threshold":"冰凍門檻增加 #%",
-  "#% increased bonuses gained from Equipped Quiver":"增加 #% 你箭袋詞綴的效果",
-  "#% Chance to gain a Charge when you Kill an Enemy":"殺死敵人時有 #% 機率獲得一顆能量球",
-  "Allies in your Presence deal # to # added Attack Lightning Damage":"處於你存在範圍中的友方造成 # 至 # 額外攻擊閃電傷害",
-  "#% to Maximum Fire Resistance":"#% 最大火焰抗性",
-  "Allies in your Presence deal # to # added Attack Fire Damage":"處於你存在範圍中的友方造成 # 至 # 額外攻擊火焰傷害",
-  "Allies in your Presence have #% increased Attack Speed":"處於你存在範圍中的友方增加 #% 攻擊速度",
-  "Allies in your Presence deal # to # added Attack Cold Damage":"處於你存在範圍中的友方造成 # 至 # 額外攻擊冰冷傷害",
-  "#% increased Crossbow Reload Speed":"增加 #% 十字弓裝填速度",
-  "Allies in your Presence have #% increased Cast Speed":"處於你存在範圍中的友方增加 #% 施放速度",
-  "#% increased Freeze Buildup with Quarterstaves":"細杖的冰凍累積增加 #%",
-  "Allies in your Presence have #% increased Critical Hit Chance":"處於你存在範圍中的友方增加 #% 暴擊率",
-  "Allies in your Presence have #% increased Critical Damage Bonus":"處於你存在範圍中的友方增加 #% 暴擊傷害加成",
-  "Debuffs on you expire #% faster":"加速減益效果失效 #%",
-  "#% of Skill Mana Costs Converted to Life Costs":"#% 技能魔力消耗轉換為生命消耗",
-  "Mark Skills have #% increased Skill Effect Duration":"印記技能增加 #% 技能效果持續時間",
-  "#% chance to Blind Enemies on Hit with Attacks":"攻擊擊中時有 #% 機率造成致盲",
-  "#% increased Duration of Ignite Shock and Chill on Enemies":"敵人身上的點燃、感電和冰緩持續時間增加 #%",
-  "Allies in your Presence deal # to # added Attack Physical Damage":"處於你存在範圍中的友方造成 # 至 # 額外攻擊物理傷害",
-  "Mark Skills have #% increased Cast Speed":"印記技能增加 #% 施放速度",
-  "#% increased Thorns damage":"荊棘傷害增加 #%",
-  "Allies in your Presence have #% to all Elemental Resistances":"處於你存在範圍中的友方所有元素抗性 #%",
-  "#% increased Intelligence":"增加 #% 智慧",
-  "#% increased Dexterity":"增加 #% 敏捷",
-  "#% increased Strength":"增加 #% 力量",
-  "#% increased Damage with Warcries":"戰吼傷害增加 #%",
-  "#% increased Pin Buildup":"釘身累積增加 #%",
-  "#% increased Poison Duration":"增加 #% 中毒持續時間",
-  "#% increased Duration (Charm)":"增加 #% 持續時間（護符）",
-  "Empowered Attacks deal #% increased Damage":"竭盡攻擊增加 #% 傷害",
-  "#% increased Skill Speed":"技能速度增加 #%",
-  "# to Level of all Physical Spell Skills":"全部物理法術技能寶石等級 #",
-  "#% increased Daze Buildup":"目眩累積增加 #%",
-  "#% increased Damage against Enemies with Fully Broken Armour":"對完全破甲敵人造成的傷害增加 #%",
-  "#% to Maximum Lightning Resistance":"#% 最大閃電抗性",
-  "#% increased Stun Threshold if you haven't been Stunned Recently":"若你近期未遭暈眩暈眩門檻增加 #%",
-  "Break #% increased Armour":"護甲值破壞增加 #%",
-  "Breaches have #% increased Monster density":"你地圖中的裂痕增加 #% 怪物密度",
-  "Breaches in your Maps have #% increased Monster density":"你地圖中的裂痕增加 #% 怪物密度",
-  "Recover # Life when Used":"使用後恢復 # 生命",
-  "#% increased amount of Chests":"保險箱數量增加 #%",
-  "Recover # Mana when Used":"使用後恢復 # 魔力",
-  "Monsters deal #% of Damage as Extra Chaos":"怪物造成相當於傷害 #% 的額外混沌傷害",
-  "Rare Monsters have a #% chance to have an additional Modifier":"在你的地圖中稀有怪物有 #% 機率有 1 個額外詞綴",
-  "Rare Monsters in your Maps have a #% chance to have an additional Modifier":"在你的地圖中稀有怪物有 #% 機率有 1 個額外詞綴",
-  "Players have #% more Cooldown Recovery Rate":"玩家有 #% 更多冷卻時間恢復速度",
-  "#% increased Recovery rate":"增加 #% 恢復率",
-  "Monsters have #% chance to steal Power Frenzy and Endurance charges on Hit":"怪物擊中時有 #% 機率偷取暴擊、狂怒和耐力球",
-  "Monsters Break Armour equal to #% of Physical Damage dealt":"怪物破壞的護甲值相當於造成的 #% 物理傷害",
-  "Monsters have #% increased Accuracy Rating":"怪物增加 #% 命中值",
-  "#% increased Bleeding Duration":"增加 #% 流血持續時間",
-  "Monsters fire # additional Projectiles":"怪物發射 # 額外投射物",
-  "#% less effect of Curses on Monsters":"怪物身上的詛咒具有 #% 更少效果",
-  "#% increased Attack Speed per 10 Dexterity":"每 10 點敏捷攻擊速度便增加 #%",
-  "#% increased Weapon Damage per 10 Strength":"每 10 點力量武器傷害便增加 #%",
-  "#% increased Area of Effect for Attacks per 10 Intelligence":"每 10 點智慧攻擊的效果範圍便增加 #%",
-  "#% increased Armour Evasion and Energy Shield":"增加 #% 護甲、閃避與能量護盾",
-  "#% to Maximum Cold Resistance":"#% 最大冰冷抗性",
-  "Monsters have #% increased Area of Effect":"增加怪物 #% 範圍效果",
-  "Enemies Chilled by your Hits can be Shattered as though Frozen":"被你擊中而冰緩的敵人可以像冰凍那樣被粉碎",
-  "#% increased Slowing Potency of Debuffs on You":"減益效果對你的緩速程度增加 #%",
-  "Breaches in Area contain # additional Clasped Hand":"你地圖中的裂痕含有 # 個額外抑制之手",
-  "Breaches in your Maps contain # additional Clasped Hand":"你地圖中的裂痕含有 # 個額外抑制之手",
-  "#% increased Quantity of Breach Splinters dropped by Breach Monsters in Area":"增加 #% 你地圖中裂痕怪物掉落裂痕裂片的數量",
-  "#% increased Quantity of Breach Splinters dropped by Breach Monsters in your Maps":"增加 #% 你地圖中裂痕怪物掉落裂痕裂片的數量",
-  "Area contains an additional Rare Chest":"[譯]該區域額外包含一個稀有寶箱",
-  "Your Maps contain an additional Rare Chest":"[譯]該區域額外包含一個稀有寶箱",
-  "#% increased Damage with Spears":"長鋒傷害增加 #%",
-  "Areas which contain Breaches have #% chance to contain an additional Breach":"你含有裂痕的地圖有 #% 機率含有 1 個額外裂痕",
-  "Your Maps which contain Breaches have #% chance to contain an additional Breach":"你含有裂痕的地圖有 #% 機率含有 1 個額外裂痕",
-  "#% of Damage taken bypasses Energy Shield":"所受傷害的 #% 會穿透能量護盾",
-  "Gain #% of maximum Life as Extra maximum Energy Shield":"獲得等同 #% 最大生命值的額外能量護盾",
-  "#% increased Attack Speed with Spears":"長鋒攻擊速度增加 #%",
-  "Gain # Guard during Effect":"在效果期間獲得 # 防衛",
-  "Area contains # additional packs of Bramble Monsters":"區域含有額外 # 群刺荊怪物",
-  "Area contains # additional packs of Iron Guards":"區域含有額外 # 群鍛鐵守衛",
-  "Area contains # additional packs of Ezomyte Monsters":"區域含有額外 # 群艾茲麥怪物",
-  "Area contains # additional packs of Plagued Monsters":"區域含有額外 # 群染疫的怪物",
-  "Area contains # additional packs of Transcended Monsters":"區域含有額外 # 群超越的怪物",
-  "Area contains # additional packs of Undead":"區域含有額外 # 群亡靈",
-  "Area contains # additional packs of Beasts":"區域含有額外 # 群野獸",
-  "Area contains # additional packs of Vaal Monsters":"區域含有額外 # 群瓦爾怪物",
-  "Area contains # additional packs of Faridun Monsters":"區域含有額外 # 群法里登怪物",
-  "#% increased Cooldown Recovery Rate":"增加 #% 冷卻恢復速度",
-  "Forks Critical Hits":"分岔暴擊",
-  "Map Bosses grant #% increased Experience":"地圖頭目賦予的經驗增加 #%",
-  "#% increased Rarity of Items dropped by Map Bosses":"地圖頭目掉落道具的稀有度增加 #%",
-  "#% of Recovery applied Instantly":"#% 恢復量立即恢復",
-  "Lightning damage from Hits Contributes to Electrocution Buildup":"擊中造成的閃電傷害會貢獻至觸電累積",
-  "#% increased Quantity of Items dropped by Map Bosses":"地圖頭目掉落道具數量增加 #%",
-  "#% increased Attack and Cast Speed":"增加 #% 攻擊與施放速度",
-  "Companions deal #% increased Damage":"盟友造成的傷害增加 #%",
-  "Area contains an additional Shrine":"你的地圖含有 1 個額外神殿",
-  "Your Maps contain an additional Shrine":"你的地圖含有 1 個額外神殿",
-  "Area contains an additional Essence":"你的地圖含有 1 個額外精髓",
-  "Your Maps contain an additional Essence":"你的地圖含有 1 個額外精髓",
-  "Area contains an additional Strongbox":"你的地圖含有額外 # 個保險箱",
-  "Your Maps contain # additional Strongboxes":"你的地圖含有額外 # 個保險箱",
-  "Companions have #% increased maximum Life":"盟友的最大生命增加 #%",
-  "Rare Monsters have # additional Modifier":"你地圖中的稀有怪物有 # 個額外詞綴",
-  "Rare Monsters in your Maps have # additional Modifier":"你地圖中的稀有怪物有 # 個額外詞綴",
-  "Lightning Damage from Hits Contributes to Freeze Buildup instead of Shock Chance":"擊中的閃電傷害貢獻至冰凍累積而非感電機率",
-  "Cold Damage from Hits Contributes to Ignite Chance and Magnitude instead of Chill Magnitude or Freeze Buildup":"擊中的冰冷傷害貢獻至點燃機率與幅度而非冰緩幅度或冰凍累積",
-  "Fire Damage from Hits Contributes to Shock Chance instead of Ignite Chance and Magnitude":"擊中的火焰傷害貢獻至感電機率而非點燃機率和幅度",
-  "#% additional Physical Damage Reduction":"#% 額外物理傷害減免",
-  "Minions have #% to Chaos Resistance":"召喚物有 #% 混沌抗性",
-  "Minions Revive #% faster":"召喚物的復甦速度加快 #%",
-  "#% increased bonuses gained from left Equipped Ring":"自已裝備左手戒指獲得的加成增加 #%",
-  "#% increased bonuses gained from right Equipped Ring":"自已裝備右手戒指獲得的加成增加 #%",
-  "#% increased Valour gained":"勇氣獲得量增加 #%",
-  "Projectiles Pierce all Ignited enemies":"投射物穿透全部燃燒的敵人",
-  "Attacks Gain #% of Damage as Extra Fire Damage":"攻擊獲得相當於傷害 #% 的額外火焰傷害",
-  "Trigger Lightning Bolt Skill on Critical Hit":"暴擊時觸發雷彈技能",
-  "Leeches #% of maximum Life when you Cast a Spell":"當你施放一個法術時偷取 #% 最大生命",
-  "Critical Hits Ignore Enemy Monster Lightning Resistance":"暴擊無視敵對怪物的閃電抗性",
-  "#% increased Projectile Damage if you've dealt a Melee Hit in the past eight seconds":"如果你在過去 8 秒內以近戰擊中則投射物傷害增加 #%",
-  "#% increased Melee Damage if you've dealt a Projectile Attack Hit in the past eight seconds":"如果你在過去 8 秒內以投射物攻擊擊中近戰傷害增加 #%",
-  "Banner Skills have #% increased Duration":"鬥旗技能增加 #% 持續時間",
-  "Bow Attacks fire # additional Arrows":"弓攻擊發射 # 個額外箭矢",
-  "Gain additional Ailment Threshold equal to #% of maximum Energy Shield":"[譯]獲得等同於最大能量護盾 #% 的額外異常狀態閾值",
-  "#% of Cold Damage Converted to Lightning Damage":"#% 的冰冷傷害轉換為閃電傷害",
-  "Breaches in Area spawn #% increased Magic Monsters":"你地圖中的裂痕增加產生 #% 魔法怪物",
-  "Breaches in your Maps spawn #% increased Magic Monsters":"你地圖中的裂痕增加產生 #% 魔法怪物",
-  "Breaches in Area spawn an additional Rare Monster":"你地圖中的裂痕產生 1 個額外稀有怪物",
-  "Breaches in your Maps spawn an additional Rare Monster":"你地圖中的裂痕產生 1 個額外稀有怪物",
-  "#% increased Armour Break Duration":"護甲破壞持續時間增加 #%",
-  "Gain #% of Damage as Chaos Damage per Undead Minion":"每擁有一個不死召喚物獲得相當於傷害 #% 的混沌傷害",
-  "#% of Maximum Life Converted to Energy Shield":"#% 最大生命值轉換為能量護盾",
-  "Trigger Ember Fusillade Skill on casting a Spell":"施放一個法術時觸發餘燼齊射技能",
-  "#% increased Damage if you have Consumed a Corpse Recently":"若你近期有消耗屍體增加 #% 傷害",
-  "#% chance to not destroy Corpses when Consuming Corpses":"消耗屍體時有 #% 機率不摧毀屍體",
-  "#% increased Critical Damage Bonus with Spears":"使用長鋒時暴擊傷害加成增加 #%",
-  "Delirious Monsters Killed in Area provide #% increased Reward Progress":"你地圖中擊殺的譫妄怪物。增加 #% 獎勵進度",
-  "Delirious Monsters Killed in your Maps provide #% increased Reward Progress":"你地圖中擊殺的譫妄怪物。增加 #% 獎勵進度",
-  "#% increased Damage":"增加 #% 傷害",
-  "Delirium Monsters in Area have #% increased Pack Size":"你地圖中的譫妄怪物增加 #% 怪物群大小",
-  "Delirium Monsters in your Maps have #% increased Pack Size":"你地圖中的譫妄怪物增加 #% 怪物群大小",
-  "Delirium Encounters in Area are #% more likely to spawn Unique Bosses":"你地圖中的譫妄事件有 #% 更高機率產生傳奇頭目",
-  "Delirium Encounters in your Maps are #% more likely to spawn Unique Bosses":"你地圖中的譫妄事件有 #% 更高機率產生傳奇頭目",
-  "Upgrades Radius to Medium":"升級範圍至中",
-  "Trigger Spark Skill on killing a Shocked Enemy":"擊殺感電敵人時觸發電球技能",
-  "#% increased Curse Magnitudes":"增加 #% 詛咒幅度",
-  "#% increased Stack size of Simulacrum Splinters found in Area":"增加 #% 你地圖中掉落幻像斷片的堆疊數量",
-  "#% increased Stack size of Simulacrum Splinters found in your Maps":"增加 #% 你地圖中掉落幻像斷片的堆疊數量",
-  "#% increased Effect of Withered":"增加 #% 凋零效果",
-  "Area has #% increased chance to contain Azmeri Spirits":"你的地圖中含有阿茲莫里魂靈的機率增加 #%",
-  "Your Maps have #% increased chance to contain Azmeri Spirits":"你的地圖中含有阿茲莫里魂靈的機率增加 #%",
-  "When a Party Member in your Presence Casts a Spell you Sacrifice #% of Mana and they Leech that Mana":"你存在範圍內的隊員施放法術時你獻祭 #% 的魔力而隊員會偷取該魔力",
-  "Removes #% of Life Recovered from Mana when used":"使用時會扣除生命恢復值 #% 的魔力",
-  "#% increased Life Recovered":"增加 #% 生命恢復",
-  "Gain no inherent bonus from Intelligence":"無法獲得智慧的固有加成",
-  "Passives in Radius can be Allocated without being connected to your tree":"天賦樹中在範圍內未連結的技能仍然可以配置",
-  "Mana Flasks gain # charges per Second":"魔力藥劑每秒獲得 # 充能",
-  "Adds # to # Lightning Damage to Attacks per 20 Intelligence":"每 20 點 智慧攻擊附加 # 至 # 閃電傷害",
-  "#% increased Attack Speed per 20 Dexterity":"每 20 點敏捷增加 #% 攻擊速度",
-  "#% reduced Mana Cost of Skills":"減少 #% 技能魔力消耗",
-  "#% increased Parry Damage":"增加 #% 招架傷害",
-  "#% of Elemental Damage Converted to Fire Damage":"#% 的元素傷害轉換為火焰傷害",
-  "#% of Elemental Damage Converted to Cold Damage":"#% 的元素傷害轉換為冰冷傷害",
-  "#% of Elemental Damage Converted to Lightning Damage":"#% 的元素傷害轉換為閃電傷害",
-  "#% of Damage is taken from Mana before Life":"生命值所受的 #% 傷害由魔力扣除",
-  "#% increased Magnitude of Chill you inflict":"你所施加之冰緩的幅度增加 #%",
-  "#% of Spell Mana Cost Converted to Life Cost":"#% 法術魔力消耗轉換為生命消耗",
-  "Projectiles Split towards # targets":"投射物對 # 個目標裂化",
-  "Projectiles have #% chance for an additional Projectile when Forking":"投射物分裂時有 #% 機率有 1 個額外投射物",
-  "#% increased Rarity of Items found when on Low Life":"貧血時增加 #% 物品稀有度",
-  "Gain #% of maximum Mana as Extra maximum Energy Shield":"獲得等同 #% 魔力的額外能量護盾",
-  "Enemies in your Presence are Ignited as though dealt # Base Fire Damage":"處於你的存在範圍之中的敵人會被點燃等同於造成 # 基礎火焰傷害",
-  "#% increased Effect of your Mark Skills":"你的印記技能效果增加 #%",
-  "#% to Block chance":"#% 至格擋率",
-  "Attacks Chain an additional time":"攻擊有額外一次連鎖",
-  "Areas which contain Breaches have #% chance to contain three additional Breaches":"你含有裂痕的地圖有 #% 機率含有 3 個額外裂痕",
-  "Your Maps which contain Breaches have #% chance to contain three additional Breaches":"你含有裂痕的地圖有 #% 機率含有 3 個額外裂痕",
-  "#% faster Curse Activation":"詛咒啟動速度加快 #%",
-  "#% increased Hazard Damage":"危險的傷害增加 #%",
-  "#% increased Global Defences":"增加 #% 全域防禦",
-  "Gain #% of Damage as Extra Chaos Damage":"獲得相當於傷害 #% 的額外混沌傷害",
-  "Life Flasks gain # charges per Second":"生命藥劑每秒獲得 # 充能",
-  "Offering Skills have #% increased Duration":"奉獻技能增加 #% 持續時間",
-  "#% increased Blind Effect":"增加 #% 致盲效果",
-  "Physical Damage is Pinning":"物理傷害可以釘身",
-  "Enemies in your Presence have Fire Exposure":"你存在範圍內的敵人具有火焰曝曬",
-  "Trigger Decompose Skill on Step":"走路時會觸發「分解」技能",
-  "# to Maximum Rage":"# 最大盛怒上限",
-  "Projectiles have #% chance to Chain an additional time from terrain":"投射物有 #% 機率從地形額外連鎖一次",
-  "Aura Skills have #% increased Magnitudes":"光環技能增加 #% 幅度",
-  "#% increased Spell Damage per 10 Spirit":"每 10 精魂增加 #% 法術傷害",
-  "Delirium in Area increases #% faster with distance from the mirror":"你地圖中的鏡子遠方的譫妄強化比平常快 #%",
-  "Delirium in your Maps increases #% faster with distance from the mirror":"你地圖中的鏡子遠方的譫妄強化比平常快 #%",
-  "Damaging Ailments deal damage #% faster":"傷害型異常狀態造成傷害加速 #%",
-  "#% increased Reload Speed":"裝填速度增加 #%",
-  "#% of Fire Damage Converted to Cold Damage":"#% 的火焰傷害轉換為冰冷傷害",
-  "#% of your Base Life Regeneration is granted to Allies in your Presence":"#% of your Base Life Regeneration is granted to Allies in your Presence",
-  "Removes #% of Mana Recovered from Life when used":"使用時會扣除魔力恢復值 #% 的生命",
-  "Critical Hits ignore Enemy Monster Elemental Resistances":"造成暴擊時無視敵人的元素抗性",
-  "#% increased Mana Recovered":"增加 #% 魔力恢復",
-  "#% chance to not consume a bolt if you've Reloaded Recently":"若你近期有裝填有 #% 機率不會消耗弩箭",
-  "#% increased Chance to be afflicted by Ailments when Hit":"擊中時遭施加異常狀態的機率增加 #%",
-  "#% increased Movement Speed while affected by an Ailment":"受到異常狀態影響時移動速度增加 #%",
-  "#% increased Quantity of Waystones dropped by Map Bosses":"地圖頭目掉落換界石數量增加 #%",
-  "Blind Chilled enemies on Hit":"擊中冰緩的敵人時使其致盲",
-  "Minions gain #% of their maximum Life as Extra maximum Energy Shield":"召喚物獲得相當於其最大生命 #% 的額外最大能量護盾",
-  "Maim on Critical Hit":"暴擊時造成癱瘓",
-  "Share Charges with Allies in your Presence":"與你存在範圍內的友方共享能量球",
-  "# Intelligence Requirement":"# 智慧需求",
-  "Drop Ignited Ground while moving which lasts 8 seconds and Ignites as though dealing Fire Damage equal to #% of your maximum Life":"移動時會掉落持續 8 秒的點燃地面並會引發點燃造成等同於你 #% 最大生命的火焰傷害",
-  "Sacrifice #% of Life to gain that much Energy Shield when you Cast a Spell":"當你施放法術時獻祭 #% 生命獲得等同其值的能量護盾",
-  "Increases and Reductions to Minion Damage also affect you":"召喚物傷害的增減同時套用在你身上",
-  "You have no Life Regeneration":"你沒有生命回復",
-  "Causes Daze buildup equal to #% of Damage dealt":"造成相當於 #% 傷害量的目眩累積",
-  "Gain 0% to #% increased Movement Speed at random when Hit until Hit again":"擊中時隨機獲得最多 #% 的移動速度加成直到再次擊中",
-  "You take #% of damage from Blocked Hits":"你承受 #% 來自格擋擊中的傷害",
-  "#% of Lightning Damage Converted to Cold Damage":"#% 閃電傷害轉換為冰冷傷害",
-  "Causes Bleeding on Hit":"擊中時造成流血效果",
-  "#% increased Stun Recovery":"暈眩恢復增加 #%",
-  "#% more Recovery if used while on Low Life":"若使用時貧血有 #% 更多恢復",
-  "Banner Skills have #% increased Area of Effect":"旗幟技能增加 #% 效果範圍",
-  "Mana Flasks used while on Low Mana apply Recovery Instantly":"貧魔狀態下使用魔力藥劑會立即恢復",
-  "Life Flasks used while on Low Life apply Recovery Instantly":"貧血狀態下使用生命藥劑會立即恢復生命",
-  "Monsters Sacrificed at Ritual Altars in Area grant #% increased Tribute":"你地圖中被獻祭至祭祀神壇的怪物增加 #% 貢禮",
-  "Monsters Sacrificed at Ritual Altars in your Maps grant #% increased Tribute":"你地圖中被獻祭至祭祀神壇的怪物增加 #% 貢禮",
-  "You count as on Full Mana while at #% of maximum Mana or above":"當你處於最大魔力的 #% 或更高時視為滿魔狀態",
-  "#% increased Attack Speed while on Full Mana":"滿魔力時攻擊速度增加 #%",
-  "Eldritch Battery":"異能魔力",
-  "#% more Recovery if used while on Low Mana":"貧魔狀態下使用時回復量增加 #%",
-  "Strength can satisfy other Attribute Requirements of Melee Weapons and Melee Skills":"力量可滿足近戰武器和近戰技能的其他能力值需求",
-  "Gain #% of Elemental Damage as Extra Cold Damage":"獲得相當於 #% 元素傷害的額外冰冷傷害",
-  "Gain #% of Elemental Damage as Extra Fire Damage":"獲得相當於 #% 元素傷害的額外火焰傷害",
-  "Gain #% of Elemental Damage Damage as Extra Lightning Damage":"獲得相當於 #% 元素傷害的額外閃電傷害",
-  "Your speed is unaffected by Slows":"你的速度不受緩速影響",
-  "Causes Double Stun Buildup":"造成雙倍暈眩累積",
-  "Area contains an additional Magic Chest":"[譯]該區域額外包含一個魔法寶箱",
-  "#% increased Mana Flask Charges gained":"增加 #% 魔力藥劑充能獲取",
-  "#% increased Life Flask Charges gained":"增加 #% 生命藥劑充能獲取",
-  "Rerolling Favours at Ritual Altars in Area costs #% increased Tribute":"在區域內祭祀神壇重骰恩惠的貢禮消耗增加 #%",
-  "Rerolling Favours at Ritual Altars in your Maps costs #% increased Tribute":"在區域內祭祀神壇重骰恩惠的貢禮消耗增加 #%",
-  "Grants #% of Life Recovery to Minions":"得到 #% 召喚物生命恢復",
-  "#% chance for Energy Shield Recharge to start when you Kill an Enemy":"當你擊殺敵人時有 #% 機率開始充能能量護盾",
-  "Culling Strike against Frozen Enemies":"撲殺被冰凍的敵人",
-  "All Damage from Hits with this Weapon Contributes to Freeze Buildup":"以此武器擊中的所有傷害貢獻至冰凍累積",
-  "Warcry Skills have #% increased Area of Effect":"戰吼技能增加 #% 範圍效果",
-  "#% increased Movement Speed when on Full Life":"滿血時增加 #% 移動速度",
-  "#% increased Evasion Rating when on Full Life":"滿血時增加 #% 全域閃避值",
-  "Minions' Resistances are equal to yours":"召喚物的抗性與你相同",
-  "Inflicts Fire Exposure when this Weapon Fully Breaks Armour":"以此武器完全破壞護甲時造成火焰曝曬",
-  "# Physical damage taken from Projectile Attacks":"# 承受的投射物攻擊的物理傷害",
-  "Hits Break # Armour":"擊中時破壞 # 點護甲值",
-  "Warcries Explode Corpses dealing #% of their Life as Physical Damage":"戰吼引爆附近屍體造成相當於其 #% 生命的物理傷害",
-  "Unwavering Stance":"烈士意志",
-  "You have a Smoke Cloud around you while stationary":"當你靜止不動時周圍會生成一團雲煙",
-  "Base Critical Hit Chance for Attacks with Weapons is #%":"此武器攻擊的基礎暴擊率為 #%",
-  "#% chance to Avoid Death from Hits":"有 #% 機率避免因遭擊中而死亡",
-  "Pain Attunement":"苦痛靈曲",
-  "Lose # Life when you use a Skill":"使用一個技能時失去 # 生命",
-  "#% increased Explosive Placement Range":"增加 #% 你地圖中爆裂物的放置距離",
-  "#% increased Explosive Placement Range in your Maps":"增加 #% 你地圖中爆裂物的放置距離",
-  "# to # Fire Thorns damage":"# 至 # 點火焰荊棘傷害",
-  "Every 3 seconds Consume a nearby Corpse to Recover #% of maximum Life":"每 3 秒消耗附近屍體恢復 #% 生命",
-  "#% of Physical Damage taken as Fire Damage":"#% 的物理傷害承受為火焰傷害",
-  "Always deals Critical Hits against Heavy Stunned Enemies":"必定對遭沉重暈眩的敵人造成暴擊",
-  "#% increased quantity of Artifacts dropped by Monsters":"你地圖中的怪物所掉落的文物數量增加 #%",
-  "#% increased quantity of Artifacts dropped by Monsters in your Maps":"你地圖中的怪物所掉落的文物數量增加 #%",
-  "Iron Reflexes":"霸體",
-  "Gain # Rage when Critically Hit by an Enemy":"遭敵人暴擊時獲得 # 層盛怒",
-  "Small Passive Skills in Radius also grant #% increased chance to Ignite":"範圍內小型天賦也會賦予 增加 #% 點燃機率",
-  "No Movement Speed Penalty while Shield is Raised":"舉起盾牌時無移動速度懲罰",
-  "#% to Thorns Critical Hit Chance":"荊棘的暴擊率 #%",
-  "Minions have #% increased Area of Effect":"召喚物增加 #% 範圍效果",
-  "Critical Hits Poison the enemy":"暴擊使敵人中毒",
-  "#% increased Explosive Radius":"增加 #% 你的地圖內的爆炸範圍",
-  "#% increased Explosive Radius in your Maps":"增加 #% 你的地圖內的爆炸範圍",
-  "Small Passive Skills in Radius also grant #% increased Elemental Damage":"範圍內小型天賦也會賦予 增加 #% 元素傷害",
-  "#% chance to be inflicted with Bleeding when Hit":"擊中時有 #% 機率造成流血",
-  "#% of Melee Physical Damage taken reflected to Attacker":"承受的近戰物理 #% 傷害反射給攻擊者",
-  "Damage over Time bypasses your Energy Shield While not on Full Life Sacrifice #% of maximum Mana per Second to Recover that much Life":"未處於生命全滿狀態時持續傷害會穿透你的能量護盾每秒獻祭 #% 魔力並恢復等量生命",
-  "Deal #% increased Damage with Hits to Rare or Unique Enemies for each second they've ever been in your Presence up to a maximum of 200%":"當稀有和傳奇敵人處於你的存在範圍每秒增加 #% 對其造成的擊中傷害上限為 200%",
-  "#% chance to gain a Power Charge on Hit":"擊中時有 #% 機率獲得 1 顆暴擊球",
-  "Shocks you when you reach maximum Power Charges":"當獲得最大暴擊球數量時你被感電",
-  "Lose all Power Charges on reaching maximum Power Charges":"達到暴擊球最大數量時失去所有的暴擊球",
-  "Enemies are Culled on Block":"格擋時撲殺敵人",
-  "Energy Shield Recharge is not interrupted by Damage if Recharge began Recently":"若能量護盾充能於近期開始生效則不會被傷害阻斷",
-  "Delirium Fog in Area lasts # additional seconds before dissipating":"你地圖中的譫妄迷霧在消散前持續額外 # 秒",
-  "Delirium Fog in your Maps lasts # additional seconds before dissipating":"你地圖中的譫妄迷霧在消散前持續額外 # 秒",
-  "#% increased Mana Regeneration Rate while stationary":"站立時增加 #% 魔力回復率",
-  "#% increased Effect of Small Passive Skills in Radius":"範圍內小型天賦的效果增加 #%",
-  "Regenerate #% of maximum Life per second while on Low Life":"貧血時每秒回復 #% 生命",
-  "#% to Fire Resistance while on Low Life":"貧血時 #% 火焰抗性",
-  "Regenerate #% of maximum Life per second":"每秒回復 #% 生命",
-  "Upgrades Radius to Large":"升級範圍至大",
-  "Delirium Fog in Area dissipates #% faster":"你地圖中的譫妄迷霧消散比平常快 #%",
-  "Delirium Fog in your Maps dissipates #% faster":"你地圖中的譫妄迷霧消散比平常快 #%",
-  "Curses you inflict are reflected back to you":"你造成的詛咒會反射至你",
-  "Delirium Fog in Area spawns #% increased Fracturing Mirrors":"在你的地圖中譫妄之霧產生的破裂之鏡增加 #%",
-  "Delirium Fog in your Maps spawns #% increased Fracturing Mirrors":"在你的地圖中譫妄之霧產生的破裂之鏡增加 #%",
-  "You cannot be Frozen for # second after being Frozen":"在被冰凍後你有 # 秒不會被冰凍",
-  "You cannot be Ignited for # second after being Ignited":"在被點燃後你有 # 秒不會點燃",
-  "You cannot be Shocked for # second after being Shocked":"在被感電後你有 # 秒不會被感電",
-  "You cannot be Chilled for # second after being Chilled":"在被冰緩後你有 # 秒不會被冰緩",
-  "Gain # Fragile Regrowth each second":"每秒獲得 # 脆弱生長",
-  "Maximum # Fragile Regrowth":"最多 # 層脆弱再生",
-  "#% of maximum Life Regenerated per second per Fragile Regrowth":"每層脆弱再生使每秒回復 #% 生命",
-  "#% increased Mana Regeneration Rate per Fragile Regrowth":"每層脆弱生長使魔力回復率增加 #%",
-  "Iron Will":"鋼鐵意志",
-  "Lose all Fragile Regrowth when Hit":"被擊中時失去所有脆弱再生",
-  "#% of Physical Damage prevented Recouped as Life":"抵禦物理傷害時其 #% 補償為生命",
-  "Iron Grip":"堅鐵之力",
-  "Freeze as though dealing Cold damage equal to #% of your maximum Mana when Hit":"擊中時造成冰凍如同造成相當於你最大魔力 #% 的冰冷傷害",
-  "Thorns can Retaliate against all Hits":"荊棘可以對所有擊中給予反擊",
-  "You are considered on Low Life while at #% of maximum Life or below instead":"你處於最大生命的 #% 或更低時會視為貧血狀態",
-  "# Physical Damage taken on Minion Death":"當你的召喚物死亡時承受 # 點物理傷害",
-  "#% chance to Aggravate Bleeding on targets you Critically Hit with Attacks":"你的攻擊暴擊時有 #% 機率加劇目標身上的流血",
-  "#% increased Life and Mana Recovery from Flasks":"增加 #% 來自藥劑恢復的生命和魔力",
-  "#% increased Evasion Rating if you have been Hit Recently":"若近期內有被擊中增加 #% 閃避值",
-  "#% less Damage taken if you have not been Hit Recently":"若近期未被擊中承受 #% 更少傷害",
-  "#% reduced effect of Ignite on you":"你身上的點燃效果減少 #%",
-  "#% reduced Effect of Chill on you":"減少 #% 你所承受的冰緩效果",
-  "#% reduced effect of Shock on you":"你身上的感電效果減少 #%",
-  "+# to Spirit per Socket filled":"每個鑲嵌的插槽使精魂 +#",
-  "#% of Fire Damage from Hits taken as Physical Damage":"承受 #% 的擊中火焰傷害視為物理傷害",
-  "#% increased Ignite Duration on Enemies":"增加 #% 敵人點燃持續時間",
-  "Charms gain # charges per Second":"護符每秒獲得 # 充能",
-  "Every Rage also grants #% increased Armour":"每一層盛怒也會賦予增加 #% 護甲值",
-  "When you Leech Life from a Hit Allies in your Presence also Leech the same amount of Life":"當你透過擊中偷取生命時處於你存在範圍中的友方也會偷取到等量生命",
-  "#% chance for Flasks you use to not consume Charges":"#% 機率使你使用藥劑時不消耗充能",
-  "Enemies Ignited by you take Chaos Damage instead of Fire Damage from Ignite":"被你點燃的敵人承受來自點燃的傷害為混沌而不是火焰傷害",
-  "#% increased Endurance Charge Duration":"增加 #% 耐力球持續時間",
-  "Recover #% of maximum Life for each Endurance Charge consumed":"每消耗一顆耐力球恢復 #% 生命",
-  "Accuracy Rating is Doubled":"命中值翻倍",
-  "Blocking Damage Poisons the Enemy as though dealing # Base Chaos Damage":"格擋傷害會使敵人中毒視同造成 # 基礎混沌傷害",
-  "Every Rage also grants #% increased Stun Threshold":"每一層盛怒也會賦予增加 #% 暈眩門檻",
-  "All Maps in Range can be accessed":"範圍內所有地圖皆可進入",
-  "Bleeding you inflict is Aggravated":"你造成的流血會加劇",
-  "#% chance to Intimidate Enemies for 4 seconds on Hit":"擊中時有 #% 機率威嚇敵人 4 秒",
-  "Adds # to # Chaos Damage to Attacks":"攻擊附加 # 至 # 混沌傷害",
-  "#% increased bonuses gained from Equipped Rings":"自已裝備戒指獲得的加成增加 #%",
-  "Small Passive Skills in Radius also grant #% increased maximum Energy Shield":"範圍內小型天賦也會賦予 增加 #% 最大能量護盾",
-  "Small Passive Skills in Radius also grant #% increased Spell Damage":"範圍內小型天賦也會賦予 增加 #% 法術傷害",
-  "#% increased Warcry Buff Effect":"增加 #% 戰吼的增益效果",
-  "Increases and Reductions to Minion Attack Speed also affect you":"增加和減少召喚物攻擊速度同時影響你",
-  "Your Critical Hits do not deal extra Damage":"你的暴擊不造成額外傷害",
-  "#% increased Global Defences per Socket filled":"每個鑲嵌的插槽使全域防禦增加 #%",
-  "Aggravate Bleeding on Enemies when they Enter your Presence":"敵人進入你的存在範圍時加劇其身上的流血",
-  "Double Stun Threshold while Shield is Raised":"舉起盾牌時暈眩門檻加倍",
-  "+#% to all Elemental Resistances per Socket filled":"每個鑲嵌的插槽使所有元素抗性 +#%",
-  "Recover #% of maximum Mana on Kill":"擊殺時恢復 #% 魔力",
-  "Breaches open and close #% faster":"你地圖中的裂痕開啟和關閉比平常快 #%",
-  "Breaches in your Maps open and close #% faster":"你地圖中的裂痕開啟和關閉比平常快 #%",
-  "Skills have a #% longer Perfect Timing window":"技能有 #% 更長的完美時機空檔",
-  "Life Regeneration is applied to Energy Shield instead":"生命回復套用到能量護盾上",
-  "#% increased Evasion Rating if you've Dodge Rolled Recently":"若你近期用過閃避翻滾閃避值增加 #%",
-  "# metre to Dodge Roll distance":"閃避翻滾距離 # 公尺",
-  "#% increased Parried Debuff Duration":"受招架減益效果持續時間增加 #%",
-  "Damage Blocked is Recouped as Mana":"被格擋的傷害補償為魔力",
-  "Deal #% of Overkill damage to enemies within 2 metres of the enemy killed":"對被擊殺敵人 2 公尺內的敵人造成相當於溢出傷害 #% 的傷害",
-  "Ignites you inflict spread to other Enemies that stay within 1.5 metres for 1 second":"你造成的點燃會在 2 秒後擴散至 1.5 公尺內的其他敵人身上",
-  "Life Recovery from Regeneration is not applied":"不會套用至來自恢復的生命恢復",
-  "Every 4 seconds Recover 1 Life for every # Life Recovery per second from Regeneration":"每 4 秒根據回復的每秒 # 生命恢復恢復 1 生命",
-  "Small Passive Skills in Radius also grant #% increased Cold Damage":"範圍內小型天賦也會賦予 增加 #% 冰冷傷害",
-  "Map has # additional random Modifier":"你的地圖有 # 個額外隨機詞綴",
-  "Your Maps have # additional random Modifier":"你的地圖有 # 個額外隨機詞綴",
-  "# to Ailment Threshold":"# 至元素異常狀態門檻",
-  "Notable Passive Skills in Radius also grant #% increased Cast Speed":"範圍內核心天賦也會賦予 增加 #% 施放速度",
-  "Lose all Tailwind when Hit":"遭擊中時失去所有流順之風",
-  "Gain Tailwind on Critical Hit no more than once per second":"暴擊時獲得流順之風每秒只能觸發一次",
-  "Drop Shocked Ground while moving lasting 8 seconds":"移動時會掉落持續 8 秒的感電地面",
-  "Small Passive Skills in Radius also grant Minions deal #% increased Damage":"範圍內小型天賦也會賦予 增加 #% 召喚物所造成的傷害",
-  "Lightning Damage of Enemies Hitting you is Lucky":"敵人擊中你的閃電傷害相當幸運",
-  "Instant Recovery":"立即恢復",
-  "Area has #% increased chance to contain Rogue Exiles":"你的地圖含有盜賊流亡者的機率增加 #%",
-  "Your Maps have #% increased chance to contain Rogue Exiles":"你的地圖含有盜賊流亡者的機率增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Lightning Damage":"範圍內小型天賦也會賦予 增加 #% 閃電傷害",
-  "Loads an additional bolt":"裝填額外 1 發弩箭",
-  "Small Passive Skills in Radius also grant #% increased Projectile Damage":"範圍內小型天賦也會賦予 增加 #% 投射物傷害",
-  "You gain Onslaught for # seconds on Kill":"擊殺時獲得 # 秒猛攻",
-  "Small Passive Skills in Radius also grant #% increased Mana Regeneration Rate":"範圍內小型天賦也會賦予 增加 #% 魔力回復率",
-  "Attacks Gain #% of Physical Damage as extra Chaos Damage":"攻擊獲得相當於物理傷害 #% 的額外混沌傷害",
-  "Chaos Damage from Hits also Contributes to Electrocute Buildup":"擊中的混沌傷害也會貢獻至觸電累積",
-  "Chaos Damage from Hits also Contributes to Freeze Buildup":"擊中的混沌傷害也會貢獻至冰凍累積",
-  "Attacks Gain #% of Damage as Extra Cold Damage":"攻擊獲得相當於傷害 #% 的額外冰冷傷害",
-  "Enemies Chilled by your Hits increase damage taken by Chill Magnitude":"被你的擊中冰緩的敵人承受更多來自冰緩效果的傷害",
-  "#% to all Maximum Elemental Resistances":"#% 全部最大元素抗性",
-  "Notable Passive Skills in Radius also grant #% increased Life Regeneration rate":"範圍內核心天賦也會賦予 增加 #% 生命回復率",
-  "You take Fire Damage instead of Physical Damage from Bleeding":"你流血時承受火焰傷害而非物理傷害",
-  "Small Passive Skills in Radius also grant #% increased amount of Life Leeched":"範圍內小型天賦也會賦予 生命偷取量增加 #%",
-  "Hits against you have #% reduced Critical Damage Bonus":"對你的擊中減少 #% 暴擊傷害加成",
-  "Favours Deferred at Ritual Altars in Area reappear #% sooner":"區域內祭祀神壇推遲的恩惠再次出現的速度加快 #%",
-  "Favours Deferred at Ritual Altars in your Maps reappear #% sooner":"區域內祭祀神壇推遲的恩惠再次出現的速度加快 #%",
-  "#% increased Maximum Mana per Socket filled":"每個鑲嵌的插槽使最大魔力增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Stun Buildup":"範圍內核心天賦也會賦予 暈眩累積增加 #%",
-  "#% increased effect of Socketed Soul Cores":"插槽中的靈魂核心效果增加 #%",
-  "Arrows Fork":"箭矢分裂",
-  "Arrows Pierce all targets after Forking":"箭矢分裂後穿透所有目標",
-  "#% increased Rarity of Items found per Socket filled":"每個鑲嵌的插槽使找到的物品稀有度增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Evasion Rating":"範圍內小型天賦也會賦予 增加 #% 閃避值",
-  "Small Passive Skills in Radius also grant #% increased Stun Threshold":"範圍內小型天賦也會賦予 暈眩門檻增加 #%",
-  "Revived Monsters from Ritual Altars in Area have #% increased chance to be Magic":"在你的地圖中祭祀神壇將怪物復甦為魔法怪物的機率增加 #%",
-  "Revived Monsters from Ritual Altars in your Maps have #% increased chance to be Magic":"在你的地圖中祭祀神壇將怪物復甦為魔法怪物的機率增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Attack Damage":"範圍內小型天賦也會賦予 增加 #% 攻擊傷害",
-  "Notable Passive Skills in Radius also grant #% increased Attack Speed":"範圍內核心天賦也會賦予 增加 #% 攻擊速度",
-  "Revived Monsters from Ritual Altars in Area have #% increased chance to be Rare":"在你的地圖中祭祀神壇將怪物復甦為稀有怪物的機率增加 #%",
-  "Revived Monsters from Ritual Altars in your Maps have #% increased chance to be Rare":"在你的地圖中祭祀神壇將怪物復甦為稀有怪物的機率增加 #%",
-  "Damage of Enemies Hitting you is Unlucky while you are on Low Life":"當你貧血時敵人造成的傷害很不幸",
-  "Cannot Evade Enemy Attacks":"不能閃避",
-  "Regenerate #% of maximum Life per second while Surrounded":"被包圍時每秒回復 #% 生命",
-  "Small Passive Skills in Radius also grant #% increased Accuracy Rating":"範圍內小型天賦也會賦予 增加 #% 全域命中值",
-  "# Charm Slot (Global)":"# 護符欄位（全域）",
-  "# to Level of all Lightning Skills":"全部閃電技能寶石等級 #",
-  "Notable Passive Skills in Radius also grant #% increased Critical Hit Chance for Spells":"範圍內核心天賦也會賦予 增加 #% 法術暴擊率",
-  "Undead Minions have #% reduced Reservation":"不死召喚物的保留減少 #%",
-  "Skills reserve 50% less Spirit":"技能保留的精魂減少 50%",
-  "#% chance to cause Bleeding on Hit":"擊中時 #% 機率造成流血",
-  "Strikes deal Splash damage to targets within 1.5 metres":"打擊會對 1.5 公尺內的目標造成擴散傷害",
-  "Knocks Back Enemies on Hit":"擊退敵人",
-  "Cannot use Projectile Attacks":"無法使用投射物攻擊",
-  "#% increased Attributes per Socket filled":"每個鑲嵌的插槽使能力值增加 #%",
-  "Deferring Favours at Ritual Altars in Area costs #% increased Tribute":"你地圖中祭祀神壇推遲恩惠的貢禮消耗增加 #%",
-  "Deferring Favours at Ritual Altars in your Maps costs #% increased Tribute":"你地圖中祭祀神壇推遲恩惠的貢禮消耗增加 #%",
-  "Spells fire # additional Projectiles Spells fire Projectiles in a circle":"法術發射 # 個額外投射物 法術的投射物以環狀射出",
-  "# to Level of all Fire Skills":"全部火焰技能寶石等級 #",
-  "#% increased Maximum Life per Socket filled":"每個鑲嵌的插槽使最大生命增加 #%",
-  "Permanently Intimidate enemies on Block":"格擋後對敵人造成威嚇",
-  "Notable Passive Skills in Radius also grant #% increased Critical Damage Bonus":"範圍內核心天賦也會賦予 暴擊傷害加成增加 #%",
-  "Regenerate # Life per second per Maximum Energy Shield":"每 1 點最大能量護盾使你每秒回復 # 生命",
-  "Cannot have Energy Shield":"無法擁有能量護盾",
-  "Area contains #% increased number of Runic Monster Markers":"你的地圖增加 #% 符文怪物印記的數量",
-  "Your Maps contain #% increased number of Runic Monster Markers":"你的地圖增加 #% 符文怪物印記的數量",
-  "#% of Fire damage Converted to Lightning damage":"#% 的火焰傷害轉換為閃電傷害",
-  "On-Kill Effects happen twice":"擊殺效果會觸發兩次",
-  "Area is Cursed with Temporal Chains":"[譯]該區域被施加時空鎖鏈詛咒",
-  "Ritual Favours in Area have #% increased chance to be Omens":"區域內祭祀恩惠含有徵兆的機率增加 #%",
-  "Ritual Favours in your Maps have #% increased chance to be Omens":"區域內祭祀恩惠含有徵兆的機率增加 #%",
-  "Life Flasks do not recover Life":"生命藥劑不會恢復生命",
-  "Area is Cursed with Elemental Weakness":"[譯]該區域被施加元素要害詛咒",
-  "Small Passive Skills in Radius also grant #% increased Melee Damage":"範圍內小型天賦也會賦予 增加 #% 近戰傷害",
-  "Notable Passive Skills in Radius also grant #% increased Critical Hit Chance":"範圍內核心天賦也會賦予 增加 #% 暴擊率",
-  "You lose #% of maximum Energy Shield per second":"每秒失去 #% 能量護盾",
-  "Small Passive Skills in Radius also grant Damage Penetrates #% Cold Resistance":"範圍內小型天賦也會賦予 傷害穿透 #% 冰冷抗性",
-  "Small Passive Skills in Radius also grant #% increased Energy Shield Recharge Rate":"範圍內小型天賦也會賦予 增加 #% 能量護盾充能率",
-  "Small Passive Skills in Radius also grant #% increased Global Physical Damage":"範圍內小型天賦也會賦予 增加 #% 全域物理傷害",
-  "Spells have a #% chance to inflict Withered for 4 seconds on Hit":"法術有 #% 機率在擊中時造成持續 4 秒的凋零",
-  "Excess Life Recovery from Leech is applied to Energy Shield":"偷取的多餘生命恢復會套用至能量護盾",
-  "Targets can be affected by # of your Poisons at the same time":"目標可同時受到你的 # 個中毒影響",
-  "#% increased number of Rare Expedition Monsters in Area":"你地圖中的稀有探險怪物數量增加 #%",
-  "#% increased number of Rare Expedition Monsters in your Maps":"你地圖中的稀有探險怪物數量增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Chaos Damage":"範圍內小型天賦也會賦予 增加 #% 混沌傷害",
-  "Notable Passive Skills in Radius also grant #% faster start of Energy Shield Recharge":"範圍內核心天賦也會賦予 提前 #% 開始充能能量護盾",
-  "Gain #% of Maximum Mana as Armour":"獲得相當於最大魔力 #% 的護甲值",
-  "Increases and Reductions to Mana Regeneration Rate also apply to Energy Shield Recharge Rate":"魔力回復率增減也會 套用於能量護盾充能率",
-  "Area is Cursed with Enfeeble":"[譯]該區域被施加衰弱詛咒",
-  "#% of charges used by Charms granted to your Life Flasks":"護符使用的 #% 充能會賦予給你的生命藥劑",
-  "Corrupted Blood cannot be inflicted on you":"腐化之血對你沒有影響",
-  "#% chance to Poison on Hit with this weapon":"用此武器擊中時有 #% 機率造成中毒",
-  "Any number of Poisons from this Weapon can affect a target at the same time":"此武器造成的任何數量的中毒可以同時影響同一目標",
-  "Small Passive Skills in Radius also grant #% increased Fire Damage":"範圍內小型天賦也會賦予 增加 #% 火焰傷害",
-  "#% increased Melee Strike Range with this weapon":"此武器增加 #% 近戰打擊範圍",
-  "Map Bosses have # additional Modifier":"傳奇頭目會擁有 # 個額外的詞綴",
-  "#% increased Projectile Speed with this Weapon":"此武器的投射物速度增加 #%",
-  "All Damage from Hits with this Weapon Contributes to Pin Buildup":"以此武器擊中的所有傷害貢獻至釘身累積",
-  "Small Passive Skills in Radius also grant #% increased Armour":"範圍內小型天賦也會賦予 增加 #% 護甲",
-  "#% more Attack Damage":"#% 更多攻擊傷害",
-  "#% increased Quantity of Expedition Logbooks dropped by Runic Monsters":"增加 #% 你的地圖內符文怪物掉落探險日誌的數量",
-  "#% increased Quantity of Expedition Logbooks dropped by Runic Monsters in your Maps":"增加 #% 你的地圖內符文怪物掉落探險日誌的數量",
-  "Small Passive Skills in Radius also grant #% increased Life Recovery from Flasks":"範圍內小型天賦也會賦予 增加 #% 來自藥劑的生命恢復",
-  "#% increased Arrow Speed":"增加 #% 箭矢速度",
-  "# Strength Requirement":"# 力量需求",
-  "Map Bosses are Hunted by Azmeri Spirits":"地圖頭目會遭到阿茲莫里魂靈狩獵",
-  "Energy Shield Recharge starts when you use a Mana Flask":"當你使用魔力藥劑能量護盾充能會開始生效",
-  "Delirium Encounters in Area have #% chance to generate an additional Reward type":"你地圖中的譫妄事件有 #% 機率產生 1 個額外獎勵類型",
-  "Delirium Encounters in your Maps have #% chance to generate an additional Reward type":"你地圖中的譫妄事件有 #% 機率產生 1 個額外獎勵類型",
-  "Slaying Rare Monsters in Area pauses the Delirium Mirror Timer for 1 second":"擊殺你地圖中的稀有怪物會使譫妄之鏡的計時器暫停 1 秒",
-  "Slaying Rare Monsters in your Maps pauses the Delirium Mirror Timer for 1 second":"擊殺你地圖中的稀有怪物會使譫妄之鏡的計時器暫停 1 秒",
-  "Onslaught":"猛攻",
-  "Notable Passive Skills in Radius also grant #% increased Magnitude of Ignite you inflict":"範圍內核心天賦也會賦予 你所施加之點燃的幅度增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Block chance":"範圍內核心天賦也會賦予 格擋機率增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Damage with Bows":"範圍內小型天賦也會賦予 持弓類武器時增加 #% 傷害",
-  "Enemies Frozen by you take #% increased Damage":"被你冰凍的敵人所受到的傷害增加 #%",
-  "Small Passive Skills in Radius also grant Damage Penetrates #% Lightning Resistance":"範圍內小型天賦也會賦予 傷害穿透 #% 閃電抗性",
-  "#% chance to gain Volatility on Kill":"擊殺時有 #% 機率獲得易爆",
-  "#% to maximum Block chance":"#% 至最大格擋機率",
-  "Small Passive Skills in Radius also grant Minions have #% increased maximum Life":"範圍內小型天賦也會賦予 召喚物增加 #% 最大生命",
-  "Notable Passive Skills in Radius also grant #% increased Area of Effect":"範圍內核心天賦也會賦予 增加 #% 範圍效果",
-  "Notable Passive Skills in Radius also grant Minions have #% increased Attack and Cast Speed":"範圍內核心天賦也會賦予 召喚物增加 #% 攻擊和施放速度",
-  "Notable Passive Skills in Radius also grant Recover #% of maximum Life on Kill":"範圍內核心天賦也會賦予 擊殺時恢復 #% 生命",
-  "Chaos Resistance is zero":"混沌抗性為 0",
-  "Cannot Regenerate Mana if you haven't dealt a Critical Hit Recently":"如果你近期沒有暴擊則無法恢復魔力",
-  "# to Maximum Power Charges":"# 最大暴擊球",
-  "#% increased Mana Regeneration Rate if you've dealt a Critical Hit Recently":"若你近期造成暴擊魔力回復率增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Damage with Crossbows":"範圍內小型天賦也會賦予 增加 #% 十字弓傷害",
-  "Blood Magic":"祭血術",
-  "# to all Attributes per Level":"每級使所有能力值 #",
-  "Small Passive Skills in Radius also grant Minions have #% to all Elemental Resistances":"範圍內小型天賦也會賦予 召喚物有 #% 全部元素抗性",
-  "Small Passive Skills in Radius also grant #% increased chance to Shock":"範圍內小型天賦也會賦予 增加 #% 感電機率",
-  "Notable Passive Skills in Radius also grant #% of Damage taken Recouped as Life":"範圍內核心天賦也會賦予 承受 #% 傷害補償為生命",
-  "Always Hits":"必定擊中",
-  "Delirium Fog in your Maps never dissipates":"在你的地圖中譫妄之霧永遠不會消散",
-  "Curses have no Activation Delay":"詛咒無啟動延遲",
-  "# Dexterity Requirement":"# 敏捷需求",
-  "Breaches expand to at least # metre in radius Breaches remain open while there are alive Breach Monsters":"你地圖中的裂痕擴展半徑至少為 # 公尺 只要地圖中仍有存活的裂痕怪物裂痕就會保持開啟的狀態",
-  "Breaches in your Maps expand to at least # metre in radius Breaches in your Maps remain open while there are alive Breach Monsters":"你地圖中的裂痕擴展半徑至少為 # 公尺 只要地圖中仍有存活的裂痕怪物裂痕就會保持開啟的狀態",
-  "#% increased Critical Damage Bonus per Power Charge":"每個暴擊球使暴擊傷害加成增加 #%",
-  "Allies in your Presence Gain #% of Damage as Extra Chaos Damage":"在你存在範圍內的友方獲得相當於 #% 傷害的額外混沌傷害",
-  "Equipment and Skill Gems have #% increased Attribute Requirements":"裝備與技能寶石的能力值需求增加 #%",
-  "Enemies in your Presence Gain #% of Damage as Extra Chaos Damage":"在你存在範圍內的敵人獲得相當於 #% 傷害的額外混沌傷害",
-  "Notable Passive Skills in Radius also grant #% increased Attack Speed with Bows":"範圍內核心天賦也會賦予 使用弓類武器時增加 #% 攻擊速度",
-  "Enemies in your Presence killed by anyone count as being killed by you instead":"在你存在範圍中由任何人擊殺的敵人會視為由你擊殺",
-  "Small Passive Skills in Radius also grant #% increased Shock Duration":"範圍內小型天賦也會賦予 感電持續時間增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Magnitude of Poison you inflict":"範圍內核心天賦也會賦予 你所施加之中毒的幅度增加 #%",
-  "Can be modified while Corrupted":"已汙染時仍可調整",
-  "Notable Passive Skills in Radius also grant #% increased Duration of Damaging Ailments on Enemies":"範圍內核心天賦也會賦予 敵人身上的傷害型異常狀態持續時間增加 #%",
-  "On Hitting an enemy gains maximum added Lightning damage equal to the enemy's Power for 6 seconds up to a total of #":"擊中敵人時在 6 秒內獲得等同於敵人強度的最大附加閃電傷害最高總計 #",
-  "#% to Maximum Chaos Resistance":"#% 最大混沌抗性",
-  "All Damage from Hits Contributes to Poison Magnitude":"擊中的所有傷害貢獻至中毒幅度",
-  "Energy Generation is doubled":"能量產生量翻倍",
-  "Small Passive Skills in Radius also grant Gain additional Stun Threshold equal to #% of maximum Energy Shield":"範圍內小型天賦也會賦予 獲得相當於最大 能量護盾 #% 的額外暈眩門檻",
-  "Small Passive Skills in Radius also grant #% increased Damage with Quarterstaves":"範圍內小型天賦也會賦予 細杖傷害增加 #%",
-  "Culling Strike":"撲殺",
-  "Favours at Ritual Altars in Area costs #% increased Tribute":"區域內祭祀神壇恩惠的貢禮消耗增加 #%",
-  "This Weapon's Critical Hit Chance is #%":"此武器的暴擊率為 #%",
-  "Critical Hits do not deal extra Damage":"暴擊不會造成額外傷害",
-  "Your base Energy Shield Recharge Delay is # second":"你的基礎能量護盾充能延遲為 # 秒",
-  "Chance to Ignite is doubled":"點燃機率加倍",
-  "Recover Mana equal to #% of Life Flask's Recovery Amount when used":"使用時恢復相當於生命藥劑恢復量 #% 的魔力",
-  "Notable Passive Skills in Radius also grant Gain # Rage when Hit by an Enemy":"範圍內核心天賦也會賦予 遭敵人擊中時獲得 # 層盛怒",
-  "Grants a Power Charge on use":"使用時賦予一個暴擊球",
-  "Grants a Frenzy Charge on use":"使用時賦予一個狂怒球",
-  "Small Passive Skills in Radius also grant #% increased Warcry Speed":"範圍內小型天賦也會賦予 增加 #% 戰吼施放速度",
-  "Small Passive Skills in Radius also grant #% increased Totem Placement speed":"範圍內小型天賦也會賦予 增加 #% 圖騰放置速度",
-  "All Damage from Hits against Bleeding targets Contributes to Chill Magnitude":"擊中流血目標的所有傷害貢獻至冰緩幅度",
-  "All Damage taken from Hits while Bleeding Contributes to Magnitude of Chill on you":"流血時承受來自擊中的所有傷害貢獻至對你造成的冰緩幅度",
-  "Notable Passive Skills in Radius also grant #% increased Attack Speed with Crossbows":"範圍內核心天賦也會賦予 增加 #% 十字弓攻擊速度",
-  "You have Consecrated Ground around you while stationary":"靜止時你的周圍產生奉獻地面。",
-  "Notable Passive Skills in Radius also grant #% increased Warcry Cooldown Recovery Rate":"範圍內核心天賦也會賦予 增加 #% 戰吼冷卻恢復速度",
-  "Life Recharges":"生命會自行充能",
-  "Take no Extra Damage from Critical Hits":"不會受到暴擊產成的額外暴擊傷害",
-  "#% increased Strength Requirement":"增加 #% 力量需求",
-  "Alternating every 5 seconds: Take #% more Damage from Hits Take #% more Damage over time":"每隔 5 秒替換： 承受 #% 更多擊中傷害 承受 #% 更多持續傷害",
-  "Notable Passive Skills in Radius also grant Gain # Rage on Melee Hit":"範圍內核心天賦也會賦予 近戰擊中時獲得 # 層盛怒",
-  "Recover Life equal to #% of Mana Flask's Recovery Amount when used":"使用時恢復相當於魔力藥劑恢復量 #% 的生命",
-  "Notable Passive Skills in Radius also grant #% increased Stun Buildup with Maces":"範圍內核心天賦也會賦予 使用錘時暈眩累積增加 #%",
-  "Can Reroll Favours at Ritual Altars in your Maps twice as many times":"[譯]可在地圖內的儀式祭壇處額外重置一次恩惠選項",
-  "#% increased Rarity of Items Dropped by Enemies killed with a Critical Hit":"暴擊並擊殺時增加 #% 物品稀有度",
-  "Notable Passive Skills in Radius also grant #% increased Knockback Distance":"範圍內核心天賦也會賦予 增加 #% 擊退距離",
-  "Small Passive Skills in Radius also grant #% increased Weapon Swap Speed":"範圍內小型天賦也會賦予 武器切換速度增加 #%",
-  "Fully Armour Broken enemies you kill with Hits Shatter":"你所擊殺的完全破甲敵人會粉碎",
-  "Breaks Armour equal to #% of damage from Hits with this weapon":"以此武器擊中時造成相當於 #% 傷害的破壞護甲",
-  "Small Passive Skills in Radius also grant Minions have #% additional Physical Damage Reduction":"範圍內小型天賦也會賦予 召喚物有 #% 額外物理傷害減免",
-  "Small Passive Skills in Radius also grant #% increased Elemental Ailment Threshold":"範圍內小型天賦也會賦予 元素異常狀態門檻增加 #%",
-  "Expedition Monsters in your Maps spawn with half of their Life missing":"在你的地圖中探險怪物生成時缺少一半的生命",
-  "Runic Monsters in your Maps are Duplicated":"在你的地圖中符文怪物具有複生體",
-  "Small Passive Skills in Radius also grant #% increased Totem Damage":"範圍內小型天賦也會賦予 增加 #% 圖騰傷害",
-  "Small Passive Skills in Radius also grant #% increased amount of Mana Leeched":"範圍內小型天賦也會賦予 魔力偷取量增加 #%",
-  "Enemies in your Presence are Intimidated":"你存在範圍內的敵人會受到威嚇",
-  "#% chance to Avoid Physical Damage from Hits":"#% 機率避免來自擊中的物理傷害",
-  "#% chance to Avoid Chaos Damage from Hits":"#% 機率避免來自擊中的混沌傷害",
-  "Critical Hits with Spells apply # Stack of Critical Weakness":"以法術暴擊時施加 # 層的暴擊弱點",
-  "Notable Passive Skills in Radius also grant #% increased Attack Speed with Quarterstaves":"範圍內核心天賦也會賦予 細杖攻擊速度增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Damage with Maces":"範圍內小型天賦也會賦予 錘和權杖增加 #% 傷害",
-  "Small Passive Skills in Radius also grant #% chance to Poison on Hit":"範圍內小型天賦也會賦予 擊中時 #% 機率使目標中毒",
-  "All damage with this Weapon causes Electrocution buildup":"此武器造成的所有傷害都會累積觸電",
-  "Cannot use Warcries":"無法使用戰吼",
-  "All Attacks count as Empowered Attacks":"所有攻擊視為強化攻擊",
-  "Giant's Blood":"巨人之血",
-  "Small Passive Skills in Radius also grant Damage Penetrates #% Fire Resistance":"範圍內小型天賦也會賦予 傷害穿透 #% 火焰抗性",
-  "You can use each type of Support Gem an additional time in different Skills":"對於不同技能每一種輔助寶石你都可額外使用一次",
-  "Life Recovery from Flasks is instant":"藥劑的生命恢復會立即生效",
-  "Deals #% of current Mana as Chaos Damage to you when Effect ends":"效果結束時對你造成相當於當前魔力 #% 的混沌傷害",
-  "Critical Hits cannot Extract Impale":"暴擊無法引出穿刺",
-  "Effect is not removed when Unreserved Mana is Filled":"未保留魔力已滿時不移除效果",
-  "Small Passive Skills in Radius also grant #% increased Mana Recovery from Flasks":"範圍內小型天賦也會賦予 增加 #% 來自藥劑的魔力恢復",
-  "Every 3 seconds during Effect deal #% of Mana spent in those seconds as Chaos Damage to Enemies within 3 metres":"在效果期間內每 3 秒對 3 公尺內的敵人造成相當於在該秒數內所消耗魔力 #% 的混沌傷害",
-  "#% increased Duration (Flask)":"增加 #% 持續時間（藥劑）",
-  "Critical Hits inflict Impale":"暴擊會造成穿刺",
-  "Notable Passive Skills in Radius also grant #% increased Critical Spell Damage Bonus":"範圍內核心天賦也會賦予 暴擊法術傷害加成增加 #%",
-  "Debuffs you inflict have #% increased Slow Magnitude":"你施加的減益效果增加 #% 緩速幅度",
-  "Small Passive Skills in Radius also grant #% increased Flask Effect Duration":"範圍內小型天賦也會賦予 增加 #% 藥劑效果持續時間",
-  "Cannot Immobilise enemies":"無法禁錮敵人",
-  "#% chance when you gain a Charge to gain an additional Charge":"當你獲得一顆能量球時有 #% 機率獲得一顆額外的能量球",
-  "Small Passive Skills in Radius also grant #% increased Charm Effect Duration":"範圍內小型天賦也會賦予 增加 #% 護符效果持續時間",
-  "Small Passive Skills in Radius also grant #% increased Totem Life":"範圍內小型天賦也會賦予 增加 #% 圖騰生命",
-  "Small Passive Skills in Radius also grant Triggered Spells deal #% increased Spell Damage":"範圍內小型天賦也會賦予 被觸發的法術增加 #% 法術傷害",
-  "Knockback direction is reversed":"擊退方向顛倒",
-  "Favours Rerolled at Ritual Altars in Area have #% chance to cost no Tribute":"在區域內祭祀神壇重骰恩惠時不消耗貢禮的機率增加 #%",
-  "Favours Rerolled at Ritual Altars in your Maps have #% chance to cost no Tribute":"在區域內祭祀神壇重骰恩惠時不消耗貢禮的機率增加 #%",
-  "Life Recovery from Flasks also applies to Energy Shield":"藥劑的生命恢復同時套用至能量護盾",
-  "# to Maximum Frenzy Charges":"# 最大狂怒球",
-  "Notable Passive Skills in Radius also grant #% increased Magnitude of Bleeding you inflict":"範圍內核心天賦也會賦予 你所施加之流血的幅度增加 #%",
-  "Life Leech is Converted to Energy Shield Leech":"生命偷取轉換為能量護盾偷取",
-  "#% increased Movement Speed per Frenzy Charge":"每個狂怒球增加 #% 移動速度",
-  "# to Level of all Skills":"全部技能寶石等級 #",
-  "Notable Passive Skills in Radius also grant #% increased Defences from Equipped Shield":"範圍內核心天賦也會賦予 增加 #% 從盾牌獲取的防禦",
-  "Small Passive Skills in Radius also grant #% chance to inflict Bleeding on Hit":"範圍內小型天賦也會賦予 擊中時有 #% 機率造成流血",
-  "Attack Hits apply Incision":"攻擊擊中時會施加切割",
-  "Ignite Enemies in Presence as though dealing Fire damage equal to #% of your maximum Life when used":"使用時點燃存在範圍內的敵人造成相當於你最大生命 #% 的火焰傷害",
-  "Can have # additional Instilled Modifiers":"可以有 # 個額外附魔詞綴",
-  "Notable Passive Skills in Radius also grant #% increased Skill Effect Duration":"範圍內核心天賦也會賦予 增加 #% 技能效果持續時間",
-  "# to maximum Valour":"# 最大勇氣",
-  "Dodge Roll passes through Enemies":"閃避翻滾可穿過敵人",
-  "Modifiers to Maximum Block Chance instead apply to Maximum Resistances":"最大格擋率的詞綴改為套用於最大抗性",
-  "You cannot Block":"不能格擋傷害",
-  "Banners always have maximum Valour":"旗幟必定具有最大勇氣",
-  "# Physical Damage taken from Attack Hits":"攻擊擊中 # 承受物理傷害",
-  "Life Leech can Overflow Maximum Life":"生命偷取可以使最大生命溢出",
-  "#% to Chaos Resistance per Socket filled":"每個鑲嵌的插槽使混沌抗性 #%",
-  "#% of Armour applies to Elemental Damage":"#% 護甲套用至承受來自擊中的火焰、冰冷和閃電傷害",
-  "Curse Skills have #% increased Cast Speed":"詛咒技能增加 #% 施放速度",
-  "#% increased Stun Threshold while Parrying":"招架期間增加 #% 暈眩門檻",
-  "#% chance for Slam Skills you use yourself to cause Aftershocks":"你自己使用的重擊技能有 #% 機率造成餘震",
-  "Notable Passive Skills in Radius also grant #% increased Energy Shield from Equipped Focus":"範圍內核心天賦也會賦予 來自已裝備法器的能量護盾增加 #%",
-  "Rolls only the minimum or maximum Damage value for each Damage Type":"每種傷害類型只會骰出最低或最高傷害數值",
-  "Grants up to your maximum Rage on use":"使用時賦予你最大盛怒",
-  "#% increased Culling Strike Threshold":"撲殺門檻增加 #%",
-  "Take # Fire Damage when you Ignite an Enemy":"當你點燃敵人時受到 # 火焰傷害",
-  "#% increased Duration of Curses on you":"增加 #% 自身詛咒的持續時間",
-  "Gain # Mana per Enemy Hit with Attacks":"每用攻擊擊中一個敵人獲得 # 魔力",
-  "Can't use other Rings":"不能使用其他戒指",
-  "Notable Passive Skills in Radius also grant #% increased Magnitude of Shock you inflict":"範圍內核心天賦也會賦予 你所施加之感電的幅度增加 #%",
-  "Armour also applies to Lightning damage taken from Hits":"護甲同時承受來自擊中的閃電傷害",
-  "Enemies in your Presence have Lightning Resistance equal to yours":"敵人處於你的存在範圍之中時其閃電抗性與你相同",
-  "Lightning Resistance does not affect Lightning damage taken":"閃電抗性不影響承受閃電傷害",
-  "All Damage from Hits against Poisoned targets Contributes to Chill Magnitude":"擊中中毒目標的所有傷害貢獻至冰緩幅度",
-  "You have no Accuracy Penalty at Distance":"你在遠距離不會有命中懲罰",
-  "Increases and Reductions to Spell damage also apply to Attacks":"對法術傷害的增幅與減益也會套用在攻擊上",
-  "Moving while Bleeding doesn't cause you to take extra damage":"流血狀態下移動不再承受額外的傷害",
-  "Notable Passive Skills in Radius also grant Recover #% of maximum Mana on Kill":"範圍內核心天賦也會賦予 擊殺時恢復 #% 魔力",
-  "Notable Passive Skills in Radius also grant #% increased Magnitude of Ailments you inflict":"範圍內核心天賦也會賦予 你所施加之異常狀態的幅度增加 #%",
-  "Life and Mana Flasks can be equipped in either slot":"生命和魔力藥劑可裝備於任一欄位",
-  "All Damage taken from Hits while Poisoned Contributes to Magnitude of Chill on you":"中毒時承受來自擊中的所有傷害貢獻至對你造成的冰緩幅度",
-  "Enemies in your Presence count as being on Low Life":"處於你存在範圍中的敵人視為處於貧血狀態",
-  "Areas with Map Bosses contain an additional Shrine":"具有地圖頭目的地區內含 1 座額外的神殿",
-  "Inflicts a random Curse on you when your Totems die ignoring Curse limit":"當你的圖騰死亡時會對你施加一個隨機的詛咒並無視詛咒數量上限",
-  "# to maximum number of Summoned Totems":"# 召喚圖騰的最大數量",
-  "Notable Passive Skills in Radius also grant #% increased Area of Effect of Curses":"範圍內核心天賦也會賦予 詛咒效果範圍增加 #%",
-  "# to all Attributes per Socket filled":"每個鑲嵌的插槽使所有能力值 #",
-  "Notable Passive Skills in Radius also grant #% increased Magnitude of Damaging Ailments you inflict with Critical Hits":"範圍內核心天賦也會賦予 你以暴擊施加之傷害型異常狀態的幅度增加 #%",
-  "Creates Consecrated Ground on use":"使用時會製造奉獻地面",
-  "You have no Elemental Resistances":"你不具有元素抗性",
-  "Notable Passive Skills in Radius also grant #% increased Presence Area of Effect":"範圍內核心天賦也會賦予 存在範圍的效果範圍增加 #%",
-  "The Effect of Chill on you is reversed":"冰緩效果對你是相反的",
-  "Small Passive Skills in Radius also grant #% increased Minion Accuracy Rating":"範圍內小型天賦也會賦予 增加 #% 召喚物命中值",
-  "Small Passive Skills in Radius also grant Offerings have #% increased Maximum Life":"範圍內小型天賦也會賦予 獻祭增加 #% 最大生命",
-  "Notable Passive Skills in Radius also grant Meta Skills gain #% increased Energy":"範圍內核心天賦也會賦予 主要技能獲得能量增加 #%",
-  "# to Level of all Elemental Skills":"# 至所有元素技能的等級",
-  "#% chance for Trigger skills to refund half of Energy Spent":"有 #% 機率使觸發技能返還消耗的一半能量",
-  "Notable Passive Skills in Radius also grant #% increased Projectile Speed":"範圍內核心天賦也會賦予 增加 #% 投射物速度",
-  "Cannot be Ignited":"不能被點燃",
-  "Leech from Critical Hits is instant":"立即獲得暴擊的偷取",
-  "Notable Passive Skills in Radius also grant Minions have #% increased Critical Damage Bonus":"範圍內核心天賦也會賦予 召喚物增加 #% 暴擊傷害加成",
-  "You count as on Low Life while at #% of maximum Mana or below":"當你處於最大魔力的 #% 或更低時視為貧血狀態",
-  "You count as on Low Mana while at #% of maximum Life or below":"當你處於最大生命的 #% 或更低時視為貧魔狀態",
-  "#% increased Effect of Remnants in Area":"你地圖中的遺跡效果增加 #%",
-  "#% increased Effect of Remnants in your Maps":"你地圖中的遺跡效果增加 #%",
-  "#% chance to gain a Power Charge on Critical Hit":"暴擊時 #% 機率獲得暴擊球",
-  "Notable Passive Skills in Radius also grant Minions have #% increased Critical Hit Chance":"範圍內核心天賦也會賦予 召喚物的暴擊機率增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Damage with Hits against Rare and Unique Enemies":"範圍內小型天賦也會賦予 擊中稀有怪和傳奇怪增加 #% 傷害",
-  "Cannot be Shocked":"不能被感電",
-  "Small Passive Skills in Radius also grant Herald Skills deal #% increased Damage":"範圍內小型天賦也會賦予 捷技能增加 #% 傷害",
-  "Can Block damage from all Hits":"可格擋所有擊中傷害",
-  "Notable Passive Skills in Radius also grant #% increased Critical Damage Bonus for Attack Damage":"範圍內核心天賦也會賦予 攻擊傷害的暴擊傷害加成增加 #%",
-  "Cannot use Shield Skills":"無法使用盾牌技能",
-  "#% increased Quantity of Gold Dropped by Slain Enemies":"殺死敵人時掉落的金幣數量增加 #%",
-  "# to maximum Life per Socket filled":"每個鑲嵌的插槽使最大生命 #",
-  "Cannot be Poisoned":"不會中毒",
-  "Block chance is Lucky":"格擋率相當幸運",
-  "Parrying applies # Stack of Critical Weakness":"招架時施加 # 層暴擊弱點",
-  "Areas with Map Bosses contain an additional Strongbox":"具有地圖頭目的地區內含 1 個額外的保險箱",
-  "Notable Passive Skills in Radius also grant #% increased Critical Hit Chance for Attacks":"範圍內核心天賦也會賦予 攻擊的暴擊機率增加 #%",
-  "Skills gain #% of Damage as Chaos Damage per 3 Life Cost":"技能每消耗 3 生命獲得相當於傷害 #% 的混沌傷害",
-  "Only affects Passives in Very Large Ring":"只會影響極大範圍內的天賦",
-  "You can apply # additional Curses":"你可以造成 # 個額外詛咒",
-  "Small Passive Skills in Radius also grant #% increased Curse Duration":"範圍內小型天賦也會賦予 增加 #% 詛咒的持續時間",
-  "Areas with Map Bosses contain an additional Essence":"具有地圖頭目的地區內含 1 個額外的精髓",
-  "Small Passive Skills in Radius also grant #% increased Accuracy Rating with Bows":"範圍內小型天賦也會賦予 使用弓類武器時增加 #% 命中值",
-  "Small Passive Skills in Radius also grant #% increased Freeze Threshold":"範圍內小型天賦也會賦予 冰凍門檻增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Chill Duration on Enemies":"範圍內核心天賦也會賦予 增加 #% 敵人冰緩持續時間",
-  "Notable Passive Skills in Radius also grant #% increased chance to inflict Ailments":"範圍內核心天賦也會賦予 造成異常狀態的機率增加 #%",
-  "Skills have +# to Limit":"技能上限 +#",
-  "#% less Movement and Skill Speed per Dodge Roll in the past 20 seconds":"過去 20 秒內每使用一次閃避翻滾減少 #% 移動和技能速度",
-  "Armour is increased by Overcapped Fire Resistance":"護甲被超過上限的火焰抗性增加",
-  "Dodge Roll avoids all Hits":"閃避翻滾會躲避所有擊中",
-  "Energy Shield is increased by Overcapped Cold Resistance":"能量護盾依超限冰冷抗性增加",
-  "Evasion Rating is increased by Overcapped Lightning Resistance":"閃避值依超限閃電抗性增加",
-  "Elemental Ailment Threshold is increased by Overcapped Chaos Resistance":"元素異常狀態門檻依超限混沌抗性增加",
-  "#% increased Parried Debuff Magnitude":"受招架減益效果的幅度增加 #%",
-  "# to Level of all Cold Skills":"全部冰冷技能寶石等級 #",
-  "Only affects Passives in Medium Ring":"只會影響中範圍內的天賦",
-  "Apply Elemental Exposure to Enemies 3 metres in front of you for 4 seconds while Shield is raised":"舉起盾牌時對你前方 3 公尺內的敵人施加元素曝曬持續 4 秒",
-  "Allies in your Presence Regenerate #% of their Maximum Life per second":"處於你的存在範圍中的友方每秒回復其最大生命的 #%",
-  "Allies in your Presence have Block Chance equal to yours":"存在範圍內的友方具有與你相同的格擋機率",
-  "Enemies in your Presence Resist Elemental Damage based on their Lowest Resistance":"敵人身處你的存在範圍時其元素傷害抵抗以最低抗性為依據",
-  "Small Passive Skills in Radius also grant #% increased Damage while you have an active Charm":"範圍內小型天賦也會賦予 當你有一個作用中的護符傷害增加 #%",
-  "Allies in your Presence Gain #% of Damage as Extra Fire Damage":"在你存在範圍內的友方獲得相當於 #% 傷害的額外火焰傷害",
-  "Only affects Passives in Medium-Small Ring":"只會影響中至小範圍內的天賦",
-  "Infinite Projectile Parry Range":"投射物招架範圍無限",
-  "# to maximum Mana per Socket filled":"每個鑲嵌的插槽使最大魔力 #",
-  "Parried enemies take more Spell Damage instead of more Attack Damage":"受招架敵人承受更多法術傷害而非更多攻擊傷害",
-  "Notable Passive Skills in Radius also grant Debuffs on you expire #% faster":"範圍內核心天賦也會賦予 加速減益效果失效 #%",
-  "Notable Passive Skills in Radius also grant #% increased Freeze Buildup with Quarterstaves":"範圍內核心天賦也會賦予 細杖的冰凍累積增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Freeze Buildup":"範圍內核心天賦也會賦予 增加 #% 冰凍累積",
-  "#% increased Block chance against Projectiles":"投射物的格擋率增加 #%",
-  "#% chance to Curse Enemies with Enfeeble on Block":"格擋時有 #% 機率對敵人施加衰弱詛咒",
-  "Only affects Passives in Large Ring":"只會影響大範圍內的天賦",
-  "Hits against you have #% reduced Critical Damage Bonus per Socket filled":"每個鑲嵌的插槽使對你的擊中減少 #% 暴擊傷害加成",
-  "Right ring slot: Projectiles from Spells cannot Fork":"右戒指欄位：法術的投射物不能分裂",
-  "Left ring slot: Projectiles from Spells Fork":"左戒指欄位：法術的投射物會分裂",
-  "Right ring slot: Projectiles from Spells Chain +# times":"右戒指欄位：法術的投射物連鎖 +# 次",
-  "#% chance to Aggravate Bleeding on Hit":"擊中時有 #% 機率加劇流血",
-  "Left ring slot: Projectiles from Spells cannot Chain":"左戒指欄位：法術的投射物不能連鎖",
-  "Aggravating any Bleeding with this Weapon also Aggravates all Ignites on the target":"以此武器加劇任何流血也會使目標加劇所有點燃",
-  "#% to Block Chance while holding a Focus":"手持法器時#% 至格擋機率",
-  "Notable Passive Skills in Radius also grant #% increased Crossbow Reload Speed":"範圍內核心天賦也會賦予 增加 #% 十字弓裝填速度",
-  "Projectiles from Spells cannot Pierce":"法術的投射物不能穿透",
-  "Only affects Passives in Small Ring":"只會影響小範圍內的天賦",
-  "Small Passive Skills in Radius also grant Mark Skills have #% increased Cast Speed":"範圍內小型天賦也會賦予 印記技能增加 #% 施放速度",
-  "Adds # to # Chaos damage":"附加 # 至 # 混沌傷害",
-  "Only affects Passives in Very Small Ring":"只會影響極小範圍內的天賦",
-  "Small Passive Skills in Radius also grant Mark Skills have #% increased Skill Effect Duration":"範圍內小型天賦也會賦予 印記技能增加 #% 技能效果持續時間",
-  "# Life Regeneration per second per Socket filled":"每個鑲嵌的插槽每秒具有 # 生命回復",
-  "# to Stun Threshold per Socket filled":"每個鑲嵌的插槽使暈眩門檻 #",
-  "Notable Passive Skills in Radius also grant #% increased Duration of Ignite Shock and Chill on Enemies":"範圍內核心天賦也會賦予 敵人身上的點燃、感電和冰緩持續時間增加 #%",
-  "Small Passive Skills in Radius also grant #% chance to Blind Enemies on Hit with Attacks":"範圍內小型天賦也會賦予 攻擊擊中時有 #% 機率造成致盲",
-  "Small Passive Skills in Radius also grant #% increased Damage with Warcries":"範圍內小型天賦也會賦予 戰吼傷害增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Daze Buildup":"範圍內小型天賦也會賦予 目眩累積增加 #%",
-  "Small Passive Skills in Radius also grant Empowered Attacks deal #% increased Damage":"範圍內小型天賦也會賦予 竭盡攻擊增加 #% 傷害",
-  "Small Passive Skills in Radius also grant #% increased Damage against Enemies with Fully Broken Armour":"範圍內小型天賦也會賦予 對完全破甲敵人造成的傷害增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Poison Duration":"範圍內核心天賦也會賦予 增加 #% 中毒持續時間",
-  "Only affects Passives in Medium-Large Ring":"只會影響中至大範圍內的天賦",
-  "Notable Passive Skills in Radius also grant #% increased Pin Buildup":"範圍內核心天賦也會賦予 釘身累積增加 #%",
-  "#% increased Effect of Notable Passive Skills in Radius":"範圍內核心天賦的效果增加 #%",
-  "Small Passive Skills in Radius also grant Break #% increased Armour":"範圍內小型天賦也會賦予 護甲值破壞增加 #%",
-  "Small Passive Skills in Radius also grant #% increased Stun Threshold if you haven't been Stunned Recently":"範圍內小型天賦也會賦予 若你近期未遭暈眩暈眩門檻增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Flask Charges gained":"範圍內核心天賦也會賦予 增加 #% 藥劑充能獲取",
-  "Notable Passive Skills in Radius also grant #% increased Charm Charges gained":"範圍內核心天賦也會賦予 增加 #% 護符充能獲取",
-  "Small Passive Skills in Radius also grant #% increased Thorns damage":"範圍內小型天賦也會賦予 荊棘傷害增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Bleeding Duration":"範圍內核心天賦也會賦予 增加 #% 流血持續時間",
-  "Chaos Damage from Hits also Contributes to Shock Chance":"擊中的混沌傷害也會貢獻至感電機率",
-  "#% of Lightning Damage Converted to Chaos Damage":"#% 的閃電傷害轉換為混沌傷害",
-  "#% increased Maximum Life per socketed Grand Spectrum":"每顆巨光譜增加 #% 最大生命",
-  "Historic":"威宏史觀",
-  "Areas with Map Bosses contain an additional Azmeri Spirit":"具有地圖頭目的地區內含 1 個額外的阿茲莫里魂靈",
-  "Immobilise enemies at #% buildup instead of 100%":"受禁錮敵人的累積效率為 #%而非 100%",
-  "Enemies Immobilised by you take #% less Damage":"你禁錮的敵人承受 #% 更少傷害",
-  "Only affects Passives in Massive Ring":"只會影響巨大範圍內的天賦",
-  "Damage taken Recouped as Life is also Recouped as Energy Shield":"補償為生命的承受傷害也會補償為能量護盾",
-  "All Damage from Hits with this Weapon Contributes to Chill Magnitude":"以此武器擊中的所有傷害貢獻至冰緩幅度",
-  "Take # Chaos damage per second per Endurance Charge":"每擁有一個耐力球每秒受到 # 點混沌傷害",
-  "Attacks consume an Endurance Charge to Critically Hit":"消耗一個耐力球的攻擊必定暴擊",
-  "Intimidate Enemies on Block for # second":"格擋時威嚇敵人持續 # 秒",
-  "Bow Attacks consume #% of your maximum Life Flask Charges if possible to deal added Physical damage equal to #% of Flask's Life Recovery amount":"情況許可時弓的攻擊會消耗你所擁有最大生命藥劑充能的 #%造成相當於藥劑生命恢復量 #% 的附加物理傷害",
-  "Charms use no Charges":"護符不使用充能",
-  "Recover all Mana when Used":"使用後恢復所有魔力",
-  "When you Kill a Rare monster you gain its Modifiers for 60 seconds":"當你殺死一個稀有怪物時獲得其詞綴持續 60 秒",
-  "Enemies in your Presence count as having double Power":"處於你存在範圍中的敵人視為擁有兩倍強度",
-  "Completing Irradiated Maps in Range removes Irradiation instead":"完成範圍內的照耀地圖時改為移除其 照耀狀態",
-  "Skills gain a Base Life Cost equal to #% of Base Mana Cost":"技能獲得等同 #% 基礎魔力消耗的基礎生命消耗",
-  "Small Passive Skills in Radius also grant #% increased Damage with Spears":"範圍內小型天賦也會賦予 長鋒傷害增加 #%",
-  "#% increased Global Evasion Rating when on Low Life":"貧血時增加 #% 全域閃避值",
-  "#% of Damage from Hits is taken from your Damageable Companion's Life before you":"擊中傷害的 #% 會先由你的可傷害盟友承受",
-  "Take #% of Mana Costs you pay for Skills as Physical Damage":"你承受相當於 #% 技能魔力消耗的物理傷害",
-  "Enemies in your Presence have at least #% of Life Reserved":"在你存在範圍內的敵人至少擁有 #% 生命保留",
-  "#% of Elemental damage from Hits taken as Chaos damage":"承受 #% 的擊中元素傷害視為混沌傷害",
-  "#% chance to be Poisoned":"#% 機率被中毒",
-  "Notable Passive Skills in Radius also grant #% increased Attack Speed with Spears":"範圍內核心天賦也會賦予 長鋒攻擊速度增加 #%",
-  "Area has #% chance to contain an Essence":"你的地圖 #% 機率含有 1 個精髓",
-  "Your Maps have #% chance to contain an Essence":"你的地圖 #% 機率含有 1 個精髓",
-  "You can have two Companions of different types":"你可以擁有兩個不同類型的盟友",
-  "Area has #% chance to contain a Shrine":"你的地圖 #% 機率含有 1 個神殿",
-  "Your Maps have #% chance to contain a Shrine":"你的地圖 #% 機率含有 1 個神殿",
-  "Area has #% chance to contain a Strongbox":"你的地圖 #% 機率含有 1 個保險箱",
-  "Your Maps have #% chance to contain a Strongbox":"你的地圖 #% 機率含有 1 個保險箱",
-  "Notable Passive Skills in Radius also grant #% increased Intelligence":"範圍內核心天賦也會賦予 增加 #% 智慧",
-  "#% more maximum Physical Attack Damage":"#% 更多最大物理攻擊傷害",
-  "#% less minimum Physical Attack Damage":"#% 更少最小物理攻擊傷害",
-  "Notable Passive Skills in Radius also grant #% increased Valour gained":"範圍內核心天賦也會賦予 勇氣獲得量增加 #%",
-  "Notable Passive Skills in Radius also grant #% increased Dexterity":"範圍內核心天賦也會賦予 增加 #% 敏捷",
-  "#% increased Spirit per socketed Grand Spectrum":"每顆巨光譜增加 #% 精魂",
-  "Small Passive Skills in Radius also grant Banner Skills have #% increased Duration":"範圍內小型天賦也會賦予 鬥旗技能增加 #% 持續時間",
-  "Notable Passive Skills in Radius also grant #% increased Strength":"範圍內核心天賦也會賦予 增加 #% 力量",
-  "Lose all Rage on reaching Maximum Rage":"達到最大盛怒時失去所有盛怒",
-  "Gain # random Charge on reaching Maximum Rage":"達到最大盛怒時獲得 # 顆隨機能量球",
-  "Expeditions in Area have # Remnants":"在你的地圖中探險具有 # 個遺物",
-  "Expeditions in your Maps have # Remnant":"在你的地圖中探險具有 # 個遺物",
-  "Inflict Corrupted Blood for # second on Block dealing #% of your maximum Life as Physical damage per second":"格擋時對目標造成持續 # 秒的腐化之血 每秒造成相當於你最大生命 #% 的物理傷害",
-  "Small Passive Skills in Radius also grant Companions deal #% increased Damage":"範圍內小型天賦也會賦予 盟友造成的傷害增加 #%",
-  "Life that would be lost by taking Damage is instead Reserved until you take no Damage to Life for # second":"將承受傷害損失的生命改為保留直到你 # 秒內沒受到傷害",
-  "Your Critical Damage Bonus is 300%":"你的暴擊加成為 300%",
-  "Small Passive Skills in Radius also grant Companions have #% increased maximum Life":"範圍內小型天賦也會賦予 盟友的最大生命增加 #%",
-  "Defend against Hits as though you had #% more Armour per 1% current Energy Shield":"目前每保有 1% 能量護盾以相當於具有 #% 更多護甲值來防禦擊中",
-  "Small Passive Skills in Radius also grant #% to Fire Resistance":"範圍內小型天賦也會賦予 #% 火焰抗性",
-  "Small Passive Skills in Radius also grant #% to Cold Resistance":"範圍內小型天賦也會賦予 #% 冰冷抗性",
-  "Small Passive Skills in Radius also grant Gain additional Ailment Threshold equal to #% of maximum Energy Shield":"範圍內小型天賦也會賦予获得等同于最大能量护盾 #% 的额外异常状态阈值",
-  "Notable Passive Skills in Radius also grant #% increased Slowing Potency of Debuffs on You":"範圍內核心天賦也會賦予 減益效果對你的緩速程度增加 #%",
-  "Maximum Physical Damage Reduction is 50%":"最大物理傷害減免為 50%",
-  "Defend with 200% of Armour":"以 200% 護甲值防禦",
-  "Small Passive Skills in Radius also grant #% to Lightning Resistance":"範圍內小型天賦也會賦予 #% 閃電抗性",
-  "Notable Passive Skills in Radius also grant Gain #% of Damage as Extra Fire Damage":"範圍內核心天賦也會賦予 獲得相當於傷害 #% 的額外火焰傷害",
-  "Notable Passive Skills in Radius also grant #% of Skill Mana Costs Converted to Life Costs":"範圍內核心天賦也會賦予 #% 技能魔力消耗轉換為生命消耗",
-  "Notable Passive Skills in Radius also grant #% increased Armour Break Duration":"範圍內核心天賦也會賦予 護甲破壞持續時間增加 #%",
-  "Notable Passive Skills in Radius also grant #% to Maximum Cold Resistance":"範圍內核心天賦也會賦予 #% 最大冰冷抗性",
-  "1% increased Movement Speed per # Evasion Rating Other Modifiers to Movement Speed do not apply":"每擁有 # 閃避值移動速度增加 1% 其他套用至移動速度的詞綴無效",
-  "Notable Passive Skills in Radius also grant #% to Maximum Lightning Resistance":"範圍內核心天賦也會賦予 #% 最大閃電抗性",
-  "Decimating Strike":"屠戮打擊",
-  "Maximum Chance to Evade is 50%":"最大閃避機率為 50%",
-  "Enemies have an Accuracy Penalty against you based on Distance":"敵人對你具有視距離而定的命中懲罰",
-  "Recover #% of maximum Life when you Block":"當你格擋時恢復 #% 生命",
-  "Notable Passive Skills in Radius also grant #% increased Critical Damage Bonus with Spears":"範圍內核心天賦也會賦予 使用長鋒時暴擊傷害加成增加 #%",
-  "You have no Spirit":"你沒有精魂",
-  "#% of Chaos damage you prevent when Hit Recouped as Life and Mana during effect":"抵禦遭擊中所承受的混沌傷害時其 #% 會補償為生命和魔力",
-  "Notable Passive Skills in Radius also grant Gain #% of Damage as Extra Cold Damage":"範圍內核心天賦也會賦予 獲得相當於傷害 #% 的額外冰冷傷害",
-  "Presence Radius is doubled":"存在範圍的範圍加倍",
-  "#% to all Elemental Resistances per socketed Grand Spectrum":"每顆巨光譜 #% 全部元素抗性",
-  "# to Level of Conductivity Skills":"導電技能增加 # 級",
-  "# to Level of Despair Skills":"絕望技能增加 # 級",
-  "Notable Passive Skills in Radius also grant #% to Maximum Fire Resistance":"範圍內核心天賦也會賦予 #% 最大火焰抗性",
-  "Notable Passive Skills in Radius also grant Gain #% of Damage as Extra Lightning Damage":"範圍內核心天賦也會賦予 獲得相當於傷害 #% 的額外閃電傷害",
-  "# to Level of Temporal Chains Skills":"時空鎖鏈技能增加 # 級",
-  "Minions have Unholy Might":"召喚物具有不潔之力",
-  "Passives in Radius of Giant's Blood can be Allocated without being connected to your tree":"範圍 巨人之血 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "# to Level of Hypothermia Skills":"急凍技能增加 # 級",
-  "# to Level of Flammability Skills":"易燃技能增加 # 級",
-  "Passives in Radius of Conduit can be Allocated without being connected to your tree":"範圍 能量連結 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Glancing Blows can be Allocated without being connected to your tree":"範圍 側身之擊 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Lightning Damage of Enemies Hitting you is Lucky during effect":"在效果期間敵人擊中你的閃電傷害相當幸運",
-  "# to Level of Enfeeble Skills":"衰弱技能增加 # 級",
-  "Notable Passive Skills in Radius also grant #% increased bonuses gained from Equipped Quiver":"範圍內核心天賦也會賦予 增加 #% 你箭袋詞綴的效果",
-  "# to Level of Vulnerability Skills":"脆弱技能增加 # 級",
-  "Passives in Radius of Pain Attunement can be Allocated without being connected to your tree":"範圍 苦痛靈曲 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Avatar of Fire can be Allocated without being connected to your tree":"範圍 火之化身 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Ancestral Bond can be Allocated without being connected to your tree":"範圍 先祖魂約 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Vaal Pact can be Allocated without being connected to your tree":"範圍 瓦爾冥約 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Blood Magic can be Allocated without being connected to your tree":"範圍 祭血術 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Small Passive Skills in Radius also grant #% increased maximum Life":"範圍內小型天賦也會賦予 增加 #% 最大生命",
-  "Small Passive Skills in Radius also grant #% increased Damage if you have Consumed a Corpse Recently":"範圍內小型天賦也會賦予 若你近期有消耗屍體增加 #% 傷害",
-  "Notable Passive Skills in Radius also grant #% increased Curse Magnitudes":"範圍內核心天賦也會賦予 增加 #% 詛咒幅度",
-  "Notable Passive Skills in Radius also grant #% increased Effect of Withered":"範圍內核心天賦也會賦予 增加 #% 凋零效果",
-  "Deal your Thorns Damage to Enemies you Stun with Melee Attacks":"對你所暈眩的敵人造成你的荊棘傷害",
-  "Small Passive Skills in Radius also grant #% reduced Shock duration on you":"範圍內小型天賦也會賦予 減少 #% 你感電的持續時間",
-  "Small Passive Skills in Radius also grant #% increased maximum Mana":"範圍內小型天賦也會賦予 增加 #% 最大魔力",
-  "#% of Spell Damage Leeched as Life":"法術傷害的 #% 轉化為生命偷取",
-  "Passives in Radius of Chaos Inoculation can be Allocated without being connected to your tree":"範圍 異靈之體 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Small Passive Skills in Radius also grant #% reduced Freeze Duration on you":"範圍內小型天賦也會賦予 減少 #% 你被冰凍的持續時間",
-  "Passives in Radius of Bulwark can be Allocated without being connected to your tree":"範圍 守護 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "#% increased Experience gain":"增加 #% 獲得的經驗",
-  "Passives in Radius of Elemental Equilibrium can be Allocated without being connected to your tree":"範圍 元素之相 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Eternal Youth can be Allocated without being connected to your tree":"範圍 青春永駐 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Small Passive Skills in Radius also grant #% reduced Ignite Duration on you":"範圍內小型天賦也會賦予 減少 #% 你被點燃的持續時間",
-  "Small Passive Skills in Radius also grant #% increased Projectile Damage if you've dealt a Melee Hit in the past eight seconds":"範圍內小型天賦也會賦予 如果你在過去 8 秒內以近戰擊中則投射物傷害增加 #%",
-  "Everlasting Sacrifice":"永恆奉獻",
-  "Small Passive Skills in Radius also grant #% increased Melee Damage if you've dealt a Projectile Attack Hit in the past eight seconds":"範圍內小型天賦也會賦予 如果你在過去 8 秒內以投射物攻擊擊中近戰傷害增加 #%",
-  "Passives in Radius of Acrobatics can be Allocated without being connected to your tree":"範圍 移形換影 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Notable Passive Skills in Radius also grant #% of Damage is taken from Mana before Life":"範圍內核心天賦也會賦予 生命值所受的 #% 傷害由魔力扣除",
-  "Passives in Radius of Resolute Technique can be Allocated without being connected to your tree":"範圍 堅毅之心 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Energy Shield Recharge starts on use":"使用時能量護盾開始充能",
-  "Notable Passive Skills in Radius also grant #% increased Movement Speed":"範圍內核心天賦也會賦予 增加 #% 移動速度",
-  "Small Passive Skills in Radius also grant #% increased Hazard Damage":"範圍內小型天賦也會賦予 危險的傷害增加 #%",
-  "Notable Passive Skills in Radius also grant Projectiles have #% chance for an additional Projectile when Forking":"範圍內核心天賦也會賦予 投射物分裂時有 #% 機率有 1 個額外投射物",
-  "Passives in Radius of Necromantic Talisman can be Allocated without being connected to your tree":"範圍 靈能魔符 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Small Passive Skills in Radius also grant Minions have #% to Chaos Resistance":"範圍內小型天賦也會賦予 召喚物有 #% 混沌抗性",
-  "#% increased Attack Speed per 25 Dexterity":"每 25 點敏捷增加 #% 攻擊速度",
-  "Small Passive Skills in Radius also grant Banner Skills have #% increased Area of Effect":"範圍內小型天賦也會賦予 旗幟技能增加 #% 效果範圍",
-  "Notable Passive Skills in Radius also grant #% increased Effect of your Mark Skills":"範圍內核心天賦也會賦予 你的印記技能效果增加 #%",
-  "Notable Passive Skills in Radius also grant Offering Skills have #% increased Duration":"範圍內核心天賦也會賦予 奉獻技能增加 #% 持續時間",
-  "Small Passive Skills in Radius also grant #% increased Parry Damage":"範圍內小型天賦也會賦予 增加 #% 招架傷害",
-  "Notable Passive Skills in Radius also grant #% increased Blind Effect":"範圍內核心天賦也會賦予 增加 #% 致盲效果",
-  "When you Consume a Charge Trigger Chaotic Infusion to gain # Chaos Infusion":"每當你消耗 1 顆 能量球時會觸發混沌灌注並獲得 # 混沌灌注",
-  "Non-Channelling Spells have #% increased Critical Hit Chance per 100 maximum Life":"每 100 最大生命增加 #% 非引導法術的暴擊率",
-  "Passives in Radius of Oasis can be Allocated without being connected to your tree":"範圍 幻景綠洲 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Non-Channelling Spells cost an additional #% of your maximum Life":"非引導法術額外消耗你的 #% 最大生命",
-  "Notable Passive Skills in Radius also grant Damaging Ailments deal damage #% faster":"範圍內核心天賦也會賦予 傷害型異常狀態造成傷害加速 #%",
-  "Non-Channelling Spells deal #% increased Damage per 100 maximum Life":"每 100 最大生命增加 #% 非引導法術的傷害",
-  "Passives in Radius of Heartstopper can be Allocated without being connected to your tree":"範圍 心靈永止 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Life Leech recovers based on your Chaos damage instead of Physical damage":"生命偷取恢復依據你的混沌傷害而非物理傷害",
-  "Notable Passive Skills in Radius also grant Projectiles have #% chance to Chain an additional time from terrain":"範圍內核心天賦也會賦予 投射物有 #% 機率從地形額外連鎖一次",
-  "#% increased Effect of Jewel Socket Passive Skills containing Corrupted Magic Jewels":"含有已汙染魔法珠寶的 珠寶插槽天賦效果增加 #%",
-  "Passives in Radius of Whispers of Doom can be Allocated without being connected to your tree":"範圍 滅世之語 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Notable Passive Skills in Radius also grant #% chance to Pierce an Enemy":"範圍內核心天賦也會賦予 有 #% 機率穿透一個敵人",
-  "Remembrancing # songworthy deeds by the line of Medved Passives in radius are Conquered by the Kalguur":"緬懷 # 個梅德偉血脈值得歌頌的事蹟 範圍內的天賦受卡爾葛征服",
-  "Passives in Radius of Trusted Kinship can be Allocated without being connected to your tree":"範圍 可信之情 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Remembrancing # songworthy deeds by the line of Vorana Passives in radius are Conquered by the Kalguur":"緬懷 # 個沃拉娜血脈值得歌頌的事蹟 範圍內的天賦受卡爾葛征服",
-  "Remembrancing # songworthy deeds by the line of Olroth Passives in radius are Conquered by the Kalguur":"緬懷 # 個奧爾羅斯血脈值得歌頌的事蹟 範圍內的天賦受卡爾葛征服",
-  "Passives in Radius of Eldritch Battery can be Allocated without being connected to your tree":"範圍 異能魔力 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Notable Passive Skills in Radius also grant Gain #% of Damage as Extra Chaos Damage":"範圍內核心天賦也會賦予 獲得相當於傷害 #% 的額外混沌傷害",
-  "Notable Passive Skills in Radius also grant #% increased Cooldown Recovery Rate":"範圍內核心天賦也會賦予 增加 #% 冷卻恢復速度",
-  "Ritual Altars in Area allow rerolling Favours an additional time":"你地圖中的祭祀神壇可以重骰恩賜之物額外 1 次",
-  "Ritual Altars in your Maps allow rerolling Favours an additional time":"你地圖中的祭祀神壇可以重骰恩賜之物額外 1 次",
-  "Notable Passive Skills in Radius also grant # to Maximum Rage":"範圍內核心天賦也會賦予 # 最大盛怒上限",
-  "Small Passive Skills in Radius also grant #% to Chaos Resistance":"範圍內小型天賦也會賦予 #% 混沌抗性",
-  "Passives in Radius of Crimson Assault can be Allocated without being connected to your tree":"範圍 緋紅攻擊 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Notable Passive Skills in Radius also grant Aura Skills have #% increased Magnitudes":"範圍內核心天賦也會賦予 光環技能增加 #% 幅度",
-  "Notable Passive Skills in Radius also grant #% to Maximum Chaos Resistance":"範圍內核心天賦也會賦予 #% 最大混沌抗性",
-  "Passives in Radius of Iron Reflexes can be Allocated without being connected to your tree":"範圍 霸體 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Passives in Radius of Resonance can be Allocated without being connected to your tree":"範圍 共鳴 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Notable Passive Skills in Radius also grant #% increased Life Flask Charges gained":"範圍內核心天賦也會賦予 增加 #% 生命藥劑充能獲取",
-  "Passives in Radius of Zealot's Oath can be Allocated without being connected to your tree":"範圍 狂熱者的誓言 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Notable Passive Skills in Radius also grant #% increased Mana Flask Charges gained":"範圍內核心天賦也會賦予 增加 #% 魔力藥劑充能獲取",
-  "Enemies in your Presence have no Elemental Resistances":"處於你存在範圍中的敵人不具有元素抗性",
-  "Notable Passive Skills in Radius also grant Minions have #% increased Area of Effect":"範圍內核心天賦也會賦予 召喚物增加 #% 範圍效果",
-  "Passives in Radius of Dance with Death can be Allocated without being connected to your tree":"範圍 與死共舞 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "You cannot be Chilled or Frozen":"無法被冰緩或冰凍",
-  "Sacrifice up to 10 Vaal Orbs to receive double on Trial completion":"獻祭最多 10 顆瓦爾寶珠以在完成試煉時獲得兩倍獎勵",
-  "Damage Penetrates #% Elemental Resistances":"傷害穿透 #% 元素抗性",
-  "Passives in Radius of Unwavering Stance can be Allocated without being connected to your tree":"範圍 烈士意志 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Sacrifice up to 20 Exalted Orbs to receive double on Trial completion":"獻祭最多 20 顆崇高石以在完成試煉時獲得兩倍獎勵",
-  "Recover #% of Missing Life before being Hit by an Enemy":"遭敵人擊中前獲得失去生命的 #%",
-  "Your Hits can Penetrate Elemental Resistances down to a minimum of -50%":"你的擊中可以穿透元素抗性最低降低至 -50%",
-  "Gain #% of damage as Fire damage per 1% Chance to Block":"每擁有 1% 格擋率獲得相當於 #% 傷害的火焰傷害",
-  "#% increased Cost of Skills for each 200 total Mana Spent Recently":"近期每消耗 200 總魔力增加 #% 技能消耗",
-  "#% increased Spell damage for each 200 total Mana you have Spent Recently":"你近期每花費 200 總魔力法術傷害增加 #%",
-  "Mana Recovery other than Regeneration cannot Recover Mana":"魔力恢復以外的回復無法恢復魔力",
-  "Can Evade all Hits if you have not been Hit Recently":"如果你近期未遭擊中可閃避所有擊中",
-  "#% chance to Poison on Hit with Attacks":"攻擊擊中時有 #% 機率使目標中毒",
-  "Lightning Resistance is unaffected by Area Penalties":"閃電抗性不受地區懲罰影響",
-  "You can only Socket Emerald Jewels in this item":"你只能在這件物品上鑲嵌翡翠珠寶",
-  "Blind Targets when you Poison them":"對目標施加中毒時對其致盲",
-  "#% increased effect of Socketed Items":"鑲嵌的物品增加 #% 效果",
-  "Fire Resistance is unaffected by Area Penalties":"火焰抗性不受地區懲罰影響",
-  "You can only Socket Ruby Jewels in this item":"你只能在這件物品上鑲嵌紅玉珠寶",
-  "Cold Resistance is unaffected by Area Penalties":"冰冷抗性不受地區懲罰影響",
-  "You can only Socket Sapphire Jewels in this item":"你只能在這件物品上鑲嵌藍玉珠寶",
-  "Gain #% of Cold damage as Extra Fire damage per 1% Chill Magnitude on enemy":"敵人身上每有 1% 冰緩幅度便獲得相當於 #% 冰冷傷害的額外火焰傷害",
-  "#% of Elemental Damage Converted to Chaos Damage":"#% 的元素傷害轉換為混沌傷害",
-  "Enemies in your Presence are Blinded":"你存在範圍內的敵人會受到致盲",
-  "Sacrifice up to 20 Regal Orbs to receive double on Trial completion":"獻祭最多 20 顆富豪石以在完成試煉時獲得兩倍獎勵",
-  "#% of Current Energy Shield also grants Elemental Damage reduction":"現有能量護盾的 #% 也會賦予元素傷害減免",
-  "You can wield Two-Handed Axes Maces and Swords in one hand":"你可單手握持雙手斧、錘以及劍",
-  "Can't use Body Armour":"不能使用胸甲",
-  "Every second inflicts Critical Weakness on enemies in your Presence for # second":"每秒對你存在範圍內的敵人造成暴擊弱點持續 # 秒",
-  "Notable Passive Skills in Radius also grant #% increased Warcry Buff Effect":"範圍內核心天賦也會賦予 增加 #% 戰吼的增益效果",
-  "Sacrifice up to 10 Orbs of Alchemy to receive double on Trial completion":"獻祭最多 10 顆點金石以在完成試煉時獲得兩倍獎勵",
-  "Sacrifice up to 10 Chaos Orbs to receive double on Trial completion":"獻祭最多 10 顆混沌石以在完成試煉時獲得兩倍獎勵",
-  "Notable Passive Skills in Radius also grant # to Spirit":"範圍內核心天賦也會賦予 # 精魂",
-  "+1 to Maximum Spirit per # Maximum Life":"每 # 最大生命+1 最大 精魂",
-  "Pin Enemies which are Primed for Pinning":"將可釘身的敵人釘身",
-  "Passives in Radius of Mind Over Matter can be Allocated without being connected to your tree":"範圍 心靈昇華 內的天賦可以在沒有連結你的天賦樹下被配置",
-  "Reflects opposite Ring":"複製對側戒指效果",
-  "# metre to Dodge Roll distance if you haven't Dodge Rolled Recently":"[譯]如果你近期未進行翻滾翻滾距離增加 # 米",
-  "Inflict Cold Exposure on Hit":"[譯]擊中時施加寒冷曝露",
-  "Players have #% more Defences":"玩家的防禦增加 #%",
-  "Soul Eater":"噬魂者",
-  "Barrageable Attacks with this Bow Repeat # time if no enemies are in your Presence":"[譯]若你周圍沒有敵人使用該弓的可連射攻擊會額外重復 # 次",
-  "#% increased Spell Damage per 10 Intelligence":"每 10 智慧增加 #% 法術傷害",
-  "#% chance to load a bolt into all Crossbow skills on Kill":"[譯]擊殺時有 #% 幾率為所有弩技能裝填弩箭",
-  "Sacrifice # Life to not consume the last bolt when firing":"[譯]射擊時犧牲 # 點生命以避免消耗最後一支弩箭",
-  "Players have #% more Recovery Rate of Life Mana and Energy Shield":"玩家有 #% 更多生命、魔力和能量護盾恢復率",
-  "#% to all Elemental Resistances per Power Charge":"[譯]每個能量球使所有元素抗性提高 #%",
-  "Attacks have Added maximum Lightning Damage equal to #% of maximum Mana":"[譯]攻擊附加最大閃電傷害數值等於最大魔力的 #%",
-  "Players have #% more maximum Life and Energy Shield":"玩家的最大生命和能量護盾增加 #%",
-  "Inflict Lightning Exposure on Critical Hit":"暴擊時造成閃電曝曬",
-  "Inflict Fire Exposure on Shocking an Enemy":"感電敵人時對其造成火焰曝曬",
-  "Inflict Cold Exposure on Igniting an Enemy":"點燃敵人時對其造成冰冷曝曬",
-  "Monster Damage penetrates #% of Lightning Resistance":"怪物傷害穿透 #% 閃電抗性",
-  "Attacks cost an additional #% of your maximum Mana":"[譯]攻擊額外消耗相當於你最大魔力 #% 的魔力",
-  "Monster Damage penetrates #% of Cold Resistance":"怪物傷害穿透 #% 冰冷抗性",
-  "Attacks with this Weapon gain #% of Physical damage as Extra damage of each Element":"以該武器攻擊獲得相當於物理傷害 #% 的各種元素額外傷害",
-  "Monster Damage penetrates #% of Fire Resistance":"怪物傷害穿透 #% 火焰抗性",
-  "Map Boss has +#% chance to drop a Waystone of the current tier or higher":"地圖頭目有 +#% 機率掉落一個同等或更高階級的換界石",
-  "Monsters have #% increased Defences":"怪物的防禦增加 #%",
-  "# metre to Dodge Roll distance if you've Dodge Rolled Recently":"[譯]如果你近期進行了翻滾翻滾距離增加 # 米",
-  "Grants effect of Guided Meteoric Shrine":"[譯]獲得引導流星神殿效果",
-  "Defend with 200% of Armour during effect":"在效果期間以 200% 護甲值防禦",
-  "Each Arrow fired is a Crescendo Splinter Reversing Diamond Covetous or Blunt Arrow":"[譯]每支射出的箭矢將隨機成為：高漲箭矢、裂片箭矢、回轉箭矢、鉆石箭矢、貪婪箭矢或鈍頭箭矢",
-  "Notable Passive Skills in Radius also grant #% chance to gain Volatility on Kill":"範圍內核心天賦也會賦予 擊殺時有 #% 機率獲得易爆",
-  "Every 10 seconds gain a random non-damaging Shrine buff for 20 seconds":"每 10 秒獲得一個隨機神殿增益效果",
-  "Grants Onslaught during effect":"在效果期間賦予猛攻",
-  "Monsters have #% increased Attack Cast and Movement Speed":"怪物增加 #% 攻擊、施放、移動速度",
-  "Grants effect of Guided Tempest Shrine":"[譯]獲得引導暴風神殿效果",
-  "Enemies take #% increased Damage for each Elemental Ailment type among your Ailments on them":"你對敵人施加的異常狀態中每有一種元素異常狀態敵人承受的傷害增加 #%",
-  "Grants effect of Guided Freezing Shrine":"[譯]獲得引導冰封神殿效果",
-  "Sacrifice up to 20 Armourer's Scraps to receive double on Trial completion":"獻祭最多 20 個護甲片以在完成試煉時獲得兩倍獎勵",
-  "Skills have # seconds to Cooldown":"技能有 # 秒冷卻時間",
-  "Cannot be Light Stunned":"不會被輕微暈眩",
-  "Small Passive Skills in Radius also grant Attack Hits apply Incision":"範圍內小型天賦也會賦予 攻擊擊中時會施加切割",
-  "Notable Passive Skills in Radius also grant #% increased Parried Debuff Duration":"範圍內核心天賦也會賦予 受招架減益效果持續時間增加 #%",
-  "Sacrifice up to 20 Artificer's Orbs to receive double on Trial completion":"獻祭最多 20 顆工匠石以在完成試煉時獲得兩倍獎勵",
-  "Notable Passive Skills in Radius also grant #% increased Stun Threshold while Parrying":"範圍內核心天賦也會賦予 招架期間增加 #% 暈眩門檻",
-  "Small Passive Skills in Radius also grant # to maximum Life":"範圍內小型天賦也會賦予 # 最大生命",
-  "Excess Life Recovery added as Guard for # seconds":"多餘生命恢復會附加為守護持續 # 秒",
-  "Small Passive Skills in Radius also grant # to maximum Mana":"範圍內小型天賦也會賦予 # 最大魔力",
-  "Sacrifice up to 20 Blacksmith's Whetstones to receive double on Trial completion":"獻祭最多 20 顆磨刀石以在完成試煉時獲得兩倍獎勵",
-  "+# to Level of all Barrier Invocation Skills":"+# 至所有 屏障祈願 技能的等級",
-  "+# to Level of all Firestorm Skills":"+# 至所有 烈炎風暴 技能的等級",
-  "+# to Level of all Soul Offering Skills":"+# 至所有 靈魂獻祭 技能的等級",
-  "+# to Level of all Ball Lightning Skills":"+# 至所有 天雷之珠 技能的等級",
-  "+# to Level of all Electrocuting Arrow Skills":"+# 至所有 電極箭矢 技能的等級",
-  "+# to Level of all Reaper's Invocation Skills":"+# 至所有 收割者的祈願 技能的等級",
-  "+# to Level of all Infernal Cry Skills":"+# 至所有 煉獄戰吼 技能的等級",
-  "+# to Level of all Berserk Skills":"+# 至所有 狂戰 技能的等級",
-  "+# to Level of all Wave of Frost Skills":"+# 至所有 寒冰波 技能的等級",
-  "+# to Level of all Shockchain Arrow Skills":"+# 至所有 電鍊箭矢 技能的等級",
-  "+# to Level of all Incendiary Shot Skills":"+# 至所有 烈焰射擊 技能的等級",
-  "+# to Level of all Herald of Ash Skills":"+# 至所有 灰燼之捷 技能的等級",
-  "+# to Level of all Elemental Invocation Skills":"+# 至所有 元素祈願 技能的等級",
-  "+# to Level of all Rain of Arrows Skills":"+# 至所有 箭雨 技能的等級",
-  "+# to Level of all Conductivity Skills":"+# 至所有 導電 技能的等級",
-  "+# to Level of all Tornado Shot Skills":"+# 至所有 龍捲射擊 技能的等級",
-  "+# to Level of all Stormblast Bolts Skills":"+# 至所有 雷暴彈藥 技能的等級",
-  "+# to Level of all Flammability Skills":"+# 至所有 易燃 技能的等級",
-  "+# to Level of all Detonating Arrow Skills":"+# 至所有 爆破箭矢 技能的等級",
-  "+# to Level of all Charge Infusion Skills":"+# 至所有 充能灌注 技能的等級",
-  "+# to Level of all Time of Need Skills":"+# 至所有 緊急時刻 技能的等級",
-  "+# to Level of all Volcanic Fissure Skills":"+# 至所有 炎火脈動 技能的等級",
-  "+# to Level of all Alchemist's Boon Skills":"+# 至所有 煉金師恩惠 技能的等級",
-  "+# to Level of all Supercharged Slam Skills":"+# 至所有 超載重擊 技能的等級",
-  "+# to Level of all Staggering Palm Skills":"+# 至所有 撼敵之掌 技能的等級",
-  "+# to Level of all Barrage Skills":"+# 至所有 彈幕 技能的等級",
-  "+# to Level of all Lingering Illusion Skills":"+# 至所有 殘留幻象 技能的等級",
-  "+# to Level of all Cast on Shock Skills":"+# 至所有 感電時施放 技能的等級",
-  "+# to Level of all Overwhelming Presence Skills":"+# 至所有 壓倒性的存在 技能的等級",
-  "+# to Level of all Elemental Conflux Skills":"+# 至所有 元素匯流 技能的等級",
-  "+# to Level of all Cast on Dodge Skills":"+# 至所有 閃避時施放 技能的等級",
-  "+# to Level of all Detonate Dead Skills":"+# 至所有 屍體爆破 技能的等級",
-  "+# to Level of all Mantra of Destruction Skills":"+# 至所有 毀滅神咒 技能的等級",
-  "On Corruption Item gains two Enchantments":"物品受腐化時獲得兩個附魔",
-  "+# to Level of all Withering Presence Skills":"+# 至所有 凋零光環 技能的等級",
-  "+# to Level of all Blasphemy Skills":"+# 至所有 瀆神 技能的等級",
-  "+# to Level of all Dread Banner Skills":"+# 至所有 恐懼之旗 技能的等級",
-  "+# to Level of all Cast on Minion Death Skills":"+# 至所有 召喚物死亡時施放 技能的等級",
-  "+# to Level of all Freezing Salvo Skills":"+# 至所有 凍結齊射 技能的等級",
-  "+# to Level of all Whirling Assault Skills":"+# 至所有 迴旋擊 技能的等級",
-  "+# to Level of all Shard Scavenger Skills":"+# 至所有 碎片清除者 技能的等級",
-  "+# to Level of all Ghost Dance Skills":"+# 至所有 鬼魂之舞 技能的等級",
-  "+# to Level of all Herald of Plague Skills":"+# 至所有 瘟疫之捷 技能的等級",
-  "+# to Level of all Wind Blast Skills":"+# 至所有 破風爆裂 技能的等級",
-  "+# to Level of all Despair Skills":"+# 至所有 絕望 技能的等級",
-  "+# to Level of all Voltaic Grenade Skills":"+# 至所有 電流擲彈 技能的等級",
-  "+# to Level of all Pain Offering Skills":"+# 至所有 劇痛獻祭 技能的等級",
-  "+# to Level of all Voltaic Mark Skills":"+# 至所有 電流印記 技能的等級",
-  "+# to Level of all Falling Thunder Skills":"+# 至所有 崩雷鳴 技能的等級",
-  "+# to Level of all Sacrifice Skills":"+# 至所有 獻祭 技能的等級",
-  "+# to Level of all Frost Bomb Skills":"+# 至所有 寒霜爆 技能的等級",
-  "+# to Level of all Bone Offering Skills":"+# 至所有 骸骨奉獻 技能的等級",
-  "+# to Level of all Emergency Reload Skills":"+# 至所有 緊急裝填 技能的等級",
-  "+# to Level of all Snipe Skills":"+# 至所有 狙擊 技能的等級",
-  "+# to Level of all Hypothermia Skills":"+# 至所有 急凍 技能的等級",
-  "+# to Level of all Vine Arrow Skills":"+# 至所有 藤蔓箭矢 技能的等級",
-  "+# to Level of all Ice Shards Skills":"+# 至所有 寒冰碎片 技能的等級",
-  "+# to Level of all Stormcaller Arrow Skills":"+# 至所有 風暴呼喚箭矢 技能的等級",
-  "+# to Level of all Raise Zombie Skills":"+# 至所有 殭屍復甦 技能的等級",
-  "+# to Level of all Magnetic Salvo Skills":"+# 至所有 電磁齊射 技能的等級",
-  "+# to Level of all Fragmentation Rounds Skills":"+# 至所有 分裂彈藥 技能的等級",
-  "+# to Level of all Sniper's Mark Skills":"+# 至所有 狙擊者印記 技能的等級",
-  "+# to Level of all Mana Tempest Skills":"+# 至所有 魔力暴風 技能的等級",
-  "+# to Level of all Frost Wall Skills":"+# 至所有 冰牆 技能的等級",
-  "+# to Level of all Freezing Mark Skills":"+# 至所有 冰凍印記 技能的等級",
-  "+# to Level of all Combat Frenzy Skills":"+# 至所有 戰鬥狂怒 技能的等級",
-  "+# to Level of all Oil Grenade Skills":"+# 至所有 燃油擲彈 技能的等級",
-  "+# to Level of all Permafrost Bolts Skills":"+# 至所有 永凍弩箭 技能的等級",
-  "+# to Level of all Cast on Freeze Skills":"+# 至所有 冰凍時施放 技能的等級",
-  "+# to Level of all Hand of Chayula Skills":"+# 至所有 夏烏拉之手 技能的等級",
-  "+# to Level of all Earthshatter Skills":"+# 至所有 碎地重擊 技能的等級",
-  "+# to Level of all Cast on Critical Skills":"+# 至所有 暴擊時施放 技能的等級",
-  "+# to Level of all Killing Palm Skills":"+# 至所有 摧命之掌 技能的等級",
-  "+# to Level of all Gathering Storm Skills":"+# 至所有 風暴凝聚 技能的等級",
-  "+# to Level of all Ripwire Ballista Skills":"+# 至所有 撕裂砲塔 技能的等級",
-  "+# to Level of all War Banner Skills":"+# 至所有 戰爭之旗 技能的等級",
-  "+# to Level of all Armour Piercing Rounds Skills":"+# 至所有 穿甲彈藥 技能的等級",
-  "+# to Level of all Rapid Shot Skills":"+# 至所有 疾射 技能的等級",
-  "+# to Level of all Flash Grenade Skills":"+# 至所有 閃光擲彈 技能的等級",
-  "+# to Level of all Vulnerability Skills":"+# 至所有 脆弱 技能的等級",
-  "+# to Level of all Siphoning Strike Skills":"+# 至所有 虹吸打擊 技能的等級",
-  "+# to Level of all Glacial Cascade Skills":"+# 至所有 冰川之刺 技能的等級",
-  "+# to Level of all Cluster Grenade Skills":"+# 至所有 集束擲彈 技能的等級",
-  "+# to Level of all Orb of Storms Skills":"+# 至所有 風暴漩渦 技能的等級",
-  "+# to Level of all Toxic Growth Skills":"+# 至所有 毒素植栽 技能的等級",
-  "+# to Level of all Eye of Winter Skills":"+# 至所有 凜冬之眼 技能的等級",
-  "+# to Level of all Mana Remnants Skills":"+# 至所有 魔力痕跡 技能的等級",
-  "+# to Level of all Gas Grenade Skills":"+# 至所有 毒氣擲彈 技能的等級",
-  "+# to Level of all Armour Breaker Skills":"+# 至所有 護甲碎擊 技能的等級",
-  "+# to Level of all Cast on Ignite Skills":"+# 至所有 點燃時施放 技能的等級",
-  "+# to Level of all Enfeeble Skills":"+# 至所有 衰弱 技能的等級",
-  "+# to Level of all Boneshatter Skills":"+# 至所有 碎骨 技能的等級",
-  "+# to Level of all Profane Ritual Skills":"+# 至所有 瀆神祭祀 技能的等級",
-  "+# to Level of all Storm Wave Skills":"+# 至所有 風暴浪湧 技能的等級",
-  "+# to Level of all Escape Shot Skills":"+# 至所有 逃脫之矢 技能的等級",
-  "+# to Level of all Skeletal Cleric Skills":"+# 至所有 骷髏牧師 技能的等級",
-  "+# to Level of all Vaulting Impact Skills":"+# 至所有 跳躍衝擊 技能的等級",
-  "+# to Level of all Charged Staff Skills":"+# 至所有 充能長杖 技能的等級",
-  "+# to Level of all Hailstorm Rounds Skills":"+# 至所有 冰雹彈藥 技能的等級",
-  "+# to Level of all Defiance Banner Skills":"+# 至所有 反抗之旗 技能的等級",
-  "+# to Level of all Lightning Rod Skills":"+# 至所有 雷霆之杖 技能的等級",
-  "+# to Level of all Unearth Skills":"+# 至所有 屍術矢 技能的等級",
-  "+# to Level of all Contagion Skills":"+# 至所有 瘟疫 技能的等級",
-  "+# to Level of all Attrition Skills":"+# 至所有 損耗 技能的等級",
-  "+# to Level of all Spiral Volley Skills":"+# 至所有 螺旋之弦 技能的等級",
-  "+# to Level of all Flame Wall Skills":"+# 至所有 烈焰之牆 技能的等級",
-  "+# to Level of all Ice Shot Skills":"+# 至所有 冰霜射擊 技能的等級",
-  "+# to Level of all Resonating Shield Skills":"+# 至所有 共鳴之盾 技能的等級",
-  "+# to Level of all Seismic Cry Skills":"+# 至所有 裂地戰吼 技能的等級",
-  "+# to Level of all High Velocity Rounds Skills":"+# 至所有 高速彈藥 技能的等級",
-  "+# to Level of all Herald of Ice Skills":"+# 至所有 冰霜之捷 技能的等級",
-  "+# to Level of all Temporal Chains Skills":"+# 至所有 時空鎖鏈 技能的等級",
-  "+# to Level of all Solar Orb Skills":"+# 至所有 日耀球 技能的等級",
-  "+# to Level of all Shield Wall Skills":"+# 至所有 盾牆 技能的等級",
-  "+# to Level of all Molten Blast Skills":"+# 至所有 熔火爆破 技能的等級",
-  "+# to Level of all Lightning Warp Skills":"+# 至所有 閃電傳送 技能的等級",
-  "+# to Level of all Flameblast Skills":"+# 至所有 烈焰爆破 技能的等級",
-  "+# to Level of all Siege Cascade Skills":"+# 至所有 圍城爆發 技能的等級",
-  "+# to Level of all Poisonburst Arrow Skills":"+# 至所有 毒爆箭矢 技能的等級",
-  "+# to Level of all Glacial Bolt Skills":"+# 至所有 冰川弩箭 技能的等級",
-  "+# to Level of all Archmage Skills":"+# 至所有 大法師 技能的等級",
-  "+# to Level of all Herald of Thunder Skills":"+# 至所有 閃電之捷 技能的等級",
-  "+# to Level of all Frozen Locus Skills":"+# 至所有 寒冰軌跡 技能的等級",
-  "+# to Level of all Perfect Strike Skills":"+# 至所有 完美打擊 技能的等級",
-  "+# to Level of all Arctic Armour Skills":"+# 至所有 極地裝甲 技能的等級",
-  "+# to Level of all Leap Slam Skills":"+# 至所有 躍擊 技能的等級",
-  "+# to Level of all Raging Spirits Skills":"+# 至所有 怒炎之靈 技能的等級",
-  "+# to Level of all Dark Effigy Skills":"+# 至所有 黑暗雕像 技能的等級",
-  "+# to Level of all Fireball Skills":"+# 至所有 火球 技能的等級",
-  "+# to Level of all Explosive Grenade Skills":"+# 至所有 爆炸擲彈 技能的等級",
-  "+# to Level of all Shattering Palm Skills":"+# 至所有 粉碎之掌 技能的等級",
-  "+# to Level of all Frostbolt Skills":"+# 至所有 寒冰彈 技能的等級",
-  "+# to Level of all Cold Snap Skills":"+# 至所有 霜暴 技能的等級",
-  "+# to Level of all Shield Charge Skills":"+# 至所有 重盾衝鋒 技能的等級",
-  "+# to Level of all Wind Dancer Skills":"+# 至所有 風魔舞者 技能的等級",
-  "+# to Level of all Galvanic Shards Skills":"+# 至所有 電能碎片 技能的等級",
-  "+# to Level of all Gas Arrow Skills":"+# 至所有 毒氣箭矢 技能的等級",
-  "+# to Level of all Plasma Blast Skills":"+# 至所有 電漿強擊矢 技能的等級",
-  "+# to Level of all Ember Fusillade Skills":"+# 至所有 餘燼齊射 技能的等級",
-  "+# to Level of all Rolling Slam Skills":"+# 至所有 翻騰重擊 技能的等級",
-  "+# to Level of all Scavenged Plating Skills":"+# 至所有 拾荒者護板 技能的等級",
-  "+# to Level of all Hammer of the Gods Skills":"+# 至所有 眾神之錘 技能的等級",
-  "+# to Level of all Plague Bearer Skills":"+# 至所有 病疫之難 技能的等級",
-  "+# to Level of all Lightning Arrow Skills":"+# 至所有 閃電箭矢 技能的等級",
-  "+# to Level of all Artillery Ballista Skills":"+# 至所有 火砲砲塔 技能的等級",
-  "+# to Level of all Ice Nova Skills":"+# 至所有 冰霜新星 技能的等級",
-  "+# to Level of all Sunder Skills":"+# 至所有 大地震擊 技能的等級",
-  "+# to Level of all Bonestorm Skills":"+# 至所有 骸骨風暴 技能的等級",
-  "+# to Level of all Bone Cage Skills":"+# 至所有 骨牢 技能的等級",
-  "+# to Level of all Explosive Shot Skills":"+# 至所有 爆炸矢 技能的等級",
-  "+# to Level of all Ice Strike Skills":"+# 至所有 冰擊 技能的等級",
-  "+# to Level of all Earthquake Skills":"+# 至所有 震地 技能的等級",
-  "+# to Level of all Arc Skills":"+# 至所有 電弧 技能的等級",
-  "+# to Level of all Tempest Bell Skills":"+# 至所有 風暴之鐘 技能的等級",
-  "+# to Level of all Shockburst Rounds Skills":"+# 至所有 震爆彈藥 技能的等級",
-  "Lose #% of maximum Life per second":"每秒失去 #% 生命",
-  "+# to Level of all Lightning Conduit Skills":"+# 至所有 導雷 技能的等級",
-  "+# to Level of all Stampede Skills":"+# 至所有 踐踏 技能的等級",
-  "+# to Level of all Incinerate Skills":"+# 至所有 燒毀 技能的等級",
-  "+# to Level of all Tempest Flurry Skills":"+# 至所有 暴風亂舞 技能的等級",
-  "+# to Level of all Flicker Strike Skills":"+# 至所有 閃現打擊 技能的等級",
-  "+# to Level of all Essence Drain Skills":"+# 至所有 靈魂吸取 技能的等級",
-  "+# to Level of all Skeletal Brute Skills":"+# 至所有 骷髏巨獸 技能的等級",
-  "+# to Level of all Blink Skills":"+# 至所有 閃現 技能的等級",
-  "+# to Level of all Hexblast Skills":"+# 至所有 咒術枯萎 技能的等級",
-  "+# to Level of all Grim Feast Skills":"+# 至所有 冷酷之宴 技能的等級",
-  "+# to Level of all Skeletal Sniper Skills":"+# 至所有 骷髏狙擊手 技能的等級",
-  "+# to Level of all Comet Skills":"+# 至所有 彗星 技能的等級",
-  "+# to Level of all Magma Barrier Skills":"+# 至所有 熔岩屏障 技能的等級",
-  "+# to Level of all Skeletal Reaver Skills":"+# 至所有 骷髏掠奪者 技能的等級",
-  "+# to Level of all Ancestral Warrior Totem Skills":"+# 至所有 先祖戰士圖騰 技能的等級",
-  "+# to Level of all Shockwave Totem Skills":"+# 至所有 震波圖騰 技能的等級",
-  "+# to Level of all Skeletal Arsonist Skills":"+# 至所有 骷髏縱火者 技能的等級",
-  "Sacrifice up to 20 Arcanist's Etchers to receive double on Trial completion":"獻祭最多 20 個奧術師刻具以在完成試煉時獲得兩倍獎勵",
-  "Sacrifice up to 3 Orb of Annulments to receive double on Trial completion":"獻祭最多 3 顆無效石以在完成試煉時獲得兩倍獎勵",
-  "Sacrifice up to 3 Orbs of Chance to receive double on Trial completion":"獻祭最多 3 顆機會石以在完成試煉時獲得兩倍獎勵",
-  "Regenerate # Rage per second":"每秒恢復 # 盛怒",
-  "No Inherent loss of Rage":"盛怒不會固定流失",
-  "+# to Level of all Fangs of Frost Skills":"+# 至所有 刺骨寒冰 技能的等級",
-  "+# to Level of all Whirlwind Lance Skills":"+# 至所有 旋風之槍 技能的等級",
-  "+# to Level of all Bloodhound's Mark Skills":"+# 至所有 鮮血獵犬印記 技能的等級",
-  "+# to Level of all Trinity Skills":"+# 至所有 三相 技能的等級",
-  "+# to Level of all Spark Skills":"+# 至所有 電球 技能的等級",
-  "Attacks have added Physical damage equal to #% of maximum Life":"攻擊具有相當於 #% 最大生命的附加物理傷害",
-  "+# to Level of all Skeletal Frost Mage Skills":"+# 至所有 骷髏霜寒法師 技能的等級",
-  "+# to Level of all Disengage Skills":"+# 至所有 脫離戰鬥 技能的等級",
-  "+# to Level of all Herald of Blood Skills":"+# 至所有 鮮血之捷 技能的等級",
-  "+# to Level of all Spearfield Skills":"+# 至所有 長鋒之錐 技能的等級",
-  "+# to Level of all Spear of Solaris Skills":"+# 至所有 日耀長鋒 技能的等級",
-  "+# to Level of all Explosive Spear Skills":"+# 至所有 爆炸長鋒 技能的等級",
-  "+# to Level of all Convalescence Skills":"+# 至所有 恢復期 技能的等級",
-  "+# to Level of all Rapid Assault Skills":"+# 至所有 極速進攻 技能的等級",
-  "+# to Level of all Cull The Weak Skills":"+# 至所有 撲殺弱者 技能的等級",
-  "+# to Level of all Thunderous Leap Skills":"+# 至所有 雷霆跳躍 技能的等級",
-  "+# to Level of all Primal Strikes Skills":"+# 至所有 原始打擊 技能的等級",
-  "+# to Level of all Whirling Slash Skills":"+# 至所有 迴旋斬 技能的等級",
-  "+# to Level of all Blood Hunt Skills":"+# 至所有 鮮血狩獵 技能的等級",
-  "+# to Level of all Companion: {0} Skills":"+# 至所有 盟友：{0} 技能的等級",
-  "+# to Level of all Twister Skills":"+# 至所有 旋風 技能的等級",
-  "+# to Level of all Storm Lance Skills":"+# 至所有 風暴之槍 技能的等級",
-  "+# to Level of all Elemental Sundering Skills":"+# 至所有 元素崩裂 技能的等級",
-  "Sacrifice up to 20 Glassblower's Baubles to receive double on Trial completion":"獻祭最多 20 顆玻璃彈珠以在完成試煉時獲得兩倍獎勵",
-  "+# to Level of all Glacial Lance Skills":"+# 至所有 冰川之槍 技能的等級",
-  "+# to Level of all Skeletal Storm Mage Skills":"+# 至所有 骷髏風暴法師 技能的等級",
-  "Sacrifice up to 10 Gemcutter's Prisms to receive double on Trial completion":"獻祭最多 10 個寶石匠的稜鏡以在完成試煉時獲得兩倍獎勵",
-  "+# to Level of all Trail of Caltrops Skills":"+# 至所有 蒺藜之徑 技能的等級",
-  "Possessed by Spirit Of The Boar for # seconds on use":"使用時會被野豬之魂附身持續 # 秒",
-  "Possessed by Spirit Of The Owl for # seconds on use":"使用時會被貓頭鷹之魂附身持續 # 秒",
-  "Possessed by Spirit Of The Ox for # seconds on use":"使用時會被公牛之魂附身持續 # 秒",
-  "Possessed by Spirit Of The Serpent for # seconds on use":"使用時會被蝮蛇之魂附身持續 # 秒",
-  "+# to Level of all Wind Serpent's Fury Skills":"+# 至所有 勁風蝮蛇之怒 技能的等級",
-  "Possessed by Spirit Of The Bear for # seconds on use":"使用時會被熊之魂附身持續 # 秒",
-  "Possessed by Spirit Of The Primate for # seconds on use":"使用時會被猿猴之魂附身持續 # 秒",
-  "+# to Level of all Lightning Spear Skills":"+# 至所有 閃電長鋒 技能的等級",
-  "Sacrifice up to 3 Divine Orbs to receive double on Trial completion":"獻祭最多 3 顆神聖石以在完成試煉時獲得兩倍獎勵",
-  "Possessed by Spirit Of The Cat for # seconds on use":"使用時會被貓之魂附身持續 # 秒",
-  "Possessed by Spirit Of The Wolf for # seconds on use":"使用時會被狼之魂附身持續 # 秒",
-  "+# to Level of all Tamed Companion Skills":"[譯]所有馴服的同伴技能等級 +#",
-  "+# to Level of all Summon Spectre Skills":"[譯]+# 至所有 喚醒幽魂 技能的等級",
-  "Allies in your Presence deal # to # added Attack Chaos Damage":"[譯]你身邊的盟友攻擊額外造成 # 到 # 點混沌傷害",
-  "Possessed by Spirit Of The Stag for # seconds on use":"使用時會被公鹿之魂附身持續 # 秒",
-  "+# to Level of all Rake Skills":"+# 至所有 陰爪 技能的等級",
-  "Grants effect of Dreaming Gloom Shrine":"[譯]獲得夢魘幽影神殿效果",
-  "Life Recovery from Flasks can Overflow Maximum Life":"來自藥劑的生命回復可以使最大生命溢出",
-  "Allocates Tainted Strike":"配置 汙染打擊",
-  "Allocates Exposed to the Storm":"配置 暴露於風暴",
-  "#% increased Attack Damage when on Low Life":"貧血時增加 #% 攻擊傷害",
-  "Allocates Swift Claw":"配置 迅捷之爪",
-  "Allocates Perforation":"配置 穿孔",
-  "Allocates True Strike":"配置 真實之擊",
-  "Allocates Stylebender":"配置 風格轉換",
-  "Allocates Tempered Mind":"配置 冶鍊之意",
-  "Freezes Enemies that are on Full Life":"凍結滿血狀態的敵人",
-  "Allocates Jack of all Trades":"配置 萬事通",
-  "Allocates Drenched":"配置 濕透",
-  "Allocates Giantslayer":"配置 泰坦殺手",
-  "Allocates Roll and Strike":"配置 翻滾突擊",
-  "Allocates Exploit":"配置 弱點針對",
-  "Allocates Long Distance Relationship":"配置 遠距關係",
-  "Allocates Volcanic Skin":"配置 火山皮膚",
-  "Allocates Shimmering":"配置 閃閃發光",
-  "Allocates Easy Going":"配置 好相處",
-  "Allocates Whirling Assault":"配置 迴旋擊",
-  "Allocates Electric Amplification":"配置 閃電增幅",
-  "Allocates Primal Protection":"配置 原始守護",
-  "Allocates Reaving":"配置 掠奪",
-  "Allocates Calibration":"配置 校準",
-  "Allocates Javelin":"配置 長鋒：傷害核心",
-  "Allocates Master Fletching":"配置 箭矢大師",
-  "Allocates Echoing Flames":"配置 迴盪餘焰",
-  "Allocates Battle Fever":"配置 戰鬥狂熱",
-  "Allocates Convalescence":"配置 恢復期",
-  "Allocates Thousand Cuts":"配置 千刀萬剮",
-  "Allocates Breaking Blows":"配置 粉碎之擊",
-  "Allocates Goring":"配置 刺穿",
-  "Allocates Adrenaline Rush":"配置 腎上腺素",
-  "Allocates Throatseeker":"配置 割喉者",
-  "Allocates Staggering Wounds":"配置 撼敵創傷",
-  "Allocates Enhanced Reflexes":"配置 強化反應",
-  "Allocates Stars Aligned":"配置 行列眾星",
-  "Allocates Endless Blizzard":"配置 無盡暴雪",
-  "Allocates Titanic":"配置 泰坦",
-  "Allocates Wide Barrier":"配置 盾牌：格擋核心",
-  "Allocates Kite Runner":"配置 風箏高手",
-  "Allocates Equilibrium":"配置 均衡",
-  "Allocates Aspiring Genius":"配置 野心天才",
-  "Allocates Bloodthirsty":"配置 嗜血的",
-  "Allocates Fast Metabolism":"配置 快速代謝",
-  "Allocates Careful Consideration":"配置 小心翼翼",
-  "Allocates Critical Exploit":"配置 弱點善用",
-  "Allocates Preemptive Strike":"配置 先發制人",
-  "Allocates Lasting Incantations":"配置 持久咒語",
-  "Allocates Reaching Strike":"配置 延伸打擊",
-  "Allocates Spell Haste":"配置 法術迅捷",
-  "Allocates Heavy Weaponry":"配置 重裝武器",
-  "Allocates Burning Strikes":"配置 灼熱打擊",
-  "Allocates Multitasking":"配置 一心多用",
-  "Allocates Forces of Nature":"配置 自然之力",
-  "Allocates Push the Advantage":"配置 乘勝追擊",
-  "Allocates Overwhelming Strike":"配置 鎮壓打擊",
-  "Allocates Deadly Flourish":"配置 致命華舞",
-  "Allocates Full Salvo":"配置 全面齊射",
-  "Allocates Thin Ice":"配置 如履薄冰",
-  "Allocates Sturdy Ally":"配置 強健的盟友",
-  "Allocates Shatter Palm":"配置 粉碎之掌",
-  "Allocates The Power Within":"配置 內在力量",
-  "Allocates Versatile Arms":"配置 萬能雙手",
-  "Allocates Overwhelm":"配置 鎮壓",
-  "Allocates Breath of Lightning":"配置 閃電之息",
-  "Allocates Subterfuge Mask":"配置 詭計面具",
-  "Allocates Vigilance":"配置 警覺",
-  "Allocates Wild Storm":"配置 狂野風暴",
-  "Allocates Backup Plan":"配置 備案",
-  "Allocates Coming Calamity":"配置 災難臨頭",
-  "Allocates Electrifying Nature":"配置 電能之性",
-  "Allocates Seeing Stars":"配置 見證群星",
-  "Allocates Lucky Rabbit Foot":"配置 幸運兔腳",
-  "Allocates Spaghettification":"配置 麵條化",
-  "Allocates For the Jugular":"配置 直擊要害",
-  "Allocates Serrated Edges":"配置 鋸齒刀鋒",
-  "Allocates Leaping Ambush":"配置 跳躍伏擊",
-  "Allocates Overload":"配置 過載",
-  "Allocates Perfectly Placed Knife":"配置 精準匕首",
-  "Allocates Overheating Blow":"配置 過熱一擊",
-  "Allocates Dreamcatcher":"配置 捕夢者",
-  "Allocates Watchtowers":"配置 看守塔",
-  "Allocates Thrill of Battle":"配置 戰鬥亢奮",
-  "Allocates Revenge":"配置 復仇",
-  "Allocates Spirit Bonds":"配置 靈魂連結",
-  "Allocates Pure Power":"配置 純粹電能",
-  "Allocates Blood Tearing":"配置 撕裂血肉",
-  "Allocates Lightning Quick":"配置 迅雷",
-  "Allocates Deadly Force":"配置 致命武力",
-  "Allocates Finishing Blows":"配置 終結之擊",
-  "Allocates Heartbreaking":"配置 裂心",
-  "Allocates Left Hand of Darkness":"配置 黑暗左手",
-  "Allocates Barbaric Strength":"配置 野蠻力量",
-  "Allocates Heavy Frost":"配置 厚重冰霜",
-  "Allocates Supportive Ancestors":"配置 祖靈之援",
-  "Allocates Void":"配置 虛空",
-  "Allocates Rapid Strike":"配置 迅捷打擊",
-  "Allocates Warding Fetish":"配置 守護神器",
-  "Allocates Blinding Strike":"配置 致盲打擊",
-  "Allocates Inner Faith":"配置 內在信仰",
-  "Allocates Instability":"[譯]配置 聚能之界",
-  "Allocates Heatproofing":"配置 隔熱",
-  "Allocates Careful Aim":"配置 細心瞄準",
-  "Allocates Crushing Verdict":"配置 毀滅裁決",
-  "Allocates Living Death":"配置 行屍走肉",
-  "Allocates Sand in the Eyes":"配置 飛沙入眼",
-  "Allocates Profane Commander":"[譯]配置 草根指揮官",
-  "Allocates Deep Wounds":"配置 深層創傷",
-  "Allocates Roil":"配置 翻騰",
-  "Allocates Bolstering Yell":"配置 壯膽咆哮",
-  "Allocates Sudden Escalation":"配置 突發升級",
-  "Allocates Colossal Weapon":"配置 巨無霸武器",
-  "Allocates Impair":"配置 損害",
-  "Allocates Direct Approach":"配置 直球進攻",
-  "Allocates Heartstopping":"配置 心寒",
-  "Allocates Power Shots":"配置 強擊矢",
-  "Allocates Bleeding Out":"配置 出血致死",
-  "Allocates Catalysis":"配置 催化",
-  "Allocates Unbound Forces":"配置 無縛之力",
-  "Allocates Echoing Frost":"配置 迴盪寒霜",
-  "Allocates Precision Salvo":"配置 精準齊射",
-  "Allocates Stupefy":"配置 麻木",
-  "Allocates Exploit the Elements":"配置 元素弱點",
-  "Allocates Repulsion":"配置 排斥",
-  "Allocates Protraction":"配置 延伸效用",
-  "Allocates Incision":"配置 切割",
-  "Allocates Stormbreaker":"配置 風暴破壞者",
-  "Allocates Thicket Warding":"配置 樹叢守護",
-  "Allocates Tough Claw":"配置 堅韌之爪",
-  "Allocates Precise Point":"配置 精準攻擊",
-  "Allocates Shedding Skin":"配置 換皮",
-  "Allocates Voracious":"配置 貪婪",
-  "Allocates Cut to the Bone":"配置 刀刀見骨",
-  "Allocates Fervour":"配置 激情",
-  "Allocates Split Shot":"配置 分裂射擊",
-  "Allocates Freedom of Movement":"配置 解放行動",
-  "Allocates Stimulants":"配置 興奮劑",
-  "Allocates Beastial Skin":"配置 野獸皮膚",
-  "Allocates Building Toxins":"配置 蓄積毒素",
-  "Triggers Level # Manifest Dancing Dervishes on Rampage":"暴怒時觸發等級 # 的幻化狂舞德爾維希",
-  "Allocates Lifelong Friend":"[譯]配置 一生之友",
-  "Melee Hits count as Rampage Kills Rampage":"近戰擊中是為暴怒擊殺 暴怒",
-  "Allocates Savagery":"配置 野性之心",
-  "Allocates Death from Afar":"配置 遠迎死劫",
-  "Allocates Overzealous":"配置 過度狂熱",
-  "Allocates Killer Instinct":"配置 殺手本能",
-  "Cannot be used while Manifested":"幻化時無法使用",
-  "Allocates Burning Nature":"配置 燃燒之性",
-  "Allocates Ancestral Mending":"配置 先祖治癒",
-  "Allocates Dead can Dance":"配置 亡者之舞",
-  "Allocates Patient Barrier":"配置 堅忍屏障",
-  "Allocates Coated Arms":"配置 塗層武器",
-  "Allocates Unforgiving":"配置 嚴苛",
-  "Allocates Glancing Hits":"配置 側身擊中",
-  "Allocates Price of Freedom":"配置 自由代價",
-  "Allocates Sigil of Ice":"配置 冰霜符印",
-  "Allocates Enveloping Presence":"配置 無微不至",
-  "Allocates Presence Present":"配置 氣場四散",
-  "Allocates Cruel Methods":"配置 殘忍手段",
-  "Allocates Escalation":"配置 惡化",
-  "Allocates Loose Flesh":"配置 鬆散肌肉",
-  "Allocates Firestarter":"配置 縱火者",
-  "Allocates Harmonic Generator":"配置 和諧發電",
-  "Manifested Dancing Dervishes die when Rampage ends":"幻化狂舞德爾維希在暴怒結束時死亡",
-  "Allocates Shadow Dancing":"配置 影之舞",
-  "Allocates One with the River":"配置 與河同行",
-  "Allocates Echoing Thunder":"配置 迴盪雷電",
-  "Allocates Inspiring Ally":"配置 鼓舞人心的盟友",
-  "Allocates Wrapped Quiver":"[譯]配置 纏繞箭袋",
-  "Allocates Falcon Dive":"配置 獵鷹下墜",
-  "Allocates Harness the Elements":"配置 駕馭元素",
-  "Allocates Intense Flames":"配置 熊熊烈火",
-  "Allocates Doomsayer":"配置 末日預言者",
-  "Allocates Immolation":"配置 焚化",
-  "Allocates Endurance":"配置 耐力",
-  "Allocates Unimpeded":"配置 暢通無阻",
-  "Allocates Stormcharged":"配置 雷霆充能",
-  "Allocates Impending Doom":"配置 末日厄運",
-  "Allocates Spellblade":"配置 魔刃",
-  "Allocates Mental Toughness":"配置 強韌心理",
-  "Allocates Moment of Truth":"配置 真相揭曉",
-  "Allocates Pierce the Heart":"配置 一箭穿心",
-  "#% increased Attack Damage while not on Low Mana":"非貧魔狀態下增加 #% 攻擊傷害",
-  "Allocates Ancient Aegis":"配置 遠古神盾",
-  "Allocates Sharpened Claw":"配置 鋒利之爪",
-  "Allocates Heavy Armour":"配置 沉重鎧甲",
-  "Allocates Nurturing Guardian":"[譯]配置 滋養的守衛者",
-  "Allocates Overexposure":"配置 過度曝曬",
-  "Allocates Efficient Contraptions":"[譯]配置 效率裝置",
-  "Allocates Eldritch Will":"配置 異能之志",
-  "Allocates Shattering":"配置 粉碎",
-  "Allocates Back in Action":"配置 重返戰鬥",
-  "Allocates Struck Through":"配置 擊穿防禦",
-  "Allocates Lasting Trauma":"配置 持久創傷",
-  "Allocates Greatest Defence":"配置 極致防禦",
-  "Allocates Self Mortification":"配置 自我苦行",
-  "Allocates Cooked":"配置 熟透",
-  "Allocates Pliable Flesh":"配置 可塑肉體",
-  "Allocates Quick Response":"配置 迅速反應",
-  "Allocates All Natural":"配置 純然天性",
-  "Allocates Warding Potions":"配置 守護藥劑",
-  "Allocates Escape Strategy":"配置 逃逸策略",
-  "Allocates Smoke Inhalation":"配置 吞雲吐霧",
-  "Allocates Thirsting Ally":"配置 飢渴的盟友",
-  "Allocates Woodland Aspect":"配置 木林祝福",
-  "Allocates Potent Incantation":"配置 強力咒語",
-  "Allocates Unstoppable Barrier":"配置 無阻屏障",
-  "Allocates Authority":"配置 權威",
-  "Allocates Deafening Cries":"配置 震耳吶喊",
-  "Allocates Power Conduction":"配置 能量傳導",
-  "Allocates Reverberation":"配置 回響",
-  "Allocates Locked On":"配置 已鎖定",
-  "Allocates Melding":"配置 融合",
-  "Allocates Mental Alacrity":"配置 心靈迅捷",
-  "Allocates Spiked Shield":"配置 尖刺盾牌",
-  "Allocates Symbol of Defiance":"配置 衛道之符",
-  "Allocates Fortifying Blood":"配置 堅韌之血",
-  "Allocates Close Confines":"配置 狹小界限",
-  "Allocates Devastation":"配置 毀滅",
-  "Allocates Reusable Ammunition":"配置 可重複使用的彈藥",
-  "Allocates Staggering Palm":"配置 撼敵之掌",
-  "Allocates Fulmination":"配置 劇烈爆發",
-  "Allocates Sigil of Fire":"配置 火焰符印",
-  "Allocates Primal Sundering":"配置 原始震擊",
-  "Allocates Lightning Rod":"配置 雷霆之杖",
-  "Allocates Defiance":"配置 反抗",
-  "Allocates Unstable Bond":"[譯]配置 不穩定連結",
-  "Allocates Cranial Impact":"配置 顱骨衝擊",
-  "Allocates Impact Force":"配置 衝擊之力",
-  "Allocates Slow Burn":"配置 緩慢燃燒",
-  "Allocates Ruin":"配置 毀壞",
-  "Allocates Surging Currents":"配置 湧動電流",
-  "Allocates Singular Purpose":"配置 目標明確",
-  "Allocates Touch the Arcane":"配置 秘能之觸",
-  "Allocates In Your Face":"配置 面部攻擊",
-  "Allocates Pure Chaos":"配置 全然混沌",
-  "Allocates Apocalypse":"配置 天啟",
-  "Allocates Breath of Ice":"配置 寒冰之息",
-  "Allocates Fast Acting Toxins":"配置 速效毒素",
-  "Allocates Harsh Winter":"配置 嚴冬",
-  "Allocates Ancestral Unity":"配置 先祖同心",
-  "Allocates Breaking Point":"配置 臨界點",
-  "Allocates Blade Flurry":"配置 刀鋒亂舞",
-  "Allocates Overflowing Power":"配置 力量滿溢",
-  "Allocates Explosive Impact":"配置 暴烈衝擊",
-  "Allocates Vulgar Methods":"配置 卑鄙手段",
-  "Allocates Master of Hexes":"配置 詛咒大師",
-  "Allocates Perfect Opportunity":"配置 絕佳機會",
-  "Allocates Crystalline Flesh":"配置 結晶血肉",
-  "Allocates Clear Space":"配置 清空區域",
-  "Allocates Pocket Sand":"配置 口袋藏沙",
-  "Allocates Pinpoint Shot":"配置 精確射擊",
-  "Allocates Siphon":"配置 虹吸",
-  "Allocates Bravado":"配置 雙刃之力",
-  "Allocates Shrapnel":"配置 彈片",
-  "Allocates Hale Heart":"配置 心心向榮",
-  "Allocates Shimmering Mirage":"配置 閃亮幻象",
-  "Allocates Guttural Roar":"配置 喉鳴咆哮",
-  "Allocates Finesse":"配置 嫻熟",
-  "Allocates Illuminated Crown":"配置 明光之冠",
-  "Allocates Impact Area":"配置 衝擊範圍",
-  "Allocates Spreading Shocks":"配置 擴散感電",
-  "Allocates Unspoken Bond":"[譯]配置 不可言喻的連結",
-  "Allocates Asceticism":"配置 禁慾主義",
-  "Allocates Ether Flow":"配置 以太湧流",
-  "Allocates Afterimage":"配置 殘像",
-  "Allocates Unerring Impact":"配置 精準衝擊",
-  "Allocates Silent Guardian":"配置 無聲守護者",
-  "Allocates Cacophony":"配置 不諧之音",
-  "Allocates Polymathy":"配置 博學的",
-  "Allocates Bestial Rage":"配置 野獸狂怒",
-  "Allocates Feathered Fletching":"配置 羽毛箭羽",
-  "Allocates Chronomancy":"配置 時空法術",
-  "Allocates Mind Eraser":"配置 心靈抹除",
-  "Allocates Battle Trance":"配置 戰鬥狂熱",
-  "Allocates Urgent Call":"配置 緊急呼喚",
-  "Allocates Instant Reload":"配置 立即裝填",
-  "Allocates Unbreaking":"配置 堅不可摧",
-  "Allocates Hallowed":"配置 聖潔",
-  "Allocates Necrotised Flesh":"配置 亡者之軀",
-  "Allocates Flash Storm":"配置 電光風暴",
-  "Allocates Unexpected Finesse":"配置 出奇靈巧",
-  "Allocates Stand Ground":"配置 穩住陣腳",
-  "Allocates Ripping Blade":"配置 撕裂之刃",
-  "Allocates Disorientation":"配置 混亂攻擊",
-  "Allocates Entropic Incarnation":"配置 熵熱化身",
-  "Allocates Covering Ward":"配置 防掩護盾",
-  "Allocates Counterstancing":"[譯]配置 反擊姿態",
-  "Allocates Incendiary":"配置 爆燃",
-  "Allocates Viciousness":"配置 狠毒",
-  "Allocates Natural Immunity":"配置 自然免疫",
-  "Allocates Endless Circuit":"配置 無限循環",
-  "Allocates Carved Earth":"配置 鑿刻大地",
-  "Allocates Exposed to the Cosmos":"配置 暴露於宇宙",
-  "Allocates Glaciation":"配置 急凍化",
-  "Allocates Sundering":"配置 崩裂",
-  "Allocates Lingering Horror":"配置 殘留恐懼",
-  "Allocates Erraticism":"配置 反覆無常",
-  "Allocates Blood Rush":"配置 鮮血狂襲",
-  "Allocates Advanced Munitions":"配置 先進彈藥",
-  "Allocates Hefty Unit":"配置 重型單位",
-  "Allocates Crystal Elixir":"配置 水晶靈藥",
-  "Allocates Mental Perseverance":"配置 堅毅心靈",
-  "Allocates One with the Storm":"配置 與風同行",
-  "Allocates Twinned Tethers":"配置 雙生束縛",
-  "Allocates Efficient Alchemy":"配置 高效鍊金術",
-  "Allocates Whirling Onslaught":"配置 迴旋猛攻",
-  "Allocates Acceleration":"配置 加速",
-  "Allocates Lord of Horrors":"配置 恐懼領主",
-  "Allocates Arcane Intensity":"配置 秘能強化",
-  "Allocates Decisive Retreat":"配置 明哲保身",
-  "Allocates Determined Precision":"配置 精準果斷",
-  "Allocates Towering Shield":"配置 高聳之盾",
-  "Allocates Desensitisation":"配置 暴擊傷害核心",
-  "Allocates Emboldened Avatar":"配置 勇氣化生",
-  "Allocates Glazed Flesh":"配置 琉璃血肉",
-  "Allocates Turn the Clock Forward":"配置 時光前推",
-  "Allocates Thornhide":"配置 荊棘之皮",
-  "Allocates Guts":"配置 膽量",
-  "Allocates Impenetrable Shell":"配置 無敵甲殼",
-  "Allocates Desperate Times":"配置 絕望時刻",
-  "Allocates Tenfold Attacks":"配置 十重打擊",
-  "Allocates Cold Nature":"配置 冰寒之性",
-  "Allocates Alternating Current":"配置 交流電",
-  "Allocates Energise":"配置 賦能",
-  "Allocates Trick Shot":"配置 花式射擊",
-  "Allocates Unnatural Resilience":"配置 超然韌性",
-  "Allocates Flip the Script":"配置 扭轉局勢",
-  "Allocates Abasement":"[譯]配置 能量護盾暈眩門檻",
-  "Allocates Blade Catcher":"配置 捕刃者",
-  "Allocates Final Barrage":"配置 終極彈幕",
-  "Allocates Hardened Wood":"配置 硬化樹木",
-  "Allocates Way of the Wind":"配置 風之道",
-  "Allocates Marked Agility":"配置 印記靈敏",
-  "Allocates Spiral into Depression":"配置 絕望漩渦",
-  "Allocates Distracting Presence":"配置 擾亂光環",
-  "Allocates Grit":"配置 毅力",
-  "Allocates Growing Swarm":"配置 人海戰術",
-  "Allocates Sigil of Lightning":"配置 雷電符印",
-  "Allocates Silent Shiv":"配置 寂靜小刀",
-  "Allocates Lust for Power":"配置 渴求力量",
-  "Allocates Shockwaves":"配置 震波",
-  "Allocates Prism Guard":"配置 稜鏡守護",
-  "Allocates Flashy Deflection":"配置 瞬間偏斜",
-  "Allocates Primal Growth":"配置 原始成長",
-  "Allocates Focused Thrust":"配置 專注突刺",
-  "Allocates Turn the Clock Back":"配置 時光倒流",
-  "Allocates Low Tolerance":"配置 低容忍",
-  "Allocates Shredding Force":"配置 粉碎之力",
-  "Allocates Reinforced Barrier":"配置 加強屏障",
-  "Allocates Insightfulness":"配置 明察秋毫",
-  "Allocates Investing Energies":"配置 能量投入",
-  "Allocates High Alert":"配置 高度警戒",
-  "Allocates Warm the Heart":"配置 暖心",
-  "Allocates Repeating Explosives":"配置 連續爆炸",
-  "Allocates Irreparable":"配置 無可修復",
-  "Allocates Marked for Death":"配置 死亡印記",
-  "Allocates Falcon Technique":"配置 獵鷹技法",
-  "Allocates Ancestral Conduits":"配置 祖靈導體",
-  "Allocates Fear of Death":"配置 死亡恐懼",
-  "Allocates Lucidity":"配置 夢醒",
-  "Allocates Adaptable Assault":"[譯]配置 可適應攻擊",
-  "Allocates Full Recovery":"配置 完全恢復",
-  "Allocates Breath of Fire":"配置 火焰之息",
-  "Allocates Spike Pit":"配置 尖刺陷阱",
-  "Allocates Reprisal":"配置 反擊",
-  "Allocates Heavy Ammunition":"配置 重磅彈藥",
-  "Allocates Lay Siege":"配置 圍城",
-  "Allocates Stand and Deliver":"配置 攔路搶劫",
-  "Allocates Aftershocks":"配置 餘震",
-  "Allocates Unhindered":"配置 暢通無阻",
-  "Allocates Forcewave":"配置 力量震波",
-  "Allocates Cluster Bombs":"配置 團簇炸彈",
-  "Allocates Shredding Contraptions":"[譯]配置 粉碎裝置",
-  "Allocates Storm Surge":"配置 風暴洶湧",
-  "Allocates Time Manipulation":"配置 時間操縱",
-  "Allocates Madness in the Bones":"配置 滲骨瘋狂",
-  "Allocates Spiral into Insanity":"配置 瘋狂漩渦",
-  "Allocates Consistent Intake":"配置 持續承受",
-  "Allocates Lust for Sacrifice":"配置 渴求獻祭",
-  "Allocates Heart Tissue":"配置 心臟疾病",
-  "Allocates Controlling Magic":"配置 操控魔法",
-  "Allocates Arcane Mixtures":"配置 秘能混合物",
-  "Allocates Unbending":"配置 永不屈服",
-  "Allocates Martial Artistry":"配置 武藝之相",
-  "Allocates Resolution":"配置 決意",
-  "Allocates Strong Chin":"配置 強力下顎",
-  "Allocates Ball and Chain":"配置 球與鎖鏈",
-  "Allocates Initiative":"配置 先機",
-  "Allocates Vengeance":"配置 復仇",
-  "Allocates Core of the Guardian":"配置 守護者核心",
-  "Allocates Electrotherapy":"配置 電療",
-  "Allocates Spiral into Mania":"配置 狂熱漩渦",
-  "Allocates Burn Away":"配置 焚燒殆盡",
-  "Allocates Reinvigoration":"配置 重新振作",
-  "Allocates Relentless Fallen":"配置 無情殞落者",
-  "Allocates Heavy Blade":"配置 沉重之刃",
-  "Allocates Polished Iron":"配置 拋光之鋼",
-  "Allocates Inspiring Leader":"[譯]配置 激昂之首",
-  "Allocates Escalating Mayhem":"配置 升溫混亂",
-  "Allocates Bringer of Order":"配置 秩序使者",
-  "Allocates Ignore Pain":"配置 無視疼痛",
-  "Allocates Split the Earth":"配置 劈裂大地",
-  "Allocates Near Sighted":"配置 近距離射手",
-  "Allocates Rattling Ball":"配置 響動巨球",
-  "Allocates Enraged Reaver":"配置 狂怒掠奪者",
-  "Allocates Ancestral Reach":"配置 先祖所向",
-  "Allocates Restless Dead":"配置 殞落狂熱",
-  "Allocates Piercing Shot":"配置 穿射箭矢",
-  "Allocates Shield Expertise":"配置 盾牌專精",
-  "Allocates Blurred Motion":"配置 無影行蹤",
-  "Allocates Effervescent":"配置 奔放",
-  "Allocates Event Horizon":"配置 事件視界",
-  "Allocates Spiked Whip":"配置 尖刺鞭笞",
-  "Allocates Bloodletting":"配置 滲血",
-  "Allocates Finality":"配置 終結",
-  "Allocates Immaterial":"配置 無形",
-  "Allocates Dispatch Foes":"配置 抹殺敵人",
-  "Allocates Fireproof":"配置 防火",
-  "Allocates Escalating Toxins":"配置 遞增毒素",
-  "Allocates Grenadier":"配置 擲彈手",
-  "Allocates Leather Bound Gauntlets":"配置 皮革綁縛護手",
-  "Allocates Ancestral Artifice":"配置 先祖詭計",
-  "Allocates Necrotic Touch":"配置 亡者之觸",
-  "Allocates Unleash Fire":"[譯]配置 釋放火焰",
-  "Allocates Crushing Judgement":"配置 粉碎審判",
-  "Allocates Refocus":"配置 重新專注",
-  "Allocates Destructive Apparatus":"配置 毀滅裝置",
-  "Allocates Quick-change Act":"配置 快速切換",
-  "Allocates Manifold Method":"配置 千方百計",
-  "Allocates Devestating Devices":"配置 破壞裝置",
-  "Allocates Made to Last":"配置 經久耐用",
-  "Allocates Mass Rejuvenation":"配置 巨量恢復",
-  "Allocates Admonisher":"配置 告誡者",
-  "Allocates Far Sighted":"配置 遠距離射手",
-  "Allocates Prolonged Fury":"配置 經久之怒",
-  "Allocates Wellspring":"配置 泉源",
-  "Allocates Unsight":"配置 隱蔽",
-  "Allocates Clever Construction":"配置 巧妙構築",
-  "Allocates Vocal Empowerment":"配置 聲音賦予",
-  "Allocates Deep Trance":"配置 深度恍惚",
-  "Allocates Escape Velocity":"配置 逃逸速度",
-  "Allocates Taste for Blood":"配置 血味",
-  "Allocates Refills":"配置 補滿",
-  "Allocates Heavy Buffer":"配置 重裝緩衝",
-  "Allocates Slippery Ice":"配置 滑冰",
-  "Allocates Rallying Icon":"[譯]配置 激勵圖樣",
-  "Allocates Maiming Strike":"配置 癱瘓打擊",
-  "Allocates Coated Knife":"配置 塗層匕首",
-  "Allocates Echoing Pulse":"配置 迴盪脈衝",
-  "Allocates Tandem Assault":"配置 雙人出擊",
-  "Allocates Flurry":"配置 突襲",
-  "Allocates Conservative Casting":"配置 謹慎施法",
-  "Allocates Shattered Crystal":"配置 碎裂水晶",
-  "Allocates Regenerative Flesh":"配置 再生血肉",
-  "Allocates Spirit Bond":"配置 靈魂連結",
-  "Allocates Pile On":"配置 堆砌",
-  "Allocates Fan the Flames":"配置 搧風點火",
-  "Allocates Strong Links":"配置 強力連結",
-  "Allocates Projectile Bulwark":"配置 投射物屏障",
-  "Allocates First Approach":"配置 初次嘗試",
-  "Allocates Vile Mending":"配置 惡毒療癒",
-  "Allocates Ingenuity":"配置 獨創",
-  "Allocates Wither Away":"配置 枯萎",
-  "Allocates Fated End":"配置 命運終結",
-  "Allocates Sudden Infuriation":"配置 突發暴怒",
-  "Allocates Parrying Motion":"配置 招架動作",
-  "Allocates Inevitable Rupture":"配置 無免殘破",
-  "Allocates Defensive Reflexes":"配置 防禦反應",
-  "Allocates Savoured Blood":"配置 鮮味之血",
-  "Allocates Electrocution":"配置 觸電",
-  "Allocates Aggravation":"配置 加劇",
-  "Allocates Zone of Control":"配置 區域控制",
-  "Allocates Catapult":"配置 投石車",
-  "Allocates Heavy Drinker":"配置 重度飲用者",
-  "Allocates Fate Finding":"配置 命運探尋",
-  "Allocates Infused Flesh":"配置 注入肉體",
-  "Allocates Stance Breaker":"配置 姿態破壞者",
-  "Allocates Hulking Smash":"配置 巨力猛擊",
-  "Allocates Total Incineration":"配置 散播火焰",
-  "Allocates Arcane Alchemy":"配置 秘能鍊金術",
-  "Allocates Frenetic":"配置 狂熱",
-  "Allocates Near at Hand":"配置 近在咫尺",
-  "Allocates Vengeful Fury":"配置 復仇之怒",
-  "Allocates Curved Weapon":"配置 彎曲武器",
-  "Allocates Thunderstruck":"配置 雷擊",
-  "Allocates Breakage":"配置 破裂",
-  "Allocates Frazzled":"配置 力盡",
-  "Allocates Retaliation":"配置 復仇",
-  "Allocates Invocated Efficiency":"配置 祈願之語",
-  "Allocates Icebreaker":"配置 破冰者",
-  "Allocates Deft Recovery":"配置 恢復靈巧",
-  "Allocates Raw Mana":"配置 原始魔力",
-  "Allocates Holy Protector":"配置 神聖保護者",
-  "Allocates Inescapable Cold":"配置 不可逃脫之凍寒",
-  "Allocates Staunching":"配置 止血",
-  "Allocates Prolonged Assault":"配置 持久攻擊",
-  "Allocates Burnout":"配置 燃盡",
-  "Allocates Feel the Earth":"配置 感受大地",
-  "Allocates Waters of Life":"配置 生命之水",
-  "Allocates Dependable Ward":"配置 穩固護盾",
-  "Allocates Arcane Blossom":"配置 秘能之花",
-  "Allocates Storm Swell":"配置 風暴浪潮",
-  "Allocates Bannerman":"配置 掌旗手",
-  "Allocates Forthcoming":"配置 命運將至",
-  "Allocates General's Bindings":"配置 將軍的束縛",
-  "Allocates Grip of Evil":"配置 惡靈之握",
-  "Allocates Taut Flesh":"配置 繃緊肌肉",
-  "Allocates Cross Strike":"配置 十字打擊",
-  "Allocates Vale Shelter":"配置 谷地庇護",
-  "Allocates Blinding Flash":"配置 致盲閃光",
-  "Allocates Ice Walls":"配置 冰牆",
-  "Allocates Volatile Grenades":"配置 易爆擲彈",
-  "Allocates Internal Bleeding":"配置 內出血",
-  "Allocates Adverse Growth":"配置 逆向增長",
-  "Allocates Heavy Contact":"配置 激烈碰撞",
-  "Allocates Dark Entries":"配置 黑暗侵襲",
-  "Allocates Gravedigger":"配置 掘墓者",
-  "Allocates Perpetual Freeze":"配置 冰封核心",
-  "Allocates Swift Deflection":"配置 迅速偏斜",
-  "Allocates Morning Star":"配置 晨星",
-  "Allocates Offensive Stance":"配置 攻擊架勢",
-  "Allocates Austerity Measures":"配置 緊縮",
-  "Allocates In the Thick of It":"配置 深入其中",
-  "Allocates Wasting":"配置 虛耗",
-  "Allocates Crippling Toxins":"配置 致殘毒素",
-  "Allocates Tides of Change":"配置 變革浪潮",
-  "Allocates Beef":"配置 壯漢",
-  "Allocates Branching Bolts":"配置 分叉弩箭",
-  "Allocates Dynamism":"配置 活力",
-  "Allocates Sniper":"配置 狙擊手",
-  "Allocates Short Shot":"配置 短距離射擊",
-  "Allocates Enhanced Barrier":"配置 強化屏障",
-  "Allocates Suffusion":"配置 瀰漫的",
-  "Allocates Briny Carapace":"配置 鹹水甲殼",
-  "Allocates Lingering Whispers":"配置 殘留低語",
-  "Allocates Personal Touch":"配置 個人風格",
-  "Allocates Controlled Chaos":"配置 受控混沌",
-  "Allocates Immortal Thirst":"配置 不朽渴望",
-  "Allocates Chilled to the Bone":"配置 凍寒刺骨",
-  "Allocates Rattled":"配置 驚慌失措",
-  "Allocates Shattering Blow":"配置 粉碎強擊",
-  "Allocates Leeching Toxins":"配置 偷取毒素",
-  "Allocates Anticipation":"配置 懸念",
-  "Allocates Sharp Sight":"配置 銳利目光",
-  "Allocates Cremation":"配置 熔炎送葬",
-  "Allocates Stacking Toxins":"配置 疊加毒素",
-  "Allocates Stigmata":"配置 聖痕",
-  "Allocates Psychic Fragmentation":"配置 幽能碎片",
-  "Allocates Insulated Treads":"配置 絕緣步伐",
-  "Allocates Savouring":"配置 品味",
-  "Allocates Altered Brain Chemistry":"配置 換腦化學",
-  "Allocates Feral Force":"配置 野性之力",
-  "Allocates Succour":"配置 救援",
-  "Allocates Lasting Toxins":"配置 持久毒素",
-  "Allocates Soul Bloom":"配置 靈魂綻放",
-  "Allocates Adamant Recovery":"配置 堅韌恢復",
-  "Allocates Hindered Capabilities":"配置 受阻之力",
-  "Allocates Essence Infusion":"配置 精髓灌注",
-  "Allocates Mass Hysteria":"配置 群體癲狂",
-  "Allocates Snowpiercer":"配置 冰雪穿透",
-  "Allocates Backstabbing":"配置 背刺",
-  "Allocates Immortal Infamy":"配置 不朽惡名",
-  "Allocates Skullcrusher":"配置 碎顱者",
-  "Allocates Fleshcrafting":"配置 血肉塑造",
-  "Allocates Thickened Arteries":"配置 動脈增厚",
-  "Allocates Preservation":"配置 保存實力",
-  "Allocates Cull the Hordes":"配置 剿敵",
-  "Allocates Hunter's Talisman":"配置 狩獵者巫符",
-  "Allocates Hunker Down":"配置 蹲守",
-  "Allocates Spectral Ward":"配置 光譜守護",
-  "Allocates Casting Cascade":"配置 連續施法",
-  "Allocates Deterioration":"配置 惡化",
-  "Allocates Exposed to the Inferno":"配置 暴露於煉獄之火",
-  "Allocates Right Hand of Darkness":"配置 暗黑右手",
-  "Allocates Coursing Energy":"配置 奔流能量",
-  "Allocates Pressure Points":"配置 壓力點",
-  "Allocates Careful Assassin":"配置 謹慎的刺客",
-  "Allocates Meat Recycling":"配置 肉塊回收",
-  "Allocates Ancestral Alacrity":"配置 先祖迅捷",
-  "Allocates Spiked Armour":"配置 尖刺護甲",
-  "Allocates Pin and Run":"配置 釘帶跑",
-  "Virtuous":"美德的",
-  "Allocates General Electric":"配置 通用電",
-  "Allocates Nourishing Ally":"配置 滋養的盟友",
-  "Allocates Climate Change":"配置 氣候變遷",
-  "Allocates Honourless":"配置 毫無榮譽",
-  "Allocates Quick Recovery":"配置 快速回復",
-  "Allocates Marked for Sickness":"配置 病痛印記",
-  "Has # Charm Slot":"[譯]擁有 # 個護符欄位",
-  "Allocates Proficiency":"配置 熟能生巧",
-  "Allocates Hale Traveller":"配置 健壯旅人",
-  "Maximum Quality is #%":"最大品質為 #%",
-  "# Maps in Range are Irradiated":"範圍內 # 張地圖的怪物等級 +1",
-  "# Maps in Range contain Breaches":"範圍內 # 張地圖內含裂痕",
-  "# Maps in Range contain Mirrors of Delirium":"範圍內 # 張地圖內含譫妄之鏡",
-  "Grants 1 additional Skill Slot":"賦予 1 個額外技能槽",
-  "Up to # Maps in Range contain Bosses":"範圍內最多 # 張地圖含有頭目",
-  "#% of Flask Recovery applied Instantly":"#% 的藥劑回復立即生效",
-  "# Maps in Range contain Ritual Altars":"範圍內 # 張地圖內含祭祀神壇",
-  "Grenade Skills Fire an additional Projectile":"擲彈技能發射額外一個投射物",
-  "# Maps in Range contain Expedition Encounters":"範圍內 # 張地圖內含探險遭遇",
-  "Flasks gain # charges per Second":"藥劑每秒獲得 # 充能",
-  "Causes Enemies to Explode on Critical kill for #% of their Life as Physical Damage":"透過暴擊擊殺敵人時使其爆炸造成相當於其 #% 生命的物理傷害",
-  "#% increased Bolt Speed":"增加 #% 弩箭速度",
-  "Used when you take Cold damage from a Hit":"當你被冰冷傷害擊中時觸發",
-  "Used when you take Fire damage from a Hit":"當你被火焰傷害擊中時觸發",
-  "Used when you take Lightning damage from a Hit":"當你被閃電傷害擊中時觸發",
-  "Used when you become Stunned":"當你被暈眩時使用",
-  "Used when you become Frozen":"當你被冰凍時使用",
-  "#% chance to Chain an additional time":"有 #% 機率額外連鎖一次",
-  "Used when you become Poisoned":"當你被中毒時使用",
-  "#% chance to Maim on Hit":"擊中時有 #% 機率造成癱瘓",
-  "Used when you start Bleeding":"當你開始流血時使用",
-  "Used when you become Ignited":"當你被點燃時使用",
-  "Used when you Kill a Rare or Unique Enemy":"當你擊殺稀有或傳奇敵人時觸發",
-  "Area contains #% increased number of Monster Markers":"區域增加 #% 怪物標記的數量",
-  "Used when you become Shocked":"當你被感電時使用",
-  "#% reduced Enemy Stun Threshold":"減少 #% 敵人暈眩門檻",
-  "Used when you are affected by a Slow":"當你受到緩速效果影響時使用",
-  "Attacks have #% chance to cause Bleeding":"攻擊有 #% 機率造成流血",
-  "Used when you take Chaos damage from a Hit":"當你被混沌傷害擊中時觸發",
-  "# Suffix Modifier allowed":"允許後綴 #",
-  "# Prefix Modifier allowed":"允許前綴 #",
-  "Area contains #% increased number of Remnants":"區域增加 #% 遺跡數量",
-  "Remnants have #% chance to have an additional Suffix Modifier":"你地圖中的遺跡有 #% 機率有 1 個額外後綴",
-  "Remnants in your Maps have #% chance to have an additional Suffix Modifier":"你地圖中的遺跡有 #% 機率有 1 個額外後綴",
-  "Area contains # additional Chest Marker":"你地圖中的探險事件含有額外 # 個寶箱標記",
-  "Expedition encounters in your Maps contain # additional Chest Marker":"你地圖中的探險事件含有額外 # 個寶箱標記",
-  "#% increased number of Explosives":"增加 #% 你的地圖內爆裂物的數量",
-  "#% increased number of Explosives in your Maps":"增加 #% 你的地圖內爆裂物的數量",
-  "Excavated Chests have a #% chance to contain twice as many Items":"發掘的保險箱有 #% 機率含有 2 倍的物品",
-  "Area contains an additional Underground Area":"區域含有 1 個額外地下區域",
-  "Gain # Rage on Hit":"擊中時獲得 # 盛怒",
-  "Culling Strike (Local)":"撲殺",
-  "Has no Accuracy Penalty from Range":"遠程無命中懲罰",
-  "Breaks # Armour on Critical Hit":"[譯]暴擊時擊碎 # 點護甲",
-  "Unblockable":"[譯]不可格擋",
-  "#% increased Damage taken":"[譯]承受傷害提高 #%",
-  "Players in Area are #% Delirious":"此區域玩家 #% 瘋癲",
-  "#% increased Precursor Tablets found in Area":"在你的地圖中找到的先行者碑牌數量增加 #%",
-  "#% increased Quantity of Precursor Tablets found in your Maps":"在你的地圖中找到的先行者碑牌數量增加 #%",
-  "Unique Monsters have # additional Modifier":"你地圖中的傳奇怪物會擁有 # 個額外的詞綴",
-  "Unique Monsters in your Maps have # additional Modifier":"你地圖中的傳奇怪物會擁有 # 個額外的詞綴",
-  "Immune to Maim":"免疫癱瘓",
-  "You cannot be Hindered":"你不能被阻礙",
-  "Cannot be Blinded":"不會被致盲",
-  "#% chance to Blind Enemies on hit":"擊中時 #% 機率致盲敵人",
-  "# to Maximum Endurance Charges":"# 最大耐力球",
-  "# Life gained when you Block":"當你格擋時獲得 # 生命",
-  "# Mana gained when you Block":"當你格擋時獲得 # 魔力",
-  "Allocates Unleash Fire":"配置 釋放火焰",
-  "Allocates Lifelong Friend":"配置 一生之友",
-  "Allocates Nurturing Guardian":"配置 滋養的守衛者",
-  "Allocates Counterstancing":"配置 反擊姿態",
-  "Allocates Inspiring Leader":"配置 激昂之首",
-  "Allocates Unspoken Bond":"配置 不可言喻的連結",
-  "Allocates Instability":"配置 聚能之界",
-  "Allocates Adaptable Assault":"配置 可適應攻擊",
-  "Allocates Rallying Icon":"配置 激勵圖樣",
-  "Allocates Abasement":"配置 貶抑",
-  "Allocates Unstable Bond":"配置 不穩定連結",
-  "Allocates Efficient Contraptions":"配置 效率裝置",
-  "Allocates Shredding Contraptions":"配置 粉碎裝置",
-  "Allocates Profane Commander":"配置 草根指揮官",
-  "Attacks with this Weapon Penetrate #% Elemental Resistances":"此武器進行的攻擊穿透 #% 元素抗性",
-  "Convert #% of Requirements to Intelligence":"#% 需求轉換為智慧",
-  "Convert #% of Requirements to Dexterity":"#% 需求轉換為敏捷",
-  "# to # Lightning Thorns damage":"# 至 # 點閃電荊棘傷害",
-  "Convert #% of Requirements to Strength":"#% 需求轉換為力量",
-  "Gain #% of Damage as Extra Damage of all Elements":"[譯]獲得相當於傷害 #% 的額外全元素傷害",
-  "Attacks with this Weapon have #% chance to inflict Lightning Exposure":"以此武器攻擊有 #% 機率造成閃電曝曬",
-  "#% increased Attack Damage against Rare or Unique Enemies":"對稀有或傳奇敵人的攻擊傷害增加 #%",
-  "Minions gain #% of their Physical Damage as Extra Lightning Damage":"召喚物獲得相當於其物理傷害 #% 的額外閃電傷害",
-  "Minions take #% of Physical Damage as Lightning Damage":"召喚物受到的 #% 物理傷害會承受為閃電傷害",
-  "#% chance when you gain a Power Charge to gain an additional Power Charge":"[譯]當你獲得暴擊球時有 #% 的幾率額外獲得一個暴擊球",
-  "#% chance when you gain a Frenzy Charge to gain an additional Frenzy Charge":"[譯]當你獲得狂怒球時有 #% 的幾率額外獲得一個狂怒球",
-  "#% chance when you gain an Endurance Charge to gain an additional Endurance Charge":"[譯]當你獲得耐力球時有 #% 的幾率額外獲得一個耐力球",
-  "Zarokh the Temporal drops Blessed Bonds":"澤洛克永恆之靈掉落祝福之絆",
-  "Zarokh the Temporal drops Against the Darkness":"澤洛克永恆之靈掉落力抗黑暗",
-  "#% chance to Avoid Resolve loss from Enemy Hits":"#% 機率避免敵人擊中時失去決心",
-  "Gain # Sacred Water when you complete a Room":"完成一個房間時獲得 # 個聖水",
-  "#% to all Maximum Resistances":"#% 全部最大抗性",
-  "Aureus Coins are converted to Experience upon defeating the Herald of the Scourge":"災魘先鋒後奧瑞厄斯幣轉化至經驗",
-  "Aureus Coins are converted to Relics upon defeating the Herald of the Scourge":"災魘先鋒後奧瑞厄斯幣轉化至聖物",
-  "Aureus Coins are converted to Tainted Currency upon defeating the Herald of the Scourge":"擊敗災魘先鋒時奧瑞厄斯幣轉化至玷汙通貨",
-  "Zarokh the Temporal deals #% more Damage":"澤洛克．永恆之靈造成 #% 更多傷害",
-  "Zarokh the Temporal takes #% more Damage":"澤洛克．永恆之靈承受 #% 更多傷害",
-  "The Herald of the Scourge drops an additional Invocation":"災魘先鋒掉落 1 個額外祈禱",
-  "Zarokh the Temporal drops an additional Barya":"澤洛克永恆之靈掉落額外 1 個巨靈之幣",
-  "Duplicates up to # random Offer Reward upon defeating the Herald of the Scourge":"擊敗災魘先鋒時複製最多 # 隨機獎勵",
-  "Monsters take #% increased Damage":"怪物增加承受 #% 傷害",
-  "Monsters deal #% increased Damage":"怪物造成的傷害增加 #%",
-  "#% increased Defences":"防禦增加 #%",
-  "Your Defences are zero":"你的防禦變為 0",
-  "#% to All Resistances":"#% 全部抗性",
-  "#% increased chance to avoid Honour loss from Enemy Melee Hits":"敵人近戰擊中後避免榮譽損失的機率增加 #%",
-  "#% increased chance to Avoid Resolve Loss from Enemy Projectile Hits":"增加 #% 機率避免敵人投射物擊中時失去決心",
-  "#% chance to Avoid Resolve loss from Enemy Hits if you've been Hit recently":"若你近期有被擊中有 #% 機率避免敵人擊中時失去決心",
-  "Bosses take #% increased Damage":"頭目增加承受 #% 傷害",
-  "Zarokh the Temporal drops Temporalis":"澤洛克永恆之靈掉落時空之物",
-  "Zarokh the Temporal drops Sekhema's Resolve":"澤洛克永恆之靈掉落絲克瑪的決意",
-  "Zarokh the Temporal drops Sandstorm Visage":"澤洛克永恆之靈掉落沙瀑面紗",
-  "Bosses deal #% increased Damage":"頭目增加 #% 傷害",
-  "Rare Monsters take #% increased Damage":"稀有怪物承受傷害增加 #%",
-  "Rare Monsters deal #% increased Damage":"稀有怪物增加 #% 傷害",
-  "#% increased quantity of Keys dropped by Monsters":"怪物掉落的鑰匙數量增加 #%",
-  "#% increased quantity of Relics dropped by Monsters":"增加 #% 怪物掉落聖物的數量",
-  "#% increased Resolve Aegis":"增加 #% 決心護盾",
-  "Resolve Aegis Recovers #% faster while not losing Resolve":"沒有失去決心時決心護盾加速 #% 恢復",
-  "Resolve Mitigation from Enemy Hits is based on #% of Armour":"敵人擊中會根據 #% 護甲使決心輕減",
-  "#% chance for Resolve Mitigation to be doubled when Hit by an Enemy":"當被擊人擊中時有 #% 機率使決心輕減為 2 倍",
-  "Traps deal #% increased Damage":"陷阱造成的傷害增加 #%",
-  "When you gain a Key #% chance to gain another":"當你獲得一把鑰匙時有 #% 機率獲得另一把",
-  "#% to Maximum Honour Resistance":"#% 至最大榮譽抗性",
-  "#% chance to Avoid gaining an Affliction":"#% 機率避免獲得苦痛",
-  "Cannot restore Honour":"不會恢復榮譽",
-  "#% chance if you were to lose all your Honour to have 1 Honour instead":"#% 機率讓你在失去所有榮譽時改為保有 1 榮譽",
-  "#% chance for each of your Keys to upgrade on completing a Floor":"完成一個樓層時有 #% 機率使你的每一把鑰匙升級",
-  "# Resolve Aegis":"# 決心護盾",
-  "#% Resolve Mitigation from Enemy Hits":"敵人擊中有 #% 決心輕減",
-  "Fountains have #% chance to grant double Sacred Water":"噴泉有 #% 機率賦予兩倍聖水",
-  "Rooms are unknown on the Trial Map":"試煉地圖上的房間為未知",
-  "#% to Honour Resistance":"#% 至榮譽抗性",
-  "#% increased Honour restored":"恢復的榮譽增加 #%",
-  "Damage taken cannot be Absorbed":"受到的傷害無法被吸收",
-  "An additional Room is revealed on the Trial Map":"試煉地圖額外揭露 1 個房間",
-  "#% increased maximum Honour":"最大榮譽增加 #%",
-  "Maximum Honour is 1":"最大榮譽為 1",
-  "The Merchant has an additional Choice":"商人有 1 個額外選擇",
-  "#% increased Merchant Prices":"增加 #% 販售價格",
-  "Monsters have #% chance to drop double Sacred Water":"怪物有 #% 機率掉落兩倍聖水",
-  "Cannot have Boons":"不會有恩惠",
-  "Restore # Honour on killing a Boss":"擊殺頭目時恢復 # 榮譽",
-  "Restore # Honour on venerating a Maraketh Shrine":"膜拜一座馬拉克斯神殿時恢復 # 榮譽",
-  "Restore # Honour on picking up a Key":"拾起一把鑰匙時恢復 # 榮譽",
-  "Restore # Honour on room completion":"完成房間時恢復 # 榮譽",
-  "Gain # Sacred Water at the start of the Trial":"在試煉開始時獲得 # 個聖水",
-  "Cannot be used with Trials below level #":"不能和等級低於 # 的試煉一起使用",
-  "Grants Skill: Level # Raise Shield":"賦予技能: 等級 # 展開護盾",
-  "Grants Skill: Level # Mana Drain":"賦予技能: 等級 # 魔力吸取",
-  "Grants Skill: Level # Power Siphon":"賦予技能: 等級 # 力量抽取",
-  "Grants Skill: Level # Skeletal Warrior Minion":"賦予技能: 等級 # 骷髏戰士召喚物",
-  "Grants Skill: Level # Sigil of Power":"賦予技能: 等級 # 咒符之力",
-  "Grants Skill: Level # Malice":"賦予技能: 等級 # 絕滅恨惡",
-  "Grants Skill: Level # Lightning Bolt":"賦予技能: 等級 # 雷彈",
-  "Grants Skill: Level # Volatile Dead":"賦予技能: 等級 # 致命之息",
-  "Grants Skill: Level # Chaos Bolt":"賦予技能: 等級 # 混沌弩箭",
-  "Grants Skill: Level # Firebolt":"賦予技能: 等級 # 火彈",
-  "Grants Skill: Level # Discipline":"賦予技能: 等級 # 紀律",
-  "Grants Skill: Level # Bone Blast":"賦予技能: 等級 # 骨之爆破",
-  "Grants Skill: Level # Freezing Shards":"賦予技能: 等級 # 冰凍裂片",
-  "Grants Skill: Level # Living Bomb":"賦予技能: 等級 # 活體炸彈",
-  "Grants Skill: Level # Parry":"賦予技能: 等級 # 招架",
-  "Grants Skill: Level # Decompose":"賦予技能: 等級 # 分解",
-  "Grants Skill: Level # Purity of Fire":"賦予技能: 等級 # 火焰淨化",
-  "Grants Skill: Level # Purity of Lightning":"賦予技能: 等級 # 閃電淨化",
-  "Grants Skill: Level # Ember Fusillade":"賦予技能: 等級 # 餘燼齊射",
-  "Grants Skill: Level # Purity of Ice":"賦予技能: 等級 # 冰霜淨化",
-  "Grants Skill: Level # Spark":"賦予技能: 等級 # 電球",
-  "Grants Skill: Level # Cast on Block":"賦予技能: 等級 # 格擋時施放",
-  "Grants Skill: Level # Cast on Charm Use":"賦予技能: 等級 # 使用護符時施放",
-  "Grants Skill: Level # Blink":"賦予技能: 等級 # 閃現",
-  "Grants Skill: Level # Chaotic Infusion":"賦予技能: 等級 # 混沌灌注",
-  "Grants Skill: Level # Thundergod's Wrath":"賦予技能: 等級 # 近戰擊中時閃電法術",
-  "Grants Skill: Level # Herald of Ash":"賦予技能: 等級 # 灰燼之捷",
-  "Grants Skill: Level # Herald of Ice":"賦予技能: 等級 # 冰霜之捷",
-  "Grants Skill: Level # Herald of Thunder":"賦予技能: 等級 # 閃電之捷",
-  "Grants Skill: Level # Bursting Fen Toad":"[譯]賦予技能: 等級 # 爆裂沼澤蟾蜍",
-  "Grants Skill: Level # Heart of Ice":"[譯]賦予技能: 等級 # 冰霜之心",
-  "Grants Skill: Level # Icestorm":"賦予技能: 等級 # 冰風暴",
-  "Grants Skill: Level # Pinnacle of Power":"[譯]賦予技能: 等級 # 力量巔峰",
-  "Grants Skill: Level # Compose Requiem":"[譯]賦予技能: 等級 # 安魂曲",
-  "Grants Skill: Level # Impurity":"[譯]賦予技能: 等級 # 汙穢",
-  "# Enchant Modifiers":"# 附魔詞綴",
-  "# Implicit Modifiers":"# 固定詞綴",
-  "# Prefix Modifiers":"# 前綴",
-  "# Suffix Modifiers":"# 後綴",
-  "# Modifiers":"# 詞綴",
-  "# Empty Prefix Modifiers":"# 空前綴",
-  "# Empty Suffix Modifiers":"# 空後綴",
-  "# Empty Modifiers":"# 空詞綴",
-  "# Fractured Modifiers":"# 破裂詞綴",
-  "#% reduced Attack and Cast Speed":"減少 #% 攻擊與施放速度",
-  "Gain a Frenzy Charge when you Freeze, Electrocute or Pin an enemy, no more than once every # seconds":"當你冰凍、觸電或釘身一個敵人，獲得一顆狂怒球，每 # 秒不超過一次",
-  "#% chance when you gain a Charge to gain an additional Charge":"被輔助的技能有 #% 的機率 賦予 1 顆額外的能量球",
-  "+# to Evasion Rating per # Maximum Energy Shield on Helmet":"頭盔的每 # 點最大能量護盾 +# 閃避值",
-  "+# to maximum Energy Shield per # Evasion Rating on Body Armour":"胸甲的每 # 點閃避率 +# 最大能量護盾",
-  "+# to Evasion Rating per # Maximum Energy Shield on Equipped Helmet":"裝備的頭盔每 # 最大能量護盾 +# 閃避值",
-  "+# to maximum Energy Shield per # Evasion Rating on Equipped Body Armour":"裝備的胸甲每 # 閃避值 +# 最大能量護盾",
-  "Includes base value, local modifiers, and maximum quality":"包含基礎值、區域詞綴和最大品質",
-  "Evasion":"閃避",
-  "Includes base value and local modifiers":"包含基礎值和區域詞綴",
-  "Spirit":"精魂",
-  "Any":"任何",
-  "Any Weapon":"武器",
-  "Any One-Handed Melee Weapon":"任何單手近戰武器",
-  "Unarmed":"空手",
-  "Claw":"爪",
-  "Dagger":"匕首",
-  "One-Handed Sword":"單手劍",
-  "One-Handed Axe":"單手斧",
-  "One-Handed Mace":"單手錘",
-  "Spear":"長鋒",
-  "Flail":"鏈錘",
-  "Any Two-Handed Melee Weapon":"任何雙手近戰武器",
-  "Two-Handed Axe":"雙手斧",
-  "Two-Handed Mace":"雙手錘",
-  "Quarterstaff":"細杖",
-  "Any Ranged Weapon":"任何遠程武器",
-  "Bow":"弓",
-  "Crossbow":"十字弓",
-  "Any Caster Weapon":"任何法術武器",
-  "Wand":"法杖",
-  "Sceptre":"權杖",
-  "Staff":"長杖",
-  "Fishing Rod":"釣竿",
-  "Any Armour":"任意護甲",
-  "Helmet":"頭盔",
-  "Body Armour":"胸甲",
-  "Gloves":"手套",
-  "Boots":"鞋子",
-  "Quiver":"箭袋",
-  "Shield":"盾",
-  "Focus":"法器",
-  "Buckler":"輕盾",
-  "Any Accessory":"配件",
-  "Amulet":"項鍊",
-  "Belt":"腰帶",
-  "Any Gem":"任何寶石",
-  "Skill Gem":"技能寶石",
-  "Support Gem":"輔助寶石",
-  "Meta Gem":"主要寶石",
-  "Any Jewel":"任何珠寶",
-  "Any Flask":"藥劑",
-  "Life Flask":"生命藥劑",
-  "Mana Flask":"魔力藥劑",
-  "Any Endgame Item":"地圖",
-  "Waystone":"換界石",
-  "Map Fragment":"地圖碎片",
-  "Logbook":"日誌",
-  "Breachstone":"裂痕石",
-  "Barya":"巨靈之幣",
-  "Pinnacle Key":"巔峰鑰匙",
-  "Ultimatum Key":"通牒鑰匙",
-  "Tablet":"碑牌",
-  "Divination Card":"命運卡",
-  "Relic":"古典",
-  "Any Currency":"任何通貨",
-  "Omen":"預兆",
-  "Any Socketable":"任何可鑲嵌物品",
-  "Rune":"符文",
-  "Soul Core":"靈魂核心",
-  "Talisman":"魔符聯盟（標準）",
-  "Normal":"一般",
-  "Magic":"魔法",
-  "Rare":"稀有",
-  "Unique":"傳奇",
-  "Unique (Foil)":"傳奇 (貼模)",
-  "Any Non-Unique":"非傳奇道具",
-  "Item Level":"物品等級",
-  "Item Quality":"物品品質",
-  "Attacks per Second":"每秒攻擊速度",
-  "Critical Chance":"暴擊機率",
-  "Damage per Second":"每秒傷害",
-  "Physical DPS":"物理傷害",
-  "Elemental DPS":"元素傷害",
-  "Rune Sockets":"符文插槽",
-  "Level":"等級",
-  "Waystone Tier":"換界石階級",
-  "Waystone Drop Chance":"換界石掉落機率",
-  "Victorious":"勝利",
-  "Cowardly":"怯懦",
-  "Deadly":"致命",
-  "Gem Level":"寶石等級",
-  "Gem Sockets":"寶石插槽",
-  "Area Level":"區域等級",
-  "Stack Size":"堆疊數量",
-  "Identified":"已鑑定",
-  "Corrupted":"已汙染",
-  "Mirrored":"已複製",
-  "Alternate Art":"特殊造型",
-  "Barya Sacred Water":"巨靈之幣神聖之水",
-  "Unidentified Tier":"未鑑定階級",
-  "Orb of Augmentation":"增幅石",
-  "Orb of Transmutation":"蛻變石",
-  "Exalted Orb":"崇高石",
-  "Regal Orb":"富豪石",
-  "Chaos Orb":"混沌石",
-  "Vaal Orb":"瓦爾寶珠",
-  "Orb of Alchemy":"點金石",
-  "Divine Orb":"神聖石",
-  "Orb of Annulment":"剥离石",
-  "Mirror of Kalandra":"卡蘭德魔鏡",
-  "This item is destroyed when applied to a Trial":"當套用至試煉時此物品會被摧毀",
-  "Has Honed Claws":"使用 磨礪之爪",
-  "Has Fright Mask":"使用 恐懼面具",
-  "Has Deadly Snare":"使用 致命陷阱",
-  "Has Dark Pit":"使用 暗坑",
-  "Has Low Rivers":"使用 低淺之河",
-  "Has Blunt Sword":"使用 鈍劍",
-  "Has Rapid Quicksand":"使用 快速流沙",
-  "Has UNUSED":"使用 損壞鎖撬",
-  "Has Hare Foot":"使用 腳兔",
-  "Has Flooding Rivers":"使用 氾濫之河",
-  "Has Reparations":"使用 補償",
-  "Has Leaking Waterskin":"使用 漏水袋",
-  "Has Gate Toll":"使用 通行稅",
-  "Has Death Toll":"使用 死亡稅",
-  "Has Exhausted Wells":"使用 枯竭水井",
-  "Has Spiked Shell":"使用 尖刺貝殼",
-  "Has Hungry Fangs":"使用 飢餓獠牙",
-  "Has Branded Balbalakh":"使用 被烙印的芭芭拉卡",
-  "Has Suspected Sympathiser":"使用 可疑的同情者",
-  "Has Honoured Challenger":"使用 尊敬的挑戰者",
-  "Has Black Smoke":"使用 黑煙",
-  "Has Scrying Crystal":"使用 占卜水晶",
-  "Has Trade Tariff":"使用 貿易關稅",
-  "Has Silver Tongue":"使用 能說會道",
-  "Has Imperial Seal":"使用 玉璽",
-  "Has Garukhan's Favour":"使用 卡洛翰恩典",
-  "Has Winter Drought":"使用 凜冬乾旱",
-  "Has Earned Honour":"使用 贏來的榮譽",
-  "Has Ahkeli's Guard":"使用 阿卡莉的守護",
-  "Has Glowing Orb":"使用 發光寶珠",
-  "Has Veiled Sight":"使用 蒙蔽視線",
-  "Has Red Smoke":"使用 紅煙",
-  "Has Golden Smoke":"使用 金煙",
-  "Has Purple Smoke":"使用 紫煙",
-  "Has Ghastly Scythe":"使用 陰森鐮刀",
-  "Has Orbala's Leathers":"使用 奧爾巴拉的皮甲",
-  "Has Sekhema's Cloak":"使用 絲克瑪的披風",
-  "Has Dekhara's Necklace":"使用 勇士項鍊",
-  "Has Unassuming Brick":"使用 不起眼的磚",
-  "Has Moment's Peace":"使用 片刻和平",
-  "Has Spiked Exit":"使用 尖刺入口",
-  "Has Tattered Blindfold":"使用 破爛眼罩",
-  "Has Unquenched Thirst":"使用 口乾舌燥",
-  "Has Dishonoured Tattoo":"使用 屈辱紋身",
-  "Has Diverted River":"使用 岔河",
-  "Has Raincaller":"使用 喚雨者",
-  "Has Deceptive Mirror":"使用 騙人鏡子",
-  "Has Haemorrhage":"使用 出血",
-  "Has All-Seeing Eye":"使用 全視之眼",
-  "Has Lustrous Pearl":"使用 璀璨珍珠",
-  "Has Viscous Ichor":"使用 粘稠膿液",
-  "Has Wooden Effigy":"使用 木人像",
-  "Has Sanguine Vial":"使用 血紅瓶",
-  "Has Ornate Dagger":"使用 華麗匕首",
-  "Has Assassin's Blade":"使用 刺客之刃",
-  "Has Enchanted Urn":"使用 附魔之甕",
-  "Has Adrenaline Vial":"使用 腎上腺素瓶",
-  "Has Mirror of Fortune":"使用 財富之鏡",
-  "Has Orbala Statuette":"使用 奧爾巴拉雕像",
-  "Has Holy Water":"使用 聖水",
-  "Has Fountain of Youth":"使用 青春之泉",
-  "Has Silver Chalice":"使用 銀聖杯",
-  "Has Black Pearl":"使用 黑珍珠",
-  "Has Balbala's Gift":"使用 芭芭拉的禮物",
-  "Has Chipped Dice":"使用 骰子",
-  "Has Upward Path":"使用 上行之路",
-  "Has Sacred Mirror":"使用 聖鏡",
-  "Has Crystal Shard":"使用 水晶碎片",
-  "Has Lustrous Lacquer":"使用 光亮漆",
-  "Has Forgotten Traditions":"使用 忘卻傳統",
-  "Has Season of Famine":"使用 飢荒季節",
-  "Has Myriad Aspersions":"使用 流言四起",
-  "Has Costly Aid":"使用 高昂援助",
-  "Has Chains of Binding":"使用 束縛連鎖",
-  "Has Untouchable":"使用 無法觸碰",
-  "Has Rusted Mallet":"使用 生鏽木槌",
-  "Has Weakened Flesh":"使用 虛弱肉體",
-  "Has Fiendish Wings":"使用 惡魔之翼",
-  "Has Worn Sandals":"使用 磨損涼鞋",
-  "Has Orb of Negation":"使用 否定寶珠",
-  "Has Tradition's Demand":"使用 傳統之需",
-  "Has Chiselled Stone":"使用 鑿石",
-  "Has Glass Shard":"使用 玻璃碎片",
-  "Has Iron Manacles":"使用 鐵手鐐",
-  "Has Sharpened Arrowhead":"使用 鋒利箭矢",
-  "Has Shattered Shield":"使用 破碎盾牌",
-  "Has Corrosive Concoction":"使用 腐蝕藥劑",
-  "Has Pledge to the Guileful":"使用 狡猾冥約",
-  "Has Pledge to the Powerful":"使用 強力冥約",
-  "Has Pledge to the Deserted":"使用 棄置之地冥約",
-  "Has Pledge to the Afflicted":"使用 折磨冥約",
-  "When you Kill a Rare monster, you gain its Modifiers for # seconds":"當你擊殺稀有怪物時，你會獲得它的詞綴 # 秒",
-  "Bow Attacks fire an additional Arrow":"弓的攻擊額外發射 1 支箭矢",
-  "#% increased Reservation Efficiency of Companion Skills":"盟友技能增加 #% 保留效率",
-  "Mana Leech recovers based on Elemental Damage Types instead of Physical Damage":"魔力偷取會依據你的元素傷害類型而非物理傷害進行恢復",
-  "#% increased Maximum Life if you have at least # Red Support Gems Socketed":"若你插槽中有至少 # 顆紅色輔助寶石，增加 #% 最大生命",
-  "#% increased Maximum Mana if you have at least # Blue Support Gems Socketed":"若你插槽中有至少 # 顆藍色輔助寶石，增加 #% 最大魔力",
-  "#% increased Movement Speed if you have at least # Green Support Gems Socketed":"若你插槽中有至少 # 顆綠色輔助寶石，增加 #% 移動速度",
-  "#% chance for Slam Skills you use yourself to cause an additional Aftershock":"你自身使用的重擊技能有#%機率造成額外一次餘震",
-  "Every second Slam Skill you use yourself is Ancestrally Boosted":"你自己使用的重擊技能每秒都會受先祖強化",
-  "Every Third Slam skill that doesn't create Fissures which you use yourself causes # additional Aftershocks ahead and to each side of the initial area":"你自身使用的不會產生裂隙的猛擊技能每第三次使用時，會在初始區域前方和兩側各造成 # 個額外的 餘震",
-  "#% more Damage against Heavy Stunned Enemies":"增加 #%對遭沉重暈眩的敵人的傷害",
-  "Your Hits are Crushing Blows":"你的擊中為粉碎重擊",
-  "#% increased effect of Small Passive Skills":"增加 #%小型天賦效果",
-  "Carry a Chest which adds # Inventory Slots":"裝備一個具有 # 個背包欄位的箱子",
-  "#% more Maximum Life":"#% 更多最大生命",
-  "#% more Armour from Equipped Body Armour":"來自已裝備的身體護甲有 #% 更多護甲值",
-  "Break Armour equal to #% of Hit Damage dealt":"破壞的護甲值相當於造成的 #% 擊中傷害",
-  "Fully Broken Armour you inflict increases all Damage Taken from Hits instead":"你造成的完全護甲破壞會改為增加所有承受的擊中傷害",
-  "You can Break Enemy Armour to below #":"你可以將敵人的護甲破壞至 # 以下",
-  "Gain a stack of Jade every second":"每秒獲得一層翠玉",
-  "additional physical damage reduction % per jade [#]":"additional physical damage reduction % per jade [#]",
-  "max jade stacks [#]":"max jade stacks [#]",
-  "Warcries Explode Corpses dealing #% of their Life as Physical Damage":"戰吼引爆附近屍體，造成相當於其 #% 生命的物理傷害",
-  "Ignore Warcry Cooldowns":"無視戰吼冷卻時間",
-  "+# to maximum number of Summoned Totems":"+# 召喚圖騰最大數量",
-  "Trigger Ancestral Spirits when you Summon a Totem":"當你召喚一個圖騰時，觸發先祖之靈",
-  "#% of Damage from Hits is taken from your nearest Totem's Life before you":"擊中傷害在扣除你的生命前，其 #% 傷害先從距離你最近的圖騰扣除生命",
-  "#% of Damage from Hits is taken from your nearest Totems Life before you":"擊中傷害在扣除你的生命前，其 #% 傷害先從距離你最近的圖騰扣除生命",
-  "Gain #% Base Chance to Block from Equipped Shield instead of the Shield's value":"已裝備的盾牌會賦予 #% 基礎格擋機率，而不是盾牌的數值",
-  "Gain #% Base Chance to Block from Equipped Shield instead of the Shields value":"已裝備的盾牌會賦予 #% 基礎格擋機率，而不是盾牌的數值",
-  "You take #% of damage from Blocked Hits":"你受到來自格擋擊中的 #% 傷害",
-  "Maximum Block chance is #%":"最大格擋機率為 #%",
-  "Modifiers to Fire Resistance also grant Cold and Lightning Resistance at #% of their value":"火焰抗性詞綴也會依其數值 #% 的效果賦予冰冷和閃電抗性",
-  "Modifiers to Maximum Fire Resistance also grant Maximum Cold and Lightning Resistance":"最大火焰抗性詞綴也會賦予最大冰冷和閃電抗性",
-  "Can only use a Normal Body Armour":"只能使用一件普通身體護甲",
-  "+# to Armour for each Connected Notable Passive Skill Allocated":"每一配置的相連天賦點+#護甲",
-  "Body Armour grants +#% to Fire Resistance":"身體護甲賦予 +#% 火焰抗性",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants #% increased Glory generation":"增加 #%身體護甲賦予榮耀獲得速度",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants #% increased Thorns damage":"增加 #%身體護甲賦予荊棘傷害",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants #% increased Strength":"增加 #%身體護甲所賦予力量",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants #% increased maximum Life":"增加 #%身體護甲所賦予最大生命",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants #% increased Spirit":"增加 #%身體護甲賦予精魂",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants regenerate #% of maximum Life per second":"身體護甲賦予每秒回復 #% 生命",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants +#% of Armour also applies to Elemental Damage":"身體護甲所賦予護甲值的 +#% 也會套用至元素傷害",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants #% of Physical Damage from Hits taken as Fire Damage":"身體護甲賦予將所承受擊中物理傷害的 #% 視為火焰傷害",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants Hits against you have #% reduced Critical Damage Bonus":"減少 #%身體護甲賦予對你擊中時的暴擊傷害加成",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants +#% of Armour also applies to Chaos Damage":"身體護甲所賦予護甲值的 +#% 也會套用至混沌傷害",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Body Armour grants Unaffected by Damaging Ailments":"身體護甲獲得不受傷害異常狀態影響",
-  "base physical damage reduction rating no display [#]":"base physical damage reduction rating no display [#]",
-  "Skills fire an additional Projectile":"技能發射額外 # 個投射物",
-  "Gain Tailwind on Skill use":"使用技能時獲得流順之風",
-  "Lose all Tailwind when Hit":"遭擊中時，失去所有流順之風",
-  "#% chance when you gain a Frenzy Charge to gain an additional Frenzy Charge":"當你獲得一顆狂怒球時，有 #% 機率獲得一顆額外的狂怒球",
-  "Benefits from consuming Frenzy Charges for your Skills have #% chance to be doubled":"消耗狂怒球使你的技能獲得的增益有 #% 機率加倍",
-  "Apply # Critical Weakness to Enemies when Consuming a Mark on them":"對敵人消耗印記時，施加 # 層暴擊弱點",
-  "Cannot be Heavy Stunned while Sprinting":"衝刺時無法被沉重暈眩",
-  "#% less Movement Speed Penalty from using Skills while moving":"在移動時使用技能有 #% 更少移動速度懲罰",
-  "Your speed is unaffected by Slows":"你的速度不受緩速影響",
-  "Double the number of your Poisons that targets can be affected by at the same time":"目標可同時受你的中毒所影響的數量變成雙倍",
-  "#% less Poison Duration":"#% 更少中毒持續時間",
-  "#% of Evasion Rating also grants Elemental Damage reduction":"閃避值的 #% 也會賦予元素傷害減免",
-  "Life Flask Effects are not removed when Unreserved Life is FilledLife Flask Effects do not Queue":"未保留的生命已滿時，生命藥劑效果不會移除\生命藥劑效果不用依序等待生效",
-  "Attribute Passive Skills can instead grant #% increased Damage Attribute Passive Skills can instead grant #% increased Defences Attribute Passive Skills can instead grant #% increased Cost Efficiency":"能力值天賦點改為賦予增加#%傷害 能力值天賦點改為賦予增加#%全域防禦 能力值天賦點改為賦予增加#%消耗效率",
-  "Chance to Hit with Attacks can exceed #%Gain additional Critical Hit Chance equal to #% of excess chance to Hit with Attacks":"攻擊擊中機率可以高於#%獲得等同於#%溢出攻擊擊中機率的額外暴擊 率",
-  "Attacks using your Weapons have Added Physical Damage equalto #% of the Accuracy Rating on the Weapon":"使用你的武器攻擊會附加相當於武器 #% 命中值的物理傷害",
-  "Reveal Weaknesses against Rare and Unique enemies":"使稀有和傳奇敵人暴露弱點",
-  "#% more damage against enemies with an Open Weakness":"對帶有開放弱點的敵人，增加 #%傷害",
-  "#% increased Movement Speed while an enemy with an Open Weakness is in your Presence":"若你的存在範圍內有一個帶有開放弱點的敵人，增加 #%移動速度",
-  "#% increased Skill Speed while an enemy with an Open Weakness is in your Presence":"若你的存在範圍內有一個帶有開放弱點的敵人，增加 #%技能速度",
-  "When you Consume a Charge, Trigger Elemental Surge to gain # Fire Surges":"當你消耗能量球時，觸發元素波動以獲得#火焰波動",
-  "When you Consume a Charge, Trigger Elemental Surge to gain # Cold Surges":"當你消耗能量球時，觸發元素波動以獲得#冰冷波動",
-  "Gain # fewer Lightning Surge from Triggering Elemental Surge":"觸發元素波動時獲得#更少閃電波動",
-  "When you Consume a Charge, Trigger Elemental Surge to gain # Lightning Surges":"當你消耗能量球時，觸發元素波動以獲得#閃電波動",
-  "Life Flasks also recover ManaMana Flasks also recover Life":"生命藥劑也會恢復魔力魔力藥劑也會恢復生命",
-  "Evasion Rating from Equipped Helmet, Gloves and Boots is doubled":"裝備頭盔、手套和長靴的閃避值加倍",
-  "Evasion Rating from Equipped Body Armour is halved":"來自身體護甲的閃避值減半",
-  "Life Leech recovers based on your Elemental damage as well as Physical damage":"生命偷取會依據你的元素傷害以及物理傷害進行恢復",
-  "#% increased bonuses gained from Equipped Rings and Amulets":"增加 #%自已裝備戒指和項鍊獲得的加成",
-  "+# Ring Slot":"戒指欄位 +#",
-  "+# Charm Slot":"+# 護符欄位",
-  "#% more Charm Charges gained":"獲得 #% 更多護符充能",
-  "Can instead consume #% of maximum Mana to trigger Charms with insufficient charges":"護符的充能不足時，可改為消耗 #% 最大魔力觸發之",
-  "#% increased Life Recovery rate per #% missing Unreserved Life":"每損失 #% 未保留生命，增加 #% 生命恢復率",
-  "#% more Damage against Enemies affected by Blood Boils":"對被鮮血沸騰影響的敵人造成#%更多傷害",
-  "Ritual Sacrifice can be used on yourself to remove #% of maximum Life and grant a random Monster ModifierA maximum of one Modifer can be granted this way":"儀式獻祭可對你自己使用，移除 #% 最大生命，並賦予一個隨機的怪物詞綴以此方式賦予的詞綴最多為一個",
-  "Reserves #% of Life":"保留 #% 生命",
-  "+# to Maximum Mana per # Maximum Life":"每 # 最大生命，+# 最大 魔力",
-  "Reserves #% of Life":"保留 #% 生命",
-  "+# to Maximum Energy Shield per # Maximum Life":"每 # 最大生命，+# 最大能量護盾",
-  "Reserves #% of Life":"保留 #% 生命",
-  "+# to Maximum Spirit per # Maximum Life":"每 # 最大生命，+# 最大 精魂",
-  "#% of Cold Damage taken as Fire Damage":"所承受冰冷傷害的 #% 視為火焰傷害",
-  "#% of Lightning Damage taken as Fire Damage":"#% 的閃電傷害承受為火焰傷害",
-  "#% of Physical Damage taken as Chaos Damage":"#% 物理傷害承受為混沌傷害",
-  "max demon form stacks [#]":"max demon form stacks [#]",
-  "Demonflame has no maximum":"惡魔烈焰解除上限",
-  "Maximum Mana is replaced by twice as much Maximum Infernal FlameGain Infernal Flame instead of spending Mana for Skill costs":"以雙倍的最大煉獄之炎替換最大魔力值使用技能時消耗煉獄之炎而不是魔力",
-  "Take maximum Life and Energy Shield as Fire Damage when Infernal Flame reaches maximum":"赤獄烈炎達到最大時，受到相當於最大生命和能量護盾的火焰傷害",
-  "Lose all Infernal Flame on reaching maximum Infernal Flame":"達到煉獄之炎上限時，失去所有煉獄之炎",
-  "#% of Infernal Flame lost per second if none was gained in the past # seconds":"如果你在過去 # 秒內未獲得赤獄烈炎，每秒失去 #% 赤獄烈炎",
-  "All Damage from you and Allies in your Presencecontributes to Flammability and Ignite Magnitudes":"所有你和你存在範圍內友方造成的傷害會貢獻至易燃和點燃幅度",
-  "Become Ignited when you deal a Critical Hit, taking #% of your maximum Life and Energy Shield as Fire Damage per second":"當你造成暴擊時會被點燃，每秒承受等同於你生命和能量護盾 #% 的火焰",
-  "#% more Critical Damage Bonus":"#% 更多暴擊傷害加成",
-  "number of infernal familiars allowed [#]":"number of infernal familiars allowed [#]",
-  "Gain Elemental Archon when you cast a Spell while on High Infernal Flame":"當你處於高煉獄之炎狀態下施放技能時，獲得元素統治者",
-  "Elemental Archon does not expire while on High Infernal Flame":"元素統治者在你處於高煉獄之炎狀態時不會結束",
-  "Lose Elemental Archon on reaching maximum Infernal Flame":"達到最大煉獄之炎時失去元素統治者",
-  "#% increased Critical Damage Bonus per # current Life":"每#當前生命增加#%暴擊傷害加成",
-  "Base Critical Hit Chance for Spells is #%":"法術的基礎暴擊率為 #%",
-  "Skills gain a Base Life Cost equal to Base Mana Cost":"技能獲得相當於基礎魔力消耗的基礎生命消耗",
-  "life remnants gain per globe [#]":"life remnants gain per globe [#]",
-  "Bleeding you inflict on Cursed targets is Aggravated":"你對被詛咒的目標造成的流血會加劇",
-  "Elemental Damage also Contributes to Bleeding Magnitude":"元素傷害也會貢獻至流血幅度",
-  "Targets Cursed by you have #% reduced Life Regeneration Rate":"被你詛咒的目標減少#%生命回復率",
-  "Targets Cursed by you have at least #% of Life Reserved":"被你詛咒的目標有至少#%生命保留",
-  "#% of Spell Damage Leeched as Life":"法術傷害的 #% 轉化為生命偷取",
-  "#% of Life Loss from Hits is prevented, then that much Life is lost over # seconds instead":"避免承受擊中傷害的 #% 生命損失，改為在 # 秒內逐漸被扣除",
-  "Gain additional maximum Life equal to #% of the Item Energy Shield on Equipped Body Armour":"獲得相當於已裝備身體護甲的物品能量護盾 #% 的額外最大生命",
-  "#% less Life Recovery from Flasks":"藥劑具有 #% 更少生命恢復",
-  "Gain # Life Flask Charge per #% Life spent":"每消耗 #% 生命獲得 # 生命藥劑充能",
-  "On Hitting an Enemy while a Life Flask is at full Charges, #% of its Charges are consumedGain #% of damage as Physical damage for # seconds per Charge consumed this way":"在生命藥劑充能全滿時擊中敵人，消耗其 #% 充能每以此方式消耗 # 充能，獲得相當於 #% 傷害的物理傷害 # 秒",
-  "Can Socket a non-Unique Basic Jewel into the Phylactery":"可鑲嵌一個非傳奇的基礎珠寶",
-  "#% increased Effect of the Socketed Jewel":"增加 #%鑲嵌珠寶的效果",
-  "#% more Mana Cost of Skills if you have no Energy Shield":"如果你沒有能量護盾，具有 #% 更多魔力消耗",
-  "Cursed Enemies killed by you, or by Allies in your Presence, have a #% chance to explode, dealing a quarter of their maximum Life as Chaos damage":"被你或你存在範圍內的友方擊殺的受詛咒的敵人有 #% 機率爆炸，造成相當於其最大生命四分之一的混沌傷害",
-  "While you are not on Low Mana, you and Allies in your Presence have Unholy Might":"當你不在貧魔狀態時，你與你存在範圍內的盟友獲得不潔之力",
-  "Lose #% of maximum Mana per Second":"每秒失去 #% 魔力",
-  "#% increased Magnitude of Unholy Might Buffs you grant per # maximum Mana":"每 # 最大魔力，增加 #% 你所賦予的不潔之力增益效果幅度",
-  "#% of Damage taken bypasses Energy Shield":"所受傷害的 #% 會穿透能量護盾",
-  "No inherent Mana Regeneration":"無固有魔力回復",
-  "Regenerate Mana equal to #% of maximum Life per second":"每秒回復相當於 #% 最大生命的魔力",
-  "Your Life cannot change while you have Energy Shield":"你擁有能量護盾時，生命不會發生變化",
-  "Spells consume a Power Charge if able to deal #% more Damage":"如果可以，法術會消耗一顆暴擊球以造成 #% 更多傷害",
-  "Spells deal #% more Damage when Sacrificing Energy Shield":"在獻祭能量護盾時，法術造成 #% 更多傷害",
-  "Sacrifice #% of maximum Energy Shield when you Cast a Spell":"你施放法術時獻祭 #% 最大能量護盾",
-  "Sacrificing Energy Shield does not interrupt Recharge":"獻祭能量護盾不會中斷充能",
-  "Curses you inflict have infinite Duration":"你所施加的詛咒有無限的持續時間",
-  "You can apply an additional Curse":"你可以施加 # 個額外的詛咒",
-  "You have Arcane Surge":"你擁有秘能波動",
-  "#% of Damage is taken from Mana before Life":"生命值所受的 #% 傷害由魔力扣除",
-  "#% increased Effect of Arcane Surge on you per ten percent missing Mana":"每損失 #% 魔力，增加 #%你身上的秘能波動效果",
-  "Trigger Elemental Storm on Critical Hit with Spells":"法術暴擊時觸發元素風暴",
-  "+# to Limit for Elemental Skills":"元素技能的上限 +#",
-  "Targets can be affected by two of your Shocks at the same time":"目標可同時受到你的兩種感電影響",
-  "#% less Magnitude of Shock you inflict":"你所造成之感電具有 #% 更少幅度",
-  "All Damage from Hits Contributes to Shock Chance":"擊中的所有傷害貢獻至感電機率",
-  "Targets can be affected by two of your Chills at the same time":"目標可同時受到你的兩種冰緩影響",
-  "Your Chills can Slow targets by up to a maximum of #%":"你的冰緩最多可以緩速目標 #%",
-  "#% less Magnitude of Chill you inflict":"你所施加之冰緩具有 #% 更少幅度",
-  "All Damage from Hits Contributes to Chill Magnitude":"擊中的所有傷害貢獻至冰緩幅度",
-  "Remnants can be collected from #% further away":"痕跡可從 #% 更遠距離撿拾",
-  "Remnants you create reappear once, # seconds after being collected":"你創造的痕跡在撿拾後 # 秒會再出現一次",
-  "When collecting an Elemental Infusion, gain another different Elemental Infusion":"拾取元素灌注時，會獲得另一個不同的元素灌注",
-  "Recoup Effects instead occur over # seconds":"補償效果改為在 # 秒內生效",
-  "Skills have #% chance to not consume a Cooldown when used":"使用技能時有 #% 機率不消耗冷卻",
-  "Enemies in your Presence are Slowed by #%":"處於你的存在範圍中的敵人行動速度降低 #%",
-  "Grants Sands of Time":"賦予時間之沙",
-  "#% of your current Energy Shield is added to your Armour fordetermining your Physical Damage Reduction from Armour":"當你判定來自護甲的物理傷害減免時將你當前能量護盾的#%加入護甲值進行計算",
-  "-# second to base Energy Shield Recharge delay":"基礎能量護盾回復延遲-#秒",
-  "#% more Energy Shield Recharge Rate while on Low Energy Shield":"你貧能量護盾狀態時擁有#%更多能量護盾充能率",
-  "#% of Elemental Damage is taken from Mana before Life":"承受的#%元素傷害 在減少生命之前會先減少魔力",
-  "You can equip a Focus while wielding a Staff":"你可以在手持長杖時裝備法器",
-  "#% reduced bonuses gained from Equipped Focus":"減少#%來自裝備中法器的增益效果",
-  "Non-Unique Time-Lost Jewels have #% increased radius":"增加#%非傳奇時迭珠寶的半徑範圍",
-  "[DNT] Fire Djinn will use Flame Slice on Enemies you target with Damaging Skills":"[DNT] Fire Djinn will use Flame Slice on Enemies you target with Damaging Skills",
-  "Persistent Buffs have #% less Reservation":"持續增益效果具有 #% 更少占用",
-  "Allies in your Presence gain added Attack Damage equalto #% of your main hand Weapon's Damage":"你存在範圍內的友方獲得相當於你主手武器傷害 #% 的附加攻擊傷害",
-  "Allies in your Presence gain added Attack Damage equalto #% of your main hand Weapons Damage":"你存在範圍內的友方獲得相當於你主手武器傷害 #% 的附加攻擊傷害",
-  "Banners gain # Glory per second":"旗幟每秒獲得 # 榮耀",
-  "There is no Limit on the number of Banners you can place":"你可以放置的旗幟數量沒有上限",
-  "#% more Immobilisation buildup":"#% 更多禁錮累積",
-  "Projectile Damage builds Pin":"投射物傷害累積釘身",
-  "Pinned enemies cannot perform actions":"被釘身的敵人無法行動",
-  "Gain Deflection Rating equal to #% of Armour":"獲得等同 #% 護甲值的偏斜值",
-  "Gain #% of Evasion Rating as extra Ailment Threshold":"獲得相當於 #% 閃避值的額外異常狀態門檻",
-  "Defend with #% of Armour":"以 #% 護甲值防禦",
-  "Enemies have an Accuracy Penalty against you based on Distance":"敵人對你具有視距離而定的命中懲罰",
-  "Maximum Chance to Evade is #%":"最大閃避機率為 #%",
-  "Maximum Physical Damage Reduction is #%":"最大物理傷害減免為 #%",
-  "+# to maximum number of Summoned Totems":"+# 召喚圖騰最大數量",
-  "Skills used by Totems have #% more Skill Speed":"圖騰所使用的技能有 #% 更多技能速度",
-  "Totems only use Skills when you fire an Attack Projectile":"當你射出攻擊投射物時，圖騰才會使用技能",
-  "is focused totem [#]":"is focused totem [#]",
-  "Totems you place grant Embankment Auras":"你設置的圖騰賦予陣地光環",
-  "Culling Strike":"撲殺",
-  "Decimating Strike":"屠戮打擊",
-  "Enemies have Maximum Concentration equal to #% of their Maximum Life":"敵人有等同於其最大生命 #% 的專注上限",
-  "Break enemy Concentration on Hit equal to #% of Damage Dealt":"擊中敵人時，破壞相當於造成傷害 #% 的專注",
-  "Enemies regain #% of Concentration every second if they haven't lost Concentration in the past # seconds":"若敵人在過去 # 秒內沒有失去集中，便恢復 #% 集中",
-  "focus decay delay ms [#]":"focus decay delay ms [#]",
-  "Deal up to #% more Damage to Enemies based on their missing Concentration":"根據敵人失去的專注，最多造成 #% 更多傷害",
-  "#% less Armour and Evasion Rating":"#% 更少護甲值和閃避值",
-  "Sorcery Ward's Barrier can also take Physical and Chaos Damage from Hits":"祕法護盾可以同時承受來自擊中的物理及混沌傷害",
-  "Sorcery Wards Barrier can also take Physical and Chaos Damage from Hits":"祕法護盾可以同時承受來自擊中的物理及混沌傷害",
-  "#% chance for Enemies you Kill to Explode, dealing #%of their maximum Life as Physical DamageChance is doubled against Undead and Demons":"你擊殺的敵人有 #% 機率爆炸，造成相當於其最大生命 #% 的物理傷害對於不死族和惡魔，該機率加倍",
-  "# Passive Skill Points become Weapon Set Skill Points":"# 點天賦點數成為武器套裝天賦點數",
-  "+#% to Quality of all Skills":"+#% 至全部技能的品質",
-  "For each colour of Socketed Support Gem that is most numerous, gain:•Red: Hits against you have no Critical Damage Bonus•Blue: Skills have #% less cost•Green: #% less Movement Speed Penalty from using Skills while Moving":"依據插槽中輔助寶石最多顆的顏色，會獲得• 紅色：對你的擊中傷害無暴擊傷害加成• 藍色：技能有 #% 更少消耗• 綠色：移動時使用技能會有 #% 更少移動速度懲罰",
-  "Grants Thaumaturgical Dynamism":"賦予奇術活力",
-  "gain random charge every X ms from total socketed gem attribute requirements [#]":"gain random charge every X ms from total socketed gem attribute requirements [#]",
-  "Inherent bonuses gained from Attributes are doubled":"能力值賦予的固有加成變為兩倍",
-  "#% less Attributes":"減少 #%能力值",
-  "Attribute Requirements of Gems can be satisified by your highest Attribute":"寶石的能力值需求可以被你最高的能力值滿足",
-  "Skills deal #% increased Damage per Connected Red Support Gem":"增加 #%每個連接的紅色輔助寶石使技能傷害",
-  "Skills have #% increased Skill Speed per Connected Green Support Gem":"增加 #%每個連接的綠色輔助寶石使技能技能速度",
-  "Skills have #% increased Critical Hit Chance per Connected Blue Support Gem":"增加 #%每個連接的藍色輔助寶石使技能暴擊率",
-  "+#% to Maximum Cold Resistance per # Blue Support Gems Socketed":"每插入 # 顆藍色輔助寶石，最大冰冷抗性 +#%",
-  "+#% to Maximum Fire Resistance per # Red Support Gems Socketed":"每插入 # 顆紅色輔助寶石，最大火焰抗性 +#%",
-  "+#% to Maximum Lightning Resistance per # Green Support Gems Socketed":"每插入 # 顆綠色輔助寶石，最大閃電抗性 +#%",
-  "Non-Keystone Passive Skills in Medium Radius of allocated Keystone Passive Skills can be allocated without being connected to your tree":"天賦樹中在已配置的關鍵天賦中型範圍內未連結的非關鍵天賦仍然可以配置",
-  "Walk the Paths Not Taken":"踏上未屢之道",
-  "Hit damage is taken from Mana before Life if your current Mana is higher than your current Life":"如果你當前魔力高於當前生命，承受的擊中傷害會先從魔力扣除",
-  "#% less maximum Life":"#%更少最大生命",
-  "#% less maximum Mana":"#%更少最大魔力",
-  "+# to maximum number of Summoned Totems":"+# 召喚圖騰最大數量",
-  "Totems die # seconds after their Life is reduced to #":"圖騰在生命值降為#後#秒死亡",
-  "Enemy Critical Hit Chance against you is Unlucky":"敵人對你的暴擊率不幸",
-  "Damage of Enemies Hitting you is Unlucky":"敵人對你的擊中傷害不幸",
-  "Inevitable Critical Hits":"絕對暴擊",
-  "Enemies in your Presence have Exposure":"你存在中的敵人有曝曬",
-  "Gain #% of Damage as Extra Damage of a random Element":"獲得#%傷害的額外隨機元素傷害",
-  "Every # Rage also grants #% more Spell damage":"每#盛怒同時給予#%更多法術傷害",
-  "#% less Elemental Damage taken":"承受#%更少元素傷害",
-  "Adapt to the highest Elemental Damage Type of each Hit you take":"根據承受的每一擊中適應最高的元素傷害種類",
-  "Each Adaptation grants #% less Damage taken of that Adaptation's type":"每一適應賦予#%更少該適應種類所承受的傷害",
-  "Each Adaptation grants #% less Damage taken of that Adaptations type":"每一適應賦予#%更少該適應種類所承受的傷害",
-  "base max adaptations [#]":"base max adaptations [#]",
-  "#% of Physical Damage taken as Lightning Damage":"#% 的物理傷害承受為閃電傷害",
-  "#% of Physical Damage taken as Cold Damage":"承受的#%物理傷害視為冰冷 傷害",
-  "#% of Physical Damage taken as Fire Damage":"#% 的物理傷害承受為火焰傷害",
-  "Adaptations have a duration of # seconds":"適應 有 # 秒的持續時間",
-  "Double Adaptation Effect":"適應的效果加倍",
-  "No Inherent loss of Rage":"盛怒不會固定流失",
-  "Regenerate #% of your maximum Rage per second":"每秒回復你 #% 的最大盛怒",
-  "Increases and Reductions to Mana Regeneration Rate also apply to Rage Regeneration Rate":"魔力回復率的增減也會套用於盛怒回復率",
-  "Skills have +# to Rage cost":"Skills have +# to Rage cost",
-  "+# to Maximum Rage":"+# 層最大盛怒",
-  "+# to Spirit for each of your empty Charm slots":"每個空的護符欄位+#精魂",
-  "Gain the benefits of Bonded modifiers on Runes and Idols":"獲得符文和魔偶上的羈絆詞綴",
-  "+# to Spirit for every # Item Energy Shield on Equipped Body Armour":"已裝備的身體護甲每擁有 # 物品能量護盾，獲得 +# 精魂",
-  "+# to Spirit for every # Evasion Rating on Equipped Body Armour":"裝備的胸甲每擁有 # 閃避值，獲得 +# 精魂",
-  "Cannot gain Spirit from Equipment":"無法從裝備獲得精魂",
-  "Physical Damage Reduction from Armour is based on your combined Armour and Evasion Rating":"來自護甲值的物理傷害減免依據你的護甲值以及閃避值總和",
-  "#% less Evasion Rating":"#% 更少閃避值",
-  "Gain #% of Damage as Extra Lightning Damage":"獲得相當於傷害 #% 的額外閃電傷害",
-  "#% chance on Shocking Enemies to created Shocked Ground":"感電中的敵人有 #% 機率產生感電地面",
-  "Gain #% of Damage as Extra Cold Damage":"獲得相當於傷害 #% 的額外冰冷傷害",
-  "On Freezing Enemies create Chilled Ground":"冰凍敵人時產生[Chilled Ground|冰緩地面]",
-  "gain unbound ailment stacks [#]":"gain unbound ailment stacks [#]",
-  "Critical Hits ignore non-negative Enemy Monster Elemental Resistances":"暴擊無視敵方怪物的非負值元素抗性",
-  "Trigger Elemental Expression on Melee Critical Hit":"近戰暴擊觸發元素顯現",
-  "Meta Skills gain #% more Energy":"主要技能獲得 #% 更多能量",
-  "Meta Skills have #% increased Reservation Efficiency":"主要技能增加 #% 保留效率",
-  "Take no Damage from Volatility":"不會受到易爆傷害",
-  "Gain # Volatility on inflicting an Elemental Ailment":"造成元素異常狀態時獲得 # 層易爆",
-  "Grants Unravelling":"賦予紛亂",
-  "Leech recovers based on Chaos Damage as well as Physical Damage":"偷取的恢復以混沌傷害及物理傷害為依據",
-  "+#% to Maximum Chaos Resistance":"+#% 最大混沌抗性",
-  "Chaos Resistance is doubled":"混沌抗性加倍",
-  "You have no SpiritBase Maximum Darkness is #Damage taken is Reserved from Darkness before being taken from Life or Energy Shield":"你沒有精魂基礎最大黑暗為 #受到的傷害由黑暗保留，再由生命或能量護盾承受",
-  "Darkness Reservation lasts for # seconds":"黑暗的占用會持續 # 秒",
-  "+# to Maximum Darkness per Level":"每一級的最大黑暗 +#",
-  "#% increased maximum Darkness per #% Chaos Resistance":"每有 #% 混沌抗性增加 #% 最大黑暗",
-};
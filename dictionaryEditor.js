@@ -0,0 +1,291 @@
+(function () {
+  'use strict';
+
+  const { CATEGORIES } = window.UserDictionary;
+  const msg = (key, substitutions) => chrome.i18n.getMessage(key, substitutions) || key;
+  const PREVIEW_DELAY = 300;
+
+  // 编辑中的词条用数组保存，允许临时出现空行和重复的英文
+  const rows = {};
+  let activeCategory = CATEGORIES[0];
+  let variant = 'traditional';
+  let bundled = {};
+  let previewTimer = null;
+  // 由编辑中的词条组装的配置，构建一次要数百毫秒，只在词条改动后重建
+  let previewConfig = null;
+  let statusTimer = null;
+
+  function toDictionary() {
+    const dict = {};
+    CATEGORIES.forEach(category => {
+      dict[category] = {};
+      rows[category].forEach(({ en, zh }) => (dict[category][en] = zh));
+    });
+    return window.UserDictionary.normalize(dict);
+  }
+
+  function showStatus(text) {
+    const status = document.getElementById('user-dict-status');
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => (status.textContent = ''), 1500);
+  }
+
+  function renderTabs() {
+    const tabs = document.getElementById('user-dict-tabs');
+    tabs.textContent = '';
+    CATEGORIES.forEach(category => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = `${msg(`user_dict_${category}`)} (${rows[category].length})`;
+      button.classList.toggle('active', category === activeCategory);
+      button.addEventListener('click', () => {
+        activeCategory = category;
+        render();
+      });
+      tabs.appendChild(button);
+    });
+  }
+
+  function createInput(row, field) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = row[field];
+    input.addEventListener('input', () => {
+      row[field] = input.value;
+      if (field === 'en') markDuplicates();
+      rowsChanged();
+    });
+    return input;
+  }
+
+  // 英文折叠后与其他行相同的行，保存时只有最后一行生效
+  function markDuplicates() {
+    const { keyOf } = window.UserDictionary;
+    const list = rows[activeCategory];
+    const counts = new Map();
+    list.forEach(({ en }) => {
+      const key = keyOf(en);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    document.querySelectorAll('#user-dict-body tr').forEach((tr, index) => {
+      const duplicate = counts.get(keyOf(list[index].en)) > 1;
+      tr.classList.toggle('duplicate', duplicate);
+      tr.title = duplicate ? msg('options_user_dict_duplicate') : '';
+    });
+  }
+
+  function renderRows() {
+    const body = document.getElementById('user-dict-body');
+    body.textContent = '';
+    rows[activeCategory].forEach((row, index) => {
+      const tr = document.createElement('tr');
+      [createInput(row, 'en'), createInput(row, 'zh')].forEach(input => {
+        const cell = document.createElement('td');
+        cell.appendChild(input);
+        tr.appendChild(cell);
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = msg('options_user_dict_remove');
+      remove.addEventListener('click', () => {
+        rows[activeCategory].splice(index, 1);
+        render();
+        rowsChanged();
+      });
+      const cell = document.createElement('td');
+      cell.appendChild(remove);
+      tr.appendChild(cell);
+
+      body.appendChild(tr);
+    });
+    markDuplicates();
+  }
+
+  function render() {
+    renderTabs();
+    renderRows();
+  }
+
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, PREVIEW_DELAY);
+  }
+
+  function rowsChanged() {
+    previewConfig = null;
+    schedulePreview();
+  }
+
+  // 用编辑中（尚未保存）的用户词典和内置词典重新组装配置，预览这一行在页面上的译文
+  function updatePreview() {
+    const output = document.getElementById('preview-output');
+    const line = document.getElementById('preview-input').value;
+    output.textContent = '';
+    if (!line.trim()) return;
+
+    if (!previewConfig) previewConfig = new window.TranslationConfig(variant, toDictionary(), bundled);
+    const result = previewConfig.translateLine(line);
+    if (!result) {
+      output.textContent = msg('options_preview_none');
+      return;
+    }
+
+    const source = document.createElement('span');
+    source.className = 'source';
+    source.textContent = `${msg(`user_dict_${result.kind}`)} · ${msg(result.fromUser ? 'options_preview_user' : 'options_preview_bundled')}`;
+    output.append(result.translation, source);
+  }
+
+  function loadRows(dict) {
+    CATEGORIES.forEach(category => {
+      rows[category] = Object.entries(dict[category]).map(([en, zh]) => ({ en, zh }));
+    });
+    previewConfig = null;
+  }
+
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function createElement(tag, text, className) {
+    const el = document.createElement(tag);
+    if (text !== undefined) el.textContent = text;
+    if (className) el.className = className;
+    return el;
+  }
+
+  function describeError({ line, reason, value }) {
+    const where = line ? msg('import_line', [String(line)]) : '';
+    return `${where}${msg(`import_error_${reason}`)}${value ? `：${value}` : ''}`;
+  }
+
+  // 导入前先列出新增、冲突、重复和无效的条目，确认后才合并
+  function renderImportReport(parsed) {
+    const report = document.getElementById('import-report');
+    report.textContent = '';
+    report.hidden = false;
+
+    const current = toDictionary();
+    const plan = window.UserDictionary.planMerge(current, parsed.entries);
+    const replaced = new Set();
+
+    const counts = [plan.added, plan.unchanged, plan.conflicts, plan.duplicates, parsed.errors];
+    report.appendChild(createElement('p', msg('import_summary', counts.map(list => String(list.length)))));
+
+    if (plan.conflicts.length) {
+      report.appendChild(createElement('h4', msg('import_conflicts_heading')));
+      const table = document.createElement('table');
+      const head = document.createElement('tr');
+      ['import_col_category', 'options_user_dict_en', 'import_col_existing', 'import_col_incoming', 'import_col_replace']
+        .forEach(key => head.appendChild(createElement('th', msg(key))));
+      table.appendChild(head);
+
+      plan.conflicts.forEach(conflict => {
+        const tr = document.createElement('tr');
+        const en = conflict.existingEn === conflict.en ? conflict.en : `${conflict.existingEn} → ${conflict.en}`;
+        [msg(`user_dict_${conflict.category}`), en, conflict.existing, conflict.zh]
+          .forEach(text => tr.appendChild(createElement('td', text)));
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) replaced.add(conflict);
+          else replaced.delete(conflict);
+        });
+        const cell = document.createElement('td');
+        cell.appendChild(checkbox);
+        tr.appendChild(cell);
+        table.appendChild(tr);
+      });
+      report.appendChild(table);
+    }
+
+    if (plan.duplicates.length) {
+      report.appendChild(createElement('h4', msg('import_duplicates_heading')));
+      const list = document.createElement('ul');
+      plan.duplicates.forEach(dup => {
+        list.appendChild(createElement('li', msg('import_duplicate_item', [dup.en, String(dup.previousLine), String(dup.line)])));
+      });
+      report.appendChild(list);
+    }
+
+    if (parsed.errors.length) {
+      report.appendChild(createElement('h4', msg('import_errors_heading')));
+      const list = document.createElement('ul');
+      parsed.errors.forEach(error => list.appendChild(createElement('li', describeError(error), 'error')));
+      report.appendChild(list);
+    }
+
+    const actions = createElement('div', undefined, 'actions');
+    const merge = createElement('button', msg('import_merge'));
+    merge.type = 'button';
+    merge.disabled = !plan.added.length && !plan.conflicts.length;
+    merge.addEventListener('click', () => {
+      const merged = window.UserDictionary.applyMerge(current, plan, replaced);
+      window.UserDictionary.save(merged).then(() => {
+        loadRows(merged);
+        render();
+        report.hidden = true;
+        showStatus(msg('import_done'));
+      });
+    });
+    const cancel = createElement('button', msg('import_cancel'));
+    cancel.type = 'button';
+    cancel.addEventListener('click', () => (report.hidden = true));
+    actions.append(merge, cancel);
+    report.appendChild(actions);
+  }
+
+  function importFile(file) {
+    file.text().then(text => {
+      const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+      renderImportReport(window.UserDictionary.parseImport(text, format));
+    });
+  }
+
+  document.getElementById('user-dict-export-json').addEventListener('click', () => {
+    download('poe2-user-dictionary.json', 'application/json', window.UserDictionary.exportJson(toDictionary()));
+  });
+
+  document.getElementById('user-dict-export-csv').addEventListener('click', () => {
+    // 带 BOM，Excel 打开中文不乱码
+    download('poe2-user-dictionary.csv', 'text/csv', '\uFEFF' + window.UserDictionary.exportCsv(toDictionary()));
+  });
+
+  const fileInput = document.getElementById('user-dict-file');
+  document.getElementById('user-dict-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) importFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  document.getElementById('user-dict-add').addEventListener('click', () => {
+    rows[activeCategory].push({ en: '', zh: '' });
+    render();
+    const inputs = document.querySelectorAll('#user-dict-body input');
+    inputs[inputs.length - 2]?.focus();
+  });
+
+  document.getElementById('user-dict-save').addEventListener('click', () => {
+    window.UserDictionary.save(toDictionary()).then(() => showStatus(msg('options_saved')));
+  });
+
+  document.getElementById('preview-input').addEventListener('input', schedulePreview);
+
+  Promise.all([
+    window.TranslatorSettings.load(),
+    window.UserDictionary.load(),
+    window.DictionaryRegistry.load()
+  ]).then(([settings, dict, registry]) => {
+    variant = window.TranslatorSettings.resolveChineseVariant(settings);
+    bundled = registry.select();
+    loadRows(dict);
+    render();
+  });
+})();
@@ -0,0 +1,49 @@
+(function () {
+  'use strict';
+
+  const CJK_RE = /[㐀-鿿]/;
+
+  // 站点的搜索框只认英文。输入框中是中文译名时，在站点自己的监听器之前把值换成英文原文；
+  // 监听器注册在 window 的捕获阶段，先于页面中任何元素上的监听器执行
+  class ChineseSearch {
+    // getConfig 返回当前的 TranslationConfig，翻译暂停时返回 null
+    constructor(selectors, getConfig) {
+      this.selector = selectors.join(', ');
+      this.getConfig = getConfig;
+      this.handleInput = this.handleInput.bind(this);
+      this.handleCompositionEnd = this.handleCompositionEnd.bind(this);
+    }
+
+    start() {
+      window.addEventListener('input', this.handleInput, true);
+      window.addEventListener('compositionend', this.handleCompositionEnd, true);
+    }
+
+    stop() {
+      window.removeEventListener('input', this.handleInput, true);
+      window.removeEventListener('compositionend', this.handleCompositionEnd, true);
+    }
+
+    // 输入法组字期间的 input 不处理，等组字结束
+    handleInput(event) {
+      if (!event.isComposing) this.replace(event.composedPath()[0]);
+    }
+
+    // Chrome 在 compositionend 之后不再触发 input，换值后补发一次，让站点按英文过滤
+    handleCompositionEnd(event) {
+      const input = event.composedPath()[0];
+      if (this.replace(input)) input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    replace(input) {
+      if (!input?.matches?.(this.selector) || !CJK_RE.test(input.value)) return false;
+      const config = this.getConfig();
+      const en = config && config.lookupEnglish(input.value);
+      if (!en) return false;
+      input.value = en;
+      return true;
+    }
+  }
+
+  window.ChineseSearch = ChineseSearch;
+})();
@@ -0,0 +1,79 @@
+(function () {
+  'use strict';
+
+  // 词典分类注册表。每个分类是一个独立的模块：名称、词典类型、优先级和词条，
+  // 通过 register() 加入；取用方按分类名选取并合并，不依赖全局变量和脚本加载顺序。
+  // 随扩展打包的分类由构建脚本写入 dictionaries/bundle.json，load() 读取后逐个注册。
+  // service worker 中没有 window，因此挂在 self 上。
+
+  const KINDS = ['exact', 'templates', 'fixedText'];
+  const BUNDLE_PATH = 'dictionaries/bundle.json';
+
+  let loading = null;
+
+  function createEmpty() {
+    const maps = {};
+    KINDS.forEach(kind => (maps[kind] = {}));
+    return maps;
+  }
+
+  class DictionaryRegistry {
+    constructor() {
+      this.categories = new Map();
+    }
+
+    // entries 为 [en, zh-TW] 或 [en, zh-TW, zh-CN] 组成的数组
+    register({ name, kind, priority = 0, entries }) {
+      if (!KINDS.includes(kind)) throw new Error(`Unknown dictionary kind "${kind}" for category "${name}"`);
+      if (this.categories.has(name)) throw new Error(`Dictionary category "${name}" is already registered`);
+      this.categories.set(name, { name, kind, priority, entries, order: this.categories.size });
+      return this;
+    }
+
+    has(name) {
+      return this.categories.has(name);
+    }
+
+    names() {
+      return [...this.categories.keys()];
+    }
+
+    // 合并为 TranslationConfig 使用的 { exact, templates, fixedText, simplified }，names 为 null 时取全部分类。
+    // 同一类词典按优先级从低到高写入，高优先级分类覆盖同名词条；同优先级按注册顺序，模板的先后也由此决定。
+    select(names = null) {
+      const dictionaries = { ...createEmpty(), simplified: createEmpty() };
+      [...this.categories.values()]
+        .filter(({ name }) => !names || names.includes(name))
+        .sort((a, b) => a.priority - b.priority || a.order - b.order)
+        .forEach(({ kind, entries }) => {
+          entries.forEach(([en, zhTW, zhCN]) => {
+            dictionaries[kind][en] = zhTW;
+            if (zhCN) dictionaries.simplified[kind][en] = zhCN;
+          });
+        });
+      return dictionaries;
+    }
+
+    static fromBundle(bundle) {
+      const registry = new DictionaryRegistry();
+      bundle.categories.forEach(category => registry.register(category));
+      return registry;
+    }
+
+    // 读取随扩展打包的词典，同一个页面或 service worker 生命周期内只读一次
+    static load() {
+      if (!loading) {
+        loading = fetch(chrome.runtime.getURL(BUNDLE_PATH))
+          .then(response => response.json())
+          .then(bundle => DictionaryRegistry.fromBundle(bundle))
+          .catch(err => {
+            loading = null;
+            throw err;
+          });
+      }
+      return loading;
+    }
+  }
+
+  self.DictionaryRegistry = DictionaryRegistry;
+})();
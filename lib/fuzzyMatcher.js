@@ -0,0 +1,115 @@
+(function () {
+  'use strict';
+
+  // 精确查表落空时的近似匹配：先尝试去掉末尾标点、" Support" 后缀、复数 s 等轻量变体，
+  // 再在词典键中找编辑距离足够小的候选。每个结果带一个 0~1 的置信度，低于阈值的不采用。
+
+  const TRAILING_PUNCTUATION = /[\s:：.,;!?…]+$/;
+  const SUFFIXES = [/ support gem$/, / support$/];
+  const PLURALS = [/es$/, /s$/];
+
+  // 每做一次变换，置信度乘一次该系数
+  const VARIANT_CONFIDENCE = 0.95;
+
+  // 太短的词改一个字母就是另一个词，太长的文本不会是词典里的名称
+  const MIN_EDIT_LENGTH = 5;
+  const MAX_EDIT_LENGTH = 60;
+
+  const LATIN_RE = /[a-z]/;
+  const CJK_RE = /[㐀-鿿]/;
+
+  function variants(text) {
+    const steps = new Map([[text, 0]]);
+    const add = (variant, step) => {
+      if (variant && !steps.has(variant)) steps.set(variant, step);
+    };
+
+    add(text.replace(TRAILING_PUNCTUATION, ''), 1);
+    [...steps].forEach(([base, step]) => {
+      SUFFIXES.forEach(suffix => add(base.replace(suffix, ''), step + 1));
+    });
+    [...steps].forEach(([base, step]) => {
+      if (/ies$/.test(base)) add(base.replace(/ies$/, 'y'), step + 1);
+      PLURALS.forEach(plural => add(base.replace(plural, ''), step + 1));
+      add(`${base}s`, step + 1);
+    });
+
+    steps.delete(text);
+    return steps;
+  }
+
+  // 带上限的编辑距离，超过 limit 时提前返回 limit + 1
+  function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (current[j] < rowMin) rowMin = current[j];
+      }
+      if (rowMin > limit) return limit + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  class FuzzyMatcher {
+    // map 的键须已经过 TextNormalize.normalizeKey 处理
+    constructor(map, threshold) {
+      this.map = map;
+      this.threshold = threshold;
+      this.cache = new Map();
+      this.buildBuckets();
+    }
+
+    // 按首字母和长度分桶，编辑距离只在首字母相同、长度相近的键之间计算
+    buildBuckets() {
+      this.buckets = new Map();
+      Object.keys(this.map).forEach(key => {
+        if (key.length < MIN_EDIT_LENGTH || key.length > MAX_EDIT_LENGTH) return;
+        const bucketKey = `${key[0]}|${key.length}`;
+        if (!this.buckets.has(bucketKey)) this.buckets.set(bucketKey, []);
+        this.buckets.get(bucketKey).push(key);
+      });
+    }
+
+    // text 须已规范化；返回 { key, translation, confidence } 或 null
+    match(text) {
+      if (this.cache.has(text)) return this.cache.get(text);
+      const result = LATIN_RE.test(text) && !CJK_RE.test(text) ? this.search(text) : null;
+      this.cache.set(text, result);
+      return result;
+    }
+
+    search(text) {
+      let best = null;
+      const consider = (key, confidence) => {
+        if (confidence < this.threshold) return;
+        if (!best || confidence > best.confidence) best = { key, translation: this.map[key], confidence };
+      };
+
+      variants(text).forEach((step, variant) => {
+        if (this.map[variant]) consider(variant, VARIANT_CONFIDENCE ** step);
+      });
+      if (best) return best;
+
+      if (text.length < MIN_EDIT_LENGTH || text.length > MAX_EDIT_LENGTH) return null;
+      const limit = Math.floor(text.length * (1 - this.threshold));
+      if (limit < 1) return null;
+
+      for (let length = text.length - limit; length <= text.length + limit; length++) {
+        (this.buckets.get(`${text[0]}|${length}`) || []).forEach(key => {
+          const distance = editDistance(text, key, limit);
+          if (distance <= limit) consider(key, 1 - distance / Math.max(text.length, key.length));
+        });
+      }
+      return best;
+    }
+  }
+
+  window.FuzzyMatcher = FuzzyMatcher;
+})();
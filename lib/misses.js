@@ -0,0 +1,130 @@
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'misses';
+  const MAX_PER_SITE = 2000;
+  const MAX_TEXT_LENGTH = 200;
+  const CONTEXT_LENGTH = 120;
+  const FLUSH_DELAY = 2000;
+  const CJK_RE = /[\u3400-\u9fff]/;
+
+  const CSV_COLUMNS = ['site', 'kind', 'text', 'count', 'url', 'context', 'lastSeen'];
+
+  function compact(text, max) {
+    const s = text.replace(/\s+/g, ' ').trim();
+    return s.length > max ? s.slice(0, max - 1) + '…' : s;
+  }
+
+  // 在内容脚本中收集未能翻译的词条，攒一批后交给后台 service worker 合并写入 chrome.storage.local
+  class MissCollector {
+    constructor(site) {
+      this.site = site;
+      this.pending = new Map();
+      this.reported = new WeakSet();
+      this.timer = null;
+    }
+
+    record(kind, text, el) {
+      // 同一个节点只计一次，重复扫描不会虚增次数
+      if (this.reported.has(el)) return;
+      this.reported.add(el);
+
+      if (!/[a-z]/i.test(text) || CJK_RE.test(text) || text.length > MAX_TEXT_LENGTH) return;
+
+      const key = `${kind}|${text}`;
+      let entry = this.pending.get(key);
+      if (!entry) {
+        entry = { kind, text, count: 0, url: location.href, context: compact(el.parentElement?.textContent || '', CONTEXT_LENGTH) };
+        this.pending.set(key, entry);
+      }
+      entry.count++;
+
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+    }
+
+    // 发送失败（例如 service worker 正在重启）时把这一批放回去，下次一起发送
+    flush() {
+      const pending = [...this.pending.values()];
+      this.pending.clear();
+      if (!pending.length) return Promise.resolve();
+
+      return chrome.runtime.sendMessage({ type: 'record-misses', site: this.site, entries: pending })
+        .then(response => {
+          if (!response?.ok) throw new Error(response?.error || 'misses not saved');
+        })
+        .catch(() => {
+          pending.forEach(entry => {
+            const key = `${entry.kind}|${entry.text}`;
+            const newer = this.pending.get(key);
+            this.pending.set(key, newer ? { ...newer, count: newer.count + entry.count } : entry);
+          });
+          clearTimeout(this.timer);
+          this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+        });
+    }
+  }
+
+  // 把一个站点新的一批词条合并进已保存的全部数据
+  function merge(all, site, pending) {
+    const entries = all[site] || {};
+    const lastSeen = new Date().toISOString();
+
+    pending.forEach(entry => {
+      const key = `${entry.kind}|${entry.text}`;
+      const saved = entries[key];
+      if (saved) {
+        Object.assign(saved, entry, { count: saved.count + entry.count, lastSeen });
+      } else if (Object.keys(entries).length < MAX_PER_SITE) {
+        entries[key] = { ...entry, lastSeen };
+      }
+    });
+
+    all[site] = entries;
+    return all;
+  }
+
+  let saving = Promise.resolve();
+
+  // 对存储的改动逐个执行，前一个失败不影响后面的
+  function enqueue(task) {
+    const next = saving.then(task);
+    saving = next.catch(() => {});
+    return next;
+  }
+
+  // 在后台 service worker 中调用。多个标签页同时送来的批次在这里排队，
+  // 逐个读取、合并、写回，不会互相覆盖计数
+  function save(site, pending) {
+    return enqueue(() => load().then(all => chrome.storage.local.set({ [STORAGE_KEY]: merge(all, site, pending) })));
+  }
+
+  function load() {
+    return chrome.storage.local.get(STORAGE_KEY).then(items => items[STORAGE_KEY] || {});
+  }
+
+  // 同样在 service worker 中排队执行，否则已读出旧计数的批次会在清空后把它们写回去
+  function clear() {
+    return enqueue(() => chrome.storage.local.remove(STORAGE_KEY));
+  }
+
+  // 展开为按站点、次数排序的行
+  function toRows(all) {
+    return Object.keys(all)
+      .sort()
+      .flatMap(site => Object.values(all[site])
+        .sort((a, b) => b.count - a.count)
+        .map(entry => ({ site, ...entry })));
+  }
+
+  function toJson(all) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), misses: toRows(all) }, null, 2);
+  }
+
+  function toCsv(all) {
+    return self.Csv.stringify(toRows(all), CSV_COLUMNS);
+  }
+
+  // service worker 中没有 window，因此挂在 self 上
+  self.TranslationMisses = { MissCollector, load, save, clear, toRows, toJson, toCsv };
+})();
@@ -0,0 +1,111 @@
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+
+  const SITES = [
+    { host: 'mobalytics.gg', label: 'Mobalytics' },
+    { host: 'poe.ninja', label: 'poe.ninja' },
+    { host: 'maxroll.gg', label: 'Maxroll' },
+    { host: 'poe2scout.com', label: 'POE2 Scout' }
+  ];
+
+  const PASSES = ['exact', 'itemAttributes', 'fixedText', 'tippyRoot', 'supportGems', 'fallback'];
+
+  // zh: 仅中文；bilingual: 中文 (English)；tooltip: 保留英文，中文显示在悬浮提示中
+  const DISPLAY_MODES = ['zh', 'bilingual', 'tooltip'];
+
+  // auto: 跟随浏览器界面语言
+  const CHINESE_VARIANTS = ['auto', 'traditional', 'simplified'];
+
+  // 近似匹配置信度阈值的取值范围
+  const FUZZY_THRESHOLD_RANGE = { min: 0.7, max: 0.99, step: 0.01, default: 0.85 };
+
+  function createDefaults() {
+    const sites = {};
+    SITES.forEach(({ host }) => {
+      const passes = {};
+      PASSES.forEach(pass => (passes[pass] = true));
+      sites[host] = { enabled: true, passes };
+    });
+    return {
+      sites,
+      displayMode: 'bilingual',
+      chineseVariant: 'auto',
+      collectMisses: true,
+      fuzzyFallback: false,
+      fuzzyThreshold: FUZZY_THRESHOLD_RANGE.default
+    };
+  }
+
+  // 存储中的设置可能来自旧版本，按默认值补齐缺失的站点和翻译步骤
+  function normalize(stored) {
+    const settings = createDefaults();
+    const storedSites = (stored && stored.sites) || {};
+
+    if (DISPLAY_MODES.includes(stored?.displayMode)) settings.displayMode = stored.displayMode;
+    if (CHINESE_VARIANTS.includes(stored?.chineseVariant)) settings.chineseVariant = stored.chineseVariant;
+    if (typeof stored?.collectMisses === 'boolean') settings.collectMisses = stored.collectMisses;
+    if (typeof stored?.fuzzyFallback === 'boolean') settings.fuzzyFallback = stored.fuzzyFallback;
+    if (typeof stored?.fuzzyThreshold === 'number') {
+      const { min, max } = FUZZY_THRESHOLD_RANGE;
+      settings.fuzzyThreshold = Math.min(max, Math.max(min, stored.fuzzyThreshold));
+    }
+
+    Object.entries(settings.sites).forEach(([host, site]) => {
+      const saved = storedSites[host];
+      if (!saved) return;
+      if (typeof saved.enabled === 'boolean') site.enabled = saved.enabled;
+      PASSES.forEach(pass => {
+        const value = saved.passes?.[pass];
+        if (typeof value === 'boolean') site.passes[pass] = value;
+      });
+    });
+
+    return settings;
+  }
+
+  function load() {
+    return chrome.storage.sync.get(STORAGE_KEY).then(items => normalize(items[STORAGE_KEY]));
+  }
+
+  function save(settings) {
+    return chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+  }
+
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync' || !changes[STORAGE_KEY]) return;
+      callback(normalize(changes[STORAGE_KEY].newValue));
+    });
+  }
+
+  function matchSite(hostname) {
+    return SITES.find(({ host }) => hostname === host || hostname.endsWith('.' + host)) || null;
+  }
+
+  function getSiteSettings(settings, hostname) {
+    const site = matchSite(hostname);
+    return site ? settings.sites[site.host] : null;
+  }
+
+  function resolveChineseVariant(settings) {
+    if (settings.chineseVariant !== 'auto') return settings.chineseVariant;
+    const lang = chrome.i18n.getUILanguage();
+    return /^zh(-(cn|sg|hans)\b|$)/i.test(lang) ? 'simplified' : 'traditional';
+  }
+
+  window.TranslatorSettings = {
+    SITES,
+    PASSES,
+    DISPLAY_MODES,
+    CHINESE_VARIANTS,
+    FUZZY_THRESHOLD_RANGE,
+    load,
+    save,
+    onChange,
+    matchSite,
+    getSiteSettings,
+    resolveChineseVariant
+  };
+})();
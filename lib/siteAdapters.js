@@ -0,0 +1,45 @@
+(function () {
+  'use strict';
+
+  // 站点适配器声明各站点页面结构中需要翻译和需要跳过的部分，
+  // 未声明的字段按空处理，对应的翻译步骤在该站点上不执行。
+  const DEFAULTS = {
+    // 悬浮提示容器，其下的 p/span/div 走精确翻译
+    tooltipRoots: [],
+    // 技能名称节点
+    skillNames: [],
+    // 用 alt 属性显示名称的图标
+    skillIcons: [],
+    // 名称只应取自特定词典分类的区域，同名词条在不同分类中译名不同时以该分类为准：
+    // { selector, categories, attribute?, missKind?, suffix? }，attribute 为空时翻译元素内的各段文本，
+    // suffix 匹配名称后面跟着的占比、人数等，翻译时原样保留
+    regions: [],
+    // 物品词缀列表，其中的 li 逐行走模板翻译
+    itemModLists: [],
+    // 辅助宝石行：icons 定位宝石图标，toggles 是展开宝石列表的三角图标
+    supportGemRows: null,
+    // 不允许改写的区域，例如编辑器和价格表
+    skipRegions: [],
+    // 放置“复制”按钮的构筑区域
+    copyButtonRoot: null,
+    // 站点自己的搜索框，输入中文译名时换成英文原文再交给站点过滤
+    searchInputs: [],
+    // 需要的词典分类（dictionaries/src/ 下的文件名），null 表示全部
+    categories: null,
+    // 在站点的 iframe 中也运行内容脚本，例如嵌入文章的配装器；
+    // 须与 manifest.json 中 all_frames 的 content_scripts 条目保持一致
+    allFrames: false
+  };
+
+  const adapters = [];
+
+  function register(adapter) {
+    adapters.push({ ...DEFAULTS, ...adapter });
+  }
+
+  function forHost(hostname) {
+    return adapters.find(({ hosts }) => hosts.some(host => hostname === host || hostname.endsWith('.' + host))) || null;
+  }
+
+  window.SiteAdapters = { register, forHost };
+})();
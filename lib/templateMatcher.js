@@ -0,0 +1,155 @@
+(function () {
+  'use strict';
+
+  const WORD_RE = /[a-z]+/gi;
+
+  // 数值语法：整数、小数、千分位、正负号、"(a-b)" 区间以及 "a to b" 数对
+  const NUMBER = '[+\\-]?\\d+(?:,\\d{3})*(?:\\.\\d+)?';
+  const RANGE = `[+\\-]?\\(\\s*${NUMBER}\\s*[-–—]\\s*${NUMBER}\\s*\\)`;
+  const VALUE = `(${RANGE}|${NUMBER}(?:\\s+to\\s+${NUMBER})?)`;
+
+  // 词缀中“减少/更少”是“增加/更多”取反的写法，只收录了一侧时换用另一侧的模板
+  const FLIPS = [
+    { from: /\breduced\b/i, to: 'increased', zhFrom: '增加', zhTo: '減少' },
+    { from: /\bincreased\b/i, to: 'reduced', zhFrom: '減少', zhTo: '增加' },
+    { from: /\bless\b/i, to: 'more', zhFrom: '更多', zhTo: '更少' },
+    { from: /\bmore\b/i, to: 'less', zhFrom: '更少', zhTo: '更多' }
+  ];
+
+  function tokenize(text) {
+    return new Set((text.match(WORD_RE) || []).map(word => word.toLowerCase()));
+  }
+
+  function escapeReg(s) {
+    return s.replace(/([.*+?^=!:${}()|[\]/\\])/g, '\\$1');
+  }
+
+  // {0} 从 0 开始编号，#1 从 1 开始编号，裸 # 按顺序填充
+  const PLACEHOLDER_RE = /(\+?)(?:\{(\d+)\}|#(\d+)|#)(%?)/g;
+
+  function indexOf(zeroBased, oneBased) {
+    if (zeroBased !== undefined) return Number(zeroBased);
+    if (oneBased !== undefined) return Number(oneBased) - 1;
+    return null;
+  }
+
+  function slotType(signed, percent) {
+    return `${signed ? '+' : ''}#${percent ? '%' : ''}`;
+  }
+
+  // 模板里紧挨 # 的正负号并入数值，由页面上的实际符号决定
+  function compileTemplate(tpl, translation) {
+    const slots = [];
+    const parts = tpl.split(/[+\-]?#/);
+    const markers = tpl.match(/[+\-]?#%?/g) || [];
+    markers.forEach(marker => slots.push(slotType(marker.startsWith('+'), marker.endsWith('%'))));
+
+    const pattern = '^' + parts.map(escapeReg).join(VALUE) + '$';
+    return {
+      source: tpl,
+      regex: new RegExp(pattern, 'i'),
+      translation,
+      slots,
+      words: tokenize(tpl.replace(/#/g, ' '))
+    };
+  }
+
+  class TemplateMatcher {
+    // options.normalize 把模板和待匹配文本折叠成同一种规范形式，不传时按原文匹配
+    constructor(templateMap, options = {}) {
+      const convert = options.convert || (text => text);
+      this.normalize = options.normalize || (text => text);
+      this.flips = FLIPS.map(flip => ({ ...flip, zhFrom: convert(flip.zhFrom), zhTo: convert(flip.zhTo) }));
+      this.templates = Object.entries(templateMap).map(([tpl, trans]) => compileTemplate(this.normalize(tpl), trans));
+      this.buildIndex();
+    }
+
+    // 模板中除 # 以外的英文单词必然原样出现在能匹配它的文本里，
+    // 因此按单词建立倒排索引，每行文本只需尝试包含这些单词的少数模板。
+    buildIndex() {
+      const frequency = new Map();
+      this.templates.forEach(({ words }) => {
+        words.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+      });
+
+      // 每个模板只挂在它最少见的单词下，候选列表最短
+      this.index = new Map();
+      this.unindexed = [];
+      this.templates.forEach(({ words }, id) => {
+        let key = null;
+        words.forEach(word => {
+          if (key === null || frequency.get(word) < frequency.get(key)) key = word;
+        });
+        if (key === null) {
+          this.unindexed.push(id);
+          return;
+        }
+        if (!this.index.has(key)) this.index.set(key, []);
+        this.index.get(key).push(id);
+      });
+    }
+
+    // 候选按模板在 templateMap 中的顺序返回，保持原先“先定义先匹配”的优先级
+    candidates(text) {
+      const ids = [...this.unindexed];
+      tokenize(text).forEach(word => {
+        const bucket = this.index.get(word);
+        if (bucket) ids.push(...bucket);
+      });
+      return ids.sort((a, b) => a - b).map(id => this.templates[id]);
+    }
+
+    match(text, candidates) {
+      const line = this.normalize(text);
+      for (const template of candidates || this.candidates(line)) {
+        const match = line.match(template.regex);
+        if (match) return { template, values: match.slice(1) };
+      }
+      return null;
+    }
+
+    // 中文语序可能与英文不同。带编号的占位符 {0}、{1} 或 #1、#2 直接取对应的数值，
+    // 其余裸 # 按占位符形态（+#、#%、#）对号入座，同形态的数值保持英文中的先后顺序
+    fill(template, values) {
+      const indexed = new Set();
+      template.translation.replace(PLACEHOLDER_RE, (marker, plus, zeroBased, oneBased) => {
+        const index = indexOf(zeroBased, oneBased);
+        if (index !== null) indexed.add(index);
+        return marker;
+      });
+
+      const remaining = values
+        .map((value, i) => ({ value, type: template.slots[i] }))
+        .filter((item, i) => !indexed.has(i));
+      const take = type => {
+        let i = remaining.findIndex(item => item.type === type);
+        if (i < 0) i = 0;
+        return remaining.length ? remaining.splice(i, 1)[0].value : null;
+      };
+
+      return template.translation.replace(PLACEHOLDER_RE, (marker, plus, zeroBased, oneBased, percent) => {
+        const index = indexOf(zeroBased, oneBased);
+        const value = index !== null ? values[index] ?? null : take(slotType(!!plus, !!percent));
+        if (value === null) return marker;
+        return (/^[+\-]/.test(value) ? '' : plus) + value + percent;
+      });
+    }
+
+    translate(text) {
+      const line = this.normalize(text);
+      const found = this.match(line);
+      if (found) return this.fill(found.template, found.values);
+
+      for (const flip of this.flips) {
+        if (!flip.from.test(line)) continue;
+        const flipped = this.match(line.replace(flip.from, flip.to));
+        if (!flipped) continue;
+        const result = this.fill(flipped.template, flipped.values);
+        if (result.includes(flip.zhFrom)) return result.replace(flip.zhFrom, flip.zhTo);
+      }
+      return null;
+    }
+  }
+
+  window.TemplateMatcher = TemplateMatcher;
+})();
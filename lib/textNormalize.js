@@ -0,0 +1,72 @@
+(function () {
+  'use strict';
+
+  // 页面上同一个词有多种写法："Navira's"、"Naviras"、弯引号 ’、不换行空格、
+  // 全角字符、各种长短横线以及大小写差异。词典键和页面文本都折叠成同一种规范形式后再查表。
+  const APOSTROPHES = /['‘’‚‛`´ʹʻʼʽ′]/g;
+  const DASHES = /[‐‑‒–—―−⁃﹘﹣]/g;
+  const SPACES = /\s+/g;
+
+  // 基字符连同其后的组合附加符号视为一个单位，整体做兼容分解
+  const CLUSTER_RE = /\P{M}\p{M}*|\p{M}+/gu;
+
+  function foldCluster(cluster) {
+    return cluster
+      .normalize('NFKC')
+      .replace(APOSTROPHES, '')
+      .replace(DASHES, '-')
+      .replace(SPACES, ' ')
+      .toLowerCase();
+  }
+
+  // 返回规范化文本及其每个字符在原文中的起始位置，
+  // 用于在规范化文本上匹配、再把命中范围映射回原文替换
+  function foldWithOffsets(text) {
+    let folded = '';
+    const offsets = [];
+    let match;
+    CLUSTER_RE.lastIndex = 0;
+    while ((match = CLUSTER_RE.exec(text))) {
+      let piece = foldCluster(match[0]);
+      if (piece === ' ' && folded.endsWith(' ')) piece = '';
+      for (let i = 0; i < piece.length; i++) offsets.push(match.index);
+      folded += piece;
+    }
+    offsets.push(text.length);
+    return { text: folded, offsets };
+  }
+
+  function normalizeKey(text) {
+    return foldWithOffsets(String(text)).text.trim();
+  }
+
+  // 键折叠后重名时保留先出现的一条，与 UserDictionary.layer 的“先到先得”一致
+  function normalizeMap(map) {
+    const normalized = {};
+    Object.keys(map).forEach(key => {
+      const folded = normalizeKey(key);
+      if (folded && !(folded in normalized)) normalized[folded] = map[key];
+    });
+    return normalized;
+  }
+
+  // 在原文上执行一个针对规范化文本编写的全局正则，按命中内容替换对应的原文片段
+  function replaceFolded(text, pattern, replacer) {
+    const { text: folded, offsets } = foldWithOffsets(text);
+    let result = '';
+    let cursor = 0;
+    let replaced = false;
+    folded.replace(pattern, (match, ...args) => {
+      const index = args[args.length - 2];
+      const start = offsets[index];
+      const end = offsets[index + match.length];
+      result += text.slice(cursor, start) + replacer(match);
+      cursor = end;
+      replaced = true;
+      return match;
+    });
+    return replaced ? result + text.slice(cursor) : text;
+  }
+
+  window.TextNormalize = { normalizeKey, normalizeMap, foldWithOffsets, replaceFolded };
+})();
@@ -0,0 +1,147 @@
+(function () {
+  'use strict';
+
+  class TranslationConfig {
+    // dictionaries 为 DictionaryRegistry.select() 的结果：{ exact, templates, fixedText, simplified }，
+    // 另可带 scoped：{ 逗号连接的分类名: 这些分类的 select() 结果 }，供限定分类的查找使用
+    constructor(variant = 'traditional', userDictionary = window.UserDictionary.normalize(), dictionaries = {}) {
+      this.variant = variant;
+      this.userDictionary = userDictionary;
+      this.dictionaries = dictionaries;
+
+      // 键统一折叠为规范形式，同一个词的撇号、大小写、空白等写法差异不再需要重复收录
+      const { layer } = window.UserDictionary;
+      const { normalizeMap } = window.TextNormalize;
+      this.userKeys = {};
+      Object.keys(userDictionary).forEach(category => {
+        this.userKeys[category] = new Set(Object.keys(normalizeMap(userDictionary[category])));
+      });
+
+      // 词典原文为繁体，简体模式在加载时整体转换一次；
+      // 词典源中显式给出简体译名的词条直接替换转换结果
+      const simplified = variant === 'simplified';
+      const convert = simplified ? window.ZhConvert.convertMap : map => map;
+      const build = (kind, source = dictionaries) => {
+        const overrides = (simplified && source.simplified) || {};
+        return layer(
+          convert(normalizeMap(userDictionary[kind])),
+          { ...convert(normalizeMap(source[kind] || {})), ...normalizeMap(overrides[kind] || {}) }
+        );
+      };
+      this.exactMap = build('exact');
+      this.templateMap = build('templates');
+      this.fixedTextMap = build('fixedText');
+      this.scopedExactMaps = {};
+      Object.entries(dictionaries.scoped || {}).forEach(([key, scoped]) => {
+        this.scopedExactMaps[key] = build('exact', scoped);
+      });
+      this.fixedTextPattern = this.compileFixedText();
+      this.templateMatcher = this.compileTemplates();
+    }
+
+    // 所有固定文本合并为一个整词匹配的正则，长词排在前面，
+    // 这样 "Grants Skill: Herald of Ash" 会先于其中的短词 "level" 命中
+    compileFixedText() {
+      const keys = Object.keys(this.fixedTextMap).sort((a, b) => b.length - a.length);
+      if (!keys.length) return null;
+
+      const escapeReg = s => s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+      return new RegExp(`\\b(?:${keys.map(escapeReg).join('|')})\\b`, 'g');
+    }
+
+    compileTemplates() {
+      const convert = this.variant === 'simplified' ? window.ZhConvert.toSimplified : undefined;
+      return new window.TemplateMatcher(this.templateMap, { convert, normalize: window.TextNormalize.normalizeKey });
+    }
+
+    // 给出 categories 时先查这些分类的词典，同名词条取该分类的译名；查不到再查全部词典
+    lookupExact(text, categories = null) {
+      const key = window.TextNormalize.normalizeKey(text);
+      const scoped = categories && this.scopedExactMaps[categories.join(',')];
+      return (scoped && scoped[key]) || this.exactMap[key];
+    }
+
+    // 近似匹配的索引较大，首次用到时才建立；阈值变化时重建
+    lookupFuzzy(text, threshold) {
+      if (!this.fuzzyMatcher || this.fuzzyMatcher.threshold !== threshold) {
+        this.fuzzyMatcher = new window.FuzzyMatcher(this.exactMap, threshold);
+      }
+      return this.fuzzyMatcher.match(window.TextNormalize.normalizeKey(text));
+    }
+
+    // 由中文译名反查英文原文，供站点搜索框使用，返回词典中的原始写法。
+    // 输入只是译名的开头时，只有唯一对应的词条才返回
+    lookupEnglish(text) {
+      const zh = text.trim();
+      if (!zh) return null;
+      if (!this.englishIndex) this.englishIndex = this.buildEnglishIndex();
+
+      const exact = this.englishIndex.get(zh);
+      if (exact) return exact;
+      let found = null;
+      for (const [translation, en] of this.englishIndex) {
+        if (!translation.startsWith(zh)) continue;
+        if (found && found !== en) return null;
+        found = en;
+      }
+      return found;
+    }
+
+    // 页面上显示的译名 → 英文原文；同一译名对应多个英文时取先出现的，用户词典在前
+    buildEnglishIndex() {
+      const index = new Map();
+      const sources = [
+        [this.userDictionary.exact, null],
+        [this.dictionaries.exact, null],
+        ...Object.entries(this.dictionaries.scoped || {}).map(([key, scoped]) => [scoped.exact, key.split(',')])
+      ];
+      sources.forEach(([map, categories]) => {
+        Object.keys(map || {}).forEach(en => {
+          const zh = this.lookupExact(en, categories)?.trim();
+          if (zh && !index.has(zh)) index.set(zh, en);
+        });
+      });
+      return index;
+    }
+
+    lookupFixedText(text) {
+      return this.fixedTextMap[window.TextNormalize.normalizeKey(text)];
+    }
+
+    // 替换一段文本中出现的所有固定文本，未命中时原样返回
+    replaceFixedText(text, onMatch) {
+      if (!this.fixedTextPattern) return text;
+      return window.TextNormalize.replaceFolded(text, this.fixedTextPattern, key => {
+        if (onMatch) onMatch(key);
+        return this.fixedTextMap[key];
+      });
+    }
+
+    // 按页面上各翻译步骤的先后，给出一行英文的译文及其来源，供设置页预览
+    translateLine(text) {
+      const line = text.trim();
+      if (!line) return null;
+
+      const exact = this.lookupExact(line);
+      if (exact) {
+        return { kind: 'exact', translation: exact, fromUser: this.userKeys.exact.has(window.TextNormalize.normalizeKey(line)) };
+      }
+
+      const translation = this.templateMatcher.translate(line);
+      if (translation) {
+        const found = this.templateMatcher.match(line);
+        return { kind: 'templates', translation, fromUser: !!found && this.userKeys.templates.has(found.template.source) };
+      }
+
+      let fromUser = false;
+      const replaced = this.replaceFixedText(line, key => {
+        if (this.userKeys.fixedText.has(key)) fromUser = true;
+      });
+      if (replaced !== line) return { kind: 'fixedText', translation: replaced, fromUser };
+
+      return null;
+    }
+  }
+
+  window.TranslationConfig = TranslationConfig;
+})();
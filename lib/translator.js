@@ -0,0 +1,677 @@
+(function () {
+  'use strict';
+
+  // 记录项的键：text 文本节点内容，children 元素子节点，attr:<name> 属性
+  function keyOf({ type, name }) {
+    return type === 'attribute' ? `attr:${name}` : type;
+  }
+
+  // 按时间顺序记录每一次对页面的改写，倒序回放即可还原原始英文
+  class DomJournal {
+    constructor() {
+      this.entries = [];
+      this.recorded = new WeakMap();
+    }
+
+    // 同一节点的同一项只记录第一次改写前的值
+    shouldRecord(node, key) {
+      let keys = this.recorded.get(node);
+      if (!keys) {
+        keys = new Set();
+        this.recorded.set(node, keys);
+      }
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    }
+
+    recordText(node) {
+      if (!this.shouldRecord(node, 'text')) return;
+      this.entries.push({ type: 'text', node, value: node.nodeValue });
+    }
+
+    recordAttribute(el, name) {
+      if (!this.shouldRecord(el, `attr:${name}`)) return;
+      this.entries.push({ type: 'attribute', node: el, name, value: el.getAttribute(name) });
+    }
+
+    recordChildren(el) {
+      if (!this.shouldRecord(el, 'children')) return;
+      this.entries.push({ type: 'children', node: el, value: Array.from(el.childNodes) });
+    }
+
+    // 页面自己改写了已翻译的节点，旧的原文记录作废
+    forget(node, key) {
+      const keys = this.recorded.get(node);
+      if (!keys || !keys.delete(key)) return;
+      this.entries = this.entries.filter(entry => entry.node !== node || keyOf(entry) !== key);
+    }
+
+    restore() {
+      for (let i = this.entries.length - 1; i >= 0; i--) {
+        const { type, node, name, value } = this.entries[i];
+        if (type === 'text') {
+          node.nodeValue = value;
+        } else if (type === 'attribute') {
+          if (value === null) node.removeAttribute(name);
+          else node.setAttribute(name, value);
+        } else {
+          node.replaceChildren(...value);
+        }
+      }
+      this.entries = [];
+      this.recorded = new WeakMap();
+    }
+  }
+
+  // 记录每次写入时的英文原文和写入的结果，键与 DomJournal 相同。
+  // 节点内容仍是写入的结果说明已翻译过，页面重新渲染出同样的内容时不再处理；
+  // 内容变成了别的英文则按新原文重译。写入过的结果另外汇总，页面复制出的译文节点也能识别。
+  class WriteMarks {
+    constructor() {
+      this.marks = new WeakMap();
+      this.outputs = new Set();
+    }
+
+    set(node, key, en, output) {
+      let marks = this.marks.get(node);
+      if (!marks) {
+        marks = new Map();
+        this.marks.set(node, marks);
+      }
+      marks.set(key, { en, output });
+      // 悬浮提示模式下写入的仍是英文，不能据此把同样的英文都当成已翻译
+      if (output.trim() !== en) this.outputs.add(output.trim());
+    }
+
+    get(node, key) {
+      return this.marks.get(node)?.get(key) || null;
+    }
+
+    isCurrent(node, key, value) {
+      return this.get(node, key)?.output === value;
+    }
+
+    // 写入过该节点，但当前内容已被页面改写
+    isStale(node, key, value) {
+      const mark = this.get(node, key);
+      return !!mark && mark.output !== value;
+    }
+
+    isOutput(value) {
+      return this.outputs.has(value.trim());
+    }
+
+    clear() {
+      this.marks = new WeakMap();
+      this.outputs.clear();
+    }
+  }
+
+  // 任何站点上都不应改写的节点
+  const BASE_SKIP_REGIONS = ['script', 'style', 'noscript', 'textarea', '[contenteditable="true"]'];
+
+  // 近似匹配的译文加虚线下划线，与精确命中区分开
+  const FUZZY_ATTRIBUTE = 'data-translator-fuzzy';
+  const FUZZY_STYLE = `[${FUZZY_ATTRIBUTE}] { text-decoration: underline dotted; text-underline-offset: 2px; }`;
+
+  // 加载了内容脚本的文档在根元素上带此属性，父页面不再深入这样的 iframe
+  const LOADED_ATTRIBUTE = 'data-translator-loaded';
+
+  const OBSERVE_OPTIONS = { childList: true, characterData: true, subtree: true };
+
+  class Translator {
+    constructor(config, settings, adapter, missCollector) {
+      this.config = config;
+      this.adapter = adapter;
+      this.missCollector = missCollector;
+      this.selectorConfig = this.buildSelectorConfig();
+      this.skipSelector = [...BASE_SKIP_REGIONS, ...adapter.skipRegions].join(', ');
+      this.applySettings(settings);
+      this.running = false;
+      this.paused = false;
+      this.journal = new DomJournal();
+      this.marks = new WriteMarks();
+      this.observedTriangles = new WeakSet();
+      this.watchedFrames = new WeakSet();
+      this.fuzzyStyles = new WeakMap();
+      this.scopes = new Set();
+
+      this.pendingRoots = new Set();
+      this.debouncedFlush = this.debounce(this.flushPending.bind(this), 200);
+
+      this.handleMutations = records => {
+        records.forEach(record => {
+          if (record.type === 'characterData') {
+            this.forgetStale(record.target, 'text', record.target.nodeValue);
+            this.queueRoot(record.target.parentElement);
+          } else {
+            record.addedNodes.forEach(node => {
+              if (node.nodeType === Node.ELEMENT_NODE) this.queueRoot(node);
+              else if (node.nodeType === Node.TEXT_NODE) this.queueRoot(node.parentElement);
+            });
+          }
+        });
+        if (this.pendingRoots.size) this.debouncedFlush();
+      };
+
+      if (this.active) this.start();
+    }
+
+    get active() {
+      return this.siteSettings.enabled && !this.paused;
+    }
+
+    applySettings(settings) {
+      this.settings = settings;
+      this.siteSettings = window.TranslatorSettings.getSiteSettings(settings, location.hostname);
+    }
+
+    isPassEnabled(pass) {
+      return this.siteSettings.passes[pass] !== false;
+    }
+
+    updateSettings(settings) {
+      const previous = this.settings;
+      this.applySettings(settings);
+
+      const variant = window.TranslatorSettings.resolveChineseVariant(settings);
+      const variantChanged = variant !== this.config.variant;
+      if (variantChanged) this.config = new window.TranslationConfig(variant, this.config.userDictionary, this.config.dictionaries);
+
+      // 已写入页面的译文按旧设置生成，先还原再按新设置重译
+      const fuzzyChanged = previous.fuzzyFallback !== settings.fuzzyFallback ||
+        previous.fuzzyThreshold !== settings.fuzzyThreshold;
+      if (!this.active || variantChanged || fuzzyChanged || previous.displayMode !== settings.displayMode) {
+        this.restoreOriginal();
+      }
+
+      if (!this.active) {
+        this.stop();
+      } else if (this.running) {
+        this.translateAll();
+      } else {
+        this.start();
+      }
+    }
+
+    updateUserDictionary(userDictionary) {
+      this.config = new window.TranslationConfig(this.config.variant, userDictionary, this.config.dictionaries);
+      this.restoreOriginal();
+      if (this.running) this.translateAll();
+    }
+
+    toggle() {
+      this.paused = !this.paused;
+      if (this.paused) {
+        this.stop();
+        this.restoreOriginal();
+      } else if (this.siteSettings.enabled) {
+        this.start();
+      }
+    }
+
+    restoreOriginal() {
+      this.journal.restore();
+      this.marks.clear();
+    }
+
+    start() {
+      if (this.running) return;
+      this.running = true;
+      this.initObserver();
+      this.translateAll();
+    }
+
+    stop() {
+      if (!this.running) return;
+      this.running = false;
+      this.bodyObserver.disconnect();
+      this.pendingRoots.clear();
+    }
+
+    // 精确翻译按组尝试，组内第一个有匹配的选择器生效
+    buildSelectorConfig() {
+      const { tooltipRoots, skillNames, skillIcons } = this.adapter;
+      return [
+        { selectors: tooltipRoots.flatMap(root => [`${root} p`, `${root} span`]), missKind: 'tooltip' },
+        { selectors: skillNames, missKind: 'skill' },
+        { selectors: skillIcons, attribute: 'alt' }
+      ].filter(cfg => cfg.selectors.length);
+    }
+
+    // 三类词典都覆盖不到的文本
+    isKnownText(text) {
+      const { config } = this;
+      if (config.lookupExact(text) || config.lookupFixedText(text)) return true;
+      if (config.replaceFixedText(text) !== text) return true;
+      return !!config.templateMatcher.match(text);
+    }
+
+    reportMiss(kind, text, el) {
+      if (!this.settings.collectMisses || !this.missCollector || !text) return;
+      if (!this.isKnownText(text)) this.missCollector.record(kind, text, el);
+    }
+
+    isSkipped(node) {
+      const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !!el && !!el.closest(this.skipSelector);
+    }
+
+    debounce(fn, delay) {
+      let timer = null;
+      const translator = this;
+      return function () {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          if (translator.running) fn();
+        }, delay);
+      };
+    }
+
+    // 翻译范围：document.body 及其中的开放 shadow root 和同源 iframe 的 body，
+    // querySelectorAll、TreeWalker 和 MutationObserver 都不会跨过它们的边界，需逐个处理
+    initObserver() {
+      this.bodyObserver = new MutationObserver(this.handleMutations);
+      this.scopes = new Set();
+      this.addScope(document.body);
+    }
+
+    addScope(scope) {
+      if (this.scopes.has(scope)) return false;
+      this.scopes.add(scope);
+      this.bodyObserver.observe(scope, OBSERVE_OPTIONS);
+      return true;
+    }
+
+    // 在 root 中查找新出现的开放 shadow root 和同源 iframe，返回新加入的范围
+    findScopes(root) {
+      const found = [];
+      if (root.nodeType === Node.ELEMENT_NODE && this.isSkipped(root)) return found;
+
+      const add = scope => {
+        if (scope && this.addScope(scope)) found.push(scope, ...this.findScopes(scope));
+      };
+      const visit = el => {
+        if (el.shadowRoot) add(el.shadowRoot);
+        if (el.tagName === 'IFRAME') {
+          this.watchFrame(el);
+          add(this.frameBody(el));
+        }
+      };
+      // 跳过区域的整棵子树都不进入
+      const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: el => (el.matches(this.skipSelector) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+      });
+      if (root.nodeType === Node.ELEMENT_NODE) visit(root);
+      while (walker.nextNode()) visit(walker.currentNode);
+      return found;
+    }
+
+    // iframe 每次导航都会换一个文档，加载完成后重新查找
+    watchFrame(iframe) {
+      if (this.watchedFrames.has(iframe)) return;
+      this.watchedFrames.add(iframe);
+      iframe.addEventListener('load', () => {
+        if (!this.running) return;
+        this.queueRoot(iframe);
+        this.debouncedFlush();
+      });
+    }
+
+    // 跨域 iframe 的 contentDocument 为 null；自己加载了内容脚本的 iframe 由其自行翻译
+    frameBody(iframe) {
+      const doc = iframe.contentDocument;
+      if (!doc?.body || doc.documentElement.hasAttribute(LOADED_ATTRIBUTE)) return null;
+      return doc.body;
+    }
+
+    // iframe 导航走后旧文档失去 defaultView，其中的范围不再处理
+    liveScopes() {
+      return [...this.scopes].filter(scope => scope.isConnected && scope.ownerDocument.defaultView);
+    }
+
+    translateScope(scope) {
+      this.runPasses(scope);
+      this.observeTriangles(scope);
+    }
+
+    queueRoot(el) {
+      if (el) this.pendingRoots.add(el);
+    }
+
+    // 只翻译变动过的子树；祖先已在队列中的节点会随祖先一起处理
+    flushPending() {
+      const isNested = el => {
+        for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+          if (this.pendingRoots.has(parent)) return true;
+        }
+        return false;
+      };
+      const roots = [...this.pendingRoots].filter(el => el.isConnected && !isNested(el));
+      this.pendingRoots.clear();
+
+      roots.forEach(root => {
+        this.translateScope(root);
+        this.findScopes(root).forEach(scope => this.translateScope(scope));
+      });
+      this.discardOwnMutations();
+    }
+
+    // 翻译时对 DOM 的改写也会产生变动记录，处理完后同步丢弃，避免重复排队
+    discardOwnMutations() {
+      if (this.running) this.bodyObserver.takeRecords();
+    }
+
+    formatText(en, zh) {
+      switch (this.settings.displayMode) {
+        case 'zh':
+          return zh;
+        case 'tooltip':
+          return en;
+        default:
+          return `${zh} (${en})`;
+      }
+    }
+
+    setTooltip(el, zh) {
+      if (this.settings.displayMode !== 'tooltip' || !el) return;
+      this.journal.recordAttribute(el, 'title');
+      el.title = zh;
+    }
+
+    // 写入后页面又改写了节点，日志中记下的原文已过时，下次写入时按当前内容重新记录
+    forgetStale(node, key, value) {
+      if (this.marks.isStale(node, key, value)) this.journal.forget(node, key);
+    }
+
+    // 文本节点的内容是本扩展写入的译文，或是页面复制出的同样译文
+    isTranslatedText(node) {
+      return this.marks.isCurrent(node, 'text', node.nodeValue) || this.marks.isOutput(node.nodeValue);
+    }
+
+    isTranslatedElement(el) {
+      return this.marks.isCurrent(el, 'children', el.textContent) || this.marks.isOutput(el.textContent);
+    }
+
+    // 保留原文本首尾空白，只替换中间的内容；suffix 是译文后原样保留的部分，例如占比
+    writeTextNode(node, en, zh, suffix = '') {
+      const raw = node.nodeValue;
+      const leading = raw.match(/^\s*/)[0];
+      const trailing = raw.slice(leading.length).match(/\s*$/)[0];
+      this.forgetStale(node, 'text', raw);
+      this.journal.recordText(node);
+      node.nodeValue = leading + this.formatText(en, zh) + suffix + trailing;
+      this.marks.set(node, 'text', en, node.nodeValue);
+      this.setTooltip(node.parentElement, zh);
+    }
+
+    writeElementText(el, en, zh) {
+      this.forgetStale(el, 'children', el.textContent);
+      // 悬浮提示模式下正文保持英文，无需改写子节点
+      if (this.settings.displayMode !== 'tooltip') {
+        this.journal.recordChildren(el);
+        el.textContent = this.formatText(en, zh);
+      }
+      this.setTooltip(el, zh);
+      this.marks.set(el, 'children', en, el.textContent);
+
+      const walker = el.ownerDocument.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) this.marks.set(walker.currentNode, 'text', en, walker.currentNode.nodeValue);
+    }
+
+    writeAttribute(el, attr, en, zh) {
+      const key = `attr:${attr}`;
+      this.forgetStale(el, key, el.getAttribute(attr));
+      this.journal.recordAttribute(el, attr);
+      el.setAttribute(attr, this.formatText(en, zh));
+      this.marks.set(el, key, en, el.getAttribute(attr));
+      this.setTooltip(el, zh);
+    }
+
+    // root 内匹配的元素，连同 root 自身所在的匹配祖先；root 为 shadow root 时没有祖先
+    queryAll(root, selector) {
+      const nodes = Array.from(root.querySelectorAll(selector));
+      const owner = root.nodeType === Node.ELEMENT_NODE && root.closest(selector);
+      if (owner) nodes.unshift(owner);
+      return nodes;
+    }
+
+    multiQuery(selectors, root = document.body) {
+      for (const sel of selectors) {
+        const nodes = this.queryAll(root, sel);
+        if (nodes.length) return nodes;
+      }
+      return [];
+    }
+
+    applyExactTranslation(elements, prop = 'textContent', missKind = null, categories = null) {
+      elements.forEach(el => {
+        if (this.isSkipped(el)) return;
+
+        if (prop === 'textContent') {
+          const textNodes = Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE);
+          textNodes.forEach(node => {
+            const raw = node.nodeValue.trim();
+            if (!raw || this.isTranslatedText(node)) return;
+            const translated = this.config.lookupExact(raw, categories);
+            if (translated) this.writeTextNode(node, raw, translated);
+            else if (missKind) this.reportMiss(missKind, raw, el);
+          });
+        } else {
+          const value = el.getAttribute(prop)?.trim();
+          if (!value || this.marks.isCurrent(el, `attr:${prop}`, el.getAttribute(prop)) || this.marks.isOutput(value)) return;
+          const translated = this.config.lookupExact(value, categories);
+          if (translated) this.writeAttribute(el, prop, value, translated);
+        }
+      });
+    }
+
+    translateRegions(root = document.body) {
+      this.adapter.regions.forEach(({ selector, categories, attribute, missKind, suffix }) => {
+        this.queryAll(root, selector).forEach(el => {
+          if (this.isSkipped(el)) return;
+          if (attribute) {
+            this.applyExactTranslation([el], attribute, null, categories);
+            return;
+          }
+          const walker = el.ownerDocument.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+          while (walker.nextNode()) this.translateName(walker.currentNode, categories, suffix, missKind, el);
+        });
+      });
+    }
+
+    // 整段文本查不到时去掉 suffix 匹配的尾部再查，尾部原样保留
+    translateName(node, categories, suffix, missKind, el) {
+      const raw = node.nodeValue.trim();
+      if (!raw || this.isTranslatedText(node)) return;
+
+      let name = raw;
+      let tail = '';
+      let translated = this.config.lookupExact(raw, categories);
+      if (!translated && suffix) {
+        tail = raw.match(suffix)?.[0] || '';
+        name = raw.slice(0, raw.length - tail.length).trim();
+        translated = tail && name ? this.config.lookupExact(name, categories) : null;
+      }
+      if (translated) this.writeTextNode(node, name, translated, tail);
+      else if (missKind) this.reportMiss(missKind, name, el);
+    }
+
+    translateItemAttributes(root = document.body) {
+      const { itemModLists } = this.adapter;
+      if (!itemModLists.length) return;
+
+      this.queryAll(root, itemModLists.map(list => `${list} li`).join(', ')).forEach(el => {
+        if (this.isTranslatedElement(el)) return;
+        if (this.isSkipped(el)) return;
+
+        const txt = el.textContent.trim();
+        const translated = this.config.templateMatcher.translate(txt);
+        if (translated) this.writeElementText(el, txt, translated);
+        else this.reportMiss('mod', txt, el);
+      });
+    }
+
+    translateFixedText(root = document.body) {
+      if (!this.config.fixedTextPattern) return;
+
+      const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let node;
+      while ((node = walker.nextNode())) {
+        if (this.isTranslatedText(node)) continue;
+        if (this.isSkipped(node)) continue;
+
+        const raw = node.nodeValue;
+        if (!raw) continue;
+
+        const txt = this.config.replaceFixedText(raw);
+        if (txt !== raw) this.writeTextNode(node, raw.trim(), txt.trim());
+      }
+    }
+
+    translateTippyRootText(root = document.body) {
+      const { tooltipRoots } = this.adapter;
+      if (!tooltipRoots.length) return;
+
+      const elements = this.queryAll(root, tooltipRoots.flatMap(tip => [`${tip} span`, `${tip} div`]).join(', '));
+      elements.forEach(el => {
+        if (this.isTranslatedElement(el)) return;
+        if (this.isSkipped(el)) return;
+
+        const txt = el.textContent.trim();
+        if (!txt) return;
+
+        const translated = this.config.lookupExact(txt) || this.config.lookupFixedText(txt);
+        if (translated) this.writeElementText(el, txt, translated);
+        else if (!el.firstElementChild) this.reportMiss('tooltip', txt, el);
+      });
+    }
+
+    observeTriangles(root = document.body) {
+      const { supportGemRows } = this.adapter;
+      if (!supportGemRows) return;
+
+      const icons = this.queryAll(root, supportGemRows.toggles);
+      icons.forEach(icon => {
+        if (this.observedTriangles.has(icon)) return;
+
+        const mo = new MutationObserver(() => this.handleTriangleChange(icon));
+        mo.observe(icon, { attributes: true, attributeFilter: ['src', 'style'] });
+
+        this.observedTriangles.add(icon);
+      });
+    }
+
+    handleTriangleChange(icon) {
+      const src = icon.getAttribute('src') || '';
+      const style = icon.getAttribute('style') || '';
+      const isUp = src.includes('triangle-up.svg') || style.includes('triangle-up.svg');
+      if (!isUp || !this.running || !this.isPassEnabled('supportGems')) return;
+      setTimeout(() => {
+        this.translateSupportGems();
+        this.discardOwnMutations();
+      }, 100);
+    }
+
+    getSupportGemNodes() {
+      const icons = this.liveScopes().flatMap(scope => Array.from(scope.querySelectorAll(this.adapter.supportGemRows.icons)));
+      const nodes = [];
+      icons.forEach(icon => {
+        const row = icon.closest('div');
+        if (!row) return;
+        const textEl = row.querySelector('div, span, p');
+        if (!textEl || this.isSkipped(textEl)) return;
+        const en = textEl.textContent.trim();
+        if (!en) return;
+        if (this.config.lookupExact(en)) nodes.push(textEl);
+      });
+      return nodes;
+    }
+
+    translateSupportGems() {
+      const gemBlocks = this.getSupportGemNodes();
+      gemBlocks.forEach(el => {
+        if (this.isTranslatedElement(el)) return;
+
+        const en = el.textContent.trim();
+        const zh = this.config.lookupExact(en);
+        if (!zh) return;
+
+        this.writeElementText(el, en, zh);
+        this.journal.recordAttribute(el, 'data-support-translated');
+        el.dataset.supportTranslated = '1';
+      });
+    }
+
+    translateFallback(root = document.body) {
+      const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let node;
+      while ((node = walker.nextNode())) {
+        if (this.isTranslatedText(node)) continue;
+        if (this.isSkipped(node)) continue;
+
+        const raw = node.nodeValue;
+        if (!raw) continue;
+
+        const trimmed = raw.trim();
+        if (!trimmed) continue;
+
+        const tr = this.config.lookupExact(trimmed);
+        if (tr) {
+          if (!raw.includes(tr)) this.writeTextNode(node, trimmed, tr);
+        } else if (this.settings.fuzzyFallback) {
+          this.translateFuzzy(node, trimmed);
+        }
+      }
+    }
+
+    translateFuzzy(node, en) {
+      const found = this.config.lookupFuzzy(en, this.settings.fuzzyThreshold);
+      if (!found) return;
+
+      this.writeTextNode(node, en, found.translation);
+      const el = node.parentElement;
+      if (!el) return;
+      this.injectFuzzyStyle(el);
+      this.journal.recordAttribute(el, FUZZY_ATTRIBUTE);
+      el.setAttribute(FUZZY_ATTRIBUTE, Math.round(found.confidence * 100));
+    }
+
+    // 页面样式进不了 shadow root，iframe 也有自己的样式表，样式注入到 el 所在的文档或 shadow root
+    injectFuzzyStyle(el) {
+      const root = el.getRootNode();
+      if (this.fuzzyStyles.get(root)?.isConnected) return;
+      const style = el.ownerDocument.createElement('style');
+      style.textContent = FUZZY_STYLE;
+      (root.head || root.documentElement || root).appendChild(style);
+      this.fuzzyStyles.set(root, style);
+    }
+
+    runPasses(root) {
+      if (this.isPassEnabled('exact')) {
+        // 限定分类的区域先翻译，其中的节点不再按全部词典查找
+        this.translateRegions(root);
+        this.selectorConfig.forEach(cfg => {
+          this.applyExactTranslation(this.multiQuery(cfg.selectors, root), cfg.attribute || 'textContent', cfg.missKind);
+        });
+      }
+
+      if (this.isPassEnabled('itemAttributes')) this.translateItemAttributes(root);
+      if (this.isPassEnabled('fixedText')) this.translateFixedText(root);
+      if (this.isPassEnabled('tippyRoot')) this.translateTippyRootText(root);
+      if (this.isPassEnabled('fallback')) this.translateFallback(root);
+    }
+
+    // 整页扫描，只在启动和设置变化后重译时执行，之后由变动记录增量驱动
+    translateAll() {
+      this.findScopes(document.body);
+      this.liveScopes().forEach(scope => this.translateScope(scope));
+      this.discardOwnMutations();
+    }
+  }
+
+  Translator.LOADED_ATTRIBUTE = LOADED_ATTRIBUTE;
+
+  window.Translator = Translator;
+})();
@@ -0,0 +1,207 @@
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'userDictionary';
+
+  // exact 对应 exactMap，templates 对应 templateMap，fixedText 对应 fixedTextMap
+  const CATEGORIES = ['exact', 'templates', 'fixedText'];
+
+  const keyOf = en => window.TextNormalize.normalizeKey(en);
+
+  // 查表时英文按 TextNormalize.normalizeKey 折叠，折叠后相同的写法只保留最后一条，
+  // 否则先出现的一条会让后面的永远查不到
+  function normalize(stored) {
+    const dict = {};
+    CATEGORIES.forEach(category => {
+      dict[category] = {};
+      const spellings = new Map();
+      Object.entries(stored?.[category] || {}).forEach(([en, zh]) => {
+        if (typeof zh !== 'string') return;
+        const key = en.trim();
+        const value = zh.trim();
+        if (!key || !value) return;
+        const folded = keyOf(key);
+        if (spellings.has(folded)) delete dict[category][spellings.get(folded)];
+        spellings.set(folded, key);
+        dict[category][key] = value;
+      });
+    });
+    return dict;
+  }
+
+  // 折叠后的英文 → 现有词条 { en, zh }
+  function indexByKey(map) {
+    const index = new Map();
+    Object.entries(map).forEach(([en, zh]) => index.set(keyOf(en), { en, zh }));
+    return index;
+  }
+
+  function load() {
+    return chrome.storage.local.get(STORAGE_KEY).then(items => normalize(items[STORAGE_KEY]));
+  }
+
+  function save(dict) {
+    return chrome.storage.local.set({ [STORAGE_KEY]: normalize(dict) });
+  }
+
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[STORAGE_KEY]) return;
+      callback(normalize(changes[STORAGE_KEY].newValue));
+    });
+  }
+
+  // 用户词条优先于内置词典：同名键取用户译文，并且排在内置条目之前，
+  // 模板按顺序匹配时也会先尝试用户模板
+  function layer(user, bundled) {
+    const merged = { ...user };
+    Object.keys(bundled).forEach(key => {
+      if (!(key in merged)) merged[key] = bundled[key];
+    });
+    return merged;
+  }
+
+  const FORMAT_VERSION = 1;
+  const CSV_COLUMNS = ['category', 'en', 'zh'];
+
+  function toEntries(dict) {
+    return CATEGORIES.flatMap(category => Object.entries(dict[category]).map(([en, zh]) => ({ category, en, zh })));
+  }
+
+  function exportJson(dict) {
+    return JSON.stringify({ version: FORMAT_VERSION, ...normalize(dict) }, null, 2);
+  }
+
+  function exportCsv(dict) {
+    return window.Csv.stringify(toEntries(normalize(dict)), CSV_COLUMNS);
+  }
+
+  // 校验每一条导入的词条，不合格的记入 errors 并跳过
+  function validateEntry(entry, line, errors) {
+    if (!CATEGORIES.includes(entry.category)) {
+      errors.push({ line, reason: 'category', value: entry.category });
+      return null;
+    }
+    if (typeof entry.en !== 'string' || !entry.en.trim()) {
+      errors.push({ line, reason: 'en' });
+      return null;
+    }
+    if (typeof entry.zh !== 'string' || !entry.zh.trim()) {
+      errors.push({ line, reason: 'zh', value: entry.en });
+      return null;
+    }
+    if (entry.category === 'templates' && !entry.en.includes('#')) {
+      errors.push({ line, reason: 'template', value: entry.en });
+      return null;
+    }
+    return { category: entry.category, en: entry.en.trim(), zh: entry.zh.trim(), line };
+  }
+
+  // JSON 的 line 是条目在文件中的序号，CSV 的 line 是行号
+  function parseJson(text, errors) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      errors.push({ line: 0, reason: 'json', value: e.message });
+      return [];
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push({ line: 0, reason: 'json' });
+      return [];
+    }
+
+    const entries = [];
+    let line = 0;
+    Object.keys(data).forEach(category => {
+      if (category === 'version') return;
+      const map = data[category];
+      if (!map || typeof map !== 'object') {
+        errors.push({ line: 0, reason: 'category', value: category });
+        return;
+      }
+      Object.entries(map).forEach(([en, zh]) => {
+        const entry = validateEntry({ category, en, zh }, ++line, errors);
+        if (entry) entries.push(entry);
+      });
+    });
+    return entries;
+  }
+
+  function parseCsv(text, errors) {
+    const rows = window.Csv.parse(text);
+    const header = (rows.shift() || []).map(col => col.trim());
+    const columns = CSV_COLUMNS.map(col => header.indexOf(col));
+    if (columns.includes(-1)) {
+      errors.push({ line: 1, reason: 'header', value: CSV_COLUMNS.join(',') });
+      return [];
+    }
+
+    const entries = [];
+    rows.forEach((row, i) => {
+      if (row.every(cell => !cell.trim())) return;
+      const [category, en, zh] = columns.map(col => row[col] ?? '');
+      const entry = validateEntry({ category: category.trim(), en, zh }, i + 2, errors);
+      if (entry) entries.push(entry);
+    });
+    return entries;
+  }
+
+  function parseImport(text, format) {
+    const errors = [];
+    const entries = format === 'csv' ? parseCsv(text, errors) : parseJson(text, errors);
+    return { entries, errors };
+  }
+
+  // 与现有用户词典比对：新增、完全相同、译文冲突，以及文件内部重复的英文（以最后一条为准）。
+  // 英文按查表时的规范形式比较，"Navira’s Heart" 与 "naviras heart" 视为同一词条
+  function planMerge(current, entries) {
+    const latest = new Map();
+    const duplicates = [];
+    entries.forEach(entry => {
+      const key = `${entry.category}|${keyOf(entry.en)}`;
+      const previous = latest.get(key);
+      if (previous) duplicates.push({ ...entry, previousLine: previous.line, previousZh: previous.zh });
+      latest.set(key, entry);
+    });
+
+    const indexes = {};
+    CATEGORIES.forEach(category => (indexes[category] = indexByKey(current[category])));
+    const plan = { added: [], unchanged: [], conflicts: [], duplicates };
+    latest.forEach(entry => {
+      const existing = indexes[entry.category].get(keyOf(entry.en));
+      if (!existing) plan.added.push(entry);
+      else if (existing.zh === entry.zh) plan.unchanged.push(entry);
+      else plan.conflicts.push({ ...entry, existing: existing.zh, existingEn: existing.en });
+    });
+    return plan;
+  }
+
+  // replaced 为选择用导入译文覆盖的冲突条目，其余冲突保留现有译文；
+  // 覆盖时换成导入文件中的写法
+  function applyMerge(current, plan, replaced) {
+    const merged = normalize(current);
+    plan.added.forEach(({ category, en, zh }) => (merged[category][en] = zh));
+    plan.conflicts.forEach(conflict => {
+      if (!replaced.has(conflict)) return;
+      delete merged[conflict.category][conflict.existingEn];
+      merged[conflict.category][conflict.en] = conflict.zh;
+    });
+    return merged;
+  }
+
+  window.UserDictionary = {
+    CATEGORIES,
+    load,
+    save,
+    onChange,
+    normalize,
+    keyOf,
+    layer,
+    exportJson,
+    exportCsv,
+    parseImport,
+    planMerge,
+    applyMerge
+  };
+})();
@@ -0,0 +1,142 @@
+(function () {
+  'use strict';
+
+  const { SITES, PASSES, DISPLAY_MODES, CHINESE_VARIANTS, FUZZY_THRESHOLD_RANGE } = window.TranslatorSettings;
+  const msg = key => chrome.i18n.getMessage(key) || key;
+
+  let settings = null;
+  let statusTimer = null;
+
+  function localize() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = msg(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.placeholder = msg(el.dataset.i18nPlaceholder);
+    });
+  }
+
+  function showStatus(text) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => (status.textContent = ''), 1500);
+  }
+
+  function save() {
+    window.TranslatorSettings.save(settings).then(() => showStatus(msg('options_saved')));
+  }
+
+  function createCheckbox(checked, onChange) {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    return input;
+  }
+
+  function renderChoices(containerId, key, values, messagePrefix) {
+    const container = document.getElementById(containerId);
+    container.textContent = '';
+
+    values.forEach(value => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = key;
+      input.value = value;
+      input.checked = settings[key] === value;
+      input.addEventListener('change', () => {
+        settings[key] = value;
+        save();
+      });
+      label.append(input, ' ', msg(`${messagePrefix}_${value}`));
+      container.appendChild(label);
+    });
+  }
+
+  function renderSiteTable() {
+    const head = document.getElementById('site-table-head');
+    const body = document.getElementById('site-table-body');
+
+    head.textContent = '';
+    ['options_site', 'options_site_enabled', ...PASSES.map(pass => `pass_${pass}`)].forEach(key => {
+      const th = document.createElement('th');
+      th.textContent = msg(key);
+      head.appendChild(th);
+    });
+
+    body.textContent = '';
+    SITES.forEach(({ host, label }) => {
+      const site = settings.sites[host];
+      const row = document.createElement('tr');
+      row.classList.toggle('disabled', !site.enabled);
+
+      const name = document.createElement('td');
+      name.textContent = label;
+      name.title = host;
+      row.appendChild(name);
+
+      const enabledCell = document.createElement('td');
+      enabledCell.appendChild(createCheckbox(site.enabled, checked => {
+        site.enabled = checked;
+        row.classList.toggle('disabled', !checked);
+        save();
+      }));
+      row.appendChild(enabledCell);
+
+      PASSES.forEach(pass => {
+        const cell = document.createElement('td');
+        cell.appendChild(createCheckbox(site.passes[pass], checked => {
+          site.passes[pass] = checked;
+          save();
+        }));
+        row.appendChild(cell);
+      });
+
+      body.appendChild(row);
+    });
+  }
+
+  function renderToggle(id, key, onChange) {
+    const input = document.getElementById(id);
+    input.checked = settings[key];
+    input.addEventListener('change', () => {
+      settings[key] = input.checked;
+      if (onChange) onChange(input.checked);
+      save();
+    });
+  }
+
+  // 拖动时只更新数值显示，松开后再保存
+  function renderFuzzyThreshold() {
+    const input = document.getElementById('fuzzy-threshold');
+    const output = document.getElementById('fuzzy-threshold-value');
+    const show = () => (output.textContent = `${Math.round(input.value * 100)}%`);
+
+    const { min, max, step } = FUZZY_THRESHOLD_RANGE;
+    Object.assign(input, { min, max, step });
+    input.value = settings.fuzzyThreshold;
+    input.disabled = !settings.fuzzyFallback;
+    show();
+
+    input.addEventListener('input', show);
+    input.addEventListener('change', () => {
+      settings.fuzzyThreshold = Number(input.value);
+      save();
+    });
+  }
+
+  localize();
+  window.TranslatorSettings.load().then(loaded => {
+    settings = loaded;
+    renderToggle('collect-misses', 'collectMisses');
+    renderToggle('fuzzy-fallback', 'fuzzyFallback', checked => {
+      document.getElementById('fuzzy-threshold').disabled = !checked;
+    });
+    renderFuzzyThreshold();
+    renderChoices('display-modes', 'displayMode', DISPLAY_MODES, 'display');
+    renderChoices('chinese-variants', 'chineseVariant', CHINESE_VARIANTS, 'variant');
+    renderSiteTable();
+  });
+})();
@@ -0,0 +1,79 @@
+(function () {
+  'use strict';
+
+  const msg = key => chrome.i18n.getMessage(key) || key;
+  const misses = window.TranslationMisses;
+
+  function localize() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = msg(el.dataset.i18n);
+    });
+  }
+
+  function renderSummary(all) {
+    const body = document.getElementById('miss-summary');
+    body.textContent = '';
+
+    const sites = Object.keys(all).sort();
+    sites.forEach(site => {
+      const entries = Object.values(all[site]);
+      const row = document.createElement('tr');
+      [site, entries.length, entries.reduce((sum, entry) => sum + entry.count, 0)].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+
+    document.getElementById('miss-empty').hidden = sites.length > 0;
+  }
+
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportMisses(format) {
+    misses.load().then(all => {
+      const date = new Date().toISOString().slice(0, 10);
+      if (format === 'csv') {
+        // 带 BOM，Excel 打开中文不乱码
+        download(`poe2-untranslated-${date}.csv`, 'text/csv', '\uFEFF' + misses.toCsv(all));
+      } else {
+        download(`poe2-untranslated-${date}.json`, 'application/json', misses.toJson(all));
+      }
+    });
+  }
+
+  localize();
+  misses.load().then(renderSummary);
+
+  document.getElementById('toggle-translation').addEventListener('click', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+      if (!tab?.id) return;
+      chrome.tabs.sendMessage(tab.id, { type: 'toggle-translation' }).catch(() => {});
+    });
+  });
+
+  document.getElementById('export-json').addEventListener('click', () => exportMisses('json'));
+  document.getElementById('export-csv').addEventListener('click', () => exportMisses('csv'));
+  document.getElementById('clear-misses').addEventListener('click', () => {
+    // 交给 service worker 清空，与各标签页的写入排队；失败时按存储中的实际内容重新显示
+    chrome.runtime.sendMessage({ type: 'clear-misses' })
+      .then(response => {
+        if (!response?.ok) throw new Error(response?.error || 'misses not cleared');
+        renderSummary({});
+      })
+      .catch(() => misses.load().then(renderSummary));
+  });
+
+  document.getElementById('open-options').addEventListener('click', event => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+})();
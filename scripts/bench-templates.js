@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// 对比逐条正则扫描与 TemplateMatcher 索引匹配的耗时。
+//
+// 用法：node scripts/bench-templates.js [保存的页面.html]
+// 传入浏览器“另存为”的 poe.ninja 角色页时，取页面中所有 <li> 的文本作为输入；
+// 不传时用 templateMap 自身生成带随机数值的词缀行，并混入无法匹配的行。
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const ROUNDS = 20;
+
+function loadScripts(files) {
+  const sandbox = { window: {} };
+  sandbox.self = sandbox.window;
+  vm.createContext(sandbox);
+  files.forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file }));
+  return sandbox.window;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function linesFromPage(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const lines = [];
+  const re = /<li\b[^>]*>([\s\S]*?)<\/li>/gi;
+  let match;
+  while ((match = re.exec(html))) {
+    const text = decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim();
+    if (text) lines.push(text);
+  }
+  return lines;
+}
+
+function syntheticLines(templateMap) {
+  const lines = [];
+  Object.keys(templateMap).forEach((tpl, i) => {
+    lines.push(tpl.replace(/#/g, () => String((i % 97) + 3)));
+    if (i % 3 === 0) lines.push(`Unmatched modifier line number ${i}`);
+  });
+  return lines;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ROUNDS; i++) fn();
+  return Number(process.hrtime.bigint() - start) / 1e6 / ROUNDS;
+}
+
+function main() {
+  const window = loadScripts(['lib/dictionaryRegistry.js', 'lib/templateMatcher.js']);
+  const bundle = JSON.parse(fs.readFileSync(path.join(ROOT, 'dictionaries', 'bundle.json'), 'utf8'));
+  const templateMap = window.DictionaryRegistry.fromBundle(bundle).select().templates;
+  const matcher = new window.TemplateMatcher(templateMap);
+
+  const pageFile = process.argv[2];
+  const lines = pageFile ? linesFromPage(pageFile) : syntheticLines(templateMap);
+  if (!lines.length) {
+    console.error('没有找到任何 <li> 文本');
+    process.exit(1);
+  }
+
+  // 逐条扫描即把全部模板都当作候选
+  const linearMatch = line => matcher.match(line, matcher.templates);
+  const indexedMatch = line => matcher.match(line);
+
+  const mismatches = lines.filter(line => linearMatch(line)?.template !== indexedMatch(line)?.template);
+  if (mismatches.length) {
+    console.error(`索引匹配与逐条扫描结果不一致（${mismatches.length} 行），例如：${mismatches[0]}`);
+    process.exit(1);
+  }
+
+  const linear = time(() => lines.forEach(linearMatch));
+  const indexed = time(() => lines.forEach(indexedMatch));
+  const matched = lines.filter(indexedMatch).length;
+
+  console.log(`输入：${pageFile || '由 templateMap 生成'}，${lines.length} 行，其中 ${matched} 行命中模板`);
+  console.log(`模板数：${matcher.templates.length}`);
+  console.log(`逐条扫描：${linear.toFixed(2)} ms/轮`);
+  console.log(`索引匹配：${indexed.toFixed(2)} ms/轮`);
+  console.log(`加速：${(linear / indexed).toFixed(1)}x`);
+}
+
+main();
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// 由 dictionaries/src/ 下的结构化词典源生成扩展运行时加载的精简包 dictionaries/bundle.json，
+// 其中每个分类由 DictionaryRegistry 注册。新增分类只需新增一个源文件并重新构建。
+//
+// 用法：node scripts/build-dictionaries.js [--check]
+//   --check  只比较生成结果与现有文件，不一致时以非零状态码退出
+//
+// 每个源文件对应一个分类：
+//   {
+//     "category": "omens",            分类名，与文件名一致
+//     "description": "預兆",           分类说明
+//     "kind": "exact",                词典类型：exact 整段精确匹配，templates 词缀模板，fixedText 固定文字
+//     "priority": 0,                  可选，同类词典中优先级高的分类覆盖低的同名词条，默认 0
+//     "patch": "0.2",                 可选，本分类词条默认的游戏版本
+//     "source": "...",                可选，本分类词条默认的译名出处
+//     "entries": [
+//       { "en": "Omen of Refreshment", "zh-TW": "煥新之兆", "zh-CN": "...", "patch": "...", "source": "..." }
+//     ]
+//   }
+// zh-CN 可省略，省略时由 ZhConvert 从 zh-TW 自动转换；填写后在简体模式下优先使用。
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DICT_DIR = path.join(__dirname, '..', 'dictionaries');
+const SRC_DIR = path.join(DICT_DIR, 'src');
+const BUNDLE = 'bundle.json';
+const BUNDLE_VERSION = 1;
+const KINDS = ['exact', 'templates', 'fixedText'];
+
+const SOURCE_FIELDS = ['category', 'description', 'kind', 'priority', 'patch', 'source', 'entries'];
+const ENTRY_FIELDS = ['en', 'zh-TW', 'zh-CN', 'patch', 'source'];
+
+// 读取全部分类并校验，返回 { categories, errors }；分类按文件名排序，保证生成结果稳定
+function readSources(dir = SRC_DIR) {
+  const errors = [];
+  const categories = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const text = fs.readFileSync(path.join(dir, file), 'utf8');
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        errors.push(`${file}: ${err.message}`);
+        return null;
+      }
+      return validateSource(file, text, data, errors);
+    })
+    .filter(Boolean);
+
+  // 同类同优先级的分类之间谁覆盖谁只取决于文件名顺序，这样的重复键必须消除
+  const owners = new Map();
+  categories.forEach(({ file, kind, priority, entries }) => {
+    entries.forEach(entry => {
+      const key = `${kind}|${priority}|${entry.en}`;
+      const owner = owners.get(key);
+      if (owner) errors.push(`${file}:${entry.line}: "${entry.en}" 已在 ${owner.file}:${owner.line} 定义`);
+      else owners.set(key, { file, line: entry.line });
+    });
+  });
+
+  return { categories, errors };
+}
+
+// 源文件每行一个词条，按出现顺序给词条标上行号，方便报错定位
+function entryLines(text) {
+  const lines = [];
+  text.split('\n').forEach((line, i) => {
+    if (/^\s*\{\s*"en"\s*:/.test(line)) lines.push(i + 1);
+  });
+  return lines;
+}
+
+function validateSource(file, text, data, errors) {
+  const category = path.basename(file, '.json');
+  const report = (where, message) => errors.push(`${file}${where ? `:${where}` : ''}: ${message}`);
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) {
+    report(null, '缺少 entries 数组');
+    return null;
+  }
+  Object.keys(data).forEach(field => {
+    if (!SOURCE_FIELDS.includes(field)) report(null, `未知字段 "${field}"`);
+  });
+  if (data.category !== category) report(null, `category 应为 "${category}"`);
+  if (!KINDS.includes(data.kind)) {
+    report(null, `未知的 kind "${data.kind}"，可选：${KINDS.join('、')}`);
+    return null;
+  }
+  const priority = data.priority ?? 0;
+  if (!Number.isInteger(priority)) report(null, 'priority 必须是整数');
+  ['patch', 'source'].forEach(field => {
+    if (data[field] !== undefined && typeof data[field] !== 'string') report(null, `${field} 必须是字符串`);
+  });
+
+  const lines = entryLines(text);
+  const entries = [];
+  data.entries.forEach((raw, i) => {
+    const line = lines[i] || `#${i + 1}`;
+    if (!raw || typeof raw !== 'object') {
+      report(line, '词条必须是对象');
+      return;
+    }
+    Object.keys(raw).forEach(field => {
+      if (!ENTRY_FIELDS.includes(field)) report(line, `未知字段 "${field}"`);
+    });
+    if (typeof raw.en !== 'string' || !raw.en.trim()) {
+      report(line, '缺少 en');
+      return;
+    }
+    if (typeof raw['zh-TW'] !== 'string' || !raw['zh-TW']) {
+      report(line, `"${raw.en}" 缺少 zh-TW`);
+      return;
+    }
+    ['zh-CN', 'patch', 'source'].forEach(field => {
+      if (raw[field] !== undefined && typeof raw[field] !== 'string') report(line, `"${raw.en}" 的 ${field} 必须是字符串`);
+    });
+
+    entries.push({
+      line,
+      en: raw.en,
+      zhTW: raw['zh-TW'],
+      zhCN: raw['zh-CN'],
+      patch: raw.patch ?? data.patch ?? null,
+      source: raw.source ?? data.source ?? null
+    });
+  });
+
+  return { file, category, description: data.description || '', kind: data.kind, priority, entries };
+}
+
+// 分类按类型、优先级、文件名排序，DictionaryRegistry 按此顺序注册。
+// 每个词条是 [en, zh-TW] 或 [en, zh-TW, zh-CN]，不含 patch、source 等运行时用不到的字段。
+function renderBundle(categories) {
+  const sorted = [...categories].sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || a.priority - b.priority);
+  const bundle = {
+    version: BUNDLE_VERSION,
+    categories: sorted.map(({ category, kind, priority, entries }) => ({
+      name: category,
+      kind,
+      priority,
+      entries: entries.map(({ en, zhTW, zhCN }) => (zhCN ? [en, zhTW, zhCN] : [en, zhTW]))
+    }))
+  };
+  return JSON.stringify(bundle) + '\n';
+}
+
+// 返回 { 文件名: 内容 }
+function generate(categories) {
+  return { [BUNDLE]: renderBundle(categories) };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const { categories, errors } = readSources();
+  if (errors.length) {
+    errors.forEach(error => console.error(error));
+    console.error(`\n词典源有 ${errors.length} 个错误，未生成`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const outputs = generate(categories);
+  const stale = Object.entries(outputs).filter(([file, content]) => {
+    const target = path.join(DICT_DIR, file);
+    return !fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== content;
+  });
+
+  const total = categories.reduce((sum, { entries }) => sum + entries.length, 0);
+  if (check) {
+    stale.forEach(([file]) => console.error(`${file} 与 dictionaries/src/ 不一致`));
+    if (stale.length) {
+      console.error('\n请运行 node scripts/build-dictionaries.js');
+      process.exitCode = 1;
+    } else {
+      console.log(`词典文件是最新的：${categories.length} 个分类，${total} 条`);
+    }
+    return;
+  }
+
+  stale.forEach(([file, content]) => fs.writeFileSync(path.join(DICT_DIR, file), content));
+  console.log(`${categories.length} 个分类，${total} 条；更新了 ${stale.length} 个文件`);
+}
+
+module.exports = { KINDS, readSources, generate };
+
+if (require.main === module) main();
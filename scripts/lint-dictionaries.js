@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// 检查 dictionaries/src/ 下词典源的质量问题，发现问题时以非零状态码退出。
+//
+// 用法：node scripts/lint-dictionaries.js
+//
+// 检查项：
+//   source     源文件格式错误，或同类同优先级的分类之间重复的键（与构建脚本的校验相同）
+//   conflict   同一类词典的不同分类中出现同一个键但译文不同
+//   conflict   同一类词典中规范化后相同的键译文不同，例如 "Fan the Flames" 与 "Fan The Flames"，查表时只会取到其中一个
+//   variant    规范化后相同的键，例如 "Queen's Decree" 与 "Queens Decree"，查表时已视为同一个词
+//   whitespace 译文首尾有空白
+//   untranslated 译文没有中文，或夹着未翻译的英文短语
+//   placeholder  模板英文与中文的 # 占位符数量不一致
+//   machine    带 "[譯]" 标记的机器翻译
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { readSources } = require('./build-dictionaries');
+
+const CJK_RE = /[㐀-鿿]/;
+const ENGLISH_PHRASE_RE = /[A-Za-z]{3,}\s+[A-Za-z]{3,}/;
+const MACHINE_MARK = '[譯]';
+
+function loadNormalizer() {
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'lib', 'textNormalize.js'), 'utf8'), sandbox);
+  return sandbox.window.TextNormalize.normalizeKey;
+}
+
+// 裸 # 逐个计数，{0}/#1 这类编号占位符按不同编号计数
+function countPlaceholders(text) {
+  const indexed = new Set();
+  let bare = 0;
+  text.replace(/\{(\d+)\}|#(\d+)|#/g, (marker, zeroBased, oneBased) => {
+    if (zeroBased !== undefined) indexed.add(Number(zeroBased));
+    else if (oneBased !== undefined) indexed.add(Number(oneBased) - 1);
+    else bare++;
+    return marker;
+  });
+  return bare + indexed.size;
+}
+
+function lint() {
+  const problems = [];
+  const report = (check, entry, message) => problems.push({ check, where: `${entry.file}:${entry.line}`, message });
+
+  const normalizeKey = loadNormalizer();
+  const { categories, errors } = readSources();
+  errors.forEach(error => problems.push({ check: 'source', where: error.split(': ')[0], message: error.slice(error.indexOf(': ') + 2) }));
+
+  const all = categories.flatMap(({ file, kind, entries }) =>
+    entries.map(entry => ({ ...entry, file: `src/${file}`, kind })));
+  const byKey = new Map();
+  const byFolded = new Map();
+
+  all.forEach(entry => {
+    const { en } = entry;
+    const translations = [entry.zhTW, entry.zhCN].filter(zh => zh !== undefined);
+
+    translations.forEach(zh => {
+      if (zh !== zh.trim()) report('whitespace', entry, `"${en}" → "${zh}"`);
+
+      const bare = zh.replace(MACHINE_MARK, '');
+      if (!CJK_RE.test(bare)) report('untranslated', entry, `"${en}" → "${zh}"`);
+      else if (ENGLISH_PHRASE_RE.test(bare)) report('untranslated', entry, `"${en}" → "${zh}"（含英文短语）`);
+
+      if (zh.includes(MACHINE_MARK)) report('machine', entry, `"${en}" → "${zh}"`);
+
+      if (entry.kind === 'templates') {
+        const expected = countPlaceholders(en);
+        const actual = countPlaceholders(zh);
+        if (expected !== actual) report('placeholder', entry, `"${en}" 有 ${expected} 个占位符，译文 "${zh}" 有 ${actual} 个`);
+      }
+    });
+
+    const key = `${entry.kind}|${en}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(entry);
+
+    const folded = `${entry.kind}|${normalizeKey(en)}`;
+    if (!byFolded.has(folded)) byFolded.set(folded, []);
+    byFolded.get(folded).push(entry);
+  });
+
+  // 同优先级分类之间的重复已由 readSources 报告，这里再检查不同优先级之间译文是否一致
+  byKey.forEach(entries => {
+    const values = new Set(entries.map(entry => entry.zhTW.trim()));
+    if (entries.length > 1 && values.size > 1) {
+      report('conflict', entries[0], `"${entries[0].en}"：${entries.map(entry => `${entry.file}:${entry.line} "${entry.zhTW}"`).join('，')}`);
+    }
+  });
+
+  // 写法不同的键折叠后是同一个词：译文一致只是多余的写法，不一致则是两个词条在抢同一个键
+  byFolded.forEach(entries => {
+    if (new Set(entries.map(entry => entry.en)).size < 2) return;
+    const describe = entry => `"${entry.en}" ${entry.file}:${entry.line} "${entry.zhTW}"`;
+    if (new Set(entries.map(entry => entry.zhTW.trim())).size > 1) {
+      report('conflict', entries[0], entries.map(describe).join('，'));
+    } else {
+      report('variant', entries[0], entries.map(entry => `"${entry.en}" (${entry.file}:${entry.line})`).join('，'));
+    }
+  });
+
+  return problems;
+}
+
+function main() {
+  const problems = lint();
+  if (!problems.length) {
+    console.log('词典检查通过');
+    return;
+  }
+
+  const groups = new Map();
+  problems.forEach(problem => {
+    if (!groups.has(problem.check)) groups.set(problem.check, []);
+    groups.get(problem.check).push(problem);
+  });
+
+  groups.forEach((list, check) => {
+    console.log(`\n[${check}] ${list.length}`);
+    list.forEach(({ where, message }) => console.log(`  ${where}  ${message}`));
+  });
+  console.log(`\n共 ${problems.length} 个问题`);
+  process.exitCode = 1;
+}
+
+main();
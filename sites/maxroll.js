@@ -0,0 +1,11 @@
+window.SiteAdapters.register({
+  id: 'maxroll',
+  hosts: ['maxroll.gg'],
+  tooltipRoots: ['[data-tippy-root]', '[role="tooltip"]'],
+  skillIcons: ['img[alt]'],
+  itemModLists: ['ul'],
+  // 文章编辑区和评论区
+  skipRegions: ['.ql-editor', '#comments'],
+  // 攻略文章中以 iframe 嵌入配装器
+  allFrames: true
+});
@@ -0,0 +1,15 @@
+window.SiteAdapters.register({
+  id: 'mobalytics',
+  hosts: ['mobalytics.gg'],
+  tooltipRoots: ['[data-tippy-root]'],
+  skillNames: ['p[data-test="skill-name"]'],
+  skillIcons: ['img[alt]', 'img.skill-icon'],
+  itemModLists: ['ul'],
+  supportGemRows: {
+    icons: 'img[width="40"], img[height="40"], img[src*="SupportGem"]',
+    toggles: 'img[src*="triangle-"], span[style*="triangle-"]'
+  },
+  // 构筑说明使用 Lexical 编辑器，改写其中的文本会破坏编辑状态
+  skipRegions: ['[data-lexical-editor]', '[data-lexical-decorator]', '[data-lexical-text="true"]'],
+  copyButtonRoot: '#container > div > main > div:nth-child(2) > div > section > section:nth-child(2) > section:nth-child(1)'
+});
@@ -0,0 +1,10 @@
+window.SiteAdapters.register({
+  id: 'poe2scout',
+  hosts: ['poe2scout.com'],
+  tooltipRoots: ['[role="tooltip"]'],
+  skillIcons: ['img[alt]'],
+  // 只列出通货和物品价格，用不到技能、天赋和词缀模板
+  categories: ['base-items', 'currency', 'fragments', 'jewels', 'misc', 'omens', 'runes', 'talismans', 'ui-text', 'uniques'],
+  // 价格表除名称列外都是数值和时间，不做任何改写
+  skipRegions: ['table td:not(:first-child)']
+});
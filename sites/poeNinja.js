@@ -0,0 +1,43 @@
+(function () {
+  'use strict';
+
+  // 构筑总览的筛选项在名称后面跟着占比或人数，例如 "Deadeye 18.1%"、"Lich (1,204)"
+  const FACET_COUNT = /\s*[(（]?\d[\d.,]*\s*%?[)）]?$/;
+
+  window.SiteAdapters.register({
+    id: 'poeNinja',
+    hosts: ['poe.ninja'],
+    tooltipRoots: ['[role="tooltip"]'],
+    skillIcons: ['img[alt]'],
+    // 物品词缀只出现在悬浮卡片中
+    itemModLists: ['[role="tooltip"] ul'],
+    // 角色页各面板中的名称分别取自对应分类的词典
+    regions: [
+      // 装备栏和物品悬浮卡片中的物品名称
+      { selector: '.equipment-grid img[alt]', attribute: 'alt', categories: ['uniques', 'base-items'] },
+      { selector: '[role="tooltip"] .item-header span', categories: ['uniques', 'base-items'], missKind: 'tooltip' },
+      // 技能宝石组，辅助宝石与同名技能的译名不同
+      { selector: '.skill-group .gem-support img[alt]', attribute: 'alt', categories: ['support-gems'] },
+      { selector: '.skill-group .gem-support .gem-name', categories: ['support-gems'], missKind: 'skill' },
+      { selector: '.skill-group img[alt]', attribute: 'alt', categories: ['skills'] },
+      { selector: '.skill-group .gem-name', categories: ['skills'], missKind: 'skill' },
+      // 核心天赋和重要天赋列表
+      { selector: '.character-passives li', categories: ['passives'] },
+      // 角色属性表的属性名
+      { selector: '.character-stats th', categories: ['stats'] },
+      // 构筑总览侧栏的筛选项：职业与升华、技能、核心天赋、传奇物品
+      { selector: '[data-facet="class"] .facet-option', categories: ['classes'], suffix: FACET_COUNT },
+      { selector: '[data-facet="skills"] img[alt]', attribute: 'alt', categories: ['skills'] },
+      { selector: '[data-facet="skills"] .facet-option', categories: ['skills'], suffix: FACET_COUNT },
+      { selector: '[data-facet="keystones"] .facet-option', categories: ['passives'], suffix: FACET_COUNT },
+      { selector: '[data-facet="uniques"] .facet-option', categories: ['uniques'], suffix: FACET_COUNT },
+      // 构筑列表中的升华和主要技能
+      { selector: '.builds-table .build-class', categories: ['classes'] },
+      { selector: '.builds-table .build-skills img[alt]', attribute: 'alt', categories: ['skills'] }
+    ],
+    // 搜索框下拉等输入区域
+    skipRegions: ['[role="combobox"]', '[role="listbox"]'],
+    // 构筑总览的筛选搜索框
+    searchInputs: ['[role="combobox"] input', 'input[type="search"]']
+  });
+})();
@@ -0,0 +1,193 @@
+'use strict';
+
+// 在 jsdom 中加载保存下来的站点页面，按 manifest.json 的顺序注入内容脚本，
+// 并用真实的 background.js 应答词典请求，断言翻译后的 DOM。
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert/strict');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// manifest 中 matches 覆盖 url 的 content_scripts 条目
+function contentScriptsFor(url) {
+  const toRegExp = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.?+^$()[\]{}|\\/]/g, '\\$&')).join('.*')}$`);
+  const entry = manifest.content_scripts.find(({ matches }) => matches.some(pattern => toRegExp(pattern).test(url)));
+  assert.ok(entry, `manifest.json 中没有匹配 ${url} 的 content_scripts`);
+  return entry.js;
+}
+
+// 在独立的上下文中运行 background.js，返回它注册的消息处理函数和它的 chrome.storage.local 内容
+function loadServiceWorker() {
+  const listeners = [];
+  const storage = {};
+  const worker = {
+    chrome: {
+      storage: {
+        local: {
+          get: key => Promise.resolve(JSON.parse(JSON.stringify(key == null ? storage : { [key]: storage[key] }))),
+          set: items => Promise.resolve(Object.assign(storage, JSON.parse(JSON.stringify(items)))).then(() => {}),
+          remove: key => Promise.resolve(delete storage[key]).then(() => {})
+        }
+      },
+      runtime: {
+        getURL: file => file,
+        onMessage: { addListener: listener => listeners.push(listener) }
+      },
+      commands: { onCommand: { addListener() {} } },
+      tabs: { sendMessage: () => Promise.resolve() }
+    },
+    fetch: file => Promise.resolve({ ok: true, json: () => Promise.resolve(JSON.parse(read(file))) }),
+    importScripts: (...files) => files.forEach(file => vm.runInContext(read(file), worker, { filename: file }))
+  };
+  worker.self = worker;
+  vm.createContext(worker);
+  vm.runInContext(read(manifest.background.service_worker), worker, { filename: manifest.background.service_worker });
+  return { listeners, storage };
+}
+
+let serviceWorker = null;
+
+// 所有测试页面共用同一个 service worker，与浏览器中各标签页的情形一致
+function getServiceWorker() {
+  serviceWorker = serviceWorker || loadServiceWorker();
+  return serviceWorker;
+}
+
+// 消息经过结构化克隆，内容脚本拿到的是副本
+function sendToServiceWorker(message) {
+  const { listeners } = getServiceWorker();
+  return new Promise(resolve => {
+    const respond = response => resolve(JSON.parse(JSON.stringify(response)));
+    if (!listeners.some(listener => listener(JSON.parse(JSON.stringify(message)), {}, respond))) resolve(undefined);
+  });
+}
+
+// service worker 的 chrome.storage.local 中 key 对应的值
+function serviceWorkerStorage(key) {
+  return getServiceWorker().storage[key];
+}
+
+// failures 为前几次 sendMessage 直接失败的次数，模拟 service worker 正在重启
+function createChrome(storage, requests, responses, failures = 0) {
+  const listeners = [];
+  const area = name => ({
+    get: key => Promise.resolve(key == null ? { ...storage[name] } : { [key]: storage[name][key] }),
+    set: items => {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: storage[name][key], newValue: value };
+        storage[name][key] = value;
+      });
+      listeners.forEach(listener => listener(changes, name));
+      return Promise.resolve();
+    },
+    remove: key => {
+      delete storage[name][key];
+      return Promise.resolve();
+    }
+  });
+
+  return {
+    storage: { sync: area('sync'), local: area('local'), onChanged: { addListener: listener => listeners.push(listener) } },
+    i18n: { getUILanguage: () => 'zh-TW', getMessage: key => key },
+    runtime: {
+      sendMessage: message => {
+        requests.push(JSON.parse(JSON.stringify(message)));
+        const response = requests.length > failures
+          ? sendToServiceWorker(message)
+          : Promise.reject(new Error('Could not establish connection. Receiving end does not exist.'));
+        responses.push(response);
+        return response;
+      },
+      onMessage: { addListener() {} }
+    }
+  };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 创建页面窗口并注入 chrome 接口。t 为当前测试，测试结束时关闭窗口，
+// 并要求期间页面脚本没有抛出未捕获的异常；页面的 console.warn 记入 warnings
+function createWindow(t, html, { url, settings, failures } = {}) {
+  const errors = [];
+  const warnings = [];
+  let closed = false;
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  virtualConsole.on('jsdomError', error => {
+    if (!closed) errors.push(error);
+  });
+  virtualConsole.on('warn', (...args) => warnings.push(args.map(String).join(' ')));
+  const { window } = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  t.after(() => {
+    closed = true;
+    window.close();
+    assert.deepEqual(errors, []);
+  });
+
+  const storage = { sync: settings ? { settings } : {}, local: {} };
+  const requests = [];
+  const responses = [];
+  const clipboard = [];
+  window.chrome = createChrome(storage, requests, responses, failures);
+
+  // jsdom 没有布局，innerText 退化为 textContent；剪贴板只记录写入的内容
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    get() {
+      return this.textContent;
+    },
+    set(value) {
+      this.textContent = value;
+    }
+  });
+  Object.defineProperty(window.navigator, 'clipboard', {
+    value: {
+      writeText: text => {
+        clipboard.push(text);
+        return Promise.resolve();
+      }
+    }
+  });
+
+  return { window, requests, responses, clipboard, warnings };
+}
+
+// 加载 fixture（test/fixtures 下的文件名）并运行全部内容脚本；url 决定命中哪个站点适配器，
+// settings 是存储中的设置，按 TranslatorSettings.normalize 补齐，failures 见 createChrome
+async function loadPage(t, fixture, options = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+  const { window, requests, responses, clipboard, warnings } = createWindow(t, html, options);
+
+  contentScriptsFor(options.url).forEach(file => window.eval(read(file)));
+  // 等后台应答词典请求，再让内容脚本的启动流程跑完
+  await Promise.allSettled(responses);
+  await wait(0);
+
+  return {
+    window,
+    document: window.document,
+    requests,
+    clipboard,
+    warnings,
+    wait,
+    // 等待防抖的增量翻译执行完毕
+    settle: () => wait(300)
+  };
+}
+
+// 只加载 lib/ 和 sites/ 下的脚本，不运行 content.js 的启动流程，供单独测试各个类
+function loadLibraries(t, options = {}) {
+  const { window } = createWindow(t, '<!DOCTYPE html><html><head></head><body></body></html>', options);
+  contentScriptsFor(options.url).filter(file => file !== 'content.js').forEach(file => window.eval(read(file)));
+  return window;
+}
+
+module.exports = { manifest, loadPage, loadLibraries, serviceWorkerStorage, wait };
@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { manifest, loadLibraries } = require('./harness');
+
+test('各 content_scripts 条目加载同样的脚本', () => {
+  const [first, ...rest] = manifest.content_scripts;
+  rest.forEach(entry => assert.deepEqual(entry.js, first.js));
+});
+
+test('声明 allFrames 的站点适配器与 manifest 中 all_frames 的条目一致', t => {
+  const window = loadLibraries(t, { url: 'https://mobalytics.gg/poe-2/' });
+
+  manifest.content_scripts.forEach(entry => {
+    entry.matches.forEach(pattern => {
+      const { hostname } = new URL(pattern);
+      const adapter = window.SiteAdapters.forHost(hostname);
+      assert.ok(adapter, `${pattern} 没有对应的站点适配器`);
+      assert.equal(adapter.allFrames, !!entry.all_frames, pattern);
+    });
+  });
+});
+
+test('站点适配器声明的词典分类都在词典包中', t => {
+  const window = loadLibraries(t, { url: 'https://mobalytics.gg/poe-2/' });
+  const bundle = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'dictionaries', 'bundle.json'), 'utf8'));
+  const names = bundle.categories.map(({ name }) => name);
+
+  const hosts = manifest.content_scripts.flatMap(({ matches }) => matches.map(pattern => new URL(pattern).hostname));
+  hosts.map(host => window.SiteAdapters.forHost(host)).forEach(adapter => {
+    [adapter.categories || [], ...adapter.regions.map(({ categories }) => categories)].flat().forEach(name => {
+      assert.ok(names.includes(name), `${adapter.id} 声明了不存在的分类 ${name}`);
+    });
+  });
+});
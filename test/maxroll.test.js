@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+const FIXTURE = 'maxroll-planner.html';
+const URL = 'https://maxroll.gg/poe2/planner/abc123';
+
+const open = (t, settings) => loadPage(t, FIXTURE, { url: URL, settings });
+
+test('翻译配装器中的技能、装备和词缀', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(
+    [...document.querySelectorAll('.planner-skills img')].map(img => img.alt),
+    ['刀鋒亂舞 (Blade Flurry)', '快速攻擊輔助 (Faster Attacks)']
+  );
+  assert.equal(document.querySelector('.item-card span').textContent, "岡姆的壯志 (Kaom's Heart)");
+  assert.deepEqual(
+    [...document.querySelectorAll('.item-card li')].map(li => li.textContent),
+    [
+      '+120 最大生命 (+120 to maximum Life)',
+      '+250 點護甲 (部分) (+250 to Armour (Local))',
+      '+35% 火焰抗性 (+35% to Fire Resistance)'
+    ]
+  );
+});
+
+test('翻译 tippy 悬浮提示', async t => {
+  const { document } = await open(t);
+
+  assert.equal(document.querySelector('[data-tippy-root] span').textContent, '卡蘭德的魔鏡 (Mirror of Kalandra)');
+});
+
+test('不改写文章编辑区和评论区', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(
+    [...document.querySelectorAll('.ql-editor p, .ql-editor li')].map(el => el.textContent),
+    ['Blade Flurry is the main skill.', 'Blade Flurry', '+120 to maximum Life']
+  );
+  assert.equal(document.querySelector('#comments p').textContent, 'Chaos Orb');
+});
+
+test('动态加入的物品卡片在防抖后翻译', async t => {
+  const { document, settle } = await open(t);
+
+  const card = document.createElement('div');
+  card.innerHTML = '<span>Headhunter</span><ul><li>+35% to Fire Resistance</li></ul>';
+  document.querySelector('.planner-items').appendChild(card);
+  await settle();
+
+  assert.equal(card.querySelector('span').textContent, '獵首 (Headhunter)');
+  assert.equal(card.querySelector('li').textContent, '+35% 火焰抗性 (+35% to Fire Resistance)');
+});
+
+test('页面重新渲染已翻译的节点时不重复翻译，换成新物品时重译', async t => {
+  const { document, settle } = await open(t);
+
+  const name = document.querySelector('.item-card span').firstChild;
+  name.nodeValue = "岡姆的壯志 (Kaom's Heart)";
+  await settle();
+  assert.equal(name.nodeValue, "岡姆的壯志 (Kaom's Heart)");
+
+  name.nodeValue = 'Headhunter';
+  await settle();
+  assert.equal(name.nodeValue, '獵首 (Headhunter)');
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibraries, serviceWorkerStorage } = require('./harness');
+
+const URL = 'https://poe.ninja/poe2/builds';
+
+// 每个窗口相当于一个标签页，各有自己的 MissCollector
+function openTab(t, site) {
+  const window = loadLibraries(t, { url: URL });
+  const collector = new window.TranslationMisses.MissCollector(site);
+  const record = (kind, text) => {
+    const el = window.document.createElement('span');
+    window.document.body.appendChild(el);
+    collector.record(kind, text, el);
+  };
+  return { window, collector, record };
+}
+
+test('多个标签页同时写入时计数合并，不会互相覆盖', async t => {
+  const first = openTab(t, 'concurrent.test');
+  const second = openTab(t, 'concurrent.test');
+  first.record('skill', 'Unknown Strike');
+  first.record('skill', 'Unknown Strike');
+  second.record('skill', 'Unknown Strike');
+  second.record('tooltip', 'Unknown Ring');
+
+  await Promise.all([first.collector.flush(), second.collector.flush()]);
+
+  const entries = serviceWorkerStorage('misses')['concurrent.test'];
+  assert.equal(entries['skill|Unknown Strike'].count, 3);
+  assert.equal(entries['tooltip|Unknown Ring'].count, 1);
+});
+
+test('清空与写入排在同一个队列中，已开始的写入不会把旧计数写回来', async t => {
+  const tab = openTab(t, 'clear.test');
+  tab.record('skill', 'Unknown Strike');
+
+  // 弹出窗口在这一批还没写完时点了“清空”
+  await Promise.all([tab.collector.flush(), tab.window.chrome.runtime.sendMessage({ type: 'clear-misses' })]);
+
+  assert.equal(serviceWorkerStorage('misses'), undefined);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+const FIXTURE = 'mobalytics-build.html';
+const URL = 'https://mobalytics.gg/poe-2/builds/blade-flurry-invoker';
+
+const open = (t, settings) => loadPage(t, FIXTURE, { url: URL, settings });
+const text = (document, selector) => document.querySelector(selector).textContent.trim();
+
+test('只开精确翻译时技能名也能由适配器选择器翻译', async t => {
+  const { document } = await open(t, {
+    sites: { 'mobalytics.gg': { passes: { fallback: false, fixedText: false, tippyRoot: false } } }
+  });
+
+  assert.equal(text(document, 'p[data-test="skill-name"]'), '刀鋒亂舞 (Blade Flurry)');
+  assert.equal(document.querySelector('img.skill-icon').alt, '刀鋒亂舞 (Blade Flurry)');
+});
+
+test('翻译装备名称、词缀和悬浮提示', async t => {
+  const { document } = await open(t);
+
+  assert.equal(text(document, '.item-slot p'), "岡姆的壯志 (Kaom's Heart)");
+  assert.deepEqual(
+    [...document.querySelectorAll('.item-slot li')].slice(0, 2).map(li => li.textContent),
+    ['+120 最大生命 (+120 to maximum Life)', '+35% 火焰抗性 (+35% to Fire Resistance)']
+  );
+  assert.deepEqual(
+    [...document.querySelectorAll('[data-tippy-root] span')].map(span => span.textContent),
+    ["岡姆的壯志 (Kaom's Heart)", '熾紅之衣 (Scarlet Raiment)', '需求 等級 65 (Requires level 65)']
+  );
+});
+
+test('不改写 Lexical 编辑器中的构筑说明', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(
+    [...document.querySelectorAll('[data-lexical-text]')].map(span => span.textContent),
+    ['Blade Flurry', "Stack Faster Attacks before investing in Kaom's Heart."]
+  );
+});
+
+test('展开辅助宝石后翻译新出现的宝石行', async t => {
+  const { document, settle } = await open(t);
+
+  const row = document.createElement('div');
+  row.innerHTML = '<img src="https://cdn.mobalytics.gg/assets/poe-2/gems/SupportGemFasterAttacks.webp" width="40" height="40"><span>Faster Attacks</span>';
+  document.querySelector('.gem-supports').appendChild(row);
+  document.querySelector('.gem-toggle img').src = 'https://cdn.mobalytics.gg/assets/common/icons/triangle-up.svg';
+  await settle();
+
+  const name = row.querySelector('span');
+  assert.equal(name.textContent, '快速攻擊輔助 (Faster Attacks)');
+  assert.equal(name.dataset.supportTranslated, '1');
+});
+
+test('每个构筑区块加复制按钮，复制内容为翻译后的文本', async t => {
+  const { document, clipboard, wait } = await open(t);
+
+  const headers = [...document.querySelectorAll('section[data-allow-dnd] > header')];
+  assert.deepEqual(
+    headers.map(header => !!header.querySelector('.copy-section-btn')),
+    [false, true, true]
+  );
+  assert.equal(document.querySelectorAll('.copy-all-btn').length, 1);
+
+  headers[1].querySelector('.copy-section-btn').click();
+  await wait(0);
+  assert.deepEqual(clipboard, ['Skill Gems - Endgame\n\nSkill Gems\n刀鋒亂舞 (Blade Flurry)']);
+
+  document.querySelector('.copy-all-btn').click();
+  await wait(0);
+  const sections = clipboard[1].split('\n\n');
+  assert.deepEqual(
+    sections.filter((_, i) => i % 2 === 0),
+    ['Build Overview', 'Skill Gems - Endgame', 'Equipment']
+  );
+  assert.match(sections[5], /^Equipment\n岡姆的壯志 \(Kaom's Heart\)\n\+120 最大生命/);
+});
+
+test('站点关闭时不翻译也不加复制按钮', async t => {
+  const { document } = await open(t, { sites: { 'mobalytics.gg': { enabled: false } } });
+
+  assert.equal(text(document, 'p[data-test="skill-name"]'), 'Blade Flurry');
+  assert.equal(document.querySelector('.copy-section-btn'), null);
+});
+
+test('后台暂时无法应答时重试，之后照常翻译', async t => {
+  const { document, requests, wait } = await loadPage(t, FIXTURE, { url: URL, failures: 1 });
+  await wait(600);
+
+  assert.equal(requests.length, 2);
+  assert.equal(text(document, 'p[data-test="skill-name"]'), '刀鋒亂舞 (Blade Flurry)');
+});
+
+test('一直拿不到词典时保持原文，并在控制台说明原因', async t => {
+  const { document, warnings, wait } = await loadPage(t, FIXTURE, { url: URL, failures: Infinity });
+  await wait(2600);
+
+  assert.equal(text(document, 'p[data-test="skill-name"]'), 'Blade Flurry');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /启动失败/);
+});
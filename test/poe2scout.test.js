@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+const FIXTURE = 'poe2scout-listing.html';
+const URL = 'https://poe2scout.com/economy/currency';
+
+const open = (t, settings) => loadPage(t, FIXTURE, { url: URL, settings });
+const firstColumn = document => [...document.querySelectorAll('tbody td:first-child span')].map(span => span.textContent);
+
+test('只请求适配器声明的词典分类', async t => {
+  const { requests } = await open(t);
+
+  assert.deepEqual(requests, [{
+    type: 'get-dictionaries',
+    categories: ['base-items', 'currency', 'fragments', 'jewels', 'misc', 'omens', 'runes', 'talismans', 'ui-text', 'uniques']
+  }]);
+});
+
+test('只翻译价格表的名称列', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(firstColumn(document), ['混沌石 (Chaos Orb)', '崇高石 (Exalted Orb)', '刷新之兆 (Omen of Refreshment)']);
+  assert.deepEqual(
+    [...document.querySelectorAll('tbody td:nth-child(2)')].map(td => td.textContent),
+    ['0.12 Divine Orb', '0.003 Divine Orb', '1.5 Divine Orb']
+  );
+});
+
+test('翻译导航和标题中的固定文字', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(
+    [...document.querySelectorAll('nav a, h2')].map(el => el.textContent),
+    ['通貨 (Currency)', '預兆 (Omens)', '通貨 (Currency)']
+  );
+});
+
+test('未请求的分类不参与翻译', async t => {
+  const { document } = await open(t);
+
+  assert.equal(document.querySelector('aside span').textContent, 'Resolute Technique');
+});
+
+test('仅中文模式下不保留英文', async t => {
+  const { document } = await open(t, { displayMode: 'zh' });
+
+  assert.deepEqual(firstColumn(document), ['混沌石', '崇高石', '刷新之兆']);
+  assert.equal(document.querySelector('[role="tooltip"] span').textContent, '卡蘭德的魔鏡');
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+const FIXTURE = 'poe-ninja-character.html';
+const URL = 'https://poe.ninja/poe2/builds/dawn/character/Account-1234/BladeDancer';
+
+const open = (t, settings) => loadPage(t, FIXTURE, { url: URL, settings });
+const texts = (document, selector) => [...document.querySelectorAll(selector)].map(el => el.textContent);
+const alts = (document, selector) => [...document.querySelectorAll(selector)].map(img => img.alt);
+
+test('请求全部词典分类，以及各区域限定的分类', async t => {
+  const { requests } = await open(t);
+
+  assert.deepEqual(requests.map(({ categories }) => categories), [
+    null,
+    ['uniques', 'base-items'],
+    ['support-gems'],
+    ['skills'],
+    ['passives'],
+    ['stats'],
+    ['classes'],
+    ['uniques']
+  ]);
+});
+
+test('装备栏的物品名称取自传奇和基底词典', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(alts(document, '.equipment-grid img'), [
+    '薔薇眼罩 (Briarpatch)',
+    "岡姆的壯志 (Kaom's Heart)",
+    '藍玉戒指 (Sapphire Ring)'
+  ]);
+});
+
+test('物品悬浮卡片：名称取自物品词典，词缀按模板翻译', async t => {
+  const { document } = await open(t);
+
+  const popover = document.querySelector('[role="tooltip"]');
+  assert.deepEqual(texts(popover, 'span'), [
+    '薔薇眼罩 (Briarpatch)',
+    '熾紅之衣 (Scarlet Raiment)',
+    '需求 等級 65 (Requires level 65)'
+  ]);
+  assert.deepEqual(texts(popover, 'li'), ['+120 最大生命 (+120 to maximum Life)', '+35% 火焰抗性 (+35% to Fire Resistance)']);
+});
+
+test('技能宝石组：辅助宝石取辅助宝石的译名', async t => {
+  const { document } = await open(t);
+
+  const expected = ['刀鋒亂舞 (Blade Flurry)', '法術圖騰輔助 (Spell Totem)', '快速攻擊輔助 (Faster Attacks)'];
+  assert.deepEqual(texts(document, '.gem-name'), expected);
+  assert.deepEqual(alts(document, '.skill-group img'), expected);
+});
+
+test('天赋列表取自天赋词典', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(texts(document, '.character-passives li'), [
+    '堅毅之心 (Resolute Technique)',
+    '青春永駐 (Eternal Youth)',
+    '元素湧動 (Elemental Surge)'
+  ]);
+});
+
+test('角色属性表只翻译属性名', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(texts(document, '.character-stats th'), [
+    '生命 (Life)',
+    '能量護盾 (Energy Shield)',
+    '火焰抗性 (Fire Resistance)',
+    '移動速度 (Movement Speed)'
+  ]);
+  assert.deepEqual(texts(document, '.character-stats td'), ['5,123', '1,204', '75%', '+15%']);
+});
+
+test('不改写搜索框和下拉列表', async t => {
+  const { document } = await open(t);
+
+  assert.equal(document.querySelector('[role="combobox"] span').textContent, 'Blade Flurry');
+  assert.deepEqual(texts(document, '[role="option"]'), ['Blade Flurry', "Kaom's Heart"]);
+});
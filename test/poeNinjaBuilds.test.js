@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+const FIXTURE = 'poe-ninja-builds.html';
+const URL = 'https://poe.ninja/poe2/builds/dawn';
+
+const open = t => loadPage(t, FIXTURE, { url: URL });
+const texts = (document, selector) => [...document.querySelectorAll(selector)].map(el => el.textContent);
+const alts = (document, selector) => [...document.querySelectorAll(selector)].map(img => img.alt);
+
+// 模拟站点自己的过滤：记录它在 input 事件中读到的值
+function typeInto(window, input, value, init = {}) {
+  const seen = [];
+  const listener = event => seen.push(event.target.value);
+  window.document.addEventListener('input', listener);
+  input.value = value;
+  input.dispatchEvent(new window.InputEvent('input', { bubbles: true, ...init }));
+  window.document.removeEventListener('input', listener);
+  return seen;
+}
+
+test('侧栏筛选项：名称无论是否与占比在同一段文本中都会翻译，占比原样保留', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(texts(document, '[data-facet="class"] .facet-option'), [
+    '祈靈者 (Invoker)23.4%',
+    '銳眼 (Deadeye) 18.1%',
+    '夏烏拉侍僧 (Acolyte of Chayula) (1,204)'
+  ]);
+});
+
+test('侧栏筛选项按所在分组取对应分类的译名', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(texts(document, '[data-facet="skills"] .facet-option'), ['法術圖騰 (Spell Totem)12.5%', '荊棘叢 (Briarpatch) 3.2%']);
+  assert.deepEqual(alts(document, '[data-facet="skills"] img'), ['法術圖騰 (Spell Totem)', '荊棘叢 (Briarpatch)']);
+  assert.deepEqual(texts(document, '[data-facet="keystones"] .facet-option'), ['堅毅之心 (Resolute Technique) 31.0%', '元素湧動 (Elemental Surge) 4.2%']);
+  assert.deepEqual(texts(document, '[data-facet="uniques"] .facet-option'), ['薔薇眼罩 (Briarpatch) 2.1%', "岡姆的壯志 (Kaom's Heart)1.7%"]);
+});
+
+test('构筑列表的升华和技能图标', async t => {
+  const { document } = await open(t);
+
+  assert.deepEqual(texts(document, '.build-class'), ['祈靈者 (Invoker)', '巫妖 (Lich)']);
+  assert.deepEqual(alts(document, '.build-skills img'), ['法術圖騰 (Spell Totem)', '荊棘叢 (Briarpatch)', '法術圖騰 (Spell Totem)']);
+});
+
+test('筛选项重新渲染后同样翻译', async t => {
+  const { document, settle } = await open(t);
+
+  const list = document.querySelector('[data-facet="class"] ul');
+  const li = document.createElement('li');
+  li.innerHTML = '<button type="button" class="facet-option">Lich 9.8%</button>';
+  list.appendChild(li);
+  await settle();
+
+  assert.equal(li.textContent, '巫妖 (Lich) 9.8%');
+});
+
+test('搜索框：输入中文译名时，站点读到的是英文原文', async t => {
+  const { window, document } = await open(t);
+
+  const input = document.querySelector('input[type="search"]');
+  assert.deepEqual(typeInto(window, input, '薔薇眼罩'), ['Briarpatch']);
+  assert.deepEqual(typeInto(window, input, '祈靈者'), ['Invoker']);
+  assert.equal(input.value, 'Invoker');
+});
+
+test('搜索框：英文和查不到的中文原样交给站点', async t => {
+  const { window, document } = await open(t);
+
+  const input = document.querySelector('input[type="search"]');
+  assert.deepEqual(typeInto(window, input, 'Lich'), ['Lich']);
+  assert.deepEqual(typeInto(window, input, '不存在的名稱'), ['不存在的名稱']);
+});
+
+test('搜索框：输入法组字期间不替换，组字结束后替换并通知站点', async t => {
+  const { window, document } = await open(t);
+
+  const input = document.querySelector('input[type="search"]');
+  assert.deepEqual(typeInto(window, input, '巫妖', { isComposing: true }), ['巫妖']);
+
+  const seen = [];
+  document.addEventListener('input', event => seen.push(event.target.value));
+  input.dispatchEvent(new window.CompositionEvent('compositionend', { bubbles: true, data: '巫妖' }));
+  assert.deepEqual(seen, ['Lich']);
+});
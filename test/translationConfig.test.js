@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibraries } = require('./harness');
+
+const URL = 'https://poe.ninja/poe2/builds';
+
+const DICTIONARIES = {
+  exact: { 'Elemental Surge': '灌注武器', 'Blade Flurry': '刀鋒亂舞' },
+  scoped: {
+    passives: { exact: { 'Elemental Surge': '元素湧動' } },
+    'uniques,base-items': { exact: { Briarpatch: '薔薇眼罩' }, simplified: { exact: { Briarpatch: '蔷薇之眼' } } }
+  }
+};
+
+test('限定分类的查找优先取该分类的译名，查不到再查全部词典', t => {
+  const window = loadLibraries(t, { url: URL });
+  const config = new window.TranslationConfig('traditional', window.UserDictionary.normalize(), DICTIONARIES);
+
+  assert.equal(config.lookupExact('Elemental Surge'), '灌注武器');
+  assert.equal(config.lookupExact('elemental surge', ['passives']), '元素湧動');
+  assert.equal(config.lookupExact('Blade Flurry', ['passives']), '刀鋒亂舞');
+  assert.equal(config.lookupExact('Briarpatch', ['uniques', 'base-items']), '薔薇眼罩');
+  assert.equal(config.lookupExact('Elemental Surge', ['skills']), '灌注武器');
+});
+
+test('限定分类的词典同样转换简体并叠加用户词典', t => {
+  const window = loadLibraries(t, { url: URL });
+  const userDictionary = window.UserDictionary.normalize({ exact: { 'Elemental Surge': '元素奔涌' } });
+  const config = new window.TranslationConfig('simplified', userDictionary, DICTIONARIES);
+
+  assert.equal(config.lookupExact('Elemental Surge', ['passives']), '元素奔涌');
+  assert.equal(config.lookupExact('Briarpatch', ['uniques', 'base-items']), '蔷薇之眼');
+  assert.equal(config.lookupExact('Blade Flurry', ['passives']), '刀锋乱舞');
+});
+
+test('由页面上显示的中文译名反查英文原文', t => {
+  const window = loadLibraries(t, { url: URL });
+  const userDictionary = window.UserDictionary.normalize({ exact: { "Kaom's Heart": '岡姆之心', "Kaom's Roots": '岡姆之根' } });
+  const config = new window.TranslationConfig('simplified', userDictionary, DICTIONARIES);
+
+  assert.equal(config.lookupEnglish('刀锋乱舞'), 'Blade Flurry');
+  assert.equal(config.lookupEnglish(' 元素涌动 '), 'Elemental Surge');
+  assert.equal(config.lookupEnglish('蔷薇之眼'), 'Briarpatch');
+  assert.equal(config.lookupEnglish('冈姆之心'), "Kaom's Heart");
+  // 只输入了开头：唯一对应时返回，对应多个词条时不猜
+  assert.equal(config.lookupEnglish('刀锋'), 'Blade Flurry');
+  assert.equal(config.lookupEnglish('元素'), 'Elemental Surge');
+  assert.equal(config.lookupEnglish('冈姆'), null);
+  assert.equal(config.lookupEnglish('不存在'), null);
+});
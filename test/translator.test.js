@@ -0,0 +1,269 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibraries } = require('./harness');
+
+const URL = 'https://mobalytics.gg/poe-2/builds/test';
+
+// 用小词典和 DOM 片段创建一个不自动运行的 Translator，各个翻译步骤由测试直接调用
+async function setup(t, { html = '', dictionaries = {}, displayMode = 'bilingual' } = {}) {
+  const window = loadLibraries(t, { url: URL });
+  const settings = await window.TranslatorSettings.load();
+  settings.displayMode = displayMode;
+  const config = new window.TranslationConfig('traditional', window.UserDictionary.normalize(), dictionaries);
+  const create = () => {
+    const translator = new window.Translator(config, settings, window.SiteAdapters.forHost('mobalytics.gg'), null);
+    translator.stop();
+    return translator;
+  };
+  const translator = create();
+  window.document.body.innerHTML = html;
+  return { window, document: window.document, config, translator, create };
+}
+
+const texts = (document, selector) => [...document.querySelectorAll(selector)].map(el => el.textContent);
+
+test('compileTemplates：模板中的 "(Local)"、"+"、"?" 按字面匹配', async t => {
+  const { config } = await setup(t, {
+    dictionaries: {
+      templates: {
+        '# to Armour (Local)': '# 點護甲 (部分)',
+        'Adds # to # Fire Damage (Tier 1+)': '附加 # 至 # 火焰傷害 (階級 1+)',
+        'Can have # additional Modifier?': '可以有 # 個額外詞綴？',
+        '+# to Level of all Projectile Skills': '+# 所有投射技能等級'
+      }
+    }
+  });
+  const matcher = config.compileTemplates();
+
+  assert.equal(matcher.translate('+250 to Armour (Local)'), '+250 點護甲 (部分)');
+  assert.equal(matcher.translate('+250 to Armour Local'), null);
+
+  assert.equal(matcher.translate('Adds 3 to 5 Fire Damage (Tier 1+)'), '附加 3 至 5 火焰傷害 (階級 1+)');
+  assert.equal(matcher.translate('Adds 3 to 5 Fire Damage (Tier 11)'), null);
+
+  assert.equal(matcher.translate('Can have 1 additional Modifier?'), '可以有 1 個額外詞綴？');
+  assert.equal(matcher.translate('Can have 1 additional Modifie'), null);
+
+  assert.equal(matcher.translate('+2 to Level of all Projectile Skills'), '+2 所有投射技能等級');
+});
+
+test('translateFixedText：紧挨中文的英文按整词替换，英文单词内部不替换', async t => {
+  const { document, translator } = await setup(t, {
+    displayMode: 'zh',
+    dictionaries: { fixedText: { Requires: '需求', level: '等級' } },
+    html: `
+      <p>已翻譯Requires</p>
+      <p>Requires等級上限</p>
+      <p>Requires level 65，等級上限</p>
+      <p>Prerequires levels</p>`
+  });
+
+  translator.translateFixedText(document.body);
+
+  assert.deepEqual(texts(document, 'p'), ['已翻譯需求', '需求等級上限', '需求 等級 65，等級上限', 'Prerequires levels']);
+});
+
+test('translateFallback：重复运行不会重复翻译', async t => {
+  const { document, translator, create } = await setup(t, {
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞' } },
+    html: '<div><span>Blade Flurry</span><span> Blade Flurry </span><span>Blade Flurry Invoker</span></div>'
+  });
+  const expected = ['刀鋒亂舞 (Blade Flurry)', ' 刀鋒亂舞 (Blade Flurry) ', 'Blade Flurry Invoker'];
+
+  translator.translateFallback(document.body);
+  assert.deepEqual(texts(document, 'span'), expected);
+  assert.equal(translator.journal.entries.length, 2);
+
+  translator.translateFallback(document.body);
+  assert.deepEqual(texts(document, 'span'), expected);
+  assert.equal(translator.journal.entries.length, 2);
+
+  // 新的 Translator 没有已翻译节点的记录，也不应再处理双语文本
+  const fresh = create();
+  fresh.translateFallback(document.body);
+  assert.deepEqual(texts(document, 'span'), expected);
+  assert.equal(fresh.journal.entries.length, 0);
+
+  translator.restoreOriginal();
+  assert.deepEqual(texts(document, 'span'), ['Blade Flurry', ' Blade Flurry ', 'Blade Flurry Invoker']);
+});
+
+test('translateFallback：仅中文模式下重复运行结果不变', async t => {
+  const { document, translator, create } = await setup(t, {
+    displayMode: 'zh',
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞' } },
+    html: '<span>Blade Flurry</span>'
+  });
+
+  translator.translateFallback(document.body);
+  translator.translateFallback(document.body);
+  create().translateFallback(document.body);
+
+  assert.deepEqual(texts(document, 'span'), ['刀鋒亂舞']);
+});
+
+test('translateSupportGems：改写宝石行中的名称并可还原', async t => {
+  const { document, translator } = await setup(t, {
+    dictionaries: { exact: { 'Faster Attacks': '快速攻擊輔助' } },
+    html: `
+      <div class="gem"><img src="SupportGemFasterAttacks.webp" width="40"><span>Faster Attacks</span></div>
+      <div class="gem"><img src="SupportGemUnknown.webp" width="40"><span>Unknown Support</span></div>
+      <div data-lexical-editor="true"><div class="gem"><img src="SupportGemFasterAttacks.webp"><span>Faster Attacks</span></div></div>`
+  });
+  const names = () => texts(document, '.gem span');
+
+  translator.translateSupportGems();
+  assert.deepEqual(names(), ['快速攻擊輔助 (Faster Attacks)', 'Unknown Support', 'Faster Attacks']);
+  assert.deepEqual(
+    [...document.querySelectorAll('.gem span')].map(el => el.dataset.supportTranslated),
+    ['1', undefined, undefined]
+  );
+
+  // 已改写的节点不再处理，其他步骤也不会把它当作未翻译的文本
+  const recorded = translator.journal.entries.length;
+  translator.translateSupportGems();
+  translator.translateFallback(document.body);
+  assert.equal(translator.journal.entries.length, recorded);
+  assert.equal(names()[0], '快速攻擊輔助 (Faster Attacks)');
+
+  translator.restoreOriginal();
+  assert.deepEqual(names(), ['Faster Attacks', 'Unknown Support', 'Faster Attacks']);
+  assert.equal(document.querySelector('[data-support-translated]'), null);
+});
+
+test('translateSupportGems：悬浮提示模式只加 title，正文保持英文', async t => {
+  const { document, translator } = await setup(t, {
+    displayMode: 'tooltip',
+    dictionaries: { exact: { 'Faster Attacks': '快速攻擊輔助' } },
+    html: '<div><img src="SupportGemFasterAttacks.webp" width="40"><span>Faster Attacks</span></div>'
+  });
+
+  translator.translateSupportGems();
+
+  const name = document.querySelector('span');
+  assert.equal(name.textContent, 'Faster Attacks');
+  assert.equal(name.title, '快速攻擊輔助');
+  assert.equal(name.dataset.supportTranslated, '1');
+});
+
+test('写入标记：页面重新渲染出同样的译文时不再处理', async t => {
+  const { document, translator } = await setup(t, {
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞' }, fixedText: { Requires: '需求', level: '等級' } },
+    html: '<p>Blade Flurry</p><p>Requires level 65</p>'
+  });
+
+  translator.runPasses(document.body);
+  const [skill, requirement] = document.querySelectorAll('p');
+  skill.firstChild.nodeValue = '刀鋒亂舞 (Blade Flurry)';
+  // 页面复制出的译文节点也不会被当作原文再翻译一次
+  document.body.appendChild(requirement.cloneNode(true));
+  translator.runPasses(document.body);
+
+  assert.deepEqual(texts(document, 'p'), [
+    '刀鋒亂舞 (Blade Flurry)',
+    '需求 等級 65 (Requires level 65)',
+    '需求 等級 65 (Requires level 65)'
+  ]);
+  assert.equal(translator.journal.entries.length, 2);
+});
+
+test('写入标记：英文变化后按新原文重译，还原得到新的英文', async t => {
+  const { document, translator } = await setup(t, {
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞', 'Ice Nova': '冰霜新星', "Kaom's Heart": '岡姆的壯志', Headhunter: '獵首' } },
+    html: `
+      <p>Blade Flurry</p>
+      <img alt="Blade Flurry">
+      <div data-tippy-root><div class="name"><b>Kaom's</b> Heart</div></div>`
+  });
+  const skill = document.querySelector('p');
+  const icon = document.querySelector('img');
+  const name = document.querySelector('.name');
+
+  translator.runPasses(document.body);
+  assert.equal(name.textContent, "岡姆的壯志 (Kaom's Heart)");
+
+  skill.firstChild.nodeValue = 'Ice Nova';
+  icon.alt = 'Ice Nova';
+  name.textContent = 'Headhunter';
+  translator.runPasses(document.body);
+
+  assert.equal(skill.textContent, '冰霜新星 (Ice Nova)');
+  assert.equal(icon.alt, '冰霜新星 (Ice Nova)');
+  assert.equal(name.textContent, '獵首 (Headhunter)');
+
+  translator.restoreOriginal();
+  assert.equal(skill.textContent, 'Ice Nova');
+  assert.equal(icon.alt, 'Ice Nova');
+  assert.equal(name.textContent, 'Headhunter');
+});
+
+test('翻译开放 shadow root 中的内容，包括之后新增的节点', async t => {
+  const { window, document, translator } = await setup(t, {
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞', "Kaom's Heart": '岡姆的壯志' } },
+    html: '<div id="popover"></div><div data-lexical-editor="true"><div id="editor"></div></div>'
+  });
+  const shadow = document.querySelector('#popover').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<div data-tippy-root><span>Kaom\'s Heart</span></div><p>Blade Flurry</p>';
+  const closed = document.body.appendChild(document.createElement('div')).attachShadow({ mode: 'closed' });
+  closed.innerHTML = '<p>Blade Flurry</p>';
+  document.querySelector('#editor').attachShadow({ mode: 'open' }).innerHTML = '<p>Blade Flurry</p>';
+
+  translator.start();
+  assert.deepEqual(texts(shadow, 'span, p'), ["岡姆的壯志 (Kaom's Heart)", '刀鋒亂舞 (Blade Flurry)']);
+  assert.equal(closed.querySelector('p').textContent, 'Blade Flurry');
+  assert.equal(document.querySelector('#editor').shadowRoot.querySelector('p').textContent, 'Blade Flurry');
+
+  shadow.appendChild(document.createElement('p')).textContent = "Kaom's Heart";
+  const host = document.createElement('div');
+  host.attachShadow({ mode: 'open' }).innerHTML = '<p>Blade Flurry</p>';
+  document.body.appendChild(host);
+  await new Promise(resolve => window.setTimeout(resolve, 300));
+
+  assert.equal(shadow.lastChild.textContent, "岡姆的壯志 (Kaom's Heart)");
+  assert.equal(host.shadowRoot.querySelector('p').textContent, '刀鋒亂舞 (Blade Flurry)');
+
+  translator.toggle();
+  assert.deepEqual(texts(shadow, 'span, p'), ["Kaom's Heart", 'Blade Flurry', "Kaom's Heart"]);
+});
+
+test('近似匹配的样式注入到译文所在的 shadow root', async t => {
+  const { document, translator } = await setup(t, {
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞' } },
+    html: '<div id="popover"></div>'
+  });
+  translator.settings.fuzzyFallback = true;
+  const shadow = document.querySelector('#popover').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<p>Blade Flurries</p>';
+
+  translator.start();
+
+  assert.ok(shadow.querySelector('p').hasAttribute('data-translator-fuzzy'));
+  assert.ok(shadow.querySelector('style'));
+});
+
+test('翻译同源 iframe，跳过自己加载了内容脚本的 iframe', async t => {
+  const { window, document, translator } = await setup(t, {
+    dictionaries: { exact: { 'Blade Flurry': '刀鋒亂舞' } },
+    html: '<iframe id="planner"></iframe><iframe id="loaded"></iframe><div data-lexical-editor="true"><iframe id="skipped"></iframe></div>'
+  });
+  const frame = id => document.querySelector(`#${id}`).contentDocument;
+  ['planner', 'loaded', 'skipped'].forEach(id => (frame(id).body.innerHTML = '<p>Blade Flurry</p>'));
+  frame('loaded').documentElement.setAttribute(window.Translator.LOADED_ATTRIBUTE, '');
+
+  translator.start();
+  assert.deepEqual(
+    ['planner', 'loaded', 'skipped'].map(id => frame(id).querySelector('p').textContent),
+    ['刀鋒亂舞 (Blade Flurry)', 'Blade Flurry', 'Blade Flurry']
+  );
+
+  const added = frame('planner').createElement('span');
+  added.textContent = 'Blade Flurry';
+  frame('planner').body.appendChild(added);
+  await new Promise(resolve => window.setTimeout(resolve, 300));
+  assert.equal(added.textContent, '刀鋒亂舞 (Blade Flurry)');
+
+  translator.toggle();
+  assert.equal(frame('planner').querySelector('p').textContent, 'Blade Flurry');
+});
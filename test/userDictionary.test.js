@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadLibraries } = require('./harness');
+
+const URL = 'https://poe.ninja/poe2/builds';
+
+const entry = (en, zh, line) => ({ category: 'exact', en, zh, line });
+// 页面窗口中创建的对象与测试中的字面量原型不同，比较前先克隆
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('导入比对按查表时的规范形式识别冲突和重复', t => {
+  const window = loadLibraries(t, { url: URL });
+  const { normalize, planMerge } = window.UserDictionary;
+  const current = normalize({ exact: { "Navira's Heart": '甲' } });
+
+  const plan = planMerge(current, [entry('Navira’s Heart', '乙', 1), entry('naviras heart', '丙', 2)]);
+
+  assert.deepEqual(plain(plan.added), []);
+  assert.deepEqual(plain(plan.duplicates.map(({ en, previousLine }) => [en, previousLine])), [['naviras heart', 1]]);
+  assert.deepEqual(plain(plan.conflicts.map(({ en, existingEn, existing, zh }) => [en, existingEn, existing, zh])), [
+    ['naviras heart', "Navira's Heart", '甲', '丙']
+  ]);
+});
+
+test('覆盖冲突后只剩导入的写法，查表得到导入的译文', t => {
+  const window = loadLibraries(t, { url: URL });
+  const { normalize, planMerge, applyMerge } = window.UserDictionary;
+  const current = normalize({ exact: { "Navira's Heart": '甲' } });
+
+  const plan = planMerge(current, [entry('Navira’s Heart', '乙', 1)]);
+  const merged = applyMerge(current, plan, new Set(plan.conflicts));
+
+  assert.deepEqual(plain(merged.exact), { 'Navira’s Heart': '乙' });
+  const config = new window.TranslationConfig('traditional', merged, {});
+  assert.equal(config.lookupExact("Navira's Heart"), '乙');
+});
+
+test('规范形式相同的英文只保留最后一条', t => {
+  const window = loadLibraries(t, { url: URL });
+
+  const dict = window.UserDictionary.normalize({ exact: { "Navira's Heart": '甲', 'NAVIRAS HEART': '乙', Other: '丁' } });
+
+  assert.deepEqual(plain(dict.exact), { 'NAVIRAS HEART': '乙', Other: '丁' });
+});